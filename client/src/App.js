@@ -7,15 +7,38 @@ import Register from './pages/Register';
 import Dashboard from './pages/Dashboard';
 import Products from './pages/Products';
 import ProductDetail from './pages/ProductDetail';
+import ProductImport from './pages/ProductImport';
 import Orders from './pages/Orders';
 import OrderDetail from './pages/OrderDetail';
+import Backorders from './pages/Backorders';
+import Returns from './pages/Returns';
+import ReturnDetail from './pages/ReturnDetail';
+import Customers from './pages/Customers';
+import CustomerDetail from './pages/CustomerDetail';
 import Suppliers from './pages/Suppliers';
+import Reports from './pages/Reports';
+import ReportSchedules from './pages/ReportSchedules';
+import CustomReports from './pages/CustomReports';
+import Locations from './pages/Locations';
+import Transfers from './pages/Transfers';
+import TransferDetail from './pages/TransferDetail';
 import PurchaseOrders from './pages/PurchaseOrders';
 import PurchaseOrderDetail from './pages/PurchaseOrderDetail';
+import ReorderSuggestions from './pages/ReorderSuggestions';
 import StockMovements from './pages/StockMovements';
+import StockAsOf from './pages/StockAsOf';
+import Reconciliation from './pages/Reconciliation';
+import Counts from './pages/Counts';
+import CountDetail from './pages/CountDetail';
 import LowStockAlerts from './pages/LowStockAlerts';
+import ExpiringLots from './pages/ExpiringLots';
+import DeadStock from './pages/DeadStock';
+import Serials from './pages/Serials';
 import Profile from './pages/Profile';
 import RolesPermissions from './pages/RolesPermissions';
+import Settings from './pages/Settings';
+import ReasonCodes from './pages/ReasonCodes';
+import Approvals from './pages/Approvals';
 import RoleRoute from './components/RoleRoute';
 
 const PrivateRoute = ({ children }) => {
@@ -38,16 +61,39 @@ const App = () => {
       <Route path="/" element={<PrivateRoute><Layout /></PrivateRoute>}>
         <Route index element={<Dashboard />} />
         <Route path="products" element={<Products />} />
+        <Route path="products/import" element={<RoleRoute allowedRoles={["owner","manager"]}><ProductImport /></RoleRoute>} />
         <Route path="products/:id" element={<ProductDetail />} />
         <Route path="orders" element={<Orders />} />
         <Route path="orders/:id" element={<OrderDetail />} />
+        <Route path="backorders" element={<Backorders />} />
+        <Route path="returns" element={<Returns />} />
+        <Route path="returns/:id" element={<ReturnDetail />} />
+        <Route path="customers" element={<Customers />} />
+        <Route path="customers/:id" element={<CustomerDetail />} />
         <Route path="suppliers" element={<Suppliers />} />
+        <Route path="locations" element={<Locations />} />
+        <Route path="transfers" element={<Transfers />} />
+        <Route path="transfers/:id" element={<TransferDetail />} />
         <Route path="purchase-orders" element={<PurchaseOrders />} />
         <Route path="purchase-orders/:id" element={<PurchaseOrderDetail />} />
+        <Route path="reorder" element={<RoleRoute allowedRoles={["owner","manager"]}><ReorderSuggestions /></RoleRoute>} />
         <Route path="stock-movements" element={<StockMovements />} />
+        <Route path="stock-as-of" element={<StockAsOf />} />
+        <Route path="counts" element={<Counts />} />
+        <Route path="counts/:id" element={<CountDetail />} />
+        <Route path="approvals" element={<Approvals />} />
+        <Route path="reconciliation" element={<RoleRoute allowedRoles={["owner","manager"]}><Reconciliation /></RoleRoute>} />
         <Route path="low-stock" element={<LowStockAlerts />} />
+        <Route path="expiring" element={<ExpiringLots />} />
+        <Route path="dead-stock" element={<RoleRoute allowedRoles={["owner","manager"]}><DeadStock /></RoleRoute>} />
+        <Route path="serials" element={<Serials />} />
         <Route path="profile" element={<Profile />} />
+        <Route path="reports" element={<RoleRoute allowedRoles={["owner","manager"]}><Reports /></RoleRoute>} />
+        <Route path="custom-reports" element={<CustomReports />} />
+        <Route path="reports/schedules" element={<RoleRoute allowedRoles={["owner"]}><ReportSchedules /></RoleRoute>} />
         <Route path="roles" element={<RoleRoute allowedRoles={["owner","manager"]}><RolesPermissions /></RoleRoute>} />
+        <Route path="settings" element={<RoleRoute allowedRoles={["owner"]}><Settings /></RoleRoute>} />
+        <Route path="settings/reason-codes" element={<RoleRoute allowedRoles={["owner"]}><ReasonCodes /></RoleRoute>} />
       </Route>
       <Route path="*" element={<Navigate to="/" />} />
     </Routes>
@@ -0,0 +1,15 @@
+import React from 'react';
+
+const ABC_BADGES = { A: 'badge-success', B: 'badge-info', C: 'badge-gray' };
+
+// ABC/XYZ pair of a variant, e.g. "AX"; nothing until it has been classified
+const ClassBadge = ({ classification, style }) => {
+  if (!classification?.abc) return null;
+  const { abc, xyz, share, cov, basis, windowDays } = classification;
+  const title = `${share ?? 0}% of ${basis} over ${windowDays} days · weekly demand CoV ${cov ?? 'n/a'}`;
+  return (
+    <span className={`badge ${ABC_BADGES[abc]}`} title={title} style={style}>{abc}{xyz}</span>
+  );
+};
+
+export default ClassBadge;
@@ -7,9 +7,9 @@ import { useNotifications } from '../context/NotificationContext';
 import {
   Menu, Package, LayoutDashboard, ShoppingCart, Factory, ClipboardList,
   TrendingUp, AlertTriangle, Sun, Moon, LogOut, User, Wifi, WifiOff, Bell,
-  CheckCheck, Trash2, BellOff, Info, X,
+  CheckCheck, Trash2, BellOff, Info, X, Warehouse, ArrowLeftRight, Hourglass, RotateCcw, Contact, Calculator, History, Scale, ClipboardCheck, ShieldCheck, CalendarClock, ScanBarcode, Repeat, Archive, ChartColumn,
 } from 'lucide-react';
-import { Shield } from 'lucide-react';
+import { Shield, Settings } from 'lucide-react';
 import { hasAnyRole } from '../utils/rbac';
 import { Tooltip } from 'react-tooltip';
 import 'react-tooltip/dist/react-tooltip.css';
@@ -17,9 +17,11 @@ import 'react-tooltip/dist/react-tooltip.css';
 const getIcon = (type) => {
   switch (type) {
     case 'low-stock': return <AlertTriangle size={16} style={{ color: 'var(--danger)' }} />;
+    case 'expiring': return <CalendarClock size={16} style={{ color: 'var(--warning)' }} />;
     case 'order': return <ShoppingCart size={16} style={{ color: 'var(--primary)' }} />;
     case 'purchase-order': return <ClipboardList size={16} style={{ color: 'var(--success)' }} />;
     case 'stock': return <Package size={16} style={{ color: 'var(--warning)' }} />;
+    case 'approval': return <ShieldCheck size={16} style={{ color: 'var(--primary)' }} />;
     default: return <Info size={16} style={{ color: 'var(--gray-500)' }} />;
   }
 };
@@ -141,10 +143,33 @@ const Layout = () => {
           <NavLink to="/" end><LayoutDashboard size={18} /> Dashboard</NavLink>
           <NavLink to="/products"><Package size={18} /> Products</NavLink>
           <NavLink to="/orders"><ShoppingCart size={18} /> Orders</NavLink>
+          <NavLink to="/backorders"><Hourglass size={18} /> Backorders</NavLink>
+          <NavLink to="/returns"><RotateCcw size={18} /> Returns</NavLink>
+          <NavLink to="/customers"><Contact size={18} /> Customers</NavLink>
           <NavLink to="/suppliers"><Factory size={18} /> Suppliers</NavLink>
+          <NavLink to="/locations"><Warehouse size={18} /> Locations</NavLink>
           <NavLink to="/purchase-orders"><ClipboardList size={18} /> Purchase Orders</NavLink>
+          {hasAnyRole(user, ['owner', 'manager']) && (
+            <NavLink to="/reorder"><Repeat size={18} /> Reorder Suggestions</NavLink>
+          )}
+          <NavLink to="/transfers"><ArrowLeftRight size={18} /> Transfers</NavLink>
           <NavLink to="/stock-movements"><TrendingUp size={18} /> Stock Movements</NavLink>
+          <NavLink to="/stock-as-of"><History size={18} /> Stock As Of</NavLink>
+          <NavLink to="/counts"><ClipboardCheck size={18} /> Cycle Counts</NavLink>
+          <NavLink to="/approvals"><ShieldCheck size={18} /> Approvals</NavLink>
           <NavLink to="/low-stock"><AlertTriangle size={18} /> Low Stock Alerts</NavLink>
+          <NavLink to="/expiring"><CalendarClock size={18} /> Expiring Lots</NavLink>
+          <NavLink to="/serials"><ScanBarcode size={18} /> Serial Lookup</NavLink>
+          {hasAnyRole(user, ['owner', 'manager']) && (
+            <NavLink to="/dead-stock"><Archive size={18} /> Dead Stock</NavLink>
+          )}
+          {hasAnyRole(user, ['owner', 'manager']) && (
+            <NavLink to="/reports"><Calculator size={18} /> Reports</NavLink>
+          )}
+          <NavLink to="/custom-reports"><ChartColumn size={18} /> Custom Reports</NavLink>
+          {hasAnyRole(user, ['owner', 'manager']) && (
+            <NavLink to="/reconciliation"><Scale size={18} /> Reconciliation</NavLink>
+          )}
         </nav>
 
         <div className="sidebar-footer">
@@ -167,6 +192,12 @@ const Layout = () => {
                 </button>
               )}
 
+              {hasAnyRole(user, ['owner']) && (
+                <button className="profile-menu-btn" onClick={() => navigate('/settings')} data-tooltip-id="sidebar-tooltip" data-tooltip-content="Settings">
+                  <Settings size={16} />
+                </button>
+              )}
+
               <button className="profile-menu-btn" onClick={toggleTheme} data-tooltip-id="sidebar-tooltip" data-tooltip-content={`Switch to ${isDark ? 'Light Mode' : 'Dark Mode'}`}>
                 {isDark ? <Sun size={16} /> : <Moon size={16} />}
               </button>
@@ -1,5 +1,6 @@
 import React, { createContext, useContext, useState, useEffect, useCallback } from 'react';
 import { useSocket } from './SocketContext';
+import { useAuth } from './AuthContext';
 
 const STORAGE_KEY = 'mtims-notifications';
 
@@ -22,6 +23,7 @@ export const useNotifications = () => useContext(NotificationContext);
 
 export const NotificationProvider = ({ children }) => {
   const { socket } = useSocket();
+  const { user } = useAuth();
   const [notifications, setNotifications] = useState(getStored);
 
   const add = useCallback((notification) => {
@@ -46,6 +48,22 @@ export const NotificationProvider = ({ children }) => {
       });
     };
 
+    const onExpiring = (data) => {
+      const soon = data.lots.length - data.expired;
+      add({
+        id: Date.now() + Math.random(),
+        type: 'expiring',
+        title: 'Lots Expiring',
+        message: [
+          data.expired > 0 && `${data.expired} lot(s) expired`,
+          soon > 0 && `${soon} lot(s) expire within ${data.days} days`,
+        ].filter(Boolean).join(', '),
+        timestamp: new Date().toISOString(),
+        read: false,
+        link: '/expiring',
+      });
+    };
+
     const onOrderCreated = (data) => {
       add({
         id: Date.now() + Math.random(),
@@ -70,6 +88,18 @@ export const NotificationProvider = ({ children }) => {
       });
     };
 
+    const onTransferReceived = (data) => {
+      add({
+        id: Date.now() + Math.random(),
+        type: 'stock',
+        title: 'Transfer Received',
+        message: `Transfer ${data.transfer?.transferNumber || 'N/A'} received`,
+        timestamp: new Date().toISOString(),
+        read: false,
+        link: data.transfer?._id ? `/transfers/${data.transfer._id}` : null,
+      });
+    };
+
     const onStockUpdated = (data) => {
       add({
         id: Date.now() + Math.random(),
@@ -81,18 +111,67 @@ export const NotificationProvider = ({ children }) => {
       });
     };
 
+    const onReconciliation = (data) => {
+      add({
+        id: Date.now() + Math.random(),
+        type: 'stock',
+        title: 'Stock Ledger Issues',
+        message: `${data.mismatched} variant(s) don't match their ledger, ${data.brokenChains} with broken movement chains`,
+        timestamp: new Date().toISOString(),
+        read: false,
+        link: '/reconciliation',
+      });
+    };
+
+    // Sent to approvers only; a manager's own request can reach their room too
+    const onApprovalRequested = (data) => {
+      if (data.approval?.requestedBy === user?.id) return;
+      add({
+        id: Date.now() + Math.random(),
+        type: 'approval',
+        title: 'Approval Needed',
+        message: `${data.approval?.requestNumber}: ${data.approval?.summary}`,
+        timestamp: new Date().toISOString(),
+        read: false,
+        link: '/approvals',
+      });
+    };
+
+    const onApprovalDecided = (data) => {
+      if (data.requestedBy !== user?.id || data.status === 'pending' || data.status === 'cancelled') return;
+      add({
+        id: Date.now() + Math.random(),
+        type: 'approval',
+        title: data.status === 'approved' ? 'Request Approved' : 'Request Rejected',
+        message: `${data.requestNumber}: ${data.summary}`,
+        timestamp: new Date().toISOString(),
+        read: false,
+        link: '/approvals',
+      });
+    };
+
     socket.on('stock:low', onLowStock);
+    socket.on('stock:expiring', onExpiring);
     socket.on('order:created', onOrderCreated);
     socket.on('po:received', onPOReceived);
+    socket.on('transfer:received', onTransferReceived);
     socket.on('stock:updated', onStockUpdated);
+    socket.on('stock:reconciliation', onReconciliation);
+    socket.on('approval:requested', onApprovalRequested);
+    socket.on('approval:decided', onApprovalDecided);
 
     return () => {
       socket.off('stock:low', onLowStock);
+      socket.off('stock:expiring', onExpiring);
       socket.off('order:created', onOrderCreated);
       socket.off('po:received', onPOReceived);
+      socket.off('transfer:received', onTransferReceived);
       socket.off('stock:updated', onStockUpdated);
+      socket.off('stock:reconciliation', onReconciliation);
+      socket.off('approval:requested', onApprovalRequested);
+      socket.off('approval:decided', onApprovalDecided);
     };
-  }, [socket, add]);
+  }, [socket, add, user?.id]);
 
   const markRead = (id) => {
     setNotifications((prev) => {
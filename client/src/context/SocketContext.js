@@ -49,6 +49,13 @@ export const SocketProvider = ({ children }) => {
       });
     });
 
+    // Lot expiry alerts
+    socket.on('stock:expiring', (data) => {
+      toast.error(`Expiry alert: ${data.lots.length} lot(s) expired or expiring within ${data.days} days`, {
+        duration: 6000,
+      });
+    });
+
     // Order notifications
     socket.on('order:created', (data) => {
       toast.success(`New order: ${data.order.orderNumber}`);
@@ -59,6 +66,11 @@ export const SocketProvider = ({ children }) => {
       toast.success(`PO ${data.purchaseOrder.poNumber} received`);
     });
 
+    // Transfer notifications
+    socket.on('transfer:received', (data) => {
+      toast.success(`Transfer ${data.transfer.transferNumber} received`);
+    });
+
     socketRef.current = socket;
 
     return () => {
@@ -0,0 +1,393 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { approvalsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { isManager, isOwner } from '../utils/rbac';
+import { useSocket } from '../context/SocketContext';
+import Modal from '../components/Modal';
+import { Pencil, Trash2 } from 'lucide-react';
+import { Tooltip } from 'react-tooltip';
+import toast from 'react-hot-toast';
+
+const approvalStatusBadge = (status) => {
+  const map = {
+    pending: 'badge-warning', approved: 'badge-success', rejected: 'badge-danger', cancelled: 'badge-gray',
+  };
+  return <span className={`badge ${map[status] || 'badge-gray'}`}>{status}</span>;
+};
+
+const typeLabels = { adjustment: 'Stock adjustment', purchase_order: 'Purchase order' };
+const approverLabels = { owner: 'Owner', manager: 'Owner or manager' };
+
+const thresholdLabel = (rule) => [
+  rule.unitsOver !== undefined && rule.unitsOver !== null && `over ${rule.unitsOver} units`,
+  rule.valueOver !== undefined && rule.valueOver !== null && `over $${rule.valueOver.toLocaleString()}`,
+].filter(Boolean).join(' or ');
+
+const emptyRule = { name: '', target: 'adjustment', unitsOver: '', valueOver: '', approverRole: 'owner', approvalsRequired: 1, isActive: true };
+
+const Approvals = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [approvals, setApprovals] = useState([]);
+  const [awaitingMe, setAwaitingMe] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('pending');
+  const [typeFilter, setTypeFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const [deciding, setDeciding] = useState(null);
+  const [comment, setComment] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+
+  const [rules, setRules] = useState([]);
+  const [showRuleModal, setShowRuleModal] = useState(false);
+  const [editingRule, setEditingRule] = useState(null);
+  const [ruleForm, setRuleForm] = useState(emptyRule);
+
+  const canSeeRules = isManager(user);
+  const canEditRules = isOwner(user);
+
+  const fetchApprovals = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: 20 };
+      if (statusFilter) params.status = statusFilter;
+      if (typeFilter) params.type = typeFilter;
+      const { data } = await approvalsAPI.getAll(params);
+      setApprovals(data.approvals);
+      setAwaitingMe(data.awaitingMe);
+      setTotalPages(data.pagination?.pages || 1);
+    } catch {
+      toast.error('Failed to load approvals');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, statusFilter, typeFilter]);
+
+  const fetchRules = useCallback(async () => {
+    if (!canSeeRules) return;
+    try {
+      const { data } = await approvalsAPI.getRules();
+      setRules(data.rules);
+    } catch {
+      toast.error('Failed to load approval rules');
+    }
+  }, [canSeeRules]);
+
+  useEffect(() => { fetchApprovals(); }, [fetchApprovals]);
+  useEffect(() => { fetchRules(); }, [fetchRules]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const refresh = () => fetchApprovals();
+    socket.on('approval:requested', refresh);
+    socket.on('approval:decided', refresh);
+    return () => {
+      socket.off('approval:requested', refresh);
+      socket.off('approval:decided', refresh);
+    };
+  }, [socket, fetchApprovals]);
+
+  const openDecision = (approval, decision) => {
+    setDeciding({ approval, decision });
+    setComment('');
+  };
+
+  const handleDecision = async (e) => {
+    e.preventDefault();
+    const { approval, decision } = deciding;
+    setSubmitting(true);
+    try {
+      const action = decision === 'approve' ? approvalsAPI.approve : approvalsAPI.reject;
+      const { data } = await action(approval._id, comment || undefined);
+      if (data.approval.status === 'approved') toast.success(`${approval.requestNumber} approved and carried out`);
+      else if (data.approval.status === 'rejected') toast.success(`${approval.requestNumber} rejected`);
+      else toast.success('Approval recorded; more approvers needed');
+      setDeciding(null);
+      fetchApprovals();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to record decision');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleWithdraw = async (approval) => {
+    if (!window.confirm(`Withdraw ${approval.requestNumber}?`)) return;
+    try {
+      await approvalsAPI.cancel(approval._id);
+      toast.success('Request withdrawn');
+      fetchApprovals();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to withdraw request');
+    }
+  };
+
+  const openRule = (rule) => {
+    setEditingRule(rule);
+    setRuleForm(rule ? {
+      name: rule.name, target: rule.target, unitsOver: rule.unitsOver ?? '', valueOver: rule.valueOver ?? '',
+      approverRole: rule.approverRole, approvalsRequired: rule.approvalsRequired, isActive: rule.isActive,
+    } : emptyRule);
+    setShowRuleModal(true);
+  };
+
+  const handleRuleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...ruleForm,
+      unitsOver: ruleForm.unitsOver === '' ? null : parseInt(ruleForm.unitsOver),
+      valueOver: ruleForm.valueOver === '' ? null : parseFloat(ruleForm.valueOver),
+    };
+    try {
+      if (editingRule) {
+        await approvalsAPI.updateRule(editingRule._id, { ...payload, target: undefined });
+        toast.success('Rule updated');
+      } else {
+        await approvalsAPI.createRule(payload);
+        toast.success('Rule created');
+      }
+      setShowRuleModal(false);
+      fetchRules();
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to save rule');
+    }
+  };
+
+  const handleRuleDelete = async (rule) => {
+    if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+    try {
+      await approvalsAPI.deleteRule(rule._id);
+      toast.success('Rule deleted');
+      fetchRules();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete rule');
+    }
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Approvals</h2>
+        {awaitingMe > 0 && <span className="badge badge-warning">{awaitingMe} waiting for you</span>}
+      </div>
+
+      <div className="card">
+        <div className="filter-bar">
+          <select className="form-control" value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}>
+            <option value="">All Statuses</option>
+            {['pending', 'approved', 'rejected', 'cancelled'].map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+          <select className="form-control" value={typeFilter} onChange={(e) => { setTypeFilter(e.target.value); setPage(1); }}>
+            <option value="">All Types</option>
+            {Object.entries(typeLabels).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : approvals.length === 0 ? (
+          <div className="empty-state"><h3>No approval requests</h3><p>Adjustments and POs that hit an approval rule wait here.</p></div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr><th>Request</th><th>Type</th><th>Summary</th><th>Value</th><th>Requested By</th><th>Approvals</th><th>Status</th><th>Actions</th></tr>
+              </thead>
+              <tbody>
+                {approvals.map((a) => {
+                  const approved = a.decisions.filter((d) => d.decision === 'approve').length;
+                  return (
+                    <tr key={a._id}>
+                      <td>
+                        <strong>{a.requestNumber}</strong>
+                        <div style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>{new Date(a.createdAt).toLocaleString()}</div>
+                      </td>
+                      <td>{typeLabels[a.type]}</td>
+                      <td>
+                        {a.purchaseOrderId ? (
+                          <button className="btn btn-outline btn-sm" onClick={() => navigate(`/purchase-orders/${a.purchaseOrderId._id}`)}>
+                            {a.summary}
+                          </button>
+                        ) : a.summary}
+                        <div style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>{a.rules.map((r) => r.name).join(', ')}</div>
+                        {a.decisions.map((d) => (
+                          <div key={`${d.userId?._id}-${d.decidedAt}`} style={{ fontSize: '0.75rem' }}>
+                            {d.decision === 'approve' ? 'Approved' : 'Rejected'} by {d.userId?.name || 'someone'}
+                            {d.comment && `: “${d.comment}”`}
+                          </div>
+                        ))}
+                      </td>
+                      <td>${(a.value || 0).toLocaleString()}</td>
+                      <td>{a.requestedBy?.name || '—'}</td>
+                      <td>
+                        {approved} / {a.approvalsRequired}
+                        <div style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>{approverLabels[a.approverRole]}</div>
+                      </td>
+                      <td>{approvalStatusBadge(a.status)}</td>
+                      <td>
+                        <div className="action-btns">
+                          {a.canDecide && (
+                            <>
+                              <button className="btn btn-primary btn-sm" onClick={() => openDecision(a, 'approve')}>Approve</button>
+                              <button className="btn btn-danger btn-sm" onClick={() => openDecision(a, 'reject')}>Reject</button>
+                            </>
+                          )}
+                          {a.status === 'pending' && (a.requestedBy?._id === user?.id || isOwner(user)) && (
+                            <button className="btn btn-outline btn-sm" onClick={() => handleWithdraw(a)}>Withdraw</button>
+                          )}
+                        </div>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="pagination">
+            <button className="btn btn-outline btn-sm" disabled={page === 1} onClick={() => setPage(page - 1)}>Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button className="btn btn-outline btn-sm" disabled={page === totalPages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        )}
+      </div>
+
+      {canSeeRules && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Approval Rules</h3>
+            {canEditRules && <button className="btn btn-primary btn-sm" onClick={() => openRule(null)}>+ Add Rule</button>}
+          </div>
+          {rules.length === 0 ? (
+            <div className="empty-state"><p>No rules yet. Without rules, adjustments and POs go through straight away.</p></div>
+          ) : (
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr><th>Name</th><th>Applies To</th><th>When</th><th>Approved By</th><th>Approvals</th><th>Status</th>{canEditRules && <th>Actions</th>}</tr>
+                </thead>
+                <tbody>
+                  {rules.map((r) => (
+                    <tr key={r._id}>
+                      <td><strong>{r.name}</strong></td>
+                      <td>{typeLabels[r.target]}</td>
+                      <td>{thresholdLabel(r)}</td>
+                      <td>{approverLabels[r.approverRole]}</td>
+                      <td>{r.approvalsRequired}</td>
+                      <td><span className={`badge ${r.isActive ? 'badge-success' : 'badge-gray'}`}>{r.isActive ? 'Active' : 'Inactive'}</span></td>
+                      {canEditRules && (
+                        <td>
+                          <div className="action-btns">
+                            <button className="table-action-btn edit" onClick={() => openRule(r)}
+                              data-tooltip-id="table-tooltip" data-tooltip-content="Edit">
+                              <Pencil size={15} />
+                            </button>
+                            <button className="table-action-btn delete" onClick={() => handleRuleDelete(r)}
+                              data-tooltip-id="table-tooltip" data-tooltip-content="Delete">
+                              <Trash2 size={15} />
+                            </button>
+                          </div>
+                        </td>
+                      )}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+          <p style={{ fontSize: '0.8rem', color: 'var(--gray-500)', padding: '0 20px 16px' }}>
+            Owners&apos; own adjustments and POs are not held unless &quot;Owners skip approval rules&quot; is turned off
+            in Settings. Requesters can&apos;t approve their own requests, so each rule needs enough other approvers.
+          </p>
+        </div>
+      )}
+
+      <Modal isOpen={!!deciding} onClose={() => setDeciding(null)}
+        title={deciding?.decision === 'approve' ? `Approve ${deciding?.approval.requestNumber}` : `Reject ${deciding?.approval.requestNumber}`}>
+        <form onSubmit={handleDecision}>
+          <p>{deciding?.approval.summary}</p>
+          <div className="form-group">
+            <label>Comment</label>
+            <textarea className="form-control" rows="2" value={comment} onChange={(e) => setComment(e.target.value)}
+              placeholder={deciding?.decision === 'reject' ? 'Why it was rejected' : 'Optional'} />
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => setDeciding(null)}>Cancel</button>
+            <button type="submit" className={`btn ${deciding?.decision === 'approve' ? 'btn-primary' : 'btn-danger'}`} disabled={submitting}>
+              {submitting ? 'Saving...' : deciding?.decision === 'approve' ? 'Approve' : 'Reject'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+
+      <Modal isOpen={showRuleModal} onClose={() => setShowRuleModal(false)} title={editingRule ? 'Edit Rule' : 'Add Rule'}>
+        <form onSubmit={handleRuleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Name *</label>
+              <input className="form-control" value={ruleForm.name} placeholder="e.g. Large adjustments"
+                onChange={(e) => setRuleForm({ ...ruleForm, name: e.target.value })} required />
+            </div>
+            <div className="form-group">
+              <label>Applies To</label>
+              <select className="form-control" value={ruleForm.target} disabled={!!editingRule}
+                onChange={(e) => setRuleForm({ ...ruleForm, target: e.target.value })}>
+                {Object.entries(typeLabels).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Units Over</label>
+              <input className="form-control" type="number" min="0" value={ruleForm.unitsOver}
+                onChange={(e) => setRuleForm({ ...ruleForm, unitsOver: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>Value Over ($)</label>
+              <input className="form-control" type="number" min="0" step="0.01" value={ruleForm.valueOver}
+                onChange={(e) => setRuleForm({ ...ruleForm, valueOver: e.target.value })} />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Approved By</label>
+              <select className="form-control" value={ruleForm.approverRole}
+                onChange={(e) => setRuleForm({ ...ruleForm, approverRole: e.target.value })}>
+                {Object.entries(approverLabels).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Approvals Required</label>
+              <input className="form-control" type="number" min="1" max="5" value={ruleForm.approvalsRequired}
+                onChange={(e) => setRuleForm({ ...ruleForm, approvalsRequired: parseInt(e.target.value) || 1 })} />
+            </div>
+          </div>
+          {editingRule && (
+            <div className="form-group">
+              <label>
+                <input type="checkbox" checked={ruleForm.isActive} onChange={(e) => setRuleForm({ ...ruleForm, isActive: e.target.checked })} />
+                {' '}Active
+              </label>
+            </div>
+          )}
+          <p style={{ fontSize: '0.85rem', color: 'var(--gray-500)' }}>
+            Either threshold triggers the rule. Adjustments are valued at cost.
+          </p>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => setShowRuleModal(false)}>Cancel</button>
+            <button type="submit" className="btn btn-primary">{editingRule ? 'Update' : 'Create'}</button>
+          </div>
+        </form>
+      </Modal>
+      <Tooltip id="table-tooltip" place="top" />
+    </div>
+  );
+};
+
+export default Approvals;
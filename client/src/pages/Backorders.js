@@ -0,0 +1,159 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { ordersAPI, locationsAPI } from '../services/api';
+import { useSocket } from '../context/SocketContext';
+import { Eye } from 'lucide-react';
+import { Tooltip } from 'react-tooltip';
+import toast from 'react-hot-toast';
+
+const daysSince = (date) => Math.floor((Date.now() - new Date(date)) / 86400000);
+
+const Backorders = () => {
+  const navigate = useNavigate();
+  const { socket } = useSocket();
+  const [backorders, setBackorders] = useState([]);
+  const [totals, setTotals] = useState({ orders: 0, lines: 0, units: 0 });
+  const [loading, setLoading] = useState(true);
+  const [locations, setLocations] = useState([]);
+  const [locationFilter, setLocationFilter] = useState('');
+
+  const fetchBackorders = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = {};
+      if (locationFilter) params.locationId = locationFilter;
+      const { data } = await ordersAPI.getBackorders(params);
+      setBackorders(data.backorders || []);
+      setTotals(data.totals);
+    } catch {
+      toast.error('Failed to load backorders');
+    } finally {
+      setLoading(false);
+    }
+  }, [locationFilter]);
+
+  useEffect(() => { fetchBackorders(); }, [fetchBackorders]);
+
+  useEffect(() => {
+    locationsAPI.getAll({ active: 'true' }).then(({ data }) => setLocations(data.locations)).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+    const refresh = () => fetchBackorders();
+    const events = ['order:created', 'order:updated', 'order:cancelled', 'po:received'];
+    events.forEach((e) => socket.on(e, refresh));
+    return () => events.forEach((e) => socket.off(e, refresh));
+  }, [socket, fetchBackorders]);
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Backorders</h2>
+        <button className="btn btn-outline" onClick={fetchBackorders}>Refresh</button>
+      </div>
+
+      <div className="stat-grid">
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Orders Waiting</h4>
+            <div className="stat-value">{totals.orders}</div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Lines</h4>
+            <div className="stat-value">{totals.lines}</div>
+          </div>
+        </div>
+        <div className="stat-card" style={{ borderLeft: '4px solid var(--warning)' }}>
+          <div className="stat-info">
+            <h4>Units Backordered</h4>
+            <div className="stat-value" style={{ color: 'var(--warning)' }}>{totals.units}</div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        {locations.length > 1 && (
+          <div className="filter-bar">
+            <select className="form-control" value={locationFilter} onChange={(e) => setLocationFilter(e.target.value)}>
+              <option value="">All Locations</option>
+              {locations.map((l) => <option key={l._id} value={l._id}>{l.name} ({l.code})</option>)}
+            </select>
+          </div>
+        )}
+        {loading ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : backorders.length === 0 ? (
+          <div className="empty-state">
+            <h3>No backorders</h3>
+            <p>Every open order line has its stock allocated.</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Order #</th>
+                  <th>Customer</th>
+                  <th>Product</th>
+                  <th>SKU</th>
+                  {locations.length > 1 && <th>Location</th>}
+                  <th>Ordered</th>
+                  <th>Fulfilled</th>
+                  <th>Backordered</th>
+                  <th>Incoming (POs)</th>
+                  <th>Waiting</th>
+                  <th>Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {backorders.map((b, i) => (
+                  <tr key={`${b.orderId}-${i}`}>
+                    <td><strong>{b.orderNumber}</strong></td>
+                    <td>{b.customerName || '—'}</td>
+                    <td>{b.productName}</td>
+                    <td><span className="badge badge-gray">{b.variantSku}</span></td>
+                    {locations.length > 1 && <td>{b.location?.code || '—'}</td>}
+                    <td>{b.quantity}</td>
+                    <td>{b.quantityFulfilled || 0}</td>
+                    <td><span className="badge badge-warning">{b.quantityBackordered}</span></td>
+                    <td>
+                      {b.incomingQuantity > 0 ? (
+                        <span style={{ color: 'var(--info)' }}>+{b.incomingQuantity}</span>
+                      ) : (
+                        <span style={{ color: 'var(--danger)' }}>None</span>
+                      )}
+                    </td>
+                    <td>{daysSince(b.createdAt)}d</td>
+                    <td>
+                      <button className="table-action-btn view" onClick={() => navigate(`/orders/${b.orderId}`)}
+                        data-tooltip-id="table-tooltip" data-tooltip-content="View Order">
+                        <Eye size={15} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {backorders.length > 0 && (
+        <div className="card" style={{ marginTop: 16, padding: 16 }}>
+          <h4 style={{ marginBottom: 8 }}>How backorders are filled</h4>
+          <ul style={{ paddingLeft: 20, color: 'var(--gray-600)', fontSize: '0.875rem', lineHeight: 1.8 }}>
+            <li>Lines are listed oldest order first, which is the order purchase order receipts fill them in.</li>
+            <li><strong>Incoming:</strong> Units still due on open purchase orders for the SKU, at any location.</li>
+            <li>An order can only be shipped once none of its lines are backordered.</li>
+          </ul>
+        </div>
+      )}
+      <Tooltip id="table-tooltip" place="top" />
+    </div>
+  );
+};
+
+export default Backorders;
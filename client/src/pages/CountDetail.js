@@ -0,0 +1,355 @@
+import React, { useState, useEffect, useCallback, useRef } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { countsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/rbac';
+import { useSocket } from '../context/SocketContext';
+import { countStatusBadge } from './Counts';
+import toast from 'react-hot-toast';
+
+const isCounted = (line) => line.countedQuantity !== undefined && line.countedQuantity !== null;
+const lineKey = (line) => line.variantId?._id || line.variantId;
+const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+const percent = (r) => `${((r || 0) * 100).toFixed(1)}%`;
+
+const CountDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [count, setCount] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [drafts, setDrafts] = useState({});
+  const [scan, setScan] = useState('');
+  const [uncountedOnly, setUncountedOnly] = useState(false);
+  const scanRef = useRef(null);
+  const inputRefs = useRef({});
+  // Mirrors `drafts` so Enter and the blur that follows it don't both save a line
+  const draftsRef = useRef({});
+
+  const setDraft = (key, value) => {
+    if (value === undefined) delete draftsRef.current[key];
+    else draftsRef.current[key] = value;
+    setDrafts({ ...draftsRef.current });
+  };
+
+  const fetchCount = useCallback(async () => {
+    try {
+      const { data } = await countsAPI.get(id);
+      setCount(data.count);
+      setMovements(data.movements || []);
+    } catch {
+      toast.error('Count not found');
+      navigate('/counts');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, navigate]);
+
+  useEffect(() => { fetchCount(); }, [fetchCount]);
+
+  // Other counters on the same session: merge their quantities, refetch on status changes
+  useEffect(() => {
+    if (!socket) return;
+    const onUpdated = (data) => {
+      if (data.countId !== id) return;
+      if (!data.lines) {
+        fetchCount();
+        return;
+      }
+      const entered = {};
+      data.lines.forEach((l) => { entered[l.variantId] = l.countedQuantity; });
+      setCount((prev) => prev && {
+        ...prev,
+        items: prev.items.map((line) => (lineKey(line) in entered
+          ? { ...line, countedQuantity: entered[lineKey(line)] }
+          : line)),
+      });
+    };
+    socket.on('count:updated', onUpdated);
+    return () => socket.off('count:updated', onUpdated);
+  }, [socket, id, fetchCount]);
+
+  const counting = count?.status === 'counting' && hasPermission(user, 'counts:enter');
+
+  useEffect(() => {
+    if (counting) scanRef.current?.focus();
+  }, [counting]);
+
+  const visibleLines = (count?.items || []).filter((line) => !uncountedOnly || !isCounted(line) || lineKey(line) in drafts);
+
+  const focusLine = (variantId) => {
+    const input = inputRefs.current[variantId];
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  };
+
+  const focusFrom = (index, step) => {
+    const next = visibleLines[index + step];
+    if (next) focusLine(lineKey(next));
+    else scanRef.current?.focus();
+  };
+
+  const saveLine = async (line) => {
+    const key = lineKey(line);
+    const value = draftsRef.current[key];
+    if (value === undefined || value === '') return true;
+    const countedQuantity = parseInt(value);
+    if (Number.isNaN(countedQuantity) || countedQuantity < 0) {
+      toast.error('Counted quantity must be 0 or more');
+      return false;
+    }
+    setDraft(key, undefined);
+    try {
+      await countsAPI.enterLines(id, [{ variantId: key, countedQuantity }]);
+      setCount((prev) => ({
+        ...prev,
+        items: prev.items.map((l) => (lineKey(l) === key ? { ...l, countedQuantity } : l)),
+      }));
+      return true;
+    } catch (err) {
+      setDraft(key, value);
+      toast.error(err.response?.data?.error || 'Failed to save count');
+      return false;
+    }
+  };
+
+  const handleLineKey = async (e, line, index) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (await saveLine(line)) focusFrom(index, 1);
+    } else if (e.key === 'ArrowDown') {
+      e.preventDefault();
+      focusFrom(index, 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      focusFrom(index, -1);
+    } else if (e.key === 'Escape') {
+      scanRef.current?.focus();
+    }
+  };
+
+  // Scanning or typing a SKU jumps to its line
+  const handleScan = (e) => {
+    if (e.key !== 'Enter') return;
+    e.preventDefault();
+    const sku = scan.trim().toLowerCase();
+    if (!sku) return;
+    const line = count.items.find((l) => l.sku.toLowerCase() === sku);
+    if (!line) {
+      toast.error(`${scan.trim()} is not on this count`);
+      return;
+    }
+    setScan('');
+    setUncountedOnly(false);
+    setTimeout(() => focusLine(lineKey(line)), 0);
+  };
+
+  const runAction = async (action, { confirm, success, failure }) => {
+    if (confirm && !window.confirm(confirm)) return;
+    setSubmitting(true);
+    try {
+      const { data } = await action(id);
+      setCount(data.count);
+      toast.success(success);
+      if (data.count.status === 'posted') fetchCount();
+    } catch (err) {
+      toast.error(err.response?.data?.error || failure);
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) return <div className="loading-spinner"><div className="spinner" /></div>;
+  if (!count) return null;
+
+  const countedLines = count.items.filter(isCounted).length;
+  const showExpected = count.items.some((l) => l.expectedQuantity !== undefined);
+  const showVariance = showExpected && count.status !== 'counting';
+  const varianceLines = count.items.filter((l) => isCounted(l) && l.countedQuantity !== l.expectedQuantity);
+
+  return (
+    <div>
+      <div className="page-header">
+        <div>
+          <button className="btn btn-outline btn-sm" onClick={() => navigate('/counts')} style={{ marginBottom: 8 }}>
+            ← Back to Counts
+          </button>
+          <h2>Count {count.countNumber}</h2>
+        </div>
+        <div className="action-btns">
+          {counting && (
+            <button className="btn btn-primary" disabled={submitting || countedLines < count.items.length}
+              onClick={() => runAction(countsAPI.submit, { success: 'Sent for review', failure: 'Failed to submit count' })}>
+              Submit for Review
+            </button>
+          )}
+          {count.status === 'review' && hasPermission(user, 'counts:post') && (
+            <>
+              <button className="btn btn-primary" disabled={submitting}
+                onClick={() => runAction(countsAPI.post, {
+                  confirm: `Post ${varianceLines.length} variance(s) as stock adjustments?`,
+                  success: 'Count posted',
+                  failure: 'Failed to post count',
+                })}>
+                Post Adjustments
+              </button>
+              <button className="btn btn-outline" disabled={submitting}
+                onClick={() => runAction(countsAPI.reopen, { success: 'Count reopened for recounting', failure: 'Failed to reopen count' })}>
+                Recount
+              </button>
+            </>
+          )}
+          {['counting', 'review'].includes(count.status) && hasPermission(user, 'counts:create') && (
+            <button className="btn btn-danger" disabled={submitting}
+              onClick={() => runAction(countsAPI.cancel, { confirm: 'Cancel this count?', success: 'Count cancelled', failure: 'Failed to cancel count' })}>
+              Cancel Count
+            </button>
+          )}
+        </div>
+      </div>
+
+      <div className="stat-grid">
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Status</h4>
+            <div style={{ marginTop: 8 }}>{countStatusBadge(count.status)}</div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Location</h4>
+            <div style={{ marginTop: 4 }}><strong>{count.locationId?.name}</strong> ({count.locationId?.code})</div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Counted</h4>
+            <div className="stat-value">{countedLines} / {count.items.length}</div>
+          </div>
+        </div>
+        {count.summary ? (
+          <div className="stat-card">
+            <div className="stat-info">
+              <h4>Accuracy</h4>
+              <div className="stat-value">{percent(count.summary.accuracy)}</div>
+              <div style={{ fontSize: '0.8rem', color: 'var(--gray-500)' }}>
+                {count.summary.unitsOff} units off · ${count.summary.valueVariance.toFixed(2)}
+              </div>
+            </div>
+          </div>
+        ) : showVariance && (
+          <div className="stat-card">
+            <div className="stat-info">
+              <h4>Variances</h4>
+              <div className="stat-value">{varianceLines.length}</div>
+            </div>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Lines</h3>
+          {counting && (
+            <label style={{ fontSize: '0.85rem', display: 'flex', alignItems: 'center', gap: 6 }}>
+              <input type="checkbox" checked={uncountedOnly} onChange={(e) => setUncountedOnly(e.target.checked)} />
+              Uncounted only
+            </label>
+          )}
+        </div>
+        {counting && (
+          <div className="filter-bar">
+            <input ref={scanRef} className="form-control" style={{ maxWidth: 320 }} placeholder="Scan or type a SKU, then Enter"
+              value={scan} onChange={(e) => setScan(e.target.value)} onKeyDown={handleScan} />
+            <span style={{ fontSize: '0.8rem', color: 'var(--gray-500)' }}>
+              Enter saves and moves to the next line · ↑/↓ move · Esc back to SKU
+            </span>
+          </div>
+        )}
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>SKU</th>
+                <th>Product</th>
+                {showExpected && <th>Expected</th>}
+                <th>Counted</th>
+                {showVariance && <th>Variance</th>}
+                <th>Counted By</th>
+              </tr>
+            </thead>
+            <tbody>
+              {visibleLines.map((line, index) => {
+                const key = lineKey(line);
+                const variance = isCounted(line) ? line.countedQuantity - line.expectedQuantity : null;
+                return (
+                  <tr key={key}>
+                    <td><span className="badge badge-gray">{line.sku}</span></td>
+                    <td>{line.productId?.name || 'Product'}</td>
+                    {showExpected && <td>{line.expectedQuantity}</td>}
+                    <td>
+                      {counting ? (
+                        <input
+                          ref={(el) => { inputRefs.current[key] = el; }}
+                          className="form-control"
+                          style={{ width: 100 }}
+                          type="number"
+                          min="0"
+                          inputMode="numeric"
+                          value={drafts[key] ?? (isCounted(line) ? line.countedQuantity : '')}
+                          onChange={(e) => setDraft(key, e.target.value)}
+                          onKeyDown={(e) => handleLineKey(e, line, index)}
+                          onBlur={() => saveLine(line)}
+                        />
+                      ) : (isCounted(line) ? line.countedQuantity : '—')}
+                    </td>
+                    {showVariance && (
+                      <td>
+                        {variance === null || variance === 0 ? '—' : (
+                          <span className={`badge ${variance < 0 ? 'badge-danger' : 'badge-warning'}`}>{signed(variance)}</span>
+                        )}
+                      </td>
+                    )}
+                    <td>{line.countedBy?.name || '—'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {movements.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Posted Adjustments ({movements.length})</h3>
+          </div>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr><th>SKU</th><th>Change</th><th>Stock</th><th>Value</th></tr>
+              </thead>
+              <tbody>
+                {movements.map((m) => (
+                  <tr key={m._id}>
+                    <td><span className="badge badge-gray">{m.variantId?.sku || 'N/A'}</span></td>
+                    <td>{signed(m.quantity)}</td>
+                    <td>{m.previousStock} → {m.newStock}</td>
+                    <td>{m.totalCost !== undefined ? `$${m.totalCost.toFixed(2)}` : '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default CountDetail;
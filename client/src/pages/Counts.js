@@ -0,0 +1,244 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { countsAPI, locationsAPI, productsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/rbac';
+import { useSocket } from '../context/SocketContext';
+import Modal from '../components/Modal';
+import toast from 'react-hot-toast';
+
+export const countStatusBadge = (status) => {
+  const map = {
+    counting: 'badge-info', review: 'badge-warning', posted: 'badge-success', cancelled: 'badge-danger',
+  };
+  return <span className={`badge ${map[status] || 'badge-gray'}`}>{status}</span>;
+};
+
+const scopeLabel = (count) => {
+  if (count.scope === 'category') return `Category: ${count.category}`;
+  if (count.scope === 'sample') return `Random sample of ${count.sampleSize}`;
+  if (count.scope === 'variants') return 'Selected variants';
+  return 'Whole location';
+};
+
+const percent = (r) => `${((r || 0) * 100).toFixed(1)}%`;
+
+const emptyForm = { locationId: '', scope: 'location', category: '', sampleSize: 25, notes: '' };
+
+const Counts = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [counts, setCounts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [accuracy, setAccuracy] = useState(null);
+
+  const [showModal, setShowModal] = useState(false);
+  const [locations, setLocations] = useState([]);
+  const [categories, setCategories] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+  const [creating, setCreating] = useState(false);
+
+  const canReview = hasPermission(user, 'counts:post');
+
+  const fetchCounts = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: 20 };
+      if (statusFilter) params.status = statusFilter;
+      const { data } = await countsAPI.getAll(params);
+      setCounts(data.counts);
+      setTotalPages(data.pagination?.pages || 1);
+    } catch {
+      toast.error('Failed to load counts');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, statusFilter]);
+
+  useEffect(() => { fetchCounts(); }, [fetchCounts]);
+
+  useEffect(() => {
+    if (!canReview) return;
+    countsAPI.getAccuracy({ months: 6 }).then(({ data }) => setAccuracy(data)).catch(() => {});
+  }, [canReview]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const refresh = (data) => {
+      if (data.status && !data.lines) fetchCounts();
+    };
+    socket.on('count:updated', refresh);
+    return () => socket.off('count:updated', refresh);
+  }, [socket, fetchCounts]);
+
+  const openCreate = async () => {
+    try {
+      const [{ data: loc }, { data: cat }] = await Promise.all([
+        locationsAPI.getAll({ active: 'true' }),
+        productsAPI.getCategories(),
+      ]);
+      setLocations(loc.locations);
+      setCategories(cat.categories || []);
+      setForm({ ...emptyForm, locationId: loc.locations.find((l) => l.isDefault)?._id || loc.locations[0]?._id || '' });
+      setShowModal(true);
+    } catch {
+      toast.error('Failed to load locations');
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = { locationId: form.locationId, scope: form.scope, notes: form.notes || undefined };
+    if (form.scope === 'category') payload.category = form.category;
+    if (form.scope === 'sample') payload.sampleSize = form.sampleSize;
+    setCreating(true);
+    try {
+      const { data } = await countsAPI.create(payload);
+      toast.success(`Count opened with ${data.count.items.length} lines`);
+      setShowModal(false);
+      navigate(`/counts/${data.count._id}`);
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to open count');
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Cycle Counts</h2>
+        {hasPermission(user, 'counts:create') && <button className="btn btn-primary" onClick={openCreate}>+ New Count</button>}
+      </div>
+
+      {accuracy && accuracy.totals.counts > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Count Accuracy</h3>
+            <span style={{ fontSize: '0.85rem', color: 'var(--gray-500)' }}>
+              {percent(accuracy.totals.accuracy)} of {accuracy.totals.lines} lines exact over the last 6 months
+            </span>
+          </div>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr><th>Month</th><th>Counts</th><th>Lines</th><th>With Variance</th><th>Accuracy</th><th>Units Off</th><th>Value Variance</th></tr>
+              </thead>
+              <tbody>
+                {accuracy.periods.map((p) => (
+                  <tr key={p.month}>
+                    <td>{p.month}</td>
+                    <td>{p.counts}</td>
+                    <td>{p.lines}</td>
+                    <td>{p.linesWithVariance}</td>
+                    <td><strong>{percent(p.accuracy)}</strong></td>
+                    <td>{p.unitsOff}</td>
+                    <td style={{ color: p.valueVariance < 0 ? 'var(--danger)' : undefined }}>${p.valueVariance.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      <div className="card">
+        <div className="filter-bar">
+          <select className="form-control" value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}>
+            <option value="">All Statuses</option>
+            {['counting', 'review', 'posted', 'cancelled'].map((s) => <option key={s} value={s}>{s}</option>)}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : counts.length === 0 ? (
+          <div className="empty-state"><h3>No counts</h3><p>Open a count to check what&apos;s really on the shelves.</p></div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr><th>Count</th><th>Location</th><th>Scope</th><th>Progress</th><th>Status</th><th>Accuracy</th><th>Created</th></tr>
+              </thead>
+              <tbody>
+                {counts.map((c) => (
+                  <tr key={c._id} style={{ cursor: 'pointer' }} onClick={() => navigate(`/counts/${c._id}`)}>
+                    <td><strong>{c.countNumber}</strong></td>
+                    <td>{c.locationId?.name || '—'}</td>
+                    <td>{scopeLabel(c)}</td>
+                    <td>{c.countedLines} / {c.lineCount}</td>
+                    <td>{countStatusBadge(c.status)}</td>
+                    <td>{c.summary ? percent(c.summary.accuracy) : '—'}</td>
+                    <td>{new Date(c.createdAt).toLocaleDateString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="pagination">
+            <button className="btn btn-outline btn-sm" disabled={page === 1} onClick={() => setPage(page - 1)}>Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button className="btn btn-outline btn-sm" disabled={page === totalPages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        )}
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => setShowModal(false)} title="New Count">
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Location *</label>
+            <select className="form-control" value={form.locationId} onChange={(e) => setForm({ ...form, locationId: e.target.value })} required>
+              {locations.map((l) => <option key={l._id} value={l._id}>{l.name} ({l.code})</option>)}
+            </select>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Count *</label>
+              <select className="form-control" value={form.scope} onChange={(e) => setForm({ ...form, scope: e.target.value })}>
+                <option value="location">Everything at the location</option>
+                <option value="category">One category</option>
+                <option value="sample">Random sample</option>
+              </select>
+            </div>
+            {form.scope === 'category' && (
+              <div className="form-group">
+                <label>Category *</label>
+                <select className="form-control" value={form.category} onChange={(e) => setForm({ ...form, category: e.target.value })} required>
+                  <option value="">Select category</option>
+                  {categories.map((c) => <option key={c} value={c}>{c}</option>)}
+                </select>
+              </div>
+            )}
+            {form.scope === 'sample' && (
+              <div className="form-group">
+                <label>Sample Size *</label>
+                <input className="form-control" type="number" min="1" value={form.sampleSize}
+                  onChange={(e) => setForm({ ...form, sampleSize: parseInt(e.target.value) || 1 })} required />
+              </div>
+            )}
+          </div>
+          <div className="form-group">
+            <label>Notes</label>
+            <textarea className="form-control" rows="2" value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+          </div>
+          <p style={{ fontSize: '0.85rem', color: 'var(--gray-500)' }}>
+            Expected quantities are frozen when the count opens. Staff count blind.
+          </p>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => setShowModal(false)}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={creating}>{creating ? 'Opening...' : 'Open Count'}</button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Counts;
@@ -0,0 +1,531 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import {
+  customReportsAPI, productsAPI, locationsAPI, suppliersAPI, customersAPI, usersAPI,
+} from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { isManager } from '../utils/rbac';
+import Modal from '../components/Modal';
+import { Download, Play, Pencil, Trash2, X } from 'lucide-react';
+import { Tooltip } from 'react-tooltip';
+import toast from 'react-hot-toast';
+
+const emptyDefinition = {
+  dataset: 'order_lines', dimensions: [], measures: [], filters: [],
+  days: 30, from: '', to: '', sort: { by: '', dir: 'desc' }, limit: 500,
+};
+const emptySave = { name: '', description: '', sharedWith: [] };
+
+const OPS = {
+  number: [['eq', '='], ['ne', '≠'], ['gt', '>'], ['gte', '≥'], ['lt', '<'], ['lte', '≤']],
+  other: [['eq', 'is'], ['ne', 'is not']],
+};
+
+// Choices for id filters, so nobody has to paste ids
+const optionLoaders = {
+  product: () => productsAPI.getAll({ limit: 100 })
+    .then(({ data }) => data.products.map((p) => ({ value: p._id, label: p.name }))),
+  variant: () => productsAPI.getAll({ limit: 100 })
+    .then(({ data }) => data.products.flatMap((p) => (p.variants || []).map((v) => ({ value: v._id, label: `${p.name} · ${v.sku}` })))),
+  location: () => locationsAPI.getAll()
+    .then(({ data }) => data.locations.map((l) => ({ value: l._id, label: l.name }))),
+  supplier: () => suppliersAPI.getAll({ limit: 100 })
+    .then(({ data }) => data.suppliers.map((s) => ({ value: s._id, label: s.name }))),
+  customer: () => customersAPI.getAll({ limit: 100 })
+    .then(({ data }) => data.customers.map((c) => ({ value: c._id, label: c.name }))),
+  user: () => usersAPI.getAll()
+    .then(({ data }) => data.users.map((u) => ({ value: u._id, label: u.name }))),
+};
+
+const formatCell = (key, value) => {
+  if (typeof value !== 'number') return value ?? '—';
+  if (key === 'revenue' || key === 'cost') {
+    return `$${value.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+  }
+  return value.toLocaleString();
+};
+
+const saveFile = (data, headers, fallback) => {
+  const match = /filename="([^"]+)"/.exec(headers['content-disposition'] || '');
+  const url = URL.createObjectURL(data);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = match ? match[1] : fallback;
+  link.click();
+  URL.revokeObjectURL(url);
+};
+
+const CustomReports = () => {
+  const { user } = useAuth();
+  const canBuild = isManager(user);
+
+  const [datasets, setDatasets] = useState([]);
+  const [saved, setSaved] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [definition, setDefinition] = useState(emptyDefinition);
+  const [rangeMode, setRangeMode] = useState('days');
+  const [options, setOptions] = useState({});
+  const [current, setCurrent] = useState(null); // the saved report being viewed or edited
+  const [result, setResult] = useState(null);
+  const [running, setRunning] = useState(false);
+  const [showSave, setShowSave] = useState(false);
+  const [saveForm, setSaveForm] = useState(emptySave);
+
+  const dataset = datasets.find((d) => d.key === definition.dataset);
+
+  const fetchSaved = useCallback(async () => {
+    try {
+      const { data } = await customReportsAPI.getAll();
+      setSaved(data.reports);
+    } catch {
+      toast.error('Failed to load saved reports');
+    }
+  }, []);
+
+  useEffect(() => {
+    const load = async () => {
+      setLoading(true);
+      try {
+        if (canBuild) {
+          const { data } = await customReportsAPI.getCatalog();
+          setDatasets(data.datasets);
+        }
+        await fetchSaved();
+      } catch {
+        toast.error('Failed to load the report builder');
+      } finally {
+        setLoading(false);
+      }
+    };
+    load();
+  }, [canBuild, fetchSaved]);
+
+  const loadOptions = (key) => {
+    if (!optionLoaders[key] || options[key]) return;
+    setOptions((o) => ({ ...o, [key]: [] }));
+    optionLoaders[key]()
+      .then((list) => setOptions((o) => ({ ...o, [key]: list })))
+      .catch(() => {});
+  };
+
+  const update = (changes) => setDefinition((d) => ({ ...d, ...changes }));
+
+  const changeDataset = (key) => {
+    setDefinition({ ...emptyDefinition, dataset: key });
+    setResult(null);
+  };
+
+  const toggle = (list, key, max) => {
+    const selected = definition[list];
+    if (selected.includes(key)) {
+      update({ [list]: selected.filter((k) => k !== key) });
+    } else if (!max || selected.length < max) {
+      update({ [list]: [...selected, key] });
+    } else {
+      toast.error(`Pick at most ${max}`);
+    }
+  };
+
+  const setFilter = (i, changes) => {
+    const filters = definition.filters.map((f, idx) => (idx === i ? { ...f, ...changes } : f));
+    update({ filters });
+    if (changes.field) loadOptions(changes.field);
+  };
+
+  const payload = (d = definition) => ({
+    dataset: d.dataset,
+    dimensions: d.dimensions,
+    measures: d.measures,
+    filters: d.filters.filter((f) => f.field && f.value !== ''),
+    ...(dataset?.dated && (rangeMode === 'custom' ? { from: d.from, to: d.to } : { days: d.days })),
+    ...(d.sort.by && { sort: d.sort }),
+    limit: d.limit,
+  });
+
+  const handleRun = async () => {
+    if (definition.measures.length === 0) {
+      toast.error('Pick at least one measure');
+      return;
+    }
+    setRunning(true);
+    try {
+      const { data } = await customReportsAPI.run(payload());
+      setResult(data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to run report');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleDownload = async () => {
+    try {
+      const { data, headers } = current && !canBuild
+        ? await customReportsAPI.downloadSaved(current._id)
+        : await customReportsAPI.downloadRun(payload());
+      saveFile(data, headers, 'report.csv');
+    } catch {
+      toast.error('Failed to download CSV');
+    }
+  };
+
+  const openSaved = async (report) => {
+    setCurrent(report);
+    setResult(null);
+    if (canBuild) {
+      const d = report.definition;
+      setDefinition({
+        ...emptyDefinition,
+        ...d,
+        filters: d.filters || [],
+        from: d.from || '',
+        to: d.to || '',
+        days: d.days || 30,
+        sort: { by: d.sort?.by || '', dir: d.sort?.dir || 'desc' },
+      });
+      setRangeMode(d.from || d.to ? 'custom' : 'days');
+      (d.filters || []).forEach((f) => loadOptions(f.field));
+    }
+    setRunning(true);
+    try {
+      const { data } = await customReportsAPI.runSaved(report._id);
+      setResult(data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to run report');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const openSave = (asNew) => {
+    if (definition.measures.length === 0) {
+      toast.error('Pick at least one measure');
+      return;
+    }
+    if (asNew) setCurrent(null);
+    setSaveForm(!asNew && current
+      ? { name: current.name, description: current.description || '', sharedWith: current.sharedWith || [] }
+      : emptySave);
+    setShowSave(true);
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    try {
+      const body = { ...saveForm, definition: payload() };
+      const { data } = current
+        ? await customReportsAPI.update(current._id, body)
+        : await customReportsAPI.create(body);
+      setCurrent(data.report);
+      toast.success(current ? 'Report updated' : 'Report saved');
+      setShowSave(false);
+      fetchSaved();
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to save report');
+    }
+  };
+
+  const handleDelete = async (report) => {
+    if (!window.confirm(`Delete "${report.name}"?`)) return;
+    try {
+      await customReportsAPI.delete(report._id);
+      toast.success('Report deleted');
+      if (current?._id === report._id) setCurrent(null);
+      fetchSaved();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete');
+    }
+  };
+
+  const canChange = (report) => user?.role === 'owner' || report.createdBy?._id === user?.id;
+
+  if (loading) {
+    return <div className="loading-spinner"><div className="spinner" /></div>;
+  }
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Custom Reports</h2>
+        {result && (
+          <button className="btn btn-outline" onClick={handleDownload}>
+            <Download size={16} /> Download CSV
+          </button>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header"><h3>Saved Reports</h3></div>
+        {saved.length === 0 ? (
+          <div className="empty-state">
+            <h3>No saved reports</h3>
+            <p>{canBuild ? 'Build a report below and save it to run it again or share it.' : 'Reports shared with your role will appear here.'}</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr><th>Name</th><th>Dataset</th><th>Shared With</th><th>Created By</th><th>Actions</th></tr>
+              </thead>
+              <tbody>
+                {saved.map((r) => (
+                  <tr key={r._id} style={current?._id === r._id ? { background: 'var(--gray-50)' } : undefined}>
+                    <td>
+                      <strong>{r.name}</strong>
+                      {r.description && <div style={{ fontSize: 12, color: 'var(--gray-500)' }}>{r.description}</div>}
+                    </td>
+                    <td>{datasets.find((d) => d.key === r.definition.dataset)?.label || r.definition.dataset}</td>
+                    <td>
+                      {r.sharedWith?.length
+                        ? r.sharedWith.map((role) => <span key={role} className="badge badge-info" style={{ marginRight: 4 }}>{role}</span>)
+                        : <span className="badge badge-gray">Private</span>}
+                    </td>
+                    <td>{r.createdBy?.name || '—'}</td>
+                    <td>
+                      <div className="action-btns">
+                        <button className="table-action-btn" onClick={() => openSaved(r)}
+                          data-tooltip-id="table-tooltip" data-tooltip-content={canBuild ? 'Open' : 'Run'}>
+                          {canBuild ? <Pencil size={15} /> : <Play size={15} />}
+                        </button>
+                        {canBuild && canChange(r) && (
+                          <button className="table-action-btn delete" onClick={() => handleDelete(r)}
+                            data-tooltip-id="table-tooltip" data-tooltip-content="Delete">
+                            <Trash2 size={15} />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {canBuild && dataset && (
+        <div className="card">
+          <div className="card-header">
+            <h3>{current ? `Editing: ${current.name}` : 'Build a Report'}</h3>
+            {current && (
+              <button className="btn btn-outline btn-sm" onClick={() => { setCurrent(null); changeDataset(definition.dataset); }}>
+                New Report
+              </button>
+            )}
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label>Dataset</label>
+              <select className="form-control" value={definition.dataset} onChange={(e) => changeDataset(e.target.value)}>
+                {datasets.map((d) => <option key={d.key} value={d.key}>{d.label}</option>)}
+              </select>
+            </div>
+            {dataset.dated ? (
+              <div className="form-group">
+                <label>Period</label>
+                <div style={{ display: 'flex', gap: 8 }}>
+                  <select className="form-control" value={rangeMode === 'custom' ? 'custom' : definition.days}
+                    onChange={(e) => {
+                      if (e.target.value === 'custom') {
+                        setRangeMode('custom');
+                      } else {
+                        setRangeMode('days');
+                        update({ days: parseInt(e.target.value) });
+                      }
+                    }}>
+                    <option value={7}>Last 7 days</option>
+                    <option value={30}>Last 30 days</option>
+                    <option value={90}>Last 90 days</option>
+                    <option value={365}>Last 365 days</option>
+                    <option value="custom">Custom</option>
+                  </select>
+                  {rangeMode === 'custom' && (
+                    <>
+                      <input className="form-control" type="date" value={definition.from} onChange={(e) => update({ from: e.target.value })} />
+                      <input className="form-control" type="date" value={definition.to} onChange={(e) => update({ to: e.target.value })} />
+                    </>
+                  )}
+                </div>
+              </div>
+            ) : (
+              <div className="form-group">
+                <label>Period</label>
+                <p style={{ color: 'var(--gray-500)', margin: '8px 0 0' }}>Current stock; no date range</p>
+              </div>
+            )}
+          </div>
+
+          <div className="form-group">
+            <label>Group by (up to 3)</label>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12 }}>
+              {dataset.dimensions.map((d) => (
+                <label key={d.key} style={{ fontWeight: 'normal' }}>
+                  <input type="checkbox" checked={definition.dimensions.includes(d.key)} onChange={() => toggle('dimensions', d.key, 3)} />
+                  {' '}{d.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Measures *</label>
+            <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12 }}>
+              {dataset.measures.map((m) => (
+                <label key={m.key} style={{ fontWeight: 'normal' }}>
+                  <input type="checkbox" checked={definition.measures.includes(m.key)} onChange={() => toggle('measures', m.key)} />
+                  {' '}{m.label}
+                </label>
+              ))}
+            </div>
+          </div>
+
+          <div className="form-group">
+            <label>Filters</label>
+            {definition.filters.map((f, i) => {
+              const field = dataset.filters.find((x) => x.key === f.field);
+              const ops = field?.type === 'number' ? OPS.number : OPS.other;
+              return (
+                <div key={i} style={{ display: 'flex', gap: 8, marginBottom: 8 }}>
+                  <select className="form-control" style={{ width: 180 }} value={f.field}
+                    onChange={(e) => setFilter(i, { field: e.target.value, op: 'eq', value: '' })}>
+                    <option value="">Field...</option>
+                    {dataset.filters.map((x) => <option key={x.key} value={x.key}>{x.label}</option>)}
+                  </select>
+                  <select className="form-control" style={{ width: 100 }} value={f.op} onChange={(e) => setFilter(i, { op: e.target.value })}>
+                    {ops.map(([op, label]) => <option key={op} value={op}>{label}</option>)}
+                  </select>
+                  {field?.type === 'enum' || (field?.type === 'objectId' && options[f.field]) ? (
+                    <select className="form-control" value={f.value} onChange={(e) => setFilter(i, { value: e.target.value })}>
+                      <option value="">Select...</option>
+                      {(field.values ? field.values.map((v) => ({ value: v, label: v.replace(/_/g, ' ') })) : options[f.field])
+                        .map((o) => <option key={o.value} value={o.value}>{o.label}</option>)}
+                    </select>
+                  ) : (
+                    <input className="form-control" type={field?.type === 'number' ? 'number' : 'text'} value={f.value}
+                      placeholder={field?.type === 'objectId' ? 'ID' : 'Value'}
+                      onChange={(e) => setFilter(i, { value: e.target.value })} />
+                  )}
+                  <button className="table-action-btn delete" onClick={() => update({ filters: definition.filters.filter((_, idx) => idx !== i) })}>
+                    <X size={15} />
+                  </button>
+                </div>
+              );
+            })}
+            <button className="btn btn-outline btn-sm" disabled={definition.filters.length >= 10}
+              onClick={() => update({ filters: [...definition.filters, { field: '', op: 'eq', value: '' }] })}>
+              + Add Filter
+            </button>
+          </div>
+
+          <div className="form-row">
+            <div className="form-group">
+              <label>Sort by</label>
+              <div style={{ display: 'flex', gap: 8 }}>
+                <select className="form-control" value={definition.sort.by} onChange={(e) => update({ sort: { ...definition.sort, by: e.target.value } })}>
+                  <option value="">Default</option>
+                  {[...dataset.dimensions.filter((d) => definition.dimensions.includes(d.key)),
+                    ...dataset.measures.filter((m) => definition.measures.includes(m.key))]
+                    .map((c) => <option key={c.key} value={c.key}>{c.label}</option>)}
+                </select>
+                <select className="form-control" style={{ width: 130 }} value={definition.sort.dir}
+                  onChange={(e) => update({ sort: { ...definition.sort, dir: e.target.value } })}>
+                  <option value="desc">Descending</option>
+                  <option value="asc">Ascending</option>
+                </select>
+              </div>
+            </div>
+            <div className="form-group">
+              <label>Row limit</label>
+              <input className="form-control" type="number" min={1} max={5000} value={definition.limit}
+                onChange={(e) => update({ limit: parseInt(e.target.value) || 1 })} />
+            </div>
+          </div>
+
+          <div style={{ display: 'flex', gap: 8 }}>
+            <button className="btn btn-primary" onClick={handleRun} disabled={running}>
+              <Play size={16} /> {running ? 'Running...' : 'Run'}
+            </button>
+            {(!current || canChange(current)) && (
+              <button className="btn btn-outline" onClick={() => openSave(false)}>{current ? 'Update Saved Report' : 'Save Report'}</button>
+            )}
+            {current && <button className="btn btn-outline" onClick={() => openSave(true)}>Save as New</button>}
+          </div>
+        </div>
+      )}
+
+      {(running || result) && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Results</h3>
+            {result?.range && <span style={{ color: 'var(--gray-500)', fontSize: 13 }}>{result.range.from} to {result.range.to} ({result.range.timezone})</span>}
+          </div>
+          {running || !result ? (
+            <div className="loading-spinner"><div className="spinner" /></div>
+          ) : result.rows.length === 0 ? (
+            <div className="empty-state">
+              <h3>No rows</h3>
+              <p>Nothing matches this report's filters and period.</p>
+            </div>
+          ) : (
+            <>
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>{result.columns.map((c) => <th key={c.key}>{c.label}</th>)}</tr>
+                  </thead>
+                  <tbody>
+                    {result.rows.map((row, i) => (
+                      <tr key={i}>{result.columns.map((c) => <td key={c.key}>{formatCell(c.key, row[c.key])}</td>)}</tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+              {result.truncated && (
+                <p style={{ color: 'var(--gray-500)', fontSize: 13, marginTop: 8 }}>
+                  Showing the first {result.rows.length} rows. Raise the row limit or add filters to see the rest.
+                </p>
+              )}
+            </>
+          )}
+        </div>
+      )}
+
+      <Modal isOpen={showSave} onClose={() => setShowSave(false)} title={current ? 'Update Saved Report' : 'Save Report'}>
+        <form onSubmit={handleSave}>
+          <div className="form-group">
+            <label>Name *</label>
+            <input className="form-control" type="text" value={saveForm.name} onChange={(e) => setSaveForm({ ...saveForm, name: e.target.value })} required />
+          </div>
+          <div className="form-group">
+            <label>Description</label>
+            <textarea className="form-control" rows={2} value={saveForm.description}
+              onChange={(e) => setSaveForm({ ...saveForm, description: e.target.value })} />
+          </div>
+          <div className="form-group">
+            <label>Share with</label>
+            {['manager', 'staff'].map((role) => (
+              <label key={role} style={{ fontWeight: 'normal', marginRight: 16 }}>
+                <input type="checkbox" checked={saveForm.sharedWith.includes(role)}
+                  onChange={(e) => setSaveForm({
+                    ...saveForm,
+                    sharedWith: e.target.checked
+                      ? [...saveForm.sharedWith, role]
+                      : saveForm.sharedWith.filter((r) => r !== role),
+                  })} />
+                {' '}{role === 'manager' ? 'Managers' : 'Staff'}
+              </label>
+            ))}
+            <p style={{ fontSize: 12, color: 'var(--gray-500)', marginTop: 4 }}>Owners can see every saved report.</p>
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => setShowSave(false)}>Cancel</button>
+            <button type="submit" className="btn btn-primary">{current ? 'Update' : 'Save'}</button>
+          </div>
+        </form>
+      </Modal>
+      <Tooltip id="table-tooltip" place="top" />
+    </div>
+  );
+};
+
+export default CustomReports;
@@ -0,0 +1,187 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { customersAPI, ordersAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const statusBadge = (status) => {
+  const map = {
+    pending: 'badge-warning', confirmed: 'badge-info', processing: 'badge-info',
+    partially_shipped: 'badge-warning', shipped: 'badge-info', delivered: 'badge-success', cancelled: 'badge-danger',
+  };
+  return <span className={`badge ${map[status] || 'badge-gray'}`}>{status.replace('_', ' ')}</span>;
+};
+
+const formatAddress = (a) => [a.street, a.city, a.state, a.postalCode, a.country].filter(Boolean).join(', ');
+
+const CustomerDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const [customer, setCustomer] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [orders, setOrders] = useState([]);
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [loading, setLoading] = useState(true);
+
+  const fetchCustomer = useCallback(async () => {
+    try {
+      const { data } = await customersAPI.get(id);
+      setCustomer(data.customer);
+      setStats(data.stats);
+    } catch {
+      toast.error('Customer not found');
+      navigate('/customers');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, navigate]);
+
+  const fetchOrders = useCallback(async () => {
+    try {
+      const { data } = await ordersAPI.getAll({ customerId: id, page, limit: 10 });
+      setOrders(data.orders);
+      setTotalPages(data.pagination?.pages || 1);
+    } catch {
+      toast.error('Failed to load order history');
+    }
+  }, [id, page]);
+
+  useEffect(() => { fetchCustomer(); }, [fetchCustomer]);
+  useEffect(() => { fetchOrders(); }, [fetchOrders]);
+
+  if (loading) return <div className="loading-spinner"><div className="spinner" /></div>;
+  if (!customer) return null;
+
+  return (
+    <div>
+      <div className="page-header">
+        <div>
+          <button className="btn btn-outline btn-sm" onClick={() => navigate('/customers')} style={{ marginBottom: 8 }}>
+            ← Back to Customers
+          </button>
+          <h2>
+            {customer.name}
+            {!customer.isActive && <span className="badge badge-gray" style={{ marginLeft: 8 }}>inactive</span>}
+          </h2>
+        </div>
+      </div>
+
+      <div className="stat-grid">
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Orders</h4>
+            <div className="stat-value">{stats.orderCount}</div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Lifetime Value</h4>
+            <div className="stat-value">${stats.lifetimeValue.toFixed(2)}</div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Average Order Value</h4>
+            <div className="stat-value">${stats.averageOrderValue.toFixed(2)}</div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Customer Since</h4>
+            <div style={{ marginTop: 4 }}>
+              {new Date(stats.firstOrderAt || customer.createdAt).toLocaleDateString()}
+              {stats.lastOrderAt && (
+                <div style={{ fontSize: '0.8rem', color: 'var(--gray-500)' }}>
+                  Last order {new Date(stats.lastOrderAt).toLocaleDateString()}
+                </div>
+              )}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Details</h3>
+        </div>
+        <div className="form-row">
+          <div className="form-group">
+            <label>Email</label>
+            <div>{customer.email || '—'}</div>
+          </div>
+          <div className="form-group">
+            <label>Phone</label>
+            <div>{customer.phone || '—'}</div>
+          </div>
+          <div className="form-group">
+            <label>Tax ID</label>
+            <div>{customer.taxId || '—'}</div>
+          </div>
+          <div className="form-group">
+            <label>Tags</label>
+            <div>
+              {(customer.tags || []).length > 0
+                ? customer.tags.map((t) => <span key={t} className="badge badge-info" style={{ marginRight: 4 }}>{t}</span>)
+                : '—'}
+            </div>
+          </div>
+        </div>
+        {(customer.addresses || []).length > 0 && (
+          <div className="form-group">
+            <label>Addresses</label>
+            {customer.addresses.map((a) => (
+              <div key={a._id}>
+                {a.label && <strong>{a.label}: </strong>}
+                {formatAddress(a)}
+              </div>
+            ))}
+          </div>
+        )}
+        {customer.notes && (
+          <div className="form-group">
+            <label>Notes</label>
+            <p>{customer.notes}</p>
+          </div>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Order History</h3>
+        </div>
+        {orders.length === 0 ? (
+          <div className="empty-state"><p>No orders yet</p></div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr><th>Order #</th><th>Items</th><th>Total</th><th>Status</th><th>Date</th></tr>
+              </thead>
+              <tbody>
+                {orders.map((o) => (
+                  <tr key={o._id} style={{ cursor: 'pointer' }} onClick={() => navigate(`/orders/${o._id}`)}>
+                    <td><strong>{o.orderNumber}</strong></td>
+                    <td>{o.items?.length || 0}</td>
+                    <td>${o.totalAmount?.toFixed(2)}</td>
+                    <td>{statusBadge(o.status)}</td>
+                    <td>{new Date(o.createdAt).toLocaleDateString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="pagination">
+            <button className="btn btn-outline btn-sm" disabled={page === 1} onClick={() => setPage(page - 1)}>Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button className="btn btn-outline btn-sm" disabled={page === totalPages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default CustomerDetail;
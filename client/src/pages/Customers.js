@@ -0,0 +1,275 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { customersAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/rbac';
+import Modal from '../components/Modal';
+import { Eye, Pencil, Trash2, Plus, X } from 'lucide-react';
+import { Tooltip } from 'react-tooltip';
+import toast from 'react-hot-toast';
+
+const emptyAddress = { label: '', street: '', city: '', state: '', postalCode: '', country: '' };
+const emptyForm = { name: '', email: '', phone: '', taxId: '', tags: '', notes: '', addresses: [], isActive: true };
+
+const Customers = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [customers, setCustomers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [showModal, setShowModal] = useState(false);
+  const [editingCustomer, setEditingCustomer] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchCustomers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: 20 };
+      if (search) params.search = search;
+      const { data } = await customersAPI.getAll(params);
+      setCustomers(data.customers);
+      setTotalPages(data.pagination?.pages || 1);
+    } catch {
+      toast.error('Failed to load customers');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, search]);
+
+  useEffect(() => { fetchCustomers(); }, [fetchCustomers]);
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingCustomer(null);
+  };
+
+  const openCreate = () => { resetForm(); setShowModal(true); };
+  const openEdit = (c) => {
+    setEditingCustomer(c);
+    setForm({
+      name: c.name, email: c.email || '', phone: c.phone || '', taxId: c.taxId || '',
+      tags: (c.tags || []).join(', '), notes: c.notes || '', isActive: c.isActive !== false,
+      addresses: (c.addresses || []).map(({ _id, ...address }) => ({ ...emptyAddress, ...address })),
+    });
+    setShowModal(true);
+  };
+
+  const updateAddress = (idx, field, value) => {
+    const addresses = [...form.addresses];
+    addresses[idx] = { ...addresses[idx], [field]: value };
+    setForm({ ...form, addresses });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...form,
+      tags: form.tags.split(',').map((t) => t.trim()).filter(Boolean),
+    };
+    try {
+      if (editingCustomer) {
+        await customersAPI.update(editingCustomer._id, payload);
+        toast.success('Customer updated');
+      } else {
+        await customersAPI.create(payload);
+        toast.success('Customer created');
+      }
+      setShowModal(false);
+      resetForm();
+      fetchCustomers();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Operation failed');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this customer?')) return;
+    try {
+      await customersAPI.delete(id);
+      toast.success('Customer deleted');
+      fetchCustomers();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete');
+    }
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Customers</h2>
+        {hasPermission(user, 'customers:create') && <button className="btn btn-primary" onClick={openCreate}>+ Add Customer</button>}
+      </div>
+
+      <div className="card">
+        <div className="filter-bar">
+          <input type="text" placeholder="Search by name, email or phone..." value={search}
+            onChange={(e) => { setSearch(e.target.value); setPage(1); }} className="form-control search-input" />
+        </div>
+
+        {loading ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : customers.length === 0 ? (
+          <div className="empty-state"><h3>No customers found</h3><p>Customers are added here or when an order is placed with an email.</p></div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Name</th><th>Email</th><th>Phone</th><th>Tags</th>
+                  <th>Orders</th><th>Lifetime Value</th><th>Last Order</th><th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {customers.map((c) => (
+                  <tr key={c._id}>
+                    <td>
+                      <strong>{c.name}</strong>
+                      {!c.isActive && <span className="badge badge-gray" style={{ marginLeft: 6 }}>inactive</span>}
+                    </td>
+                    <td>{c.email || '—'}</td>
+                    <td>{c.phone || '—'}</td>
+                    <td>
+                      {(c.tags || []).length > 0
+                        ? c.tags.map((t) => <span key={t} className="badge badge-info" style={{ marginRight: 4 }}>{t}</span>)
+                        : '—'}
+                    </td>
+                    <td>{c.stats.orderCount}</td>
+                    <td>${c.stats.lifetimeValue.toFixed(2)}</td>
+                    <td>{c.stats.lastOrderAt ? new Date(c.stats.lastOrderAt).toLocaleDateString() : '—'}</td>
+                    <td>
+                      <div className="action-btns">
+                        <button className="table-action-btn view" onClick={() => navigate(`/customers/${c._id}`)}
+                          data-tooltip-id="table-tooltip" data-tooltip-content="View">
+                          <Eye size={15} />
+                        </button>
+                        {hasPermission(user, 'customers:edit') && (
+                          <button className="table-action-btn edit" onClick={() => openEdit(c)}
+                            data-tooltip-id="table-tooltip" data-tooltip-content="Edit">
+                            <Pencil size={15} />
+                          </button>
+                        )}
+                        {hasPermission(user, 'customers:delete') && c.stats.orderCount === 0 && (
+                          <button className="table-action-btn delete" onClick={() => handleDelete(c._id)}
+                            data-tooltip-id="table-tooltip" data-tooltip-content="Delete">
+                            <Trash2 size={15} />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="pagination">
+            <button className="btn btn-outline btn-sm" disabled={page === 1} onClick={() => setPage(page - 1)}>Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button className="btn btn-outline btn-sm" disabled={page === totalPages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        )}
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => { setShowModal(false); resetForm(); }}
+        title={editingCustomer ? 'Edit Customer' : 'Add Customer'}>
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Name *</label>
+            <input className="form-control" type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Email</label>
+              <input className="form-control" type="email" value={form.email} onChange={(e) => setForm({ ...form, email: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>Phone</label>
+              <input className="form-control" type="text" value={form.phone} onChange={(e) => setForm({ ...form, phone: e.target.value })} />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Tax ID</label>
+              <input className="form-control" type="text" value={form.taxId} onChange={(e) => setForm({ ...form, taxId: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>Tags</label>
+              <input className="form-control" type="text" value={form.tags} placeholder="e.g. wholesale, vip"
+                onChange={(e) => setForm({ ...form, tags: e.target.value })} />
+            </div>
+          </div>
+
+          <h4 style={{ marginTop: 16, marginBottom: 8 }}>Addresses</h4>
+          {form.addresses.map((address, idx) => (
+            <div key={idx} style={{ marginBottom: 12, paddingBottom: 12, borderBottom: '1px solid var(--gray-200)' }}>
+              <div className="form-row" style={{ alignItems: 'flex-end' }}>
+                <div className="form-group">
+                  <label>Label</label>
+                  <input className="form-control" type="text" value={address.label} placeholder="e.g. Billing"
+                    onChange={(e) => updateAddress(idx, 'label', e.target.value)} />
+                </div>
+                <button type="button" className="table-action-btn delete" style={{ marginBottom: 16 }}
+                  onClick={() => setForm({ ...form, addresses: form.addresses.filter((_, i) => i !== idx) })}>
+                  <X size={15} />
+                </button>
+              </div>
+              <div className="form-group">
+                <label>Street</label>
+                <input className="form-control" type="text" value={address.street} onChange={(e) => updateAddress(idx, 'street', e.target.value)} />
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>City</label>
+                  <input className="form-control" type="text" value={address.city} onChange={(e) => updateAddress(idx, 'city', e.target.value)} />
+                </div>
+                <div className="form-group">
+                  <label>State</label>
+                  <input className="form-control" type="text" value={address.state} onChange={(e) => updateAddress(idx, 'state', e.target.value)} />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Postal Code</label>
+                  <input className="form-control" type="text" value={address.postalCode} onChange={(e) => updateAddress(idx, 'postalCode', e.target.value)} />
+                </div>
+                <div className="form-group">
+                  <label>Country</label>
+                  <input className="form-control" type="text" value={address.country} onChange={(e) => updateAddress(idx, 'country', e.target.value)} />
+                </div>
+              </div>
+            </div>
+          ))}
+          <button type="button" className="btn btn-outline btn-sm" style={{ marginBottom: 16 }}
+            onClick={() => setForm({ ...form, addresses: [...form.addresses, emptyAddress] })}>
+            <Plus size={14} /> Add Address
+          </button>
+
+          <div className="form-group">
+            <label>Notes</label>
+            <textarea className="form-control" rows={3} value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+          </div>
+          {editingCustomer && (
+            <div className="form-group">
+              <label>
+                <input type="checkbox" checked={form.isActive}
+                  onChange={(e) => setForm({ ...form, isActive: e.target.checked })} />
+                {' '}Active
+              </label>
+            </div>
+          )}
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => { setShowModal(false); resetForm(); }}>Cancel</button>
+            <button type="submit" className="btn btn-primary">{editingCustomer ? 'Update' : 'Create'}</button>
+          </div>
+        </form>
+      </Modal>
+      <Tooltip id="table-tooltip" place="top" />
+    </div>
+  );
+};
+
+export default Customers;
@@ -1,53 +1,86 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { dashboardAPI } from '../services/api';
 import { useSocket } from '../context/SocketContext';
-import { Package, DollarSign, ShoppingCart, AlertTriangle } from 'lucide-react';
+import { Package, PackageCheck, DollarSign, ShoppingCart, AlertTriangle } from 'lucide-react';
 import {
   BarChart, Bar, XAxis, YAxis, CartesianGrid, Tooltip, Legend, ResponsiveContainer,
-  PieChart, Pie, Cell,
+  PieChart, Pie, Cell, LineChart, Line,
 } from 'recharts';
 
 const COLORS = ['#1a73e8', '#0f9d58', '#f9ab00', '#d93025', '#ab47bc'];
 
+const PRESETS = { 7: 'Last 7 days', 30: 'Last 30 days', 90: 'Last 90 days', 365: 'Last 12 months', custom: 'Custom range' };
+
+// Change against the previous period, e.g. "+12% vs previous"
+const Change = ({ current, previous }) => {
+  if (previous === undefined) return null;
+  if (!previous) return current > 0 ? <span style={{ color: 'var(--success)' }}> · new vs previous</span> : null;
+  const pct = Math.round(((current - previous) / previous) * 100);
+  const color = pct > 0 ? 'var(--success)' : pct < 0 ? 'var(--danger)' : 'var(--gray-500)';
+  return <span style={{ color }}> · {pct > 0 ? '+' : ''}{pct}% vs previous</span>;
+};
+
 const Dashboard = () => {
   const [summary, setSummary] = useState(null);
   const [topSellers, setTopSellers] = useState([]);
   const [movementData, setMovementData] = useState([]);
+  const [movementTotals, setMovementTotals] = useState(null);
+  const [returnRates, setReturnRates] = useState(null);
+  const [shrinkage, setShrinkage] = useState(null);
   const [loading, setLoading] = useState(true);
+  const [locations, setLocations] = useState([]);
+  const [locationId, setLocationId] = useState('');
+  const [preset, setPreset] = useState('30');
+  const [customRange, setCustomRange] = useState({ from: '', to: '' });
+  const [granularity, setGranularity] = useState('day');
+  const [sellerLimit, setSellerLimit] = useState(5);
   const { socket } = useSocket();
 
   const fetchData = useCallback(async () => {
+    const range = preset === 'custom'
+      ? { ...(customRange.from && { from: customRange.from }), ...(customRange.to && { to: customRange.to }) }
+      : { days: preset };
     try {
-      const [summaryRes, sellersRes, movementsRes] = await Promise.all([
-        dashboardAPI.getSummary(),
-        dashboardAPI.getTopSellers(),
-        dashboardAPI.getStockMovements(),
+      const [summaryRes, sellersRes, movementsRes, returnsRes, shrinkageRes] = await Promise.all([
+        dashboardAPI.getSummary({ ...range, granularity, ...(locationId && { locationId }) }),
+        dashboardAPI.getTopSellers({ ...range, limit: sellerLimit }),
+        dashboardAPI.getStockMovements({ ...range, granularity }),
+        dashboardAPI.getReturnRates(),
+        dashboardAPI.getShrinkage({ days: 30 }),
       ]);
       setSummary(summaryRes.data);
+      if (summaryRes.data.inventory?.byLocation) {
+        setLocations(summaryRes.data.inventory.byLocation);
+      }
       setTopSellers(sellersRes.data.topSellers || []);
       setMovementData(movementsRes.data.movements || []);
+      setMovementTotals({ current: movementsRes.data.totals, previous: movementsRes.data.previous?.totals });
+      setReturnRates(returnsRes.data);
+      setShrinkage(shrinkageRes.data);
     } catch (err) {
       console.error('Dashboard fetch error:', err);
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [locationId, preset, customRange, granularity, sellerLimit]);
 
   useEffect(() => {
     fetchData();
   }, [fetchData]);
 
-  // Refresh on real-time events
+  // Refresh whenever the server drops this tenant's cached figures; a burst
+  // of writes (a bulk adjustment, a batch of orders) only refetches once
   useEffect(() => {
     if (!socket) return;
-    const refresh = () => fetchData();
-    socket.on('stock:updated', refresh);
-    socket.on('order:created', refresh);
-    socket.on('order:cancelled', refresh);
+    let timer = null;
+    const refresh = () => {
+      clearTimeout(timer);
+      timer = setTimeout(fetchData, 500);
+    };
+    socket.on('dashboard:stale', refresh);
     return () => {
-      socket.off('stock:updated', refresh);
-      socket.off('order:created', refresh);
-      socket.off('order:cancelled', refresh);
+      clearTimeout(timer);
+      socket.off('dashboard:stale', refresh);
     };
   }, [socket, fetchData]);
 
@@ -55,10 +88,56 @@ const Dashboard = () => {
     return <div className="loading-spinner"><div className="spinner" /></div>;
   }
 
+  const rangeLabel = summary?.range
+    ? (preset === 'custom' ? `${summary.range.from} – ${summary.range.to}` : PRESETS[preset])
+    : '';
+
+  // Current and previous revenue side by side, matched period by period
+  const revenueData = (summary?.orders?.series || []).map((p, i) => ({
+    period: p.period,
+    revenue: p.revenue,
+    previous: summary.previous?.series?.[i]?.revenue,
+  }));
+
   return (
     <div>
       <div className="page-header">
         <h2>Dashboard</h2>
+        {locations.length > 1 && (
+          <select className="form-control" style={{ width: 'auto' }} value={locationId}
+            onChange={(e) => setLocationId(e.target.value)}>
+            <option value="">All Locations</option>
+            {locations.map((l) => <option key={l.locationId} value={l.locationId}>{l.name} ({l.code})</option>)}
+          </select>
+        )}
+      </div>
+
+      <div className="filter-bar">
+        <select className="form-control" style={{ width: 160 }} value={preset} onChange={(e) => setPreset(e.target.value)}>
+          {Object.entries(PRESETS).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+        </select>
+        {preset === 'custom' && (
+          <>
+            <input type="date" className="form-control" style={{ width: 170 }} value={customRange.from}
+              onChange={(e) => setCustomRange({ ...customRange, from: e.target.value })} />
+            <input type="date" className="form-control" style={{ width: 170 }} value={customRange.to}
+              onChange={(e) => setCustomRange({ ...customRange, to: e.target.value })} />
+          </>
+        )}
+        <select className="form-control" style={{ width: 130 }} value={granularity} onChange={(e) => setGranularity(e.target.value)}>
+          <option value="day">By day</option>
+          <option value="week">By week</option>
+          <option value="month">By month</option>
+        </select>
+        <select className="form-control" style={{ width: 130 }} value={sellerLimit}
+          onChange={(e) => setSellerLimit(parseInt(e.target.value))}>
+          {[5, 10, 20].map((n) => <option key={n} value={n}>Top {n}</option>)}
+        </select>
+        {summary?.range && (
+          <span style={{ fontSize: '0.8rem', color: 'var(--gray-500)', alignSelf: 'center' }}>
+            Times in {summary.range.timezone}
+          </span>
+        )}
       </div>
 
       {/* Stat Cards */}
@@ -77,16 +156,33 @@ const Dashboard = () => {
           <div className="stat-info">
             <h4>Inventory Value</h4>
             <div className="stat-value">${(summary?.inventory?.totalValue || 0).toLocaleString()}</div>
-            <div className="stat-sub">{(summary?.inventory?.totalStock || 0).toLocaleString()} units in stock</div>
+            <div className="stat-sub">
+              {(summary?.inventory?.totalStock || 0).toLocaleString()} units in stock
+              {summary?.inventory?.inTransit > 0 && ` | ${summary.inventory.inTransit.toLocaleString()} in transit`}
+            </div>
+          </div>
+        </div>
+
+        <div className="stat-card">
+          <div className="stat-icon blue"><PackageCheck size={24} /></div>
+          <div className="stat-info">
+            <h4>Available</h4>
+            <div className="stat-value">{(summary?.inventory?.available || 0).toLocaleString()}</div>
+            <div className="stat-sub">
+              {(summary?.inventory?.onHand || 0).toLocaleString()} on hand | {(summary?.inventory?.reserved || 0).toLocaleString()} reserved
+            </div>
           </div>
         </div>
 
         <div className="stat-card">
           <div className="stat-icon yellow"><ShoppingCart size={24} /></div>
           <div className="stat-info">
-            <h4>Orders (30d)</h4>
+            <h4>{locationId ? 'Orders Shipped Here' : 'Orders'}</h4>
             <div className="stat-value">{summary?.orders?.totalOrders || 0}</div>
-            <div className="stat-sub">${(summary?.orders?.totalRevenue || 0).toLocaleString()} revenue</div>
+            <div className="stat-sub">
+              ${(summary?.orders?.totalRevenue || 0).toLocaleString()} revenue
+              <Change current={summary?.orders?.totalRevenue || 0} previous={summary?.previous?.totalRevenue} />
+            </div>
           </div>
         </div>
 
@@ -101,10 +197,42 @@ const Dashboard = () => {
       </div>
 
       {/* Charts */}
+      <div className="card">
+        <div className="card-header">
+          <h3>Revenue ({rangeLabel})</h3>
+          {summary?.previous && (
+            <span className="badge badge-gray">
+              Previous period ${summary.previous.totalRevenue.toLocaleString()} · {summary.previous.totalOrders} orders
+            </span>
+          )}
+        </div>
+        <div className="chart-container">
+          <ResponsiveContainer width="100%" height="100%">
+            <LineChart data={revenueData}>
+              <CartesianGrid strokeDasharray="3 3" />
+              <XAxis dataKey="period" tick={{ fontSize: 12 }} />
+              <YAxis tick={{ fontSize: 12 }} />
+              <Tooltip />
+              <Legend />
+              <Line type="monotone" dataKey="revenue" stroke="#1a73e8" name="Revenue" dot={false} />
+              {summary?.previous && (
+                <Line type="monotone" dataKey="previous" stroke="#9aa0a6" strokeDasharray="4 4" name="Previous period" dot={false} />
+              )}
+            </LineChart>
+          </ResponsiveContainer>
+        </div>
+      </div>
+
       <div className="dashboard-grid">
         <div className="card">
           <div className="card-header">
-            <h3>Stock Movements (Last 7 Days)</h3>
+            <h3>Stock Movements ({rangeLabel})</h3>
+            {movementTotals?.previous && (
+              <span style={{ fontSize: '0.8rem', color: 'var(--gray-500)' }}>
+                {movementTotals.current.sale} sold
+                <Change current={movementTotals.current.sale} previous={movementTotals.previous.sale} />
+              </span>
+            )}
           </div>
           <div className="chart-container">
             <ResponsiveContainer width="100%" height="100%">
@@ -118,6 +246,7 @@ const Dashboard = () => {
                 <Bar dataKey="sale" fill="#1a73e8" name="Sales" />
                 <Bar dataKey="return" fill="#f9ab00" name="Returns" />
                 <Bar dataKey="adjustment" fill="#9aa0a6" name="Adjustments" />
+                <Bar dataKey="loss" fill="#d93025" name="Losses" />
               </BarChart>
             </ResponsiveContainer>
           </div>
@@ -125,7 +254,7 @@ const Dashboard = () => {
 
         <div className="card">
           <div className="card-header">
-            <h3>Top 5 Sellers (30 Days)</h3>
+            <h3>Top {sellerLimit} Sellers ({rangeLabel})</h3>
           </div>
           {topSellers.length > 0 ? (
             <>
@@ -164,7 +293,12 @@ const Dashboard = () => {
                     {topSellers.map((seller, i) => (
                       <tr key={i}>
                         <td>{seller.productName}</td>
-                        <td>{seller.totalQuantity}</td>
+                        <td>
+                          {seller.totalQuantity}
+                          <span style={{ fontSize: '0.75rem' }}>
+                            <Change current={seller.totalQuantity} previous={seller.previousQuantity} />
+                          </span>
+                        </td>
                         <td>${seller.totalRevenue?.toFixed(2)}</td>
                       </tr>
                     ))}
@@ -174,11 +308,129 @@ const Dashboard = () => {
             </>
           ) : (
             <div className="empty-state">
-              <p>No sales data in the last 30 days</p>
+              <p>No sales data in this period</p>
             </div>
           )}
         </div>
       </div>
+
+      {returnRates && returnRates.overall.unitsSold > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Return Rate by Product (90 Days)</h3>
+            <span className="badge badge-gray">
+              Overall {(returnRates.overall.returnRate * 100).toFixed(1)}% ({returnRates.overall.unitsReturned} of {returnRates.overall.unitsSold} units)
+            </span>
+          </div>
+          {returnRates.products.length > 0 ? (
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr>
+                    <th>Product</th>
+                    <th>Units Delivered</th>
+                    <th>Units Returned</th>
+                    <th>Return Rate</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {returnRates.products.map((p) => (
+                    <tr key={p._id}>
+                      <td>{p.productName}</td>
+                      <td>{p.unitsSold}</td>
+                      <td>{p.unitsReturned}</td>
+                      <td>
+                        <span className={`badge ${p.returnRate >= 0.1 ? 'badge-danger' : 'badge-warning'}`}>
+                          {(p.returnRate * 100).toFixed(1)}%
+                        </span>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="empty-state">
+              <p>No returns on orders delivered in the last 90 days</p>
+            </div>
+          )}
+        </div>
+      )}
+
+      {shrinkage && shrinkage.reasons.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Shrinkage by Reason (30 Days)</h3>
+            <span className="badge badge-gray">
+              {shrinkage.totals.unitsLost} units lost · ${shrinkage.totals.valueLost.toLocaleString()}
+            </span>
+          </div>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Reason</th>
+                  <th>Account</th>
+                  <th>Units Lost</th>
+                  <th>Value Lost</th>
+                  <th>Units Found</th>
+                  <th>Value Found</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shrinkage.reasons.map((r) => (
+                  <tr key={r.reasonCode || 'uncoded'}>
+                    <td>{r.name}</td>
+                    <td>{r.account || '—'}</td>
+                    <td>{r.unitsLost}</td>
+                    <td style={{ color: r.valueLost > 0 ? 'var(--danger)' : undefined }}>${r.valueLost.toLocaleString()}</td>
+                    <td>{r.unitsFound}</td>
+                    <td>${r.valueFound.toLocaleString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {!locationId && locations.length > 1 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Inventory by Location</h3>
+          </div>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Location</th>
+                  <th>On Hand</th>
+                  <th>Reserved</th>
+                  <th>Available</th>
+                  <th>Value</th>
+                  <th>Cost Value</th>
+                  <th>Low Stock</th>
+                </tr>
+              </thead>
+              <tbody>
+                {locations.map((l) => (
+                  <tr key={l.locationId} style={{ cursor: 'pointer' }} onClick={() => setLocationId(l.locationId)}>
+                    <td><strong>{l.name}</strong> <span className="badge badge-gray">{l.code}</span></td>
+                    <td>{l.totalStock.toLocaleString()}</td>
+                    <td>{(l.reserved || 0).toLocaleString()}</td>
+                    <td>{(l.available ?? l.totalStock).toLocaleString()}</td>
+                    <td>${l.totalValue.toLocaleString()}</td>
+                    <td>${l.totalCostValue.toLocaleString()}</td>
+                    <td>
+                      <span className={`badge ${l.lowStockItems > 0 ? 'badge-warning' : 'badge-success'}`}>{l.lowStockItems}</span>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
     </div>
   );
 };
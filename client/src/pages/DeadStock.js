@@ -0,0 +1,150 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { dashboardAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const BUCKETS = ['0-29', '30-59', '60-89', '90-179', '180+'];
+const money = (n) => `$${(n || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const date = (d) => (d ? new Date(d).toLocaleDateString() : 'Never');
+
+const DeadStock = () => {
+  const [days, setDays] = useState(90);
+  const [coverDays, setCoverDays] = useState(180);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await dashboardAPI.getDeadStock({ days, coverDays });
+      setReport(data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load dead stock');
+    } finally {
+      setLoading(false);
+    }
+  }, [days, coverDays]);
+
+  useEffect(() => { fetchReport(); }, [fetchReport]);
+
+  const rows = (report?.variants || []).filter((v) => !statusFilter || v.status === statusFilter);
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Dead Stock &amp; Slow Movers</h2>
+      </div>
+
+      <div className="card">
+        <div className="filter-bar">
+          <select className="form-control" style={{ width: 190 }} value={days} onChange={(e) => setDays(parseInt(e.target.value))}>
+            <option value={30}>No sales in 30 days</option>
+            <option value={60}>No sales in 60 days</option>
+            <option value={90}>No sales in 90 days</option>
+            <option value={180}>No sales in 180 days</option>
+            <option value={365}>No sales in 365 days</option>
+          </select>
+          <select className="form-control" style={{ width: 210 }} value={coverDays}
+            onChange={(e) => setCoverDays(parseInt(e.target.value))}>
+            <option value={90}>Slow: over 90 days of stock</option>
+            <option value={180}>Slow: over 180 days of stock</option>
+            <option value={365}>Slow: over 365 days of stock</option>
+          </select>
+          <select className="form-control" style={{ width: 150 }} value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)}>
+            <option value="">Dead and slow</option>
+            <option value="dead">Dead only</option>
+            <option value="slow">Slow only</option>
+          </select>
+        </div>
+
+        {loading || !report ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : (
+          <>
+            <div className="stat-grid">
+              <div className="stat-card">
+                <div className="stat-info">
+                  <h4>Variants</h4>
+                  <div className="stat-value">{report.totals.variants}</div>
+                </div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-info">
+                  <h4>Units on Hand</h4>
+                  <div className="stat-value">{report.totals.units.toLocaleString()}</div>
+                </div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-info">
+                  <h4>Value at Cost</h4>
+                  <div className="stat-value">{money(report.totals.value)}</div>
+                </div>
+              </div>
+            </div>
+
+            <div className="table-container" style={{ marginBottom: 16 }}>
+              <table>
+                <thead>
+                  <tr><th>Age (days since received)</th>{BUCKETS.map((b) => <th key={b}>{b}</th>)}</tr>
+                </thead>
+                <tbody>
+                  <tr>
+                    <td>Units</td>
+                    {BUCKETS.map((b) => <td key={b}>{report.totals.aging[b].units}</td>)}
+                  </tr>
+                  <tr>
+                    <td>Value</td>
+                    {BUCKETS.map((b) => <td key={b}>{money(report.totals.aging[b].value)}</td>)}
+                  </tr>
+                </tbody>
+              </table>
+            </div>
+
+            {rows.length === 0 ? (
+              <div className="empty-state">
+                <h3>Nothing sitting idle</h3>
+                <p>Every variant with stock has sold recently enough to clear it.</p>
+              </div>
+            ) : (
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Product</th><th>SKU</th><th>Status</th><th>On Hand</th><th>Value</th><th>Sold</th>
+                      <th>Last Sale</th><th>Last Movement</th><th>Oldest Units</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {rows.map((v) => {
+                      const oldest = [...BUCKETS].reverse().find((b) => v.aging[b].units > 0);
+                      return (
+                        <tr key={v.variantId}>
+                          <td>{v.product ? <Link to={`/products/${v.product._id}`}>{v.product.name}</Link> : '—'}</td>
+                          <td><span className="badge badge-gray">{v.sku}</span></td>
+                          <td>
+                            {v.status === 'dead'
+                              ? <span className="badge badge-danger">Dead</span>
+                              : <span className="badge badge-warning">Slow · {v.daysOfCover}d</span>}
+                          </td>
+                          <td>{v.stock}</td>
+                          <td>{money(v.value)}</td>
+                          <td>{v.unitsSold}</td>
+                          <td>{date(v.lastSaleAt)}</td>
+                          <td>{date(v.lastMovementAt)}</td>
+                          <td>{oldest ? `${v.aging[oldest].units} at ${oldest} days` : '—'}</td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default DeadStock;
@@ -0,0 +1,151 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { stockAPI, locationsAPI } from '../services/api';
+import { useSocket } from '../context/SocketContext';
+import { Eye } from 'lucide-react';
+import { Tooltip } from 'react-tooltip';
+import toast from 'react-hot-toast';
+
+const WINDOWS = [7, 30, 60, 90];
+
+const ExpiringLots = () => {
+  const navigate = useNavigate();
+  const { socket } = useSocket();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [days, setDays] = useState(30);
+  const [locations, setLocations] = useState([]);
+  const [locationFilter, setLocationFilter] = useState('');
+
+  const fetchReport = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { days };
+      if (locationFilter) params.locationId = locationFilter;
+      const { data } = await stockAPI.getExpiringLots(params);
+      setReport(data);
+    } catch {
+      toast.error('Failed to load expiring lots');
+    } finally {
+      setLoading(false);
+    }
+  }, [days, locationFilter]);
+
+  useEffect(() => { fetchReport(); }, [fetchReport]);
+
+  useEffect(() => {
+    locationsAPI.getAll({ active: 'true' }).then(({ data }) => setLocations(data.locations)).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    if (!socket) return;
+    const handler = () => fetchReport();
+    socket.on('stock:expiring', handler);
+    return () => { socket.off('stock:expiring', handler); };
+  }, [socket, fetchReport]);
+
+  const expiryBadge = (lot) => {
+    if (lot.expired) return <span className="badge badge-danger">Expired</span>;
+    if (lot.daysLeft <= 7) return <span className="badge badge-warning">{lot.daysLeft}d left</span>;
+    return <span className="badge badge-info">{lot.daysLeft}d left</span>;
+  };
+
+  const totals = report?.totals;
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Expiring Lots</h2>
+        <button className="btn btn-outline" onClick={fetchReport}>Refresh</button>
+      </div>
+
+      <div className="stat-grid">
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Lots Expiring</h4>
+            <div className="stat-value">{totals?.lots ?? 0}</div>
+            <p style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>{totals?.units ?? 0} units within {days} days</p>
+          </div>
+        </div>
+        <div className="stat-card" style={{ borderLeft: '4px solid var(--danger)' }}>
+          <div className="stat-info">
+            <h4>Already Expired</h4>
+            <div className="stat-value" style={{ color: 'var(--danger)' }}>{totals?.expiredLots ?? 0}</div>
+            <p style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>{totals?.expiredUnits ?? 0} units still on hand</p>
+          </div>
+        </div>
+        <div className="stat-card" style={{ borderLeft: '4px solid var(--warning)' }}>
+          <div className="stat-info">
+            <h4>Value at Risk</h4>
+            <div className="stat-value">${(totals?.value ?? 0).toLocaleString()}</div>
+            <p style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>At cost price</p>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="filter-bar">
+          <select className="form-control" value={days} onChange={(e) => setDays(parseInt(e.target.value))}>
+            {WINDOWS.map((d) => <option key={d} value={d}>Next {d} days</option>)}
+          </select>
+          {locations.length > 1 && (
+            <select className="form-control" value={locationFilter} onChange={(e) => setLocationFilter(e.target.value)}>
+              <option value="">All Locations</option>
+              {locations.map((l) => <option key={l._id} value={l._id}>{l.name} ({l.code})</option>)}
+            </select>
+          )}
+        </div>
+        {loading ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : report.lots.length === 0 ? (
+          <div className="empty-state">
+            <h3>Nothing expiring soon</h3>
+            <p>No lots in stock expire within the next {days} days.</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Expiry</th>
+                  <th>Lot</th>
+                  <th>Product</th>
+                  <th>SKU</th>
+                  {locations.length > 1 && <th>Location</th>}
+                  <th>On Hand</th>
+                  <th>Value</th>
+                  <th>Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {report.lots.map((lot) => (
+                  <tr key={lot._id}>
+                    <td>
+                      {new Date(lot.expiryDate).toLocaleDateString()}{' '}
+                      {expiryBadge(lot)}
+                    </td>
+                    <td><strong>{lot.lotNumber}</strong></td>
+                    <td>{lot.productId?.name || '—'}</td>
+                    <td><span className="badge badge-gray">{lot.variantId?.sku}</span></td>
+                    {locations.length > 1 && <td>{lot.locationId?.name}</td>}
+                    <td>{lot.quantity}</td>
+                    <td>${lot.value.toFixed(2)}</td>
+                    <td>
+                      <button className="table-action-btn view" onClick={() => navigate(`/products/${lot.productId?._id}`)}
+                        data-tooltip-id="table-tooltip" data-tooltip-content="View Product">
+                        <Eye size={15} />
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+      <Tooltip id="table-tooltip" place="top" />
+    </div>
+  );
+};
+
+export default ExpiringLots;
@@ -0,0 +1,201 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { locationsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/rbac';
+import Modal from '../components/Modal';
+import { Pencil, Trash2 } from 'lucide-react';
+import { Tooltip } from 'react-tooltip';
+import toast from 'react-hot-toast';
+
+const emptyForm = { name: '', code: '', address: '', isDefault: false, isActive: true };
+
+const Locations = () => {
+  const { user } = useAuth();
+  const [locations, setLocations] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editingLocation, setEditingLocation] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchLocations = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await locationsAPI.getAll();
+      setLocations(data.locations);
+    } catch {
+      toast.error('Failed to load locations');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchLocations(); }, [fetchLocations]);
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditingLocation(null);
+  };
+
+  const openCreate = () => { resetForm(); setShowModal(true); };
+  const openEdit = (l) => {
+    setEditingLocation(l);
+    setForm({ name: l.name, code: l.code, address: l.address || '', isDefault: l.isDefault, isActive: l.isActive });
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editingLocation) {
+        await locationsAPI.update(editingLocation._id, form);
+        toast.success('Location updated');
+      } else {
+        await locationsAPI.create(form);
+        toast.success('Location created');
+      }
+      setShowModal(false);
+      resetForm();
+      fetchLocations();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Operation failed');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this location?')) return;
+    try {
+      await locationsAPI.delete(id);
+      toast.success('Location deleted');
+      fetchLocations();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete');
+    }
+  };
+
+  const totalStock = locations.reduce((sum, l) => sum + l.totalStock, 0);
+  const totalValue = locations.reduce((sum, l) => sum + l.totalValue, 0);
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Locations</h2>
+        {hasPermission(user, 'locations:create') && <button className="btn btn-primary" onClick={openCreate}>+ Add Location</button>}
+      </div>
+
+      <div className="stat-grid">
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Locations</h4>
+            <div className="stat-value">{locations.length}</div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Units on Hand</h4>
+            <div className="stat-value">{totalStock.toLocaleString()}</div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Stock Value</h4>
+            <div className="stat-value">${totalValue.toLocaleString()}</div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        {loading ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : locations.length === 0 ? (
+          <div className="empty-state"><h3>No locations found</h3><p>Add your first warehouse to get started.</p></div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr><th>Code</th><th>Name</th><th>Address</th><th>SKUs</th><th>Units</th><th>Value</th><th>Status</th>{hasPermission(user, 'locations:edit') && <th>Actions</th>}</tr>
+              </thead>
+              <tbody>
+                {locations.map((l) => (
+                  <tr key={l._id}>
+                    <td><span className="badge badge-gray">{l.code}</span></td>
+                    <td>
+                      <strong>{l.name}</strong>
+                      {l.isDefault && <span className="badge badge-info" style={{ marginLeft: 8 }}>Default</span>}
+                    </td>
+                    <td>{l.address || '—'}</td>
+                    <td>{l.skuCount}</td>
+                    <td>{l.totalStock.toLocaleString()}</td>
+                    <td>${l.totalValue.toLocaleString()}</td>
+                    <td><span className={`badge ${l.isActive ? 'badge-success' : 'badge-gray'}`}>{l.isActive ? 'Active' : 'Inactive'}</span></td>
+                    {hasPermission(user, 'locations:edit') && (
+                      <td>
+                        <div className="action-btns">
+                          <button className="table-action-btn edit" onClick={() => openEdit(l)}
+                            data-tooltip-id="table-tooltip" data-tooltip-content="Edit">
+                            <Pencil size={15} />
+                          </button>
+                          {hasPermission(user, 'locations:delete') && !l.isDefault && (
+                            <button className="table-action-btn delete" onClick={() => handleDelete(l._id)}
+                              data-tooltip-id="table-tooltip" data-tooltip-content="Delete">
+                              <Trash2 size={15} />
+                            </button>
+                          )}
+                        </div>
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => { setShowModal(false); resetForm(); }}
+        title={editingLocation ? 'Edit Location' : 'Add Location'}>
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Name *</label>
+              <input className="form-control" type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+            </div>
+            <div className="form-group">
+              <label>Code *</label>
+              <input className="form-control" type="text" value={form.code} placeholder="e.g. WH-EAST"
+                onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })} required />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Address</label>
+            <textarea className="form-control" rows={2} value={form.address} onChange={(e) => setForm({ ...form, address: e.target.value })} />
+          </div>
+          {!editingLocation?.isDefault && (
+            <div className="form-row">
+              <div className="form-group">
+                <label>
+                  <input type="checkbox" checked={form.isDefault} onChange={(e) => setForm({ ...form, isDefault: e.target.checked })} />
+                  {' '}Default location
+                </label>
+              </div>
+              {editingLocation && (
+                <div className="form-group">
+                  <label>
+                    <input type="checkbox" checked={form.isActive} onChange={(e) => setForm({ ...form, isActive: e.target.checked })} />
+                    {' '}Active
+                  </label>
+                </div>
+              )}
+            </div>
+          )}
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => { setShowModal(false); resetForm(); }}>Cancel</button>
+            <button type="submit" className="btn btn-primary">{editingLocation ? 'Update' : 'Create'}</button>
+          </div>
+        </form>
+      </Modal>
+      <Tooltip id="table-tooltip" place="top" />
+    </div>
+  );
+};
+
+export default Locations;
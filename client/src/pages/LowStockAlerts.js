@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { stockAPI } from '../services/api';
+import { stockAPI, locationsAPI } from '../services/api';
 import { useSocket } from '../context/SocketContext';
 import { Eye } from 'lucide-react';
 import { Tooltip } from 'react-tooltip';
@@ -11,21 +11,29 @@ const LowStockAlerts = () => {
   const { socket } = useSocket();
   const [alerts, setAlerts] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [locations, setLocations] = useState([]);
+  const [locationFilter, setLocationFilter] = useState('');
 
   const fetchAlerts = useCallback(async () => {
     setLoading(true);
     try {
-      const { data } = await stockAPI.getLowStock();
+      const params = {};
+      if (locationFilter) params.locationId = locationFilter;
+      const { data } = await stockAPI.getLowStock(params);
       setAlerts(data.alerts || []);
     } catch {
       toast.error('Failed to load low stock alerts');
     } finally {
       setLoading(false);
     }
-  }, []);
+  }, [locationFilter]);
 
   useEffect(() => { fetchAlerts(); }, [fetchAlerts]);
 
+  useEffect(() => {
+    locationsAPI.getAll({ active: 'true' }).then(({ data }) => setLocations(data.locations)).catch(() => {});
+  }, []);
+
   useEffect(() => {
     if (!socket) return;
     const handler = () => fetchAlerts();
@@ -73,6 +81,14 @@ const LowStockAlerts = () => {
       </div>
 
       <div className="card">
+        {locations.length > 1 && (
+          <div className="filter-bar">
+            <select className="form-control" value={locationFilter} onChange={(e) => setLocationFilter(e.target.value)}>
+              <option value="">All Locations</option>
+              {locations.map((l) => <option key={l._id} value={l._id}>{l.name} ({l.code})</option>)}
+            </select>
+          </div>
+        )}
         {loading ? (
           <div className="loading-spinner"><div className="spinner" /></div>
         ) : alerts.length === 0 ? (
@@ -88,8 +104,12 @@ const LowStockAlerts = () => {
                   <th>Severity</th>
                   <th>Product</th>
                   <th>SKU</th>
-                  <th>Current Stock</th>
+                  <th>{locationFilter ? 'On Hand Here' : 'On Hand'}</th>
+                  <th>Reserved</th>
+                  <th>Available</th>
+                  {!locationFilter && locations.length > 1 && <th>By Location</th>}
                   <th>Threshold</th>
+                  <th>Runs Out</th>
                   <th>Pending PO Qty</th>
                   <th>Net After PO</th>
                   <th>Action</th>
@@ -97,20 +117,52 @@ const LowStockAlerts = () => {
               </thead>
               <tbody>
                 {alerts.map((item) => {
-                  const currentStock = item.stock ?? 0;
+                  const onHand = item.onHand ?? item.stock ?? 0;
+                  const currentStock = item.available ?? onHand;
                   const netAfterPO = currentStock + (item.pendingPOQuantity || 0);
-                  const stillLow = netAfterPO <= (item.lowStockThreshold || 10);
+                  const threshold = item.threshold ?? item.lowStockThreshold;
+                  const stillLow = netAfterPO <= threshold;
                   return (
                     <tr key={item._id}>
                       <td>{severityBadge(item.severity)}</td>
                       <td>{item.productId?.name || '—'}</td>
                       <td><span className="badge badge-gray">{item.sku}</span></td>
                       <td>
-                        <strong style={{ color: currentStock === 0 ? 'var(--danger)' : 'var(--warning)' }}>
+                        {onHand}
+                        {item.inTransit > 0 && (
+                          <div style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>+{item.inTransit} in transit</div>
+                        )}
+                      </td>
+                      <td>{item.reserved > 0 ? <span style={{ color: 'var(--info)' }}>{item.reserved}</span> : 0}</td>
+                      <td>
+                        <strong style={{ color: currentStock <= 0 ? 'var(--danger)' : 'var(--warning)' }}>
                           {currentStock}
                         </strong>
                       </td>
-                      <td>{item.lowStockThreshold}</td>
+                      {!locationFilter && locations.length > 1 && (
+                        <td style={{ fontSize: '0.8rem' }}>
+                          {item.locations?.length > 0
+                            ? item.locations
+                              .map((l) => `${l.code}: ${l.quantity}${l.reserved > 0 ? ` (${l.reserved} reserved)` : ''}`)
+                              .join(', ')
+                            : '—'}
+                        </td>
+                      )}
+                      <td>
+                        {threshold}
+                        {item.thresholdSource === 'forecast' && (
+                          <span className="badge badge-info" style={{ marginLeft: 6 }}
+                            data-tooltip-id="table-tooltip" data-tooltip-content={`Forecast reorder point (static threshold ${item.lowStockThreshold})`}>
+                            forecast
+                          </span>
+                        )}
+                      </td>
+                      <td>
+                        {item.stockoutDate ? new Date(`${item.stockoutDate}T00:00:00`).toLocaleDateString() : '—'}
+                        {item.daysOfCover !== null && item.daysOfCover !== undefined && (
+                          <div style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>{item.daysOfCover} days of cover</div>
+                        )}
+                      </td>
                       <td>
                         {item.pendingPOQuantity > 0 ? (
                           <span style={{ color: 'var(--info)' }}>+{item.pendingPOQuantity}</span>
@@ -143,8 +195,11 @@ const LowStockAlerts = () => {
           <h4 style={{ marginBottom: 8 }}>Understanding Alerts</h4>
           <ul style={{ paddingLeft: 20, color: 'var(--gray-600)', fontSize: '0.875rem', lineHeight: 1.8 }}>
             <li><strong>Critical:</strong> Stock is at zero — immediate action required.</li>
-            <li><strong>Warning:</strong> Stock is below the configured threshold.</li>
-            <li><strong>Pending PO Qty:</strong> Quantity from confirmed/sent purchase orders not yet received.</li>
+            <li><strong>Warning:</strong> Stock is below the threshold.</li>
+            <li><strong>Threshold:</strong> Variants with enough order history use their forecast reorder point (demand over the supplier lead time plus safety stock); others use their configured low stock threshold.</li>
+            <li><strong>Runs Out:</strong> The day available stock is projected to run out at forecast demand, ignoring pending POs.</li>
+            <li><strong>Reserved:</strong> Units on hand that are held for open orders. Alerts are based on what is still available.</li>
+            <li><strong>Pending PO Qty:</strong> Quantity from confirmed/sent purchase orders not yet received. When a location is selected, only POs receiving into it count.</li>
             <li><strong>Net After PO:</strong> Expected stock once pending POs are fully received. Shows "covered" if it will exceed the threshold.</li>
           </ul>
         </div>
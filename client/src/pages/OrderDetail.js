@@ -1,16 +1,81 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { useParams, useNavigate } from 'react-router-dom';
-import { ordersAPI } from '../services/api';
+import { useParams, useNavigate, Link } from 'react-router-dom';
+import { ordersAPI, returnsAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
-import { hasPermission } from '../utils/rbac';
+import { hasPermission, isManager } from '../utils/rbac';
+import { parseSerials } from '../utils/serials';
+import Modal from '../components/Modal';
+import { Printer } from 'lucide-react';
 import toast from 'react-hot-toast';
 
 const statusBadge = (status) => {
   const map = {
     pending: 'badge-warning', confirmed: 'badge-info', processing: 'badge-info',
-    shipped: 'badge-info', delivered: 'badge-success', cancelled: 'badge-danger',
+    partially_shipped: 'badge-warning', shipped: 'badge-info', delivered: 'badge-success', cancelled: 'badge-danger',
   };
-  return <span className={`badge ${map[status] || 'badge-gray'}`}>{status}</span>;
+  return <span className={`badge ${map[status] || 'badge-gray'}`}>{status.replace('_', ' ')}</span>;
+};
+
+const stockStatusLabel = {
+  reserved: 'Reserved', consumed: 'Shipped from stock', released: 'Released',
+};
+
+// Older orders have no quantityFulfilled: all of quantity was allocated
+const readyToShip = (item) => (item.quantityFulfilled ?? item.quantity) - (item.quantityShipped || 0);
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const printPackingSlip = (order, shipment) => {
+  const win = window.open('', '_blank', 'width=800,height=900');
+  if (!win) return toast.error('Allow pop-ups to print the packing slip');
+
+  const rows = shipment.items.map((item) => `
+    <tr><td>${escapeHtml(item.variantSku)}</td><td>${escapeHtml(item.productName)}${item.serialNumbers?.length
+    ? `<br><small>S/N: ${item.serialNumbers.map(escapeHtml).join(', ')}</small>` : ''}</td><td class="qty">${item.quantity}</td></tr>`).join('');
+  const weight = shipment.weight != null ? `${shipment.weight} ${shipment.weightUnit}` : '—';
+
+  win.document.write(`<!DOCTYPE html>
+<html><head><title>Packing Slip ${escapeHtml(shipment.shipmentNumber)}</title>
+<style>
+  body { font-family: Arial, sans-serif; color: #111; margin: 32px; }
+  h1 { font-size: 22px; margin: 0 0 4px; }
+  .meta { display: flex; justify-content: space-between; margin: 24px 0; font-size: 14px; line-height: 1.6; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { border-bottom: 1px solid #ccc; padding: 8px; text-align: left; }
+  .qty { text-align: right; }
+  .notes { margin-top: 24px; font-size: 13px; }
+</style></head>
+<body>
+  <h1>Packing Slip</h1>
+  <div>Shipment ${escapeHtml(shipment.shipmentNumber)} &middot; Order ${escapeHtml(order.orderNumber)}</div>
+  <div class="meta">
+    <div><strong>Ship to</strong><br />${escapeHtml(order.customerName || 'N/A')}<br />${escapeHtml(order.customerEmail)}</div>
+    <div>
+      <strong>Ship date:</strong> ${escapeHtml(new Date(shipment.shippedAt).toLocaleDateString())}<br />
+      <strong>Carrier:</strong> ${escapeHtml(shipment.carrier || '—')}<br />
+      <strong>Tracking #:</strong> ${escapeHtml(shipment.trackingNumber || '—')}<br />
+      <strong>Weight:</strong> ${escapeHtml(weight)}
+    </div>
+  </div>
+  <table>
+    <thead><tr><th>SKU</th><th>Item</th><th class="qty">Qty</th></tr></thead>
+    <tbody>${rows}</tbody>
+  </table>
+  ${shipment.notes ? `<div class="notes"><strong>Notes:</strong> ${escapeHtml(shipment.notes)}</div>` : ''}
+</body></html>`);
+  win.document.close();
+  win.focus();
+  win.print();
+};
+
+const returnReasons = [
+  ['damaged', 'Damaged'], ['defective', 'Defective'], ['wrong_item', 'Wrong item'],
+  ['not_as_described', 'Not as described'], ['unwanted', 'No longer wanted'], ['other', 'Other'],
+];
+
+const emptyShipment = {
+  carrier: '', trackingNumber: '', weight: '', weightUnit: 'kg', shippedAt: '', notes: '',
 };
 
 const OrderDetail = () => {
@@ -18,12 +83,22 @@ const OrderDetail = () => {
   const navigate = useNavigate();
   const { user } = useAuth();
   const [order, setOrder] = useState(null);
+  const [shipments, setShipments] = useState([]);
   const [loading, setLoading] = useState(true);
+  const [showShip, setShowShip] = useState(false);
+  const [shipLines, setShipLines] = useState([]);
+  const [shipForm, setShipForm] = useState(emptyShipment);
+  const [returns, setReturns] = useState([]);
+  const [showReturn, setShowReturn] = useState(false);
+  const [returnLines, setReturnLines] = useState([]);
+  const [returnNotes, setReturnNotes] = useState('');
 
   const fetchOrder = useCallback(async () => {
     try {
       const { data } = await ordersAPI.get(id);
       setOrder(data.order);
+      setShipments(data.shipments || []);
+      setReturns(data.returns || []);
     } catch (err) {
       toast.error('Order not found');
       navigate('/orders');
@@ -49,19 +124,137 @@ const OrderDetail = () => {
     if (reason === null) return; // User clicked Cancel on prompt
     try {
       await ordersAPI.cancel(id, { reason });
-      toast.success('Order cancelled, stock restored');
+      toast.success(order.stockStatus === 'reserved' ? 'Order cancelled, reservation released' : 'Order cancelled, stock restored');
       fetchOrder();
     } catch (err) {
       toast.error(err.response?.data?.error || 'Failed to cancel order');
     }
   };
 
+  const openShip = () => {
+    setShipLines(
+      order.items
+        .filter((item) => readyToShip(item) > 0)
+        .map((item) => ({
+          variantId: item.variantId,
+          productName: item.productName,
+          sku: item.variantSku,
+          ready: readyToShip(item),
+          quantity: readyToShip(item),
+          trackSerials: !!item.productId?.trackSerials,
+          serials: '',
+        }))
+    );
+    setShipForm(emptyShipment);
+    setShowShip(true);
+  };
+
+  const handleShip = async (e) => {
+    e.preventDefault();
+    const items = shipLines
+      .filter((line) => line.quantity > 0)
+      .map(({ variantId, quantity, trackSerials, serials }) => ({
+        variantId,
+        quantity,
+        ...(trackSerials && { serialNumbers: parseSerials(serials) }),
+      }));
+
+    if (items.length === 0) return toast.error('Enter quantities for at least one item');
+    const extra = items.find((it) => it.serialNumbers?.length > it.quantity);
+    if (extra) return toast.error('More serial numbers entered than units being shipped');
+
+    try {
+      const { data } = await ordersAPI.createShipment(id, {
+        items,
+        carrier: shipForm.carrier || undefined,
+        trackingNumber: shipForm.trackingNumber || undefined,
+        weight: shipForm.weight !== '' ? parseFloat(shipForm.weight) : undefined,
+        weightUnit: shipForm.weightUnit,
+        shippedAt: shipForm.shippedAt || undefined,
+        notes: shipForm.notes || undefined,
+      });
+      toast.success(`Shipment ${data.shipment.shipmentNumber} created`);
+      setShowShip(false);
+      fetchOrder();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to create shipment');
+    }
+  };
+
+  const openReturn = () => {
+    // Serials already sent back on an earlier return can't come back again
+    const returned = new Set(returns.flatMap((r) => r.items.flatMap((i) => i.serialNumbers || [])));
+    setReturnLines(
+      order.items
+        .filter((item) => item.quantity - (item.quantityReturned || 0) > 0)
+        .map((item) => ({
+          variantId: item.variantId,
+          productName: item.productName,
+          sku: item.variantSku,
+          returnable: item.quantity - (item.quantityReturned || 0),
+          quantity: 0,
+          reason: 'damaged',
+          disposition: 'restock',
+          shippedSerials: (item.serialNumbers || []).filter((s) => !returned.has(s)),
+          serials: [],
+        }))
+    );
+    setReturnNotes('');
+    setShowReturn(true);
+  };
+
+  const updateReturnLine = (idx, field, value) => {
+    const updated = [...returnLines];
+    updated[idx] = { ...updated[idx], [field]: value };
+    setReturnLines(updated);
+  };
+
+  const handleReturn = async (e) => {
+    e.preventDefault();
+    const items = returnLines
+      .filter((line) => line.quantity > 0)
+      .map(({
+        variantId, quantity, reason, disposition, serials,
+      }) => ({
+        variantId, quantity, reason, disposition, ...(serials.length > 0 && { serialNumbers: serials }),
+      }));
+
+    if (items.length === 0) return toast.error('Enter quantities for at least one item');
+    const extra = items.find((it) => it.serialNumbers?.length > it.quantity);
+    if (extra) return toast.error('More serials ticked than units being returned');
+
+    try {
+      const { data } = await returnsAPI.create({ orderId: id, items, notes: returnNotes || undefined });
+      toast.success(`Return ${data.returnAuthorization.rmaNumber} created`);
+      setShowReturn(false);
+      fetchOrder();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to create return');
+    }
+  };
+
   if (loading) return <div className="loading-spinner"><div className="spinner" /></div>;
   if (!order) return null;
 
+  // Shipping is done through shipments; the status follows them
   const nextStatus = {
-    pending: 'confirmed', confirmed: 'processing', processing: 'shipped', shipped: 'delivered',
+    pending: 'confirmed', confirmed: 'processing', shipped: 'delivered',
   };
+  const hasAllocation = (order.items || []).some((i) => i.quantityFulfilled !== undefined);
+  const canShip = ['pending', 'confirmed', 'processing', 'partially_shipped'].includes(order.status)
+    && (order.items || []).some((item) => readyToShip(item) > 0);
+  const shippingStarted = ['partially_shipped', 'shipped'].includes(order.status);
+  const hasReturns = (order.items || []).some((i) => i.quantityReturned > 0);
+  const canReturn = order.status === 'delivered'
+    && (order.items || []).some((item) => item.quantity - (item.quantityReturned || 0) > 0);
+
+  // Margin on what has shipped and was kept; lines shipped before costing have no cost of goods
+  const costedItems = (order.items || []).filter((i) => typeof i.costOfGoods === 'number');
+  const costedRevenue = costedItems.reduce(
+    (sum, i) => sum + i.unitPrice * ((i.quantityShipped || 0) - (i.quantityReturned || 0)), 0
+  );
+  const costOfGoods = costedItems.reduce((sum, i) => sum + i.costOfGoods, 0);
+  const grossMargin = costedRevenue - costOfGoods;
 
   return (
     <div>
@@ -72,6 +265,11 @@ const OrderDetail = () => {
           </button>
           <h2>Order {order.orderNumber}</h2>
         </div>
+        {canReturn && hasPermission(user, 'returns:create') && (
+          <div className="action-btns">
+            <button className="btn btn-outline" onClick={openReturn}>Create Return</button>
+          </div>
+        )}
         {!['cancelled', 'delivered'].includes(order.status) && (
           <div className="action-btns">
             {hasPermission(user, 'orders:edit') && nextStatus[order.status] && (
@@ -79,7 +277,10 @@ const OrderDetail = () => {
                 Mark as {nextStatus[order.status]}
               </button>
             )}
-            {hasPermission(user, 'orders:cancel') && (
+            {hasPermission(user, 'orders:edit') && canShip && (
+              <button className="btn btn-primary" onClick={openShip}>Create Shipment</button>
+            )}
+            {hasPermission(user, 'orders:cancel') && !shippingStarted && (
               <button className="btn btn-danger" onClick={handleCancel}>Cancel Order</button>
             )}
           </div>
@@ -99,15 +300,47 @@ const OrderDetail = () => {
             <div className="stat-value">${order.totalAmount?.toFixed(2)}</div>
           </div>
         </div>
+        {costedItems.length > 0 && isManager(user) && (
+          <div className="stat-card">
+            <div className="stat-info">
+              <h4>Gross Margin</h4>
+              <div className="stat-value">${grossMargin.toFixed(2)}</div>
+              <div style={{ fontSize: '0.8rem', color: 'var(--gray-500)' }}>
+                {costedRevenue > 0 ? `${((grossMargin / costedRevenue) * 100).toFixed(1)}%` : '—'}
+                {' '}· COGS ${costOfGoods.toFixed(2)}
+              </div>
+            </div>
+          </div>
+        )}
         <div className="stat-card">
           <div className="stat-info">
             <h4>Customer</h4>
             <div style={{ marginTop: 4 }}>
-              <strong>{order.customerName || 'N/A'}</strong><br />
+              {order.customerId ? (
+                <Link to={`/customers/${order.customerId}`}><strong>{order.customerName || 'N/A'}</strong></Link>
+              ) : (
+                <strong>{order.customerName || 'N/A'}</strong>
+              )}
+              <br />
               <span style={{ fontSize: '0.8rem', color: 'var(--gray-500)' }}>{order.customerEmail || ''}</span>
             </div>
           </div>
         </div>
+        {order.stockStatus && (
+          <div className="stat-card">
+            <div className="stat-info">
+              <h4>Stock</h4>
+              <div style={{ marginTop: 4 }}>
+                <strong>{stockStatusLabel[order.stockStatus]}</strong>
+                {order.stockStatus === 'reserved' && order.reservationExpiresAt && (
+                  <div style={{ fontSize: '0.8rem', color: 'var(--gray-500)' }}>
+                    Expires {new Date(order.reservationExpiresAt).toLocaleString()} unless confirmed
+                  </div>
+                )}
+              </div>
+            </div>
+          </div>
+        )}
         <div className="stat-card">
           <div className="stat-info">
             <h4>Created</h4>
@@ -134,6 +367,10 @@ const OrderDetail = () => {
                 <th>Product</th>
                 <th>SKU</th>
                 <th>Qty</th>
+                {hasAllocation && <th>Fulfilled</th>}
+                {hasAllocation && <th>Backordered</th>}
+                <th>Shipped</th>
+                {hasReturns && <th>Returned</th>}
                 <th>Unit Price</th>
                 <th>Total</th>
               </tr>
@@ -144,6 +381,22 @@ const OrderDetail = () => {
                   <td>{item.productName}</td>
                   <td><span className="badge badge-gray">{item.variantSku}</span></td>
                   <td>{item.quantity}</td>
+                  {hasAllocation && <td>{item.quantityFulfilled ?? item.quantity}</td>}
+                  {hasAllocation && (
+                    <td>
+                      {item.quantityBackordered > 0
+                        ? <span className="badge badge-warning">{item.quantityBackordered}</span>
+                        : 0}
+                    </td>
+                  )}
+                  <td>{item.quantityShipped || 0}</td>
+                  {hasReturns && (
+                    <td>
+                      {item.quantityReturned > 0
+                        ? <span className="badge badge-warning">{item.quantityReturned}</span>
+                        : 0}
+                    </td>
+                  )}
                   <td>${item.unitPrice?.toFixed(2)}</td>
                   <td><strong>${item.total?.toFixed(2)}</strong></td>
                 </tr>
@@ -151,7 +404,7 @@ const OrderDetail = () => {
             </tbody>
             <tfoot>
               <tr>
-                <td colSpan="4" style={{ textAlign: 'right', fontWeight: 600 }}>Total:</td>
+                <td colSpan={(hasAllocation ? 7 : 5) + (hasReturns ? 1 : 0)} style={{ textAlign: 'right', fontWeight: 600 }}>Total:</td>
                 <td><strong>${order.totalAmount?.toFixed(2)}</strong></td>
               </tr>
             </tfoot>
@@ -159,12 +412,239 @@ const OrderDetail = () => {
         </div>
       </div>
 
+      {shipments.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Shipments ({shipments.length})</h3>
+          </div>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Shipment #</th>
+                  <th>Shipped</th>
+                  <th>Items</th>
+                  <th>Carrier</th>
+                  <th>Tracking #</th>
+                  <th>Weight</th>
+                  <th>By</th>
+                  <th>Action</th>
+                </tr>
+              </thead>
+              <tbody>
+                {shipments.map((s) => (
+                  <tr key={s._id}>
+                    <td><strong>{s.shipmentNumber}</strong></td>
+                    <td>{new Date(s.shippedAt).toLocaleDateString()}</td>
+                    <td>
+                      {s.items.map((item, i) => (
+                        <div key={i} style={{ fontSize: '0.85rem' }}>
+                          {item.quantity} × <span className="badge badge-gray">{item.variantSku}</span>
+                          {item.serialNumbers?.length > 0 && (
+                            <span style={{ color: 'var(--gray-500)', marginLeft: 6 }}>S/N {item.serialNumbers.join(', ')}</span>
+                          )}
+                        </div>
+                      ))}
+                    </td>
+                    <td>{s.carrier || '—'}</td>
+                    <td>{s.trackingNumber || '—'}</td>
+                    <td>{s.weight != null ? `${s.weight} ${s.weightUnit}` : '—'}</td>
+                    <td>{s.createdBy?.name || '—'}</td>
+                    <td>
+                      <button className="btn btn-outline btn-sm" onClick={() => printPackingSlip(order, s)}>
+                        <Printer size={14} /> Packing Slip
+                      </button>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {returns.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Returns ({returns.length})</h3>
+          </div>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr><th>RMA</th><th>Date</th><th>Items</th><th>Status</th><th>By</th></tr>
+              </thead>
+              <tbody>
+                {returns.map((r) => (
+                  <tr key={r._id} style={{ cursor: 'pointer' }} onClick={() => navigate(`/returns/${r._id}`)}>
+                    <td><strong>{r.rmaNumber}</strong></td>
+                    <td>{new Date(r.createdAt).toLocaleDateString()}</td>
+                    <td>
+                      {r.items.map((item, i) => (
+                        <div key={i} style={{ fontSize: '0.85rem' }}>
+                          {item.quantity} × <span className="badge badge-gray">{item.variantSku}</span> — {item.disposition}
+                        </div>
+                      ))}
+                    </td>
+                    <td>
+                      <span className={`badge ${r.status === 'open' ? 'badge-warning' : 'badge-success'}`}>{r.status}</span>
+                    </td>
+                    <td>{r.createdBy?.name || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
       {order.notes && (
         <div className="card">
           <h3 style={{ marginBottom: 8 }}>Notes</h3>
           <p>{order.notes}</p>
         </div>
       )}
+
+      <Modal isOpen={showShip} onClose={() => setShowShip(false)} title="Create Shipment">
+        <form onSubmit={handleShip}>
+          <p style={{ marginBottom: 16, color: 'var(--gray-500)' }}>
+            Enter the quantity going out in this package. Anything left can go in a later shipment.
+          </p>
+          {shipLines.map((line, idx) => (
+            <div key={idx} className="form-row" style={{ alignItems: 'center', marginBottom: 8 }}>
+              <div style={{ flex: 2 }}>
+                <strong>{line.productName}</strong><br />
+                <span className="badge badge-gray">{line.sku}</span>
+                <span style={{ fontSize: '0.8rem', color: 'var(--gray-500)', marginLeft: 8 }}>
+                  (ready: {line.ready})
+                </span>
+              </div>
+              <div className="form-group" style={{ flex: 1, marginBottom: 0 }}>
+                <input type="number" min="0" max={line.ready}
+                  value={line.quantity}
+                  onChange={(e) => {
+                    const val = Math.min(parseInt(e.target.value) || 0, line.ready);
+                    const updated = [...shipLines];
+                    updated[idx] = { ...updated[idx], quantity: val };
+                    setShipLines(updated);
+                  }} />
+              </div>
+              {line.trackSerials && line.quantity > 0 && (
+                <div className="form-group" style={{ gridColumn: '1 / -1', marginBottom: 0 }}>
+                  <textarea className="form-control" rows="2" value={line.serials}
+                    placeholder="Serial numbers going out, one per line (leave blank to pick the longest held)"
+                    onChange={(e) => {
+                      const updated = [...shipLines];
+                      updated[idx] = { ...updated[idx], serials: e.target.value };
+                      setShipLines(updated);
+                    }} />
+                </div>
+              )}
+            </div>
+          ))}
+          <div className="form-row">
+            <div className="form-group">
+              <label>Carrier</label>
+              <input className="form-control" value={shipForm.carrier} maxLength={100}
+                onChange={(e) => setShipForm({ ...shipForm, carrier: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>Tracking Number</label>
+              <input className="form-control" value={shipForm.trackingNumber} maxLength={100}
+                onChange={(e) => setShipForm({ ...shipForm, trackingNumber: e.target.value })} />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Package Weight</label>
+              <input type="number" className="form-control" min="0" step="0.01" value={shipForm.weight}
+                onChange={(e) => setShipForm({ ...shipForm, weight: e.target.value })} />
+            </div>
+            <div className="form-group">
+              <label>Unit</label>
+              <select className="form-control" value={shipForm.weightUnit}
+                onChange={(e) => setShipForm({ ...shipForm, weightUnit: e.target.value })}>
+                <option value="kg">kg</option>
+                <option value="lb">lb</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Ship Date</label>
+              <input type="date" className="form-control" value={shipForm.shippedAt}
+                onChange={(e) => setShipForm({ ...shipForm, shippedAt: e.target.value })} />
+            </div>
+          </div>
+          <div className="form-group">
+            <label>Notes</label>
+            <textarea className="form-control" rows={2} value={shipForm.notes}
+              onChange={(e) => setShipForm({ ...shipForm, notes: e.target.value })} />
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => setShowShip(false)}>Cancel</button>
+            <button type="submit" className="btn btn-primary">Create Shipment</button>
+          </div>
+        </form>
+      </Modal>
+
+      <Modal isOpen={showReturn} onClose={() => setShowReturn(false)} title="Create Return">
+        <form onSubmit={handleReturn}>
+          <p style={{ marginBottom: 16, color: 'var(--gray-500)' }}>
+            Enter the quantity coming back for each item. Restocked units go back on sale, quarantined units are
+            held until inspected, and scrapped units are written off.
+          </p>
+          {returnLines.map((line, idx) => (
+            <div key={idx} style={{ marginBottom: 12 }}>
+              <div style={{ marginBottom: 4 }}>
+                <strong>{line.productName}</strong>{' '}
+                <span className="badge badge-gray">{line.sku}</span>
+                <span style={{ fontSize: '0.8rem', color: 'var(--gray-500)', marginLeft: 8 }}>
+                  (returnable: {line.returnable})
+                </span>
+              </div>
+              <div className="form-row" style={{ gap: 8 }}>
+                <div className="form-group" style={{ flex: 1, marginBottom: 0 }}>
+                  <input type="number" min="0" max={line.returnable} className="form-control"
+                    value={line.quantity}
+                    onChange={(e) => updateReturnLine(idx, 'quantity', Math.min(parseInt(e.target.value) || 0, line.returnable))} />
+                </div>
+                <div className="form-group" style={{ flex: 2, marginBottom: 0 }}>
+                  <select className="form-control" value={line.reason} onChange={(e) => updateReturnLine(idx, 'reason', e.target.value)}>
+                    {returnReasons.map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+                  </select>
+                </div>
+                <div className="form-group" style={{ flex: 2, marginBottom: 0 }}>
+                  <select className="form-control" value={line.disposition} onChange={(e) => updateReturnLine(idx, 'disposition', e.target.value)}>
+                    <option value="restock">Restock</option>
+                    <option value="quarantine">Quarantine</option>
+                    <option value="scrap">Scrap</option>
+                  </select>
+                </div>
+              </div>
+              {line.quantity > 0 && line.shippedSerials.length > 0 && (
+                <div style={{ display: 'flex', flexWrap: 'wrap', gap: 12, marginTop: 6, fontSize: '0.85rem' }}>
+                  <span style={{ color: 'var(--gray-500)' }}>Serials returned:</span>
+                  {line.shippedSerials.map((serial) => (
+                    <label key={serial} style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                      <input type="checkbox" checked={line.serials.includes(serial)}
+                        onChange={(e) => updateReturnLine(idx, 'serials', e.target.checked
+                          ? [...line.serials, serial]
+                          : line.serials.filter((s) => s !== serial))} />
+                      {serial}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+          <div className="form-group">
+            <label>Notes</label>
+            <textarea className="form-control" rows={2} value={returnNotes} onChange={(e) => setReturnNotes(e.target.value)} />
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => setShowReturn(false)}>Cancel</button>
+            <button type="submit" className="btn btn-primary">Create Return</button>
+          </div>
+        </form>
+      </Modal>
     </div>
   );
 };
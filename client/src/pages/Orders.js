@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { ordersAPI, productsAPI } from '../services/api';
+import { ordersAPI, productsAPI, locationsAPI, customersAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import { hasPermission } from '../utils/rbac';
 import { useSocket } from '../context/SocketContext';
@@ -12,9 +12,9 @@ import toast from 'react-hot-toast';
 const statusBadge = (status) => {
   const map = {
     pending: 'badge-warning', confirmed: 'badge-info', processing: 'badge-info',
-    shipped: 'badge-info', delivered: 'badge-success', cancelled: 'badge-danger',
+    partially_shipped: 'badge-warning', shipped: 'badge-info', delivered: 'badge-success', cancelled: 'badge-danger',
   };
-  return <span className={`badge ${map[status] || 'badge-gray'}`}>{status}</span>;
+  return <span className={`badge ${map[status] || 'badge-gray'}`}>{status.replace('_', ' ')}</span>;
 };
 
 const Orders = () => {
@@ -29,8 +29,10 @@ const Orders = () => {
   // Create order state
   const [showCreate, setShowCreate] = useState(false);
   const [products, setProducts] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [customers, setCustomers] = useState([]);
   const [orderForm, setOrderForm] = useState({
-    customerName: '', customerEmail: '', notes: '',
+    customerId: '', customerName: '', customerEmail: '', notes: '', locationId: '',
     items: [{ variantId: '', quantity: 1 }],
   });
   const [submitting, setSubmitting] = useState(false);
@@ -67,8 +69,14 @@ const Orders = () => {
 
   const openCreateModal = async () => {
     try {
-      const { data } = await productsAPI.getAll({ limit: 100 });
+      const [{ data }, { data: locData }, { data: custData }] = await Promise.all([
+        productsAPI.getAll({ limit: 100 }),
+        locationsAPI.getAll({ active: 'true' }),
+        customersAPI.getAll({ active: 'true', limit: 100 }),
+      ]);
       setProducts(data.products);
+      setLocations(locData.locations);
+      setCustomers(custData.customers);
       setShowCreate(true);
     } catch (err) {
       toast.error('Failed to load products');
@@ -95,15 +103,22 @@ const Orders = () => {
         setSubmitting(false);
         return;
       }
-      await ordersAPI.create({
+      const { data } = await ordersAPI.create({
         items,
-        customerName: orderForm.customerName,
-        customerEmail: orderForm.customerEmail,
+        ...(orderForm.customerId
+          ? { customerId: orderForm.customerId }
+          : { customerName: orderForm.customerName, customerEmail: orderForm.customerEmail }),
         notes: orderForm.notes,
+        locationId: orderForm.locationId || undefined,
       });
-      toast.success('Order created!');
+      const backordered = data.order.items.reduce((sum, i) => sum + (i.quantityBackordered || 0), 0);
+      if (backordered > 0) {
+        toast.success(`Order created with ${backordered} unit${backordered === 1 ? '' : 's'} backordered`);
+      } else {
+        toast.success('Order created!');
+      }
       setShowCreate(false);
-      setOrderForm({ customerName: '', customerEmail: '', notes: '', items: [{ variantId: '', quantity: 1 }] });
+      setOrderForm({ customerId: '', customerName: '', customerEmail: '', notes: '', locationId: '', items: [{ variantId: '', quantity: 1 }] });
       fetchOrders();
     } catch (err) {
       toast.error(err.response?.data?.error || 'Failed to create order');
@@ -122,8 +137,8 @@ const Orders = () => {
       <div className="filter-bar">
         <select className="form-control" value={statusFilter} onChange={(e) => setStatusFilter(e.target.value)} style={{ width: 180 }}>
           <option value="">All Statuses</option>
-          {['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'].map((s) => (
-            <option key={s} value={s}>{s.charAt(0).toUpperCase() + s.slice(1)}</option>
+          {['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled'].map((s) => (
+            <option key={s} value={s}>{s.charAt(0).toUpperCase() + s.slice(1).replace('_', ' ')}</option>
           ))}
         </select>
       </div>
@@ -158,7 +173,12 @@ const Orders = () => {
                     <td>{order.customerName || '-'}</td>
                     <td>{order.items?.length || 0} items</td>
                     <td><strong>${order.totalAmount?.toFixed(2)}</strong></td>
-                    <td>{statusBadge(order.status)}</td>
+                    <td>
+                      {statusBadge(order.status)}
+                      {order.items?.some((i) => i.quantityBackordered > 0) && (
+                        <span className="badge badge-warning" style={{ marginLeft: 4 }}>backordered</span>
+                      )}
+                    </td>
                     <td>{new Date(order.createdAt).toLocaleDateString()}</td>
                     <td>
                       <button className="table-action-btn view" onClick={() => navigate(`/orders/${order._id}`)}
@@ -197,18 +217,39 @@ const Orders = () => {
         }
       >
         <form onSubmit={handleCreateOrder}>
-          <div className="form-row">
-            <div className="form-group">
-              <label>Customer Name</label>
-              <input className="form-control" value={orderForm.customerName}
-                onChange={(e) => setOrderForm({ ...orderForm, customerName: e.target.value })} />
+          <div className="form-group">
+            <label>Customer</label>
+            <select className="form-control" value={orderForm.customerId}
+              onChange={(e) => setOrderForm({ ...orderForm, customerId: e.target.value })}>
+              <option value="">New customer</option>
+              {customers.map((c) => (
+                <option key={c._id} value={c._id}>{c.name}{c.email ? ` (${c.email})` : ''}</option>
+              ))}
+            </select>
+          </div>
+          {!orderForm.customerId && (
+            <div className="form-row">
+              <div className="form-group">
+                <label>Customer Name</label>
+                <input className="form-control" value={orderForm.customerName}
+                  onChange={(e) => setOrderForm({ ...orderForm, customerName: e.target.value })} />
+              </div>
+              <div className="form-group">
+                <label>Customer Email</label>
+                <input type="email" className="form-control" value={orderForm.customerEmail}
+                  onChange={(e) => setOrderForm({ ...orderForm, customerEmail: e.target.value })} />
+              </div>
             </div>
+          )}
+          {locations.length > 1 && (
             <div className="form-group">
-              <label>Customer Email</label>
-              <input type="email" className="form-control" value={orderForm.customerEmail}
-                onChange={(e) => setOrderForm({ ...orderForm, customerEmail: e.target.value })} />
+              <label>Ship From</label>
+              <select className="form-control" value={orderForm.locationId}
+                onChange={(e) => setOrderForm({ ...orderForm, locationId: e.target.value })}>
+                {locations.map((l) => <option key={l._id} value={l.isDefault ? '' : l._id}>{l.name} ({l.code})</option>)}
+              </select>
             </div>
-          </div>
+          )}
 
           <h4 style={{ fontSize: '0.9rem', margin: '16px 0 8px' }}>Order Items</h4>
           {orderForm.items.map((item, i) => (
@@ -224,7 +265,7 @@ const Orders = () => {
                   <option value="">Select...</option>
                   {allVariants.map((v) => (
                     <option key={v._id} value={v._id}>
-                      {v.productName} - {v.sku} (Stock: {v.stock}) - ${v.price}
+                      {v.productName} - {v.sku} (Available: {v.stock - (v.inTransit || 0) - (v.reserved || 0)}) - ${v.price}
                     </option>
                   ))}
                 </select>
@@ -1,13 +1,20 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { productsAPI, stockAPI } from '../services/api';
+import { productsAPI, stockAPI, locationsAPI, reasonCodesAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
-import { hasPermission } from '../utils/rbac';
+import { hasPermission, isManager } from '../utils/rbac';
+import { parseSerials } from '../utils/serials';
+import { stockThreshold } from '../utils/stock';
 import Modal from '../components/Modal';
-import { Package, DollarSign, Tag, PackagePlus, Trash2 } from 'lucide-react';
+import ClassBadge from '../components/ClassBadge';
+import { Package, DollarSign, Tag, PackagePlus, Trash2, Repeat } from 'lucide-react';
 import { Tooltip } from 'react-tooltip';
 import toast from 'react-hot-toast';
 
+const FORECAST_METHODS = { moving_average: '28-day average', seasonal_smoothing: 'Weekly seasonal' };
+
+const percent = (n) => (n === undefined || n === null ? '—' : `${Math.round(n * 100)}%`);
+
 const ProductDetail = () => {
   const { id } = useParams();
   const navigate = useNavigate();
@@ -15,9 +22,15 @@ const ProductDetail = () => {
   const [product, setProduct] = useState(null);
   const [loading, setLoading] = useState(true);
   const [showAdjust, setShowAdjust] = useState(false);
-  const [adjustForm, setAdjustForm] = useState({ variantId: '', quantity: '', type: 'adjustment', notes: '' });
+  const [adjustForm, setAdjustForm] = useState({ variantId: '', locationId: '', quantity: '', type: 'adjustment', reasonCode: '', unitCost: '', lotNumber: '', expiryDate: '', serials: '', notes: '' });
   const [showAddVariant, setShowAddVariant] = useState(false);
-  const [variantForm, setVariantForm] = useState({ sku: '', price: '', costPrice: '', stock: '0' });
+  const [variantForm, setVariantForm] = useState({ sku: '', price: '', costPrice: '', stock: '0', locationId: '', reorderPoint: '', reorderQuantity: '' });
+  const [reorderVariant, setReorderVariant] = useState(null);
+  const [reorderForm, setReorderForm] = useState({ reorderPoint: '', reorderQuantity: '' });
+  const [locations, setLocations] = useState([]);
+  const [reasonCodes, setReasonCodes] = useState([]);
+  const [lots, setLots] = useState([]);
+  const [forecasts, setForecasts] = useState([]);
   const [editing, setEditing] = useState(false);
   const [editForm, setEditForm] = useState({});
   const [submitting, setSubmitting] = useState(false);
@@ -29,7 +42,16 @@ const ProductDetail = () => {
       setEditForm({
         name: data.product.name, description: data.product.description || '',
         category: data.product.category || '', basePrice: data.product.basePrice,
+        trackLots: !!data.product.trackLots,
+        trackSerials: !!data.product.trackSerials,
       });
+      stockAPI.getForecast({ productId: id })
+        .then(({ data: f }) => setForecasts(f.forecasts))
+        .catch(() => {});
+      if (data.product.trackLots) {
+        const lotsRes = await stockAPI.getLots({ productId: id });
+        setLots(lotsRes.data.lots);
+      }
     } catch (err) {
       toast.error('Product not found');
       navigate('/products');
@@ -40,6 +62,13 @@ const ProductDetail = () => {
 
   useEffect(() => { fetchProduct(); }, [fetchProduct]);
 
+  useEffect(() => {
+    locationsAPI.getAll({ active: 'true' }).then(({ data }) => setLocations(data.locations)).catch(() => {});
+    reasonCodesAPI.getAll({ active: 'true' })
+      .then(({ data }) => setReasonCodes(data.reasonCodes.filter((r) => !r.system)))
+      .catch(() => {});
+  }, []);
+
   const handleUpdate = async () => {
     setSubmitting(true);
     try {
@@ -58,18 +87,24 @@ const ProductDetail = () => {
     e.preventDefault();
     setSubmitting(true);
     try {
-      await stockAPI.adjust({
+      const { status } = await stockAPI.adjust({
         variantId: adjustForm.variantId,
+        locationId: adjustForm.locationId || undefined,
         quantity: parseInt(adjustForm.quantity),
         type: adjustForm.type,
+        reasonCode: adjustForm.reasonCode,
+        unitCost: adjustForm.unitCost !== '' ? parseFloat(adjustForm.unitCost) : undefined,
+        lotNumber: adjustForm.lotNumber || undefined,
+        expiryDate: adjustForm.expiryDate || undefined,
+        serialNumbers: product.trackSerials && adjustForm.serials.trim() ? parseSerials(adjustForm.serials) : undefined,
         notes: adjustForm.notes,
       });
-      toast.success('Stock adjusted');
+      toast.success(status === 202 ? 'Sent for approval' : 'Stock adjusted');
       setShowAdjust(false);
-      setAdjustForm({ variantId: '', quantity: '', type: 'adjustment', notes: '' });
+      setAdjustForm({ variantId: '', locationId: '', quantity: '', type: 'adjustment', reasonCode: '', unitCost: '', lotNumber: '', expiryDate: '', serials: '', notes: '' });
       fetchProduct();
     } catch (err) {
-      toast.error(err.response?.data?.error || 'Failed to adjust stock');
+      toast.error(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to adjust stock');
     } finally {
       setSubmitting(false);
     }
@@ -84,10 +119,13 @@ const ProductDetail = () => {
         price: parseFloat(variantForm.price) || product.basePrice,
         costPrice: parseFloat(variantForm.costPrice) || 0,
         stock: parseInt(variantForm.stock) || 0,
+        locationId: variantForm.locationId || undefined,
+        reorderPoint: variantForm.reorderPoint !== '' ? parseInt(variantForm.reorderPoint) : undefined,
+        reorderQuantity: variantForm.reorderQuantity !== '' ? parseInt(variantForm.reorderQuantity) : undefined,
       });
       toast.success('Variant added');
       setShowAddVariant(false);
-      setVariantForm({ sku: '', price: '', costPrice: '', stock: '0' });
+      setVariantForm({ sku: '', price: '', costPrice: '', stock: '0', locationId: '', reorderPoint: '', reorderQuantity: '' });
       fetchProduct();
     } catch (err) {
       toast.error(err.response?.data?.error || 'Failed to add variant');
@@ -96,6 +134,40 @@ const ProductDetail = () => {
     }
   };
 
+  const openReorder = (v) => {
+    setReorderVariant(v);
+    setReorderForm({ reorderPoint: v.reorderPoint ?? '', reorderQuantity: v.reorderQuantity ?? '' });
+  };
+
+  const handleReorderSave = async (e) => {
+    e.preventDefault();
+    setSubmitting(true);
+    try {
+      // Blank clears the field so the defaults apply again
+      await productsAPI.updateVariant(reorderVariant._id, {
+        reorderPoint: reorderForm.reorderPoint !== '' ? parseInt(reorderForm.reorderPoint) : null,
+        reorderQuantity: reorderForm.reorderQuantity !== '' ? parseInt(reorderForm.reorderQuantity) : null,
+      });
+      toast.success('Reorder settings saved');
+      setReorderVariant(null);
+      fetchProduct();
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to save reorder settings');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleRecalculate = async () => {
+    try {
+      const { data } = await stockAPI.runForecast();
+      toast.success(`Forecasts updated for ${data.forecasted} variant${data.forecasted === 1 ? '' : 's'}`);
+      fetchProduct();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to recalculate forecasts');
+    }
+  };
+
   const handleDeleteVariant = async (variantId, sku) => {
     if (!window.confirm(`Delete variant ${sku}?`)) return;
     try {
@@ -111,6 +183,9 @@ const ProductDetail = () => {
   if (!product) return null;
 
   const totalStock = (product.variants || []).reduce((s, v) => s + v.stock, 0);
+  const adjustQty = parseInt(adjustForm.quantity);
+  const adjustLocationId = adjustForm.locationId || locations.find((l) => l.isDefault)?._id;
+  const adjustLots = lots.filter((l) => l.variantId?._id === adjustForm.variantId && l.locationId?._id === adjustLocationId);
   const totalValue = (product.variants || []).reduce((s, v) => s + v.stock * v.price, 0);
 
   return (
@@ -188,6 +263,20 @@ const ProductDetail = () => {
             <textarea className="form-control" rows={3} value={editForm.description}
               onChange={(e) => setEditForm({ ...editForm, description: e.target.value })} />
           </div>
+          <div className="form-group">
+            <label>
+              <input type="checkbox" checked={editForm.trackLots}
+                onChange={(e) => setEditForm({ ...editForm, trackLots: e.target.checked })} />
+              {' '}Track lots and expiry dates
+            </label>
+          </div>
+          <div className="form-group">
+            <label>
+              <input type="checkbox" checked={editForm.trackSerials}
+                onChange={(e) => setEditForm({ ...editForm, trackSerials: e.target.checked })} />
+              {' '}Track serial numbers
+            </label>
+          </div>
           <button className="btn btn-primary" onClick={handleUpdate} disabled={submitting}>
             {submitting ? 'Saving...' : 'Save Changes'}
           </button>
@@ -209,6 +298,8 @@ const ProductDetail = () => {
                 <th>Cost</th>
                 <th>Stock</th>
                 <th>Status</th>
+                <th>Reorder At</th>
+                <th>Class</th>
                 {hasPermission(user, 'products:delete') && <th>Actions</th>}
               </tr>
             </thead>
@@ -225,16 +316,42 @@ const ProductDetail = () => {
                   </td>
                   <td>${v.price?.toFixed(2)}</td>
                   <td>${v.costPrice?.toFixed(2)}</td>
-                  <td><strong>{v.stock}</strong></td>
+                  <td>
+                    <strong>{v.stock}</strong>
+                    {locations.length > 1 && v.stockByLocation?.length > 0 && (
+                      <div style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>
+                        {v.stockByLocation.map((l) => `${l.code}: ${l.quantity}`).join(' · ')}
+                      </div>
+                    )}
+                    {v.reserved > 0 && (
+                      <div style={{ fontSize: '0.75rem', color: 'var(--warning)' }}>{v.reserved} reserved</div>
+                    )}
+                    {v.inTransit > 0 && (
+                      <div style={{ fontSize: '0.75rem', color: 'var(--info)' }}>{v.inTransit} in transit</div>
+                    )}
+                  </td>
                   <td>
                     {v.stock <= 0 ? (
                       <span className="badge badge-danger">Out of Stock</span>
-                    ) : v.stock <= v.lowStockThreshold ? (
+                    ) : v.stock <= stockThreshold(v) ? (
                       <span className="badge badge-warning">Low Stock</span>
                     ) : (
                       <span className="badge badge-success">In Stock</span>
                     )}
                   </td>
+                  <td>
+                    {v.reorderPoint ?? stockThreshold(v)}
+                    {v.reorderQuantity && (
+                      <span style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}> · order {v.reorderQuantity}</span>
+                    )}
+                    {isManager(user) && (
+                      <button className="table-action-btn edit" onClick={() => openReorder(v)} style={{ marginLeft: 6 }}
+                        data-tooltip-id="table-tooltip" data-tooltip-content="Reorder Settings">
+                        <Repeat size={15} />
+                      </button>
+                    )}
+                  </td>
+                  <td>{v.classification ? <ClassBadge classification={v.classification} /> : '—'}</td>
                   {hasPermission(user, 'products:delete') && (
                     <td>
                       <button className="table-action-btn delete" onClick={() => handleDeleteVariant(v._id, v.sku)}
@@ -250,6 +367,106 @@ const ProductDetail = () => {
         </div>
       </div>
 
+      {/* Demand Forecast */}
+      <div className="card">
+        <div className="card-header">
+          <h3>Demand Forecast</h3>
+          {isManager(user) && <button className="btn btn-outline btn-sm" onClick={handleRecalculate}>Recalculate</button>}
+        </div>
+        {forecasts.every((f) => !f.forecast) ? (
+          <div className="empty-state">
+            <p>Not enough order history yet. Forecasts need four weeks of history and sales on at least four days; until then the low stock threshold applies.</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>SKU</th><th>Daily Demand</th><th>Days of Cover</th><th>Runs Out</th><th>Lead Time</th>
+                  <th>Safety Stock</th><th>Reorder Point</th><th>Method</th><th>Backtest Error</th>
+                </tr>
+              </thead>
+              <tbody>
+                {forecasts.map((f) => {
+                  const fc = f.forecast;
+                  if (!fc) {
+                    return (
+                      <tr key={f.variantId}>
+                        <td><strong>{f.sku}</strong></td>
+                        <td colSpan={8} style={{ color: 'var(--gray-500)' }}>Not enough history — threshold {f.threshold}</td>
+                      </tr>
+                    );
+                  }
+                  const chosen = fc.accuracy?.scores?.find((s) => s.method === fc.method);
+                  const other = fc.accuracy?.scores?.find((s) => s.method !== fc.method);
+                  return (
+                    <tr key={f.variantId}>
+                      <td><strong>{f.sku}</strong></td>
+                      <td>{fc.dailyDemand}/day</td>
+                      <td>{f.daysOfCover ?? '—'}</td>
+                      <td>
+                        {f.stockoutDate ? new Date(`${f.stockoutDate}T00:00:00`).toLocaleDateString() : '—'}
+                      </td>
+                      <td>{fc.leadTimeDays}d</td>
+                      <td>{fc.safetyStock}</td>
+                      <td><strong>{fc.reorderPoint}</strong></td>
+                      <td>{FORECAST_METHODS[fc.method] || fc.method}</td>
+                      <td>
+                        <span data-tooltip-id="table-tooltip"
+                          data-tooltip-content={`Last ${fc.accuracy.holdoutDays} days held out: MAE ${chosen?.mae}/day, bias ${percent(chosen?.bias)}${other ? `; ${FORECAST_METHODS[other.method]} MAE ${other.mae}/day` : ''}`}>
+                          {percent(chosen?.wape)}
+                        </span>
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* Lots */}
+      {product.trackLots && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Lots</h3>
+          </div>
+          {lots.length === 0 ? (
+            <div className="empty-state"><p>No lots in stock. Lots are recorded when purchase orders are received.</p></div>
+          ) : (
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr><th>Lot</th><th>SKU</th><th>Location</th><th>Expiry</th><th>On Hand</th><th>Received</th></tr>
+                </thead>
+                <tbody>
+                  {lots.map((l) => {
+                    const daysLeft = l.expiryDate ? Math.ceil((new Date(l.expiryDate) - Date.now()) / 86400000) : null;
+                    return (
+                      <tr key={l._id}>
+                        <td><strong>{l.lotNumber}</strong></td>
+                        <td>{l.variantId?.sku}</td>
+                        <td>{l.locationId?.name}</td>
+                        <td>
+                          {l.expiryDate ? new Date(l.expiryDate).toLocaleDateString() : '—'}
+                          {daysLeft !== null && daysLeft <= 0 && <span className="badge badge-danger" style={{ marginLeft: 6 }}>Expired</span>}
+                          {daysLeft !== null && daysLeft > 0 && daysLeft <= 30 && (
+                            <span className="badge badge-warning" style={{ marginLeft: 6 }}>{daysLeft}d left</span>
+                          )}
+                        </td>
+                        <td>{l.quantity}</td>
+                        <td>{new Date(l.receivedAt).toLocaleDateString()} <span style={{ color: 'var(--gray-500)' }}>{l.reference}</span></td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
       {/* Stock Adjustment Modal */}
       <Modal
         isOpen={showAdjust}
@@ -275,6 +492,23 @@ const ProductDetail = () => {
               ))}
             </select>
           </div>
+          {locations.length > 1 && (
+            <div className="form-group">
+              <label>Location</label>
+              <select className="form-control" value={adjustForm.locationId}
+                onChange={(e) => setAdjustForm({ ...adjustForm, locationId: e.target.value })}>
+                {locations.map((l) => {
+                  const variant = (product.variants || []).find((v) => v._id === adjustForm.variantId);
+                  const here = variant?.stockByLocation?.find((s) => s.locationId === l._id);
+                  return (
+                    <option key={l._id} value={l.isDefault ? '' : l._id}>
+                      {l.name}{variant ? ` (Current: ${here?.quantity || 0}${here?.reserved ? `, ${here.reserved} reserved` : ''})` : ''}
+                    </option>
+                  );
+                })}
+              </select>
+            </div>
+          )}
           <div className="form-row">
             <div className="form-group">
               <label>Quantity (+/-)</label>
@@ -290,10 +524,73 @@ const ProductDetail = () => {
               </select>
             </div>
           </div>
+          <div className="form-group">
+            <label>Reason</label>
+            <select className="form-control" value={adjustForm.reasonCode}
+              onChange={(e) => setAdjustForm({ ...adjustForm, reasonCode: e.target.value })} required>
+              <option value="">Select reason...</option>
+              {reasonCodes
+                .filter((r) => {
+                  const qty = parseInt(adjustForm.quantity);
+                  return !qty || r.direction === 'both' || (r.direction === 'increase') === (qty > 0);
+                })
+                .map((r) => (
+                  <option key={r._id} value={r.code}>
+                    {r.name}{r.requiresApproval && !isManager(user) ? ' (needs approval)' : ''}
+                  </option>
+                ))}
+            </select>
+          </div>
+          {product.trackLots && adjustQty > 0 && (
+            <div className="form-row">
+              <div className="form-group">
+                <label>Lot Number *</label>
+                <input className="form-control" value={adjustForm.lotNumber} maxLength={50} required
+                  onChange={(e) => setAdjustForm({ ...adjustForm, lotNumber: e.target.value })} />
+              </div>
+              <div className="form-group">
+                <label>Expiry Date</label>
+                <input type="date" className="form-control" value={adjustForm.expiryDate}
+                  onChange={(e) => setAdjustForm({ ...adjustForm, expiryDate: e.target.value })} />
+              </div>
+            </div>
+          )}
+          {product.trackLots && adjustQty < 0 && adjustLots.length > 0 && (
+            <div className="form-group">
+              <label>Lot</label>
+              <select className="form-control" value={adjustForm.lotNumber}
+                onChange={(e) => setAdjustForm({ ...adjustForm, lotNumber: e.target.value })}>
+                <option value="">First expiring first</option>
+                {adjustLots.map((l) => (
+                  <option key={l._id} value={l.lotNumber}>
+                    {l.lotNumber} ({l.quantity} left{l.expiryDate ? `, expires ${new Date(l.expiryDate).toLocaleDateString()}` : ''})
+                  </option>
+                ))}
+              </select>
+            </div>
+          )}
+          {product.trackSerials && adjustQty !== 0 && !Number.isNaN(adjustQty) && (
+            <div className="form-group">
+              <label>
+                Serial Numbers{adjustQty > 0 ? ` * (${parseSerials(adjustForm.serials).length} of ${adjustQty})` : ''}
+              </label>
+              <textarea className="form-control" rows="3" value={adjustForm.serials}
+                onChange={(e) => setAdjustForm({ ...adjustForm, serials: e.target.value })}
+                placeholder={adjustQty > 0 ? 'One per unit added, one per line' : 'Units being removed, one per line (leave blank for the longest held)'} />
+            </div>
+          )}
+          {adjustQty > 0 && (
+            <div className="form-group">
+              <label>Unit Cost</label>
+              <input type="number" step="0.01" min="0" className="form-control" value={adjustForm.unitCost}
+                onChange={(e) => setAdjustForm({ ...adjustForm, unitCost: e.target.value })}
+                placeholder="Defaults to the variant's cost price" />
+            </div>
+          )}
           <div className="form-group">
             <label>Notes</label>
             <input className="form-control" value={adjustForm.notes}
-              onChange={(e) => setAdjustForm({ ...adjustForm, notes: e.target.value })} placeholder="Reason for adjustment" />
+              onChange={(e) => setAdjustForm({ ...adjustForm, notes: e.target.value })} placeholder="Optional details" />
           </div>
         </form>
       </Modal>
@@ -330,13 +627,76 @@ const ProductDetail = () => {
                 onChange={(e) => setVariantForm({ ...variantForm, costPrice: e.target.value })} />
             </div>
           </div>
-          <div className="form-group">
-            <label>Initial Stock</label>
-            <input type="number" min="0" className="form-control" value={variantForm.stock}
-              onChange={(e) => setVariantForm({ ...variantForm, stock: e.target.value })} />
+          <div className="form-row">
+            <div className="form-group">
+              <label>Initial Stock</label>
+              <input type="number" min="0" className="form-control" value={variantForm.stock}
+                onChange={(e) => setVariantForm({ ...variantForm, stock: e.target.value })} />
+            </div>
+            {locations.length > 1 && (
+              <div className="form-group">
+                <label>Location</label>
+                <select className="form-control" value={variantForm.locationId}
+                  onChange={(e) => setVariantForm({ ...variantForm, locationId: e.target.value })}>
+                  {locations.map((l) => <option key={l._id} value={l.isDefault ? '' : l._id}>{l.name}</option>)}
+                </select>
+              </div>
+            )}
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Reorder Point</label>
+              <input type="number" min="0" className="form-control" value={variantForm.reorderPoint}
+                onChange={(e) => setVariantForm({ ...variantForm, reorderPoint: e.target.value })} placeholder="Low stock threshold" />
+            </div>
+            <div className="form-group">
+              <label>Reorder Quantity</label>
+              <input type="number" min="1" className="form-control" value={variantForm.reorderQuantity}
+                onChange={(e) => setVariantForm({ ...variantForm, reorderQuantity: e.target.value })} placeholder="Up to 2× reorder point" />
+            </div>
           </div>
         </form>
       </Modal>
+
+      {/* Reorder Settings Modal */}
+      <Modal
+        isOpen={!!reorderVariant}
+        onClose={() => setReorderVariant(null)}
+        title={reorderVariant ? `Reorder Settings — ${reorderVariant.sku}` : ''}
+        footer={
+          <>
+            <button className="btn btn-outline" onClick={() => setReorderVariant(null)}>Cancel</button>
+            <button className="btn btn-primary" onClick={handleReorderSave} disabled={submitting}>
+              {submitting ? 'Saving...' : 'Save'}
+            </button>
+          </>
+        }
+      >
+        {reorderVariant && (
+          <form onSubmit={handleReorderSave}>
+            <div className="form-row">
+              <div className="form-group">
+                <label>Reorder Point</label>
+                <input type="number" min="0" className="form-control" value={reorderForm.reorderPoint}
+                  onChange={(e) => setReorderForm({ ...reorderForm, reorderPoint: e.target.value })}
+                  placeholder={reorderVariant.forecast
+                    ? `${reorderVariant.forecast.reorderPoint} (forecast)`
+                    : `${reorderVariant.lowStockThreshold} (low stock threshold)`} />
+              </div>
+              <div className="form-group">
+                <label>Reorder Quantity</label>
+                <input type="number" min="1" className="form-control" value={reorderForm.reorderQuantity}
+                  onChange={(e) => setReorderForm({ ...reorderForm, reorderQuantity: e.target.value })}
+                  placeholder="Up to 2× reorder point" />
+              </div>
+            </div>
+            <p style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>
+              A reorder is suggested once available stock, plus units due on open POs, less backorders, falls to the
+              reorder point. It is ordered in lots of the reorder quantity from the preferred supplier.
+            </p>
+          </form>
+        )}
+      </Modal>
       <Tooltip id="table-tooltip" place="top" />
     </div>
   );
@@ -0,0 +1,397 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { importsAPI, locationsAPI } from '../services/api';
+import { useSocket } from '../context/SocketContext';
+import { Upload, ArrowLeft, CheckCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const ATTRIBUTE_PREFIX = 'attribute:';
+
+const actionBadges = {
+  create: <span className="badge badge-success">Create</span>,
+  update: <span className="badge badge-info">Update</span>,
+  error: <span className="badge badge-danger">Error</span>,
+};
+
+const statusBadges = {
+  uploaded: 'badge-gray',
+  queued: 'badge-warning',
+  running: 'badge-warning',
+  completed: 'badge-success',
+  failed: 'badge-danger',
+};
+
+// A mapping entry as the select value plus, for attributes, the attribute name
+const splitEntry = (entry) => (entry.startsWith(ATTRIBUTE_PREFIX)
+  ? { field: 'attribute', attribute: entry.slice(ATTRIBUTE_PREFIX.length) }
+  : { field: entry, attribute: '' });
+
+const ResultsTable = ({ results }) => (
+  <div className="table-container">
+    <table>
+      <thead>
+        <tr><th>Row</th><th>Product</th><th>SKU</th><th>Action</th><th>Notes</th></tr>
+      </thead>
+      <tbody>
+        {results.map((r) => (
+          <tr key={r.row}>
+            <td>{r.row}</td>
+            <td>
+              {r.productName || '—'}
+              {r.productAction === 'create' && <span className="badge badge-gray" style={{ marginLeft: 6 }}>New product</span>}
+            </td>
+            <td>{r.sku ? <span className="badge badge-gray">{r.sku}</span> : '—'}</td>
+            <td>{actionBadges[r.action]}</td>
+            <td style={{ fontSize: '0.85rem' }}>
+              {r.problems?.map((p) => <div key={p} style={{ color: 'var(--danger)' }}>{p}</div>)}
+              {r.warnings?.map((w) => <div key={w} style={{ color: '#b06000' }}>{w}</div>)}
+            </td>
+          </tr>
+        ))}
+      </tbody>
+    </table>
+  </div>
+);
+
+const ProductImport = () => {
+  const navigate = useNavigate();
+  const { socket } = useSocket();
+  const [file, setFile] = useState(null);
+  const [job, setJob] = useState(null);
+  const [fields, setFields] = useState([]);
+  const [mapping, setMapping] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [locationId, setLocationId] = useState('');
+  const [preview, setPreview] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [history, setHistory] = useState([]);
+  const [busy, setBusy] = useState(false);
+
+  const fetchHistory = useCallback(() => {
+    importsAPI.getAll().then(({ data }) => setHistory(data.imports)).catch(() => {});
+  }, []);
+
+  useEffect(() => {
+    fetchHistory();
+    locationsAPI.getAll({ active: 'true' }).then(({ data }) => setLocations(data.locations)).catch(() => {});
+  }, [fetchHistory]);
+
+  const openJob = useCallback(async (id) => {
+    try {
+      const { data } = await importsAPI.get(id);
+      setJob(data.import);
+      setFields(data.fields);
+      setMapping(data.import.mapping.length > 0 ? data.import.mapping : data.import.headers.map(() => ''));
+      setLocationId(data.import.locationId || '');
+      setPreview(null);
+      setProgress(['queued', 'running'].includes(data.import.status) ? {
+        processed: data.import.processed, total: data.import.total,
+      } : null);
+    } catch {
+      toast.error('Failed to load import');
+    }
+  }, []);
+
+  // Progress of the running job
+  useEffect(() => {
+    if (!socket || !job) return;
+    const onProgress = (data) => {
+      if (data.importId === job._id) setProgress(data);
+    };
+    const onCompleted = (data) => {
+      if (data.importId !== job._id) return;
+      if (data.error) toast.error(`Import failed: ${data.error}`);
+      else toast.success(`Import finished: ${data.created} created, ${data.updated} updated, ${data.failed} skipped`);
+      openJob(job._id);
+      fetchHistory();
+    };
+    socket.on('import:progress', onProgress);
+    socket.on('import:completed', onCompleted);
+    return () => {
+      socket.off('import:progress', onProgress);
+      socket.off('import:completed', onCompleted);
+    };
+  }, [socket, job, openJob, fetchHistory]);
+
+  const handleUpload = async (e) => {
+    e.preventDefault();
+    if (!file) return;
+    setBusy(true);
+    try {
+      const { data } = await importsAPI.upload(file);
+      setJob(data.import);
+      setFields(data.fields);
+      setMapping(data.mapping);
+      setPreview(null);
+      setProgress(null);
+      fetchHistory();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to read the file');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const setColumn = (index, entry) => {
+    setMapping((prev) => prev.map((m, i) => (i === index ? entry : m)));
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setBusy(true);
+    try {
+      const { data } = await importsAPI.preview(job._id, { mapping, locationId: locationId || undefined });
+      setPreview(data);
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to preview the import');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const handleRun = async () => {
+    const { summary } = preview;
+    const skipped = summary.error > 0 ? ` ${summary.error} row(s) with errors will be skipped.` : '';
+    if (!window.confirm(`Create ${summary.create} and update ${summary.update} variant(s)?${skipped}`)) return;
+
+    setBusy(true);
+    try {
+      const { data } = await importsAPI.run(job._id);
+      setJob((prev) => ({ ...prev, status: data.import.status }));
+      setProgress({ processed: 0, total: job.total });
+      fetchHistory();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to start the import');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const reset = () => {
+    setJob(null);
+    setFile(null);
+    setPreview(null);
+    setProgress(null);
+  };
+
+  const renderMapping = () => (
+    <div className="card">
+      <div className="card-header">
+        <h3>Map Columns</h3>
+        <span style={{ fontSize: '0.85rem', color: 'var(--gray-500)' }}>
+          {job.fileName} · {job.total} row(s)
+        </span>
+      </div>
+      <p style={{ fontSize: '0.85rem', color: 'var(--gray-600)', marginBottom: 12 }}>
+        Each row is a variant; rows with the same product name become one product. Rows are matched to
+        existing variants by SKU, which updates them, and opening stock only applies to new variants.
+      </p>
+      <div className="table-container">
+        <table>
+          <thead>
+            <tr><th>Column</th><th>Sample</th><th>Imports as</th></tr>
+          </thead>
+          <tbody>
+            {job.headers.map((header, i) => {
+              const { field, attribute } = splitEntry(mapping[i] || '');
+              return (
+                <tr key={header}>
+                  <td><strong>{header}</strong></td>
+                  <td style={{ fontSize: '0.85rem', color: 'var(--gray-600)' }}>
+                    {job.rows.map((row) => row[i]).filter(Boolean).slice(0, 3).join(', ') || '—'}
+                  </td>
+                  <td>
+                    <div style={{ display: 'flex', gap: 8 }}>
+                      <select className="form-control" value={field}
+                        onChange={(e) => setColumn(i, e.target.value === 'attribute'
+                          ? `${ATTRIBUTE_PREFIX}${header.toLowerCase().replace(/[.$]/g, '')}`
+                          : e.target.value)}>
+                        <option value="">Don&apos;t import</option>
+                        {fields.map((f) => (
+                          <option key={f.key} value={f.key}>{f.label}{f.required ? ' *' : ''}</option>
+                        ))}
+                        <option value="attribute">Variant attribute</option>
+                      </select>
+                      {field === 'attribute' && (
+                        <input className="form-control" type="text" value={attribute} placeholder="e.g. size"
+                          onChange={(e) => setColumn(i, `${ATTRIBUTE_PREFIX}${e.target.value}`)} />
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      <div className="form-row" style={{ marginTop: 16, alignItems: 'flex-end' }}>
+        <div className="form-group">
+          <label>Opening stock location</label>
+          <select className="form-control" value={locationId} onChange={(e) => { setLocationId(e.target.value); setPreview(null); }}>
+            <option value="">Default location</option>
+            {locations.map((l) => <option key={l._id} value={l._id}>{l.name}</option>)}
+          </select>
+        </div>
+        <div className="form-group">
+          <button className="btn btn-primary" onClick={handlePreview} disabled={busy}>
+            {busy && !preview ? 'Checking...' : 'Preview Import'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+
+  const renderPreview = () => (
+    <>
+      <div className="stat-grid">
+        {[
+          ['Variants to Create', preview.summary.create],
+          ['Variants to Update', preview.summary.update],
+          ['New Products', preview.summary.newProducts],
+          ['Rows with Errors', preview.summary.error],
+        ].map(([label, value]) => (
+          <div className="stat-card" key={label}>
+            <div className="stat-info">
+              <h4>{label}</h4>
+              <div className="stat-value">{value}</div>
+            </div>
+          </div>
+        ))}
+      </div>
+      <div className="card">
+        <div className="card-header">
+          <h3>Preview</h3>
+          <button className="btn btn-primary" onClick={handleRun}
+            disabled={busy || preview.summary.create + preview.summary.update === 0}>
+            {busy ? 'Starting...' : 'Run Import'}
+          </button>
+        </div>
+        <ResultsTable results={preview.results} />
+      </div>
+    </>
+  );
+
+  const renderProgress = () => {
+    const percent = progress.total > 0 ? Math.round((progress.processed / progress.total) * 100) : 0;
+    return (
+      <div className="card">
+        <div className="card-header">
+          <h3>Importing {job.fileName}</h3>
+          <span style={{ fontSize: '0.85rem', color: 'var(--gray-500)' }}>
+            {progress.processed} of {progress.total} row(s)
+          </span>
+        </div>
+        <div style={{ height: 8, borderRadius: 4, background: 'var(--gray-200)', overflow: 'hidden' }}>
+          <div style={{ width: `${percent}%`, height: '100%', background: 'var(--primary)', transition: 'width 0.3s' }} />
+        </div>
+        {progress.created !== undefined && (
+          <p style={{ fontSize: '0.85rem', color: 'var(--gray-600)', marginTop: 12 }}>
+            {progress.created} created · {progress.updated} updated · {progress.failed} skipped
+          </p>
+        )}
+      </div>
+    );
+  };
+
+  const renderResults = () => (
+    <div className="card">
+      <div className="card-header">
+        <h3>{job.status === 'failed' ? 'Import Failed' : 'Import Complete'}</h3>
+        <span style={{ fontSize: '0.85rem', color: 'var(--gray-500)' }}>
+          {job.created} created · {job.updated} updated · {job.failed} skipped
+        </span>
+      </div>
+      {job.error && <p style={{ color: 'var(--danger)' }}>{job.error}</p>}
+      {job.results?.length > 0 && <ResultsTable results={job.results} />}
+      {job.status === 'completed' && job.failed === 0 && (
+        <div className="empty-state">
+          <CheckCircle size={32} style={{ color: 'var(--success)' }} />
+          <p>Every row was imported</p>
+        </div>
+      )}
+    </div>
+  );
+
+  const renderStep = () => {
+    if (progress) return renderProgress();
+    if (job.status === 'completed' || job.status === 'failed') return renderResults();
+    return (
+      <>
+        {renderMapping()}
+        {preview && renderPreview()}
+      </>
+    );
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Import Products</h2>
+        <button className="btn btn-outline" onClick={() => (job ? reset() : navigate('/products'))}>
+          <ArrowLeft size={16} /> {job ? 'New Import' : 'Products'}
+        </button>
+      </div>
+
+      {job ? renderStep() : (
+        <>
+          <div className="card">
+            <div className="card-header">
+              <h3>Upload File</h3>
+            </div>
+            <p style={{ fontSize: '0.85rem', color: 'var(--gray-600)', marginBottom: 12 }}>
+              A CSV or XLSX file with a header row and one row per variant, up to 5,000 rows. Columns are mapped
+              to product fields in the next step, and nothing is imported until you have previewed it.
+            </p>
+            <form onSubmit={handleUpload} style={{ display: 'flex', gap: 12, alignItems: 'center' }}>
+              <input className="form-control" type="file" accept=".csv,.xlsx"
+                onChange={(e) => setFile(e.target.files[0] || null)} />
+              <button className="btn btn-primary" type="submit" disabled={!file || busy}>
+                <Upload size={16} /> {busy ? 'Uploading...' : 'Upload'}
+              </button>
+            </form>
+          </div>
+
+          <div className="card">
+            <div className="card-header">
+              <h3>Recent Imports</h3>
+            </div>
+            {history.length === 0 ? (
+              <div className="empty-state">
+                <p>No imports yet</p>
+              </div>
+            ) : (
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr><th>File</th><th>Rows</th><th>Status</th><th>Created</th><th>Updated</th><th>Skipped</th><th>By</th><th>Uploaded</th><th /></tr>
+                  </thead>
+                  <tbody>
+                    {history.map((h) => (
+                      <tr key={h._id}>
+                        <td>{h.fileName}</td>
+                        <td>{h.total}</td>
+                        <td><span className={`badge ${statusBadges[h.status]}`}>{h.status}</span></td>
+                        <td>{h.created}</td>
+                        <td>{h.updated}</td>
+                        <td>{h.failed}</td>
+                        <td>{h.createdBy?.name || '—'}</td>
+                        <td>{new Date(h.createdAt).toLocaleString()}</td>
+                        <td>
+                          <button className="btn btn-outline btn-sm" onClick={() => openJob(h._id)}>
+                            {h.status === 'uploaded' ? 'Continue' : 'View'}
+                          </button>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ProductImport;
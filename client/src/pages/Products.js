@@ -2,10 +2,11 @@ import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { productsAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
-import { hasPermission } from '../utils/rbac';
+import { hasPermission, isManager } from '../utils/rbac';
+import { stockThreshold } from '../utils/stock';
 import { useSocket } from '../context/SocketContext';
 import Modal from '../components/Modal';
-import { Package, Eye, Trash2 } from 'lucide-react';
+import { Package, Eye, Trash2, Upload } from 'lucide-react';
 import { Tooltip } from 'react-tooltip';
 import toast from 'react-hot-toast';
 
@@ -19,9 +20,11 @@ const Products = () => {
   const [search, setSearch] = useState('');
   const [category, setCategory] = useState('');
   const [categories, setCategories] = useState([]);
+  const [classFilter, setClassFilter] = useState({ abc: '', xyz: '' });
+  const [sort, setSort] = useState('newest');
   const [showCreate, setShowCreate] = useState(false);
   const [createForm, setCreateForm] = useState({
-    name: '', description: '', category: '', basePrice: '',
+    name: '', description: '', category: '', basePrice: '', trackLots: false, trackSerials: false,
     variants: [{ sku: '', attributes: {}, price: '', costPrice: '', stock: '0' }],
   });
   const [submitting, setSubmitting] = useState(false);
@@ -32,6 +35,9 @@ const Products = () => {
       const params = { page, limit: 20 };
       if (search) params.search = search;
       if (category) params.category = category;
+      if (classFilter.abc) params.abc = classFilter.abc;
+      if (classFilter.xyz) params.xyz = classFilter.xyz;
+      if (sort !== 'newest') params.sort = sort;
       const { data } = await productsAPI.getAll(params);
       setProducts(data.products);
       setPagination(data.pagination);
@@ -40,7 +46,7 @@ const Products = () => {
     } finally {
       setLoading(false);
     }
-  }, [search, category]);
+  }, [search, category, classFilter, sort]);
 
   useEffect(() => {
     fetchProducts();
@@ -84,7 +90,7 @@ const Products = () => {
       toast.success('Product created!');
       setShowCreate(false);
       setCreateForm({
-        name: '', description: '', category: '', basePrice: '',
+        name: '', description: '', category: '', basePrice: '', trackLots: false, trackSerials: false,
         variants: [{ sku: '', attributes: {}, price: '', costPrice: '', stock: '0' }],
       });
       fetchProducts();
@@ -129,11 +135,18 @@ const Products = () => {
     <div>
       <div className="page-header">
         <h2>Products</h2>
-        {hasPermission(user, 'products:create') && (
-          <button className="btn btn-primary" onClick={() => setShowCreate(true)}>
-            + New Product
-          </button>
-        )}
+        <div style={{ display: 'flex', gap: 8 }}>
+          {isManager(user) && (
+            <button className="btn btn-outline" onClick={() => navigate('/products/import')}>
+              <Upload size={16} /> Import
+            </button>
+          )}
+          {hasPermission(user, 'products:create') && (
+            <button className="btn btn-primary" onClick={() => setShowCreate(true)}>
+              + New Product
+            </button>
+          )}
+        </div>
       </div>
 
       {/* Filters */}
@@ -149,6 +162,21 @@ const Products = () => {
           <option value="">All Categories</option>
           {categories.map((c) => <option key={c} value={c}>{c}</option>)}
         </select>
+        <select className="form-control" value={classFilter.abc} style={{ width: 130 }}
+          onChange={(e) => setClassFilter({ ...classFilter, abc: e.target.value })}>
+          <option value="">All ABC</option>
+          {['A', 'B', 'C'].map((c) => <option key={c} value={c}>Class {c}</option>)}
+        </select>
+        <select className="form-control" value={classFilter.xyz} style={{ width: 130 }}
+          onChange={(e) => setClassFilter({ ...classFilter, xyz: e.target.value })}>
+          <option value="">All XYZ</option>
+          {['X', 'Y', 'Z'].map((c) => <option key={c} value={c}>Class {c}</option>)}
+        </select>
+        <select className="form-control" value={sort} onChange={(e) => setSort(e.target.value)} style={{ width: 160 }}>
+          <option value="newest">Newest first</option>
+          <option value="abc">By ABC class</option>
+          <option value="xyz">By XYZ class</option>
+        </select>
       </div>
 
       {/* Products Table */}
@@ -194,8 +222,9 @@ const Products = () => {
                     <td>
                       <div className="variant-chips">
                         {(product.variants || []).slice(0, 4).map((v) => (
-                          <span key={v._id} className={`variant-chip ${v.stock <= v.lowStockThreshold ? 'low-stock' : ''}`}>
+                          <span key={v._id} className={`variant-chip ${v.stock <= stockThreshold(v) ? 'low-stock' : ''}`}>
                             {v.sku}: <span className="stock">{v.stock}</span>
+                            {v.classification?.abc && <> · {v.classification.abc}{v.classification.xyz}</>}
                           </span>
                         ))}
                         {(product.variants || []).length > 4 && (
@@ -276,6 +305,20 @@ const Products = () => {
             <textarea className="form-control" rows={2} value={createForm.description}
               onChange={(e) => setCreateForm({ ...createForm, description: e.target.value })} />
           </div>
+          <div className="form-group">
+            <label>
+              <input type="checkbox" checked={createForm.trackLots}
+                onChange={(e) => setCreateForm({ ...createForm, trackLots: e.target.checked })} />
+              {' '}Track lots and expiry dates
+            </label>
+          </div>
+          <div className="form-group">
+            <label>
+              <input type="checkbox" checked={createForm.trackSerials}
+                onChange={(e) => setCreateForm({ ...createForm, trackSerials: e.target.checked })} />
+              {' '}Track serial numbers
+            </label>
+          </div>
 
           <hr style={{ margin: '16px 0', border: 'none', borderTop: '1px solid var(--gray-200)' }} />
           <h4 style={{ fontSize: '0.9rem', marginBottom: 12 }}>Variants</h4>
@@ -1,14 +1,15 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
-import { purchaseOrdersAPI } from '../services/api';
+import { purchaseOrdersAPI, locationsAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import { hasPermission } from '../utils/rbac';
+import { parseSerials } from '../utils/serials';
 import Modal from '../components/Modal';
 import toast from 'react-hot-toast';
 
 const statusBadge = (status) => {
   const map = {
-    draft: 'badge-gray', sent: 'badge-info', confirmed: 'badge-info',
+    draft: 'badge-gray', pending_approval: 'badge-warning', sent: 'badge-info', confirmed: 'badge-info',
     partially_received: 'badge-warning', received: 'badge-success', cancelled: 'badge-danger',
   };
   return <span className={`badge ${map[status] || 'badge-gray'}`}>{status.replace('_', ' ')}</span>;
@@ -22,6 +23,8 @@ const PurchaseOrderDetail = () => {
   const [loading, setLoading] = useState(true);
   const [showReceive, setShowReceive] = useState(false);
   const [receiveItems, setReceiveItems] = useState([]);
+  const [locations, setLocations] = useState([]);
+  const [receiveLocationId, setReceiveLocationId] = useState('');
 
   const fetchPO = useCallback(async () => {
     try {
@@ -39,16 +42,24 @@ const PurchaseOrderDetail = () => {
 
   const handleStatusUpdate = async (newStatus) => {
     try {
-      await purchaseOrdersAPI.updateStatus(id, { status: newStatus });
-      toast.success(`PO status updated to ${newStatus}`);
+      const { status } = await purchaseOrdersAPI.updateStatus(id, { status: newStatus });
+      toast.success(status === 202 ? 'PO sent for approval' : `PO status updated to ${newStatus}`);
       fetchPO();
     } catch (err) {
       toast.error(err.response?.data?.error || 'Failed to update status');
     }
   };
 
-  const openReceive = () => {
+  const openReceive = async () => {
     if (!po) return;
+    try {
+      const { data } = await locationsAPI.getAll({ active: 'true' });
+      setLocations(data.locations);
+      setReceiveLocationId(po.locationId?._id || data.locations.find((l) => l.isDefault)?._id || '');
+    } catch {
+      setLocations([]);
+      setReceiveLocationId('');
+    }
     setReceiveItems(
       po.items.map((item) => ({
         variantId: item.variantId?._id || item.variantId,
@@ -56,6 +67,11 @@ const PurchaseOrderDetail = () => {
         maxReceivable: item.quantityOrdered - (item.quantityReceived || 0),
         sku: item.variantId?.sku || 'N/A',
         productName: item.productId?.name || 'Product',
+        trackLots: !!item.productId?.trackLots,
+        lotNumber: '',
+        expiryDate: '',
+        trackSerials: !!item.productId?.trackSerials,
+        serials: '',
       }))
     );
     setShowReceive(true);
@@ -63,13 +79,27 @@ const PurchaseOrderDetail = () => {
 
   const handleReceive = async (e) => {
     e.preventDefault();
-    const items = receiveItems
-      .filter((it) => it.quantityReceived > 0)
-      .map(({ variantId, quantityReceived }) => ({ variantId, quantityReceived }));
+    const receiving = receiveItems.filter((it) => it.quantityReceived > 0);
+    if (receiving.length === 0) return toast.error('Enter quantities for at least one item');
+
+    const missingLot = receiving.find((it) => it.trackLots && !it.lotNumber.trim());
+    if (missingLot) return toast.error(`Enter the lot number for ${missingLot.sku}`);
+
+    const shortSerials = receiving.find((it) => it.trackSerials && parseSerials(it.serials).length !== it.quantityReceived);
+    if (shortSerials) {
+      return toast.error(`Enter ${shortSerials.quantityReceived} serial numbers for ${shortSerials.sku}`);
+    }
 
-    if (items.length === 0) return toast.error('Enter quantities for at least one item');
+    const items = receiving.map(({
+      variantId, quantityReceived, trackLots, lotNumber, expiryDate, trackSerials, serials,
+    }) => ({
+      variantId,
+      quantityReceived,
+      ...(trackLots && { lotNumber: lotNumber.trim(), expiryDate: expiryDate || undefined }),
+      ...(trackSerials && { serialNumbers: parseSerials(serials) }),
+    }));
     try {
-      await purchaseOrdersAPI.receive(id, { items });
+      await purchaseOrdersAPI.receive(id, { items, locationId: receiveLocationId || undefined });
       toast.success('Delivery received, stock updated');
       setShowReceive(false);
       fetchPO();
@@ -91,7 +121,10 @@ const PurchaseOrderDetail = () => {
           <button className="btn btn-outline btn-sm" onClick={() => navigate('/purchase-orders')} style={{ marginBottom: 8 }}>
             ← Back to Purchase Orders
           </button>
-          <h2>PO {po.poNumber}</h2>
+          <h2>
+            PO {po.poNumber}
+            {po.source === 'reorder' && <span className="badge badge-info" style={{ marginLeft: 8, verticalAlign: 'middle' }}>Reorder</span>}
+          </h2>
         </div>
         {!['received', 'cancelled'].includes(po.status) && (
           <div className="action-btns">
@@ -137,6 +170,14 @@ const PurchaseOrderDetail = () => {
             <div style={{ marginTop: 4 }}>{po.expectedDeliveryDate ? new Date(po.expectedDeliveryDate).toLocaleDateString() : 'Not set'}</div>
           </div>
         </div>
+        {po.locationId && (
+          <div className="stat-card">
+            <div className="stat-info">
+              <h4>Deliver To</h4>
+              <div style={{ marginTop: 4 }}><strong>{po.locationId.name}</strong> ({po.locationId.code})</div>
+            </div>
+          </div>
+        )}
       </div>
 
       <div className="card">
@@ -200,26 +241,72 @@ const PurchaseOrderDetail = () => {
           <p style={{ marginBottom: 16, color: 'var(--gray-500)' }}>
             Enter the quantity received for each item. Leave at 0 for items not yet received.
           </p>
+          {locations.length > 1 && (
+            <div className="form-group">
+              <label>Receive Into</label>
+              <select className="form-control" value={receiveLocationId} onChange={(e) => setReceiveLocationId(e.target.value)}>
+                {locations.map((l) => <option key={l._id} value={l._id}>{l.name} ({l.code})</option>)}
+              </select>
+            </div>
+          )}
           {receiveItems.map((item, idx) => (
-            <div key={idx} className="form-row" style={{ alignItems: 'center', marginBottom: 8 }}>
-              <div style={{ flex: 2 }}>
-                <strong>{item.productName}</strong><br />
-                <span className="badge badge-gray">{item.sku}</span>
-                <span style={{ fontSize: '0.8rem', color: 'var(--gray-500)', marginLeft: 8 }}>
-                  (max: {item.maxReceivable})
-                </span>
-              </div>
-              <div className="form-group" style={{ flex: 1, marginBottom: 0 }}>
-                <input type="number" min="0" max={item.maxReceivable}
-                  value={item.quantityReceived}
-                  onChange={(e) => {
-                    const val = Math.min(parseInt(e.target.value) || 0, item.maxReceivable);
-                    const updated = [...receiveItems];
-                    updated[idx] = { ...updated[idx], quantityReceived: val };
-                    setReceiveItems(updated);
-                  }} />
+            <React.Fragment key={idx}>
+              <div className="form-row" style={{ alignItems: 'center', marginBottom: 8 }}>
+                <div style={{ flex: 2 }}>
+                  <strong>{item.productName}</strong><br />
+                  <span className="badge badge-gray">{item.sku}</span>
+                  <span style={{ fontSize: '0.8rem', color: 'var(--gray-500)', marginLeft: 8 }}>
+                    (max: {item.maxReceivable})
+                  </span>
+                </div>
+                <div className="form-group" style={{ flex: 1, marginBottom: 0 }}>
+                  <input type="number" min="0" max={item.maxReceivable}
+                    value={item.quantityReceived}
+                    onChange={(e) => {
+                      const val = Math.min(parseInt(e.target.value) || 0, item.maxReceivable);
+                      const updated = [...receiveItems];
+                      updated[idx] = { ...updated[idx], quantityReceived: val };
+                      setReceiveItems(updated);
+                    }} />
+                </div>
               </div>
-            </div>
+              {item.trackLots && item.quantityReceived > 0 && (
+                <div className="form-row" style={{ marginBottom: 12 }}>
+                  <div className="form-group" style={{ marginBottom: 0 }}>
+                    <label>Lot Number *</label>
+                    <input className="form-control" value={item.lotNumber} maxLength={50}
+                      onChange={(e) => {
+                        const updated = [...receiveItems];
+                        updated[idx] = { ...updated[idx], lotNumber: e.target.value };
+                        setReceiveItems(updated);
+                      }} />
+                  </div>
+                  <div className="form-group" style={{ marginBottom: 0 }}>
+                    <label>Expiry Date</label>
+                    <input className="form-control" type="date" value={item.expiryDate}
+                      onChange={(e) => {
+                        const updated = [...receiveItems];
+                        updated[idx] = { ...updated[idx], expiryDate: e.target.value };
+                        setReceiveItems(updated);
+                      }} />
+                  </div>
+                </div>
+              )}
+              {item.trackSerials && item.quantityReceived > 0 && (
+                <div className="form-group" style={{ marginBottom: 12 }}>
+                  <label>
+                    Serial Numbers * ({parseSerials(item.serials).length} of {item.quantityReceived})
+                  </label>
+                  <textarea className="form-control" rows="3" value={item.serials}
+                    placeholder="One per line — scan or type"
+                    onChange={(e) => {
+                      const updated = [...receiveItems];
+                      updated[idx] = { ...updated[idx], serials: e.target.value };
+                      setReceiveItems(updated);
+                    }} />
+                </div>
+              )}
+            </React.Fragment>
           ))}
           <div className="modal-footer">
             <button type="button" className="btn btn-outline" onClick={() => setShowReceive(false)}>Cancel</button>
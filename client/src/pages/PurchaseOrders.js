@@ -1,6 +1,6 @@
 import React, { useState, useEffect, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { purchaseOrdersAPI, suppliersAPI, productsAPI } from '../services/api';
+import { purchaseOrdersAPI, suppliersAPI, productsAPI, locationsAPI } from '../services/api';
 import { useAuth } from '../context/AuthContext';
 import { hasPermission } from '../utils/rbac';
 import Modal from '../components/Modal';
@@ -8,7 +8,7 @@ import toast from 'react-hot-toast';
 
 const statusBadge = (status) => {
   const map = {
-    draft: 'badge-gray', sent: 'badge-info', confirmed: 'badge-info',
+    draft: 'badge-gray', pending_approval: 'badge-warning', sent: 'badge-info', confirmed: 'badge-info',
     partially_received: 'badge-warning', received: 'badge-success', cancelled: 'badge-danger',
   };
   return <span className={`badge ${map[status] || 'badge-gray'}`}>{status.replace('_', ' ')}</span>;
@@ -26,8 +26,9 @@ const PurchaseOrders = () => {
   const [showModal, setShowModal] = useState(false);
   const [suppliers, setSuppliers] = useState([]);
   const [variants, setVariants] = useState([]);
+  const [locations, setLocations] = useState([]);
   const [form, setForm] = useState({
-    supplierId: '', expectedDeliveryDate: '', notes: '', items: [{ variantId: '', productId: '', quantityOrdered: 1, unitPrice: 0 }],
+    supplierId: '', locationId: '', expectedDeliveryDate: '', notes: '', items: [{ variantId: '', productId: '', quantityOrdered: 1, unitPrice: 0 }],
   });
 
   const fetchPOs = useCallback(async () => {
@@ -49,11 +50,13 @@ const PurchaseOrders = () => {
 
   const openCreate = async () => {
     try {
-      const [supRes, prodRes] = await Promise.all([
+      const [supRes, prodRes, locRes] = await Promise.all([
         suppliersAPI.getAll({ limit: 100 }),
         productsAPI.getAll({ limit: 100 }),
+        locationsAPI.getAll({ active: 'true' }),
       ]);
       setSuppliers(supRes.data.suppliers);
+      setLocations(locRes.data.locations);
       const allVariants = [];
       (prodRes.data.products || []).forEach((p) => {
         (p.variants || []).forEach((v) => {
@@ -61,7 +64,7 @@ const PurchaseOrders = () => {
         });
       });
       setVariants(allVariants);
-      setForm({ supplierId: '', expectedDeliveryDate: '', notes: '', items: [{ variantId: '', productId: '', quantityOrdered: 1, unitPrice: 0 }] });
+      setForm({ supplierId: '', locationId: '', expectedDeliveryDate: '', notes: '', items: [{ variantId: '', productId: '', quantityOrdered: 1, unitPrice: 0 }] });
       setShowModal(true);
     } catch {
       toast.error('Failed to load data for PO creation');
@@ -90,7 +93,7 @@ const PurchaseOrders = () => {
     if (!form.supplierId) return toast.error('Select a supplier');
     if (form.items.some((it) => !it.variantId || it.quantityOrdered < 1)) return toast.error('Fill all item fields');
     try {
-      await purchaseOrdersAPI.create(form);
+      await purchaseOrdersAPI.create({ ...form, locationId: form.locationId || undefined });
       toast.success('Purchase Order created');
       setShowModal(false);
       fetchPOs();
@@ -110,7 +113,7 @@ const PurchaseOrders = () => {
         <div className="filter-bar">
           <select className="form-control" value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}>
             <option value="">All Statuses</option>
-            {['draft', 'sent', 'confirmed', 'partially_received', 'received', 'cancelled'].map((s) => (
+            {['draft', 'pending_approval', 'sent', 'confirmed', 'partially_received', 'received', 'cancelled'].map((s) => (
               <option key={s} value={s}>{s.replace('_', ' ')}</option>
             ))}
           </select>
@@ -129,7 +132,10 @@ const PurchaseOrders = () => {
               <tbody>
                 {pos.map((po) => (
                   <tr key={po._id} style={{ cursor: 'pointer' }} onClick={() => navigate(`/purchase-orders/${po._id}`)}>
-                    <td><strong>{po.poNumber}</strong></td>
+                    <td>
+                      <strong>{po.poNumber}</strong>
+                      {po.source === 'reorder' && <span className="badge badge-info" style={{ marginLeft: 6 }}>Reorder</span>}
+                    </td>
                     <td>{po.supplierId?.name || '—'}</td>
                     <td>{po.items?.length || 0}</td>
                     <td>${po.totalAmount?.toFixed(2)}</td>
@@ -167,6 +173,14 @@ const PurchaseOrders = () => {
               <input className="form-control" type="date" value={form.expectedDeliveryDate} onChange={(e) => setForm({ ...form, expectedDeliveryDate: e.target.value })} />
             </div>
           </div>
+          {locations.length > 1 && (
+            <div className="form-group">
+              <label>Deliver To</label>
+              <select className="form-control" value={form.locationId} onChange={(e) => setForm({ ...form, locationId: e.target.value })}>
+                {locations.map((l) => <option key={l._id} value={l.isDefault ? '' : l._id}>{l.name} ({l.code})</option>)}
+              </select>
+            </div>
+          )}
 
           <h4 style={{ marginTop: 8, marginBottom: 8 }}>Items</h4>
           {form.items.map((item, idx) => (
@@ -0,0 +1,190 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { reasonCodesAPI } from '../services/api';
+import Modal from '../components/Modal';
+import { Pencil, Trash2 } from 'lucide-react';
+import { Tooltip } from 'react-tooltip';
+import toast from 'react-hot-toast';
+
+const emptyForm = { code: '', name: '', direction: 'decrease', account: '', requiresApproval: false, isActive: true };
+
+const directionLabels = { decrease: 'Removes stock', increase: 'Adds stock', both: 'Either way' };
+
+const ReasonCodes = () => {
+  const [reasonCodes, setReasonCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showModal, setShowModal] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchReasonCodes = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await reasonCodesAPI.getAll();
+      setReasonCodes(data.reasonCodes);
+    } catch {
+      toast.error('Failed to load reason codes');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchReasonCodes(); }, [fetchReasonCodes]);
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditing(null);
+  };
+
+  const openCreate = () => { resetForm(); setShowModal(true); };
+  const openEdit = (r) => {
+    setEditing(r);
+    setForm({
+      code: r.code, name: r.name, direction: r.direction, account: r.account || '',
+      requiresApproval: r.requiresApproval, isActive: r.isActive,
+    });
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      if (editing) {
+        const changes = editing.system
+          ? { name: form.name, account: form.account }
+          : {
+            name: form.name, direction: form.direction, account: form.account,
+            requiresApproval: form.requiresApproval, isActive: form.isActive,
+          };
+        await reasonCodesAPI.update(editing._id, changes);
+        toast.success('Reason code updated');
+      } else {
+        await reasonCodesAPI.create(form);
+        toast.success('Reason code created');
+      }
+      setShowModal(false);
+      resetForm();
+      fetchReasonCodes();
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Operation failed');
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this reason code?')) return;
+    try {
+      await reasonCodesAPI.delete(id);
+      toast.success('Reason code deleted');
+      fetchReasonCodes();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete');
+    }
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Adjustment Reason Codes</h2>
+        <button className="btn btn-primary" onClick={openCreate}>+ Add Reason</button>
+      </div>
+
+      <div className="card">
+        {loading ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr><th>Code</th><th>Name</th><th>Direction</th><th>Account</th><th>Approval</th><th>Status</th><th>Actions</th></tr>
+              </thead>
+              <tbody>
+                {reasonCodes.map((r) => (
+                  <tr key={r._id}>
+                    <td><span className="badge badge-gray">{r.code}</span></td>
+                    <td>
+                      <strong>{r.name}</strong>
+                      {r.system && <span className="badge badge-info" style={{ marginLeft: 8 }}>System</span>}
+                    </td>
+                    <td>{directionLabels[r.direction]}</td>
+                    <td>{r.account || '—'}</td>
+                    <td>{r.requiresApproval ? <span className="badge badge-warning">Manager</span> : '—'}</td>
+                    <td><span className={`badge ${r.isActive ? 'badge-success' : 'badge-gray'}`}>{r.isActive ? 'Active' : 'Inactive'}</span></td>
+                    <td>
+                      <div className="action-btns">
+                        <button className="table-action-btn edit" onClick={() => openEdit(r)}
+                          data-tooltip-id="table-tooltip" data-tooltip-content="Edit">
+                          <Pencil size={15} />
+                        </button>
+                        {!r.system && (
+                          <button className="table-action-btn delete" onClick={() => handleDelete(r._id)}
+                            data-tooltip-id="table-tooltip" data-tooltip-content="Delete">
+                            <Trash2 size={15} />
+                          </button>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => { setShowModal(false); resetForm(); }}
+        title={editing ? 'Edit Reason Code' : 'Add Reason Code'}>
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Code *</label>
+              <input className="form-control" type="text" value={form.code} placeholder="e.g. WATER" disabled={!!editing}
+                onChange={(e) => setForm({ ...form, code: e.target.value.toUpperCase() })} required />
+            </div>
+            <div className="form-group">
+              <label>Name *</label>
+              <input className="form-control" type="text" value={form.name} onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Direction</label>
+              <select className="form-control" value={form.direction} disabled={editing?.system}
+                onChange={(e) => setForm({ ...form, direction: e.target.value })}>
+                {Object.entries(directionLabels).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Account</label>
+              <input className="form-control" type="text" value={form.account} placeholder="e.g. Inventory shrinkage"
+                onChange={(e) => setForm({ ...form, account: e.target.value })} />
+            </div>
+          </div>
+          {!editing?.system && (
+            <div className="form-row">
+              <div className="form-group">
+                <label>
+                  <input type="checkbox" checked={form.requiresApproval} onChange={(e) => setForm({ ...form, requiresApproval: e.target.checked })} />
+                  {' '}Needs manager approval
+                </label>
+              </div>
+              {editing && (
+                <div className="form-group">
+                  <label>
+                    <input type="checkbox" checked={form.isActive} onChange={(e) => setForm({ ...form, isActive: e.target.checked })} />
+                    {' '}Active
+                  </label>
+                </div>
+              )}
+            </div>
+          )}
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => { setShowModal(false); resetForm(); }}>Cancel</button>
+            <button type="submit" className="btn btn-primary">{editing ? 'Update' : 'Create'}</button>
+          </div>
+        </form>
+      </Modal>
+      <Tooltip id="table-tooltip" place="top" />
+    </div>
+  );
+};
+
+export default ReasonCodes;
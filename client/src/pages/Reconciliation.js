@@ -0,0 +1,173 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { stockAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { isOwner } from '../utils/rbac';
+import { RefreshCw, CheckCircle } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const signed = (n) => (n > 0 ? `+${n}` : `${n}`);
+
+const Reconciliation = () => {
+  const { user } = useAuth();
+  const [run, setRun] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [running, setRunning] = useState(false);
+  const [correcting, setCorrecting] = useState(null);
+
+  const fetchRun = useCallback(async () => {
+    try {
+      const { data } = await stockAPI.getReconciliation();
+      setRun(data.run);
+    } catch {
+      toast.error('Failed to load reconciliation');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchRun(); }, [fetchRun]);
+
+  const handleRun = async () => {
+    setRunning(true);
+    try {
+      const { data } = await stockAPI.reconcile();
+      setRun(data.run);
+      toast.success(data.run.issues.length === 0 ? 'Ledger matches stock for every variant' : `${data.run.issues.length} variant(s) need attention`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Reconciliation failed');
+    } finally {
+      setRunning(false);
+    }
+  };
+
+  const handleCorrect = async (issue) => {
+    const message = issue.difference === 0
+      ? `Accept the broken movement chain for ${issue.sku}?`
+      : `Post a ${signed(issue.difference)} adjustment to bring the ledger for ${issue.sku} up to its stock of ${issue.stock}? Stock won't change.`;
+    if (!window.confirm(message)) return;
+
+    setCorrecting(issue.variantId);
+    try {
+      const { data } = await stockAPI.correctLedger(issue.variantId);
+      setRun((prev) => ({
+        ...prev,
+        issues: prev.issues.map((i) => (i.variantId === issue.variantId ? { ...i, correctionId: data.movement._id } : i)),
+      }));
+      toast.success('Correction posted');
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to post correction');
+    } finally {
+      setCorrecting(null);
+    }
+  };
+
+  if (loading) return <div className="loading-spinner"><div className="spinner" /></div>;
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Stock Reconciliation</h2>
+        <button className="btn btn-primary" onClick={handleRun} disabled={running}>
+          <RefreshCw size={16} /> {running ? 'Checking...' : 'Run Now'}
+        </button>
+      </div>
+
+      {!run ? (
+        <div className="card">
+          <div className="empty-state">
+            <h3>No reconciliation yet</h3>
+            <p>The ledger is checked every night. Run it now to check that each variant&apos;s movements add up to its stock.</p>
+          </div>
+        </div>
+      ) : (
+        <>
+          <div className="stat-grid">
+            <div className="stat-card">
+              <div className="stat-info">
+                <h4>Variants Checked</h4>
+                <div className="stat-value">{run.variantsChecked.toLocaleString()}</div>
+                <div style={{ fontSize: '0.8rem', color: 'var(--gray-500)' }}>
+                  {run.movementsChecked.toLocaleString()} movements
+                </div>
+              </div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-info">
+                <h4>Stock Mismatches</h4>
+                <div className="stat-value">{run.mismatched}</div>
+              </div>
+            </div>
+            <div className="stat-card">
+              <div className="stat-info">
+                <h4>Broken Chains</h4>
+                <div className="stat-value">{run.brokenChains}</div>
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <div className="card-header">
+              <h3>Issues</h3>
+              <span style={{ fontSize: '0.85rem', color: 'var(--gray-500)' }}>
+                {run.trigger === 'scheduled' ? 'Nightly run' : `Run by ${run.createdBy?.name || 'a user'}`} · {new Date(run.finishedAt).toLocaleString()}
+              </span>
+            </div>
+            {run.issues.length === 0 ? (
+              <div className="empty-state">
+                <CheckCircle size={32} style={{ color: 'var(--success)' }} />
+                <p>Every variant&apos;s movements add up to its stock</p>
+              </div>
+            ) : (
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>SKU</th><th>Product</th><th>Stock</th><th>Ledger</th><th>Difference</th><th>Chain Breaks</th>
+                      {isOwner(user) && <th />}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {run.issues.map((issue) => (
+                      <tr key={issue.variantId}>
+                        <td><span className="badge badge-gray">{issue.sku}</span></td>
+                        <td>{issue.productId?.name || 'Deleted product'}</td>
+                        <td>{issue.stock}</td>
+                        <td>{issue.ledgerStock}</td>
+                        <td>
+                          {issue.difference === 0 ? '—' : (
+                            <span className="badge badge-danger">{signed(issue.difference)}</span>
+                          )}
+                        </td>
+                        <td>
+                          {issue.breakCount === 0 ? '—' : (
+                            <span title={issue.breaks.map((b) => `${new Date(b.createdAt).toLocaleString()} ${b.type}: ${b.kind === 'link' ? 'previous stock' : 'new stock'} ${b.recorded}, expected ${b.expected}`).join('\n')}>
+                              <span className="badge badge-warning">{issue.breakCount}</span>
+                            </span>
+                          )}
+                        </td>
+                        {isOwner(user) && (
+                          <td>
+                            {issue.correctionId ? (
+                              <span className="badge badge-success">Corrected</span>
+                            ) : (
+                              <button className="btn btn-outline btn-sm" disabled={correcting === issue.variantId}
+                                onClick={() => handleCorrect(issue)}>
+                                {correcting === issue.variantId ? 'Posting...' : 'Correct'}
+                              </button>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        </>
+      )}
+    </div>
+  );
+};
+
+export default Reconciliation;
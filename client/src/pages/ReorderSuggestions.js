@@ -0,0 +1,161 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { purchaseOrdersAPI } from '../services/api';
+import toast from 'react-hot-toast';
+
+const ReorderSuggestions = () => {
+  const navigate = useNavigate();
+  const [report, setReport] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [quantities, setQuantities] = useState({});
+  const [skipped, setSkipped] = useState({});
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchSuggestions = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await purchaseOrdersAPI.getReorderSuggestions();
+      setReport(data);
+      const qty = {};
+      data.suppliers.forEach((g) => g.items.forEach((i) => { qty[i.variantId] = i.quantity; }));
+      setQuantities(qty);
+      setSkipped({});
+    } catch {
+      toast.error('Failed to load reorder suggestions');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchSuggestions(); }, [fetchSuggestions]);
+
+  const lines = (report?.suppliers || []).flatMap((g) => g.items)
+    .filter((i) => !skipped[i.variantId] && quantities[i.variantId] > 0);
+
+  const handleGenerate = async () => {
+    if (lines.length === 0) return toast.error('Nothing selected to order');
+    setSubmitting(true);
+    try {
+      const { data } = await purchaseOrdersAPI.generateReorder({
+        lines: lines.map((i) => ({ variantId: i.variantId, quantity: quantities[i.variantId] })),
+      });
+      toast.success(`${data.purchaseOrders.length} draft PO${data.purchaseOrders.length === 1 ? '' : 's'} ready for review`);
+      navigate(data.purchaseOrders.length === 1 ? `/purchase-orders/${data.purchaseOrders[0]._id}` : '/purchase-orders');
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to create draft POs');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const groupTotal = (group) => group.items
+    .filter((i) => !skipped[i.variantId])
+    .reduce((sum, i) => sum + (quantities[i.variantId] || 0) * i.unitPrice, 0);
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Reorder Suggestions</h2>
+        <div style={{ display: 'flex', gap: 8 }}>
+          <button className="btn btn-outline" onClick={fetchSuggestions}>Refresh</button>
+          <button className="btn btn-primary" onClick={handleGenerate} disabled={submitting || lines.length === 0}>
+            {submitting ? 'Creating...' : 'Create Draft POs'}
+          </button>
+        </div>
+      </div>
+
+      <p style={{ color: 'var(--gray-500)', marginBottom: 16 }}>
+        Variants whose projected stock (available + due on open POs − backordered) is at or below their reorder point,
+        grouped by preferred supplier. Draft POs are not sent until you review them.
+      </p>
+
+      {loading ? (
+        <div className="loading-spinner"><div className="spinner" /></div>
+      ) : report.suppliers.length === 0 && report.unassigned.length === 0 ? (
+        <div className="card">
+          <div className="empty-state">
+            <h3>Nothing to reorder</h3>
+            <p>Every active variant is above its reorder point.</p>
+          </div>
+        </div>
+      ) : (
+        <>
+          {report.suppliers.map((group) => (
+            <div className="card" key={group.supplier._id}>
+              <div className="card-header">
+                <h3>{group.supplier.name}</h3>
+                <span style={{ color: 'var(--gray-500)' }}>
+                  ${groupTotal(group).toFixed(2)} · expected {new Date(group.expectedDeliveryDate).toLocaleDateString()} ({group.leadTimeDays}d lead time)
+                </span>
+              </div>
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>
+                      <th></th><th>Product</th><th>SKU</th><th>Available</th><th>Incoming</th><th>Backordered</th>
+                      <th>Reorder Point</th><th>Order Qty</th><th>Unit Price</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {group.items.map((i) => (
+                      <tr key={i.variantId} style={skipped[i.variantId] ? { opacity: 0.5 } : undefined}>
+                        <td>
+                          <input type="checkbox" checked={!skipped[i.variantId]}
+                            onChange={(e) => setSkipped({ ...skipped, [i.variantId]: !e.target.checked })} />
+                        </td>
+                        <td><Link to={`/products/${i.productId}`}>{i.productName}</Link></td>
+                        <td><span className="badge badge-gray">{i.sku}</span></td>
+                        <td>{i.available}</td>
+                        <td>{i.incoming}</td>
+                        <td>{i.backordered > 0 ? <span style={{ color: 'var(--danger)' }}>{i.backordered}</span> : 0}</td>
+                        <td>{i.reorderPoint}</td>
+                        <td>
+                          <input className="form-control" type="number" min="0" style={{ width: 90 }}
+                            value={quantities[i.variantId] ?? 0} disabled={!!skipped[i.variantId]}
+                            onChange={(e) => setQuantities({ ...quantities, [i.variantId]: parseInt(e.target.value) || 0 })} />
+                        </td>
+                        <td>
+                          ${i.unitPrice.toFixed(2)}
+                          {!i.preferred && <span className="badge badge-info" style={{ marginLeft: 6 }}>Cheapest</span>}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ))}
+
+          {report.unassigned.length > 0 && (
+            <div className="card">
+              <div className="card-header">
+                <h3>No Supplier</h3>
+                <span style={{ color: 'var(--gray-500)' }}>Add these variants to a supplier to have them reordered</span>
+              </div>
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr><th>Product</th><th>SKU</th><th>Projected</th><th>Reorder Point</th><th>Suggested Qty</th></tr>
+                  </thead>
+                  <tbody>
+                    {report.unassigned.map((i) => (
+                      <tr key={i.variantId}>
+                        <td><Link to={`/products/${i.productId}`}>{i.productName}</Link></td>
+                        <td><span className="badge badge-gray">{i.sku}</span></td>
+                        <td>{i.projected}</td>
+                        <td>{i.reorderPoint}</td>
+                        <td>{i.quantity}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          )}
+        </>
+      )}
+    </div>
+  );
+};
+
+export default ReorderSuggestions;
@@ -0,0 +1,261 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { reportSchedulesAPI } from '../services/api';
+import Modal from '../components/Modal';
+import { Pencil, Send, Trash2 } from 'lucide-react';
+import { Tooltip } from 'react-tooltip';
+import toast from 'react-hot-toast';
+
+const emptyForm = {
+  name: '', report: 'sales', format: 'csv', frequency: 'daily',
+  hour: 7, dayOfWeek: 1, dayOfMonth: 1, recipients: '', isActive: true,
+};
+
+const reportLabels = { sales: 'Sales', low_stock: 'Low stock', valuation: 'Inventory valuation' };
+const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+const hourLabel = (h) => `${String(h).padStart(2, '0')}:00`;
+const dateTime = (d) => (d ? new Date(d).toLocaleString() : '—');
+
+const timing = (s) => {
+  if (s.frequency === 'weekly') return `${weekdays[s.dayOfWeek]}s at ${hourLabel(s.hour)}`;
+  if (s.frequency === 'monthly') return `Day ${s.dayOfMonth} of each month at ${hourLabel(s.hour)}`;
+  return `Daily at ${hourLabel(s.hour)}`;
+};
+
+const ReportSchedules = () => {
+  const [schedules, setSchedules] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [sending, setSending] = useState(null);
+  const [showModal, setShowModal] = useState(false);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchSchedules = useCallback(async () => {
+    setLoading(true);
+    try {
+      const { data } = await reportSchedulesAPI.getAll();
+      setSchedules(data.schedules);
+    } catch {
+      toast.error('Failed to load scheduled reports');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => { fetchSchedules(); }, [fetchSchedules]);
+
+  const resetForm = () => {
+    setForm(emptyForm);
+    setEditing(null);
+  };
+
+  const openCreate = () => { resetForm(); setShowModal(true); };
+  const openEdit = (s) => {
+    setEditing(s);
+    setForm({
+      name: s.name, report: s.report, format: s.format, frequency: s.frequency,
+      hour: s.hour, dayOfWeek: s.dayOfWeek, dayOfMonth: s.dayOfMonth,
+      recipients: s.recipients.join(', '), isActive: s.isActive,
+    });
+    setShowModal(true);
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const payload = {
+      ...form,
+      recipients: form.recipients.split(/[\s,;]+/).filter(Boolean),
+    };
+    try {
+      if (editing) {
+        await reportSchedulesAPI.update(editing._id, payload);
+        toast.success('Schedule updated');
+      } else {
+        await reportSchedulesAPI.create(payload);
+        toast.success('Report scheduled');
+      }
+      setShowModal(false);
+      resetForm();
+      fetchSchedules();
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Operation failed');
+    }
+  };
+
+  const handleSend = async (s) => {
+    setSending(s._id);
+    try {
+      await reportSchedulesAPI.send(s._id);
+      toast.success(`Sent to ${s.recipients.length} recipient(s)`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to send report');
+    } finally {
+      setSending(null);
+      fetchSchedules();
+    }
+  };
+
+  const handleDelete = async (id) => {
+    if (!window.confirm('Delete this scheduled report?')) return;
+    try {
+      await reportSchedulesAPI.delete(id);
+      toast.success('Schedule deleted');
+      fetchSchedules();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to delete');
+    }
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Scheduled Reports</h2>
+        <button className="btn btn-primary" onClick={openCreate}>+ Schedule Report</button>
+      </div>
+
+      <div className="card">
+        {loading ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : schedules.length === 0 ? (
+          <div className="empty-state">
+            <h3>No scheduled reports</h3>
+            <p>Email a sales, low stock or valuation report to your team every day, week or month.</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Name</th><th>Report</th><th>When</th><th>Recipients</th>
+                  <th>Next Run</th><th>Last Run</th><th>Status</th><th>Actions</th>
+                </tr>
+              </thead>
+              <tbody>
+                {schedules.map((s) => (
+                  <tr key={s._id}>
+                    <td><strong>{s.name}</strong></td>
+                    <td>
+                      {reportLabels[s.report]}
+                      <span className="badge badge-gray" style={{ marginLeft: 8 }}>{s.format.toUpperCase()}</span>
+                    </td>
+                    <td>{timing(s)}</td>
+                    <td>{s.recipients.join(', ')}</td>
+                    <td>{s.isActive ? dateTime(s.nextRunAt) : '—'}</td>
+                    <td>
+                      {dateTime(s.lastRunAt)}
+                      {s.lastStatus === 'sent' && <span className="badge badge-success" style={{ marginLeft: 8 }}>Sent</span>}
+                      {s.lastStatus === 'failed' && (
+                        <span className="badge badge-danger" style={{ marginLeft: 8 }}
+                          data-tooltip-id="table-tooltip" data-tooltip-content={s.lastError}>Failed</span>
+                      )}
+                    </td>
+                    <td><span className={`badge ${s.isActive ? 'badge-success' : 'badge-gray'}`}>{s.isActive ? 'Active' : 'Paused'}</span></td>
+                    <td>
+                      <div className="action-btns">
+                        <button className="table-action-btn" onClick={() => handleSend(s)} disabled={sending === s._id}
+                          data-tooltip-id="table-tooltip" data-tooltip-content="Send now">
+                          <Send size={15} />
+                        </button>
+                        <button className="table-action-btn edit" onClick={() => openEdit(s)}
+                          data-tooltip-id="table-tooltip" data-tooltip-content="Edit">
+                          <Pencil size={15} />
+                        </button>
+                        <button className="table-action-btn delete" onClick={() => handleDelete(s._id)}
+                          data-tooltip-id="table-tooltip" data-tooltip-content="Delete">
+                          <Trash2 size={15} />
+                        </button>
+                      </div>
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => { setShowModal(false); resetForm(); }}
+        title={editing ? 'Edit Scheduled Report' : 'Schedule Report'}>
+        <form onSubmit={handleSubmit}>
+          <div className="form-group">
+            <label>Name *</label>
+            <input className="form-control" type="text" value={form.name} placeholder="e.g. Weekly low stock"
+              onChange={(e) => setForm({ ...form, name: e.target.value })} required />
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Report</label>
+              <select className="form-control" value={form.report} onChange={(e) => setForm({ ...form, report: e.target.value })}>
+                {Object.entries(reportLabels).map(([value, label]) => <option key={value} value={value}>{label}</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Format</label>
+              <select className="form-control" value={form.format} onChange={(e) => setForm({ ...form, format: e.target.value })}>
+                <option value="csv">CSV</option>
+                <option value="pdf">PDF</option>
+              </select>
+            </div>
+          </div>
+          <div className="form-row">
+            <div className="form-group">
+              <label>Frequency</label>
+              <select className="form-control" value={form.frequency} onChange={(e) => setForm({ ...form, frequency: e.target.value })}>
+                <option value="daily">Daily</option>
+                <option value="weekly">Weekly</option>
+                <option value="monthly">Monthly</option>
+              </select>
+            </div>
+            <div className="form-group">
+              <label>Time</label>
+              <select className="form-control" value={form.hour} onChange={(e) => setForm({ ...form, hour: parseInt(e.target.value) })}>
+                {Array.from({ length: 24 }, (_, h) => <option key={h} value={h}>{hourLabel(h)}</option>)}
+              </select>
+            </div>
+            {form.frequency === 'weekly' && (
+              <div className="form-group">
+                <label>Day</label>
+                <select className="form-control" value={form.dayOfWeek}
+                  onChange={(e) => setForm({ ...form, dayOfWeek: parseInt(e.target.value) })}>
+                  {weekdays.map((d, i) => <option key={d} value={i}>{d}</option>)}
+                </select>
+              </div>
+            )}
+            {form.frequency === 'monthly' && (
+              <div className="form-group">
+                <label>Day of Month</label>
+                <select className="form-control" value={form.dayOfMonth}
+                  onChange={(e) => setForm({ ...form, dayOfMonth: parseInt(e.target.value) })}>
+                  {Array.from({ length: 28 }, (_, i) => <option key={i + 1} value={i + 1}>{i + 1}</option>)}
+                </select>
+              </div>
+            )}
+          </div>
+          <p style={{ fontSize: 13, color: 'var(--gray-500)', marginTop: -8 }}>
+            Times are in the timezone set under Settings.
+            {form.report === 'sales' && ' A sales report covers the last full day, 7 days or calendar month.'}
+          </p>
+          <div className="form-group">
+            <label>Recipients *</label>
+            <textarea className="form-control" rows={2} value={form.recipients} placeholder="owner@example.com, buyer@example.com"
+              onChange={(e) => setForm({ ...form, recipients: e.target.value })} required />
+          </div>
+          {editing && (
+            <div className="form-group">
+              <label>
+                <input type="checkbox" checked={form.isActive} onChange={(e) => setForm({ ...form, isActive: e.target.checked })} />
+                {' '}Active
+              </label>
+            </div>
+          )}
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => { setShowModal(false); resetForm(); }}>Cancel</button>
+            <button type="submit" className="btn btn-primary">{editing ? 'Update' : 'Schedule'}</button>
+          </div>
+        </form>
+      </Modal>
+      <Tooltip id="table-tooltip" place="top" />
+    </div>
+  );
+};
+
+export default ReportSchedules;
@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { reportsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { isOwner } from '../utils/rbac';
+import ClassBadge from '../components/ClassBadge';
+import { ChevronDown, ChevronRight, Mail } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const today = () => new Date().toISOString().split('T')[0];
+const daysAgo = (n) => new Date(Date.now() - n * 24 * 60 * 60 * 1000).toISOString().split('T')[0];
+const money = (n) => `$${(n || 0).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+const percent = (r) => `${((r || 0) * 100).toFixed(1)}%`;
+
+const Reports = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+
+  const [asOf, setAsOf] = useState(today());
+  const [valuation, setValuation] = useState(null);
+  const [expanded, setExpanded] = useState({});
+
+  const [range, setRange] = useState({ from: daysAgo(30), to: today() });
+  const [groupBy, setGroupBy] = useState('product');
+  const [margin, setMargin] = useState(null);
+
+  const [classOptions, setClassOptions] = useState({ basis: '', windowDays: '' });
+  const [classes, setClasses] = useState(null);
+  const [classifying, setClassifying] = useState(false);
+
+  const fetchValuation = useCallback(async () => {
+    try {
+      const { data } = await reportsAPI.getValuation({ asOf });
+      setValuation(data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load valuation');
+    }
+  }, [asOf]);
+
+  const fetchMargin = useCallback(async () => {
+    try {
+      const { data } = await reportsAPI.getGrossMargin({ ...range, groupBy });
+      setMargin(data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load gross margin');
+    }
+  }, [range, groupBy]);
+
+  const fetchClasses = useCallback(async () => {
+    try {
+      const params = {};
+      if (classOptions.basis) params.basis = classOptions.basis;
+      if (classOptions.windowDays) params.windowDays = classOptions.windowDays;
+      const { data } = await reportsAPI.getAbcXyz(params);
+      setClasses(data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load ABC/XYZ classes');
+    }
+  }, [classOptions]);
+
+  useEffect(() => { fetchValuation(); }, [fetchValuation]);
+  useEffect(() => { fetchMargin(); }, [fetchMargin]);
+  useEffect(() => { fetchClasses(); }, [fetchClasses]);
+
+  // Stores classes with the tenant's settings, which the selectors above may differ from
+  const handleClassify = async () => {
+    setClassifying(true);
+    try {
+      const { data } = await reportsAPI.classify();
+      setClasses(data);
+      setClassOptions({ basis: '', windowDays: '' });
+      toast.success(`Classes saved for ${data.variants.length} variants`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to save classes');
+    } finally {
+      setClassifying(false);
+    }
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Reports</h2>
+        {isOwner(user) && (
+          <button className="btn btn-outline" onClick={() => navigate('/reports/schedules')}>
+            <Mail size={16} style={{ marginRight: 6 }} /> Scheduled Reports
+          </button>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Inventory Valuation</h3>
+          <input type="date" className="form-control" style={{ width: 170 }} value={asOf} max={today()}
+            onChange={(e) => setAsOf(e.target.value)} />
+        </div>
+        {!valuation ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : (
+          <>
+            <div className="stat-grid">
+              <div className="stat-card">
+                <div className="stat-info">
+                  <h4>Units</h4>
+                  <div className="stat-value">{valuation.totals.units.toLocaleString()}</div>
+                </div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-info">
+                  <h4>Value at Cost</h4>
+                  <div className="stat-value">{money(valuation.totals.value)}</div>
+                </div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-info">
+                  <h4>Costing Method</h4>
+                  <div className="stat-value">{valuation.costingMethod === 'average' ? 'Moving avg' : 'FIFO'}</div>
+                </div>
+              </div>
+            </div>
+            {valuation.products.length === 0 ? (
+              <div className="empty-state"><p>No stock on this date</p></div>
+            ) : (
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr><th>Product</th><th>Category</th><th>Units</th><th>Avg Unit Cost</th><th>Value</th></tr>
+                  </thead>
+                  <tbody>
+                    {valuation.products.map((p) => (
+                      <React.Fragment key={p.productId}>
+                        <tr style={{ cursor: 'pointer' }}
+                          onClick={() => setExpanded({ ...expanded, [p.productId]: !expanded[p.productId] })}>
+                          <td>
+                            {expanded[p.productId] ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+                            {' '}<strong>{p.productName}</strong>
+                          </td>
+                          <td>{p.category || '—'}</td>
+                          <td>{p.units}</td>
+                          <td>{p.units > 0 ? money(p.value / p.units) : '—'}</td>
+                          <td>{money(p.value)}</td>
+                        </tr>
+                        {expanded[p.productId] && p.variants.map((v) => (
+                          <tr key={v.variantId} style={{ fontSize: '0.85rem', color: 'var(--gray-500)' }}>
+                            <td style={{ paddingLeft: 32 }}>{v.sku}</td>
+                            <td />
+                            <td>{v.units}</td>
+                            <td>{money(v.unitCost)}</td>
+                            <td>{money(v.value)}</td>
+                          </tr>
+                        ))}
+                      </React.Fragment>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Gross Margin</h3>
+          <div className="filter-bar" style={{ margin: 0 }}>
+            <input type="date" className="form-control" style={{ width: 170 }} value={range.from}
+              onChange={(e) => setRange({ ...range, from: e.target.value })} />
+            <input type="date" className="form-control" style={{ width: 170 }} value={range.to}
+              onChange={(e) => setRange({ ...range, to: e.target.value })} />
+            <select className="form-control" style={{ width: 150 }} value={groupBy} onChange={(e) => setGroupBy(e.target.value)}>
+              <option value="product">By product</option>
+              <option value="order">By order</option>
+            </select>
+          </div>
+        </div>
+        {!margin ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : (
+          <>
+            <div className="stat-grid">
+              <div className="stat-card">
+                <div className="stat-info">
+                  <h4>Revenue</h4>
+                  <div className="stat-value">{money(margin.totals.revenue)}</div>
+                </div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-info">
+                  <h4>Cost of Goods</h4>
+                  <div className="stat-value">{money(margin.totals.costOfGoods)}</div>
+                </div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-info">
+                  <h4>Gross Margin</h4>
+                  <div className="stat-value">{money(margin.totals.grossMargin)}</div>
+                  <div style={{ fontSize: '0.8rem', color: 'var(--gray-500)' }}>{percent(margin.totals.marginRate)}</div>
+                </div>
+              </div>
+            </div>
+            {margin.rows.length === 0 ? (
+              <div className="empty-state"><p>No costed sales in this period</p></div>
+            ) : (
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>{groupBy === 'order' ? 'Order' : 'Product'}</th>
+                      {groupBy === 'order' && <th>Customer</th>}
+                      <th>Units</th><th>Revenue</th><th>Cost of Goods</th><th>Margin</th><th>Margin %</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {margin.rows.map((r) => (
+                      <tr key={r._id} style={groupBy === 'order' ? { cursor: 'pointer' } : undefined}
+                        onClick={groupBy === 'order' ? () => navigate(`/orders/${r._id}`) : undefined}>
+                        <td><strong>{groupBy === 'order' ? r.orderNumber : r.productName}</strong></td>
+                        {groupBy === 'order' && <td>{r.customerName || '—'}</td>}
+                        <td>{r.units}</td>
+                        <td>{money(r.revenue)}</td>
+                        <td>{money(r.costOfGoods)}</td>
+                        <td>{money(r.grossMargin)}</td>
+                        <td>{percent(r.marginRate)}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>ABC/XYZ Classification</h3>
+          <div className="filter-bar" style={{ margin: 0 }}>
+            <select className="form-control" style={{ width: 170 }} value={classOptions.basis}
+              onChange={(e) => setClassOptions({ ...classOptions, basis: e.target.value })}>
+              <option value="">Default basis</option>
+              <option value="revenue">By revenue</option>
+              <option value="consumption">By consumption value</option>
+            </select>
+            <select className="form-control" style={{ width: 150 }} value={classOptions.windowDays}
+              onChange={(e) => setClassOptions({ ...classOptions, windowDays: e.target.value })}>
+              <option value="">Default window</option>
+              <option value="30">Last 30 days</option>
+              <option value="90">Last 90 days</option>
+              <option value="180">Last 180 days</option>
+              <option value="365">Last 365 days</option>
+            </select>
+            <button className="btn btn-primary" onClick={handleClassify} disabled={classifying}>
+              {classifying ? 'Saving...' : 'Save Classes'}
+            </button>
+          </div>
+        </div>
+        {!classes ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : (
+          <>
+            <p style={{ color: 'var(--gray-500)', marginBottom: 16 }}>
+              {classes.basis === 'consumption' ? 'Consumption value' : 'Revenue'} of {money(classes.totalValue)} over
+              the last {classes.windowDays} days. A and B close at {classes.abcCutoffs.a}% and {classes.abcCutoffs.b}% of
+              cumulative value; X and Y allow a weekly demand variation of up to {classes.xyzCutoffs.x} and {classes.xyzCutoffs.y}.
+              Saving stores classes with the tenant settings for filtering and sorting products.
+            </p>
+            <div className="table-container" style={{ marginBottom: 16 }}>
+              <table>
+                <thead>
+                  <tr><th></th><th>X (steady)</th><th>Y (variable)</th><th>Z (erratic)</th></tr>
+                </thead>
+                <tbody>
+                  {['A', 'B', 'C'].map((abc) => (
+                    <tr key={abc}>
+                      <td><strong>{abc}</strong></td>
+                      {['X', 'Y', 'Z'].map((xyz) => {
+                        const cell = classes.matrix[`${abc}${xyz}`];
+                        return (
+                          <td key={xyz}>
+                            {cell.variants} variant{cell.variants === 1 ? '' : 's'}
+                            <div style={{ fontSize: '0.8rem', color: 'var(--gray-500)' }}>{money(cell.value)}</div>
+                          </td>
+                        );
+                      })}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+            {classes.variants.length === 0 ? (
+              <div className="empty-state"><p>No active variants</p></div>
+            ) : (
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr>
+                      <th>Class</th><th>Product</th><th>SKU</th><th>Units</th><th>Value</th><th>Share</th>
+                      <th>Cumulative</th><th>Weekly CoV</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {classes.variants.map((v) => (
+                      <tr key={v.variantId} style={{ cursor: 'pointer' }}
+                        onClick={() => v.product && navigate(`/products/${v.product._id}`)}>
+                        <td>
+                          <ClassBadge classification={{ ...v, basis: classes.basis, windowDays: classes.windowDays }} />
+                        </td>
+                        <td><strong>{v.product?.name || '—'}</strong></td>
+                        <td><span className="badge badge-gray">{v.sku}</span></td>
+                        <td>{v.units}</td>
+                        <td>{money(v.value)}</td>
+                        <td>{v.share.toFixed(1)}%</td>
+                        <td>{v.cumulativeShare.toFixed(1)}%</td>
+                        <td>{v.cov ?? '—'}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Reports;
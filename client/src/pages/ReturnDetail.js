@@ -0,0 +1,291 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { returnsAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/rbac';
+import Modal from '../components/Modal';
+import toast from 'react-hot-toast';
+
+const statusBadge = (status) => {
+  const map = { open: 'badge-warning', closed: 'badge-success' };
+  return <span className={`badge ${map[status] || 'badge-gray'}`}>{status}</span>;
+};
+
+const dispositionBadge = (disposition) => {
+  const map = { restock: 'badge-success', quarantine: 'badge-warning', scrap: 'badge-danger' };
+  return <span className={`badge ${map[disposition] || 'badge-gray'}`}>{disposition}</span>;
+};
+
+const reasonLabel = (reason) => reason.charAt(0).toUpperCase() + reason.slice(1).replace(/_/g, ' ');
+
+const ReturnDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [rma, setRma] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showResolve, setShowResolve] = useState(false);
+  const [resolveItems, setResolveItems] = useState([]);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchReturn = useCallback(async () => {
+    try {
+      const { data } = await returnsAPI.get(id);
+      setRma(data.returnAuthorization);
+      setMovements(data.movements || []);
+    } catch {
+      toast.error('Return not found');
+      navigate('/returns');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, navigate]);
+
+  useEffect(() => { fetchReturn(); }, [fetchReturn]);
+
+  const openResolve = () => {
+    // Serials that have been restocked or scrapped show up on this return's movements
+    const resolved = new Set(movements.flatMap((m) => m.serialNumbers || []));
+    setResolveItems(
+      rma.items
+        .filter((item) => item.quantityQuarantined > 0)
+        .map((item) => ({
+          variantId: item.variantId,
+          productName: item.productName,
+          sku: item.variantSku,
+          quarantined: item.quantityQuarantined,
+          quantity: item.quantityQuarantined,
+          disposition: 'restock',
+          heldSerials: (item.serialNumbers || []).filter((s) => !resolved.has(s)),
+          serials: [],
+        }))
+    );
+    setShowResolve(true);
+  };
+
+  const updateResolveItem = (idx, field, value) => {
+    const updated = [...resolveItems];
+    updated[idx] = { ...updated[idx], [field]: value };
+    setResolveItems(updated);
+  };
+
+  const handleResolve = async (e) => {
+    e.preventDefault();
+    const items = resolveItems
+      .filter((it) => it.quantity > 0)
+      .map(({
+        variantId, quantity, disposition, serials,
+      }) => ({
+        variantId, quantity, disposition, ...(serials.length > 0 && { serialNumbers: serials }),
+      }));
+
+    if (items.length === 0) return toast.error('Enter quantities for at least one item');
+    if (items.some((it) => it.serialNumbers?.length > it.quantity)) {
+      return toast.error('More serials ticked than units being resolved');
+    }
+
+    setSubmitting(true);
+    try {
+      await returnsAPI.resolve(id, { items });
+      toast.success('Quarantined stock resolved');
+      setShowResolve(false);
+      fetchReturn();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to resolve quarantine');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) return <div className="loading-spinner"><div className="spinner" /></div>;
+  if (!rma) return null;
+
+  return (
+    <div>
+      <div className="page-header">
+        <div>
+          <button className="btn btn-outline btn-sm" onClick={() => navigate('/returns')} style={{ marginBottom: 8 }}>
+            ← Back to Returns
+          </button>
+          <h2>Return {rma.rmaNumber}</h2>
+        </div>
+        {rma.status === 'open' && hasPermission(user, 'returns:create') && (
+          <div className="action-btns">
+            <button className="btn btn-primary" onClick={openResolve}>Resolve Quarantine</button>
+          </div>
+        )}
+      </div>
+
+      <div className="stat-grid">
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Status</h4>
+            <div style={{ marginTop: 8 }}>{statusBadge(rma.status)}</div>
+          </div>
+        </div>
+        <div className="stat-card" style={{ cursor: 'pointer' }} onClick={() => navigate(`/orders/${rma.orderId?._id}`)}>
+          <div className="stat-info">
+            <h4>Order</h4>
+            <div style={{ marginTop: 4 }}>
+              <strong>{rma.orderId?.orderNumber}</strong><br />
+              <span style={{ fontSize: '0.8rem', color: 'var(--gray-500)' }}>{rma.orderId?.customerName || ''}</span>
+            </div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Returned To</h4>
+            <div style={{ marginTop: 4 }}><strong>{rma.locationId?.name}</strong> ({rma.locationId?.code})</div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Created</h4>
+            <div style={{ marginTop: 4 }}>
+              {new Date(rma.createdAt).toLocaleString()} by {rma.createdBy?.name || '—'}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Returned Items ({rma.items?.length})</h3>
+        </div>
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>SKU</th>
+                <th>Qty</th>
+                <th>Reason</th>
+                <th>Disposition</th>
+                <th>Restocked</th>
+                <th>Scrapped</th>
+                <th>Quarantined</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(rma.items || []).map((item, i) => (
+                <tr key={i}>
+                  <td>{item.productName}</td>
+                  <td>
+                    <span className="badge badge-gray">{item.variantSku}</span>
+                    {item.serialNumbers?.length > 0 && (
+                      <div style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>S/N {item.serialNumbers.join(', ')}</div>
+                    )}
+                  </td>
+                  <td>{item.quantity}</td>
+                  <td>{reasonLabel(item.reason)}</td>
+                  <td>{dispositionBadge(item.disposition)}</td>
+                  <td>{item.quantityRestocked}</td>
+                  <td>
+                    {item.quantityScrapped > 0
+                      ? <span style={{ color: 'var(--danger)' }}>{item.quantityScrapped}</span>
+                      : 0}
+                  </td>
+                  <td>
+                    <span className={`badge ${item.quantityQuarantined > 0 ? 'badge-warning' : 'badge-gray'}`}>
+                      {item.quantityQuarantined}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {movements.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Stock Movements</h3>
+          </div>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr><th>Date</th><th>SKU</th><th>Type</th><th>Qty</th><th>Notes</th><th>By</th></tr>
+              </thead>
+              <tbody>
+                {movements.map((m) => (
+                  <tr key={m._id}>
+                    <td>{new Date(m.createdAt).toLocaleString()}</td>
+                    <td><span className="badge badge-gray">{m.variantId?.sku || '—'}</span></td>
+                    <td>{m.type}</td>
+                    <td>
+                      <span style={{ color: m.quantity > 0 ? 'var(--success)' : 'var(--danger)', fontWeight: 600 }}>
+                        {m.quantity > 0 ? '+' : ''}{m.quantity}
+                      </span>
+                    </td>
+                    <td>{m.notes || '—'}</td>
+                    <td>{m.createdBy?.name || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {rma.notes && (
+        <div className="card">
+          <h3 style={{ marginBottom: 8 }}>Notes</h3>
+          <p>{rma.notes}</p>
+        </div>
+      )}
+
+      <Modal isOpen={showResolve} onClose={() => setShowResolve(false)} title="Resolve Quarantine">
+        <form onSubmit={handleResolve}>
+          <p style={{ marginBottom: 16, color: 'var(--gray-500)' }}>
+            Restock units that passed inspection, or scrap the ones that cannot be sold.
+          </p>
+          {resolveItems.map((item, idx) => (
+            <div key={idx} className="form-row" style={{ alignItems: 'center', marginBottom: 8 }}>
+              <div style={{ flex: 2 }}>
+                <strong>{item.productName}</strong><br />
+                <span className="badge badge-gray">{item.sku}</span>
+                <span style={{ fontSize: '0.8rem', color: 'var(--gray-500)', marginLeft: 8 }}>
+                  (quarantined: {item.quarantined})
+                </span>
+              </div>
+              <div className="form-group" style={{ flex: 1, marginBottom: 0 }}>
+                <input type="number" min="0" max={item.quarantined} className="form-control"
+                  value={item.quantity}
+                  onChange={(e) => updateResolveItem(idx, 'quantity', Math.min(parseInt(e.target.value) || 0, item.quarantined))} />
+              </div>
+              <div className="form-group" style={{ flex: 1, marginBottom: 0 }}>
+                <select className="form-control" value={item.disposition}
+                  onChange={(e) => updateResolveItem(idx, 'disposition', e.target.value)}>
+                  <option value="restock">Restock</option>
+                  <option value="scrap">Scrap</option>
+                </select>
+              </div>
+              {item.quantity > 0 && item.heldSerials.length > 0 && (
+                <div style={{ gridColumn: '1 / -1', display: 'flex', flexWrap: 'wrap', gap: 12, fontSize: '0.85rem' }}>
+                  <span style={{ color: 'var(--gray-500)' }}>Serials:</span>
+                  {item.heldSerials.map((serial) => (
+                    <label key={serial} style={{ display: 'flex', alignItems: 'center', gap: 4 }}>
+                      <input type="checkbox" checked={item.serials.includes(serial)}
+                        onChange={(e) => updateResolveItem(idx, 'serials', e.target.checked
+                          ? [...item.serials, serial]
+                          : item.serials.filter((s) => s !== serial))} />
+                      {serial}
+                    </label>
+                  ))}
+                </div>
+              )}
+            </div>
+          ))}
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => setShowResolve(false)}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={submitting}>Confirm</button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default ReturnDetail;
@@ -0,0 +1,113 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { returnsAPI } from '../services/api';
+import { useSocket } from '../context/SocketContext';
+import toast from 'react-hot-toast';
+
+const statusBadge = (status) => {
+  const map = { open: 'badge-warning', closed: 'badge-success' };
+  return <span className={`badge ${map[status] || 'badge-gray'}`}>{status}</span>;
+};
+
+const sum = (items, field) => items.reduce((total, i) => total + (i[field] || 0), 0);
+
+const Returns = () => {
+  const navigate = useNavigate();
+  const { socket } = useSocket();
+  const [returns, setReturns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const fetchReturns = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: 20 };
+      if (statusFilter) params.status = statusFilter;
+      const { data } = await returnsAPI.getAll(params);
+      setReturns(data.returns);
+      setTotalPages(data.pagination?.pages || 1);
+    } catch {
+      toast.error('Failed to load returns');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, statusFilter]);
+
+  useEffect(() => { fetchReturns(); }, [fetchReturns]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const refresh = () => fetchReturns();
+    socket.on('return:created', refresh);
+    socket.on('return:updated', refresh);
+    return () => {
+      socket.off('return:created', refresh);
+      socket.off('return:updated', refresh);
+    };
+  }, [socket, fetchReturns]);
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Returns</h2>
+      </div>
+
+      <div className="card">
+        <div className="filter-bar">
+          <select className="form-control" value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}>
+            <option value="">All Statuses</option>
+            <option value="open">Open (in quarantine)</option>
+            <option value="closed">Closed</option>
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : returns.length === 0 ? (
+          <div className="empty-state">
+            <h3>No returns</h3>
+            <p>Returns are created from a delivered order's page.</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>RMA</th><th>Order</th><th>Customer</th><th>Units</th>
+                  <th>Restocked</th><th>Scrapped</th><th>Quarantined</th><th>Status</th><th>Created</th>
+                </tr>
+              </thead>
+              <tbody>
+                {returns.map((r) => (
+                  <tr key={r._id} style={{ cursor: 'pointer' }} onClick={() => navigate(`/returns/${r._id}`)}>
+                    <td><strong>{r.rmaNumber}</strong></td>
+                    <td>{r.orderId?.orderNumber || '—'}</td>
+                    <td>{r.orderId?.customerName || '—'}</td>
+                    <td>{sum(r.items, 'quantity')}</td>
+                    <td>{sum(r.items, 'quantityRestocked')}</td>
+                    <td>{sum(r.items, 'quantityScrapped')}</td>
+                    <td>{sum(r.items, 'quantityQuarantined')}</td>
+                    <td>{statusBadge(r.status)}</td>
+                    <td>{new Date(r.createdAt).toLocaleDateString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="pagination">
+            <button className="btn btn-outline btn-sm" disabled={page === 1} onClick={() => setPage(page - 1)}>Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button className="btn btn-outline btn-sm" disabled={page === totalPages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default Returns;
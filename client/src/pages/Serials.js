@@ -0,0 +1,182 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link } from 'react-router-dom';
+import { serialsAPI } from '../services/api';
+import Modal from '../components/Modal';
+import toast from 'react-hot-toast';
+
+const STATUSES = {
+  in_stock: { label: 'In stock', badge: 'badge-success' },
+  in_transit: { label: 'In transit', badge: 'badge-warning' },
+  sold: { label: 'Sold', badge: 'badge-info' },
+  quarantined: { label: 'Quarantined', badge: 'badge-danger' },
+  scrapped: { label: 'Scrapped', badge: 'badge-danger' },
+  written_off: { label: 'Written off', badge: 'badge-gray' },
+};
+
+const statusBadge = (status) => (
+  <span className={`badge ${STATUSES[status]?.badge || 'badge-gray'}`}>{STATUSES[status]?.label || status}</span>
+);
+
+const Serials = () => {
+  const [serials, setSerials] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [search, setSearch] = useState('');
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+  const [selected, setSelected] = useState(null);
+
+  const fetchSerials = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: 20 };
+      if (search) params.search = search;
+      if (statusFilter) params.status = statusFilter;
+      const { data } = await serialsAPI.getAll(params);
+      setSerials(data.serials);
+      setTotalPages(data.pagination?.pages || 1);
+    } catch {
+      toast.error('Failed to load serial numbers');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, search, statusFilter]);
+
+  useEffect(() => { fetchSerials(); }, [fetchSerials]);
+
+  const openSerial = async (id) => {
+    try {
+      const { data } = await serialsAPI.get(id);
+      setSelected(data);
+    } catch {
+      toast.error('Failed to load serial history');
+    }
+  };
+
+  const serial = selected?.serial;
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Serial Lookup</h2>
+      </div>
+
+      <div className="card">
+        <div className="filter-bar">
+          <input
+            type="text"
+            className="form-control search-input"
+            placeholder="Search serial numbers..."
+            value={search}
+            onChange={(e) => { setSearch(e.target.value); setPage(1); }}
+          />
+          <select className="form-control" value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}>
+            <option value="">All Statuses</option>
+            {Object.entries(STATUSES).map(([value, { label }]) => <option key={value} value={value}>{label}</option>)}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : serials.length === 0 ? (
+          <div className="empty-state">
+            <h3>No serial numbers found</h3>
+            <p>Serials are recorded when serial-tracked products are received.</p>
+          </div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr>
+                  <th>Serial</th><th>Product</th><th>SKU</th><th>Status</th><th>Location</th><th>Received</th>
+                </tr>
+              </thead>
+              <tbody>
+                {serials.map((s) => (
+                  <tr key={s._id} style={{ cursor: 'pointer' }} onClick={() => openSerial(s._id)}>
+                    <td><strong>{s.serialNumber}</strong></td>
+                    <td>{s.productId?.name || '—'}</td>
+                    <td><span className="badge badge-gray">{s.variantId?.sku}</span></td>
+                    <td>{statusBadge(s.status)}</td>
+                    <td>{s.locationId?.name || '—'}</td>
+                    <td>{new Date(s.receivedAt).toLocaleDateString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="pagination">
+            <button className="btn btn-outline btn-sm" disabled={page === 1} onClick={() => setPage(page - 1)}>Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button className="btn btn-outline btn-sm" disabled={page === totalPages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        )}
+      </div>
+
+      <Modal isOpen={!!selected} onClose={() => setSelected(null)} title={serial ? `Serial ${serial.serialNumber}` : ''}>
+        {serial && (
+          <div>
+            <p>
+              <strong>{serial.productId?.name}</strong> <span className="badge badge-gray">{serial.variantId?.sku}</span>{' '}
+              {statusBadge(serial.status)}
+              {serial.locationId && <> at {serial.locationId.name}</>}
+            </p>
+            <div className="form-row">
+              <div className="form-group">
+                <label>Received on</label>
+                <div>
+                  {serial.purchaseOrderId
+                    ? <Link to={`/purchase-orders/${serial.purchaseOrderId._id}`}>{serial.purchaseOrderId.poNumber}</Link>
+                    : '—'}
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Shipped on</label>
+                <div>
+                  {serial.orderId
+                    ? <Link to={`/orders/${serial.orderId._id}`}>{serial.orderId.orderNumber}</Link>
+                    : '—'}
+                  {serial.orderId?.customerName && <> ({serial.orderId.customerName})</>}
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Returned on</label>
+                <div>
+                  {serial.rmaId
+                    ? <Link to={`/returns/${serial.rmaId._id}`}>{serial.rmaId.rmaNumber}</Link>
+                    : '—'}
+                </div>
+              </div>
+            </div>
+
+            <h4 style={{ margin: '12px 0 8px' }}>History</h4>
+            <div className="table-container">
+              <table>
+                <thead>
+                  <tr><th>When</th><th>Event</th><th>Status</th><th>Location</th><th>Reference</th><th>By</th></tr>
+                </thead>
+                <tbody>
+                  {serial.history.map((h, i) => (
+                    <tr key={i}>
+                      <td>{new Date(h.at).toLocaleString()}</td>
+                      <td style={{ textTransform: 'capitalize' }}>{h.event}</td>
+                      <td>{statusBadge(h.status)}</td>
+                      <td>{h.locationId?.name || '—'}</td>
+                      <td>{h.reference || '—'}</td>
+                      <td>{h.userId?.name || '—'}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </Modal>
+    </div>
+  );
+};
+
+export default Serials;
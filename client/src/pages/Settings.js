@@ -0,0 +1,223 @@
+import React, { useState, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { settingsAPI } from '../services/api';
+import { Settings as SettingsIcon, ShoppingCart, Save, Tags, Layers } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+const Settings = () => {
+  const navigate = useNavigate();
+  const [form, setForm] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    settingsAPI.get()
+      .then(({ data }) => setForm({
+        currency: data.settings?.currency || 'USD',
+        lowStockThreshold: data.settings?.lowStockThreshold ?? 10,
+        timezone: data.settings?.timezone || 'UTC',
+        reservationExpiryHours: data.settings?.reservationExpiryHours ?? 48,
+        allowBackorders: data.settings?.allowBackorders ?? false,
+        costingMethod: data.settings?.costingMethod || 'fifo',
+        expiryAlertDays: data.settings?.expiryAlertDays ?? 30,
+        ownersBypassApprovals: data.settings?.ownersBypassApprovals ?? true,
+        autoReorder: data.settings?.autoReorder ?? false,
+        classificationBasis: data.settings?.classificationBasis || 'revenue',
+        classificationWindowDays: data.settings?.classificationWindowDays ?? 90,
+        abcCutoffs: { a: 80, b: 95, ...data.settings?.abcCutoffs },
+        xyzCutoffs: { x: 0.5, y: 1, ...data.settings?.xyzCutoffs },
+      }))
+      .catch(() => toast.error('Failed to load settings'));
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    try {
+      const { data } = await settingsAPI.update(form);
+      setForm({ ...form, ...data.settings });
+      toast.success('Settings saved');
+    } catch (err) {
+      toast.error(err.response?.data?.details?.[0]?.msg || err.response?.data?.error || 'Failed to save settings');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  if (!form) return <div className="loading-spinner"><div className="spinner" /></div>;
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Settings</h2>
+        <button className="btn btn-outline" onClick={() => navigate('/settings/reason-codes')}>
+          <Tags size={16} style={{ marginRight: 6 }} /> Adjustment Reason Codes
+        </button>
+      </div>
+
+      <form onSubmit={handleSubmit}>
+        <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: 24 }}>
+          <div className="card">
+            <div style={{ padding: '16px 20px', borderBottom: '1px solid var(--gray-200)' }}>
+              <h3 style={{ margin: 0, fontSize: '1rem', display: 'flex', alignItems: 'center', gap: 8 }}>
+                <SettingsIcon size={18} /> General
+              </h3>
+            </div>
+            <div style={{ padding: 20 }}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Currency</label>
+                  <input className="form-control" type="text" maxLength={3} value={form.currency}
+                    onChange={(e) => setForm({ ...form, currency: e.target.value.toUpperCase() })} required />
+                </div>
+                <div className="form-group">
+                  <label>Timezone</label>
+                  <input className="form-control" type="text" value={form.timezone} placeholder="e.g. America/New_York"
+                    onChange={(e) => setForm({ ...form, timezone: e.target.value })} required />
+                </div>
+              </div>
+              <div className="form-group">
+                <label>Default Low Stock Threshold</label>
+                <input className="form-control" type="number" min="0" value={form.lowStockThreshold}
+                  onChange={(e) => setForm({ ...form, lowStockThreshold: parseInt(e.target.value) || 0 })} />
+              </div>
+              <div className="form-group">
+                <label>Costing Method</label>
+                <select className="form-control" value={form.costingMethod}
+                  onChange={(e) => setForm({ ...form, costingMethod: e.target.value })}>
+                  <option value="fifo">FIFO (first in, first out)</option>
+                  <option value="average">Moving average</option>
+                </select>
+                <p style={{ fontSize: '0.75rem', color: 'var(--gray-500)', marginTop: 4 }}>
+                  How sales and write-offs are costed from purchase order receipts. Changing it applies to
+                  stock that moves from now on.
+                </p>
+              </div>
+              <div className="form-group">
+                <label>Lot Expiry Alert (days)</label>
+                <input className="form-control" type="number" min="0" max="365" value={form.expiryAlertDays}
+                  onChange={(e) => setForm({ ...form, expiryAlertDays: parseInt(e.target.value) || 0 })} />
+                <p style={{ fontSize: '0.75rem', color: 'var(--gray-500)', marginTop: 4 }}>
+                  Lots of lot-tracked products that expire within this many days raise an alert, once per lot.
+                </p>
+              </div>
+              <div className="form-group">
+                <label>
+                  <input type="checkbox" checked={form.ownersBypassApprovals}
+                    onChange={(e) => setForm({ ...form, ownersBypassApprovals: e.target.checked })} />
+                  {' '}Owners skip approval rules
+                </label>
+                <p style={{ fontSize: '0.75rem', color: 'var(--gray-500)', marginTop: 4 }}>
+                  Adjustments and PO sends by an owner go through without approval. When off, they are held like
+                  anyone else&apos;s and need another owner or manager to approve them.
+                </p>
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <div style={{ padding: '16px 20px', borderBottom: '1px solid var(--gray-200)' }}>
+              <h3 style={{ margin: 0, fontSize: '1rem', display: 'flex', alignItems: 'center', gap: 8 }}>
+                <ShoppingCart size={18} /> Orders
+              </h3>
+            </div>
+            <div style={{ padding: 20 }}>
+              <div className="form-group">
+                <label>Reservation Expiry (hours)</label>
+                <input className="form-control" type="number" min="0" max="8760" value={form.reservationExpiryHours}
+                  onChange={(e) => setForm({ ...form, reservationExpiryHours: parseInt(e.target.value) || 0 })} />
+                <p style={{ fontSize: '0.75rem', color: 'var(--gray-500)', marginTop: 4 }}>
+                  New orders reserve their stock. If an order is still pending after this many hours it is
+                  cancelled and the stock becomes available again. Set to 0 to keep reservations until the
+                  order is handled.
+                </p>
+              </div>
+              <div className="form-group">
+                <label>
+                  <input type="checkbox" checked={form.allowBackorders}
+                    onChange={(e) => setForm({ ...form, allowBackorders: e.target.checked })} />
+                  {' '}Allow backorders
+                </label>
+                <p style={{ fontSize: '0.75rem', color: 'var(--gray-500)', marginTop: 4 }}>
+                  Accept orders for more than is available. The shortfall is backordered and filled from
+                  purchase order receipts, oldest order first.
+                </p>
+              </div>
+              <div className="form-group">
+                <label>
+                  <input type="checkbox" checked={form.autoReorder}
+                    onChange={(e) => setForm({ ...form, autoReorder: e.target.checked })} />
+                  {' '}Draft reorder POs nightly
+                </label>
+                <p style={{ fontSize: '0.75rem', color: 'var(--gray-500)', marginTop: 4 }}>
+                  Each night, variants at or below their reorder point are added to a draft purchase order for
+                  their preferred supplier. Drafts are never sent without review.
+                </p>
+              </div>
+            </div>
+          </div>
+
+          <div className="card">
+            <div style={{ padding: '16px 20px', borderBottom: '1px solid var(--gray-200)' }}>
+              <h3 style={{ margin: 0, fontSize: '1rem', display: 'flex', alignItems: 'center', gap: 8 }}>
+                <Layers size={18} /> ABC/XYZ Classification
+              </h3>
+            </div>
+            <div style={{ padding: 20 }}>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Rank By</label>
+                  <select className="form-control" value={form.classificationBasis}
+                    onChange={(e) => setForm({ ...form, classificationBasis: e.target.value })}>
+                    <option value="revenue">Revenue</option>
+                    <option value="consumption">Consumption value (cost)</option>
+                  </select>
+                </div>
+                <div className="form-group">
+                  <label>Window (days)</label>
+                  <input className="form-control" type="number" min="7" max="730" value={form.classificationWindowDays}
+                    onChange={(e) => setForm({ ...form, classificationWindowDays: parseInt(e.target.value) || 0 })} />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Class A up to (% of value)</label>
+                  <input className="form-control" type="number" min="1" max="100" step="any" value={form.abcCutoffs.a}
+                    onChange={(e) => setForm({ ...form, abcCutoffs: { ...form.abcCutoffs, a: parseFloat(e.target.value) || 0 } })} />
+                </div>
+                <div className="form-group">
+                  <label>Class B up to (% of value)</label>
+                  <input className="form-control" type="number" min="1" max="100" step="any" value={form.abcCutoffs.b}
+                    onChange={(e) => setForm({ ...form, abcCutoffs: { ...form.abcCutoffs, b: parseFloat(e.target.value) || 0 } })} />
+                </div>
+              </div>
+              <div className="form-row">
+                <div className="form-group">
+                  <label>Class X up to (variation)</label>
+                  <input className="form-control" type="number" min="0" step="0.05" value={form.xyzCutoffs.x}
+                    onChange={(e) => setForm({ ...form, xyzCutoffs: { ...form.xyzCutoffs, x: parseFloat(e.target.value) || 0 } })} />
+                </div>
+                <div className="form-group">
+                  <label>Class Y up to (variation)</label>
+                  <input className="form-control" type="number" min="0" step="0.05" value={form.xyzCutoffs.y}
+                    onChange={(e) => setForm({ ...form, xyzCutoffs: { ...form.xyzCutoffs, y: parseFloat(e.target.value) || 0 } })} />
+                </div>
+              </div>
+              <p style={{ fontSize: '0.75rem', color: 'var(--gray-500)', marginTop: 4 }}>
+                Variants are ranked by value, highest first; A covers the top share of cumulative value, B the next,
+                C the rest. Variation is the coefficient of variation of weekly demand; anything above Y, or that
+                did not sell, is Z. Classes are recalculated nightly.
+              </p>
+            </div>
+          </div>
+        </div>
+
+        <button type="submit" className="btn btn-primary" disabled={saving} style={{ marginTop: 16 }}>
+          <Save size={16} style={{ marginRight: 6 }} />
+          {saving ? 'Saving...' : 'Save Settings'}
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default Settings;
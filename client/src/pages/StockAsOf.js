@@ -0,0 +1,139 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { stockAPI, productsAPI } from '../services/api';
+import { Download } from 'lucide-react';
+import toast from 'react-hot-toast';
+
+// datetime-local wants local time without seconds or zone
+const localNow = () => {
+  const now = new Date();
+  return new Date(now.getTime() - now.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const StockAsOf = () => {
+  const [at, setAt] = useState(localNow());
+  const [categories, setCategories] = useState([]);
+  const [category, setCategory] = useState('');
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [downloading, setDownloading] = useState(false);
+  const [page, setPage] = useState(1);
+
+  const params = useCallback(() => {
+    const p = { at: new Date(at).toISOString() };
+    if (category) p.category = category;
+    return p;
+  }, [at, category]);
+
+  const fetchStock = useCallback(async () => {
+    if (!at) return;
+    setLoading(true);
+    try {
+      const { data } = await stockAPI.getAsOf({ ...params(), page, limit: 50 });
+      setResult(data);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to load stock');
+    } finally {
+      setLoading(false);
+    }
+  }, [at, page, params]);
+
+  useEffect(() => { fetchStock(); }, [fetchStock]);
+
+  useEffect(() => {
+    productsAPI.getCategories().then(({ data }) => setCategories(data.categories || [])).catch(() => {});
+  }, []);
+
+  const handleDownload = async () => {
+    setDownloading(true);
+    try {
+      const { data, headers } = await stockAPI.downloadAsOf(params());
+      const match = /filename="([^"]+)"/.exec(headers['content-disposition'] || '');
+      const url = URL.createObjectURL(data);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = match ? match[1] : 'stock-as-of.csv';
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      toast.error('Failed to download CSV');
+    } finally {
+      setDownloading(false);
+    }
+  };
+
+  const totalPages = result?.pagination?.pages || 1;
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Stock As Of</h2>
+        <button className="btn btn-outline" onClick={handleDownload} disabled={downloading || !at}>
+          <Download size={16} /> {downloading ? 'Preparing...' : 'Download CSV'}
+        </button>
+      </div>
+
+      <div className="card">
+        <div className="filter-bar">
+          <input type="datetime-local" className="form-control" style={{ width: 220 }} value={at} max={localNow()}
+            onChange={(e) => { setAt(e.target.value); setPage(1); }} />
+          <select className="form-control" value={category} onChange={(e) => { setCategory(e.target.value); setPage(1); }}>
+            <option value="">All Categories</option>
+            {categories.map((c) => <option key={c} value={c}>{c}</option>)}
+          </select>
+        </div>
+
+        {loading || !result ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : (
+          <>
+            <div className="stat-grid">
+              <div className="stat-card">
+                <div className="stat-info">
+                  <h4>Variants</h4>
+                  <div className="stat-value">{result.totals.variants.toLocaleString()}</div>
+                </div>
+              </div>
+              <div className="stat-card">
+                <div className="stat-info">
+                  <h4>Units</h4>
+                  <div className="stat-value">{result.totals.units.toLocaleString()}</div>
+                </div>
+              </div>
+            </div>
+            {result.variants.length === 0 ? (
+              <div className="empty-state"><p>No variants existed at this time</p></div>
+            ) : (
+              <div className="table-container">
+                <table>
+                  <thead>
+                    <tr><th>SKU</th><th>Product</th><th>Category</th><th>Stock</th></tr>
+                  </thead>
+                  <tbody>
+                    {result.variants.map((v) => (
+                      <tr key={v.variantId}>
+                        <td><span className="badge badge-gray">{v.sku}</span></td>
+                        <td>{v.productName}</td>
+                        <td>{v.category || '—'}</td>
+                        <td>{v.stock}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </>
+        )}
+
+        {totalPages > 1 && (
+          <div className="pagination">
+            <button className="btn btn-outline btn-sm" disabled={page === 1} onClick={() => setPage(page - 1)}>Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button className="btn btn-outline btn-sm" disabled={page === totalPages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default StockAsOf;
@@ -1,11 +1,12 @@
 import React, { useState, useEffect, useCallback } from 'react';
-import { stockAPI } from '../services/api';
+import { stockAPI, locationsAPI, reasonCodesAPI } from '../services/api';
 import toast from 'react-hot-toast';
 
 const typeBadge = (type) => {
   const map = {
     purchase: 'badge-success', sale: 'badge-info',
     return: 'badge-warning', adjustment: 'badge-gray',
+    transfer: 'badge-info', loss: 'badge-danger',
   };
   return <span className={`badge ${map[type] || 'badge-gray'}`}>{type}</span>;
 };
@@ -14,6 +15,11 @@ const StockMovements = () => {
   const [movements, setMovements] = useState([]);
   const [loading, setLoading] = useState(true);
   const [typeFilter, setTypeFilter] = useState('');
+  const [locations, setLocations] = useState([]);
+  const [locationFilter, setLocationFilter] = useState('');
+  const [reasonCodes, setReasonCodes] = useState([]);
+  const [reasonFilter, setReasonFilter] = useState('');
+  const [totals, setTotals] = useState(null);
   const [page, setPage] = useState(1);
   const [totalPages, setTotalPages] = useState(1);
 
@@ -22,18 +28,28 @@ const StockMovements = () => {
     try {
       const params = { page, limit: 20 };
       if (typeFilter) params.type = typeFilter;
+      if (locationFilter) params.locationId = locationFilter;
+      if (reasonFilter) params.reasonCode = reasonFilter;
       const { data } = await stockAPI.getMovements(params);
       setMovements(data.movements);
+      setTotals(data.totals || null);
       setTotalPages(data.pagination?.pages || 1);
     } catch {
       toast.error('Failed to load stock movements');
     } finally {
       setLoading(false);
     }
-  }, [page, typeFilter]);
+  }, [page, typeFilter, locationFilter, reasonFilter]);
 
   useEffect(() => { fetchMovements(); }, [fetchMovements]);
 
+  useEffect(() => {
+    locationsAPI.getAll().then(({ data }) => setLocations(data.locations)).catch(() => {});
+    reasonCodesAPI.getAll().then(({ data }) => setReasonCodes(data.reasonCodes)).catch(() => {});
+  }, []);
+
+  const reasonName = (code) => reasonCodes.find((r) => r.code === code)?.name || code;
+
   return (
     <div>
       <div className="page-header">
@@ -48,7 +64,25 @@ const StockMovements = () => {
             <option value="sale">Sale</option>
             <option value="return">Return</option>
             <option value="adjustment">Adjustment</option>
+            <option value="transfer">Transfer</option>
+            <option value="loss">Loss</option>
+          </select>
+          {locations.length > 1 && (
+            <select className="form-control" value={locationFilter} onChange={(e) => { setLocationFilter(e.target.value); setPage(1); }}>
+              <option value="">All Locations</option>
+              {locations.map((l) => <option key={l._id} value={l._id}>{l.name} ({l.code})</option>)}
+            </select>
+          )}
+          <select className="form-control" value={reasonFilter} onChange={(e) => { setReasonFilter(e.target.value); setPage(1); }}>
+            <option value="">All Reasons</option>
+            {reasonCodes.map((r) => <option key={r._id} value={r.code}>{r.name}</option>)}
           </select>
+          {totals && (
+            <span style={{ fontSize: '0.85rem', color: 'var(--gray-500)' }}>
+              Total: <strong>{totals.quantity > 0 ? '+' : ''}{totals.quantity}</strong> units
+              · <strong style={{ color: totals.value < 0 ? 'var(--danger)' : undefined }}>${totals.value.toFixed(2)}</strong>
+            </span>
+          )}
         </div>
 
         {loading ? (
@@ -64,10 +98,12 @@ const StockMovements = () => {
                   <th>Type</th>
                   <th>Product</th>
                   <th>SKU</th>
+                  <th>Location</th>
                   <th>Qty</th>
                   <th>Before</th>
                   <th>After</th>
                   <th>Reference</th>
+                  <th>Reason</th>
                   <th>Notes</th>
                   <th>By</th>
                 </tr>
@@ -79,6 +115,7 @@ const StockMovements = () => {
                     <td>{typeBadge(m.type)}</td>
                     <td>{m.productId?.name || '—'}</td>
                     <td><span className="badge badge-gray">{m.variantId?.sku || '—'}</span></td>
+                    <td>{m.locationId?.code || (m.type === 'transfer' ? 'In transit' : '—')}</td>
                     <td>
                       <span style={{ color: m.quantity > 0 ? 'var(--success)' : 'var(--danger)', fontWeight: 600 }}>
                         {m.quantity > 0 ? '+' : ''}{m.quantity}
@@ -86,7 +123,20 @@ const StockMovements = () => {
                     </td>
                     <td>{m.previousStock}</td>
                     <td>{m.newStock}</td>
-                    <td>{m.reference || '—'}</td>
+                    <td>
+                      {m.reference || '—'}
+                      {m.lots?.length > 0 && (
+                        <div style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>
+                          Lot {m.lots.map((l) => `${l.lotNumber} (${l.quantity})`).join(', ')}
+                        </div>
+                      )}
+                      {m.serialNumbers?.length > 0 && (
+                        <div style={{ fontSize: '0.75rem', color: 'var(--gray-500)' }}>
+                          S/N {m.serialNumbers.join(', ')}
+                        </div>
+                      )}
+                    </td>
+                    <td>{m.reasonCode ? <span className="badge badge-gray">{reasonName(m.reasonCode)}</span> : '—'}</td>
                     <td style={{ maxWidth: 200, overflow: 'hidden', textOverflow: 'ellipsis', whiteSpace: 'nowrap' }}>
                       {m.notes || '—'}
                     </td>
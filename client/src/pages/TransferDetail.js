@@ -0,0 +1,303 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { transfersAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/rbac';
+import Modal from '../components/Modal';
+import toast from 'react-hot-toast';
+
+const statusBadge = (status) => {
+  const map = {
+    draft: 'badge-gray', in_transit: 'badge-info',
+    partially_received: 'badge-warning', received: 'badge-success', cancelled: 'badge-danger',
+  };
+  return <span className={`badge ${map[status] || 'badge-gray'}`}>{status.replace('_', ' ')}</span>;
+};
+
+const outstandingOf = (item) => item.quantity - (item.quantityReceived || 0) - (item.quantityWrittenOff || 0);
+
+const TransferDetail = () => {
+  const { id } = useParams();
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const [transfer, setTransfer] = useState(null);
+  const [movements, setMovements] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [showReceive, setShowReceive] = useState(false);
+  const [receiveItems, setReceiveItems] = useState([]);
+  const [complete, setComplete] = useState(false);
+  const [submitting, setSubmitting] = useState(false);
+
+  const fetchTransfer = useCallback(async () => {
+    try {
+      const { data } = await transfersAPI.get(id);
+      setTransfer(data.transfer);
+      setMovements(data.movements || []);
+    } catch {
+      toast.error('Transfer not found');
+      navigate('/transfers');
+    } finally {
+      setLoading(false);
+    }
+  }, [id, navigate]);
+
+  useEffect(() => { fetchTransfer(); }, [fetchTransfer]);
+
+  const handleShip = async () => {
+    if (!window.confirm('Ship this transfer? Stock will leave the source location.')) return;
+    setSubmitting(true);
+    try {
+      await transfersAPI.ship(id);
+      toast.success('Transfer shipped');
+      fetchTransfer();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to ship transfer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  const handleCancel = async () => {
+    if (!window.confirm('Cancel this transfer?')) return;
+    try {
+      await transfersAPI.cancel(id);
+      toast.success('Transfer cancelled');
+      fetchTransfer();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to cancel transfer');
+    }
+  };
+
+  const openReceive = () => {
+    setReceiveItems(
+      transfer.items
+        .filter((item) => outstandingOf(item) > 0)
+        .map((item) => ({
+          variantId: item.variantId?._id || item.variantId,
+          quantityReceived: outstandingOf(item),
+          outstanding: outstandingOf(item),
+          discrepancyNote: item.discrepancyNote || '',
+          sku: item.variantId?.sku || 'N/A',
+          productName: item.productId?.name || 'Product',
+        }))
+    );
+    setComplete(false);
+    setShowReceive(true);
+  };
+
+  const updateReceiveItem = (idx, field, value) => {
+    const updated = [...receiveItems];
+    updated[idx] = { ...updated[idx], [field]: value };
+    setReceiveItems(updated);
+  };
+
+  const handleReceive = async (e) => {
+    e.preventDefault();
+    const items = receiveItems.map(({ variantId, quantityReceived, discrepancyNote }) => ({
+      variantId, quantityReceived, discrepancyNote: discrepancyNote || undefined,
+    }));
+
+    if (!complete && items.every((it) => it.quantityReceived === 0)) {
+      return toast.error('Enter quantities for at least one item');
+    }
+    setSubmitting(true);
+    try {
+      await transfersAPI.receive(id, { items, complete });
+      toast.success(complete ? 'Transfer closed' : 'Transfer received, stock updated');
+      setShowReceive(false);
+      fetchTransfer();
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to receive transfer');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  if (loading) return <div className="loading-spinner"><div className="spinner" /></div>;
+  if (!transfer) return null;
+
+  const canReceive = ['in_transit', 'partially_received'].includes(transfer.status);
+  const shortLines = receiveItems.filter((it) => it.quantityReceived < it.outstanding);
+
+  return (
+    <div>
+      <div className="page-header">
+        <div>
+          <button className="btn btn-outline btn-sm" onClick={() => navigate('/transfers')} style={{ marginBottom: 8 }}>
+            ← Back to Transfers
+          </button>
+          <h2>Transfer {transfer.transferNumber}</h2>
+        </div>
+        <div className="action-btns">
+          {transfer.status === 'draft' && hasPermission(user, 'transfers:ship') && (
+            <button className="btn btn-primary" onClick={handleShip} disabled={submitting}>Ship Transfer</button>
+          )}
+          {canReceive && hasPermission(user, 'transfers:receive') && (
+            <button className="btn btn-success" onClick={openReceive} style={{ background: 'var(--success)', color: '#fff' }}>
+              Receive Transfer
+            </button>
+          )}
+          {transfer.status === 'draft' && hasPermission(user, 'transfers:create') && (
+            <button className="btn btn-danger" onClick={handleCancel}>Cancel Transfer</button>
+          )}
+        </div>
+      </div>
+
+      <div className="stat-grid">
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Status</h4>
+            <div style={{ marginTop: 8 }}>{statusBadge(transfer.status)}</div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>From</h4>
+            <div style={{ marginTop: 4 }}><strong>{transfer.fromLocationId?.name}</strong> ({transfer.fromLocationId?.code})</div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>To</h4>
+            <div style={{ marginTop: 4 }}><strong>{transfer.toLocationId?.name}</strong> ({transfer.toLocationId?.code})</div>
+          </div>
+        </div>
+        <div className="stat-card">
+          <div className="stat-info">
+            <h4>Shipped</h4>
+            <div style={{ marginTop: 4 }}>
+              {transfer.shippedAt
+                ? `${new Date(transfer.shippedAt).toLocaleString()} by ${transfer.shippedBy?.name || '—'}`
+                : 'Not yet'}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      <div className="card">
+        <div className="card-header">
+          <h3>Line Items ({transfer.items?.length})</h3>
+        </div>
+        <div className="table-container">
+          <table>
+            <thead>
+              <tr>
+                <th>Product</th>
+                <th>SKU</th>
+                <th>Shipped</th>
+                <th>Received</th>
+                <th>Written Off</th>
+                <th>In Transit</th>
+                <th>Discrepancy</th>
+              </tr>
+            </thead>
+            <tbody>
+              {(transfer.items || []).map((item, i) => {
+                const outstanding = transfer.status === 'draft' ? 0 : outstandingOf(item);
+                return (
+                  <tr key={i}>
+                    <td>{item.productId?.name || 'Product'}</td>
+                    <td><span className="badge badge-gray">{item.variantId?.sku || 'N/A'}</span></td>
+                    <td>{item.quantity}</td>
+                    <td>{item.quantityReceived || 0}</td>
+                    <td>
+                      {item.quantityWrittenOff > 0
+                        ? <span style={{ color: 'var(--danger)' }}>{item.quantityWrittenOff}</span>
+                        : 0}
+                    </td>
+                    <td>
+                      <span className={`badge ${outstanding > 0 ? 'badge-info' : 'badge-gray'}`}>{outstanding}</span>
+                    </td>
+                    <td style={{ maxWidth: 240 }}>{item.discrepancyNote || '—'}</td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      </div>
+
+      {movements.length > 0 && (
+        <div className="card">
+          <div className="card-header">
+            <h3>Stock Movements</h3>
+          </div>
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr><th>Date</th><th>SKU</th><th>Where</th><th>Qty</th><th>Notes</th><th>By</th></tr>
+              </thead>
+              <tbody>
+                {movements.map((m) => (
+                  <tr key={m._id}>
+                    <td>{new Date(m.createdAt).toLocaleString()}</td>
+                    <td><span className="badge badge-gray">{m.variantId?.sku || '—'}</span></td>
+                    <td>{m.locationId ? m.locationId.code : <em>In transit</em>}</td>
+                    <td>
+                      <span style={{ color: m.quantity > 0 ? 'var(--success)' : 'var(--danger)', fontWeight: 600 }}>
+                        {m.quantity > 0 ? '+' : ''}{m.quantity}
+                      </span>
+                    </td>
+                    <td>{m.notes || '—'}</td>
+                    <td>{m.createdBy?.name || '—'}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      )}
+
+      {transfer.notes && (
+        <div className="card">
+          <h3 style={{ marginBottom: 8 }}>Notes</h3>
+          <p>{transfer.notes}</p>
+        </div>
+      )}
+
+      <Modal isOpen={showReceive} onClose={() => setShowReceive(false)} title="Receive Transfer">
+        <form onSubmit={handleReceive}>
+          <p style={{ marginBottom: 16, color: 'var(--gray-500)' }}>
+            Enter the quantity that arrived for each item. Note any damage or shortage against the line.
+          </p>
+          {receiveItems.map((item, idx) => (
+            <div key={idx} style={{ marginBottom: 12 }}>
+              <div className="form-row" style={{ alignItems: 'center', marginBottom: 4 }}>
+                <div style={{ flex: 2 }}>
+                  <strong>{item.productName}</strong><br />
+                  <span className="badge badge-gray">{item.sku}</span>
+                  <span style={{ fontSize: '0.8rem', color: 'var(--gray-500)', marginLeft: 8 }}>
+                    (in transit: {item.outstanding})
+                  </span>
+                </div>
+                <div className="form-group" style={{ flex: 1, marginBottom: 0 }}>
+                  <input type="number" min="0" max={item.outstanding} className="form-control"
+                    value={item.quantityReceived}
+                    onChange={(e) => updateReceiveItem(idx, 'quantityReceived', Math.min(parseInt(e.target.value) || 0, item.outstanding))} />
+                </div>
+              </div>
+              {item.quantityReceived < item.outstanding && (
+                <input className="form-control" placeholder="Discrepancy note (e.g. 2 units damaged)"
+                  value={item.discrepancyNote} onChange={(e) => updateReceiveItem(idx, 'discrepancyNote', e.target.value)} />
+              )}
+            </div>
+          ))}
+          {shortLines.length > 0 && (
+            <div className="form-group">
+              <label>
+                <input type="checkbox" checked={complete} onChange={(e) => setComplete(e.target.checked)} />
+                {' '}Close transfer and write off what did not arrive
+              </label>
+            </div>
+          )}
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => setShowReceive(false)}>Cancel</button>
+            <button type="submit" className="btn btn-primary" disabled={submitting}>Confirm Receipt</button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default TransferDetail;
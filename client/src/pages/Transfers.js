@@ -0,0 +1,235 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { transfersAPI, locationsAPI, stockAPI } from '../services/api';
+import { useAuth } from '../context/AuthContext';
+import { hasPermission } from '../utils/rbac';
+import { useSocket } from '../context/SocketContext';
+import Modal from '../components/Modal';
+import toast from 'react-hot-toast';
+
+const statusBadge = (status) => {
+  const map = {
+    draft: 'badge-gray', in_transit: 'badge-info',
+    partially_received: 'badge-warning', received: 'badge-success', cancelled: 'badge-danger',
+  };
+  return <span className={`badge ${map[status] || 'badge-gray'}`}>{status.replace('_', ' ')}</span>;
+};
+
+const emptyForm = { fromLocationId: '', toLocationId: '', notes: '', items: [{ variantId: '', quantity: 1 }] };
+
+const Transfers = () => {
+  const navigate = useNavigate();
+  const { user } = useAuth();
+  const { socket } = useSocket();
+  const [transfers, setTransfers] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [statusFilter, setStatusFilter] = useState('');
+  const [page, setPage] = useState(1);
+  const [totalPages, setTotalPages] = useState(1);
+
+  const [showModal, setShowModal] = useState(false);
+  const [locations, setLocations] = useState([]);
+  const [sourceLevels, setSourceLevels] = useState([]);
+  const [form, setForm] = useState(emptyForm);
+
+  const fetchTransfers = useCallback(async () => {
+    setLoading(true);
+    try {
+      const params = { page, limit: 20 };
+      if (statusFilter) params.status = statusFilter;
+      const { data } = await transfersAPI.getAll(params);
+      setTransfers(data.transfers);
+      setTotalPages(data.pagination?.pages || 1);
+    } catch {
+      toast.error('Failed to load transfers');
+    } finally {
+      setLoading(false);
+    }
+  }, [page, statusFilter]);
+
+  useEffect(() => { fetchTransfers(); }, [fetchTransfers]);
+
+  useEffect(() => {
+    if (!socket) return;
+    const refresh = () => fetchTransfers();
+    socket.on('transfer:shipped', refresh);
+    socket.on('transfer:received', refresh);
+    return () => {
+      socket.off('transfer:shipped', refresh);
+      socket.off('transfer:received', refresh);
+    };
+  }, [socket, fetchTransfers]);
+
+  const openCreate = async () => {
+    try {
+      const { data } = await locationsAPI.getAll({ active: 'true' });
+      if (data.locations.length < 2) {
+        toast.error('Add a second location before creating transfers');
+        return;
+      }
+      setLocations(data.locations);
+      setSourceLevels([]);
+      setForm(emptyForm);
+      setShowModal(true);
+    } catch {
+      toast.error('Failed to load locations');
+    }
+  };
+
+  const selectSource = async (locationId) => {
+    setForm({
+      ...form,
+      fromLocationId: locationId,
+      toLocationId: form.toLocationId === locationId ? '' : form.toLocationId,
+      items: [{ variantId: '', quantity: 1 }],
+    });
+    if (!locationId) {
+      setSourceLevels([]);
+      return;
+    }
+    try {
+      const { data } = await stockAPI.getLevels({ locationId });
+      setSourceLevels(data.levels.filter((l) => l.quantity - (l.reserved || 0) > 0));
+    } catch {
+      toast.error('Failed to load stock for this location');
+    }
+  };
+
+  const updateItem = (idx, field, value) => {
+    const items = [...form.items];
+    items[idx] = { ...items[idx], [field]: value };
+    setForm({ ...form, items });
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.fromLocationId || !form.toLocationId) return toast.error('Select both locations');
+    if (form.items.some((it) => !it.variantId || it.quantity < 1)) return toast.error('Fill all item fields');
+    try {
+      const { data } = await transfersAPI.create(form);
+      toast.success('Transfer created');
+      setShowModal(false);
+      navigate(`/transfers/${data.transfer._id}`);
+    } catch (err) {
+      toast.error(err.response?.data?.error || 'Failed to create transfer');
+    }
+  };
+
+  return (
+    <div>
+      <div className="page-header">
+        <h2>Transfers</h2>
+        {hasPermission(user, 'transfers:create') && <button className="btn btn-primary" onClick={openCreate}>+ New Transfer</button>}
+      </div>
+
+      <div className="card">
+        <div className="filter-bar">
+          <select className="form-control" value={statusFilter} onChange={(e) => { setStatusFilter(e.target.value); setPage(1); }}>
+            <option value="">All Statuses</option>
+            {['draft', 'in_transit', 'partially_received', 'received', 'cancelled'].map((s) => (
+              <option key={s} value={s}>{s.replace('_', ' ')}</option>
+            ))}
+          </select>
+        </div>
+
+        {loading ? (
+          <div className="loading-spinner"><div className="spinner" /></div>
+        ) : transfers.length === 0 ? (
+          <div className="empty-state"><h3>No transfers</h3><p>Move stock between your locations with a transfer.</p></div>
+        ) : (
+          <div className="table-container">
+            <table>
+              <thead>
+                <tr><th>Transfer</th><th>From</th><th>To</th><th>Units</th><th>Status</th><th>Shipped</th><th>Created</th></tr>
+              </thead>
+              <tbody>
+                {transfers.map((t) => (
+                  <tr key={t._id} style={{ cursor: 'pointer' }} onClick={() => navigate(`/transfers/${t._id}`)}>
+                    <td><strong>{t.transferNumber}</strong></td>
+                    <td>{t.fromLocationId?.name || '—'}</td>
+                    <td>{t.toLocationId?.name || '—'}</td>
+                    <td>{t.items.reduce((sum, i) => sum + i.quantity, 0)}</td>
+                    <td>{statusBadge(t.status)}</td>
+                    <td>{t.shippedAt ? new Date(t.shippedAt).toLocaleDateString() : '—'}</td>
+                    <td>{new Date(t.createdAt).toLocaleDateString()}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        {totalPages > 1 && (
+          <div className="pagination">
+            <button className="btn btn-outline btn-sm" disabled={page === 1} onClick={() => setPage(page - 1)}>Previous</button>
+            <span>Page {page} of {totalPages}</span>
+            <button className="btn btn-outline btn-sm" disabled={page === totalPages} onClick={() => setPage(page + 1)}>Next</button>
+          </div>
+        )}
+      </div>
+
+      <Modal isOpen={showModal} onClose={() => setShowModal(false)} title="New Transfer">
+        <form onSubmit={handleSubmit}>
+          <div className="form-row">
+            <div className="form-group">
+              <label>From *</label>
+              <select className="form-control" value={form.fromLocationId} onChange={(e) => selectSource(e.target.value)} required>
+                <option value="">Select location</option>
+                {locations.map((l) => <option key={l._id} value={l._id}>{l.name} ({l.code})</option>)}
+              </select>
+            </div>
+            <div className="form-group">
+              <label>To *</label>
+              <select className="form-control" value={form.toLocationId} onChange={(e) => setForm({ ...form, toLocationId: e.target.value })} required>
+                <option value="">Select location</option>
+                {locations.filter((l) => l._id !== form.fromLocationId).map((l) => (
+                  <option key={l._id} value={l._id}>{l.name} ({l.code})</option>
+                ))}
+              </select>
+            </div>
+          </div>
+
+          <h4 style={{ marginTop: 8, marginBottom: 8 }}>Items</h4>
+          {form.items.map((item, idx) => (
+            <div key={idx} className="form-row" style={{ alignItems: 'flex-end', gap: 8, marginBottom: 8 }}>
+              <div className="form-group" style={{ flex: 3 }}>
+                <label>Variant</label>
+                <select className="form-control" value={item.variantId} onChange={(e) => updateItem(idx, 'variantId', e.target.value)}
+                  disabled={!form.fromLocationId} required>
+                  <option value="">{form.fromLocationId ? 'Select variant' : 'Pick a source location first'}</option>
+                  {sourceLevels.map((l) => (
+                    <option key={l._id} value={l.variantId?._id}>
+                      {l.productId?.name} - {l.variantId?.sku} (Available: {l.quantity - (l.reserved || 0)})
+                    </option>
+                  ))}
+                </select>
+              </div>
+              <div className="form-group" style={{ flex: 1 }}>
+                <label>Qty</label>
+                <input className="form-control" type="number" min="1" value={item.quantity}
+                  onChange={(e) => updateItem(idx, 'quantity', parseInt(e.target.value) || 1)} required />
+              </div>
+              {form.items.length > 1 && (
+                <button type="button" className="btn btn-danger btn-sm"
+                  onClick={() => setForm({ ...form, items: form.items.filter((_, i) => i !== idx) })}>×</button>
+              )}
+            </div>
+          ))}
+          <button type="button" className="btn btn-outline btn-sm"
+            onClick={() => setForm({ ...form, items: [...form.items, { variantId: '', quantity: 1 }] })}>+ Add Item</button>
+
+          <div className="form-group" style={{ marginTop: 12 }}>
+            <label>Notes</label>
+            <textarea className="form-control" rows="2" value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} />
+          </div>
+          <div className="modal-footer">
+            <button type="button" className="btn btn-outline" onClick={() => setShowModal(false)}>Cancel</button>
+            <button type="submit" className="btn btn-primary">Create Transfer</button>
+          </div>
+        </form>
+      </Modal>
+    </div>
+  );
+};
+
+export default Transfers;
@@ -65,16 +65,52 @@ export const productsAPI = {
 export const stockAPI = {
   adjust: (data) => api.post('/stock/adjust', data),
   getMovements: (params) => api.get('/stock/movements', { params }),
-  getLowStock: () => api.get('/stock/low-stock'),
+  getLowStock: (params) => api.get('/stock/low-stock', { params }),
+  getLevels: (params) => api.get('/stock/levels', { params }),
+  getAsOf: (params) => api.get('/stock/as-of', { params }),
+  downloadAsOf: (params) => api.get('/stock/as-of', { params: { ...params, format: 'csv' }, responseType: 'blob' }),
+  getReconciliation: () => api.get('/stock/reconciliation'),
+  reconcile: () => api.post('/stock/reconciliation'),
+  correctLedger: (variantId) => api.post(`/stock/reconciliation/${variantId}/correct`),
+  getLots: (params) => api.get('/stock/lots', { params }),
+  getExpiringLots: (params) => api.get('/stock/lots/expiring', { params }),
+  getLot: (id) => api.get(`/stock/lots/${id}`),
+  getForecast: (params) => api.get('/stock/forecast', { params }),
+  runForecast: () => api.post('/stock/forecast'),
 };
 
 // Orders
 export const ordersAPI = {
   getAll: (params) => api.get('/orders', { params }),
+  getBackorders: (params) => api.get('/orders/backorders', { params }),
   get: (id) => api.get(`/orders/${id}`),
   create: (data) => api.post('/orders', data),
   updateStatus: (id, data) => api.put(`/orders/${id}/status`, data),
   cancel: (id, data) => api.post(`/orders/${id}/cancel`, data),
+  createShipment: (id, data) => api.post(`/orders/${id}/shipments`, data),
+};
+
+// Returns (RMAs)
+export const returnsAPI = {
+  getAll: (params) => api.get('/returns', { params }),
+  get: (id) => api.get(`/returns/${id}`),
+  create: (data) => api.post('/returns', data),
+  resolve: (id, data) => api.post(`/returns/${id}/resolve`, data),
+};
+
+// Serial numbers
+export const serialsAPI = {
+  getAll: (params) => api.get('/serials', { params }),
+  get: (id) => api.get(`/serials/${id}`),
+};
+
+// Customers
+export const customersAPI = {
+  getAll: (params) => api.get('/customers', { params }),
+  get: (id) => api.get(`/customers/${id}`),
+  create: (data) => api.post('/customers', data),
+  update: (id, data) => api.put(`/customers/${id}`, data),
+  delete: (id) => api.delete(`/customers/${id}`),
 };
 
 // Suppliers
@@ -86,6 +122,38 @@ export const suppliersAPI = {
   delete: (id) => api.delete(`/suppliers/${id}`),
 };
 
+// Locations
+export const locationsAPI = {
+  getAll: (params) => api.get('/locations', { params }),
+  get: (id) => api.get(`/locations/${id}`),
+  create: (data) => api.post('/locations', data),
+  update: (id, data) => api.put(`/locations/${id}`, data),
+  delete: (id) => api.delete(`/locations/${id}`),
+};
+
+// Transfers
+export const transfersAPI = {
+  getAll: (params) => api.get('/transfers', { params }),
+  get: (id) => api.get(`/transfers/${id}`),
+  create: (data) => api.post('/transfers', data),
+  ship: (id) => api.post(`/transfers/${id}/ship`),
+  receive: (id, data) => api.post(`/transfers/${id}/receive`, data),
+  cancel: (id) => api.post(`/transfers/${id}/cancel`),
+};
+
+// Cycle Counts
+export const countsAPI = {
+  getAll: (params) => api.get('/counts', { params }),
+  get: (id) => api.get(`/counts/${id}`),
+  getAccuracy: (params) => api.get('/counts/accuracy', { params }),
+  create: (data) => api.post('/counts', data),
+  enterLines: (id, lines) => api.put(`/counts/${id}/lines`, { lines }),
+  submit: (id) => api.post(`/counts/${id}/submit`),
+  reopen: (id) => api.post(`/counts/${id}/reopen`),
+  post: (id) => api.post(`/counts/${id}/post`),
+  cancel: (id) => api.post(`/counts/${id}/cancel`),
+};
+
 // Purchase Orders
 export const purchaseOrdersAPI = {
   getAll: (params) => api.get('/purchase-orders', { params }),
@@ -93,6 +161,8 @@ export const purchaseOrdersAPI = {
   create: (data) => api.post('/purchase-orders', data),
   updateStatus: (id, data) => api.put(`/purchase-orders/${id}/status`, data),
   receive: (id, data) => api.post(`/purchase-orders/${id}/receive`, data),
+  getReorderSuggestions: () => api.get('/purchase-orders/reorder-suggestions'),
+  generateReorder: (data) => api.post('/purchase-orders/reorder-suggestions/generate', data),
 };
 
 // Users
@@ -111,11 +181,80 @@ export const rolesAPI = {
   updatePermissions: (role, permissions) => api.put(`/roles/${role}/permissions`, { permissions }),
 };
 
+// Tenant settings
+export const settingsAPI = {
+  get: () => api.get('/settings'),
+  update: (data) => api.put('/settings', data),
+};
+
+// Approval rules and queue
+export const approvalsAPI = {
+  getAll: (params) => api.get('/approvals', { params }),
+  get: (id) => api.get(`/approvals/${id}`),
+  approve: (id, comment) => api.post(`/approvals/${id}/approve`, { comment }),
+  reject: (id, comment) => api.post(`/approvals/${id}/reject`, { comment }),
+  cancel: (id) => api.post(`/approvals/${id}/cancel`),
+  getRules: () => api.get('/approvals/rules'),
+  createRule: (data) => api.post('/approvals/rules', data),
+  updateRule: (id, data) => api.put(`/approvals/rules/${id}`, data),
+  deleteRule: (id) => api.delete(`/approvals/rules/${id}`),
+};
+
+// Stock adjustment reason codes
+export const reasonCodesAPI = {
+  getAll: (params) => api.get('/reason-codes', { params }),
+  create: (data) => api.post('/reason-codes', data),
+  update: (id, data) => api.put(`/reason-codes/${id}`, data),
+  delete: (id) => api.delete(`/reason-codes/${id}`),
+};
+
 // Dashboard
 export const dashboardAPI = {
-  getSummary: () => api.get('/dashboard/summary'),
-  getTopSellers: () => api.get('/dashboard/top-sellers'),
-  getStockMovements: () => api.get('/dashboard/stock-movements'),
+  getSummary: (params) => api.get('/dashboard/summary', { params }),
+  getTopSellers: (params) => api.get('/dashboard/top-sellers', { params }),
+  getStockMovements: (params) => api.get('/dashboard/stock-movements', { params }),
+  getReturnRates: () => api.get('/dashboard/return-rates'),
+  getShrinkage: (params) => api.get('/dashboard/shrinkage', { params }),
+  getDeadStock: (params) => api.get('/dashboard/dead-stock', { params }),
+};
+
+export const reportsAPI = {
+  getValuation: (params) => api.get('/reports/valuation', { params }),
+  getGrossMargin: (params) => api.get('/reports/gross-margin', { params }),
+  getAbcXyz: (params) => api.get('/reports/abc-xyz', { params }),
+  classify: () => api.post('/reports/abc-xyz/classify'),
+};
+
+export const customReportsAPI = {
+  getCatalog: () => api.get('/custom-reports/catalog'),
+  run: (definition) => api.post('/custom-reports/run', definition),
+  downloadRun: (definition) => api.post('/custom-reports/run', definition, { params: { format: 'csv' }, responseType: 'blob' }),
+  getAll: () => api.get('/custom-reports'),
+  create: (data) => api.post('/custom-reports', data),
+  update: (id, data) => api.put(`/custom-reports/${id}`, data),
+  delete: (id) => api.delete(`/custom-reports/${id}`),
+  runSaved: (id, params) => api.get(`/custom-reports/${id}/run`, { params }),
+  downloadSaved: (id, params) => api.get(`/custom-reports/${id}/run`, { params: { ...params, format: 'csv' }, responseType: 'blob' }),
+};
+
+export const reportSchedulesAPI = {
+  getAll: () => api.get('/report-schedules'),
+  create: (data) => api.post('/report-schedules', data),
+  update: (id, data) => api.put(`/report-schedules/${id}`, data),
+  delete: (id) => api.delete(`/report-schedules/${id}`),
+  send: (id) => api.post(`/report-schedules/${id}/send`),
+};
+
+export const importsAPI = {
+  upload: (file) => {
+    const form = new FormData();
+    form.append('file', file);
+    return api.post('/imports', form, { headers: { 'Content-Type': 'multipart/form-data' } });
+  },
+  getAll: () => api.get('/imports'),
+  get: (id) => api.get(`/imports/${id}`),
+  preview: (id, data) => api.post(`/imports/${id}/preview`, data),
+  run: (id) => api.post(`/imports/${id}/run`),
 };
 
 export default api;
@@ -5,7 +5,12 @@ const ROLE_PERMISSIONS = {
     'roles:manage',
     'products:view', 'products:create', 'products:edit', 'products:delete',
     'orders:view', 'orders:create', 'orders:edit', 'orders:cancel',
+    'returns:view', 'returns:create',
+    'customers:view', 'customers:create', 'customers:edit', 'customers:delete',
     'suppliers:view', 'suppliers:create', 'suppliers:edit', 'suppliers:delete',
+    'locations:view', 'locations:create', 'locations:edit', 'locations:delete',
+    'transfers:view', 'transfers:create', 'transfers:ship', 'transfers:receive',
+    'counts:view', 'counts:enter', 'counts:create', 'counts:post',
     'purchase-orders:view', 'purchase-orders:create', 'purchase-orders:edit', 'purchase-orders:receive',
     'stock:view', 'stock:adjust',
     'dashboard:view',
@@ -13,7 +18,12 @@ const ROLE_PERMISSIONS = {
   manager: [
     'products:view', 'products:create', 'products:edit', 'products:delete',
     'orders:view', 'orders:create', 'orders:edit', 'orders:cancel',
+    'returns:view', 'returns:create',
+    'customers:view', 'customers:create', 'customers:edit', 'customers:delete',
     'suppliers:view', 'suppliers:create', 'suppliers:edit', 'suppliers:delete',
+    'locations:view', 'locations:create', 'locations:edit', 'locations:delete',
+    'transfers:view', 'transfers:create', 'transfers:ship', 'transfers:receive',
+    'counts:view', 'counts:enter', 'counts:create', 'counts:post',
     'purchase-orders:view', 'purchase-orders:create', 'purchase-orders:edit', 'purchase-orders:receive',
     'stock:view', 'stock:adjust',
     'dashboard:view',
@@ -22,7 +32,12 @@ const ROLE_PERMISSIONS = {
   staff: [
     'products:view',
     'orders:view', 'orders:create',
+    'returns:view',
+    'customers:view',
     'suppliers:view',
+    'locations:view',
+    'transfers:view',
+    'counts:view', 'counts:enter',
     'purchase-orders:view',
     'stock:view',
     'dashboard:view',
@@ -65,10 +80,28 @@ export const ALL_PERMISSIONS = [
   { key: 'orders:create', label: 'Create Orders', group: 'Orders' },
   { key: 'orders:edit', label: 'Edit Orders', group: 'Orders' },
   { key: 'orders:cancel', label: 'Cancel Orders', group: 'Orders' },
+  { key: 'returns:view', label: 'View Returns', group: 'Returns' },
+  { key: 'returns:create', label: 'Create & Resolve Returns', group: 'Returns' },
+  { key: 'customers:view', label: 'View Customers', group: 'Customers' },
+  { key: 'customers:create', label: 'Create Customers', group: 'Customers' },
+  { key: 'customers:edit', label: 'Edit Customers', group: 'Customers' },
+  { key: 'customers:delete', label: 'Delete Customers', group: 'Customers' },
   { key: 'suppliers:view', label: 'View Suppliers', group: 'Suppliers' },
   { key: 'suppliers:create', label: 'Create Suppliers', group: 'Suppliers' },
   { key: 'suppliers:edit', label: 'Edit Suppliers', group: 'Suppliers' },
   { key: 'suppliers:delete', label: 'Delete Suppliers', group: 'Suppliers' },
+  { key: 'locations:view', label: 'View Locations', group: 'Locations' },
+  { key: 'locations:create', label: 'Create Locations', group: 'Locations' },
+  { key: 'locations:edit', label: 'Edit Locations', group: 'Locations' },
+  { key: 'locations:delete', label: 'Delete Locations', group: 'Locations' },
+  { key: 'transfers:view', label: 'View Transfers', group: 'Transfers' },
+  { key: 'transfers:create', label: 'Create Transfers', group: 'Transfers' },
+  { key: 'transfers:ship', label: 'Ship Transfers', group: 'Transfers' },
+  { key: 'transfers:receive', label: 'Receive Transfers', group: 'Transfers' },
+  { key: 'counts:view', label: 'View Cycle Counts', group: 'Cycle Counts' },
+  { key: 'counts:enter', label: 'Enter Counts', group: 'Cycle Counts' },
+  { key: 'counts:create', label: 'Open & Cancel Counts', group: 'Cycle Counts' },
+  { key: 'counts:post', label: 'Review & Post Counts', group: 'Cycle Counts' },
   { key: 'purchase-orders:view', label: 'View Purchase Orders', group: 'Purchase Orders' },
   { key: 'purchase-orders:create', label: 'Create Purchase Orders', group: 'Purchase Orders' },
   { key: 'purchase-orders:edit', label: 'Edit Purchase Orders', group: 'Purchase Orders' },
@@ -0,0 +1,3 @@
+// Serial numbers typed or scanned into a textarea: one per line (commas also split)
+export const parseSerials = (text = '') =>
+  text.split(/[\n,]/).map((s) => s.trim()).filter(Boolean);
@@ -0,0 +1,3 @@
+// The level available stock is judged against: the forecast reorder point
+// when the variant has a demand forecast, else its static threshold
+export const stockThreshold = (variant) => variant.forecast?.reorderPoint ?? variant.lowStockThreshold;
@@ -6,17 +6,31 @@ const swaggerUi = require('swagger-ui-express');
 const swaggerSpec = require('./config/swagger');
 const config = require('./config');
 const { errorHandler } = require('./middleware/errorHandler');
+const { invalidatesDashboard } = require('./middleware/dashboardStale');
 
 // Import routes
 const authRoutes = require('./routes/auth');
 const productRoutes = require('./routes/products');
 const stockRoutes = require('./routes/stock');
 const orderRoutes = require('./routes/orders');
+const customerRoutes = require('./routes/customers');
 const supplierRoutes = require('./routes/suppliers');
 const purchaseOrderRoutes = require('./routes/purchaseOrders');
 const dashboardRoutes = require('./routes/dashboard');
+const reportRoutes = require('./routes/reports');
+const reportScheduleRoutes = require('./routes/reportSchedules');
+const customReportRoutes = require('./routes/customReports');
 const userRoutes = require('./routes/users');
 const roleRoutes = require('./routes/roles');
+const locationRoutes = require('./routes/locations');
+const transferRoutes = require('./routes/transfers');
+const countRoutes = require('./routes/counts');
+const reasonCodeRoutes = require('./routes/reasonCodes');
+const approvalRoutes = require('./routes/approvals');
+const returnRoutes = require('./routes/returns');
+const serialRoutes = require('./routes/serials');
+const settingsRoutes = require('./routes/settings');
+const importRoutes = require('./routes/imports');
 
 const app = express();
 
@@ -83,15 +97,29 @@ app.get('/api/docs.json', (req, res) => {
 });
 
 // Routes
+// Routers passed invalidatesDashboard change figures the dashboard shows
 app.use('/api/auth', authRoutes);
-app.use('/api/products', productRoutes);
-app.use('/api/stock', stockRoutes);
-app.use('/api/orders', orderRoutes);
+app.use('/api/products', invalidatesDashboard('products'), productRoutes);
+app.use('/api/stock', invalidatesDashboard('stock'), stockRoutes);
+app.use('/api/orders', invalidatesDashboard('orders'), orderRoutes);
+app.use('/api/customers', customerRoutes);
 app.use('/api/suppliers', supplierRoutes);
-app.use('/api/purchase-orders', purchaseOrderRoutes);
+app.use('/api/purchase-orders', invalidatesDashboard('purchase-orders'), purchaseOrderRoutes);
 app.use('/api/dashboard', dashboardRoutes);
+app.use('/api/reports', reportRoutes);
+app.use('/api/report-schedules', reportScheduleRoutes);
+app.use('/api/custom-reports', customReportRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/roles', roleRoutes);
+app.use('/api/locations', locationRoutes);
+app.use('/api/transfers', invalidatesDashboard('transfers'), transferRoutes);
+app.use('/api/counts', invalidatesDashboard('counts'), countRoutes);
+app.use('/api/reason-codes', reasonCodeRoutes);
+app.use('/api/approvals', invalidatesDashboard('approvals'), approvalRoutes);
+app.use('/api/returns', invalidatesDashboard('returns'), returnRoutes);
+app.use('/api/serials', serialRoutes);
+app.use('/api/settings', invalidatesDashboard('settings'), settingsRoutes);
+app.use('/api/imports', importRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -27,6 +27,39 @@ const options = {
           description: 'Enter JWT token obtained from /auth/login or /auth/register',
         },
       },
+      parameters: {
+        // Dashboard date ranges, in whole days of the tenant's timezone
+        RangeFrom: {
+          in: 'query',
+          name: 'from',
+          schema: { type: 'string', format: 'date' },
+          description: 'First day of the range (defaults to days, or the endpoint\'s usual window, ending on to)',
+        },
+        RangeTo: {
+          in: 'query',
+          name: 'to',
+          schema: { type: 'string', format: 'date' },
+          description: 'Last day of the range, inclusive (defaults to today)',
+        },
+        RangeDays: {
+          in: 'query',
+          name: 'days',
+          schema: { type: 'integer', minimum: 1, maximum: 731 },
+          description: 'Length of the range ending on to, when from is not given',
+        },
+        RangeGranularity: {
+          in: 'query',
+          name: 'granularity',
+          schema: { type: 'string', enum: ['day', 'week', 'month'], default: 'day' },
+          description: 'Bucket size; weeks are ISO weeks starting Monday',
+        },
+        RangeCompare: {
+          in: 'query',
+          name: 'compare',
+          schema: { type: 'string', enum: ['true', 'false'], default: 'true' },
+          description: 'Also return the previous period of the same length',
+        },
+      },
       schemas: {
         // ---------- Pagination ----------
         Pagination: {
@@ -78,6 +111,8 @@ const options = {
                 currency: { type: 'string', example: 'USD' },
                 lowStockThreshold: { type: 'integer', example: 10 },
                 timezone: { type: 'string', example: 'UTC' },
+                reservationExpiryHours: { type: 'integer', example: 48 },
+                allowBackorders: { type: 'boolean', example: false },
               },
             },
             createdAt: { type: 'string', format: 'date-time' },
@@ -85,6 +120,63 @@ const options = {
           },
         },
 
+        TenantSettings: {
+          type: 'object',
+          properties: {
+            currency: { type: 'string', example: 'USD' },
+            lowStockThreshold: { type: 'integer', example: 10 },
+            timezone: { type: 'string', example: 'America/New_York', description: 'IANA time zone; anything else is rejected' },
+            reservationExpiryHours: {
+              type: 'integer',
+              example: 48,
+              description: 'Hours before a pending order releases its reserved stock (0 = never)',
+            },
+            allowBackorders: {
+              type: 'boolean',
+              example: false,
+              description: 'Backorder the shortfall instead of rejecting orders that exceed available stock',
+            },
+            costingMethod: {
+              type: 'string',
+              enum: ['fifo', 'average'],
+              example: 'fifo',
+              description: 'Cost sales from the oldest cost layer first, or at the moving average cost',
+            },
+            expiryAlertDays: {
+              type: 'integer',
+              example: 30,
+              description: 'Lots expiring within this many days raise a stock:expiring alert',
+            },
+            ownersBypassApprovals: {
+              type: 'boolean',
+              example: true,
+              description: "Owners' own adjustments and PO sends skip the approval rules",
+            },
+            autoReorder: {
+              type: 'boolean',
+              example: false,
+              description: 'Draft reorder POs from the reorder suggestions every night (off by default)',
+            },
+            classificationBasis: {
+              type: 'string',
+              enum: ['revenue', 'consumption'],
+              example: 'revenue',
+              description: 'Value that ranks variants into ABC classes',
+            },
+            classificationWindowDays: { type: 'integer', example: 90, description: 'Days of history classified' },
+            abcCutoffs: {
+              type: 'object',
+              description: 'Cumulative % of value that closes classes A and B',
+              properties: { a: { type: 'number', example: 80 }, b: { type: 'number', example: 95 } },
+            },
+            xyzCutoffs: {
+              type: 'object',
+              description: 'Highest coefficient of variation of weekly demand for classes X and Y',
+              properties: { x: { type: 'number', example: 0.5 }, y: { type: 'number', example: 1 } },
+            },
+          },
+        },
+
         // ---------- User ----------
         User: {
           type: 'object',
@@ -131,6 +223,8 @@ const options = {
               items: { type: 'string' },
               example: ['size', 'color'],
             },
+            trackLots: { type: 'boolean', example: false, description: 'Receipts record lot and expiry; stock leaves first-expiring first' },
+            trackSerials: { type: 'boolean', example: false, description: 'Every unit is received, shipped and returned under its own serial number' },
             isActive: { type: 'boolean', example: true },
             variants: {
               type: 'array',
@@ -157,13 +251,66 @@ const options = {
             },
             price: { type: 'number', example: 19.99 },
             costPrice: { type: 'number', example: 8.5 },
-            stock: { type: 'integer', example: 50 },
+            costValue: { type: 'number', example: 412.5, description: 'Cost of the units in stock per the cost layers' },
+            stock: { type: 'integer', example: 50, description: 'Total across all locations plus in transit' },
+            inTransit: { type: 'integer', example: 0, description: 'Units moving between locations, not available anywhere' },
+            reserved: { type: 'integer', example: 4, description: 'Units held for open orders, on hand but not available' },
             lowStockThreshold: { type: 'integer', example: 10 },
+            reorderPoint: { type: 'integer', example: 15, description: 'Reorder at or below this projected stock; when unset, the forecast reorder point, else lowStockThreshold' },
+            reorderQuantity: { type: 'integer', example: 50, description: 'Units per reorder; unset orders back up to twice the reorder point' },
+            forecast: { $ref: '#/components/schemas/DemandForecast' },
+            classification: { $ref: '#/components/schemas/VariantClassification' },
+            isActive: { type: 'boolean', example: true },
+            stockByLocation: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/LocationStock' },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        // ---------- Location ----------
+        Location: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            name: { type: 'string', example: 'East Warehouse' },
+            code: { type: 'string', example: 'WH-EAST' },
+            address: { type: 'string' },
+            isDefault: { type: 'boolean', example: false },
             isActive: { type: 'boolean', example: true },
+            totalStock: { type: 'integer', example: 1200 },
+            totalValue: { type: 'number', example: 35999.5 },
+            skuCount: { type: 'integer', example: 42 },
             createdAt: { type: 'string', format: 'date-time' },
             updatedAt: { type: 'string', format: 'date-time' },
           },
         },
+        StockLevel: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            variantId: { type: 'string' },
+            productId: { type: 'string' },
+            locationId: { type: 'string' },
+            quantity: { type: 'integer', example: 25 },
+            reserved: { type: 'integer', example: 3 },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        LocationStock: {
+          type: 'object',
+          properties: {
+            locationId: { type: 'string' },
+            name: { type: 'string', example: 'East Warehouse' },
+            code: { type: 'string', example: 'WH-EAST' },
+            quantity: { type: 'integer', example: 25 },
+            reserved: { type: 'integer', example: 3 },
+          },
+        },
 
         // ---------- Order ----------
         OrderLineItem: {
@@ -174,19 +321,84 @@ const options = {
             productName: { type: 'string' },
             variantSku: { type: 'string' },
             quantity: { type: 'integer', example: 2 },
+            quantityFulfilled: { type: 'integer', example: 2, description: 'Units allocated from stock' },
+            quantityBackordered: { type: 'integer', example: 0, description: 'Units waiting for stock' },
+            quantityShipped: { type: 'integer', example: 0, description: 'Units sent out on shipments' },
+            quantityReturned: { type: 'integer', example: 0, description: 'Units sent back on RMAs' },
+            costOfGoods: { type: 'number', example: 17, description: 'Cost of the shipped units not returned' },
+            serialNumbers: { type: 'array', items: { type: 'string' }, description: 'Serials shipped on the line' },
             unitPrice: { type: 'number', example: 19.99 },
             total: { type: 'number', example: 39.98 },
           },
         },
+        Shipment: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            shipmentNumber: { type: 'string', example: 'SHP-LX2K9A-7QF3' },
+            orderId: { type: 'string' },
+            locationId: { type: 'string' },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  variantId: { type: 'string' },
+                  productId: { type: 'string' },
+                  productName: { type: 'string' },
+                  variantSku: { type: 'string' },
+                  quantity: { type: 'integer', example: 1 },
+                  serialNumbers: { type: 'array', items: { type: 'string' } },
+                },
+              },
+            },
+            carrier: { type: 'string', example: 'UPS' },
+            trackingNumber: { type: 'string', example: '1Z999AA10123456784' },
+            weight: { type: 'number', example: 2.4 },
+            weightUnit: { type: 'string', enum: ['kg', 'lb'] },
+            shippedAt: { type: 'string', format: 'date-time' },
+            notes: { type: 'string' },
+            createdBy: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        BackorderLine: {
+          type: 'object',
+          properties: {
+            orderId: { type: 'string' },
+            orderNumber: { type: 'string' },
+            status: { type: 'string' },
+            customerName: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            location: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                name: { type: 'string' },
+                code: { type: 'string' },
+              },
+            },
+            variantId: { type: 'string' },
+            productId: { type: 'string' },
+            productName: { type: 'string' },
+            variantSku: { type: 'string' },
+            quantity: { type: 'integer', example: 10 },
+            quantityFulfilled: { type: 'integer', example: 4 },
+            quantityBackordered: { type: 'integer', example: 6 },
+            incomingQuantity: { type: 'integer', example: 20, description: 'Still due on open purchase orders' },
+          },
+        },
         Order: {
           type: 'object',
           properties: {
             _id: { type: 'string' },
             tenantId: { type: 'string' },
             orderNumber: { type: 'string', example: 'ORD-20260214-A1B2' },
+            locationId: { type: 'string' },
             status: {
               type: 'string',
-              enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+              enum: ['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled'],
               example: 'pending',
             },
             items: {
@@ -194,9 +406,16 @@ const options = {
               items: { $ref: '#/components/schemas/OrderLineItem' },
             },
             totalAmount: { type: 'number', example: 79.96 },
+            customerId: { type: 'string' },
             customerName: { type: 'string', example: 'Jane Smith' },
             customerEmail: { type: 'string', format: 'email' },
             notes: { type: 'string' },
+            stockStatus: {
+              type: 'string',
+              enum: ['reserved', 'consumed', 'released'],
+              description: 'Absent on orders placed before reservations, whose stock was deducted at creation',
+            },
+            reservationExpiresAt: { type: 'string', format: 'date-time' },
             createdBy: { type: 'string' },
             cancelledAt: { type: 'string', format: 'date-time' },
             cancelReason: { type: 'string' },
@@ -205,6 +424,92 @@ const options = {
           },
         },
 
+        // ---------- Return (RMA) ----------
+        ReturnLineItem: {
+          type: 'object',
+          properties: {
+            variantId: { type: 'string' },
+            productId: { type: 'string' },
+            productName: { type: 'string' },
+            variantSku: { type: 'string' },
+            quantity: { type: 'integer', example: 2 },
+            reason: {
+              type: 'string',
+              enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'unwanted', 'other'],
+            },
+            disposition: { type: 'string', enum: ['restock', 'quarantine', 'scrap'] },
+            unitCost: { type: 'number', example: 8.5, description: 'Cost of each unit when it was sold' },
+            quantityRestocked: { type: 'integer', example: 2 },
+            quantityScrapped: { type: 'integer', example: 0 },
+            quantityQuarantined: { type: 'integer', example: 0, description: 'Still held back from stock' },
+            serialNumbers: { type: 'array', items: { type: 'string' }, description: 'Serials that came back on the line' },
+          },
+        },
+        ReturnAuthorization: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            rmaNumber: { type: 'string', example: 'RMA-LX2K9A-7QF3' },
+            orderId: { type: 'string' },
+            locationId: { type: 'string' },
+            status: { type: 'string', enum: ['open', 'closed'], description: 'Open while units are quarantined' },
+            items: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/ReturnLineItem' },
+            },
+            notes: { type: 'string' },
+            closedAt: { type: 'string', format: 'date-time' },
+            createdBy: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        // ---------- Customer ----------
+        CustomerAddress: {
+          type: 'object',
+          properties: {
+            label: { type: 'string', example: 'Billing' },
+            street: { type: 'string', example: '12 Market St' },
+            city: { type: 'string', example: 'Springfield' },
+            state: { type: 'string' },
+            postalCode: { type: 'string', example: '62701' },
+            country: { type: 'string', example: 'US' },
+          },
+        },
+        Customer: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            name: { type: 'string', example: 'Jane Smith' },
+            email: { type: 'string', format: 'email', description: 'Unique per tenant when set' },
+            phone: { type: 'string', example: '+1-555-9876' },
+            taxId: { type: 'string', example: 'US-12-3456789' },
+            addresses: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/CustomerAddress' },
+            },
+            notes: { type: 'string' },
+            tags: { type: 'array', items: { type: 'string' }, example: ['wholesale'] },
+            isActive: { type: 'boolean', example: true },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        CustomerStats: {
+          type: 'object',
+          description: 'Totals over the customer\'s non-cancelled orders',
+          properties: {
+            orderCount: { type: 'integer', example: 4 },
+            lifetimeValue: { type: 'number', example: 1820.5 },
+            averageOrderValue: { type: 'number', example: 455.13 },
+            firstOrderAt: { type: 'string', format: 'date-time' },
+            lastOrderAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
         // ---------- Supplier ----------
         Supplier: {
           type: 'object',
@@ -224,6 +529,7 @@ const options = {
                   variantId: { type: 'string' },
                   unitPrice: { type: 'number' },
                   leadTimeDays: { type: 'integer', example: 7 },
+                  preferred: { type: 'boolean', example: false, description: 'Reorder this variant from this supplier' },
                 },
               },
             },
@@ -252,11 +558,18 @@ const options = {
             tenantId: { type: 'string' },
             poNumber: { type: 'string', example: 'PO-20260214-X1Y2' },
             supplierId: { type: 'string' },
+            locationId: { type: 'string' },
             status: {
               type: 'string',
-              enum: ['draft', 'sent', 'confirmed', 'partially_received', 'received', 'cancelled'],
+              enum: ['draft', 'pending_approval', 'sent', 'confirmed', 'partially_received', 'received', 'cancelled'],
               example: 'draft',
             },
+            source: {
+              type: 'string',
+              enum: ['manual', 'reorder'],
+              example: 'manual',
+              description: 'reorder: drafted from reorder suggestions',
+            },
             items: {
               type: 'array',
               items: { $ref: '#/components/schemas/POLineItem' },
@@ -270,6 +583,157 @@ const options = {
           },
         },
 
+        ForecastScore: {
+          type: 'object',
+          properties: {
+            method: { type: 'string', enum: ['moving_average', 'seasonal_smoothing'] },
+            mae: { type: 'number', description: 'Mean absolute error, units per day' },
+            rmse: { type: 'number' },
+            wape: { type: 'number', description: 'Absolute error over units sold; absent when nothing sold' },
+            bias: { type: 'number', description: 'Net error over units sold; positive means over-forecast' },
+          },
+        },
+
+        DemandForecast: {
+          type: 'object',
+          description: 'Refreshed nightly from order history; absent until there is enough of it',
+          properties: {
+            method: { type: 'string', enum: ['moving_average', 'seasonal_smoothing'] },
+            dailyDemand: { type: 'number', example: 4.2 },
+            seasonality: {
+              type: 'array',
+              items: { type: 'number' },
+              description: 'Weekday factors on dailyDemand, Sunday first',
+            },
+            leadTimeDays: { type: 'integer', example: 7, description: "The preferred supplier's lead time" },
+            safetyStock: { type: 'integer', example: 9 },
+            reorderPoint: { type: 'integer', example: 39, description: 'Demand over the lead time plus safety stock' },
+            historyDays: { type: 'integer', example: 91 },
+            accuracy: {
+              type: 'object',
+              properties: {
+                holdoutDays: { type: 'integer', example: 14 },
+                unitsSold: { type: 'integer', description: 'Units sold in the holdout days' },
+                scores: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/ForecastScore' },
+                },
+              },
+            },
+            computedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        VariantForecast: {
+          type: 'object',
+          properties: {
+            variantId: { type: 'string' },
+            sku: { type: 'string' },
+            product: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                name: { type: 'string' },
+              },
+            },
+            available: { type: 'integer' },
+            threshold: { type: 'integer' },
+            thresholdSource: { type: 'string', enum: ['forecast', 'static'] },
+            forecast: { $ref: '#/components/schemas/DemandForecast' },
+            daysOfCover: { type: 'number', nullable: true },
+            stockoutDate: { type: 'string', format: 'date', nullable: true },
+          },
+        },
+
+        ReorderLine: {
+          type: 'object',
+          properties: {
+            variantId: { type: 'string' },
+            productId: { type: 'string' },
+            productName: { type: 'string' },
+            sku: { type: 'string' },
+            available: { type: 'integer', description: 'Stock less in transit and reserved units' },
+            incoming: { type: 'integer', description: 'Units still due on open POs' },
+            backordered: { type: 'integer', description: 'Units owed to open orders' },
+            projected: { type: 'integer', description: 'available + incoming - backordered' },
+            reorderPoint: { type: 'integer' },
+            reorderQuantity: { type: 'integer' },
+            quantity: { type: 'integer', description: 'Suggested order quantity' },
+            unitPrice: { type: 'number', description: "The supplier's price, else the variant's cost price" },
+            leadTimeDays: { type: 'integer' },
+            preferred: { type: 'boolean', description: 'Whether the supplier is marked preferred for this variant' },
+          },
+        },
+
+        ReorderSuggestion: {
+          type: 'object',
+          properties: {
+            supplier: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                name: { type: 'string' },
+              },
+            },
+            leadTimeDays: { type: 'integer', description: 'Longest lead time among the lines' },
+            expectedDeliveryDate: { type: 'string', format: 'date-time' },
+            totalAmount: { type: 'number' },
+            items: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/ReorderLine' },
+            },
+          },
+        },
+
+        // ---------- Transfer ----------
+        TransferLineItem: {
+          type: 'object',
+          properties: {
+            variantId: { type: 'string' },
+            productId: { type: 'string' },
+            quantity: { type: 'integer', example: 20 },
+            quantityReceived: { type: 'integer', example: 18 },
+            quantityWrittenOff: { type: 'integer', example: 2 },
+            discrepancyNote: { type: 'string', example: '2 units damaged in transit' },
+            lots: {
+              type: 'array',
+              description: 'Lots the shipped units came from, in the order they are received',
+              items: { $ref: '#/components/schemas/LotEntry' },
+            },
+            serialNumbers: {
+              type: 'array',
+              description: 'Serials shipped, in the order they are received',
+              items: { type: 'string' },
+            },
+          },
+        },
+        Transfer: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            transferNumber: { type: 'string', example: 'TRF-LX2K9P-4QZ1' },
+            fromLocationId: { type: 'string' },
+            toLocationId: { type: 'string' },
+            status: {
+              type: 'string',
+              enum: ['draft', 'in_transit', 'partially_received', 'received', 'cancelled'],
+              example: 'in_transit',
+            },
+            items: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/TransferLineItem' },
+            },
+            notes: { type: 'string' },
+            shippedAt: { type: 'string', format: 'date-time' },
+            receivedAt: { type: 'string', format: 'date-time' },
+            createdBy: { type: 'string' },
+            shippedBy: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
         // ---------- Stock Movement ----------
         StockMovement: {
           type: 'object',
@@ -278,16 +742,31 @@ const options = {
             tenantId: { type: 'string' },
             variantId: { type: 'string' },
             productId: { type: 'string' },
+            locationId: { type: 'string' },
             type: {
               type: 'string',
-              enum: ['purchase', 'sale', 'return', 'adjustment'],
+              enum: ['purchase', 'sale', 'return', 'adjustment', 'transfer', 'loss'],
               example: 'sale',
             },
+            transferId: { type: 'string', description: 'Set on both legs of a transfer step' },
             quantity: { type: 'integer', example: -5 },
+            unitCost: { type: 'number', example: 8.5 },
+            totalCost: { type: 'number', example: -42.5, description: 'Value added to (positive) or taken out of (negative) inventory' },
             previousStock: { type: 'integer', example: 55 },
             newStock: { type: 'integer', example: 50 },
             reference: { type: 'string', example: 'Order ORD-20260214-A1B2' },
             referenceId: { type: 'string' },
+            reasonCode: { type: 'string', example: 'DAMAGE', description: 'Reason code of an adjustment or write-off' },
+            lots: {
+              type: 'array',
+              description: 'Lots the units came out of or went into (lot-tracked products only)',
+              items: { $ref: '#/components/schemas/LotEntry' },
+            },
+            serialNumbers: {
+              type: 'array',
+              description: 'Units that moved (serial-tracked products only)',
+              items: { type: 'string' },
+            },
             notes: { type: 'string' },
             createdBy: { type: 'string' },
             createdAt: { type: 'string', format: 'date-time' },
@@ -295,58 +774,915 @@ const options = {
           },
         },
 
-        // ---------- Role Permission ----------
-        RolePermission: {
+        // ---------- Lot ----------
+        Lot: {
           type: 'object',
           properties: {
             _id: { type: 'string' },
             tenantId: { type: 'string' },
-            role: { type: 'string', enum: ['manager', 'staff'] },
-            permissions: {
-              type: 'array',
-              items: { type: 'string' },
-              example: ['products.view', 'orders.view', 'orders.create'],
-            },
-            createdAt: { type: 'string', format: 'date-time' },
-            updatedAt: { type: 'string', format: 'date-time' },
+            variantId: { type: 'string' },
+            productId: { type: 'string' },
+            locationId: { type: 'string' },
+            lotNumber: { type: 'string', example: 'L2409-17' },
+            expiryDate: { type: 'string', format: 'date-time' },
+            quantity: { type: 'integer', example: 24, description: 'Units of the lot still at the location' },
+            receivedQuantity: { type: 'integer', example: 48 },
+            receivedAt: { type: 'string', format: 'date-time' },
+            reference: { type: 'string', example: 'PO PO-LX2K9P-4QZ1' },
+            expiryAlertedAt: { type: 'string', format: 'date-time' },
           },
         },
-
-        // ---------- Low Stock Alert ----------
-        LowStockAlert: {
+        LotEntry: {
           type: 'object',
           properties: {
-            _id: { type: 'string' },
-            sku: { type: 'string' },
-            stock: { type: 'integer' },
-            lowStockThreshold: { type: 'integer' },
-            pendingPOQuantity: { type: 'integer' },
-            effectiveStock: { type: 'integer' },
-            severity: { type: 'string', enum: ['critical', 'warning'] },
-            message: { type: 'string' },
-            productId: {
-              type: 'object',
-              properties: {
-                _id: { type: 'string' },
-                name: { type: 'string' },
-                category: { type: 'string' },
-              },
-            },
+            lotId: { type: 'string' },
+            lotNumber: { type: 'string', example: 'L2409-17' },
+            expiryDate: { type: 'string', format: 'date-time' },
+            quantity: { type: 'integer', example: 6 },
           },
         },
-
-        // ---------- Dashboard ----------
-        DashboardSummary: {
+        ExpiringLots: {
           type: 'object',
           properties: {
-            inventory: {
+            days: { type: 'integer', example: 30 },
+            totals: {
+              type: 'object',
+              properties: {
+                lots: { type: 'integer' },
+                units: { type: 'integer' },
+                value: { type: 'number' },
+                expiredLots: { type: 'integer' },
+                expiredUnits: { type: 'integer' },
+              },
+            },
+            lots: {
+              type: 'array',
+              items: {
+                allOf: [
+                  { $ref: '#/components/schemas/Lot' },
+                  {
+                    type: 'object',
+                    properties: {
+                      daysLeft: { type: 'integer', example: 12, description: 'Negative once expired' },
+                      expired: { type: 'boolean' },
+                      value: { type: 'number', description: 'Units left at the variant cost price' },
+                    },
+                  },
+                ],
+              },
+            },
+          },
+        },
+
+        // ---------- Serial Number ----------
+        SerialNumber: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            variantId: { type: 'string' },
+            productId: { type: 'string' },
+            serialNumber: { type: 'string', example: 'SN-4F7A-00912' },
+            status: {
+              type: 'string',
+              enum: ['in_stock', 'in_transit', 'sold', 'quarantined', 'scrapped', 'written_off'],
+              example: 'in_stock',
+            },
+            locationId: { type: 'string', description: 'Where the unit is, or was last held' },
+            purchaseOrderId: { type: 'string', description: 'PO it was received on' },
+            orderId: { type: 'string', description: 'Last order it shipped on' },
+            rmaId: { type: 'string', description: 'Last return it came back on' },
+            receivedAt: { type: 'string', format: 'date-time' },
+            history: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  event: {
+                    type: 'string',
+                    enum: ['received', 'shipped', 'returned', 'restocked', 'scrapped', 'transferred', 'adjusted'],
+                  },
+                  status: { type: 'string', description: 'Status the unit was left in' },
+                  locationId: { type: 'string' },
+                  reference: { type: 'string', example: 'Order ORD-20260214-A1B2' },
+                  referenceId: { type: 'string' },
+                  userId: { type: 'string' },
+                  at: { type: 'string', format: 'date-time' },
+                },
+              },
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        // ---------- Reason Code ----------
+        ReasonCode: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            code: { type: 'string', example: 'DAMAGE' },
+            name: { type: 'string', example: 'Damaged' },
+            direction: { type: 'string', enum: ['decrease', 'increase', 'both'] },
+            account: { type: 'string', example: 'Inventory shrinkage - damage' },
+            requiresApproval: { type: 'boolean', description: 'Staff adjustments with this reason wait for a manager to approve them' },
+            system: { type: 'boolean', description: 'Recorded by the app, e.g. CYCLE_COUNT' },
+            isActive: { type: 'boolean' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        // ---------- Custom Report ----------
+        ReportDefinition: {
+          type: 'object',
+          required: ['dataset', 'measures'],
+          description: 'Keys come from GET /custom-reports/catalog',
+          properties: {
+            dataset: { type: 'string', enum: ['orders', 'order_lines', 'stock_movements', 'variants', 'purchase_orders'] },
+            dimensions: {
+              type: 'array',
+              maxItems: 3,
+              items: { type: 'string' },
+              example: ['category', 'week'],
+              description: 'Fields to group by, plus day, week or month on dated datasets',
+            },
+            measures: {
+              type: 'array',
+              items: { type: 'string', enum: ['count', 'qty', 'revenue', 'cost', 'received'] },
+              example: ['qty', 'revenue'],
+            },
+            filters: {
+              type: 'array',
+              maxItems: 10,
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', example: 'status' },
+                  op: {
+                    type: 'string',
+                    enum: ['eq', 'ne', 'in', 'nin', 'gt', 'gte', 'lt', 'lte'],
+                    default: 'eq',
+                    description: 'gt, gte, lt and lte only apply to number fields',
+                  },
+                  value: { description: 'A value of the field\'s type, or a list of them for in and nin', example: 'cancelled' },
+                },
+              },
+            },
+            days: { type: 'integer', example: 90, description: 'Last N days, when from and to are not set (30 by default)' },
+            from: { type: 'string', format: 'date' },
+            to: { type: 'string', format: 'date' },
+            sort: {
+              type: 'object',
+              properties: {
+                by: { type: 'string', description: 'One of the dimensions or measures' },
+                dir: { type: 'string', enum: ['asc', 'desc'] },
+              },
+            },
+            limit: { type: 'integer', minimum: 1, maximum: 5000, default: 500 },
+          },
+        },
+        ReportDataset: {
+          type: 'object',
+          properties: {
+            key: { type: 'string', example: 'order_lines' },
+            label: { type: 'string', example: 'Order lines' },
+            dated: { type: 'boolean', description: 'Has a date range and day/week/month dimensions' },
+            dimensions: {
+              type: 'array',
+              items: { type: 'object', properties: { key: { type: 'string' }, label: { type: 'string' } } },
+            },
+            measures: {
+              type: 'array',
+              items: { type: 'object', properties: { key: { type: 'string' }, label: { type: 'string' } } },
+            },
+            filters: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  key: { type: 'string' },
+                  label: { type: 'string' },
+                  type: { type: 'string', enum: ['objectId', 'enum', 'string', 'number'] },
+                  values: { type: 'array', items: { type: 'string' } },
+                },
+              },
+            },
+          },
+        },
+        CustomReportResult: {
+          type: 'object',
+          properties: {
+            columns: {
+              type: 'array',
+              items: { type: 'object', properties: { key: { type: 'string' }, label: { type: 'string' } } },
+            },
+            rows: {
+              type: 'array',
+              items: { type: 'object' },
+              description: 'One per group, keyed by column. Id dimensions hold names, with the id under <dimension>Id',
+              example: [{ category: 'Shirts', week: '2026-W40', qty: 42, revenue: 1260 }],
+            },
+            truncated: { type: 'boolean', description: 'More groups exist than the limit' },
+            range: {
+              type: 'object',
+              properties: {
+                from: { type: 'string', format: 'date' },
+                to: { type: 'string', format: 'date' },
+                timezone: { type: 'string' },
+              },
+            },
+          },
+        },
+        SavedReport: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            name: { type: 'string', example: 'Units by category per week' },
+            description: { type: 'string' },
+            definition: { $ref: '#/components/schemas/ReportDefinition' },
+            sharedWith: { type: 'array', items: { type: 'string', enum: ['manager', 'staff'] } },
+            createdBy: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        // ---------- Report Schedule ----------
+        ReportScheduleInput: {
+          type: 'object',
+          properties: {
+            name: { type: 'string', example: 'Weekly low stock' },
+            report: { type: 'string', enum: ['sales', 'low_stock', 'valuation'] },
+            format: { type: 'string', enum: ['csv', 'pdf'], default: 'csv' },
+            frequency: {
+              type: 'string',
+              enum: ['daily', 'weekly', 'monthly'],
+              description: 'Also the period a sales report covers',
+            },
+            hour: { type: 'integer', minimum: 0, maximum: 23, default: 7, description: 'In the tenant timezone' },
+            dayOfWeek: { type: 'integer', minimum: 0, maximum: 6, default: 1, description: 'Weekly schedules; 0 = Sunday' },
+            dayOfMonth: { type: 'integer', minimum: 1, maximum: 28, default: 1, description: 'Monthly schedules' },
+            recipients: {
+              type: 'array',
+              items: { type: 'string', format: 'email' },
+              example: ['owner@example.com'],
+            },
+            isActive: { type: 'boolean', example: true },
+          },
+        },
+        ReportSchedule: {
+          allOf: [
+            { $ref: '#/components/schemas/ReportScheduleInput' },
+            {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                tenantId: { type: 'string' },
+                nextRunAt: { type: 'string', format: 'date-time' },
+                lastRunAt: { type: 'string', format: 'date-time' },
+                lastStatus: { type: 'string', enum: ['sent', 'failed'] },
+                lastError: { type: 'string' },
+                createdBy: { type: 'string' },
+                createdAt: { type: 'string', format: 'date-time' },
+                updatedAt: { type: 'string', format: 'date-time' },
+              },
+            },
+          ],
+        },
+
+        // ---------- Product Import ----------
+        ImportRowResult: {
+          type: 'object',
+          properties: {
+            row: { type: 'integer', example: 2, description: 'Line in the file; the header is row 1' },
+            productName: { type: 'string', example: 'Classic T-Shirt' },
+            sku: { type: 'string', example: 'TS-RED-M' },
+            action: { type: 'string', enum: ['create', 'update', 'error'], description: 'What the row does to its variant' },
+            productAction: { type: 'string', enum: ['create', 'existing'], description: 'Whether the row creates its product' },
+            problems: { type: 'array', items: { type: 'string' }, description: 'Why the row is rejected' },
+            warnings: { type: 'array', items: { type: 'string' } },
+            variantId: { type: 'string' },
+          },
+        },
+        ImportJob: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            fileName: { type: 'string', example: 'catalog.xlsx' },
+            format: { type: 'string', enum: ['csv', 'xlsx'] },
+            headers: { type: 'array', items: { type: 'string' }, example: ['Name', 'SKU', 'Price', 'Size'] },
+            rows: {
+              type: 'array',
+              items: { type: 'array', items: { type: 'string' } },
+              description: 'The first rows of the file, for the mapping step',
+            },
+            mapping: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['productName', 'sku', 'price', 'attribute:size'],
+              description: 'Per column: a field key, attribute:<name>, or an empty string to skip it',
+            },
+            locationId: { type: 'string', description: 'Where opening stock is held; the default location if unset' },
+            status: { type: 'string', enum: ['uploaded', 'queued', 'running', 'completed', 'failed'] },
+            total: { type: 'integer', description: 'Rows in the file' },
+            processed: { type: 'integer' },
+            created: { type: 'integer' },
+            updated: { type: 'integer' },
+            failed: { type: 'integer' },
+            results: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/ImportRowResult' },
+              description: 'Set once the job completes',
+            },
+            error: { type: 'string', description: 'Why a failed job stopped' },
+            startedAt: { type: 'string', format: 'date-time' },
+            completedAt: { type: 'string', format: 'date-time' },
+            createdBy: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        ImportField: {
+          type: 'object',
+          properties: {
+            key: { type: 'string', example: 'sku' },
+            label: { type: 'string', example: 'SKU' },
+            level: { type: 'string', enum: ['product', 'variant'] },
+            required: { type: 'boolean' },
+          },
+        },
+
+        // ---------- Approval Rule ----------
+        ApprovalRule: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            name: { type: 'string', example: 'Large adjustments' },
+            target: { type: 'string', enum: ['adjustment', 'purchase_order'] },
+            unitsOver: { type: 'integer', example: 50, description: 'Triggers above this many units' },
+            valueOver: { type: 'number', example: 500, description: 'Triggers above this value at cost' },
+            approverRole: { type: 'string', enum: ['owner', 'manager'], description: 'manager lets owners or managers decide' },
+            approvalsRequired: { type: 'integer', example: 1 },
+            isActive: { type: 'boolean' },
+            createdBy: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        // ---------- Approval Request ----------
+        ApprovalRequest: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            requestNumber: { type: 'string', example: 'APR-LX2K9P-4QZ1' },
+            type: { type: 'string', enum: ['adjustment', 'purchase_order'] },
+            status: { type: 'string', enum: ['pending', 'approved', 'rejected', 'cancelled'] },
+            summary: { type: 'string', example: '-60 × TSHIRT-RED-M at Main Warehouse (Damaged)' },
+            units: { type: 'integer' },
+            value: { type: 'number' },
+            adjustment: {
+              type: 'object',
+              description: 'The held adjustment (adjustment requests only)',
+              properties: {
+                variantId: { type: 'string' },
+                locationId: { type: 'string' },
+                quantity: { type: 'integer' },
+                type: { type: 'string' },
+                reasonCode: { type: 'string' },
+                unitCost: { type: 'number' },
+                notes: { type: 'string' },
+              },
+            },
+            purchaseOrderId: { type: 'string', description: 'The held PO (purchase_order requests only)' },
+            rules: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  ruleId: { type: 'string' },
+                  name: { type: 'string' },
+                },
+              },
+            },
+            approverRole: { type: 'string', enum: ['owner', 'manager'] },
+            approvalsRequired: { type: 'integer' },
+            decisions: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  userId: { type: 'string' },
+                  decision: { type: 'string', enum: ['approve', 'reject'] },
+                  comment: { type: 'string' },
+                  decidedAt: { type: 'string', format: 'date-time' },
+                },
+              },
+            },
+            canDecide: { type: 'boolean', description: 'Whether the caller can approve or reject it now' },
+            requestedBy: { type: 'string' },
+            resolvedAt: { type: 'string', format: 'date-time' },
+            movementId: { type: 'string', description: 'Adjustment movement written on approval' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        // ---------- Shrinkage ----------
+        Shrinkage: {
+          type: 'object',
+          properties: {
+            days: { type: 'integer', example: 30 },
+            totals: {
+              type: 'object',
+              properties: {
+                unitsLost: { type: 'integer' },
+                valueLost: { type: 'number' },
+                unitsFound: { type: 'integer' },
+                valueFound: { type: 'number' },
+                netValue: { type: 'number', description: 'Found value minus lost value' },
+              },
+            },
+            reasons: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  reasonCode: { type: 'string', nullable: true },
+                  name: { type: 'string' },
+                  account: { type: 'string', nullable: true },
+                  unitsLost: { type: 'integer' },
+                  valueLost: { type: 'number' },
+                  unitsFound: { type: 'integer' },
+                  valueFound: { type: 'number' },
+                  movements: { type: 'integer' },
+                },
+              },
+            },
+          },
+        },
+
+        AgingBuckets: {
+          type: 'object',
+          description: 'On-hand units and value at cost by days since receipt',
+          properties: {
+            '0-29': { $ref: '#/components/schemas/AgingBucket' },
+            '30-59': { $ref: '#/components/schemas/AgingBucket' },
+            '60-89': { $ref: '#/components/schemas/AgingBucket' },
+            '90-179': { $ref: '#/components/schemas/AgingBucket' },
+            '180+': { $ref: '#/components/schemas/AgingBucket' },
+          },
+        },
+        AgingBucket: {
+          type: 'object',
+          properties: {
+            units: { type: 'integer', example: 40 },
+            value: { type: 'number', example: 340 },
+          },
+        },
+        DeadStock: {
+          type: 'object',
+          properties: {
+            days: { type: 'integer', example: 90 },
+            coverDays: { type: 'integer', example: 180 },
+            totals: {
+              type: 'object',
+              properties: {
+                variants: { type: 'integer' },
+                units: { type: 'integer' },
+                value: { type: 'number', description: 'On-hand value at cost' },
+                aging: { $ref: '#/components/schemas/AgingBuckets' },
+              },
+            },
+            variants: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  variantId: { type: 'string' },
+                  sku: { type: 'string' },
+                  attributes: { type: 'object', additionalProperties: { type: 'string' } },
+                  product: {
+                    type: 'object',
+                    properties: { _id: { type: 'string' }, name: { type: 'string' }, category: { type: 'string' } },
+                  },
+                  status: { type: 'string', enum: ['dead', 'slow'] },
+                  stock: { type: 'integer' },
+                  value: { type: 'number', description: 'On-hand value at cost' },
+                  unitsSold: { type: 'integer', description: 'Units sold in the period' },
+                  daysOfCover: { type: 'integer', nullable: true, description: 'Days to sell what is on hand at the period\'s rate' },
+                  lastSaleAt: { type: 'string', format: 'date-time', nullable: true },
+                  lastMovementAt: { type: 'string', format: 'date-time', nullable: true },
+                  aging: { $ref: '#/components/schemas/AgingBuckets' },
+                },
+              },
+            },
+          },
+        },
+
+        // ---------- Stock As Of ----------
+        StockAsOf: {
+          type: 'object',
+          properties: {
+            asOf: { type: 'string', format: 'date-time' },
+            snapshotAt: {
+              type: 'string',
+              format: 'date-time',
+              nullable: true,
+              description: 'Snapshot the replay started from, if any',
+            },
+            totals: {
+              type: 'object',
+              properties: {
+                variants: { type: 'integer', example: 320 },
+                units: { type: 'integer', example: 15840 },
+              },
+            },
+            variants: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  variantId: { type: 'string' },
+                  productId: { type: 'string' },
+                  productName: { type: 'string' },
+                  category: { type: 'string' },
+                  sku: { type: 'string' },
+                  attributes: { type: 'object', additionalProperties: { type: 'string' } },
+                  stock: { type: 'integer', example: 42 },
+                },
+              },
+            },
+            pagination: { $ref: '#/components/schemas/Pagination' },
+          },
+        },
+        StockSnapshot: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            takenAt: { type: 'string', format: 'date-time' },
+            variants: { type: 'integer', description: 'Number of variants recorded', example: 320 },
+          },
+        },
+
+        // ---------- Reconciliation ----------
+        ReconciliationRun: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            startedAt: { type: 'string', format: 'date-time' },
+            finishedAt: { type: 'string', format: 'date-time' },
+            trigger: { type: 'string', enum: ['scheduled', 'manual'] },
+            variantsChecked: { type: 'integer', example: 320 },
+            movementsChecked: { type: 'integer', example: 14250 },
+            mismatched: { type: 'integer', description: 'Variants whose movements don\'t add up to their stock', example: 2 },
+            brokenChains: { type: 'integer', description: 'Variants with movements that don\'t chain together', example: 1 },
+            issues: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/ReconciliationIssue' },
+            },
+          },
+        },
+        ReconciliationIssue: {
+          type: 'object',
+          properties: {
+            variantId: { type: 'string' },
+            productId: {
+              type: 'object',
+              properties: { _id: { type: 'string' }, name: { type: 'string' } },
+            },
+            sku: { type: 'string' },
+            stock: { type: 'integer', example: 40 },
+            ledgerStock: { type: 'integer', description: 'Sum of movement quantities', example: 25 },
+            difference: { type: 'integer', example: 15 },
+            movementCount: { type: 'integer', example: 8 },
+            breakCount: { type: 'integer', example: 1 },
+            breaks: {
+              type: 'array',
+              description: 'First 10 breaks since the last correction',
+              items: {
+                type: 'object',
+                properties: {
+                  movementId: { type: 'string' },
+                  type: { type: 'string' },
+                  createdAt: { type: 'string', format: 'date-time' },
+                  kind: {
+                    type: 'string',
+                    enum: ['link', 'arithmetic'],
+                    description: 'link: previousStock differs from the newStock before it; arithmetic: newStock isn\'t previousStock + quantity',
+                  },
+                  expected: { type: 'integer' },
+                  recorded: { type: 'integer' },
+                },
+              },
+            },
+            correctionId: { type: 'string', description: 'Correcting adjustment, once posted' },
+          },
+        },
+
+        // ---------- Cycle Count ----------
+        CycleCount: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            countNumber: { type: 'string', example: 'CNT-LX2K9P-4QZ1' },
+            locationId: { type: 'string' },
+            scope: { type: 'string', enum: ['location', 'category', 'sample', 'variants'] },
+            category: { type: 'string' },
+            sampleSize: { type: 'integer' },
+            status: { type: 'string', enum: ['counting', 'review', 'posted', 'cancelled'] },
+            items: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  variantId: { type: 'string' },
+                  productId: { type: 'string' },
+                  sku: { type: 'string' },
+                  expectedQuantity: { type: 'integer', description: 'Frozen when the count was opened; hidden from staff while counting', example: 24 },
+                  countedQuantity: { type: 'integer', example: 22 },
+                  countedBy: { type: 'string' },
+                  countedAt: { type: 'string', format: 'date-time' },
+                  adjustedQuantity: { type: 'integer', description: 'Variance posted as an adjustment', example: -2 },
+                  unitCost: { type: 'number', example: 12.5 },
+                },
+              },
+            },
+            lineCount: { type: 'integer', description: 'In lists, which leave out the lines' },
+            countedLines: { type: 'integer', description: 'In lists, which leave out the lines' },
+            summary: {
+              type: 'object',
+              description: 'Set when the count is posted',
+              properties: {
+                lines: { type: 'integer', example: 40 },
+                linesWithVariance: { type: 'integer', example: 3 },
+                accuracy: { type: 'number', example: 0.925 },
+                unitsExpected: { type: 'integer', example: 1200 },
+                unitsCounted: { type: 'integer', example: 1195 },
+                unitsOff: { type: 'integer', example: 7 },
+                valueVariance: { type: 'number', example: -62.5 },
+              },
+            },
+            notes: { type: 'string' },
+            submittedAt: { type: 'string', format: 'date-time' },
+            postedAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        CountAccuracy: {
+          type: 'object',
+          properties: {
+            since: { type: 'string', format: 'date-time' },
+            totals: { $ref: '#/components/schemas/CountAccuracyPeriod' },
+            periods: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/CountAccuracyPeriod' },
+            },
+          },
+        },
+        CountAccuracyPeriod: {
+          type: 'object',
+          properties: {
+            month: { type: 'string', example: '2026-09' },
+            counts: { type: 'integer', example: 4 },
+            lines: { type: 'integer', example: 160 },
+            linesWithVariance: { type: 'integer', example: 9 },
+            accuracy: { type: 'number', example: 0.9438 },
+            unitsOff: { type: 'integer', example: 21 },
+            valueVariance: { type: 'number', example: -180.4 },
+          },
+        },
+
+        // ---------- Reports ----------
+        ValuationReport: {
+          type: 'object',
+          properties: {
+            asOf: { type: 'string', format: 'date-time' },
+            costingMethod: { type: 'string', enum: ['fifo', 'average'] },
+            totals: {
+              type: 'object',
+              properties: {
+                units: { type: 'integer', example: 1240 },
+                value: { type: 'number', example: 48210.5 },
+              },
+            },
+            products: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  productId: { type: 'string' },
+                  productName: { type: 'string' },
+                  category: { type: 'string' },
+                  units: { type: 'integer', example: 40 },
+                  value: { type: 'number', example: 1820 },
+                  variants: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        variantId: { type: 'string' },
+                        sku: { type: 'string' },
+                        units: { type: 'integer', example: 20 },
+                        value: { type: 'number', example: 910 },
+                        unitCost: { type: 'number', example: 45.5 },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        GrossMarginReport: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time' },
+            groupBy: { type: 'string', enum: ['product', 'order'] },
+            totals: { $ref: '#/components/schemas/GrossMarginRow' },
+            rows: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/GrossMarginRow' },
+            },
+          },
+        },
+        GrossMarginRow: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string', description: 'Product or order ID' },
+            productName: { type: 'string', description: 'When grouped by product' },
+            orderNumber: { type: 'string', description: 'When grouped by order' },
+            customerName: { type: 'string' },
+            status: { type: 'string' },
+            createdAt: { type: 'string', format: 'date-time' },
+            units: { type: 'integer', example: 12 },
+            revenue: { type: 'number', example: 359.88 },
+            costOfGoods: { type: 'number', example: 96 },
+            grossMargin: { type: 'number', example: 263.88 },
+            marginRate: { type: 'number', example: 0.7332 },
+          },
+        },
+        VariantClassification: {
+          type: 'object',
+          description: 'ABC/XYZ classes from the last classification run',
+          properties: {
+            abc: { type: 'string', enum: ['A', 'B', 'C'], description: 'By share of value' },
+            xyz: { type: 'string', enum: ['X', 'Y', 'Z'], description: 'By variability of weekly demand' },
+            value: { type: 'number', example: 4210.5 },
+            share: { type: 'number', example: 12.4, description: '% of the tenant\'s total value' },
+            cov: { type: 'number', nullable: true, example: 0.42, description: 'Coefficient of variation of weekly demand' },
+            basis: { type: 'string', enum: ['revenue', 'consumption'] },
+            windowDays: { type: 'integer', example: 90 },
+            computedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        ClassificationReport: {
+          type: 'object',
+          properties: {
+            basis: { type: 'string', enum: ['revenue', 'consumption'] },
+            windowDays: { type: 'integer', example: 90 },
+            abcCutoffs: { type: 'object', properties: { a: { type: 'number' }, b: { type: 'number' } } },
+            xyzCutoffs: { type: 'object', properties: { x: { type: 'number' }, y: { type: 'number' } } },
+            from: { type: 'string', format: 'date-time' },
+            to: { type: 'string', format: 'date-time' },
+            totalValue: { type: 'number', example: 33950.2 },
+            matrix: {
+              type: 'object',
+              description: 'Variant count and value per class pair, keyed AX through CZ',
+              additionalProperties: {
+                type: 'object',
+                properties: { variants: { type: 'integer' }, value: { type: 'number' } },
+              },
+            },
+            variants: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/ClassificationRow' },
+            },
+          },
+        },
+        ClassificationRow: {
+          type: 'object',
+          properties: {
+            variantId: { type: 'string' },
+            sku: { type: 'string' },
+            attributes: { type: 'object', additionalProperties: { type: 'string' } },
+            product: {
+              type: 'object',
+              properties: { _id: { type: 'string' }, name: { type: 'string' }, category: { type: 'string' } },
+            },
+            value: { type: 'number', example: 4210.5 },
+            units: { type: 'integer', example: 140 },
+            share: { type: 'number', example: 12.4 },
+            cumulativeShare: { type: 'number', example: 38.1 },
+            cov: { type: 'number', nullable: true, example: 0.42 },
+            abc: { type: 'string', enum: ['A', 'B', 'C'] },
+            xyz: { type: 'string', enum: ['X', 'Y', 'Z'] },
+          },
+        },
+
+        // ---------- Role Permission ----------
+        RolePermission: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            tenantId: { type: 'string' },
+            role: { type: 'string', enum: ['manager', 'staff'] },
+            permissions: {
+              type: 'array',
+              items: { type: 'string' },
+              example: ['products.view', 'orders.view', 'orders.create'],
+            },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+          },
+        },
+
+        // ---------- Low Stock Alert ----------
+        LowStockAlert: {
+          type: 'object',
+          properties: {
+            _id: { type: 'string' },
+            sku: { type: 'string' },
+            stock: { type: 'integer' },
+            inTransit: { type: 'integer' },
+            onHand: { type: 'integer', description: 'Units held at locations (stock minus in transit)' },
+            reserved: { type: 'integer', description: 'Units held for open orders' },
+            available: { type: 'integer', description: 'On hand minus reserved' },
+            lowStockThreshold: { type: 'integer' },
+            pendingPOQuantity: { type: 'integer' },
+            effectiveStock: { type: 'integer' },
+            threshold: { type: 'integer', description: 'Forecast reorder point, else lowStockThreshold' },
+            thresholdSource: { type: 'string', enum: ['forecast', 'static'] },
+            daysOfCover: { type: 'number', nullable: true, description: 'Available stock over forecast daily demand' },
+            stockoutDate: { type: 'string', format: 'date', nullable: true, description: 'Day available stock is projected to run out' },
+            severity: { type: 'string', enum: ['critical', 'warning'] },
+            message: { type: 'string' },
+            locations: {
+              type: 'array',
+              description: 'Per-location balances (total mode only)',
+              items: { $ref: '#/components/schemas/LocationStock' },
+            },
+            location: {
+              type: 'object',
+              description: 'Location the alert refers to (location mode only)',
+              properties: {
+                _id: { type: 'string' },
+                name: { type: 'string' },
+                code: { type: 'string' },
+              },
+            },
+            productId: {
+              type: 'object',
+              properties: {
+                _id: { type: 'string' },
+                name: { type: 'string' },
+                category: { type: 'string' },
+              },
+            },
+          },
+        },
+
+        // ---------- Dashboard ----------
+        DashboardSummary: {
+          type: 'object',
+          properties: {
+            inventory: {
               type: 'object',
               properties: {
                 totalProducts: { type: 'integer' },
                 totalVariants: { type: 'integer' },
                 totalStock: { type: 'integer' },
+                inTransit: { type: 'integer', description: 'Units shipped between locations, included in totalStock' },
+                onHand: { type: 'integer', description: 'Units held at locations' },
+                reserved: { type: 'integer', description: 'Units held for open orders' },
+                available: { type: 'integer', description: 'On hand minus reserved' },
                 totalValue: { type: 'number' },
                 totalCostValue: { type: 'number' },
+                byLocation: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      locationId: { type: 'string' },
+                      name: { type: 'string' },
+                      code: { type: 'string' },
+                      totalStock: { type: 'integer' },
+                      reserved: { type: 'integer' },
+                      available: { type: 'integer' },
+                      totalValue: { type: 'number' },
+                      totalCostValue: { type: 'number' },
+                      lowStockItems: { type: 'integer' },
+                    },
+                  },
+                },
               },
             },
             orders: {
@@ -354,6 +1690,10 @@ const options = {
               properties: {
                 totalOrders: { type: 'integer' },
                 totalRevenue: { type: 'number' },
+                series: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/OrderPeriod' },
+                },
                 byStatus: {
                   type: 'object',
                   additionalProperties: {
@@ -373,6 +1713,69 @@ const options = {
                 pendingPurchaseOrders: { type: 'integer' },
               },
             },
+            range: { $ref: '#/components/schemas/DashboardRange' },
+            previous: {
+              allOf: [{ $ref: '#/components/schemas/DashboardRange' }],
+              type: 'object',
+              properties: {
+                totalOrders: { type: 'integer' },
+                totalRevenue: { type: 'number' },
+                series: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/OrderPeriod' },
+                },
+              },
+            },
+          },
+        },
+        DashboardRange: {
+          type: 'object',
+          properties: {
+            from: { type: 'string', format: 'date', example: '2026-01-18' },
+            to: { type: 'string', format: 'date', example: '2026-02-16' },
+            timezone: { type: 'string', example: 'America/New_York' },
+            granularity: { type: 'string', enum: ['day', 'week', 'month'] },
+          },
+        },
+        OrderPeriod: {
+          type: 'object',
+          properties: {
+            period: { type: 'string', example: '2026-W07', description: 'YYYY-MM-DD, YYYY-Www or YYYY-MM' },
+            orders: { type: 'integer', description: 'Non-cancelled orders' },
+            revenue: { type: 'number' },
+          },
+        },
+        MovementPeriod: {
+          type: 'object',
+          properties: {
+            date: { type: 'string', example: '2026-02-14', description: 'Period label: YYYY-MM-DD, YYYY-Www or YYYY-MM' },
+            purchase: { type: 'integer' },
+            sale: { type: 'integer' },
+            return: { type: 'integer' },
+            adjustment: { type: 'integer' },
+            loss: { type: 'integer' },
+          },
+        },
+        StockMovementSeries: {
+          type: 'object',
+          properties: {
+            range: { $ref: '#/components/schemas/DashboardRange' },
+            movements: {
+              type: 'array',
+              items: { $ref: '#/components/schemas/MovementPeriod' },
+            },
+            totals: { $ref: '#/components/schemas/MovementPeriod' },
+            previous: {
+              allOf: [{ $ref: '#/components/schemas/DashboardRange' }],
+              type: 'object',
+              properties: {
+                movements: {
+                  type: 'array',
+                  items: { $ref: '#/components/schemas/MovementPeriod' },
+                },
+                totals: { $ref: '#/components/schemas/MovementPeriod' },
+              },
+            },
           },
         },
       },
@@ -383,11 +1786,24 @@ const options = {
       { name: 'Users', description: 'User management (owner/manager)' },
       { name: 'Products', description: 'Product & variant CRUD' },
       { name: 'Orders', description: 'Sales order management' },
+      { name: 'Customers', description: 'Customer management and order history' },
       { name: 'Suppliers', description: 'Supplier management' },
       { name: 'Purchase Orders', description: 'Purchase order workflow' },
       { name: 'Stock', description: 'Stock adjustments & movements' },
       { name: 'Dashboard', description: 'Analytics & summary data' },
+      { name: 'Reports', description: 'Inventory valuation and gross margin' },
+      { name: 'Report Schedules', description: 'Recurring reports emailed as CSV or PDF' },
+      { name: 'Custom Reports', description: 'Saved reports over orders, movements, stock and POs' },
       { name: 'Roles', description: 'Role-based permission management' },
+      { name: 'Locations', description: 'Warehouses and per-location stock' },
+      { name: 'Transfers', description: 'Stock transfers between locations' },
+      { name: 'Cycle Counts', description: 'Cycle counts and physical inventory sessions' },
+      { name: 'Reason Codes', description: 'Reason codes for stock adjustments' },
+      { name: 'Approvals', description: 'Approval rules and the approval queue' },
+      { name: 'Returns', description: 'Customer returns (RMAs) against delivered orders' },
+      { name: 'Serials', description: 'Serial number lookup and unit history' },
+      { name: 'Settings', description: 'Tenant-wide settings' },
+      { name: 'Imports', description: 'Bulk product and variant import from CSV or XLSX' },
     ],
   },
   apis: ['./src/routes/*.js', './src/app.js'],
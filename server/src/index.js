@@ -4,6 +4,17 @@ const app = require('./app');
 const connectDB = require('./config/db');
 const config = require('./config');
 const setupSocket = require('./socket');
+const { startReservationExpiry } = require('./services/reservations');
+const { startStockSnapshots } = require('./services/snapshots');
+const { startReconciliation } = require('./services/reconciliation');
+const { startExpiryAlerts } = require('./services/lots');
+const { startForecasting } = require('./services/forecasting');
+const { startReorderSuggestions } = require('./services/reorder');
+const { startClassification } = require('./services/classification');
+const { startReportScheduler } = require('./services/scheduledReports');
+const { relayDashboardStale, markDashboardStale } = require('./services/dashboardCache');
+const { startRollups } = require('./services/rollups');
+const { startImportWorker } = require('./services/productImport');
 
 const startServer = async () => {
   // Connect to MongoDB
@@ -31,6 +42,39 @@ const startServer = async () => {
   // Make io accessible in routes
   app.set('io', io);
 
+  // Pass dashboard invalidations from every instance on to this one's clients
+  relayDashboardStale(io).catch((err) => console.error('Failed to relay dashboard updates:', err));
+
+  // Cancel pending orders whose stock reservation has lapsed
+  startReservationExpiry(io);
+
+  // Daily stock snapshots keep point-in-time stock queries fast
+  startStockSnapshots();
+
+  // Nightly check that each variant's movements add up to its stock
+  startReconciliation(io);
+
+  // Flag lots coming up to their expiry date
+  startExpiryAlerts(io);
+
+  // Nightly demand forecasts from order history
+  startForecasting();
+
+  // Nightly draft POs for whatever has fallen to its reorder point
+  startReorderSuggestions(io);
+
+  // Nightly ABC/XYZ classes for product filtering and sorting
+  startClassification();
+
+  // Email scheduled reports as they fall due
+  startReportScheduler();
+
+  // Keep daily rollups current with writes made outside the API (jobs, scripts)
+  startRollups((tenantId) => markDashboardStale(tenantId, 'rollups'));
+
+  // Run queued product imports, and pick up any cut short by a restart
+  startImportWorker(io);
+
   // Start listening
   server.listen(config.port, () => {
     console.log(`Server running on port ${config.port} in ${config.nodeEnv} mode`);
@@ -0,0 +1,22 @@
+const { markDashboardStale } = require('../services/dashboardCache');
+const { syncRollups } = require('../services/rollups');
+
+/**
+ * Express middleware for routers whose writes move dashboard figures: once a
+ * write request has succeeded, the tenant's daily rollups are brought up to
+ * date and then its dashboard is marked stale.
+ */
+const invalidatesDashboard = (source) => (req, res, next) => {
+  if (req.method !== 'GET') {
+    res.on('finish', () => {
+      if (res.statusCode < 400 && req.tenantId) {
+        syncRollups(req.tenantId)
+          .then(() => markDashboardStale(req.tenantId, source))
+          .catch((err) => console.error('Failed to invalidate dashboard cache:', err));
+      }
+    });
+  }
+  next();
+};
+
+module.exports = { invalidatesDashboard };
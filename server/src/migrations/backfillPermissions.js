@@ -0,0 +1,25 @@
+// Grants permission keys added since tenants stored their role permissions
+// (locations, transfers, ...) to the roles that get them by default.
+// Run once after upgrading: npm run migrate:permissions
+const dotenv = require('dotenv');
+dotenv.config();
+
+const connectDB = require('../config/db');
+const { backfillPermissions } = require('../utils/permissions');
+
+const run = async () => {
+  await connectDB();
+  console.log('Granting new permissions to stored roles...');
+
+  const updated = await backfillPermissions();
+
+  console.log(`  Role permission updates: ${updated}`);
+  console.log('\n✅ Migration complete!');
+
+  process.exit(0);
+};
+
+run().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
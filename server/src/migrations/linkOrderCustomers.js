@@ -0,0 +1,28 @@
+// Groups orders placed with free-text customer details into Customer records
+// by email and links them. Run once after upgrading: npm run migrate:customers
+const dotenv = require('dotenv');
+dotenv.config();
+
+const connectDB = require('../config/db');
+const { migrateOrderCustomers } = require('../services/customers');
+
+const run = async () => {
+  await connectDB();
+  console.log('Linking orders to customers...');
+
+  const { customersCreated, ordersLinked, ordersWithoutEmail } = await migrateOrderCustomers();
+
+  console.log(`  Customers created: ${customersCreated}`);
+  console.log(`  Orders linked:     ${ordersLinked}`);
+  if (ordersWithoutEmail > 0) {
+    console.log(`  Orders left unlinked (no email): ${ordersWithoutEmail}`);
+  }
+  console.log('\n✅ Migration complete!');
+
+  process.exit(0);
+};
+
+run().catch((err) => {
+  console.error('Migration failed:', err);
+  process.exit(1);
+});
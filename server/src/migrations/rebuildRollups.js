@@ -0,0 +1,29 @@
+// Rebuilds every tenant's daily order, sales and movement rollups from its
+// full history. The server builds missing rollups on its own at startup; run
+// this to redo them after editing orders or movements directly in the
+// database: npm run rollups:rebuild
+const dotenv = require('dotenv');
+dotenv.config();
+
+const connectDB = require('../config/db');
+const { Tenant } = require('../models');
+const { rebuildRollups } = require('../services/rollups');
+
+const run = async () => {
+  await connectDB();
+  console.log('Rebuilding daily rollups...');
+
+  const tenants = await Tenant.find().select('name').lean();
+  for (const tenant of tenants) {
+    const { days } = await rebuildRollups(tenant._id);
+    console.log(`  ${tenant.name}: ${days} day(s)`);
+  }
+  console.log('\n✅ Rollups rebuilt!');
+
+  process.exit(0);
+};
+
+run().catch((err) => {
+  console.error('Rollup rebuild failed:', err);
+  process.exit(1);
+});
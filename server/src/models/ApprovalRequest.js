@@ -0,0 +1,118 @@
+const mongoose = require('mongoose');
+
+const decisionSchema = new mongoose.Schema(
+  {
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    decision: {
+      type: String,
+      enum: ['approve', 'reject'],
+      required: true,
+    },
+    comment: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    decidedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+const approvalRequestSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    requestNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    type: {
+      type: String,
+      enum: ['adjustment', 'purchase_order'],
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'approved', 'rejected', 'cancelled'],
+      default: 'pending',
+    },
+    summary: {
+      // One line for the queue, e.g. "-60 × TSHIRT-RED-M at Main Warehouse (Damaged)"
+      type: String,
+      trim: true,
+    },
+    units: {
+      type: Number,
+    },
+    value: {
+      type: Number,
+    },
+    adjustment: {
+      // The adjustment as submitted; applied when the request is approved
+      variantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant' },
+      locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'Location' },
+      quantity: { type: Number },
+      type: { type: String },
+      reasonCode: { type: String },
+      unitCost: { type: Number },
+      lotNumber: { type: String },
+      expiryDate: { type: Date },
+      serialNumbers: { type: [String], default: undefined },
+      notes: { type: String },
+    },
+    purchaseOrderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder',
+    },
+    rules: [
+      {
+        // Rules the request hit, copied so later rule edits don't change it
+        _id: false,
+        ruleId: { type: mongoose.Schema.Types.ObjectId, ref: 'ApprovalRule' },
+        name: { type: String },
+      },
+    ],
+    approverRole: {
+      type: String,
+      enum: ['owner', 'manager'],
+      required: true,
+    },
+    approvalsRequired: {
+      type: Number,
+      default: 1,
+    },
+    decisions: [decisionSchema],
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+    resolvedAt: {
+      type: Date,
+    },
+    movementId: {
+      // Adjustment movement written on approval
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockMovement',
+    },
+  },
+  { timestamps: true }
+);
+
+approvalRequestSchema.index({ tenantId: 1, requestNumber: 1 }, { unique: true });
+approvalRequestSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+approvalRequestSchema.index({ tenantId: 1, purchaseOrderId: 1 });
+
+module.exports = mongoose.model('ApprovalRequest', approvalRequestSchema);
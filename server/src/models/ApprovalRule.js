@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+const approvalRuleSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Rule name is required'],
+      trim: true,
+      maxlength: 100,
+    },
+    target: {
+      // What the rule holds back: manual stock adjustments or sending POs
+      type: String,
+      enum: ['adjustment', 'purchase_order'],
+      required: true,
+    },
+    unitsOver: {
+      // Adjustments moving more than this many units (either direction), or POs ordering more
+      type: Number,
+      min: 0,
+    },
+    valueOver: {
+      // Adjustments or POs worth more than this, at cost
+      type: Number,
+      min: 0,
+    },
+    approverRole: {
+      // owner: only owners decide; manager: owners or managers
+      type: String,
+      enum: ['owner', 'manager'],
+      default: 'owner',
+    },
+    approvalsRequired: {
+      type: Number,
+      default: 1,
+      min: 1,
+      max: 5,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+approvalRuleSchema.index({ tenantId: 1, target: 1, isActive: 1 });
+
+module.exports = mongoose.model('ApprovalRule', approvalRuleSchema);
@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+// A batch of stock bought (or taken back) at one unit cost. Sales and
+// other outflows draw `remaining` down; what is left values the inventory.
+const costLayerSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Variant',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    source: {
+      // opening = stock the variant already had before cost tracking started
+      type: String,
+      enum: ['opening', 'purchase', 'return', 'adjustment'],
+      required: true,
+    },
+    reference: {
+      type: String,
+      trim: true,
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    unitCost: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    remaining: {
+      type: Number,
+      required: true,
+      min: 0,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { timestamps: true }
+);
+
+costLayerSchema.index({ tenantId: 1, variantId: 1, receivedAt: 1 });
+costLayerSchema.index({ tenantId: 1, variantId: 1, remaining: 1 });
+
+module.exports = mongoose.model('CostLayer', costLayerSchema);
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const addressSchema = new mongoose.Schema({
+  label: {
+    // e.g. "Billing", "Warehouse dock"
+    type: String,
+    trim: true,
+    maxlength: 50,
+  },
+  street: {
+    type: String,
+    trim: true,
+    maxlength: 200,
+  },
+  city: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+  state: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+  postalCode: {
+    type: String,
+    trim: true,
+    maxlength: 20,
+  },
+  country: {
+    type: String,
+    trim: true,
+    maxlength: 100,
+  },
+});
+
+const customerSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Customer name is required'],
+      trim: true,
+      maxlength: 200,
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+    },
+    phone: {
+      type: String,
+      trim: true,
+    },
+    taxId: {
+      type: String,
+      trim: true,
+      maxlength: 50,
+    },
+    addresses: [addressSchema],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    tags: [
+      {
+        type: String,
+        trim: true,
+        lowercase: true,
+        maxlength: 50,
+      },
+    ],
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+customerSchema.index({ tenantId: 1, name: 1 });
+// Email identifies a customer within a tenant; customers without one are allowed
+customerSchema.index(
+  { tenantId: 1, email: 1 },
+  { unique: true, partialFilterExpression: { email: { $type: 'string' } } }
+);
+customerSchema.index({ tenantId: 1, tags: 1 });
+
+module.exports = mongoose.model('Customer', customerSchema);
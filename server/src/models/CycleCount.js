@@ -0,0 +1,129 @@
+const mongoose = require('mongoose');
+
+const countLineSchema = new mongoose.Schema({
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Variant',
+    required: true,
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  sku: {
+    type: String,
+    required: true,
+  },
+  expectedQuantity: {
+    // Balance at the location when the count was opened
+    type: Number,
+    required: true,
+  },
+  countedQuantity: {
+    // Unset until someone counts the line
+    type: Number,
+    min: 0,
+  },
+  countedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+  },
+  countedAt: {
+    type: Date,
+  },
+  adjustedQuantity: {
+    // Variance posted as an adjustment
+    type: Number,
+  },
+  unitCost: {
+    // Cost per unit of the posted variance, used for the value variance
+    type: Number,
+  },
+});
+
+const countSummarySchema = new mongoose.Schema(
+  {
+    lines: { type: Number, default: 0 },
+    linesWithVariance: { type: Number, default: 0 },
+    // Share of lines counted exactly as expected
+    accuracy: { type: Number, default: 0 },
+    unitsExpected: { type: Number, default: 0 },
+    unitsCounted: { type: Number, default: 0 },
+    // Sum of absolute line variances
+    unitsOff: { type: Number, default: 0 },
+    valueVariance: { type: Number, default: 0 },
+  },
+  { _id: false }
+);
+
+const cycleCountSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    countNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true,
+    },
+    scope: {
+      // How the lines were chosen
+      type: String,
+      enum: ['location', 'category', 'sample', 'variants'],
+      required: true,
+    },
+    category: {
+      type: String,
+      trim: true,
+    },
+    sampleSize: {
+      type: Number,
+    },
+    status: {
+      type: String,
+      enum: ['counting', 'review', 'posted', 'cancelled'],
+      default: 'counting',
+    },
+    items: [countLineSchema],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    summary: countSummarySchema,
+    submittedAt: {
+      type: Date,
+    },
+    postedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    submittedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    postedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+cycleCountSchema.index({ tenantId: 1, countNumber: 1 }, { unique: true });
+cycleCountSchema.index({ tenantId: 1, status: 1 });
+cycleCountSchema.index({ tenantId: 1, postedAt: -1 });
+
+module.exports = mongoose.model('CycleCount', cycleCountSchema);
@@ -0,0 +1,98 @@
+const mongoose = require('mongoose');
+
+const importRowResultSchema = new mongoose.Schema(
+  {
+    row: Number, // line in the file, the header being line 1
+    productName: String,
+    sku: String,
+    action: { type: String, enum: ['create', 'update', 'error'] },
+    productAction: { type: String, enum: ['create', 'existing'] }, // whether the row's product is new
+    problems: [String], // why the row was rejected
+    warnings: [String],
+    variantId: { type: mongoose.Schema.Types.ObjectId, ref: 'Variant' },
+  },
+  { _id: false }
+);
+
+// An uploaded product/variant file and, once run, how each row went
+const importJobSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    fileName: {
+      type: String,
+      trim: true,
+    },
+    format: {
+      type: String,
+      enum: ['csv', 'xlsx'],
+      required: true,
+    },
+    headers: [String],
+    total: {
+      // Data rows in the file
+      type: Number,
+      default: 0,
+    },
+    rows: {
+      // Cell text of each data row, in header order
+      type: [[String]],
+      default: [],
+    },
+    mapping: {
+      // Field each column fills, in header order: a key of FIELDS in
+      // services/productImport.js, attribute:<name>, or '' to ignore it
+      type: [String],
+      default: [],
+    },
+    locationId: {
+      // Where opening stock of new variants is held; unset uses the default location
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
+    status: {
+      // uploaded -> queued -> running -> completed, or failed if the job itself broke
+      type: String,
+      enum: ['uploaded', 'queued', 'running', 'completed', 'failed'],
+      default: 'uploaded',
+    },
+    processed: {
+      type: Number,
+      default: 0,
+    },
+    created: {
+      type: Number,
+      default: 0,
+    },
+    updated: {
+      type: Number,
+      default: 0,
+    },
+    failed: {
+      type: Number,
+      default: 0,
+    },
+    results: {
+      type: [importRowResultSchema],
+      default: undefined,
+    },
+    error: String,
+    startedAt: Date,
+    completedAt: Date,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+importJobSchema.index({ tenantId: 1, createdAt: -1 });
+// The import worker picks up queued jobs across all tenants
+importJobSchema.index({ status: 1, updatedAt: 1 });
+
+module.exports = mongoose.model('ImportJob', importJobSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const locationSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Location name is required'],
+      trim: true,
+      maxlength: 100,
+    },
+    code: {
+      // Short identifier shown on movements and pick lists, e.g. "WH-EAST"
+      type: String,
+      required: [true, 'Location code is required'],
+      trim: true,
+      uppercase: true,
+      maxlength: 20,
+    },
+    address: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    isDefault: {
+      // Used when a stock operation does not name a location
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Code unique per tenant
+locationSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+locationSchema.index({ tenantId: 1, isDefault: 1 });
+
+module.exports = mongoose.model('Location', locationSchema);
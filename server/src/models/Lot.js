@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+
+// Units of a lot-tracked variant received together at one location. Lot
+// balances never add up to more than the location's StockLevel; any
+// difference is stock from before tracking started.
+const lotSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Variant',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true,
+    },
+    lotNumber: {
+      // Supplier's batch number as printed on the goods
+      type: String,
+      required: [true, 'Lot number is required'],
+      trim: true,
+      maxlength: 50,
+    },
+    expiryDate: {
+      type: Date,
+    },
+    quantity: {
+      // Units of this lot still on hand at the location
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    receivedQuantity: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    reference: {
+      // What first brought the lot in, e.g. "PO PO-..."
+      type: String,
+      trim: true,
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    expiryAlertedAt: {
+      // Set once a stock:expiring alert has gone out, so each lot is flagged once
+      type: Date,
+    },
+  },
+  { timestamps: true }
+);
+
+// One balance per lot number per variant per location
+lotSchema.index({ tenantId: 1, variantId: 1, locationId: 1, lotNumber: 1 }, { unique: true });
+lotSchema.index({ tenantId: 1, variantId: 1, locationId: 1, expiryDate: 1 });
+lotSchema.index({ tenantId: 1, quantity: 1, expiryDate: 1 });
+
+module.exports = mongoose.model('Lot', lotSchema);
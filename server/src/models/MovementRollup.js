@@ -0,0 +1,86 @@
+const mongoose = require('mongoose');
+
+// Stock movements of one variant on one day, per location, type and reason
+// code, with units and value in and out kept apart. Built from StockMovement
+// by services/rollups.js; never written directly.
+const movementRollupSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+    },
+    date: {
+      // Calendar day in the tenant's timezone, stored as midnight UTC
+      type: Date,
+      required: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Variant',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    locationId: {
+      // Null for the in-transit leg of a transfer
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      default: null,
+    },
+    type: {
+      type: String,
+      required: true,
+    },
+    reasonCode: {
+      type: String,
+      default: null,
+    },
+    movements: {
+      type: Number,
+      default: 0,
+    },
+    unitsIn: {
+      type: Number,
+      default: 0,
+    },
+    unitsOut: {
+      // Positive count of units that left
+      type: Number,
+      default: 0,
+    },
+    valueIn: {
+      type: Number,
+      default: 0,
+    },
+    valueOut: {
+      // Positive cost of the units that left, from the movements' totalCost
+      type: Number,
+      default: 0,
+    },
+    uncostedOut: {
+      // Units that left on movements recorded before costing (no totalCost)
+      type: Number,
+      default: 0,
+    },
+    lastAt: {
+      // Time of the day's last such movement
+      type: Date,
+    },
+    builtAt: {
+      type: Date,
+      required: true,
+    },
+  }
+);
+
+movementRollupSchema.index(
+  { tenantId: 1, date: 1, locationId: 1, type: 1, reasonCode: 1, variantId: 1 },
+  { unique: true }
+);
+movementRollupSchema.index({ tenantId: 1, variantId: 1, date: 1 });
+
+module.exports = mongoose.model('MovementRollup', movementRollupSchema);
@@ -18,6 +18,41 @@ const orderLineItemSchema = new mongoose.Schema({
     required: true,
     min: 1,
   },
+  quantityFulfilled: {
+    // Units allocated from stock: reserved, then consumed when shipped.
+    // Unset on orders placed before backorders, where all of quantity was allocated.
+    type: Number,
+    min: 0,
+  },
+  quantityBackordered: {
+    // Units still waiting for stock; filled from PO receipts, oldest order first
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  quantityShipped: {
+    // Units sent out on shipments so far
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  quantityReturned: {
+    // Units sent back by the customer on RMAs
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  serialNumbers: {
+    // Units that went out on this line (serial-tracked products only)
+    type: [String],
+    default: undefined,
+  },
+  costOfGoods: {
+    // Cost of the shipped units that were kept, from the cost layers they shipped from
+    // (unset on orders shipped before costing existed)
+    type: Number,
+    min: 0,
+  },
   unitPrice: {
     type: Number,
     required: true,
@@ -44,14 +79,25 @@ const orderSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['pending', 'confirmed', 'processing', 'shipped', 'delivered', 'cancelled'],
+      // partially_shipped and shipped follow shipment coverage (see services/shipments.js)
+      enum: ['pending', 'confirmed', 'processing', 'partially_shipped', 'shipped', 'delivered', 'cancelled'],
       default: 'pending',
     },
+    locationId: {
+      // Location the order is fulfilled from
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
     items: [orderLineItemSchema],
     totalAmount: {
       type: Number,
       default: 0,
     },
+    customerId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Customer',
+    },
+    // Name and email as they were when the order was placed
     customerName: {
       type: String,
       trim: true,
@@ -71,6 +117,17 @@ const orderSchema = new mongoose.Schema(
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
     },
+    stockStatus: {
+      // reserved -> consumed when shipped, or released when cancelled/expired.
+      // Orders placed before reservations existed have none: their stock was
+      // deducted when they were created.
+      type: String,
+      enum: ['reserved', 'consumed', 'released'],
+    },
+    reservationExpiresAt: {
+      // Only set while the order is pending and fully allocated; confirming it clears the expiry
+      type: Date,
+    },
     cancelledAt: Date,
     cancelReason: String,
   },
@@ -81,5 +138,11 @@ orderSchema.index({ tenantId: 1, orderNumber: 1 }, { unique: true });
 orderSchema.index({ tenantId: 1, status: 1 });
 orderSchema.index({ tenantId: 1, createdAt: -1 });
 orderSchema.index({ tenantId: 1, 'items.variantId': 1, createdAt: -1 });
+orderSchema.index({ tenantId: 1, 'items.quantityBackordered': 1, createdAt: 1 });
+orderSchema.index({ tenantId: 1, customerId: 1, createdAt: -1 });
+// Finds the orders changed since the daily rollups were last synced
+orderSchema.index({ tenantId: 1, updatedAt: 1 });
+// Used by the reservation expiry job, which runs across tenants
+orderSchema.index({ stockStatus: 1, reservationExpiresAt: 1 });
 
 module.exports = mongoose.model('Order', orderSchema);
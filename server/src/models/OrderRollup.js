@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Orders a tenant placed on one day, per fulfilling location and current
+// status. Built from Order by services/rollups.js; never written directly.
+const orderRollupSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+    },
+    date: {
+      // Calendar day in the tenant's timezone, stored as midnight UTC
+      type: Date,
+      required: true,
+    },
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      default: null,
+    },
+    status: {
+      type: String,
+      required: true,
+    },
+    orders: {
+      type: Number,
+      default: 0,
+    },
+    revenue: {
+      // Sum of the orders' totalAmount
+      type: Number,
+      default: 0,
+    },
+    builtAt: {
+      // When this row was last recomputed; older rows of a rebuilt day are dropped
+      type: Date,
+      required: true,
+    },
+  }
+);
+
+orderRollupSchema.index({ tenantId: 1, date: 1, locationId: 1, status: 1 }, { unique: true });
+
+module.exports = mongoose.model('OrderRollup', orderRollupSchema);
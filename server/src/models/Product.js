@@ -39,6 +39,16 @@ const productSchema = new mongoose.Schema(
       type: [String],
       default: [],
     },
+    trackLots: {
+      // Receipts record a lot number and expiry date, and stock leaves first-expiring first
+      type: Boolean,
+      default: false,
+    },
+    trackSerials: {
+      // Every unit carries its own serial number from receipt to sale and return
+      type: Boolean,
+      default: false,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -53,9 +53,21 @@ const purchaseOrderSchema = new mongoose.Schema(
     },
     status: {
       type: String,
-      enum: ['draft', 'sent', 'confirmed', 'partially_received', 'received', 'cancelled'],
+      // pending_approval: sending it hit an approval rule and it waits for approvers
+      enum: ['draft', 'pending_approval', 'sent', 'confirmed', 'partially_received', 'received', 'cancelled'],
       default: 'draft',
     },
+    source: {
+      // reorder: drafted from reorder suggestions and waiting for review
+      type: String,
+      enum: ['manual', 'reorder'],
+      default: 'manual',
+    },
+    locationId: {
+      // Default receiving location for deliveries
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
     items: [poLineItemSchema],
     totalAmount: {
       type: Number,
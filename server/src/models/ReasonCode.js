@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const reasonCodeSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    code: {
+      // Stored on each movement, so it can't be renamed once created, e.g. "DAMAGE"
+      type: String,
+      required: [true, 'Reason code is required'],
+      trim: true,
+      uppercase: true,
+      maxlength: 30,
+    },
+    name: {
+      type: String,
+      required: [true, 'Reason name is required'],
+      trim: true,
+      maxlength: 100,
+    },
+    direction: {
+      // Which way stock may move under this reason
+      type: String,
+      enum: ['decrease', 'increase', 'both'],
+      default: 'both',
+    },
+    account: {
+      // General ledger account the adjustment value is posted to
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    requiresApproval: {
+      // Staff adjustments with this reason wait for a manager's approval
+      type: Boolean,
+      default: false,
+    },
+    system: {
+      // Recorded by the app itself (e.g. cycle count postings), not picked by hand
+      type: Boolean,
+      default: false,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+  },
+  { timestamps: true }
+);
+
+// Code unique per tenant
+reasonCodeSchema.index({ tenantId: 1, code: 1 }, { unique: true });
+
+module.exports = mongoose.model('ReasonCode', reasonCodeSchema);
@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+
+const chainBreakSchema = new mongoose.Schema(
+  {
+    movementId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockMovement',
+      required: true,
+    },
+    type: {
+      type: String,
+    },
+    createdAt: {
+      type: Date,
+    },
+    // link: previousStock doesn't continue from the movement before it
+    // arithmetic: newStock isn't previousStock + quantity
+    kind: {
+      type: String,
+      enum: ['link', 'arithmetic'],
+      required: true,
+    },
+    expected: {
+      type: Number,
+      required: true,
+    },
+    recorded: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+const reconciliationIssueSchema = new mongoose.Schema(
+  {
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Variant',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+    },
+    sku: {
+      type: String,
+    },
+    stock: {
+      // Variant.stock when the run checked it
+      type: Number,
+      required: true,
+    },
+    ledgerStock: {
+      // Sum of the variant's movement quantities
+      type: Number,
+      required: true,
+    },
+    difference: {
+      // stock - ledgerStock
+      type: Number,
+      required: true,
+    },
+    movementCount: {
+      type: Number,
+      default: 0,
+    },
+    breakCount: {
+      type: Number,
+      default: 0,
+    },
+    breaks: [chainBreakSchema], // first few breaks only
+    correctionId: {
+      // Adjustment posted to fix this issue
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'StockMovement',
+    },
+  },
+  { _id: false }
+);
+
+// One pass of the ledger integrity check over a tenant's variants
+const reconciliationRunSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    startedAt: {
+      type: Date,
+      required: true,
+    },
+    finishedAt: {
+      type: Date,
+    },
+    trigger: {
+      type: String,
+      enum: ['scheduled', 'manual'],
+      default: 'manual',
+    },
+    variantsChecked: {
+      type: Number,
+      default: 0,
+    },
+    movementsChecked: {
+      type: Number,
+      default: 0,
+    },
+    mismatched: {
+      type: Number,
+      default: 0,
+    },
+    brokenChains: {
+      type: Number,
+      default: 0,
+    },
+    issues: [reconciliationIssueSchema],
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+reconciliationRunSchema.index({ tenantId: 1, startedAt: -1 });
+
+module.exports = mongoose.model('ReconciliationRun', reconciliationRunSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const reportScheduleSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Schedule name is required'],
+      trim: true,
+      maxlength: 100,
+    },
+    report: {
+      type: String,
+      enum: ['sales', 'low_stock', 'valuation'],
+      required: true,
+    },
+    format: {
+      type: String,
+      enum: ['csv', 'pdf'],
+      default: 'csv',
+    },
+    frequency: {
+      // Also the period a sales report covers: the last full day, week or month
+      type: String,
+      enum: ['daily', 'weekly', 'monthly'],
+      required: true,
+    },
+    hour: {
+      // Hour of the day it is sent, in the tenant's timezone
+      type: Number,
+      min: 0,
+      max: 23,
+      default: 7,
+    },
+    dayOfWeek: {
+      // Weekly schedules: 0 = Sunday
+      type: Number,
+      min: 0,
+      max: 6,
+      default: 1,
+    },
+    dayOfMonth: {
+      // Monthly schedules; capped at 28 so every month has one
+      type: Number,
+      min: 1,
+      max: 28,
+      default: 1,
+    },
+    recipients: {
+      type: [{ type: String, trim: true, lowercase: true }],
+      validate: [(list) => list.length > 0, 'At least one recipient is required'],
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    nextRunAt: {
+      type: Date,
+      required: true,
+    },
+    lastRunAt: Date,
+    lastStatus: {
+      type: String,
+      enum: ['sent', 'failed'],
+    },
+    lastError: String,
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+// The scheduler picks up whatever is due across all tenants
+reportScheduleSchema.index({ isActive: 1, nextRunAt: 1 });
+
+module.exports = mongoose.model('ReportSchedule', reportScheduleSchema);
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const returnLineItemSchema = new mongoose.Schema({
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Variant',
+    required: true,
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  productName: String,
+  variantSku: String,
+  quantity: {
+    // Units the customer sent back
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  reason: {
+    type: String,
+    enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'unwanted', 'other'],
+    required: true,
+  },
+  disposition: {
+    // What was decided when the goods came back
+    type: String,
+    enum: ['restock', 'quarantine', 'scrap'],
+    required: true,
+  },
+  unitCost: {
+    // What each returned unit cost when it was sold; used to value it coming back
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  quantityRestocked: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  quantityScrapped: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  quantityQuarantined: {
+    // Held back from stock until someone restocks or scraps it
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  serialNumbers: {
+    // Units that came back on this line (serial-tracked products only)
+    type: [String],
+    default: undefined,
+  },
+});
+
+// Return merchandise authorization: goods coming back against a delivered order
+const returnAuthorizationSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    rmaNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    locationId: {
+      // Location the goods were returned to
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true,
+    },
+    status: {
+      // Open while any units are still in quarantine
+      type: String,
+      enum: ['open', 'closed'],
+      default: 'closed',
+    },
+    items: [returnLineItemSchema],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    closedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+returnAuthorizationSchema.index({ tenantId: 1, rmaNumber: 1 }, { unique: true });
+returnAuthorizationSchema.index({ tenantId: 1, orderId: 1 });
+returnAuthorizationSchema.index({ tenantId: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ReturnAuthorization', returnAuthorizationSchema);
@@ -14,6 +14,12 @@ const rolePermissionSchema = new mongoose.Schema(
       required: true,
     },
     permissions: [{ type: String }],
+    backfilled: {
+      // Keys added to the app since this row was stored that have been granted
+      // once already (see backfillPermissions), so removing one again sticks
+      type: [String],
+      default: [],
+    },
   },
   { timestamps: true }
 );
@@ -0,0 +1,69 @@
+const mongoose = require('mongoose');
+
+// Order lines of one variant on one day, per fulfilling location and order
+// status. Built from Order by services/rollups.js; never written directly.
+const salesRollupSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+    },
+    date: {
+      // Calendar day in the tenant's timezone, stored as midnight UTC
+      type: Date,
+      required: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Variant',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    productName: String,
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      default: null,
+    },
+    status: {
+      type: String,
+      required: true,
+    },
+    lines: {
+      // Order lines for the variant, i.e. orders that included it
+      type: Number,
+      default: 0,
+    },
+    unitsSold: {
+      type: Number,
+      default: 0,
+    },
+    unitsReturned: {
+      type: Number,
+      default: 0,
+    },
+    revenue: {
+      type: Number,
+      default: 0,
+    },
+    cost: {
+      // Cost of goods of the shipped units that were kept (see Order items.costOfGoods)
+      type: Number,
+      default: 0,
+    },
+    builtAt: {
+      type: Date,
+      required: true,
+    },
+  }
+);
+
+salesRollupSchema.index({ tenantId: 1, date: 1, locationId: 1, status: 1, variantId: 1 }, { unique: true });
+salesRollupSchema.index({ tenantId: 1, variantId: 1, date: 1 });
+
+module.exports = mongoose.model('SalesRollup', salesRollupSchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+
+// What to run; checked against the catalog in services/reportBuilder.js before saving
+const definitionSchema = new mongoose.Schema(
+  {
+    dataset: { type: String, required: true },
+    dimensions: [String],
+    measures: [String],
+    filters: [
+      {
+        _id: false,
+        field: String,
+        op: String,
+        value: mongoose.Schema.Types.Mixed,
+      },
+    ],
+    days: Number, // last N days, when no from/to is set
+    from: String, // YYYY-MM-DD in the tenant's timezone
+    to: String,
+    sort: {
+      by: String,
+      dir: { type: String, enum: ['asc', 'desc'] },
+    },
+    limit: Number,
+  },
+  { _id: false }
+);
+
+const savedReportSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, 'Report name is required'],
+      trim: true,
+      maxlength: 100,
+    },
+    description: {
+      type: String,
+      trim: true,
+      maxlength: 500,
+    },
+    definition: {
+      type: definitionSchema,
+      required: true,
+    },
+    sharedWith: {
+      // Roles besides the creator that can see and run it; owners see every report
+      type: [{ type: String, enum: ['manager', 'staff'] }],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true,
+    },
+  },
+  { timestamps: true }
+);
+
+savedReportSchema.index({ tenantId: 1, name: 1 });
+
+module.exports = mongoose.model('SavedReport', savedReportSchema);
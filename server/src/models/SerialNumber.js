@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+
+const serialEventSchema = new mongoose.Schema(
+  {
+    event: {
+      type: String,
+      enum: ['received', 'shipped', 'returned', 'restocked', 'scrapped', 'transferred', 'adjusted'],
+      required: true,
+    },
+    status: {
+      // Status the unit was left in
+      type: String,
+      required: true,
+    },
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
+    reference: {
+      // e.g. "PO PO-...", "Order ORD-...", "RMA RMA-..."
+      type: String,
+      trim: true,
+    },
+    referenceId: {
+      type: mongoose.Schema.Types.ObjectId,
+    },
+    userId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    at: {
+      type: Date,
+      default: Date.now,
+    },
+  },
+  { _id: false }
+);
+
+// One physical unit of a serial-tracked variant. In-stock serials at a
+// location never outnumber its StockLevel; any difference is stock from
+// before tracking started.
+const serialNumberSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Variant',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    serialNumber: {
+      type: String,
+      required: [true, 'Serial number is required'],
+      trim: true,
+      maxlength: 100,
+    },
+    status: {
+      type: String,
+      enum: ['in_stock', 'in_transit', 'sold', 'quarantined', 'scrapped', 'written_off'],
+      default: 'in_stock',
+    },
+    locationId: {
+      // Where the unit is now, or was last held
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
+    purchaseOrderId: {
+      // PO the unit was received on
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'PurchaseOrder',
+    },
+    orderId: {
+      // Last order the unit went out on
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+    },
+    rmaId: {
+      // Last return it came back on
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'ReturnAuthorization',
+    },
+    receivedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    history: [serialEventSchema],
+  },
+  { timestamps: true }
+);
+
+// A serial number identifies one unit of a variant
+serialNumberSchema.index({ tenantId: 1, variantId: 1, serialNumber: 1 }, { unique: true });
+serialNumberSchema.index({ tenantId: 1, serialNumber: 1 });
+serialNumberSchema.index({ tenantId: 1, variantId: 1, locationId: 1, status: 1, receivedAt: 1 });
+
+module.exports = mongoose.model('SerialNumber', serialNumberSchema);
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+const shipmentLineItemSchema = new mongoose.Schema({
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Variant',
+    required: true,
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  productName: String,
+  variantSku: String,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  serialNumbers: {
+    type: [String],
+    default: undefined,
+  },
+});
+
+// One package (or consignment) sent against a sales order. An order can be
+// split across several shipments; its status follows what they cover.
+const shipmentSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    shipmentNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    orderId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Order',
+      required: true,
+    },
+    locationId: {
+      // Location the goods left from
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
+    items: [shipmentLineItemSchema],
+    carrier: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    trackingNumber: {
+      type: String,
+      trim: true,
+      maxlength: 100,
+    },
+    weight: {
+      type: Number,
+      min: 0,
+    },
+    weightUnit: {
+      type: String,
+      enum: ['kg', 'lb'],
+      default: 'kg',
+    },
+    shippedAt: {
+      type: Date,
+      default: Date.now,
+    },
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+shipmentSchema.index({ tenantId: 1, shipmentNumber: 1 }, { unique: true });
+shipmentSchema.index({ tenantId: 1, orderId: 1 });
+shipmentSchema.index({ tenantId: 1, shippedAt: -1 });
+
+module.exports = mongoose.model('Shipment', shipmentSchema);
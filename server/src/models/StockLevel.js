@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+
+// Per-location balance for a variant. Variant.stock holds the sum across
+// all locations and is kept in step by services/inventory.js.
+const stockLevelSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Variant',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    locationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      default: 0,
+      min: 0,
+    },
+    reserved: {
+      // Part of quantity held for open orders at this location
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+  },
+  { timestamps: true }
+);
+
+// One balance per variant per location
+stockLevelSchema.index({ tenantId: 1, variantId: 1, locationId: 1 }, { unique: true });
+stockLevelSchema.index({ tenantId: 1, locationId: 1 });
+
+module.exports = mongoose.model('StockLevel', stockLevelSchema);
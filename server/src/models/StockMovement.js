@@ -20,13 +20,22 @@ const stockMovementSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['purchase', 'sale', 'return', 'adjustment'],
+      enum: ['purchase', 'sale', 'return', 'adjustment', 'transfer', 'loss'],
       required: true,
     },
     quantity: {
       type: Number,
       required: true,
-      // Can be negative for sales/adjustments
+      // Can be negative for sales/adjustments/losses
+    },
+    unitCost: {
+      // Cost per unit of the stock that moved (unset on movements recorded before costing)
+      type: Number,
+      min: 0,
+    },
+    totalCost: {
+      // Value added to (positive) or taken out of (negative) inventory
+      type: Number,
     },
     previousStock: {
       type: Number,
@@ -36,6 +45,16 @@ const stockMovementSchema = new mongoose.Schema(
       type: Number,
       required: true,
     },
+    locationId: {
+      // Location whose balance changed (unset on the in-transit leg of a transfer)
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+    },
+    transferId: {
+      // Shared by both legs of each transfer step so they can be paired up
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transfer',
+    },
     reference: {
       // Links to the order/PO that caused this movement
       type: String,
@@ -44,6 +63,30 @@ const stockMovementSchema = new mongoose.Schema(
     referenceId: {
       type: mongoose.Schema.Types.ObjectId,
     },
+    reasonCode: {
+      // Tenant reason code explaining an adjustment or loss, e.g. "DAMAGE"
+      type: String,
+      trim: true,
+      uppercase: true,
+    },
+    lots: {
+      // Lots the units came out of or went into (lot-tracked products only)
+      type: [
+        {
+          _id: false,
+          lotId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lot' },
+          lotNumber: { type: String },
+          expiryDate: { type: Date },
+          quantity: { type: Number },
+        },
+      ],
+      default: undefined,
+    },
+    serialNumbers: {
+      // Units that moved (serial-tracked products only)
+      type: [String],
+      default: undefined,
+    },
     notes: {
       type: String,
       trim: true,
@@ -60,5 +103,9 @@ const stockMovementSchema = new mongoose.Schema(
 stockMovementSchema.index({ tenantId: 1, variantId: 1, createdAt: -1 });
 stockMovementSchema.index({ tenantId: 1, type: 1, createdAt: -1 });
 stockMovementSchema.index({ tenantId: 1, createdAt: -1 });
+stockMovementSchema.index({ tenantId: 1, locationId: 1, createdAt: -1 });
+stockMovementSchema.index({ tenantId: 1, reasonCode: 1, createdAt: -1 });
+stockMovementSchema.index({ tenantId: 1, 'lots.lotId': 1 });
+stockMovementSchema.index({ tenantId: 1, serialNumbers: 1 });
 
 module.exports = mongoose.model('StockMovement', stockMovementSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const snapshotLevelSchema = new mongoose.Schema(
+  {
+    variantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Variant',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Product',
+      required: true,
+    },
+    stock: {
+      type: Number,
+      required: true,
+    },
+  },
+  { _id: false }
+);
+
+// Every variant's stock at one moment, so point-in-time queries only need to
+// replay the movements recorded since the nearest snapshot
+const stockSnapshotSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    takenAt: {
+      type: Date,
+      required: true,
+    },
+    levels: [snapshotLevelSchema],
+  },
+  { timestamps: true }
+);
+
+stockSnapshotSchema.index({ tenantId: 1, takenAt: -1 });
+
+module.exports = mongoose.model('StockSnapshot', stockSnapshotSchema);
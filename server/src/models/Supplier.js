@@ -48,6 +48,11 @@ const supplierSchema = new mongoose.Schema(
           type: Number,
           default: 7,
         },
+        preferred: {
+          // Reorder suggestions go to the preferred supplier of a variant
+          type: Boolean,
+          default: false,
+        },
       },
     ],
     isActive: {
@@ -23,6 +23,51 @@ const tenantSchema = new mongoose.Schema(
       currency: { type: String, default: 'USD' },
       lowStockThreshold: { type: Number, default: 10 },
       timezone: { type: String, default: 'UTC' },
+      // Hours a pending order may hold its reservation before it is cancelled (0 = never)
+      reservationExpiryHours: { type: Number, default: 48, min: 0 },
+      // Accept orders beyond available stock and backorder the shortfall
+      allowBackorders: { type: Boolean, default: false },
+      // How sales are costed: oldest layer first, or the moving average of what is in stock
+      costingMethod: { type: String, enum: ['fifo', 'average'], default: 'fifo' },
+      // Lots expiring within this many days raise a stock:expiring alert
+      expiryAlertDays: { type: Number, default: 30, min: 0 },
+      // Owners' own adjustments and PO sends skip the approval rules
+      ownersBypassApprovals: { type: Boolean, default: true },
+      // Turn reorder suggestions into draft POs every night; tenants opt in
+      autoReorder: { type: Boolean, default: false },
+      // ABC/XYZ classification: what value ranks variants and how many days of history it covers
+      classificationBasis: { type: String, enum: ['revenue', 'consumption'], default: 'revenue' },
+      classificationWindowDays: { type: Number, default: 90, min: 7 },
+      // Cumulative % of value that closes classes A and B
+      abcCutoffs: {
+        a: { type: Number, default: 80 },
+        b: { type: Number, default: 95 },
+      },
+      // Highest coefficient of variation of weekly demand for classes X and Y
+      xyzCutoffs: {
+        x: { type: Number, default: 0.5 },
+        y: { type: Number, default: 1 },
+      },
+    },
+    // When draft POs were last generated from reorder suggestions
+    reorderRunAt: {
+      type: Date,
+    },
+    // When demand forecasts were last refreshed
+    forecastRunAt: {
+      type: Date,
+    },
+    // When variants were last given ABC/XYZ classes
+    classifiedAt: {
+      type: Date,
+    },
+    // When the daily rollups last took in order and stock changes, and the
+    // timezone their days are in; a different timezone means a full rebuild
+    rollupsSyncedAt: {
+      type: Date,
+    },
+    rollupsTimeZone: {
+      type: String,
     },
   },
   { timestamps: true }
@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+
+const transferLineItemSchema = new mongoose.Schema({
+  variantId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Variant',
+    required: true,
+  },
+  productId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Product',
+    required: true,
+  },
+  quantity: {
+    // Units shipped from the source location
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  quantityReceived: {
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  quantityWrittenOff: {
+    // Shortfall closed out when the transfer was completed short
+    type: Number,
+    default: 0,
+    min: 0,
+  },
+  discrepancyNote: {
+    type: String,
+    trim: true,
+    maxlength: 500,
+  },
+  lots: {
+    // Lots the shipped units came from, first expiring first; receipts take them in this order
+    type: [
+      {
+        _id: false,
+        lotNumber: { type: String },
+        expiryDate: { type: Date },
+        quantity: { type: Number },
+      },
+    ],
+    default: undefined,
+  },
+  serialNumbers: {
+    // Units shipped, oldest first; receipts take them in this order
+    type: [String],
+    default: undefined,
+  },
+});
+
+const transferSchema = new mongoose.Schema(
+  {
+    tenantId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Tenant',
+      required: true,
+      index: true,
+    },
+    transferNumber: {
+      type: String,
+      required: true,
+      trim: true,
+    },
+    fromLocationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true,
+    },
+    toLocationId: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Location',
+      required: true,
+    },
+    status: {
+      type: String,
+      enum: ['draft', 'in_transit', 'partially_received', 'received', 'cancelled'],
+      default: 'draft',
+    },
+    items: [transferLineItemSchema],
+    notes: {
+      type: String,
+      trim: true,
+      maxlength: 1000,
+    },
+    shippedAt: {
+      type: Date,
+    },
+    receivedAt: {
+      type: Date,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+    shippedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+    },
+  },
+  { timestamps: true }
+);
+
+transferSchema.index({ tenantId: 1, transferNumber: 1 }, { unique: true });
+transferSchema.index({ tenantId: 1, status: 1 });
+transferSchema.index({ tenantId: 1, fromLocationId: 1 });
+transferSchema.index({ tenantId: 1, toLocationId: 1 });
+
+module.exports = mongoose.model('Transfer', transferSchema);
@@ -1,5 +1,50 @@
 const mongoose = require('mongoose');
 
+const forecastScoreSchema = new mongoose.Schema(
+  {
+    method: { type: String, enum: ['moving_average', 'seasonal_smoothing'] },
+    mae: Number, // mean absolute error, units per day
+    rmse: Number,
+    wape: Number, // absolute error / units sold; unset when nothing sold
+    bias: Number, // (forecast - sold) / units sold; positive means over-forecast
+  },
+  { _id: false }
+);
+
+const forecastSchema = new mongoose.Schema(
+  {
+    method: { type: String, enum: ['moving_average', 'seasonal_smoothing'] },
+    dailyDemand: Number, // average units per day
+    seasonality: [Number], // weekday factors on dailyDemand, Sunday first
+    leadTimeDays: Number,
+    safetyStock: Number,
+    reorderPoint: Number, // demand over the lead time plus safety stock
+    historyDays: Number,
+    accuracy: {
+      // Each method fitted without the last holdoutDays and scored on them
+      holdoutDays: Number,
+      unitsSold: Number,
+      scores: [forecastScoreSchema],
+    },
+    computedAt: Date,
+  },
+  { _id: false }
+);
+
+const classificationSchema = new mongoose.Schema(
+  {
+    abc: { type: String, enum: ['A', 'B', 'C'] }, // by share of value
+    xyz: { type: String, enum: ['X', 'Y', 'Z'] }, // by variability of weekly demand
+    value: Number, // revenue or consumption value over the window
+    share: Number, // % of the tenant's total value
+    cov: Number, // coefficient of variation of weekly demand; unset when nothing sold
+    basis: { type: String, enum: ['revenue', 'consumption'] },
+    windowDays: Number,
+    computedAt: Date,
+  },
+  { _id: false }
+);
+
 const variantSchema = new mongoose.Schema(
   {
     tenantId: {
@@ -35,17 +80,55 @@ const variantSchema = new mongoose.Schema(
       default: 0,
       min: 0,
     },
+    costValue: {
+      // Cost of the units in stock per the open cost layers; unset until the first costed movement
+      type: Number,
+      min: 0,
+    },
     stock: {
+      // Total across all locations plus in transit (see StockLevel for the breakdown)
       type: Number,
       required: true,
       default: 0,
       min: 0,
     },
+    inTransit: {
+      // Units shipped between locations and not yet received; part of stock but not available
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    reserved: {
+      // Units held for open orders; still on hand but not available
+      type: Number,
+      default: 0,
+      min: 0,
+    },
     lowStockThreshold: {
       type: Number,
       default: 10,
       min: 0,
     },
+    reorderPoint: {
+      // Reorder when projected stock falls to this level; unset uses the forecast, then lowStockThreshold
+      type: Number,
+      min: 0,
+    },
+    reorderQuantity: {
+      // Units to order each time; unset orders back up to twice the reorder point
+      type: Number,
+      min: 1,
+    },
+    forecast: {
+      // Demand forecast from order history, refreshed nightly; unset until there is enough history
+      type: forecastSchema,
+      default: undefined,
+    },
+    classification: {
+      // ABC/XYZ classes from the last classification run; unset until the first
+      type: classificationSchema,
+      default: undefined,
+    },
     isActive: {
       type: Boolean,
       default: true,
@@ -58,5 +141,6 @@ const variantSchema = new mongoose.Schema(
 variantSchema.index({ tenantId: 1, sku: 1 }, { unique: true });
 variantSchema.index({ tenantId: 1, productId: 1 });
 variantSchema.index({ tenantId: 1, stock: 1 });
+variantSchema.index({ tenantId: 1, 'classification.abc': 1, 'classification.xyz': 1 });
 
 module.exports = mongoose.model('Variant', variantSchema);
@@ -7,6 +7,27 @@ const Supplier = require('./Supplier');
 const PurchaseOrder = require('./PurchaseOrder');
 const Order = require('./Order');
 const RolePermission = require('./RolePermission');
+const Location = require('./Location');
+const StockLevel = require('./StockLevel');
+const Transfer = require('./Transfer');
+const Shipment = require('./Shipment');
+const ReturnAuthorization = require('./ReturnAuthorization');
+const Customer = require('./Customer');
+const CostLayer = require('./CostLayer');
+const StockSnapshot = require('./StockSnapshot');
+const ReconciliationRun = require('./ReconciliationRun');
+const CycleCount = require('./CycleCount');
+const ReasonCode = require('./ReasonCode');
+const ApprovalRule = require('./ApprovalRule');
+const ApprovalRequest = require('./ApprovalRequest');
+const Lot = require('./Lot');
+const SerialNumber = require('./SerialNumber');
+const ReportSchedule = require('./ReportSchedule');
+const SavedReport = require('./SavedReport');
+const OrderRollup = require('./OrderRollup');
+const SalesRollup = require('./SalesRollup');
+const MovementRollup = require('./MovementRollup');
+const ImportJob = require('./ImportJob');
 
 module.exports = {
   Tenant,
@@ -18,4 +39,25 @@ module.exports = {
   PurchaseOrder,
   Order,
   RolePermission,
+  Location,
+  StockLevel,
+  Transfer,
+  Shipment,
+  ReturnAuthorization,
+  Customer,
+  CostLayer,
+  StockSnapshot,
+  ReconciliationRun,
+  CycleCount,
+  ReasonCode,
+  ApprovalRule,
+  ApprovalRequest,
+  Lot,
+  SerialNumber,
+  ReportSchedule,
+  SavedReport,
+  OrderRollup,
+  SalesRollup,
+  MovementRollup,
+  ImportJob,
 };
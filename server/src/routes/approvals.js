@@ -0,0 +1,616 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { ApprovalRule, ApprovalRequest, PurchaseOrder } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  assertRulesCanBeMet, canDecide, decide, cancelApproval, emitDecided,
+} = require('../services/approvals');
+const { emitAdjustment } = require('../services/adjustments');
+
+const router = express.Router();
+
+const ruleValidators = [
+  body('target').optional().isIn(['adjustment', 'purchase_order']).withMessage('Please select what the rule applies to'),
+  body('unitsOver').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Units must be a whole number of 0 or more'),
+  body('valueOver').optional({ nullable: true }).isFloat({ min: 0 }).withMessage('Value cannot be negative'),
+  body('approverRole').optional().isIn(['owner', 'manager']).withMessage('Please select who approves'),
+  body('approvalsRequired').optional().isInt({ min: 1, max: 5 }).withMessage('Approvals required must be between 1 and 5'),
+  body('isActive').optional().isBoolean(),
+];
+
+const populateRequest = (query) => query
+  .populate('requestedBy', 'name role')
+  .populate('decisions.userId', 'name role')
+  .populate('adjustment.variantId', 'sku')
+  .populate('purchaseOrderId', 'poNumber status totalAmount');
+
+// A decision or withdrawal moved a held PO on to sent or back to draft
+const emitPurchaseOrder = async (io, tenantId, purchaseOrderId) => {
+  if (!io) return;
+  const purchaseOrder = await PurchaseOrder.findById(purchaseOrderId).lean();
+  io.to(`tenant:${tenantId}`).emit('po:updated', { purchaseOrder });
+};
+
+/**
+ * @swagger
+ * /approvals/rules:
+ *   get:
+ *     summary: List approval rules (owner/manager only)
+ *     tags: [Approvals]
+ *     responses:
+ *       200:
+ *         description: List of approval rules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApprovalRule'
+ */
+router.get(
+  '/rules',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    const rules = await ApprovalRule.find({ tenantId: req.tenantId }).sort({ target: 1, createdAt: 1 }).lean();
+    res.json({ rules });
+  })
+);
+
+/**
+ * @swagger
+ * /approvals/rules:
+ *   post:
+ *     summary: Create an approval rule (owner only)
+ *     description: >
+ *       A rule holds back manual stock adjustments or PO sends above a unit
+ *       count or value. Either threshold is enough to trigger it. The tenant
+ *       needs enough active users in the approver role to meet
+ *       approvalsRequired without the requester; owners only count as
+ *       requesters when settings.ownersBypassApprovals is off.
+ *     tags: [Approvals]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, target]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Large adjustments
+ *               target:
+ *                 type: string
+ *                 enum: [adjustment, purchase_order]
+ *               unitsOver:
+ *                 type: integer
+ *                 example: 50
+ *               valueOver:
+ *                 type: number
+ *                 example: 500
+ *               approverRole:
+ *                 type: string
+ *                 enum: [owner, manager]
+ *               approvalsRequired:
+ *                 type: integer
+ *                 example: 1
+ *     responses:
+ *       201:
+ *         description: Rule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rule:
+ *                   $ref: '#/components/schemas/ApprovalRule'
+ *       400:
+ *         description: Validation error, no threshold given or not enough approvers
+ */
+router.post(
+  '/rules',
+  auth,
+  authorize('owner'),
+  [
+    body('name').trim().notEmpty().withMessage('Rule name is required'),
+    body('target').isIn(['adjustment', 'purchase_order']).withMessage('Please select what the rule applies to'),
+    ...ruleValidators,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { name, target, unitsOver, valueOver, approverRole, approvalsRequired } = req.body;
+    if ((unitsOver === undefined || unitsOver === null) && (valueOver === undefined || valueOver === null)) {
+      throw new AppError('Set a unit or value threshold', 400);
+    }
+
+    const rule = new ApprovalRule({
+      tenantId: req.tenantId,
+      name,
+      target,
+      unitsOver,
+      valueOver,
+      approverRole,
+      approvalsRequired,
+      createdBy: req.user._id,
+    });
+    await assertRulesCanBeMet(req.tenantId, [rule]);
+    await rule.save();
+
+    res.status(201).json({ rule });
+  })
+);
+
+/**
+ * @swagger
+ * /approvals/rules/{id}:
+ *   put:
+ *     summary: Update an approval rule (owner only)
+ *     description: >
+ *       Requests already pending keep the rules they were raised under. An
+ *       active rule must still be one enough users can approve, as on create.
+ *     tags: [Approvals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               unitsOver:
+ *                 type: integer
+ *                 nullable: true
+ *               valueOver:
+ *                 type: number
+ *                 nullable: true
+ *               approverRole:
+ *                 type: string
+ *                 enum: [owner, manager]
+ *               approvalsRequired:
+ *                 type: integer
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Rule updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 rule:
+ *                   $ref: '#/components/schemas/ApprovalRule'
+ *       400:
+ *         description: Validation error, no threshold left or not enough approvers
+ *       404:
+ *         description: Rule not found
+ */
+router.put(
+  '/rules/:id',
+  auth,
+  authorize('owner'),
+  [body('name').optional().trim().notEmpty().withMessage('Rule name is required'), ...ruleValidators],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const rule = await ApprovalRule.findOne({ _id: req.params.id, tenantId: req.tenantId });
+    if (!rule) {
+      throw new AppError('Rule not found', 404);
+    }
+
+    const { name, unitsOver, valueOver, approverRole, approvalsRequired, isActive } = req.body;
+    if (name) rule.name = name;
+    // null clears a threshold
+    if (unitsOver !== undefined) rule.unitsOver = unitsOver ?? undefined;
+    if (valueOver !== undefined) rule.valueOver = valueOver ?? undefined;
+    if (approverRole) rule.approverRole = approverRole;
+    if (approvalsRequired) rule.approvalsRequired = approvalsRequired;
+    if (isActive !== undefined) rule.isActive = isActive;
+
+    if (rule.unitsOver === undefined && rule.valueOver === undefined) {
+      throw new AppError('Set a unit or value threshold', 400);
+    }
+    await assertRulesCanBeMet(req.tenantId, [rule]);
+
+    await rule.save();
+
+    res.json({ rule });
+  })
+);
+
+/**
+ * @swagger
+ * /approvals/rules/{id}:
+ *   delete:
+ *     summary: Delete an approval rule (owner only)
+ *     tags: [Approvals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Rule ID
+ *     responses:
+ *       200:
+ *         description: Rule deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Rule deleted
+ *       404:
+ *         description: Rule not found
+ */
+router.delete(
+  '/rules/:id',
+  auth,
+  authorize('owner'),
+  asyncHandler(async (req, res) => {
+    const rule = await ApprovalRule.findOneAndDelete({ _id: req.params.id, tenantId: req.tenantId });
+    if (!rule) {
+      throw new AppError('Rule not found', 404);
+    }
+
+    res.json({ message: 'Rule deleted' });
+  })
+);
+
+/**
+ * @swagger
+ * /approvals:
+ *   get:
+ *     summary: List approval requests
+ *     description: >
+ *       Owners and managers see every request, with canDecide set on the ones
+ *       waiting for them. Staff see their own requests.
+ *     tags: [Approvals]
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, cancelled]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [adjustment, purchase_order]
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated approval requests
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 approvals:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApprovalRequest'
+ *                 awaitingMe:
+ *                   type: integer
+ *                   description: Pending requests the caller can decide
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ */
+router.get(
+  '/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, status, type } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { tenantId: req.tenantId };
+    if (status) filter.status = status;
+    if (type) filter.type = type;
+    if (req.user.role === 'staff') filter.requestedBy = req.user._id;
+
+    const [approvals, total, awaitingMe] = await Promise.all([
+      populateRequest(ApprovalRequest.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit))).lean(),
+      ApprovalRequest.countDocuments(filter),
+      req.user.role === 'staff'
+        ? 0
+        : ApprovalRequest.countDocuments({
+          tenantId: req.tenantId,
+          status: 'pending',
+          approverRole: { $in: req.user.role === 'owner' ? ['owner', 'manager'] : ['manager'] },
+          requestedBy: { $ne: req.user._id },
+          'decisions.userId': { $ne: req.user._id },
+        }),
+    ]);
+
+    res.json({
+      approvals: approvals.map((a) => ({ ...a, canDecide: canDecide(a, req.user) })),
+      awaitingMe,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /approvals/{id}:
+ *   get:
+ *     summary: Get an approval request with its decisions
+ *     tags: [Approvals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Approval request ID
+ *     responses:
+ *       200:
+ *         description: Approval request
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 approval:
+ *                   $ref: '#/components/schemas/ApprovalRequest'
+ *       404:
+ *         description: Approval request not found
+ */
+router.get(
+  '/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const filter = { _id: req.params.id, tenantId: req.tenantId };
+    if (req.user.role === 'staff') filter.requestedBy = req.user._id;
+
+    const approval = await populateRequest(ApprovalRequest.findOne(filter)).lean();
+    if (!approval) {
+      throw new AppError('Approval request not found', 404);
+    }
+
+    res.json({ approval: { ...approval, canDecide: canDecide(approval, req.user) } });
+  })
+);
+
+// Approve and reject share everything but the decision
+const decisionHandler = (decision) => asyncHandler(async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let result;
+  try {
+    result = await decide({
+      tenantId: req.tenantId,
+      approvalId: req.params.id,
+      user: req.user,
+      decision,
+      comment: req.body.comment,
+      session,
+    });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  const { approval, applied } = result;
+  const io = req.app.get('io');
+  emitDecided(io, req.tenantId, approval);
+  if (applied) {
+    emitAdjustment(io, req.tenantId, applied);
+  }
+  if (approval.purchaseOrderId && approval.status !== 'pending') {
+    await emitPurchaseOrder(io, req.tenantId, approval.purchaseOrderId);
+  }
+
+  const populated = await populateRequest(ApprovalRequest.findById(approval._id)).lean();
+  res.json({ approval: { ...populated, canDecide: canDecide(populated, req.user) } });
+});
+
+/**
+ * @swagger
+ * /approvals/{id}/approve:
+ *   post:
+ *     summary: Approve a pending request
+ *     description: >
+ *       Only users in the request's approver role can decide, never the
+ *       requester, and each approver once. The last approval needed applies
+ *       the adjustment (recorded as the requester's) or sends the PO.
+ *     tags: [Approvals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Approval request ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 approval:
+ *                   $ref: '#/components/schemas/ApprovalRequest'
+ *       400:
+ *         description: Request already resolved, already decided by this user, or the adjustment can no longer be applied
+ *       403:
+ *         description: Not an approver for this request, or the caller's own request
+ *       404:
+ *         description: Approval request not found
+ */
+router.post(
+  '/:id/approve',
+  auth,
+  authorize('owner', 'manager'),
+  [body('comment').optional().trim().isLength({ max: 500 })],
+  decisionHandler('approve')
+);
+
+/**
+ * @swagger
+ * /approvals/{id}/reject:
+ *   post:
+ *     summary: Reject a pending request
+ *     description: One rejection closes the request. A held PO goes back to draft.
+ *     tags: [Approvals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Approval request ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               comment:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Decision recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 approval:
+ *                   $ref: '#/components/schemas/ApprovalRequest'
+ *       400:
+ *         description: Request already resolved or already decided by this user
+ *       403:
+ *         description: Not an approver for this request, or the caller's own request
+ *       404:
+ *         description: Approval request not found
+ */
+router.post(
+  '/:id/reject',
+  auth,
+  authorize('owner', 'manager'),
+  [body('comment').optional().trim().isLength({ max: 500 })],
+  decisionHandler('reject')
+);
+
+/**
+ * @swagger
+ * /approvals/{id}/cancel:
+ *   post:
+ *     summary: Withdraw a pending request (requester or owner)
+ *     tags: [Approvals]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Approval request ID
+ *     responses:
+ *       200:
+ *         description: Request withdrawn
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 approval:
+ *                   $ref: '#/components/schemas/ApprovalRequest'
+ *       400:
+ *         description: Request already resolved
+ *       403:
+ *         description: Not the requester or an owner
+ *       404:
+ *         description: Approval request not found
+ */
+router.post(
+  '/:id/cancel',
+  auth,
+  asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let approval;
+    try {
+      approval = await cancelApproval({
+        tenantId: req.tenantId,
+        approvalId: req.params.id,
+        user: req.user,
+        session,
+      });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    const io = req.app.get('io');
+    emitDecided(io, req.tenantId, approval);
+    if (approval.purchaseOrderId) {
+      await emitPurchaseOrder(io, req.tenantId, approval.purchaseOrderId);
+    }
+
+    res.json({ approval });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,718 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, query, validationResult } = require('express-validator');
+const { CycleCount, StockMovement } = require('../models');
+const { auth, checkPermission } = require('../middleware/auth');
+const { asyncHandler, generateOrderNumber } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { resolveLocation } = require('../services/inventory');
+const { MAX_COUNT_LINES, selectCountLines, postCount, forViewer } = require('../services/counts');
+
+const router = express.Router();
+
+const populateCount = (query) =>
+  query
+    .populate('locationId', 'name code')
+    .populate('createdBy', 'name')
+    .populate('submittedBy', 'name')
+    .populate('postedBy', 'name')
+    .populate('items.productId', 'name')
+    .populate('items.countedBy', 'name');
+
+const emitCountUpdated = (req, payload) => {
+  const io = req.app.get('io');
+  if (io) {
+    io.to(`tenant:${req.tenantId}`).emit('count:updated', payload);
+  }
+};
+
+/**
+ * @swagger
+ * /counts:
+ *   get:
+ *     summary: List cycle count sessions with pagination
+ *     tags: [Cycle Counts]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [counting, review, posted, cancelled]
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Paginated list of counts, without their lines
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 counts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/CycleCount'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Invalid status or location
+ */
+router.get(
+  '/',
+  auth,
+  [
+    query('status').optional().isIn(['counting', 'review', 'posted', 'cancelled']).withMessage('Invalid status'),
+    query('locationId').optional().isMongoId().withMessage('Please select a valid location'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { page = 1, limit = 20, status, locationId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { tenantId: new mongoose.Types.ObjectId(req.tenantId) };
+    if (status) filter.status = status;
+    if (locationId) filter.locationId = new mongoose.Types.ObjectId(locationId);
+
+    // Lines are left out of the list; only how many there are and how many are counted
+    const [rows, total] = await Promise.all([
+      CycleCount.aggregate([
+        { $match: filter },
+        { $sort: { createdAt: -1 } },
+        { $skip: skip },
+        { $limit: parseInt(limit) },
+        {
+          $addFields: {
+            lineCount: { $size: '$items' },
+            countedLines: {
+              $size: {
+                $filter: { input: '$items', cond: { $ne: [{ $type: '$$this.countedQuantity' }, 'missing'] } },
+              },
+            },
+          },
+        },
+        { $project: { items: 0 } },
+      ]),
+      CycleCount.countDocuments(filter),
+    ]);
+    const counts = await CycleCount.populate(rows, [
+      { path: 'locationId', select: 'name code' },
+      { path: 'createdBy', select: 'name' },
+    ]);
+
+    res.json({
+      counts,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /counts/accuracy:
+ *   get:
+ *     summary: Count accuracy over time, from posted counts (requires counts:post)
+ *     description: >
+ *       Accuracy is the share of counted lines that matched the expected
+ *       quantity exactly, grouped by the month the count was posted.
+ *     tags: [Cycle Counts]
+ *     parameters:
+ *       - in: query
+ *         name: months
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Accuracy per month, oldest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CountAccuracy'
+ *       400:
+ *         description: Invalid months or location
+ */
+router.get(
+  '/accuracy',
+  auth,
+  checkPermission('counts:post'),
+  [
+    query('months').optional().isInt({ min: 1, max: 60 }).withMessage('Months must be between 1 and 60'),
+    query('locationId').optional().isMongoId().withMessage('Please select a valid location'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { months = 12, locationId } = req.query;
+    const since = new Date();
+    since.setUTCMonth(since.getUTCMonth() - parseInt(months), 1);
+    since.setUTCHours(0, 0, 0, 0);
+
+    const match = {
+      tenantId: new mongoose.Types.ObjectId(req.tenantId),
+      status: 'posted',
+      postedAt: { $gte: since },
+    };
+    if (locationId) match.locationId = new mongoose.Types.ObjectId(locationId);
+
+    const rows = await CycleCount.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { $dateToString: { format: '%Y-%m', date: '$postedAt' } },
+          counts: { $sum: 1 },
+          lines: { $sum: '$summary.lines' },
+          linesWithVariance: { $sum: '$summary.linesWithVariance' },
+          unitsOff: { $sum: '$summary.unitsOff' },
+          valueVariance: { $sum: '$summary.valueVariance' },
+        },
+      },
+      { $sort: { _id: 1 } },
+    ]);
+
+    const accuracy = (r) => (r.lines > 0 ? Math.round(((r.lines - r.linesWithVariance) / r.lines) * 10000) / 10000 : 0);
+    const periods = rows.map((r) => ({
+      month: r._id,
+      counts: r.counts,
+      lines: r.lines,
+      linesWithVariance: r.linesWithVariance,
+      accuracy: accuracy(r),
+      unitsOff: r.unitsOff,
+      valueVariance: Math.round(r.valueVariance * 100) / 100,
+    }));
+    const totals = periods.reduce(
+      (acc, p) => ({
+        counts: acc.counts + p.counts,
+        lines: acc.lines + p.lines,
+        linesWithVariance: acc.linesWithVariance + p.linesWithVariance,
+        unitsOff: acc.unitsOff + p.unitsOff,
+        valueVariance: Math.round((acc.valueVariance + p.valueVariance) * 100) / 100,
+      }),
+      { counts: 0, lines: 0, linesWithVariance: 0, unitsOff: 0, valueVariance: 0 }
+    );
+    totals.accuracy = accuracy(totals);
+
+    res.json({ since, totals, periods });
+  })
+);
+
+/**
+ * @swagger
+ * /counts/{id}:
+ *   get:
+ *     summary: Get a cycle count with its lines and posted movements
+ *     description: Staff don't see expected quantities while the count is still being counted.
+ *     tags: [Cycle Counts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Count details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   $ref: '#/components/schemas/CycleCount'
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *       404:
+ *         description: Count not found
+ */
+router.get(
+  '/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const count = await populateCount(
+      CycleCount.findOne({ _id: req.params.id, tenantId: req.tenantId })
+    ).lean();
+
+    if (!count) {
+      throw new AppError('Count not found', 404);
+    }
+
+    const movements = count.status === 'posted'
+      ? await StockMovement.find({ tenantId: req.tenantId, referenceId: count._id })
+        .sort({ createdAt: 1 })
+        .populate('variantId', 'sku')
+        .lean()
+      : [];
+
+    res.json({ count: forViewer(count, req.user), movements });
+  })
+);
+
+/**
+ * @swagger
+ * /counts:
+ *   post:
+ *     summary: Open a count session at a location (requires counts:create)
+ *     description: >
+ *       Freezes the location's balance of every chosen variant as its expected
+ *       quantity. At most 5000 lines per count.
+ *     tags: [Cycle Counts]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [scope]
+ *             properties:
+ *               locationId:
+ *                 type: string
+ *                 description: Defaults to the tenant's default location
+ *               scope:
+ *                 type: string
+ *                 enum: [location, category, sample, variants]
+ *               category:
+ *                 type: string
+ *                 description: Required when scope is category
+ *               sampleSize:
+ *                 type: integer
+ *                 minimum: 1
+ *                 description: Required when scope is sample
+ *               variantIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: Required when scope is variants
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Count opened
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   $ref: '#/components/schemas/CycleCount'
+ *       400:
+ *         description: Validation error or nothing to count
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission('counts:create'),
+  [
+    body('locationId').optional().isMongoId().withMessage('Please select a valid location'),
+    body('scope').isIn(['location', 'category', 'sample', 'variants']).withMessage('Please choose what to count'),
+    body('category').if(body('scope').equals('category')).trim().notEmpty().withMessage('Please select a category'),
+    body('sampleSize')
+      .if(body('scope').equals('sample'))
+      .isInt({ min: 1, max: MAX_COUNT_LINES })
+      .withMessage(`Sample size must be between 1 and ${MAX_COUNT_LINES}`),
+    body('variantIds').if(body('scope').equals('variants')).isArray({ min: 1 }).withMessage('Please select at least one variant'),
+    body('variantIds.*').optional().isMongoId().withMessage('Invalid variant'),
+    body('notes').optional().trim(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { locationId, scope, category, sampleSize, variantIds, notes } = req.body;
+    const location = await resolveLocation(req.tenantId, locationId);
+
+    const items = await selectCountLines({
+      tenantId: req.tenantId,
+      locationId: location._id,
+      scope,
+      category,
+      sampleSize: parseInt(sampleSize),
+      variantIds,
+    });
+
+    const count = await CycleCount.create({
+      tenantId: req.tenantId,
+      countNumber: generateOrderNumber('CNT'),
+      locationId: location._id,
+      scope,
+      ...(scope === 'category' && { category }),
+      ...(scope === 'sample' && { sampleSize: parseInt(sampleSize) }),
+      items,
+      notes,
+      createdBy: req.user._id,
+    });
+
+    emitCountUpdated(req, { countId: count._id, status: count.status });
+
+    const populated = await populateCount(CycleCount.findById(count._id)).lean();
+    res.status(201).json({ count: populated });
+  })
+);
+
+/**
+ * @swagger
+ * /counts/{id}/lines:
+ *   put:
+ *     summary: Enter counted quantities (requires counts:enter)
+ *     description: >
+ *       Any signed-in user can count. Lines not in the request are left as
+ *       they are; sending a line again replaces its counted quantity.
+ *     tags: [Cycle Counts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [lines]
+ *             properties:
+ *               lines:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required: [variantId, countedQuantity]
+ *                   properties:
+ *                     variantId:
+ *                       type: string
+ *                     countedQuantity:
+ *                       type: integer
+ *                       minimum: 0
+ *     responses:
+ *       200:
+ *         description: Counts saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 updated:
+ *                   type: integer
+ *       400:
+ *         description: Validation error or count no longer being counted
+ *       404:
+ *         description: Count not found
+ */
+router.put(
+  '/:id/lines',
+  auth,
+  checkPermission('counts:enter'),
+  [
+    body('lines').isArray({ min: 1 }).withMessage('Please enter at least one count'),
+    body('lines.*.variantId').isMongoId().withMessage('Invalid variant'),
+    body('lines.*.countedQuantity').isInt({ min: 0 }).withMessage('Counted quantity cannot be negative'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const count = await CycleCount.findOne({ _id: req.params.id, tenantId: req.tenantId })
+      .select('status items.variantId')
+      .lean();
+    if (!count) {
+      throw new AppError('Count not found', 404);
+    }
+    if (count.status !== 'counting') {
+      throw new AppError('This count is no longer accepting quantities', 400);
+    }
+
+    const onCount = new Set(count.items.map((i) => i.variantId.toString()));
+    const unknown = req.body.lines.filter((l) => !onCount.has(l.variantId));
+    if (unknown.length > 0) {
+      throw new AppError(`${unknown.length} variant(s) are not on this count`, 400);
+    }
+
+    // Each line is set on its own, so several people can count the same session
+    const countedAt = new Date();
+    const result = await CycleCount.bulkWrite(
+      req.body.lines.map((l) => ({
+        updateOne: {
+          filter: { _id: count._id, tenantId: req.tenantId, status: 'counting', 'items.variantId': l.variantId },
+          update: {
+            $set: {
+              'items.$.countedQuantity': parseInt(l.countedQuantity),
+              'items.$.countedBy': req.user._id,
+              'items.$.countedAt': countedAt,
+            },
+          },
+        },
+      }))
+    );
+
+    emitCountUpdated(req, {
+      countId: count._id,
+      status: 'counting',
+      lines: req.body.lines.map((l) => ({ variantId: l.variantId, countedQuantity: parseInt(l.countedQuantity) })),
+    });
+
+    res.json({ updated: result.modifiedCount });
+  })
+);
+
+/**
+ * @swagger
+ * /counts/{id}/submit:
+ *   post:
+ *     summary: Hand a fully counted session over for review (requires counts:enter)
+ *     tags: [Cycle Counts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Count is in review
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   $ref: '#/components/schemas/CycleCount'
+ *       400:
+ *         description: Some lines haven't been counted
+ *       404:
+ *         description: Count not found or not being counted
+ */
+router.post(
+  '/:id/submit',
+  auth,
+  checkPermission('counts:enter'),
+  asyncHandler(async (req, res) => {
+    const count = await CycleCount.findOne({ _id: req.params.id, tenantId: req.tenantId, status: 'counting' })
+      .select('items.countedQuantity')
+      .lean();
+    if (!count) {
+      throw new AppError('Count not found or not being counted', 404);
+    }
+
+    const uncounted = count.items.filter((i) => i.countedQuantity === undefined || i.countedQuantity === null).length;
+    if (uncounted > 0) {
+      throw new AppError(`${uncounted} line(s) still need a count; enter 0 for anything not found`, 400);
+    }
+
+    const updated = await CycleCount.findOneAndUpdate(
+      { _id: count._id, tenantId: req.tenantId, status: 'counting' },
+      { status: 'review', submittedAt: new Date(), submittedBy: req.user._id },
+      { new: true }
+    );
+    if (!updated) {
+      throw new AppError('Count not found or not being counted', 404);
+    }
+
+    emitCountUpdated(req, { countId: count._id, status: 'review' });
+
+    const populated = await populateCount(CycleCount.findById(count._id)).lean();
+    res.json({ count: forViewer(populated, req.user) });
+  })
+);
+
+/**
+ * @swagger
+ * /counts/{id}/reopen:
+ *   post:
+ *     summary: Send a count in review back for recounting (requires counts:post)
+ *     tags: [Cycle Counts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Count is being counted again
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   $ref: '#/components/schemas/CycleCount'
+ *       404:
+ *         description: Count not found or not in review
+ */
+router.post(
+  '/:id/reopen',
+  auth,
+  checkPermission('counts:post'),
+  asyncHandler(async (req, res) => {
+    const count = await CycleCount.findOneAndUpdate(
+      { _id: req.params.id, tenantId: req.tenantId, status: 'review' },
+      { status: 'counting', $unset: { submittedAt: 1, submittedBy: 1 } },
+      { new: true }
+    );
+    if (!count) {
+      throw new AppError('Count not found or not in review', 404);
+    }
+
+    emitCountUpdated(req, { countId: count._id, status: 'counting' });
+
+    const populated = await populateCount(CycleCount.findById(count._id)).lean();
+    res.json({ count: populated });
+  })
+);
+
+/**
+ * @swagger
+ * /counts/{id}/post:
+ *   post:
+ *     summary: Post a reviewed count's variances as stock adjustments (requires counts:post)
+ *     description: >
+ *       Each line whose counted quantity differs from the frozen expected
+ *       quantity gets an adjustment movement for the difference, referencing
+ *       the count. Sales and receipts since the count was opened are kept.
+ *     tags: [Cycle Counts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Count posted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   $ref: '#/components/schemas/CycleCount'
+ *       400:
+ *         description: A shortage can't be taken off the location's unreserved stock
+ *       404:
+ *         description: Count not found or not in review
+ */
+router.post(
+  '/:id/post',
+  auth,
+  checkPermission('counts:post'),
+  asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let count;
+    let movements;
+    try {
+      count = await CycleCount.findOne({ _id: req.params.id, tenantId: req.tenantId, status: 'review' })
+        .session(session);
+      if (!count) {
+        throw new AppError('Count not found or not in review', 404);
+      }
+
+      const location = await resolveLocation(req.tenantId, count.locationId, session);
+      movements = await postCount({ count, location, userId: req.user._id, session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`tenant:${req.tenantId}`).emit('count:updated', { countId: count._id, status: 'posted' });
+      for (const sm of movements) {
+        io.to(`tenant:${req.tenantId}`).emit('stock:updated', {
+          variantId: sm.variantId,
+          locationId: sm.locationId,
+          stock: sm.newStock,
+        });
+      }
+    }
+
+    const populated = await populateCount(CycleCount.findById(count._id)).lean();
+    res.json({ count: populated });
+  })
+);
+
+/**
+ * @swagger
+ * /counts/{id}/cancel:
+ *   post:
+ *     summary: Cancel a count that hasn't been posted (requires counts:create)
+ *     tags: [Cycle Counts]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Count cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 count:
+ *                   $ref: '#/components/schemas/CycleCount'
+ *       404:
+ *         description: Count not found or already posted
+ */
+router.post(
+  '/:id/cancel',
+  auth,
+  checkPermission('counts:create'),
+  asyncHandler(async (req, res) => {
+    const count = await CycleCount.findOneAndUpdate(
+      { _id: req.params.id, tenantId: req.tenantId, status: { $in: ['counting', 'review'] } },
+      { status: 'cancelled' },
+      { new: true }
+    );
+    if (!count) {
+      throw new AppError('Count not found or already posted', 404);
+    }
+
+    emitCountUpdated(req, { countId: count._id, status: 'cancelled' });
+
+    const populated = await populateCount(CycleCount.findById(count._id)).lean();
+    res.json({ count: populated });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,430 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { SavedReport } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler, toCsv } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { catalog, normalizeDefinition, runReport } = require('../services/reportBuilder');
+
+const router = express.Router();
+
+const savedReportValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Report name is required').isLength({ max: 100 }),
+  body('description').optional().trim().isLength({ max: 500 }),
+  body('definition').optional().isObject().withMessage('definition must be an object'),
+  body('sharedWith').optional().isArray().withMessage('sharedWith must be a list of roles'),
+  body('sharedWith.*').isIn(['manager', 'staff']).withMessage('Reports can be shared with manager or staff'),
+];
+
+// Owners see every report; others see their own and those shared with their role
+const visibleTo = (req) => (req.user.role === 'owner'
+  ? { tenantId: req.tenantId }
+  : { tenantId: req.tenantId, $or: [{ createdBy: req.user._id }, { sharedWith: req.user.role }] });
+
+const sendResult = (res, result, format, name) => {
+  if (format === 'csv') {
+    const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'report';
+    res.set('Content-Type', 'text/csv');
+    res.set('Content-Disposition', `attachment; filename="${slug}-${new Date().toISOString().split('T')[0]}.csv"`);
+    return res.send(toCsv(result.columns, result.rows));
+  }
+  res.json(result);
+};
+
+/**
+ * @swagger
+ * /custom-reports/catalog:
+ *   get:
+ *     summary: Datasets, dimensions, measures and filters a custom report can use (owner/manager)
+ *     tags: [Custom Reports]
+ *     responses:
+ *       200:
+ *         description: The report builder catalog
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 datasets:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReportDataset'
+ */
+router.get(
+  '/catalog',
+  auth,
+  authorize('owner', 'manager'),
+  (req, res) => {
+    res.json({ datasets: catalog() });
+  }
+);
+
+/**
+ * @swagger
+ * /custom-reports/run:
+ *   post:
+ *     summary: Run a report definition without saving it (owner/manager)
+ *     tags: [Custom Reports]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportDefinition'
+ *     responses:
+ *       200:
+ *         description: Report rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CustomReportResult'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: The definition uses something the dataset doesn't have
+ */
+router.post(
+  '/run',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    const definition = normalizeDefinition(req.body);
+    const result = await runReport(req.tenantId, definition);
+    sendResult(res, result, req.query.format, definition.dataset);
+  })
+);
+
+/**
+ * @swagger
+ * /custom-reports:
+ *   get:
+ *     summary: List the saved reports the user can see
+ *     description: Owners see every saved report; others see their own and those shared with their role.
+ *     tags: [Custom Reports]
+ *     responses:
+ *       200:
+ *         description: Saved reports
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reports:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SavedReport'
+ */
+router.get(
+  '/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const reports = await SavedReport.find(visibleTo(req))
+      .sort({ name: 1 })
+      .populate('createdBy', 'name')
+      .lean();
+
+    res.json({ reports });
+  })
+);
+
+/**
+ * @swagger
+ * /custom-reports:
+ *   post:
+ *     summary: Save a report definition (owner/manager)
+ *     tags: [Custom Reports]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, definition]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Units by category per week
+ *               description:
+ *                 type: string
+ *               definition:
+ *                 $ref: '#/components/schemas/ReportDefinition'
+ *               sharedWith:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [manager, staff]
+ *     responses:
+ *       201:
+ *         description: Report saved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 report:
+ *                   $ref: '#/components/schemas/SavedReport'
+ *       400:
+ *         description: Validation error
+ */
+router.post(
+  '/',
+  auth,
+  authorize('owner', 'manager'),
+  [
+    body('name').trim().notEmpty().withMessage('Report name is required'),
+    body('definition').isObject().withMessage('definition is required'),
+    ...savedReportValidators,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { name, description, definition, sharedWith } = req.body;
+
+    const report = await SavedReport.create({
+      tenantId: req.tenantId,
+      name,
+      description,
+      definition: normalizeDefinition(definition),
+      sharedWith,
+      createdBy: req.user._id,
+    });
+
+    res.status(201).json({ report });
+  })
+);
+
+/**
+ * @swagger
+ * /custom-reports/{id}:
+ *   get:
+ *     summary: Get a saved report
+ *     tags: [Custom Reports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved report ID
+ *     responses:
+ *       200:
+ *         description: Saved report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 report:
+ *                   $ref: '#/components/schemas/SavedReport'
+ *       404:
+ *         description: Report not found or not shared with the user
+ */
+router.get(
+  '/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const report = await SavedReport.findOne({ ...visibleTo(req), _id: req.params.id })
+      .populate('createdBy', 'name')
+      .lean();
+    if (!report) {
+      throw new AppError('Report not found', 404);
+    }
+
+    res.json({ report });
+  })
+);
+
+/**
+ * @swagger
+ * /custom-reports/{id}/run:
+ *   get:
+ *     summary: Run a saved report
+ *     description: >
+ *       Anyone the report is visible to can run it. from/to or days replace
+ *       the saved date range for this run.
+ *     tags: [Custom Reports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved report ID
+ *       - $ref: '#/components/parameters/RangeFrom'
+ *       - $ref: '#/components/parameters/RangeTo'
+ *       - $ref: '#/components/parameters/RangeDays'
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *     responses:
+ *       200:
+ *         description: Report rows
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/CustomReportResult'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       404:
+ *         description: Report not found or not shared with the user
+ */
+router.get(
+  '/:id/run',
+  auth,
+  asyncHandler(async (req, res) => {
+    const report = await SavedReport.findOne({ ...visibleTo(req), _id: req.params.id }).lean();
+    if (!report) {
+      throw new AppError('Report not found', 404);
+    }
+
+    const { from, to, days } = req.query;
+    const definition = normalizeDefinition({
+      ...report.definition,
+      ...((from || to || days) && { from, to, days }),
+    });
+    const result = await runReport(req.tenantId, definition);
+    sendResult(res, result, req.query.format, report.name);
+  })
+);
+
+/**
+ * @swagger
+ * /custom-reports/{id}:
+ *   put:
+ *     summary: Update a saved report (its creator or an owner)
+ *     tags: [Custom Reports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved report ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               description:
+ *                 type: string
+ *               definition:
+ *                 $ref: '#/components/schemas/ReportDefinition'
+ *               sharedWith:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [manager, staff]
+ *     responses:
+ *       200:
+ *         description: Report updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 report:
+ *                   $ref: '#/components/schemas/SavedReport'
+ *       400:
+ *         description: Validation error
+ *       403:
+ *         description: Only the creator or an owner can change it
+ *       404:
+ *         description: Report not found
+ */
+router.put(
+  '/:id',
+  auth,
+  authorize('owner', 'manager'),
+  savedReportValidators,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const report = await SavedReport.findOne({ ...visibleTo(req), _id: req.params.id });
+    if (!report) {
+      throw new AppError('Report not found', 404);
+    }
+    if (req.user.role !== 'owner' && !report.createdBy.equals(req.user._id)) {
+      throw new AppError('Only the report\'s creator or an owner can change it', 403);
+    }
+
+    const { name, description, definition, sharedWith } = req.body;
+    if (name) report.name = name;
+    if (description !== undefined) report.description = description;
+    if (definition) report.definition = normalizeDefinition(definition);
+    if (sharedWith) report.sharedWith = sharedWith;
+    await report.save();
+
+    res.json({ report });
+  })
+);
+
+/**
+ * @swagger
+ * /custom-reports/{id}:
+ *   delete:
+ *     summary: Delete a saved report (its creator or an owner)
+ *     tags: [Custom Reports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Saved report ID
+ *     responses:
+ *       200:
+ *         description: Report deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Report deleted
+ *       403:
+ *         description: Only the creator or an owner can delete it
+ *       404:
+ *         description: Report not found
+ */
+router.delete(
+  '/:id',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    const report = await SavedReport.findOne({ ...visibleTo(req), _id: req.params.id });
+    if (!report) {
+      throw new AppError('Report not found', 404);
+    }
+    if (req.user.role !== 'owner' && !report.createdBy.equals(req.user._id)) {
+      throw new AppError('Only the report\'s creator or an owner can delete it', 403);
+    }
+
+    await report.deleteOne();
+
+    res.json({ message: 'Report deleted' });
+  })
+);
+
+module.exports = router;
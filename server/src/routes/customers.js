@@ -0,0 +1,411 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { Customer, Order } = require('../models');
+const { auth, checkPermission } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { normalizeEmail, getCustomerStats, emptyStats } = require('../services/customers');
+
+const router = express.Router();
+
+const customerValidators = [
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Please enter a valid email address'),
+  body('phone').optional().trim(),
+  body('taxId').optional().trim().isLength({ max: 50 }).withMessage('Tax ID cannot exceed 50 characters'),
+  body('addresses').optional().isArray().withMessage('Addresses must be a list'),
+  body('tags').optional().isArray().withMessage('Tags must be a list'),
+  body('tags.*').optional().isString().trim(),
+  body('notes').optional().trim(),
+];
+
+// Email is unique per tenant; reject clashes with a clear message
+const assertEmailFree = async (tenantId, email, exceptId = null) => {
+  if (!email) return;
+  const filter = { tenantId, email };
+  if (exceptId) filter._id = { $ne: exceptId };
+  if (await Customer.exists(filter)) {
+    throw new AppError('A customer with this email already exists', 409);
+  }
+};
+
+const cleanTags = (tags) => [...new Set(tags.map((t) => t.trim().toLowerCase()).filter(Boolean))];
+
+/**
+ * @swagger
+ * /customers:
+ *   get:
+ *     summary: List customers with pagination and order totals
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Search by name, email or phone
+ *       - in: query
+ *         name: tag
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *     responses:
+ *       200:
+ *         description: Paginated list of customers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 customers:
+ *                   type: array
+ *                   items:
+ *                     allOf:
+ *                       - $ref: '#/components/schemas/Customer'
+ *                       - type: object
+ *                         properties:
+ *                           stats:
+ *                             $ref: '#/components/schemas/CustomerStats'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ */
+router.get(
+  '/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, search, tag, active } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { tenantId: req.tenantId };
+    if (search) {
+      filter.$or = [
+        { name: { $regex: search, $options: 'i' } },
+        { email: { $regex: search, $options: 'i' } },
+        { phone: { $regex: search, $options: 'i' } },
+      ];
+    }
+    if (tag) filter.tags = tag.toLowerCase();
+    if (active !== undefined) {
+      filter.isActive = active === 'true';
+    }
+
+    const [customers, total] = await Promise.all([
+      Customer.find(filter).sort({ name: 1 }).skip(skip).limit(parseInt(limit)).lean(),
+      Customer.countDocuments(filter),
+    ]);
+
+    const stats = await getCustomerStats(req.tenantId, customers.map((c) => c._id));
+
+    res.json({
+      customers: customers.map((c) => ({ ...c, stats: stats[c._id.toString()] || emptyStats })),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /customers/{id}:
+ *   get:
+ *     summary: Get a customer with lifetime value and average order value
+ *     description: The order history itself is listed with GET /orders?customerId=.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     responses:
+ *       200:
+ *         description: Customer details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 customer:
+ *                   $ref: '#/components/schemas/Customer'
+ *                 stats:
+ *                   $ref: '#/components/schemas/CustomerStats'
+ *       404:
+ *         description: Customer not found
+ */
+router.get(
+  '/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const customer = await Customer.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    }).lean();
+
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    const stats = await getCustomerStats(req.tenantId, [customer._id]);
+
+    res.json({ customer, stats: stats[customer._id.toString()] || emptyStats });
+  })
+);
+
+/**
+ * @swagger
+ * /customers:
+ *   post:
+ *     summary: Create a customer (requires customers:create)
+ *     tags: [Customers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Jane Smith
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *               taxId:
+ *                 type: string
+ *               addresses:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CustomerAddress'
+ *               notes:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       201:
+ *         description: Customer created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 customer:
+ *                   $ref: '#/components/schemas/Customer'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: A customer with this email already exists
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission('customers:create'),
+  [
+    body('name').trim().notEmpty().withMessage('Customer name is required'),
+    ...customerValidators,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { name, phone, taxId, addresses, notes, tags } = req.body;
+    const email = normalizeEmail(req.body.email) || undefined;
+    await assertEmailFree(req.tenantId, email);
+
+    const customer = await Customer.create({
+      tenantId: req.tenantId,
+      name,
+      email,
+      phone,
+      taxId,
+      addresses: addresses || [],
+      notes,
+      tags: cleanTags(tags || []),
+    });
+
+    res.status(201).json({ customer });
+  })
+);
+
+/**
+ * @swagger
+ * /customers/{id}:
+ *   put:
+ *     summary: Update a customer (requires customers:edit)
+ *     description: Orders keep the name and email they were placed with.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               phone:
+ *                 type: string
+ *               taxId:
+ *                 type: string
+ *               addresses:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/CustomerAddress'
+ *               notes:
+ *                 type: string
+ *               tags:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Customer updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 customer:
+ *                   $ref: '#/components/schemas/Customer'
+ *       404:
+ *         description: Customer not found
+ *       409:
+ *         description: A customer with this email already exists
+ */
+router.put(
+  '/:id',
+  auth,
+  checkPermission('customers:edit'),
+  [
+    body('name').optional().trim().notEmpty().withMessage('Customer name cannot be empty'),
+    ...customerValidators,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { name, phone, taxId, addresses, notes, tags, isActive } = req.body;
+    const update = {
+      ...(name && { name }),
+      ...(phone !== undefined && { phone }),
+      ...(taxId !== undefined && { taxId }),
+      ...(addresses && { addresses }),
+      ...(notes !== undefined && { notes }),
+      ...(tags && { tags: cleanTags(tags) }),
+      ...(isActive !== undefined && { isActive }),
+    };
+
+    if (req.body.email !== undefined) {
+      const email = normalizeEmail(req.body.email);
+      await assertEmailFree(req.tenantId, email, req.params.id);
+      if (email) {
+        update.email = email;
+      } else {
+        update.$unset = { email: 1 };
+      }
+    }
+
+    const customer = await Customer.findOneAndUpdate(
+      { _id: req.params.id, tenantId: req.tenantId },
+      update,
+      { new: true, runValidators: true }
+    );
+
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    res.json({ customer });
+  })
+);
+
+/**
+ * @swagger
+ * /customers/{id}:
+ *   delete:
+ *     summary: Delete a customer with no orders (requires customers:delete)
+ *     description: Customers with orders can only be deactivated, so their history is kept.
+ *     tags: [Customers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Customer ID
+ *     responses:
+ *       200:
+ *         description: Customer deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Customer deleted
+ *       400:
+ *         description: Customer has orders
+ *       404:
+ *         description: Customer not found
+ */
+router.delete(
+  '/:id',
+  auth,
+  checkPermission('customers:delete'),
+  asyncHandler(async (req, res) => {
+    const hasOrders = await Order.exists({ tenantId: req.tenantId, customerId: req.params.id });
+    if (hasOrders) {
+      throw new AppError('This customer has orders. Deactivate them instead of deleting.', 400);
+    }
+
+    const customer = await Customer.findOneAndDelete({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!customer) {
+      throw new AppError('Customer not found', 404);
+    }
+
+    res.json({ message: 'Customer deleted' });
+  })
+);
+
+module.exports = router;
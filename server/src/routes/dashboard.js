@@ -1,27 +1,42 @@
 const express = require('express');
 const mongoose = require('mongoose');
-const { Variant, Order, StockMovement, Product, PurchaseOrder } = require('../models');
-const { auth } = require('../middleware/auth');
+const {
+  Variant, Product, PurchaseOrder, Location, ReasonCode, OrderRollup, SalesRollup, MovementRollup,
+} = require('../models');
+const { auth, authorize } = require('../middleware/auth');
 const { asyncHandler } = require('../utils/helpers');
+const { getCached, setCached } = require('../services/dashboardCache');
+const { AppError } = require('../middleware/errorHandler');
+const {
+  resolveRange,
+  describeRange,
+  rollupDays,
+  orderSeries,
+  movementSeries,
+  getLocationInventory,
+  inventoryTotals,
+  lowStockFilter,
+  productSales,
+} = require('../services/analytics');
+const { INCOMING_PO_STATUSES } = require('../services/inventory');
+const { dayDate } = require('../utils/dates');
 
 const router = express.Router();
 
-// Simple in-memory cache
-const cache = new Map();
-const CACHE_TTL = 30000; // 30 seconds
+const rangeCacheKey = (range) => [range.fromKey, range.toKey, range.granularity, range.compare].join(':');
 
-const getCached = (key) => {
-  const entry = cache.get(key);
-  if (entry && Date.now() - entry.timestamp < CACHE_TTL) {
-    return entry.data;
-  }
-  cache.delete(key);
-  return null;
-};
+const DAY = 24 * 60 * 60 * 1000;
 
-const setCache = (key, data) => {
-  cache.set(key, { data, timestamp: Date.now() });
-};
+// Age buckets of on-hand stock, by days since the units were received
+const AGING_BUCKETS = [
+  { key: '0-29', max: 30 },
+  { key: '30-59', max: 60 },
+  { key: '60-89', max: 90 },
+  { key: '90-179', max: 180 },
+  { key: '180+', max: Infinity },
+];
+const emptyBuckets = () => Object.fromEntries(AGING_BUCKETS.map((b) => [b.key, { units: 0, value: 0 }]));
+const bucketFor = (ageDays) => AGING_BUCKETS.find((b) => ageDays < b.max).key;
 
 /**
  * @swagger
@@ -29,9 +44,20 @@ const setCache = (key, data) => {
  *   get:
  *     summary: Get dashboard summary (inventory, orders, alerts)
  *     tags: [Dashboard]
+ *     parameters:
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *         description: Limit inventory figures and low-stock count to one location
+ *       - $ref: '#/components/parameters/RangeFrom'
+ *       - $ref: '#/components/parameters/RangeTo'
+ *       - $ref: '#/components/parameters/RangeDays'
+ *       - $ref: '#/components/parameters/RangeGranularity'
+ *       - $ref: '#/components/parameters/RangeCompare'
  *     responses:
  *       200:
- *         description: Dashboard summary data (cached for 30s)
+ *         description: Dashboard summary data (cached until the tenant's orders, stock or POs change); order figures cover the range, 30 days by default
  *         content:
  *           application/json:
  *             schema:
@@ -42,72 +68,83 @@ router.get(
   auth,
   asyncHandler(async (req, res) => {
     const tenantId = req.tenantId;
-    const cacheKey = `summary:${tenantId}`;
-    const cached = getCached(cacheKey);
+    const { locationId } = req.query;
+    const range = await resolveRange(tenantId, req.query, 30);
+    const cacheKey = `summary:${locationId || 'all'}:${rangeCacheKey(range)}`;
+    const cached = await getCached(tenantId, cacheKey);
     if (cached) return res.json(cached);
 
     const tenantObjId = new mongoose.Types.ObjectId(tenantId);
 
+    let location = null;
+    if (locationId) {
+      location = await Location.findOne({ _id: locationId, tenantId }).lean();
+      if (!location) {
+        throw new AppError('Location not found', 404);
+      }
+    }
+
     const [
       inventoryStats,
       orderStats,
       lowStockCount,
       pendingPOs,
       totalProducts,
+      locationStats,
+      locations,
+      series,
+      previousSeries,
     ] = await Promise.all([
       // Total inventory value and count
-      Variant.aggregate([
-        { $match: { tenantId: tenantObjId, isActive: true } },
-        {
-          $group: {
-            _id: null,
-            totalValue: { $sum: { $multiply: ['$stock', '$price'] } },
-            totalCostValue: { $sum: { $multiply: ['$stock', '$costPrice'] } },
-            totalStock: { $sum: '$stock' },
-            totalVariants: { $sum: 1 },
-          },
-        },
-      ]),
+      location ? getLocationInventory(tenantObjId, location._id) : inventoryTotals(tenantObjId),
 
-      // Order stats (last 30 days)
-      Order.aggregate([
+      // Order stats for the range
+      OrderRollup.aggregate([
         {
           $match: {
             tenantId: tenantObjId,
-            createdAt: { $gte: new Date(Date.now() - 30 * 24 * 60 * 60 * 1000) },
+            ...(location && { locationId: location._id }),
+            date: rollupDays(range),
           },
         },
         {
           $group: {
             _id: '$status',
-            count: { $sum: 1 },
-            totalAmount: { $sum: '$totalAmount' },
+            count: { $sum: '$orders' },
+            totalAmount: { $sum: '$revenue' },
           },
         },
       ]),
 
-      // Low stock items count
-      Variant.countDocuments({
-        tenantId: tenantObjId,
-        isActive: true,
-        $expr: { $lte: ['$stock', '$lowStockThreshold'] },
-      }),
+      // Low stock items count (location mode reads it from locationStats)
+      location ? null : Variant.countDocuments(lowStockFilter(tenantObjId)),
 
       // Pending POs count
       PurchaseOrder.countDocuments({
         tenantId: tenantObjId,
-        status: { $in: ['draft', 'sent', 'confirmed', 'partially_received'] },
+        ...(location && { locationId: location._id }),
+        status: { $in: INCOMING_PO_STATUSES },
       }),
 
       // Total products
       Product.countDocuments({ tenantId: tenantObjId, isActive: true }),
+
+      // Per-location breakdown (total mode only)
+      location ? [] : getLocationInventory(tenantObjId),
+      location ? [] : Location.find({ tenantId: tenantObjId }).select('name code').lean(),
+
+      // Orders and revenue per period, now and in the previous period
+      orderSeries(tenantObjId, location?._id, range, range),
+      range.compare ? orderSeries(tenantObjId, location?._id, range, range.previous) : null,
     ]);
 
     const inv = inventoryStats[0] || {
       totalValue: 0,
       totalCostValue: 0,
       totalStock: 0,
+      reserved: 0,
       totalVariants: 0,
+      lowStockItems: 0,
     };
 
     const ordersByStatus = {};
@@ -121,26 +158,67 @@ router.get(
       }
     });
 
+    const statsMap = {};
+    locationStats.forEach((l) => {
+      statsMap[l._id.toString()] = l;
+    });
+
+    const byLocation = locations.map((l) => {
+      const stats = statsMap[l._id.toString()] || {};
+      return {
+        locationId: l._id,
+        name: l.name,
+        code: l.code,
+        totalStock: stats.totalStock || 0,
+        reserved: stats.reserved || 0,
+        available: (stats.totalStock || 0) - (stats.reserved || 0),
+        totalValue: Math.round((stats.totalValue || 0) * 100) / 100,
+        totalCostValue: Math.round((stats.totalCostValue || 0) * 100) / 100,
+        lowStockItems: stats.lowStockItems || 0,
+      };
+    });
+
+    // In-transit units are owned but not on any shelf
+    const onHand = inv.totalStock - (inv.inTransit || 0);
+
     const result = {
+      ...(location && {
+        location: { _id: location._id, name: location.name, code: location.code },
+      }),
       inventory: {
         totalProducts,
         totalVariants: inv.totalVariants,
         totalStock: inv.totalStock,
+        ...(!location && { inTransit: inv.inTransit || 0 }),
+        onHand,
+        reserved: inv.reserved || 0,
+        available: onHand - (inv.reserved || 0),
         totalValue: Math.round(inv.totalValue * 100) / 100,
         totalCostValue: Math.round(inv.totalCostValue * 100) / 100,
+        ...(!location && { byLocation }),
       },
+      range: describeRange(range),
       orders: {
         totalOrders,
         totalRevenue: Math.round(totalRevenue * 100) / 100,
         byStatus: ordersByStatus,
+        series,
       },
+      ...(previousSeries && {
+        previous: {
+          ...describeRange(range, range.previous),
+          totalOrders: previousSeries.reduce((sum, p) => sum + p.orders, 0),
+          totalRevenue: Math.round(previousSeries.reduce((sum, p) => sum + p.revenue, 0) * 100) / 100,
+          series: previousSeries,
+        },
+      }),
       alerts: {
-        lowStockItems: lowStockCount,
+        lowStockItems: location ? inv.lowStockItems : lowStockCount,
         pendingPurchaseOrders: pendingPOs,
       },
     };
 
-    setCache(cacheKey, result);
+    await setCached(tenantId, cacheKey, result);
     res.json(result);
   })
 );
@@ -149,8 +227,20 @@ router.get(
  * @swagger
  * /dashboard/top-sellers:
  *   get:
- *     summary: Get top 5 selling products (last 30 days)
+ *     summary: Get the best-selling products by units (last 30 days by default)
  *     tags: [Dashboard]
+ *     parameters:
+ *       - $ref: '#/components/parameters/RangeFrom'
+ *       - $ref: '#/components/parameters/RangeTo'
+ *       - $ref: '#/components/parameters/RangeDays'
+ *       - $ref: '#/components/parameters/RangeCompare'
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 5
  *     responses:
  *       200:
  *         description: Top sellers list
@@ -174,127 +264,451 @@ router.get(
  *                         type: number
  *                       orderCount:
  *                         type: integer
+ *                       previousQuantity:
+ *                         type: integer
+ *                         description: Units sold in the previous period
+ *                       previousRevenue:
+ *                         type: number
+ *                 range:
+ *                   $ref: '#/components/schemas/DashboardRange'
+ *                 previous:
+ *                   $ref: '#/components/schemas/DashboardRange'
+ *       400:
+ *         description: Invalid range or limit
  */
 router.get(
   '/top-sellers',
   auth,
   asyncHandler(async (req, res) => {
     const tenantId = req.tenantId;
-    const cacheKey = `topSellers:${tenantId}`;
-    const cached = getCached(cacheKey);
+    const limit = req.query.limit !== undefined ? parseInt(req.query.limit) : 5;
+    if (!(limit >= 1 && limit <= 50)) {
+      throw new AppError('limit must be between 1 and 50', 400);
+    }
+    const range = await resolveRange(tenantId, req.query, 30);
+    const cacheKey = `topSellers:${rangeCacheKey(range)}:${limit}`;
+    const cached = await getCached(tenantId, cacheKey);
     if (cached) return res.json(cached);
 
-    const thirtyDaysAgo = new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
     const tenantObjId = new mongoose.Types.ObjectId(tenantId);
 
-    const topSellers = await Order.aggregate([
-      {
-        $match: {
-          tenantId: tenantObjId,
-          status: { $ne: 'cancelled' },
-          createdAt: { $gte: thirtyDaysAgo },
-        },
-      },
-      { $unwind: '$items' },
-      {
-        $group: {
-          _id: '$items.productId',
-          productName: { $first: '$items.productName' },
-          totalQuantity: { $sum: '$items.quantity' },
-          totalRevenue: { $sum: '$items.total' },
-          orderCount: { $sum: 1 },
-        },
-      },
-      { $sort: { totalQuantity: -1 } },
-      { $limit: 5 },
-    ]);
+    const topSellers = await productSales(tenantObjId, range, { limit });
 
-    const result = { topSellers };
-    setCache(cacheKey, result);
+    const result = { range: describeRange(range), topSellers };
+    if (range.compare) {
+      const previous = await productSales(tenantObjId, range.previous, { productIds: topSellers.map((t) => t._id) });
+      const previousMap = new Map(previous.map((p) => [p._id.toString(), p]));
+      topSellers.forEach((t) => {
+        const p = previousMap.get(t._id.toString());
+        t.previousQuantity = p?.totalQuantity || 0;
+        t.previousRevenue = p?.totalRevenue || 0;
+      });
+      result.previous = describeRange(range, range.previous);
+    }
+    await setCached(tenantId, cacheKey, result);
     res.json(result);
   })
 );
 
 /**
  * @swagger
- * /dashboard/stock-movements:
+ * /dashboard/return-rates:
  *   get:
- *     summary: Get stock movement graph data (last 7 days)
+ *     summary: Get return rate per product on delivered orders (last 90 days)
+ *     description: >
+ *       Units returned on RMAs divided by units delivered, highest rate first,
+ *       for orders placed in the last 90 days (today included) in the tenant's timezone.
  *     tags: [Dashboard]
  *     responses:
  *       200:
- *         description: Daily stock movement aggregations
+ *         description: Return rates
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 movements:
+ *                 overall:
+ *                   type: object
+ *                   properties:
+ *                     unitsSold:
+ *                       type: integer
+ *                     unitsReturned:
+ *                       type: integer
+ *                     returnRate:
+ *                       type: number
+ *                       example: 0.04
+ *                 products:
  *                   type: array
  *                   items:
  *                     type: object
  *                     properties:
- *                       date:
+ *                       _id:
  *                         type: string
- *                         format: date
- *                         example: '2026-02-14'
- *                       purchase:
- *                         type: integer
- *                       sale:
- *                         type: integer
- *                       return:
+ *                       productName:
+ *                         type: string
+ *                       unitsSold:
  *                         type: integer
- *                       adjustment:
+ *                       unitsReturned:
  *                         type: integer
+ *                       returnRate:
+ *                         type: number
  */
 router.get(
-  '/stock-movements',
+  '/return-rates',
   auth,
   asyncHandler(async (req, res) => {
     const tenantId = req.tenantId;
-    const cacheKey = `stockMovements:${tenantId}`;
-    const cached = getCached(cacheKey);
+    const cacheKey = 'returnRates';
+    const cached = await getCached(tenantId, cacheKey);
     if (cached) return res.json(cached);
 
-    const sevenDaysAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+    const range = await resolveRange(tenantId, {}, 90);
     const tenantObjId = new mongoose.Types.ObjectId(tenantId);
 
-    const movements = await StockMovement.aggregate([
+    const rows = await SalesRollup.aggregate([
       {
         $match: {
           tenantId: tenantObjId,
-          createdAt: { $gte: sevenDaysAgo },
+          status: 'delivered',
+          date: rollupDays(range),
         },
       },
       {
         $group: {
-          _id: {
-            date: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
-            type: '$type',
-          },
-          totalQuantity: { $sum: { $abs: '$quantity' } },
-          count: { $sum: 1 },
+          _id: '$productId',
+          productName: { $first: '$productName' },
+          unitsSold: { $sum: '$unitsSold' },
+          unitsReturned: { $sum: '$unitsReturned' },
         },
       },
-      { $sort: { '_id.date': 1 } },
     ]);
 
-    // Transform into chart-friendly format
-    const dateMap = {};
-    for (let i = 6; i >= 0; i--) {
-      const date = new Date(Date.now() - i * 24 * 60 * 60 * 1000);
-      const key = date.toISOString().split('T')[0];
-      dateMap[key] = { date: key, purchase: 0, sale: 0, return: 0, adjustment: 0 };
+    const rate = (returned, sold) => (sold > 0 ? Math.round((returned / sold) * 10000) / 10000 : 0);
+
+    const overall = rows.reduce(
+      (acc, r) => ({ unitsSold: acc.unitsSold + r.unitsSold, unitsReturned: acc.unitsReturned + r.unitsReturned }),
+      { unitsSold: 0, unitsReturned: 0 }
+    );
+    overall.returnRate = rate(overall.unitsReturned, overall.unitsSold);
+
+    const products = rows
+      .filter((r) => r.unitsReturned > 0)
+      .map((r) => ({ ...r, returnRate: rate(r.unitsReturned, r.unitsSold) }))
+      .sort((a, b) => b.returnRate - a.returnRate || b.unitsReturned - a.unitsReturned)
+      .slice(0, 10);
+
+    const result = { overall, products };
+    await setCached(tenantId, cacheKey, result);
+    res.json(result);
+  })
+);
+
+/**
+ * @swagger
+ * /dashboard/shrinkage:
+ *   get:
+ *     summary: Get stock lost and found by adjustment reason
+ *     description: >
+ *       Totals coded adjustments and write-offs by reason code. Write-offs
+ *       recorded without a code (transfer shortfalls, scrapped returns) are
+ *       grouped under a null code.
+ *     tags: [Dashboard]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         description: Whole days in the tenant's timezone, today included
+ *         schema:
+ *           type: integer
+ *           enum: [7, 30, 90, 365]
+ *           default: 30
+ *     responses:
+ *       200:
+ *         description: Shrinkage by reason
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Shrinkage'
+ */
+router.get(
+  '/shrinkage',
+  auth,
+  asyncHandler(async (req, res) => {
+    const tenantId = req.tenantId;
+    const days = [7, 30, 90, 365].includes(parseInt(req.query.days)) ? parseInt(req.query.days) : 30;
+    const cacheKey = `shrinkage:${days}`;
+    const cached = await getCached(tenantId, cacheKey);
+    if (cached) return res.json(cached);
+
+    const range = await resolveRange(tenantId, {}, days);
+    const tenantObjId = new mongoose.Types.ObjectId(tenantId);
+
+    const [rows, reasonCodes] = await Promise.all([
+      MovementRollup.aggregate([
+        {
+          $match: {
+            tenantId: tenantObjId,
+            date: rollupDays(range),
+            $or: [{ reasonCode: { $type: 'string' } }, { type: 'loss' }],
+          },
+        },
+        {
+          $group: {
+            _id: '$reasonCode',
+            unitsLost: { $sum: '$unitsOut' },
+            valueLost: { $sum: '$valueOut' },
+            unitsFound: { $sum: '$unitsIn' },
+            valueFound: { $sum: '$valueIn' },
+            movements: { $sum: '$movements' },
+          },
+        },
+      ]),
+      ReasonCode.find({ tenantId }).select('code name account').lean(),
+    ]);
+
+    const round = (n) => Math.round(n * 100) / 100;
+    const reasonMap = {};
+    reasonCodes.forEach((r) => {
+      reasonMap[r.code] = r;
+    });
+
+    const reasons = rows
+      .map((r) => ({
+        reasonCode: r._id,
+        name: r._id ? reasonMap[r._id]?.name || r._id : 'Uncoded write-offs',
+        account: r._id ? reasonMap[r._id]?.account || null : null,
+        unitsLost: r.unitsLost,
+        valueLost: round(r.valueLost),
+        unitsFound: r.unitsFound,
+        valueFound: round(r.valueFound),
+        movements: r.movements,
+      }))
+      .sort((a, b) => b.valueLost - a.valueLost || b.unitsLost - a.unitsLost);
+
+    const totals = reasons.reduce(
+      (acc, r) => ({
+        unitsLost: acc.unitsLost + r.unitsLost,
+        valueLost: round(acc.valueLost + r.valueLost),
+        unitsFound: acc.unitsFound + r.unitsFound,
+        valueFound: round(acc.valueFound + r.valueFound),
+      }),
+      { unitsLost: 0, valueLost: 0, unitsFound: 0, valueFound: 0 }
+    );
+    totals.netValue = round(totals.valueFound - totals.valueLost);
+
+    const result = { days, totals, reasons };
+    await setCached(tenantId, cacheKey, result);
+    res.json(result);
+  })
+);
+
+/**
+ * @swagger
+ * /dashboard/dead-stock:
+ *   get:
+ *     summary: Get dead stock and slow movers with their age (owner/manager only)
+ *     description: >
+ *       Variants holding stock that have had no sales in the last `days`
+ *       (dead), or whose sales over that period would take more than
+ *       `coverDays` to clear what is on hand (slow). Variants newer than the
+ *       period are left out. Units are aged first in, first out: what is on
+ *       hand is taken to be the latest purchases, aged from the day each was
+ *       received, and anything older than every purchase dates from the
+ *       variant's creation. Days are whole days in the tenant's timezone.
+ *     tags: [Dashboard]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 730
+ *           default: 90
+ *       - in: query
+ *         name: coverDays
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 180
+ *     responses:
+ *       200:
+ *         description: Dead and slow-moving variants, highest value first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/DeadStock'
+ *       400:
+ *         description: Invalid days or coverDays
+ */
+router.get(
+  '/dead-stock',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    const tenantId = req.tenantId;
+    const days = req.query.days !== undefined ? parseInt(req.query.days) : 90;
+    const coverDays = req.query.coverDays !== undefined ? parseInt(req.query.coverDays) : 180;
+    if (!(days >= 1 && days <= 730)) {
+      throw new AppError('days must be between 1 and 730', 400);
+    }
+    if (!(coverDays >= 1)) {
+      throw new AppError('coverDays must be 1 or more', 400);
     }
 
-    movements.forEach((m) => {
-      if (dateMap[m._id.date]) {
-        dateMap[m._id.date][m._id.type] = m.totalQuantity;
-      }
+    const cacheKey = `deadStock:${days}:${coverDays}`;
+    const cached = await getCached(tenantId, cacheKey);
+    if (cached) return res.json(cached);
+
+    const now = Date.now();
+    const range = await resolveRange(tenantId, {}, days);
+    const today = dayDate(range.toKey);
+    const tenantObjId = new mongoose.Types.ObjectId(tenantId);
+
+    const variants = await Variant.find({ tenantId, isActive: true, stock: { $gt: 0 }, createdAt: { $lt: range.from } })
+      .select('productId sku attributes stock costPrice costValue createdAt')
+      .populate('productId', 'name category')
+      .lean();
+    const variantIds = variants.map((v) => v._id);
+
+    const [activity, purchases] = await Promise.all([
+      MovementRollup.aggregate([
+        { $match: { tenantId: tenantObjId, variantId: { $in: variantIds } } },
+        {
+          $group: {
+            _id: '$variantId',
+            lastMovementAt: { $max: '$lastAt' },
+            lastSaleAt: { $max: { $cond: [{ $eq: ['$type', 'sale'] }, '$lastAt', null] } },
+            unitsSold: {
+              $sum: {
+                $cond: [
+                  { $and: [{ $eq: ['$type', 'sale'] }, { $gte: ['$date', dayDate(range.fromKey)] }] },
+                  { $subtract: ['$unitsOut', '$unitsIn'] },
+                  0,
+                ],
+              },
+            },
+          },
+        },
+      ]),
+      // Receipts per day; units left in stock are aged from the day they came in
+      MovementRollup.find({ tenantId, variantId: { $in: variantIds }, type: 'purchase', unitsIn: { $gt: 0 } })
+        .select('variantId unitsIn date')
+        .sort({ date: -1 })
+        .lean(),
+    ]);
+
+    const activityMap = new Map(activity.map((a) => [a._id.toString(), a]));
+    const purchaseMap = new Map();
+    purchases.forEach((p) => {
+      const id = p.variantId.toString();
+      if (!purchaseMap.has(id)) purchaseMap.set(id, []);
+      purchaseMap.get(id).push(p);
     });
 
-    const result = { movements: Object.values(dateMap) };
-    setCache(cacheKey, result);
+    const round = (n) => Math.round(n * 100) / 100;
+    const rows = [];
+    for (const v of variants) {
+      const id = v._id.toString();
+      const a = activityMap.get(id) || { lastMovementAt: null, lastSaleAt: null, unitsSold: 0 };
+      const unitsSold = Math.max(0, a.unitsSold);
+      const daysOfCover = unitsSold > 0 ? Math.round((v.stock / unitsSold) * days) : null;
+
+      let status;
+      if (unitsSold === 0) status = 'dead';
+      else if (daysOfCover > coverDays) status = 'slow';
+      else continue;
+
+      const unitCost = v.costValue != null && v.stock > 0 ? v.costValue / v.stock : v.costPrice || 0;
+      const aging = emptyBuckets();
+      let remaining = v.stock;
+      for (const p of purchaseMap.get(id) || []) {
+        if (remaining <= 0) break;
+        const units = Math.min(remaining, p.unitsIn);
+        aging[bucketFor((today - p.date) / DAY)].units += units;
+        remaining -= units;
+      }
+      if (remaining > 0) aging[bucketFor((now - v.createdAt) / DAY)].units += remaining;
+      Object.values(aging).forEach((b) => {
+        b.value = round(b.units * unitCost);
+      });
+
+      rows.push({
+        variantId: v._id,
+        sku: v.sku,
+        attributes: v.attributes,
+        product: v.productId,
+        status,
+        stock: v.stock,
+        value: round(v.stock * unitCost),
+        unitsSold,
+        daysOfCover,
+        lastSaleAt: a.lastSaleAt,
+        lastMovementAt: a.lastMovementAt,
+        aging,
+      });
+    }
+    rows.sort((x, y) => y.value - x.value);
+
+    const totals = { variants: rows.length, units: 0, value: 0, aging: emptyBuckets() };
+    for (const r of rows) {
+      totals.units += r.stock;
+      totals.value = round(totals.value + r.value);
+      for (const [key, b] of Object.entries(r.aging)) {
+        totals.aging[key].units += b.units;
+        totals.aging[key].value = round(totals.aging[key].value + b.value);
+      }
+    }
+
+    const result = { days, coverDays, totals, variants: rows };
+    await setCached(tenantId, cacheKey, result);
+    res.json(result);
+  })
+);
+
+/**
+ * @swagger
+ * /dashboard/stock-movements:
+ *   get:
+ *     summary: Get stock movement graph data (last 7 days by default)
+ *     description: Units moved per type, bucketed by day, ISO week or month in the tenant's timezone.
+ *     tags: [Dashboard]
+ *     parameters:
+ *       - $ref: '#/components/parameters/RangeFrom'
+ *       - $ref: '#/components/parameters/RangeTo'
+ *       - $ref: '#/components/parameters/RangeDays'
+ *       - $ref: '#/components/parameters/RangeGranularity'
+ *       - $ref: '#/components/parameters/RangeCompare'
+ *     responses:
+ *       200:
+ *         description: Stock movements per period
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockMovementSeries'
+ *       400:
+ *         description: Invalid range or granularity
+ */
+router.get(
+  '/stock-movements',
+  auth,
+  asyncHandler(async (req, res) => {
+    const tenantId = req.tenantId;
+    const range = await resolveRange(tenantId, req.query, 7);
+    const cacheKey = `stockMovements:${rangeCacheKey(range)}`;
+    const cached = await getCached(tenantId, cacheKey);
+    if (cached) return res.json(cached);
+
+    const tenantObjId = new mongoose.Types.ObjectId(tenantId);
+    const [current, previous] = await Promise.all([
+      movementSeries(tenantObjId, range, range),
+      range.compare ? movementSeries(tenantObjId, range, range.previous) : null,
+    ]);
+
+    const result = {
+      range: describeRange(range),
+      ...current,
+      ...(previous && { previous: { ...describeRange(range, range.previous), ...previous } }),
+    };
+    await setCached(tenantId, cacheKey, result);
     res.json(result);
   })
 );
@@ -0,0 +1,351 @@
+const express = require('express');
+const multer = require('multer');
+const { body, validationResult } = require('express-validator');
+const { ImportJob } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { resolveLocation } = require('../services/inventory');
+const {
+  fieldCatalog,
+  parseImportFile,
+  suggestMapping,
+  normalizeMapping,
+  planImport,
+  summarize,
+  processImports,
+} = require('../services/productImport');
+
+const router = express.Router();
+
+const MAX_FILE_SIZE = 5 * 1024 * 1024;
+// Rows sent back with an upload or a job, enough to map the columns by
+const SAMPLE_ROWS = 5;
+
+// The uploaded file is kept in memory; it is parsed straight into the job
+const upload = (req, res, next) => {
+  multer({ storage: multer.memoryStorage(), limits: { fileSize: MAX_FILE_SIZE, files: 1 } })
+    .single('file')(req, res, (err) => {
+      if (err instanceof multer.MulterError) {
+        const message = err.code === 'LIMIT_FILE_SIZE' ? 'Files can be at most 5 MB' : err.message;
+        return next(new AppError(message, 400));
+      }
+      next(err);
+    });
+};
+
+/**
+ * @swagger
+ * /imports:
+ *   post:
+ *     summary: Upload a CSV or XLSX file of products to import (owner/manager only)
+ *     description: >
+ *       The file needs a header row and one row per variant; rows with the same
+ *       product name (ignoring case) become one product. Up to 5000 rows and
+ *       5 MB. Nothing is imported yet: the response suggests a column mapping
+ *       to confirm with POST /imports/{id}/preview.
+ *     tags: [Imports]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               file:
+ *                 type: string
+ *                 format: binary
+ *     responses:
+ *       201:
+ *         description: File uploaded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 import:
+ *                   $ref: '#/components/schemas/ImportJob'
+ *                 fields:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportField'
+ *                 mapping:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                   description: Suggested field per column
+ *       400:
+ *         description: The file is missing, too large or can't be read
+ */
+router.post(
+  '/',
+  auth,
+  authorize('owner', 'manager'),
+  upload,
+  asyncHandler(async (req, res) => {
+    const { format, headers, rows } = await parseImportFile(req.file);
+
+    const job = await ImportJob.create({
+      tenantId: req.tenantId,
+      fileName: req.file.originalname,
+      format,
+      headers,
+      total: rows.length,
+      rows,
+      createdBy: req.user._id,
+    });
+
+    const { rows: allRows, ...rest } = job.toObject();
+    res.status(201).json({
+      import: { ...rest, rows: allRows.slice(0, SAMPLE_ROWS) },
+      fields: fieldCatalog(),
+      mapping: suggestMapping(headers),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /imports:
+ *   get:
+ *     summary: List recent product imports (owner/manager only)
+ *     tags: [Imports]
+ *     responses:
+ *       200:
+ *         description: The 50 most recent imports, without their rows or results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 imports:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportJob'
+ */
+router.get(
+  '/',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    const imports = await ImportJob.find({ tenantId: req.tenantId })
+      .select('-rows -results')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .populate('createdBy', 'name')
+      .lean();
+
+    res.json({ imports });
+  })
+);
+
+/**
+ * @swagger
+ * /imports/{id}:
+ *   get:
+ *     summary: Get a product import with its first rows and, once run, its per-row results (owner/manager only)
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import ID
+ *     responses:
+ *       200:
+ *         description: Import details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 import:
+ *                   $ref: '#/components/schemas/ImportJob'
+ *                 fields:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportField'
+ *       404:
+ *         description: Import not found
+ */
+router.get(
+  '/:id',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    const job = await ImportJob.findOne({ _id: req.params.id, tenantId: req.tenantId })
+      .slice('rows', SAMPLE_ROWS)
+      .populate('createdBy', 'name')
+      .lean();
+    if (!job) {
+      throw new AppError('Import not found', 404);
+    }
+
+    res.json({ import: job, fields: fieldCatalog() });
+  })
+);
+
+/**
+ * @swagger
+ * /imports/{id}/preview:
+ *   post:
+ *     summary: Set an import's column mapping and preview what each row would do (owner/manager only)
+ *     description: >
+ *       A dry run against the current catalog; nothing is written except the
+ *       mapping and location, which the import then runs with. Rows match
+ *       existing variants by SKU: a known SKU updates that variant (opening
+ *       stock is ignored), a new SKU creates a variant on the product of that
+ *       name, creating the product if there is none. Rows with problems are
+ *       skipped when the import runs. Preview again after changing the mapping.
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [mapping]
+ *             properties:
+ *               mapping:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 example: ['productName', 'sku', 'price', 'attribute:size', '']
+ *                 description: Per column, a field key, attribute:<name>, or an empty string to skip the column
+ *               locationId:
+ *                 type: string
+ *                 description: Where opening stock is held; defaults to the default location
+ *     responses:
+ *       200:
+ *         description: Preview of the import
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     rows: { type: integer }
+ *                     create: { type: integer, description: 'Variants to create' }
+ *                     update: { type: integer, description: 'Variants to update' }
+ *                     error: { type: integer, description: 'Rows to skip' }
+ *                     newProducts: { type: integer }
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ImportRowResult'
+ *       400:
+ *         description: Validation error or unusable mapping
+ *       404:
+ *         description: Import or location not found
+ *       409:
+ *         description: The import has already been started
+ */
+router.post(
+  '/:id/preview',
+  auth,
+  authorize('owner', 'manager'),
+  [
+    body('mapping').isArray().withMessage('mapping must be an array'),
+    body('locationId').optional({ values: 'falsy' }).isMongoId().withMessage('Please select a valid location'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const job = await ImportJob.findOne({ _id: req.params.id, tenantId: req.tenantId });
+    if (!job) {
+      throw new AppError('Import not found', 404);
+    }
+    if (job.status !== 'uploaded') {
+      throw new AppError('This import has already been started', 409);
+    }
+
+    const mapping = normalizeMapping(req.body.mapping, job.headers);
+    const location = await resolveLocation(req.tenantId, req.body.locationId || null);
+    const { results } = await planImport(req.tenantId, { rows: job.rows, mapping });
+
+    // Only while still uploaded, so a preview can't race a run that just queued the job
+    await ImportJob.updateOne(
+      { _id: job._id, status: 'uploaded' },
+      { $set: { mapping, locationId: req.body.locationId ? location._id : null } }
+    );
+
+    res.json({ summary: summarize(results), results });
+  })
+);
+
+/**
+ * @swagger
+ * /imports/{id}/run:
+ *   post:
+ *     summary: Start a previewed import in the background (owner/manager only)
+ *     description: >
+ *       Runs with the mapping from the last preview. Products are written one
+ *       at a time, each with its variants in a transaction. Progress is sent to
+ *       the tenant's sockets as `import:progress`, then `import:completed`;
+ *       GET /imports/{id} has the per-row results once done.
+ *     tags: [Imports]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Import ID
+ *     responses:
+ *       202:
+ *         description: Import queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 import:
+ *                   $ref: '#/components/schemas/ImportJob'
+ *       404:
+ *         description: Import not found
+ *       409:
+ *         description: The import has not been previewed or has already been started
+ */
+router.post(
+  '/:id/run',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    const job = await ImportJob.findOneAndUpdate(
+      { _id: req.params.id, tenantId: req.tenantId, status: 'uploaded', 'mapping.0': { $exists: true } },
+      { $set: { status: 'queued' } },
+      { new: true, projection: { rows: 0 } }
+    ).lean();
+
+    if (!job) {
+      const existing = await ImportJob.findOne({ _id: req.params.id, tenantId: req.tenantId }).select('status').lean();
+      if (!existing) {
+        throw new AppError('Import not found', 404);
+      }
+      throw new AppError(
+        existing.status === 'uploaded' ? 'Preview the import before running it' : 'This import has already been started',
+        409
+      );
+    }
+
+    // The worker also polls; this just starts it without waiting for the next check
+    processImports(req.app.get('io')).catch((err) => console.error('Product import failed:', err));
+
+    res.status(202).json({ import: job });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,381 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { Location, StockLevel, Transfer } = require('../models');
+const { auth, checkPermission } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { getDefaultLocation } = require('../services/inventory');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /locations:
+ *   get:
+ *     summary: List locations with stock totals
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *     responses:
+ *       200:
+ *         description: List of locations
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 locations:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Location'
+ */
+router.get(
+  '/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const { active } = req.query;
+
+    // Make sure every tenant has at least its default location
+    await getDefaultLocation(req.tenantId);
+
+    const filter = { tenantId: req.tenantId };
+    if (active !== undefined) {
+      filter.isActive = active === 'true';
+    }
+
+    const [locations, totals] = await Promise.all([
+      Location.find(filter).sort({ isDefault: -1, name: 1 }).lean(),
+      StockLevel.aggregate([
+        { $match: { tenantId: new mongoose.Types.ObjectId(req.tenantId) } },
+        {
+          $lookup: {
+            from: 'variants',
+            localField: 'variantId',
+            foreignField: '_id',
+            as: 'variant',
+          },
+        },
+        { $unwind: '$variant' },
+        {
+          $group: {
+            _id: '$locationId',
+            totalStock: { $sum: '$quantity' },
+            totalValue: { $sum: { $multiply: ['$quantity', '$variant.price'] } },
+            skuCount: { $sum: { $cond: [{ $gt: ['$quantity', 0] }, 1, 0] } },
+          },
+        },
+      ]),
+    ]);
+
+    const totalsMap = {};
+    totals.forEach((t) => {
+      totalsMap[t._id.toString()] = t;
+    });
+
+    res.json({
+      locations: locations.map((l) => {
+        const t = totalsMap[l._id.toString()];
+        return {
+          ...l,
+          totalStock: t?.totalStock || 0,
+          totalValue: Math.round((t?.totalValue || 0) * 100) / 100,
+          skuCount: t?.skuCount || 0,
+        };
+      }),
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   get:
+ *     summary: Get a location with its stock balances
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Location ID
+ *     responses:
+ *       200:
+ *         description: Location details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 location:
+ *                   $ref: '#/components/schemas/Location'
+ *                 levels:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockLevel'
+ *       404:
+ *         description: Location not found
+ */
+router.get(
+  '/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const location = await Location.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    }).lean();
+
+    if (!location) {
+      throw new AppError('Location not found', 404);
+    }
+
+    const levels = await StockLevel.find({
+      tenantId: req.tenantId,
+      locationId: location._id,
+      quantity: { $gt: 0 },
+    })
+      .populate('variantId', 'sku attributes price lowStockThreshold')
+      .populate('productId', 'name')
+      .lean();
+
+    res.json({ location, levels });
+  })
+);
+
+/**
+ * @swagger
+ * /locations:
+ *   post:
+ *     summary: Create a location (requires locations:create)
+ *     tags: [Locations]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, code]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: East Warehouse
+ *               code:
+ *                 type: string
+ *                 example: WH-EAST
+ *               address:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Location created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 location:
+ *                   $ref: '#/components/schemas/Location'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Location code already in use
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission('locations:create'),
+  [
+    body('name').trim().notEmpty().withMessage('Location name is required'),
+    body('code').trim().notEmpty().withMessage('Location code is required'),
+    body('isDefault').optional().isBoolean(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { name, code, address, isDefault } = req.body;
+
+    // Ensure the default exists first so its lazy backfill runs exactly once
+    await getDefaultLocation(req.tenantId);
+
+    if (isDefault) {
+      await Location.updateMany({ tenantId: req.tenantId }, { isDefault: false });
+    }
+
+    const location = await Location.create({
+      tenantId: req.tenantId,
+      name,
+      code,
+      address,
+      isDefault: !!isDefault,
+    });
+
+    res.status(201).json({ location });
+  })
+);
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   put:
+ *     summary: Update a location (requires locations:edit)
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Location ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               address:
+ *                 type: string
+ *               isDefault:
+ *                 type: boolean
+ *                 description: Only true is accepted; pick another default to move it
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Location updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 location:
+ *                   $ref: '#/components/schemas/Location'
+ *       400:
+ *         description: Cannot deactivate the default location
+ *       404:
+ *         description: Location not found
+ */
+router.put(
+  '/:id',
+  auth,
+  checkPermission('locations:edit'),
+  asyncHandler(async (req, res) => {
+    const { name, code, address, isDefault, isActive } = req.body;
+
+    const existing = await Location.findOne({ _id: req.params.id, tenantId: req.tenantId });
+    if (!existing) {
+      throw new AppError('Location not found', 404);
+    }
+
+    if (existing.isDefault && (isActive === false || isDefault === false)) {
+      throw new AppError('Choose another default location before changing this one', 400);
+    }
+
+    if (isDefault && !existing.isDefault) {
+      await Location.updateMany({ tenantId: req.tenantId }, { isDefault: false });
+    }
+
+    const location = await Location.findOneAndUpdate(
+      { _id: req.params.id, tenantId: req.tenantId },
+      {
+        ...(name && { name }),
+        ...(code && { code }),
+        ...(address !== undefined && { address }),
+        ...(isDefault && { isDefault: true, isActive: true }),
+        ...(isActive !== undefined && !isDefault && { isActive }),
+      },
+      { new: true, runValidators: true }
+    );
+
+    res.json({ location });
+  })
+);
+
+/**
+ * @swagger
+ * /locations/{id}:
+ *   delete:
+ *     summary: Delete an empty, non-default location (requires locations:delete)
+ *     tags: [Locations]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Location ID
+ *     responses:
+ *       200:
+ *         description: Location deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Location deleted
+ *       400:
+ *         description: Location is the default, still holds stock or has open transfers
+ *       404:
+ *         description: Location not found
+ */
+router.delete(
+  '/:id',
+  auth,
+  checkPermission('locations:delete'),
+  asyncHandler(async (req, res) => {
+    const location = await Location.findOne({
+      _id: req.params.id,
+      tenantId: req.tenantId,
+    });
+
+    if (!location) {
+      throw new AppError('Location not found', 404);
+    }
+
+    if (location.isDefault) {
+      throw new AppError('Cannot delete the default location', 400);
+    }
+
+    const [holdsStock, openTransfer] = await Promise.all([
+      StockLevel.exists({
+        tenantId: req.tenantId,
+        locationId: location._id,
+        quantity: { $gt: 0 },
+      }),
+      Transfer.exists({
+        tenantId: req.tenantId,
+        $or: [{ fromLocationId: location._id }, { toLocationId: location._id }],
+        status: { $in: ['draft', 'in_transit', 'partially_received'] },
+      }),
+    ]);
+    if (holdsStock) {
+      throw new AppError('Location still holds stock. Move or adjust it to zero first', 400);
+    }
+    if (openTransfer) {
+      throw new AppError('Location has open transfers. Receive or cancel them first', 400);
+    }
+
+    await Promise.all([
+      location.deleteOne(),
+      StockLevel.deleteMany({ tenantId: req.tenantId, locationId: location._id }),
+    ]);
+
+    res.json({ message: 'Location deleted' });
+  })
+);
+
+module.exports = router;
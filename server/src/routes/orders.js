@@ -1,13 +1,52 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
-const { Order, Variant, StockMovement } = require('../models');
+const {
+  Order, Variant, StockMovement, Tenant, PurchaseOrder, Shipment, ReturnAuthorization, Customer,
+} = require('../models');
 const { auth, authorize } = require('../middleware/auth');
 const { asyncHandler, generateOrderNumber } = require('../utils/helpers');
 const { AppError } = require('../middleware/errorHandler');
+const {
+  INCOMING_PO_STATUSES,
+  resolveLocation,
+  changeStock,
+  reserveStock,
+  getLocationQuantity,
+} = require('../services/inventory');
+const { getReservationExpiry, releaseOrderReservation } = require('../services/reservations');
+const { createShipment } = require('../services/shipments');
+const { findOrCreateCustomer } = require('../services/customers');
+const { receiveCost } = require('../services/costing');
+const { stockThreshold } = require('../services/forecasting');
 
 const router = express.Router();
 
+// Broadcast the new balances of every variant on an order, flagging any that
+// are now low. Reserved units count against availability.
+const emitStockUpdates = async (io, tenantId, order) => {
+  const room = `tenant:${tenantId}`;
+  for (const item of order.items) {
+    const variant = await Variant.findById(item.variantId).lean();
+    if (!variant) continue;
+    io.to(room).emit('stock:updated', {
+      variantId: variant._id,
+      locationId: order.locationId,
+      stock: variant.stock,
+      reserved: variant.reserved || 0,
+    });
+    const available = variant.stock - (variant.inTransit || 0) - (variant.reserved || 0);
+    if (available <= stockThreshold(variant)) {
+      io.to(room).emit('stock:low', {
+        variantId: variant._id,
+        sku: variant.sku,
+        stock: available,
+        threshold: stockThreshold(variant),
+      });
+    }
+  }
+};
+
 /**
  * @swagger
  * /orders:
@@ -29,7 +68,12 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [pending, confirmed, processing, shipped, delivered, cancelled]
+ *           enum: [pending, confirmed, processing, partially_shipped, shipped, delivered, cancelled]
+ *       - in: query
+ *         name: customerId
+ *         schema:
+ *           type: string
+ *         description: Only this customer's orders
  *       - in: query
  *         name: from
  *         schema:
@@ -61,11 +105,12 @@ router.get(
   '/',
   auth,
   asyncHandler(async (req, res) => {
-    const { page = 1, limit = 20, status, from, to } = req.query;
+    const { page = 1, limit = 20, status, customerId, from, to } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const filter = { tenantId: req.tenantId };
     if (status) filter.status = status;
+    if (customerId) filter.customerId = customerId;
     if (from || to) {
       filter.createdAt = {};
       if (from) filter.createdAt.$gte = new Date(from);
@@ -94,6 +139,137 @@ router.get(
   })
 );
 
+/**
+ * @swagger
+ * /orders/backorders:
+ *   get:
+ *     summary: List backordered order lines, oldest first
+ *     description: >
+ *       One row per open order line still waiting for stock, in the order
+ *       PO receipts will fill them. Incoming is what open purchase orders still
+ *       have to deliver for the variant.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *         description: Only lines fulfilled from this location
+ *     responses:
+ *       200:
+ *         description: Backordered lines with totals
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 backorders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/BackorderLine'
+ *                 totals:
+ *                   type: object
+ *                   properties:
+ *                     orders:
+ *                       type: integer
+ *                     lines:
+ *                       type: integer
+ *                     units:
+ *                       type: integer
+ */
+router.get(
+  '/backorders',
+  auth,
+  asyncHandler(async (req, res) => {
+    const { locationId } = req.query;
+    if (locationId && !mongoose.isValidObjectId(locationId)) {
+      throw new AppError('Location not found', 404);
+    }
+    const tenantObjId = new mongoose.Types.ObjectId(req.tenantId);
+
+    const match = {
+      tenantId: tenantObjId,
+      status: { $nin: ['shipped', 'delivered', 'cancelled'] },
+      'items.quantityBackordered': { $gt: 0 },
+    };
+    if (locationId) match.locationId = new mongoose.Types.ObjectId(locationId);
+
+    const backorders = await Order.aggregate([
+      { $match: match },
+      { $unwind: '$items' },
+      { $match: { 'items.quantityBackordered': { $gt: 0 } } },
+      { $sort: { createdAt: 1 } },
+      {
+        $lookup: {
+          from: 'locations',
+          localField: 'locationId',
+          foreignField: '_id',
+          as: 'location',
+        },
+      },
+      {
+        $project: {
+          orderId: '$_id',
+          _id: 0,
+          orderNumber: 1,
+          status: 1,
+          customerName: 1,
+          createdAt: 1,
+          location: {
+            $let: {
+              vars: { l: { $arrayElemAt: ['$location', 0] } },
+              in: { _id: '$$l._id', name: '$$l.name', code: '$$l.code' },
+            },
+          },
+          variantId: '$items.variantId',
+          productId: '$items.productId',
+          productName: '$items.productName',
+          variantSku: '$items.variantSku',
+          quantity: '$items.quantity',
+          quantityFulfilled: '$items.quantityFulfilled',
+          quantityBackordered: '$items.quantityBackordered',
+        },
+      },
+    ]);
+
+    // What open POs will still bring in for each backordered variant
+    const variantIds = [...new Set(backorders.map((b) => b.variantId.toString()))]
+      .map((id) => new mongoose.Types.ObjectId(id));
+    const incoming = variantIds.length === 0 ? [] : await PurchaseOrder.aggregate([
+      {
+        $match: {
+          tenantId: tenantObjId,
+          status: { $in: INCOMING_PO_STATUSES },
+        },
+      },
+      { $unwind: '$items' },
+      { $match: { 'items.variantId': { $in: variantIds } } },
+      {
+        $group: {
+          _id: '$items.variantId',
+          quantity: { $sum: { $subtract: ['$items.quantityOrdered', '$items.quantityReceived'] } },
+        },
+      },
+    ]);
+    const incomingMap = {};
+    incoming.forEach((i) => {
+      incomingMap[i._id.toString()] = i.quantity;
+    });
+
+    res.json({
+      backorders: backorders.map((b) => ({
+        ...b,
+        incomingQuantity: incomingMap[b.variantId.toString()] || 0,
+      })),
+      totals: {
+        orders: new Set(backorders.map((b) => b.orderId.toString())).size,
+        lines: backorders.length,
+        units: backorders.reduce((sum, b) => sum + b.quantityBackordered, 0),
+      },
+    });
+  })
+);
+
 /**
  * @swagger
  * /orders/{id}:
@@ -109,7 +285,7 @@ router.get(
  *         description: Order ID
  *     responses:
  *       200:
- *         description: Order details
+ *         description: Order details with its shipments and returns
  *         content:
  *           application/json:
  *             schema:
@@ -117,6 +293,14 @@ router.get(
  *               properties:
  *                 order:
  *                   $ref: '#/components/schemas/Order'
+ *                 shipments:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Shipment'
+ *                 returns:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReturnAuthorization'
  *       404:
  *         description: Order not found
  */
@@ -129,13 +313,26 @@ router.get(
       tenantId: req.tenantId,
     })
       .populate('createdBy', 'name email')
+      .populate('locationId', 'name code')
+      .populate('items.productId', 'name trackSerials')
       .lean();
 
     if (!order) {
       throw new AppError('Order not found', 404);
     }
 
-    res.json({ order });
+    const [shipments, returns] = await Promise.all([
+      Shipment.find({ tenantId: req.tenantId, orderId: order._id })
+        .sort({ shippedAt: 1 })
+        .populate('createdBy', 'name')
+        .lean(),
+      ReturnAuthorization.find({ tenantId: req.tenantId, orderId: order._id })
+        .sort({ createdAt: 1 })
+        .populate('createdBy', 'name')
+        .lean(),
+    ]);
+
+    res.json({ order, shipments, returns });
   })
 );
 
@@ -143,7 +340,14 @@ router.get(
  * @swagger
  * /orders:
  *   post:
- *     summary: Create a new order (deducts stock atomically)
+ *     summary: Create a new order (reserves stock atomically at one location)
+ *     description: >
+ *       Stock is reserved rather than deducted: it stays on hand but is no longer
+ *       available until the order ships (consumed) or is cancelled (released).
+ *       Pending orders lose their reservation after the tenant's
+ *       reservationExpiryHours setting. When the tenant allows backorders, a
+ *       short line reserves what is available and backorders the rest instead
+ *       of failing; those orders do not expire.
  *     tags: [Orders]
  *     requestBody:
  *       required: true
@@ -165,11 +369,18 @@ router.get(
  *                     quantity:
  *                       type: integer
  *                       minimum: 1
+ *               locationId:
+ *                 type: string
+ *                 description: Location to fulfil from (defaults to the tenant's default location)
+ *               customerId:
+ *                 type: string
+ *                 description: Existing customer; their name and email are copied onto the order
  *               customerName:
  *                 type: string
  *               customerEmail:
  *                 type: string
  *                 format: email
+ *                 description: Without customerId, links the order to the customer with this email (created if new)
  *               notes:
  *                 type: string
  *     responses:
@@ -185,7 +396,7 @@ router.get(
  *       400:
  *         description: Validation error or insufficient stock
  *       404:
- *         description: Variant not found
+ *         description: Variant, location or customer not found
  */
 router.post(
   '/',
@@ -194,8 +405,10 @@ router.post(
     body('items').isArray({ min: 1 }).withMessage('Please add at least one item to the order'),
     body('items.*.variantId').notEmpty().withMessage('Please select a product variant for each item'),
     body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('locationId').optional().isMongoId().withMessage('Please select a valid location'),
+    body('customerId').optional().isMongoId().withMessage('Please select a valid customer'),
     body('customerName').optional().trim(),
-    body('customerEmail').optional().isEmail().withMessage('Please enter a valid email address'),
+    body('customerEmail').optional({ values: 'falsy' }).isEmail().withMessage('Please enter a valid email address'),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -203,38 +416,63 @@ router.post(
       return res.status(400).json({ error: 'Validation failed', details: errors.array() });
     }
 
-    const { items, customerName, customerEmail, notes } = req.body;
+    const { items, locationId, customerId, notes } = req.body;
+    let { customerName, customerEmail } = req.body;
     const session = await mongoose.startSession();
     session.startTransaction();
 
     try {
+      const location = await resolveLocation(req.tenantId, locationId, session);
+
+      const customer = customerId
+        ? await Customer.findOne({ _id: customerId, tenantId: req.tenantId }).session(session)
+        : await findOrCreateCustomer({
+          tenantId: req.tenantId, name: customerName, email: customerEmail, session,
+        });
+      if (customerId && !customer) {
+        throw new AppError('Customer not found', 404);
+      }
+      if (customer) {
+        customerName = customerId ? customer.name : customerName || customer.name;
+        customerEmail = customer.email;
+      }
+      const tenant = await Tenant.findById(req.tenantId).select('settings').session(session).lean();
+      const { allowBackorders } = tenant?.settings || {};
       const orderItems = [];
-      const stockMovements = [];
 
       for (const item of items) {
-        // Atomic conditional update — prevents overselling
-        const variant = await Variant.findOneAndUpdate(
-          {
-            _id: item.variantId,
-            tenantId: req.tenantId,
-            stock: { $gte: item.quantity },
-          },
-          { $inc: { stock: -item.quantity } },
-          { new: true, session }
-        );
+        const existing = await Variant.findOne({ _id: item.variantId, tenantId: req.tenantId })
+          .session(session);
+        if (!existing) {
+          throw new AppError(`Variant ${item.variantId} not found`, 404);
+        }
 
-        if (!variant) {
-          // Check if variant exists at all
-          const exists = await Variant.findOne({
-            _id: item.variantId,
+        // With backorders on, allocate what is available and backorder the rest
+        let allocated = item.quantity;
+        if (allowBackorders) {
+          const available = await getLocationQuantity(
+            req.tenantId, existing._id, location._id, session
+          );
+          allocated = Math.max(0, Math.min(available, item.quantity));
+        }
+
+        // Atomic conditional reservation — prevents overselling
+        const variant = allocated > 0
+          ? await reserveStock({
             tenantId: req.tenantId,
-          }).session(session);
+            variantId: existing._id,
+            locationId: location._id,
+            quantity: allocated,
+            session,
+          })
+          : existing;
 
-          if (!exists) {
-            throw new AppError(`Variant ${item.variantId} not found`, 404);
-          }
+        if (!variant) {
+          const available = await getLocationQuantity(
+            req.tenantId, existing._id, location._id, session
+          );
           throw new AppError(
-            `Insufficient stock for ${exists.sku}. Available: ${exists.stock}, Requested: ${item.quantity}`,
+            `Insufficient stock for ${existing.sku} at ${location.name}. Available: ${available}, Requested: ${item.quantity}`,
             400
           );
         }
@@ -249,70 +487,45 @@ router.post(
           productName: product?.name || 'Unknown',
           variantSku: variant.sku,
           quantity: item.quantity,
+          quantityFulfilled: allocated,
+          quantityBackordered: item.quantity - allocated,
           unitPrice: variant.price,
           total: variant.price * item.quantity,
         });
-
-        stockMovements.push({
-          tenantId: req.tenantId,
-          variantId: variant._id,
-          productId: variant.productId,
-          type: 'sale',
-          quantity: -item.quantity,
-          previousStock: variant.stock + item.quantity,
-          newStock: variant.stock,
-          createdBy: req.user._id,
-        });
       }
 
       const totalAmount = orderItems.reduce((sum, item) => sum + item.total, 0);
+      // Orders waiting on backorders keep their allocation until stock arrives
+      const hasBackorders = orderItems.some((item) => item.quantityBackordered > 0);
+      const reservationExpiresAt = hasBackorders ? null : getReservationExpiry(tenant?.settings);
 
       const [order] = await Order.create(
         [
           {
             tenantId: req.tenantId,
             orderNumber: generateOrderNumber('ORD'),
+            locationId: location._id,
             items: orderItems,
             totalAmount,
+            customerId: customer?._id,
             customerName,
             customerEmail,
             notes,
+            stockStatus: 'reserved',
+            ...(reservationExpiresAt && { reservationExpiresAt }),
             createdBy: req.user._id,
           },
         ],
         { session }
       );
 
-      // Record stock movements with order reference
-      const movements = stockMovements.map((m) => ({
-        ...m,
-        reference: `Order ${order.orderNumber}`,
-        referenceId: order._id,
-      }));
-      await StockMovement.create(movements, { session });
-
       await session.commitTransaction();
 
       // Emit real-time updates
       const io = req.app.get('io');
       if (io) {
         io.to(`tenant:${req.tenantId}`).emit('order:created', { order });
-        // Emit stock updates for each variant
-        for (const item of orderItems) {
-          const updatedVariant = await Variant.findById(item.variantId).lean();
-          io.to(`tenant:${req.tenantId}`).emit('stock:updated', {
-            variantId: item.variantId,
-            stock: updatedVariant.stock,
-          });
-          if (updatedVariant.stock <= updatedVariant.lowStockThreshold) {
-            io.to(`tenant:${req.tenantId}`).emit('stock:low', {
-              variantId: updatedVariant._id,
-              sku: updatedVariant.sku,
-              stock: updatedVariant.stock,
-              threshold: updatedVariant.lowStockThreshold,
-            });
-          }
-        }
+        await emitStockUpdates(io, req.tenantId, order);
       }
 
       res.status(201).json({ order });
@@ -330,6 +543,11 @@ router.post(
  * /orders/{id}/status:
  *   put:
  *     summary: Update order status (owner/manager only)
+ *     description: >
+ *       Setting shipped records a single shipment for everything still to go out
+ *       (see POST /orders/{id}/shipments for split shipments). Delivered is only
+ *       allowed once the order is fully shipped. Any status change past pending
+ *       stops the reservation from expiring.
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -360,7 +578,7 @@ router.post(
  *                 order:
  *                   $ref: '#/components/schemas/Order'
  *       400:
- *         description: Invalid status transition
+ *         description: Invalid status transition, or shipping an order with backordered items
  *       404:
  *         description: Order not found
  */
@@ -375,32 +593,205 @@ router.put(
       return res.status(400).json({ error: 'Validation failed', details: errors.array() });
     }
 
-    const order = await Order.findOne({
-      _id: req.params.id,
-      tenantId: req.tenantId,
-    });
+    const session = await mongoose.startSession();
+    session.startTransaction();
 
-    if (!order) {
-      throw new AppError('Order not found', 404);
-    }
+    try {
+      const order = await Order.findOne({
+        _id: req.params.id,
+        tenantId: req.tenantId,
+      }).session(session);
+
+      if (!order) {
+        throw new AppError('Order not found', 404);
+      }
+
+      if (order.status === 'cancelled') {
+        throw new AppError('Cannot update a cancelled order', 400);
+      }
+
+      if (order.status === 'delivered') {
+        throw new AppError('Cannot update a delivered order', 400);
+      }
+
+      const { status } = req.body;
+      let shipment = null;
 
-    if (order.status === 'cancelled') {
-      throw new AppError('Cannot update a cancelled order', 400);
+      if (status === 'shipped') {
+        // Shorthand for one shipment covering everything still to go out
+        if (order.items.some((item) => item.quantityBackordered > 0)) {
+          throw new AppError('Order still has backordered items. Ship it once they are filled', 400);
+        }
+        ({ shipment } = await createShipment({ order, userId: req.user._id, session }));
+      } else {
+        if (status === 'delivered' && order.status !== 'shipped') {
+          throw new AppError('Only fully shipped orders can be marked delivered', 400);
+        }
+        if (['confirmed', 'processing'].includes(status) && ['partially_shipped', 'shipped'].includes(order.status)) {
+          throw new AppError('Order status follows its shipments once shipping has started', 400);
+        }
+
+        // Only pending orders can expire
+        order.status = status;
+        order.reservationExpiresAt = undefined;
+        await order.save({ session });
+      }
+
+      await session.commitTransaction();
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`tenant:${req.tenantId}`).emit('order:updated', { order });
+        if (shipment) {
+          io.to(`tenant:${req.tenantId}`).emit('shipment:created', { shipment });
+          await emitStockUpdates(io, req.tenantId, order);
+        }
+      }
+
+      res.json({ order });
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
     }
+  })
+);
 
-    if (order.status === 'delivered') {
-      throw new AppError('Cannot update a delivered order', 400);
+/**
+ * @swagger
+ * /orders/{id}/shipments:
+ *   post:
+ *     summary: Record a shipment for an order (owner/manager only)
+ *     description: >
+ *       Ships some or all of the allocated, not yet shipped quantity. Reserved
+ *       stock for the shipped units is consumed and recorded as sales. The order
+ *       becomes partially_shipped or shipped depending on what its shipments cover.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Order ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 description: Lines to ship; omit to ship everything that is ready
+ *                 items:
+ *                   type: object
+ *                   required: [variantId, quantity]
+ *                   properties:
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     serialNumbers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Units to send for serial-tracked products; any not named are picked longest held first
+ *               carrier:
+ *                 type: string
+ *                 example: UPS
+ *               trackingNumber:
+ *                 type: string
+ *                 example: 1Z999AA10123456784
+ *               weight:
+ *                 type: number
+ *                 example: 2.4
+ *               weightUnit:
+ *                 type: string
+ *                 enum: [kg, lb]
+ *               shippedAt:
+ *                 type: string
+ *                 format: date-time
+ *               notes:
+ *                 type: string
+ *     responses:
+ *       201:
+ *         description: Shipment recorded
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 shipment:
+ *                   $ref: '#/components/schemas/Shipment'
+ *                 order:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Validation error, or more than is ready to ship
+ *       404:
+ *         description: Order not found
+ */
+router.post(
+  '/:id/shipments',
+  auth,
+  authorize('owner', 'manager'),
+  [
+    body('items').optional().isArray().withMessage('Items must be a list'),
+    body('items.*.variantId').notEmpty().withMessage('Please select a product variant for each item'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+    body('items.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+    body('carrier').optional().trim(),
+    body('trackingNumber').optional().trim(),
+    body('weight').optional().isFloat({ min: 0 }).withMessage('Weight cannot be negative'),
+    body('weightUnit').optional().isIn(['kg', 'lb']).withMessage('Weight unit must be kg or lb'),
+    body('shippedAt').optional().isISO8601().withMessage('Please enter a valid ship date'),
+    body('notes').optional().trim(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
     }
 
-    order.status = req.body.status;
-    await order.save();
+    const { items, carrier, trackingNumber, weight, weightUnit, shippedAt, notes } = req.body;
+    const session = await mongoose.startSession();
+    session.startTransaction();
 
-    const io = req.app.get('io');
-    if (io) {
-      io.to(`tenant:${req.tenantId}`).emit('order:updated', { order });
-    }
+    try {
+      const order = await Order.findOne({
+        _id: req.params.id,
+        tenantId: req.tenantId,
+      }).session(session);
 
-    res.json({ order });
+      if (!order) {
+        throw new AppError('Order not found', 404);
+      }
+
+      const { shipment } = await createShipment({
+        order,
+        lines: items || [],
+        details: { carrier, trackingNumber, weight, weightUnit, shippedAt, notes },
+        userId: req.user._id,
+        session,
+      });
+
+      await session.commitTransaction();
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`tenant:${req.tenantId}`).emit('shipment:created', { shipment });
+        io.to(`tenant:${req.tenantId}`).emit('order:updated', { order });
+        await emitStockUpdates(io, req.tenantId, order);
+      }
+
+      res.status(201).json({ shipment, order });
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
   })
 );
 
@@ -408,7 +799,7 @@ router.put(
  * @swagger
  * /orders/{id}/cancel:
  *   post:
- *     summary: Cancel an order and restore stock (owner/manager only)
+ *     summary: Cancel an order and release its reserved stock (owner/manager only)
  *     tags: [Orders]
  *     parameters:
  *       - in: path
@@ -428,7 +819,7 @@ router.put(
  *                 example: Customer requested cancellation
  *     responses:
  *       200:
- *         description: Order cancelled, stock restored
+ *         description: Order cancelled, reservation released (or stock restored for older orders)
  *         content:
  *           application/json:
  *             schema:
@@ -437,7 +828,7 @@ router.put(
  *                 order:
  *                   $ref: '#/components/schemas/Order'
  *       400:
- *         description: Order already cancelled or shipped/delivered
+ *         description: Order already cancelled or has started shipping
  *       404:
  *         description: Order not found
  */
@@ -465,37 +856,63 @@ router.post(
         throw new AppError('Order is already cancelled', 400);
       }
 
-      if (['shipped', 'delivered'].includes(order.status)) {
-        throw new AppError('Cannot cancel a shipped/delivered order', 400);
+      if (['partially_shipped', 'shipped', 'delivered'].includes(order.status)) {
+        throw new AppError('Cannot cancel an order that has started shipping', 400);
       }
 
-      // Restore stock for each item
-      const stockMovements = [];
-      for (const item of order.items) {
-        const variant = await Variant.findOneAndUpdate(
-          { _id: item.variantId, tenantId: req.tenantId },
-          { $inc: { stock: item.quantity } },
-          { new: true, session }
-        );
+      if (order.stockStatus === 'reserved') {
+        // Nothing left the shelf, so just free the allocation
+        await releaseOrderReservation(order, session);
+        order.stockStatus = 'released';
+        order.reservationExpiresAt = undefined;
+      } else {
+        // Placed before reservations: stock was deducted up front, so put it back
+        const location = await resolveLocation(req.tenantId, order.locationId, session);
+        const stockMovements = [];
+        for (const item of order.items) {
+          const variant = await Variant.exists({ _id: item.variantId, tenantId: req.tenantId })
+            .session(session);
+          if (!variant) continue;
+
+          const result = await changeStock({
+            tenantId: req.tenantId,
+            variantId: item.variantId,
+            locationId: location._id,
+            quantity: item.quantity,
+            session,
+          });
+
+          // These sales were never costed, so the stock comes back at cost price
+          const cost = await receiveCost({
+            tenantId: req.tenantId,
+            variant: result.variant,
+            quantity: item.quantity,
+            source: 'return',
+            reference: `Cancelled Order ${order.orderNumber}`,
+            referenceId: order._id,
+            session,
+          });
 
-        if (variant) {
           stockMovements.push({
             tenantId: req.tenantId,
-            variantId: variant._id,
+            variantId: result.variant._id,
             productId: item.productId,
+            locationId: location._id,
             type: 'return',
             quantity: item.quantity,
-            previousStock: variant.stock - item.quantity,
-            newStock: variant.stock,
+            unitCost: cost.unitCost,
+            totalCost: cost.totalCost,
+            previousStock: result.variant.stock - item.quantity,
+            newStock: result.variant.stock,
             reference: `Cancelled Order ${order.orderNumber}`,
             referenceId: order._id,
             notes: reason || 'Order cancelled',
             createdBy: req.user._id,
           });
         }
-      }
 
-      await StockMovement.create(stockMovements, { session });
+        await StockMovement.create(stockMovements, { session });
+      }
 
       order.status = 'cancelled';
       order.cancelledAt = new Date();
@@ -1,12 +1,39 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const { body, query, validationResult } = require('express-validator');
-const { Product, Variant } = require('../models');
+const {
+  Product, Variant, StockLevel, StockMovement, Order,
+} = require('../models');
 const { auth, authorize } = require('../middleware/auth');
 const { asyncHandler, generateSku } = require('../utils/helpers');
 const { AppError } = require('../middleware/errorHandler');
+const { resolveLocation, openingMovements, closingMovements } = require('../services/inventory');
 
 const router = express.Router();
 
+// Orders and transfers still counting on a variant would be left unable to ship or receive it
+const assertDeletable = async (tenantId, variants, session) => {
+  const reserved = variants.find((v) => (v.reserved || 0) > 0);
+  if (reserved) {
+    throw new AppError(`${reserved.sku} has ${reserved.reserved} unit(s) reserved for orders; ship or cancel them first`, 400);
+  }
+  const inTransit = variants.find((v) => (v.inTransit || 0) > 0);
+  if (inTransit) {
+    throw new AppError(`${inTransit.sku} has ${inTransit.inTransit} unit(s) in transit; receive the transfer first`, 400);
+  }
+  const order = await Order.findOne({
+    tenantId,
+    status: { $nin: ['shipped', 'delivered', 'cancelled'] },
+    'items.variantId': { $in: variants.map((v) => v._id) },
+  })
+    .select('orderNumber')
+    .session(session)
+    .lean();
+  if (order) {
+    throw new AppError(`Order ${order.orderNumber} is still open for this stock; ship or cancel it first`, 400);
+  }
+};
+
 /**
  * @swagger
  * /products:
@@ -38,6 +65,25 @@ const router = express.Router();
  *         schema:
  *           type: string
  *           enum: ['true', 'false']
+ *       - in: query
+ *         name: abc
+ *         schema:
+ *           type: string
+ *           enum: [A, B, C]
+ *         description: Only products with a variant in this ABC class
+ *       - in: query
+ *         name: xyz
+ *         schema:
+ *           type: string
+ *           enum: [X, Y, Z]
+ *         description: Only products with a variant in this XYZ class (the same variant when abc is also given)
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [newest, abc, xyz]
+ *           default: newest
+ *         description: abc and xyz put products by their best variant class, then by classified value; unclassified last
  *     responses:
  *       200:
  *         description: A paginated list of products with variants
@@ -56,8 +102,18 @@ const router = express.Router();
 router.get(
   '/',
   auth,
+  [
+    query('abc').optional().isIn(['A', 'B', 'C']).withMessage('ABC class must be A, B or C'),
+    query('xyz').optional().isIn(['X', 'Y', 'Z']).withMessage('XYZ class must be X, Y or Z'),
+    query('sort').optional().isIn(['newest', 'abc', 'xyz']).withMessage('Sort must be newest, abc or xyz'),
+  ],
   asyncHandler(async (req, res) => {
-    const { page = 1, limit = 20, search, category, active } = req.query;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { page = 1, limit = 20, search, category, active, abc, xyz, sort = 'newest' } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const filter = { tenantId: req.tenantId };
@@ -70,15 +126,48 @@ router.get(
     if (active !== undefined) {
       filter.isActive = active === 'true';
     }
+    if (abc || xyz) {
+      const classFilter = { tenantId: req.tenantId };
+      if (abc) classFilter['classification.abc'] = abc;
+      if (xyz) classFilter['classification.xyz'] = xyz;
+      filter._id = { $in: await Variant.distinct('productId', classFilter) };
+    }
 
-    const [products, total] = await Promise.all([
-      Product.find(filter)
-        .sort({ createdAt: -1 })
-        .skip(skip)
-        .limit(parseInt(limit))
-        .lean(),
-      Product.countDocuments(filter),
-    ]);
+    let products;
+    let total;
+    if (sort === 'newest') {
+      [products, total] = await Promise.all([
+        Product.find(filter)
+          .sort({ createdAt: -1 })
+          .skip(skip)
+          .limit(parseInt(limit))
+          .lean(),
+        Product.countDocuments(filter),
+      ]);
+    } else {
+      // Classes live on variants, so rank products by their best one in memory
+      const field = `classification.${sort}`;
+      const [candidates, ranks] = await Promise.all([
+        Product.find(filter).select('_id createdAt').sort({ createdAt: -1 }).lean(),
+        Variant.aggregate([
+          { $match: { tenantId: new mongoose.Types.ObjectId(req.tenantId), [field]: { $exists: true } } },
+          { $group: { _id: '$productId', best: { $min: `$${field}` }, value: { $sum: '$classification.value' } } },
+        ]),
+      ]);
+      const rankMap = new Map(ranks.map((r) => [r._id.toString(), r]));
+      const pageIds = candidates
+        .map((p, i) => ({ id: p._id, order: i, rank: rankMap.get(p._id.toString()) }))
+        .sort((a, b) => {
+          if (!a.rank || !b.rank) return (a.rank ? -1 : 0) + (b.rank ? 1 : 0) || a.order - b.order;
+          return a.rank.best.localeCompare(b.rank.best) || b.rank.value - a.rank.value || a.order - b.order;
+        })
+        .slice(skip, skip + parseInt(limit))
+        .map((p) => p.id.toString());
+
+      const found = await Product.find({ _id: { $in: pageIds } }).lean();
+      products = pageIds.map((id) => found.find((p) => p._id.toString() === id));
+      total = candidates.length;
+    }
 
     // Attach variants to each product
     const productIds = products.map((p) => p._id);
@@ -183,12 +272,42 @@ router.get(
       throw new AppError('Product not found', 404);
     }
 
-    const variants = await Variant.find({
-      tenantId: req.tenantId,
-      productId: product._id,
-    }).lean();
+    const [variants, levels] = await Promise.all([
+      Variant.find({
+        tenantId: req.tenantId,
+        productId: product._id,
+      }).lean(),
+      StockLevel.find({
+        tenantId: req.tenantId,
+        productId: product._id,
+      })
+        .populate('locationId', 'name code')
+        .lean(),
+    ]);
+
+    // Attach per-location balances to each variant
+    const levelMap = {};
+    levels.forEach((l) => {
+      const vid = l.variantId.toString();
+      if (!levelMap[vid]) levelMap[vid] = [];
+      levelMap[vid].push({
+        locationId: l.locationId?._id,
+        name: l.locationId?.name,
+        code: l.locationId?.code,
+        quantity: l.quantity,
+        reserved: l.reserved || 0,
+      });
+    });
 
-    res.json({ product: { ...product, variants } });
+    res.json({
+      product: {
+        ...product,
+        variants: variants.map((v) => ({
+          ...v,
+          stockByLocation: levelMap[v._id.toString()] || [],
+        })),
+      },
+    });
   })
 );
 
@@ -225,6 +344,17 @@ router.get(
  *                 items:
  *                   type: string
  *                 example: [size, color]
+ *               trackLots:
+ *                 type: boolean
+ *                 description: Record lot numbers and expiry dates on receipt and pick stock first-expiring first
+ *               trackSerials:
+ *                 type: boolean
+ *                 description: >
+ *                   Record a serial number for every unit received, shipped and returned.
+ *                   Initial stock entered here carries no serials.
+ *               locationId:
+ *                 type: string
+ *                 description: Location that holds the initial stock (defaults to the tenant's default location)
  *               variants:
  *                 type: array
  *                 minItems: 1
@@ -248,6 +378,10 @@ router.get(
  *                       minimum: 0
  *                     lowStockThreshold:
  *                       type: integer
+ *                     reorderPoint:
+ *                       type: integer
+ *                     reorderQuantity:
+ *                       type: integer
  *     responses:
  *       201:
  *         description: Product created with variants
@@ -271,6 +405,9 @@ router.post(
     body('variants').isArray({ min: 1 }).withMessage('Please add at least one variant'),
     body('variants.*.price').isFloat({ min: 0 }).withMessage('Variant price cannot be negative'),
     body('variants.*.stock').optional().isInt({ min: 0 }).withMessage('Stock cannot be negative'),
+    body('variants.*.reorderPoint').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Reorder point cannot be negative'),
+    body('variants.*.reorderQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Reorder quantity must be at least 1'),
+    body('locationId').optional().isMongoId().withMessage('Please select a valid location'),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -278,7 +415,10 @@ router.post(
       return res.status(400).json({ error: 'Validation failed', details: errors.array() });
     }
 
-    const { name, description, category, basePrice, imageUrl, variantAttributes, variants } = req.body;
+    const {
+      name, description, category, basePrice, imageUrl, variantAttributes, trackLots, trackSerials, variants, locationId,
+    } = req.body;
+    const location = await resolveLocation(req.tenantId, locationId);
 
     // Create the product
     const product = await Product.create({
@@ -289,6 +429,8 @@ router.post(
       basePrice,
       imageUrl,
       variantAttributes: variantAttributes || [],
+      trackLots: !!trackLots,
+      trackSerials: !!trackSerials,
     });
 
     // Create variants
@@ -304,10 +446,33 @@ router.post(
           costPrice: v.costPrice || 0,
           stock: v.stock || 0,
           lowStockThreshold: v.lowStockThreshold || 10,
+          reorderPoint: v.reorderPoint,
+          reorderQuantity: v.reorderQuantity,
         });
       })
     );
 
+    // Initial stock is held at the chosen location
+    const initialLevels = variantDocs
+      .filter((v) => v.stock > 0)
+      .map((v) => ({
+        tenantId: req.tenantId,
+        variantId: v._id,
+        productId: product._id,
+        locationId: location._id,
+        quantity: v.stock,
+      }));
+    if (initialLevels.length > 0) {
+      await Promise.all([
+        StockLevel.insertMany(initialLevels),
+        StockMovement.insertMany(openingMovements(variantDocs, {
+          tenantId: req.tenantId,
+          locationId: location._id,
+          userId: req.user._id,
+        })),
+      ]);
+    }
+
     // Emit socket event for real-time update
     const io = req.app.get('io');
     if (io) {
@@ -355,6 +520,10 @@ router.post(
  *                 type: array
  *                 items:
  *                   type: string
+ *               trackLots:
+ *                 type: boolean
+ *               trackSerials:
+ *                 type: boolean
  *               isActive:
  *                 type: boolean
  *     responses:
@@ -375,7 +544,9 @@ router.put(
   auth,
   authorize('owner', 'manager'),
   asyncHandler(async (req, res) => {
-    const { name, description, category, basePrice, imageUrl, variantAttributes, isActive } = req.body;
+    const {
+      name, description, category, basePrice, imageUrl, variantAttributes, trackLots, trackSerials, isActive,
+    } = req.body;
 
     const product = await Product.findOneAndUpdate(
       { _id: req.params.id, tenantId: req.tenantId },
@@ -386,6 +557,8 @@ router.put(
         ...(basePrice !== undefined && { basePrice }),
         ...(imageUrl !== undefined && { imageUrl }),
         ...(variantAttributes && { variantAttributes }),
+        ...(trackLots !== undefined && { trackLots: !!trackLots }),
+        ...(trackSerials !== undefined && { trackSerials: !!trackSerials }),
         ...(isActive !== undefined && { isActive }),
       },
       { new: true, runValidators: true }
@@ -435,6 +608,8 @@ router.put(
  *                 message:
  *                   type: string
  *                   example: Product and variants deleted
+ *       400:
+ *         description: A variant has reserved or in-transit stock, or is on an open order
  *       404:
  *         description: Product not found
  */
@@ -443,21 +618,39 @@ router.delete(
   auth,
   authorize('owner', 'manager'),
   asyncHandler(async (req, res) => {
-    const product = await Product.findOneAndDelete({
-      _id: req.params.id,
-      tenantId: req.tenantId,
-    });
-
-    if (!product) {
-      throw new AppError('Product not found', 404);
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const product = await Product.findOne({ _id: req.params.id, tenantId: req.tenantId }).session(session);
+      if (!product) {
+        throw new AppError('Product not found', 404);
+      }
+
+      const variants = await Variant.find({ tenantId: req.tenantId, productId: product._id })
+        .select('productId sku stock reserved inTransit')
+        .session(session)
+        .lean();
+      await assertDeletable(req.tenantId, variants, session);
+
+      // Write the remaining stock off the ledger, then delete all variants and their balances
+      await StockMovement.insertMany(closingMovements(variants, {
+        tenantId: req.tenantId,
+        userId: req.user._id,
+        notes: `Product deleted: ${product.name}`,
+      }), { session });
+      await Variant.deleteMany({ tenantId: req.tenantId, productId: product._id }, { session });
+      await StockLevel.deleteMany({ tenantId: req.tenantId, productId: product._id }, { session });
+      await Product.deleteOne({ _id: product._id }, { session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
     }
 
-    // Delete all variants for this product
-    await Variant.deleteMany({
-      tenantId: req.tenantId,
-      productId: req.params.id,
-    });
-
     const io = req.app.get('io');
     if (io) {
       io.to(`tenant:${req.tenantId}`).emit('product:deleted', { productId: req.params.id });
@@ -502,8 +695,15 @@ router.delete(
  *               stock:
  *                 type: integer
  *                 minimum: 0
+ *               locationId:
+ *                 type: string
+ *                 description: Location that holds the initial stock
  *               lowStockThreshold:
  *                 type: integer
+ *               reorderPoint:
+ *                 type: integer
+ *               reorderQuantity:
+ *                 type: integer
  *     responses:
  *       201:
  *         description: Variant created
@@ -523,6 +723,10 @@ router.post(
   authorize('owner', 'manager'),
   [
     body('price').isFloat({ min: 0 }).withMessage('Price cannot be negative'),
+    body('stock').optional().isInt({ min: 0 }).withMessage('Stock cannot be negative'),
+    body('reorderPoint').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Reorder point cannot be negative'),
+    body('reorderQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Reorder quantity must be at least 1'),
+    body('locationId').optional().isMongoId().withMessage('Please select a valid location'),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -539,7 +743,10 @@ router.post(
       throw new AppError('Product not found', 404);
     }
 
-    const { sku, attributes, price, costPrice, stock, lowStockThreshold } = req.body;
+    const {
+      sku, attributes, price, costPrice, stock, lowStockThreshold, reorderPoint, reorderQuantity, locationId,
+    } = req.body;
+    const location = await resolveLocation(req.tenantId, locationId);
 
     const variant = await Variant.create({
       tenantId: req.tenantId,
@@ -550,8 +757,27 @@ router.post(
       costPrice: costPrice || 0,
       stock: stock || 0,
       lowStockThreshold: lowStockThreshold || 10,
+      reorderPoint,
+      reorderQuantity,
     });
 
+    if (variant.stock > 0) {
+      await Promise.all([
+        StockLevel.create({
+          tenantId: req.tenantId,
+          variantId: variant._id,
+          productId: product._id,
+          locationId: location._id,
+          quantity: variant.stock,
+        }),
+        StockMovement.insertMany(openingMovements([variant], {
+          tenantId: req.tenantId,
+          locationId: location._id,
+          userId: req.user._id,
+        })),
+      ]);
+    }
+
     res.status(201).json({ variant });
   })
 );
@@ -561,6 +787,7 @@ router.post(
  * /products/variants/{id}:
  *   put:
  *     summary: Update a variant (owner/manager only)
+ *     description: Stock can't be set here; use POST /stock/adjust so the change is recorded in the ledger.
  *     tags: [Products]
  *     parameters:
  *       - in: path
@@ -587,6 +814,14 @@ router.post(
  *                 type: number
  *               lowStockThreshold:
  *                 type: integer
+ *               reorderPoint:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: null falls back to lowStockThreshold
+ *               reorderQuantity:
+ *                 type: integer
+ *                 nullable: true
+ *                 description: null orders back up to twice the reorder point
  *               isActive:
  *                 type: boolean
  *     responses:
@@ -599,6 +834,8 @@ router.post(
  *               properties:
  *                 variant:
  *                   $ref: '#/components/schemas/Variant'
+ *       400:
+ *         description: Stock was included in the update
  *       404:
  *         description: Variant not found
  */
@@ -606,8 +843,20 @@ router.put(
   '/variants/:id',
   auth,
   authorize('owner', 'manager'),
+  [
+    body('stock').not().exists().withMessage('Stock can only be changed with a stock adjustment'),
+    body('reorderPoint').optional({ nullable: true }).isInt({ min: 0 }).withMessage('Reorder point cannot be negative'),
+    body('reorderQuantity').optional({ nullable: true }).isInt({ min: 1 }).withMessage('Reorder quantity must be at least 1'),
+  ],
   asyncHandler(async (req, res) => {
-    const { sku, attributes, price, costPrice, lowStockThreshold, isActive } = req.body;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const {
+      sku, attributes, price, costPrice, lowStockThreshold, reorderPoint, reorderQuantity, isActive,
+    } = req.body;
 
     const variant = await Variant.findOneAndUpdate(
       { _id: req.params.id, tenantId: req.tenantId },
@@ -617,6 +866,8 @@ router.put(
         ...(price !== undefined && { price }),
         ...(costPrice !== undefined && { costPrice }),
         ...(lowStockThreshold !== undefined && { lowStockThreshold }),
+        ...(reorderPoint !== undefined && { reorderPoint }),
+        ...(reorderQuantity !== undefined && { reorderQuantity }),
         ...(isActive !== undefined && { isActive }),
       },
       { new: true, runValidators: true }
@@ -654,6 +905,8 @@ router.put(
  *                 message:
  *                   type: string
  *                   example: Variant deleted
+ *       400:
+ *         description: The variant has reserved or in-transit stock, or is on an open order
  *       404:
  *         description: Variant not found
  */
@@ -662,13 +915,30 @@ router.delete(
   auth,
   authorize('owner', 'manager'),
   asyncHandler(async (req, res) => {
-    const variant = await Variant.findOneAndDelete({
-      _id: req.params.id,
-      tenantId: req.tenantId,
-    });
-
-    if (!variant) {
-      throw new AppError('Variant not found', 404);
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const variant = await Variant.findOne({ _id: req.params.id, tenantId: req.tenantId }).session(session).lean();
+      if (!variant) {
+        throw new AppError('Variant not found', 404);
+      }
+      await assertDeletable(req.tenantId, [variant], session);
+
+      await StockMovement.insertMany(closingMovements([variant], {
+        tenantId: req.tenantId,
+        userId: req.user._id,
+        notes: `Variant deleted: ${variant.sku}`,
+      }), { session });
+      await StockLevel.deleteMany({ tenantId: req.tenantId, variantId: variant._id }, { session });
+      await Variant.deleteOne({ _id: variant._id }, { session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
     }
 
     res.json({ message: 'Variant deleted' });
@@ -1,10 +1,17 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
-const { PurchaseOrder, Variant, StockMovement } = require('../models');
+const { PurchaseOrder, StockMovement, ApprovalRequest } = require('../models');
 const { auth, authorize } = require('../middleware/auth');
 const { asyncHandler, generateOrderNumber } = require('../utils/helpers');
 const { AppError } = require('../middleware/errorHandler');
+const { resolveLocation, changeStock } = require('../services/inventory');
+const { fillBackorders } = require('../services/backorders');
+const { receiveCost } = require('../services/costing');
+const { holdPurchaseOrder, emitRequested, emitDecided } = require('../services/approvals');
+const { isLotTracked, receiveLot, alertExpiringLots } = require('../services/lots');
+const { isSerialTracked, receiveSerials } = require('../services/serials');
+const { buildSuggestions, generateReorderPOs } = require('../services/reorder');
 
 const router = express.Router();
 
@@ -29,12 +36,18 @@ const router = express.Router();
  *         name: status
  *         schema:
  *           type: string
- *           enum: [draft, sent, confirmed, partially_received, received, cancelled]
+ *           enum: [draft, pending_approval, sent, confirmed, partially_received, received, cancelled]
  *       - in: query
  *         name: supplierId
  *         schema:
  *           type: string
  *         description: Filter by supplier ID
+ *       - in: query
+ *         name: source
+ *         schema:
+ *           type: string
+ *           enum: [manual, reorder]
+ *         description: reorder lists POs drafted from reorder suggestions
  *     responses:
  *       200:
  *         description: Paginated list of purchase orders
@@ -54,12 +67,13 @@ router.get(
   '/',
   auth,
   asyncHandler(async (req, res) => {
-    const { page = 1, limit = 20, status, supplierId } = req.query;
+    const { page = 1, limit = 20, status, supplierId, source } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const filter = { tenantId: req.tenantId };
     if (status) filter.status = status;
     if (supplierId) filter.supplierId = supplierId;
+    if (source) filter.source = source;
 
     const [purchaseOrders, total] = await Promise.all([
       PurchaseOrder.find(filter)
@@ -86,6 +100,118 @@ router.get(
   })
 );
 
+/**
+ * @swagger
+ * /purchase-orders/reorder-suggestions:
+ *   get:
+ *     summary: Preview what needs reordering, grouped by supplier (owner/manager only)
+ *     description: >
+ *       Projected stock is available stock plus units still due on open POs,
+ *       less units backordered on open orders. Variants at or below their
+ *       reorder point (when unset, the forecast reorder point, else
+ *       lowStockThreshold) are suggested from their preferred supplier, else the cheapest one that carries them, at that
+ *       supplier's unit price. The quantity is whole lots of the reorder
+ *       quantity, or enough to get back to twice the reorder point.
+ *     tags: [Purchase Orders]
+ *     responses:
+ *       200:
+ *         description: Suggested lines per supplier, and variants no supplier carries
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 suppliers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReorderSuggestion'
+ *                 unassigned:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReorderLine'
+ */
+router.get(
+  '/reorder-suggestions',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    res.json(await buildSuggestions(req.tenantId));
+  })
+);
+
+/**
+ * @swagger
+ * /purchase-orders/reorder-suggestions/generate:
+ *   post:
+ *     summary: Draft one PO per supplier from the reorder suggestions (owner/manager only)
+ *     description: >
+ *       Lines are added to the supplier's open reorder draft when there is
+ *       one. The POs stay drafts until someone reviews and sends them. The
+ *       same run happens nightly for tenants with settings.autoReorder on.
+ *     tags: [Purchase Orders]
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               lines:
+ *                 type: array
+ *                 description: Only draft these suggested variants, with these quantities (0 drops a line). Omit to take every suggestion as is.
+ *                 items:
+ *                   type: object
+ *                   required: [variantId, quantity]
+ *                   properties:
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 0
+ *     responses:
+ *       201:
+ *         description: Draft POs created or topped up
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 purchaseOrders:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/PurchaseOrder'
+ *                 unassigned:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReorderLine'
+ *       400:
+ *         description: Validation error
+ */
+router.post(
+  '/reorder-suggestions/generate',
+  auth,
+  authorize('owner', 'manager'),
+  [
+    body('lines').optional().isArray().withMessage('Lines must be a list'),
+    body('lines.*.variantId').isMongoId().withMessage('Please select a valid variant for each line'),
+    body('lines.*.quantity').isInt({ min: 0 }).withMessage('Quantity cannot be negative'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const result = await generateReorderPOs({
+      tenantId: req.tenantId,
+      userId: req.user._id,
+      lines: req.body.lines,
+      io: req.app.get('io'),
+    });
+
+    res.status(201).json(result);
+  })
+);
+
 /**
  * @swagger
  * /purchase-orders/{id}:
@@ -121,9 +247,10 @@ router.get(
       tenantId: req.tenantId,
     })
       .populate('supplierId', 'name contactPerson email phone')
+      .populate('locationId', 'name code')
       .populate('createdBy', 'name email')
       .populate('items.variantId', 'sku attributes stock price')
-      .populate('items.productId', 'name')
+      .populate('items.productId', 'name trackLots trackSerials')
       .lean();
 
     if (!po) {
@@ -167,6 +294,9 @@ router.get(
  *                     unitPrice:
  *                       type: number
  *                       minimum: 0
+ *               locationId:
+ *                 type: string
+ *                 description: Receiving location (defaults to the tenant's default location)
  *               expectedDeliveryDate:
  *                 type: string
  *                 format: date-time
@@ -196,6 +326,7 @@ router.post(
     body('items.*.productId').notEmpty().withMessage('Please select a product for each item'),
     body('items.*.quantityOrdered').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
     body('items.*.unitPrice').isFloat({ min: 0 }).withMessage('Unit price cannot be negative'),
+    body('locationId').optional().isMongoId().withMessage('Please select a valid location'),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -203,12 +334,14 @@ router.post(
       return res.status(400).json({ error: 'Validation failed', details: errors.array() });
     }
 
-    const { supplierId, items, expectedDeliveryDate, notes } = req.body;
+    const { supplierId, items, locationId, expectedDeliveryDate, notes } = req.body;
+    const location = await resolveLocation(req.tenantId, locationId);
 
     const po = await PurchaseOrder.create({
       tenantId: req.tenantId,
       poNumber: generateOrderNumber('PO'),
       supplierId,
+      locationId: location._id,
       items: items.map((item) => ({
         variantId: item.variantId,
         productId: item.productId,
@@ -240,6 +373,10 @@ router.post(
  * /purchase-orders/{id}/status:
  *   put:
  *     summary: Update purchase order status (owner/manager only)
+ *     description: >
+ *       Sending a draft that hits an approval rule moves it to pending_approval
+ *       instead and opens an approval request (202). Cancelling a PO waiting
+ *       for approval withdraws the request.
  *     tags: [Purchase Orders]
  *     parameters:
  *       - in: path
@@ -269,6 +406,17 @@ router.post(
  *               properties:
  *                 purchaseOrder:
  *                   $ref: '#/components/schemas/PurchaseOrder'
+ *       202:
+ *         description: Held for approval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 purchaseOrder:
+ *                   $ref: '#/components/schemas/PurchaseOrder'
+ *                 approval:
+ *                   $ref: '#/components/schemas/ApprovalRequest'
  *       400:
  *         description: Invalid status transition
  *       404:
@@ -297,6 +445,7 @@ router.put(
     // Validate status transitions
     const validTransitions = {
       draft: ['sent', 'cancelled'],
+      pending_approval: ['cancelled'],
       sent: ['confirmed', 'cancelled'],
       confirmed: ['cancelled'],
       partially_received: ['cancelled'],
@@ -310,13 +459,45 @@ router.put(
       );
     }
 
-    po.status = req.body.status;
-    await po.save();
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let approval = null;
+    let withdrawn = null;
+    try {
+      if (req.body.status === 'sent') {
+        approval = await holdPurchaseOrder({ tenantId: req.tenantId, user: req.user, po, session });
+      }
+      if (po.status === 'pending_approval') {
+        withdrawn = await ApprovalRequest.findOneAndUpdate(
+          { tenantId: req.tenantId, purchaseOrderId: po._id, status: 'pending' },
+          { status: 'cancelled', resolvedAt: new Date() },
+          { new: true, session }
+        );
+      }
+
+      po.status = approval ? 'pending_approval' : req.body.status;
+      await po.save({ session });
+
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
 
     const io = req.app.get('io');
     if (io) {
       io.to(`tenant:${req.tenantId}`).emit('po:updated', { purchaseOrder: po });
     }
+    if (approval) {
+      emitRequested(io, req.tenantId, approval);
+      return res.status(202).json({ purchaseOrder: po, approval });
+    }
+    if (withdrawn) {
+      emitDecided(io, req.tenantId, withdrawn);
+    }
 
     res.json({ purchaseOrder: po });
   })
@@ -327,6 +508,13 @@ router.put(
  * /purchase-orders/{id}/receive:
  *   post:
  *     summary: Receive a delivery for a purchase order (partial supported, owner/manager only)
+ *     description: >
+ *       Received units first fill backordered lines on open orders at the same
+ *       location, oldest order first. Each receipt adds a cost layer at the
+ *       actual unit price, or the ordered price when none is given. Lines of
+ *       lot-tracked products need a lot number; send the same variant more
+ *       than once to receive several lots. Lines of serial-tracked products
+ *       need one serial number per unit received.
  *     tags: [Purchase Orders]
  *     parameters:
  *       - in: path
@@ -343,6 +531,9 @@ router.put(
  *             type: object
  *             required: [items]
  *             properties:
+ *               locationId:
+ *                 type: string
+ *                 description: Location receiving the delivery (defaults to the PO's location)
  *               items:
  *                 type: array
  *                 minItems: 1
@@ -358,6 +549,17 @@ router.put(
  *                     actualUnitPrice:
  *                       type: number
  *                       minimum: 0
+ *                     lotNumber:
+ *                       type: string
+ *                       description: Required for lot-tracked products
+ *                     expiryDate:
+ *                       type: string
+ *                       format: date
+ *                     serialNumbers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *                       description: Required for serial-tracked products, one per unit
  *     responses:
  *       200:
  *         description: Delivery received, stock updated
@@ -382,6 +584,11 @@ router.post(
     body('items.*.variantId').notEmpty().withMessage('Please select a product variant for each item'),
     body('items.*.quantityReceived').isInt({ min: 1 }).withMessage('Received quantity must be at least 1'),
     body('items.*.actualUnitPrice').optional().isFloat({ min: 0 }).withMessage('Actual unit price cannot be negative'),
+    body('items.*.lotNumber').optional({ values: 'falsy' }).trim().isLength({ max: 50 }).withMessage('Lot number is too long'),
+    body('items.*.expiryDate').optional({ values: 'falsy' }).isISO8601().withMessage('Expiry date must be a valid date'),
+    body('items.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+    body('items.*.serialNumbers.*').isString().trim().isLength({ max: 100 }).withMessage('Serial numbers must be text of up to 100 characters'),
+    body('locationId').optional().isMongoId().withMessage('Please select a valid location'),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -404,7 +611,12 @@ router.post(
       }
 
       const { items: receivedItems } = req.body;
+      const location = await resolveLocation(
+        req.tenantId, req.body.locationId || po.locationId, session
+      );
       const stockMovements = [];
+      const filledOrders = new Map();
+      let lotsReceived = false;
 
       for (const received of receivedItems) {
         const poItem = po.items.find(
@@ -429,27 +641,90 @@ router.post(
           poItem.actualUnitPrice = received.actualUnitPrice;
         }
 
-        // Update variant stock
-        const variant = await Variant.findOneAndUpdate(
-          { _id: received.variantId, tenantId: req.tenantId },
-          { $inc: { stock: received.quantityReceived } },
-          { new: true, session }
-        );
+        // Update variant stock at the receiving location
+        const { variant } = await changeStock({
+          tenantId: req.tenantId,
+          variantId: received.variantId,
+          locationId: location._id,
+          quantity: received.quantityReceived,
+          session,
+        });
+
+        // Lot-tracked products record which lot the units belong to
+        let lots;
+        if (await isLotTracked(req.tenantId, variant.productId, session)) {
+          if (!received.lotNumber) {
+            throw new AppError(`Please enter a lot number for ${variant.sku}`, 400);
+          }
+          lots = [await receiveLot({
+            tenantId: req.tenantId,
+            variant,
+            locationId: location._id,
+            quantity: received.quantityReceived,
+            lotNumber: received.lotNumber,
+            expiryDate: received.expiryDate,
+            reference: `PO ${po.poNumber}`,
+            referenceId: po._id,
+            session,
+          })];
+          lotsReceived = true;
+        }
 
-        if (variant) {
-          stockMovements.push({
+        // Serial-tracked products record every unit received
+        let serialNumbers;
+        if (await isSerialTracked(req.tenantId, variant.productId, session)) {
+          serialNumbers = await receiveSerials({
             tenantId: req.tenantId,
-            variantId: variant._id,
-            productId: variant.productId,
-            type: 'purchase',
+            variant,
+            locationId: location._id,
             quantity: received.quantityReceived,
-            previousStock: variant.stock - received.quantityReceived,
-            newStock: variant.stock,
+            serialNumbers: received.serialNumbers,
+            purchaseOrderId: po._id,
             reference: `PO ${po.poNumber}`,
             referenceId: po._id,
-            createdBy: req.user._id,
+            userId: req.user._id,
+            session,
           });
         }
+
+        // Received units become a cost layer at what was actually paid
+        const cost = await receiveCost({
+          tenantId: req.tenantId,
+          variant,
+          quantity: received.quantityReceived,
+          unitCost: poItem.actualUnitPrice ?? poItem.unitPrice,
+          source: 'purchase',
+          reference: `PO ${po.poNumber}`,
+          referenceId: po._id,
+          session,
+        });
+
+        stockMovements.push({
+          tenantId: req.tenantId,
+          variantId: variant._id,
+          productId: variant.productId,
+          locationId: location._id,
+          type: 'purchase',
+          quantity: received.quantityReceived,
+          unitCost: cost.unitCost,
+          totalCost: cost.totalCost,
+          previousStock: variant.stock - received.quantityReceived,
+          newStock: variant.stock,
+          reference: `PO ${po.poNumber}`,
+          referenceId: po._id,
+          lots,
+          serialNumbers,
+          createdBy: req.user._id,
+        });
+
+        // New stock goes to waiting backorders before anything else
+        const filled = await fillBackorders({
+          tenantId: req.tenantId,
+          variantId: variant._id,
+          locationId: location._id,
+          session,
+        });
+        filled.forEach((order) => filledOrders.set(order._id.toString(), order));
       }
 
       // Check if all items fully received
@@ -466,15 +741,25 @@ router.post(
       const io = req.app.get('io');
       if (io) {
         io.to(`tenant:${req.tenantId}`).emit('po:received', { purchaseOrder: po });
+        for (const order of filledOrders.values()) {
+          io.to(`tenant:${req.tenantId}`).emit('order:updated', { order });
+        }
         // Emit stock updates
         for (const sm of stockMovements) {
           io.to(`tenant:${req.tenantId}`).emit('stock:updated', {
             variantId: sm.variantId,
+            locationId: sm.locationId,
             stock: sm.newStock,
           });
         }
       }
 
+      // Lots that arrive already close to expiry are flagged straight away
+      if (lotsReceived) {
+        alertExpiringLots(io, req.tenantId)
+          .catch((err) => console.error('Lot expiry check failed:', err));
+      }
+
       res.json({ purchaseOrder: po });
     } catch (error) {
       await session.abortTransaction();
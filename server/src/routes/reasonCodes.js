@@ -0,0 +1,280 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { ReasonCode, StockMovement } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { ensureReasonCodes } = require('../services/reasonCodes');
+
+const router = express.Router();
+
+const reasonValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Reason name is required'),
+  body('direction').optional().isIn(['decrease', 'increase', 'both']).withMessage('Please select a valid direction'),
+  body('account').optional().trim(),
+  body('requiresApproval').optional().isBoolean(),
+  body('isActive').optional().isBoolean(),
+];
+
+/**
+ * @swagger
+ * /reason-codes:
+ *   get:
+ *     summary: List the tenant's stock adjustment reason codes
+ *     tags: [Reason Codes]
+ *     parameters:
+ *       - in: query
+ *         name: active
+ *         schema:
+ *           type: string
+ *           enum: ['true', 'false']
+ *     responses:
+ *       200:
+ *         description: List of reason codes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reasonCodes:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReasonCode'
+ */
+router.get(
+  '/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const { active } = req.query;
+
+    await ensureReasonCodes(req.tenantId);
+
+    const filter = { tenantId: req.tenantId };
+    if (active !== undefined) {
+      filter.isActive = active === 'true';
+    }
+
+    const reasonCodes = await ReasonCode.find(filter).sort({ system: 1, code: 1 }).lean();
+
+    res.json({ reasonCodes });
+  })
+);
+
+/**
+ * @swagger
+ * /reason-codes:
+ *   post:
+ *     summary: Create a reason code (owner only)
+ *     tags: [Reason Codes]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [code, name]
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: WATER
+ *               name:
+ *                 type: string
+ *                 example: Water damage
+ *               direction:
+ *                 type: string
+ *                 enum: [decrease, increase, both]
+ *               account:
+ *                 type: string
+ *               requiresApproval:
+ *                 type: boolean
+ *     responses:
+ *       201:
+ *         description: Reason code created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reasonCode:
+ *                   $ref: '#/components/schemas/ReasonCode'
+ *       400:
+ *         description: Validation error
+ *       409:
+ *         description: Code already in use
+ */
+router.post(
+  '/',
+  auth,
+  authorize('owner'),
+  [
+    body('code')
+      .trim()
+      .matches(/^[A-Za-z0-9_-]{2,30}$/)
+      .withMessage('Code must be 2-30 letters, digits, dashes or underscores'),
+    body('name').trim().notEmpty().withMessage('Reason name is required'),
+    ...reasonValidators,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { code, name, direction, account, requiresApproval } = req.body;
+
+    // Seed the defaults first so they aren't skipped once this code exists
+    await ensureReasonCodes(req.tenantId);
+
+    const reasonCode = await ReasonCode.create({
+      tenantId: req.tenantId,
+      code,
+      name,
+      direction,
+      account,
+      requiresApproval: !!requiresApproval,
+    });
+
+    res.status(201).json({ reasonCode });
+  })
+);
+
+/**
+ * @swagger
+ * /reason-codes/{id}:
+ *   put:
+ *     summary: Update a reason code (owner only)
+ *     description: The code itself can't be changed because movements store it.
+ *     tags: [Reason Codes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reason code ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               name:
+ *                 type: string
+ *               direction:
+ *                 type: string
+ *                 enum: [decrease, increase, both]
+ *               account:
+ *                 type: string
+ *               requiresApproval:
+ *                 type: boolean
+ *               isActive:
+ *                 type: boolean
+ *     responses:
+ *       200:
+ *         description: Reason code updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 reasonCode:
+ *                   $ref: '#/components/schemas/ReasonCode'
+ *       400:
+ *         description: Validation error, or the code is recorded by the app
+ *       404:
+ *         description: Reason code not found
+ */
+router.put(
+  '/:id',
+  auth,
+  authorize('owner'),
+  reasonValidators,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { name, direction, account, requiresApproval, isActive } = req.body;
+
+    const existing = await ReasonCode.findOne({ _id: req.params.id, tenantId: req.tenantId });
+    if (!existing) {
+      throw new AppError('Reason code not found', 404);
+    }
+
+    // App-recorded codes only take a new name and account
+    if (existing.system && (direction !== undefined || requiresApproval !== undefined || isActive !== undefined)) {
+      throw new AppError(`${existing.code} is recorded by the app; only its name and account can change`, 400);
+    }
+
+    const reasonCode = await ReasonCode.findOneAndUpdate(
+      { _id: existing._id },
+      {
+        ...(name && { name }),
+        ...(direction && { direction }),
+        ...(account !== undefined && { account }),
+        ...(requiresApproval !== undefined && { requiresApproval }),
+        ...(isActive !== undefined && { isActive }),
+      },
+      { new: true, runValidators: true }
+    );
+
+    res.json({ reasonCode });
+  })
+);
+
+/**
+ * @swagger
+ * /reason-codes/{id}:
+ *   delete:
+ *     summary: Delete an unused reason code (owner only)
+ *     tags: [Reason Codes]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reason code ID
+ *     responses:
+ *       200:
+ *         description: Reason code deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Reason code deleted
+ *       400:
+ *         description: Code is recorded by the app or already used on movements
+ *       404:
+ *         description: Reason code not found
+ */
+router.delete(
+  '/:id',
+  auth,
+  authorize('owner'),
+  asyncHandler(async (req, res) => {
+    const reasonCode = await ReasonCode.findOne({ _id: req.params.id, tenantId: req.tenantId });
+    if (!reasonCode) {
+      throw new AppError('Reason code not found', 404);
+    }
+
+    if (reasonCode.system) {
+      throw new AppError(`${reasonCode.code} is recorded by the app and can't be deleted`, 400);
+    }
+
+    const used = await StockMovement.exists({ tenantId: req.tenantId, reasonCode: reasonCode.code });
+    if (used) {
+      throw new AppError('Reason code is used on stock movements. Deactivate it instead', 400);
+    }
+
+    await reasonCode.deleteOne();
+
+    res.json({ message: 'Reason code deleted' });
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,267 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { ReportSchedule } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { REPORTS, scheduleNextRun, sendScheduledReport } = require('../services/scheduledReports');
+
+const router = express.Router();
+
+const SCHEDULE_FIELDS = ['name', 'report', 'format', 'frequency', 'hour', 'dayOfWeek', 'dayOfMonth', 'recipients', 'isActive'];
+
+const scheduleValidators = [
+  body('name').optional().trim().notEmpty().withMessage('Schedule name is required'),
+  body('report').optional().isIn(REPORTS).withMessage('Please select a valid report'),
+  body('format').optional().isIn(['csv', 'pdf']).withMessage('Format must be csv or pdf'),
+  body('frequency').optional().isIn(['daily', 'weekly', 'monthly']).withMessage('Frequency must be daily, weekly or monthly'),
+  body('hour').optional().isInt({ min: 0, max: 23 }).withMessage('Hour must be between 0 and 23').toInt(),
+  body('dayOfWeek').optional().isInt({ min: 0, max: 6 }).withMessage('Day of week must be between 0 (Sunday) and 6').toInt(),
+  body('dayOfMonth').optional().isInt({ min: 1, max: 28 }).withMessage('Day of month must be between 1 and 28').toInt(),
+  body('recipients').optional().isArray({ min: 1, max: 20 }).withMessage('Add between 1 and 20 recipients'),
+  body('recipients.*').trim().isEmail().withMessage('Each recipient must be an email address').normalizeEmail(),
+  body('isActive').optional().isBoolean(),
+];
+
+const pickFields = (source) =>
+  Object.fromEntries(SCHEDULE_FIELDS.filter((f) => source[f] !== undefined).map((f) => [f, source[f]]));
+
+/**
+ * @swagger
+ * /report-schedules:
+ *   get:
+ *     summary: List the tenant's scheduled reports (owner only)
+ *     tags: [Report Schedules]
+ *     responses:
+ *       200:
+ *         description: List of report schedules
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 schedules:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReportSchedule'
+ */
+router.get(
+  '/',
+  auth,
+  authorize('owner'),
+  asyncHandler(async (req, res) => {
+    const schedules = await ReportSchedule.find({ tenantId: req.tenantId })
+      .sort({ createdAt: -1 })
+      .populate('createdBy', 'name')
+      .lean();
+
+    res.json({ schedules });
+  })
+);
+
+/**
+ * @swagger
+ * /report-schedules:
+ *   post:
+ *     summary: Schedule a recurring emailed report (owner only)
+ *     description: >
+ *       Sales reports cover the last full day, 7 days or calendar month for
+ *       daily, weekly and monthly schedules. Low stock and valuation reports
+ *       are a snapshot at the time they are sent.
+ *     tags: [Report Schedules]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportScheduleInput'
+ *     responses:
+ *       201:
+ *         description: Schedule created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 schedule:
+ *                   $ref: '#/components/schemas/ReportSchedule'
+ *       400:
+ *         description: Validation error
+ */
+router.post(
+  '/',
+  auth,
+  authorize('owner'),
+  [
+    body('name').trim().notEmpty().withMessage('Schedule name is required'),
+    body('report').isIn(REPORTS).withMessage('Please select a valid report'),
+    body('frequency').isIn(['daily', 'weekly', 'monthly']).withMessage('Frequency must be daily, weekly or monthly'),
+    body('recipients').isArray({ min: 1, max: 20 }).withMessage('Add between 1 and 20 recipients'),
+    ...scheduleValidators,
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const schedule = new ReportSchedule({
+      ...pickFields(req.body),
+      tenantId: req.tenantId,
+      createdBy: req.user._id,
+    });
+    schedule.nextRunAt = await scheduleNextRun(schedule);
+    await schedule.save();
+
+    res.status(201).json({ schedule });
+  })
+);
+
+/**
+ * @swagger
+ * /report-schedules/{id}:
+ *   put:
+ *     summary: Update a report schedule (owner only)
+ *     description: The next run is worked out again from the new timing.
+ *     tags: [Report Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report schedule ID
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ReportScheduleInput'
+ *     responses:
+ *       200:
+ *         description: Schedule updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 schedule:
+ *                   $ref: '#/components/schemas/ReportSchedule'
+ *       400:
+ *         description: Validation error
+ *       404:
+ *         description: Report schedule not found
+ */
+router.put(
+  '/:id',
+  auth,
+  authorize('owner'),
+  scheduleValidators,
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const schedule = await ReportSchedule.findOne({ _id: req.params.id, tenantId: req.tenantId });
+    if (!schedule) {
+      throw new AppError('Report schedule not found', 404);
+    }
+
+    schedule.set(pickFields(req.body));
+    schedule.nextRunAt = await scheduleNextRun(schedule);
+    await schedule.save();
+
+    res.json({ schedule });
+  })
+);
+
+/**
+ * @swagger
+ * /report-schedules/{id}:
+ *   delete:
+ *     summary: Delete a report schedule (owner only)
+ *     tags: [Report Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report schedule ID
+ *     responses:
+ *       200:
+ *         description: Schedule deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Report schedule deleted
+ *       404:
+ *         description: Report schedule not found
+ */
+router.delete(
+  '/:id',
+  auth,
+  authorize('owner'),
+  asyncHandler(async (req, res) => {
+    const schedule = await ReportSchedule.findOneAndDelete({ _id: req.params.id, tenantId: req.tenantId });
+    if (!schedule) {
+      throw new AppError('Report schedule not found', 404);
+    }
+
+    res.json({ message: 'Report schedule deleted' });
+  })
+);
+
+/**
+ * @swagger
+ * /report-schedules/{id}/send:
+ *   post:
+ *     summary: Send a scheduled report now (owner only)
+ *     description: Sends the report to its recipients straight away. The regular schedule is unchanged.
+ *     tags: [Report Schedules]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Report schedule ID
+ *     responses:
+ *       200:
+ *         description: Report sent
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 schedule:
+ *                   $ref: '#/components/schemas/ReportSchedule'
+ *       404:
+ *         description: Report schedule not found
+ *       502:
+ *         description: The report could not be built or the mail transport rejected it
+ */
+router.post(
+  '/:id/send',
+  auth,
+  authorize('owner'),
+  asyncHandler(async (req, res) => {
+    const schedule = await ReportSchedule.findOne({ _id: req.params.id, tenantId: req.tenantId }).lean();
+    if (!schedule) {
+      throw new AppError('Report schedule not found', 404);
+    }
+
+    const result = await sendScheduledReport(schedule);
+    if (result.status === 'failed') {
+      throw new AppError(`Report could not be sent: ${result.error}`, 502);
+    }
+
+    res.json({ schedule: await ReportSchedule.findById(schedule._id).lean() });
+  })
+);
+
+module.exports = router;
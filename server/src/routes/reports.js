@@ -0,0 +1,382 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { query, validationResult } = require('express-validator');
+const {
+  Variant, Product, StockMovement, Order, Tenant,
+} = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { getCostingMethod } = require('../services/costing');
+const { classifyVariants, classifyTenant } = require('../services/classification');
+const {
+  addDays, isDayKey, safeTimeZone, startOfDay,
+} = require('../utils/dates');
+
+const router = express.Router();
+
+const round = (value) => Math.round(value * 100) / 100;
+const rate = (margin, revenue) => (revenue > 0 ? Math.round((margin / revenue) * 10000) / 10000 : 0);
+
+const tenantTimeZone = async (tenantId) => {
+  const tenant = await Tenant.findById(tenantId).select('settings.timezone').lean();
+  return safeTimeZone(tenant?.settings?.timezone || 'UTC');
+};
+
+// A bare date (YYYY-MM-DD) means the start, or with endOfDay the end, of that day in the tenant's timezone
+const parseDate = (value, name, timeZone, endOfDay = false) => {
+  if (isDayKey(value)) {
+    return endOfDay
+      ? new Date(startOfDay(addDays(value, 1), timeZone).getTime() - 1)
+      : startOfDay(value, timeZone);
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`Invalid ${name} date`, 400);
+  }
+  return date;
+};
+
+/**
+ * @swagger
+ * /reports/valuation:
+ *   get:
+ *     summary: Inventory value at cost as of a date (owner/manager only)
+ *     description: >
+ *       Starts from today's cost layers and takes back every stock movement
+ *       recorded after the date. Movements from before costing was enabled
+ *       are valued at the variant's cost price.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: asOf
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: >
+ *           Date or timestamp to value stock at (defaults to now); a date means
+ *           the end of that day in the tenant's timezone
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Valuation per product and variant, highest value first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ValuationReport'
+ *       400:
+ *         description: Invalid date or product ID
+ */
+router.get(
+  '/valuation',
+  auth,
+  authorize('owner', 'manager'),
+  [query('productId').optional().isMongoId().withMessage('Please select a valid product')],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const timeZone = await tenantTimeZone(req.tenantId);
+    const asOf = req.query.asOf ? parseDate(req.query.asOf, 'asOf', timeZone, true) : new Date();
+    const tenantObjId = new mongoose.Types.ObjectId(req.tenantId);
+
+    const variantFilter = { tenantId: req.tenantId, createdAt: { $lte: asOf } };
+    if (req.query.productId) variantFilter.productId = req.query.productId;
+
+    const [variants, later, method] = await Promise.all([
+      Variant.find(variantFilter).select('productId sku costPrice stock costValue').lean(),
+      StockMovement.aggregate([
+        {
+          $match: {
+            tenantId: tenantObjId,
+            createdAt: { $gt: asOf },
+            ...(req.query.productId && { productId: new mongoose.Types.ObjectId(req.query.productId) }),
+          },
+        },
+        {
+          $group: {
+            _id: '$variantId',
+            quantity: { $sum: '$quantity' },
+            totalCost: { $sum: { $ifNull: ['$totalCost', 0] } },
+            uncosted: { $sum: { $cond: [{ $isNumber: '$totalCost' }, 0, '$quantity'] } },
+          },
+        },
+      ]),
+      getCostingMethod(req.tenantId),
+    ]);
+
+    const laterMap = {};
+    later.forEach((m) => {
+      laterMap[m._id.toString()] = m;
+    });
+
+    const products = await Product.find({
+      tenantId: req.tenantId,
+      _id: { $in: [...new Set(variants.map((v) => v.productId.toString()))] },
+    }).select('name category').lean();
+    const productMap = {};
+    products.forEach((p) => {
+      productMap[p._id.toString()] = p;
+    });
+
+    const byProduct = {};
+    for (const v of variants) {
+      const m = laterMap[v._id.toString()] || { quantity: 0, totalCost: 0, uncosted: 0 };
+      const currentValue = v.costValue ?? v.stock * (v.costPrice || 0);
+      const units = v.stock - m.quantity;
+      const value = round(currentValue - m.totalCost - m.uncosted * (v.costPrice || 0));
+      if (units === 0 && value === 0) continue;
+
+      const key = v.productId.toString();
+      if (!byProduct[key]) {
+        byProduct[key] = {
+          productId: v.productId,
+          productName: productMap[key]?.name || 'Deleted product',
+          category: productMap[key]?.category,
+          units: 0,
+          value: 0,
+          variants: [],
+        };
+      }
+      byProduct[key].units += units;
+      byProduct[key].value = round(byProduct[key].value + value);
+      byProduct[key].variants.push({
+        variantId: v._id,
+        sku: v.sku,
+        units,
+        value,
+        unitCost: units > 0 ? Math.round((value / units) * 10000) / 10000 : 0,
+      });
+    }
+
+    const rows = Object.values(byProduct).sort((a, b) => b.value - a.value);
+    res.json({
+      asOf,
+      costingMethod: method,
+      totals: {
+        units: rows.reduce((sum, r) => sum + r.units, 0),
+        value: round(rows.reduce((sum, r) => sum + r.value, 0)),
+      },
+      products: rows,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /reports/gross-margin:
+ *   get:
+ *     summary: Gross margin per order or per product (owner/manager only)
+ *     description: >
+ *       Revenue and cost of goods of shipped units, net of returns, for
+ *       non-cancelled orders placed in the period. Lines shipped before
+ *       costing was enabled have no cost of goods and are left out. Bare
+ *       dates are whole days in the tenant's timezone.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: groupBy
+ *         schema:
+ *           type: string
+ *           enum: [product, order]
+ *           default: product
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to 30 days ago
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Defaults to now
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Gross margin rows, highest margin first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/GrossMarginReport'
+ *       400:
+ *         description: Invalid date
+ */
+router.get(
+  '/gross-margin',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    const { groupBy = 'product', limit = 100 } = req.query;
+    if (!['product', 'order'].includes(groupBy)) {
+      throw new AppError('groupBy must be product or order', 400);
+    }
+    const timeZone = await tenantTimeZone(req.tenantId);
+    const from = req.query.from
+      ? parseDate(req.query.from, 'from', timeZone)
+      : new Date(Date.now() - 30 * 24 * 60 * 60 * 1000);
+    const to = req.query.to ? parseDate(req.query.to, 'to', timeZone, true) : new Date();
+
+    const group = groupBy === 'order'
+      ? {
+        _id: '$_id',
+        orderNumber: { $first: '$orderNumber' },
+        customerName: { $first: '$customerName' },
+        status: { $first: '$status' },
+        createdAt: { $first: '$createdAt' },
+      }
+      : {
+        _id: '$items.productId',
+        productName: { $first: '$items.productName' },
+      };
+
+    const rows = await Order.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(req.tenantId),
+          status: { $ne: 'cancelled' },
+          createdAt: { $gte: from, $lte: to },
+        },
+      },
+      { $unwind: '$items' },
+      { $match: { 'items.costOfGoods': { $type: 'number' } } },
+      {
+        $addFields: {
+          units: {
+            $subtract: [
+              { $ifNull: ['$items.quantityShipped', 0] },
+              { $ifNull: ['$items.quantityReturned', 0] },
+            ],
+          },
+        },
+      },
+      {
+        $group: {
+          ...group,
+          units: { $sum: '$units' },
+          revenue: { $sum: { $multiply: ['$units', '$items.unitPrice'] } },
+          costOfGoods: { $sum: '$items.costOfGoods' },
+        },
+      },
+    ]);
+
+    const withMargin = rows
+      .map((r) => {
+        const revenue = round(r.revenue);
+        const costOfGoods = round(r.costOfGoods);
+        const grossMargin = round(revenue - costOfGoods);
+        return { ...r, revenue, costOfGoods, grossMargin, marginRate: rate(grossMargin, revenue) };
+      })
+      .sort((a, b) => b.grossMargin - a.grossMargin);
+
+    const totals = withMargin.reduce(
+      (acc, r) => ({
+        units: acc.units + r.units,
+        revenue: round(acc.revenue + r.revenue),
+        costOfGoods: round(acc.costOfGoods + r.costOfGoods),
+      }),
+      { units: 0, revenue: 0, costOfGoods: 0 }
+    );
+    totals.grossMargin = round(totals.revenue - totals.costOfGoods);
+    totals.marginRate = rate(totals.grossMargin, totals.revenue);
+
+    res.json({ from, to, groupBy, totals, rows: withMargin.slice(0, parseInt(limit)) });
+  })
+);
+
+/**
+ * @swagger
+ * /reports/abc-xyz:
+ *   get:
+ *     summary: ABC/XYZ classification of active variants (owner/manager only)
+ *     description: >
+ *       Ranks variants into ABC classes by their cumulative share of revenue
+ *       (non-cancelled order lines) or consumption value (cost of units sold),
+ *       and into XYZ classes by the coefficient of variation of their weekly
+ *       demand. Uses the tenant's cut-offs; basis and window default to the
+ *       tenant's settings. Nothing is stored.
+ *     tags: [Reports]
+ *     parameters:
+ *       - in: query
+ *         name: basis
+ *         schema:
+ *           type: string
+ *           enum: [revenue, consumption]
+ *       - in: query
+ *         name: windowDays
+ *         schema:
+ *           type: integer
+ *           minimum: 7
+ *           maximum: 730
+ *     responses:
+ *       200:
+ *         description: Variants by value, highest first, with the class matrix
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClassificationReport'
+ *       400:
+ *         description: Invalid basis or window
+ */
+router.get(
+  '/abc-xyz',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    const options = {};
+    if (req.query.basis !== undefined) {
+      if (!['revenue', 'consumption'].includes(req.query.basis)) {
+        throw new AppError('basis must be revenue or consumption', 400);
+      }
+      options.basis = req.query.basis;
+    }
+    if (req.query.windowDays !== undefined) {
+      const windowDays = parseInt(req.query.windowDays);
+      if (!(windowDays >= 7 && windowDays <= 730)) {
+        throw new AppError('windowDays must be between 7 and 730', 400);
+      }
+      options.windowDays = windowDays;
+    }
+
+    res.json(await classifyVariants(req.tenantId, options));
+  })
+);
+
+/**
+ * @swagger
+ * /reports/abc-xyz/classify:
+ *   post:
+ *     summary: Reclassify variants now and store their classes (owner/manager only)
+ *     description: >
+ *       Runs the classification with the tenant's settings and saves each
+ *       variant's classes, which product lists filter and sort by. Also runs
+ *       nightly.
+ *     tags: [Reports]
+ *     responses:
+ *       200:
+ *         description: The report the stored classes came from
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ClassificationReport'
+ */
+router.post(
+  '/abc-xyz/classify',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    res.json(await classifyTenant(req.tenantId));
+  })
+);
+
+module.exports = router;
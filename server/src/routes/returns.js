@@ -0,0 +1,502 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { ReturnAuthorization, Order, StockMovement } = require('../models');
+const { auth, checkPermission } = require('../middleware/auth');
+const { asyncHandler, generateOrderNumber } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { resolveLocation } = require('../services/inventory');
+const { soldUnitCost, applyDisposition, syncReturnStatus } = require('../services/returns');
+const { checkReturnSerials, quarantinedSerials } = require('../services/serials');
+
+const router = express.Router();
+
+const REASONS = ['damaged', 'defective', 'wrong_item', 'not_as_described', 'unwanted', 'other'];
+
+const populateReturn = (query) =>
+  query
+    .populate('orderId', 'orderNumber customerName customerEmail')
+    .populate('locationId', 'name code')
+    .populate('createdBy', 'name');
+
+const emitReturnEvents = (req, event, rma, movements) => {
+  const io = req.app.get('io');
+  if (!io) return;
+
+  io.to(`tenant:${req.tenantId}`).emit(event, { returnAuthorization: rma });
+  for (const sm of movements) {
+    io.to(`tenant:${req.tenantId}`).emit('stock:updated', {
+      variantId: sm.variantId,
+      locationId: sm.locationId,
+      stock: sm.newStock,
+    });
+  }
+};
+
+/**
+ * @swagger
+ * /returns:
+ *   get:
+ *     summary: List customer returns (RMAs) with pagination
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, closed]
+ *       - in: query
+ *         name: orderId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Paginated list of returns
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 returns:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ReturnAuthorization'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ */
+router.get(
+  '/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, status, orderId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { tenantId: req.tenantId };
+    if (status) filter.status = status;
+    if (orderId) filter.orderId = orderId;
+
+    const [returns, total] = await Promise.all([
+      populateReturn(
+        ReturnAuthorization.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit))
+      ).lean(),
+      ReturnAuthorization.countDocuments(filter),
+    ]);
+
+    res.json({
+      returns,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /returns/{id}:
+ *   get:
+ *     summary: Get a single return with its stock movements
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Return ID
+ *     responses:
+ *       200:
+ *         description: Return details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 returnAuthorization:
+ *                   $ref: '#/components/schemas/ReturnAuthorization'
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *       404:
+ *         description: Return not found
+ */
+router.get(
+  '/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const rma = await populateReturn(
+      ReturnAuthorization.findOne({ _id: req.params.id, tenantId: req.tenantId })
+    ).lean();
+
+    if (!rma) {
+      throw new AppError('Return not found', 404);
+    }
+
+    const movements = await StockMovement.find({
+      tenantId: req.tenantId,
+      referenceId: rma._id,
+    })
+      .sort({ createdAt: 1 })
+      .populate('variantId', 'sku')
+      .populate('createdBy', 'name')
+      .lean();
+
+    res.json({ returnAuthorization: rma, movements });
+  })
+);
+
+/**
+ * @swagger
+ * /returns:
+ *   post:
+ *     summary: Create an RMA against a delivered order (requires returns:create)
+ *     description: >
+ *       Each line picks a quantity, reason and disposition. Restocked units go
+ *       back into the location as a `return` movement; scrapped units are
+ *       returned and written off as a `loss` movement; quarantined units are
+ *       held on the RMA until they are resolved. Lines of serial-tracked
+ *       products name the serials coming back, which must have shipped on
+ *       the order.
+ *     tags: [Returns]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [orderId, items]
+ *             properties:
+ *               orderId:
+ *                 type: string
+ *               locationId:
+ *                 type: string
+ *                 description: Location the goods come back to (defaults to the order's location)
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required: [variantId, quantity, reason, disposition]
+ *                   properties:
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     reason:
+ *                       type: string
+ *                       enum: [damaged, defective, wrong_item, not_as_described, unwanted, other]
+ *                     disposition:
+ *                       type: string
+ *                       enum: [restock, quarantine, scrap]
+ *                     serialNumbers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *     responses:
+ *       201:
+ *         description: Return created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 returnAuthorization:
+ *                   $ref: '#/components/schemas/ReturnAuthorization'
+ *       400:
+ *         description: Validation error, order not delivered or more returned than was sold
+ *       404:
+ *         description: Order not found
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission('returns:create'),
+  [
+    body('orderId').isMongoId().withMessage('Please select the order being returned'),
+    body('locationId').optional().isMongoId().withMessage('Please select a valid location'),
+    body('items').isArray({ min: 1 }).withMessage('Please add at least one item to the return'),
+    body('items.*.variantId').isMongoId().withMessage('Please select a product variant for each item'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1 for each item'),
+    body('items.*.reason').isIn(REASONS).withMessage('Please select a return reason for each item'),
+    body('items.*.disposition')
+      .isIn(['restock', 'quarantine', 'scrap'])
+      .withMessage('Please choose restock, quarantine or scrap for each item'),
+    body('items.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+    body('notes').optional().trim(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { orderId, locationId, items, notes } = req.body;
+
+    const variantIds = items.map((i) => i.variantId);
+    if (new Set(variantIds).size !== variantIds.length) {
+      throw new AppError('Each variant can only appear once per return', 400);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const order = await Order.findOne({ _id: orderId, tenantId: req.tenantId }).session(session);
+      if (!order) {
+        throw new AppError('Order not found', 404);
+      }
+      if (order.status !== 'delivered') {
+        throw new AppError('Only delivered orders can be returned', 400);
+      }
+
+      const location = await resolveLocation(req.tenantId, locationId || order.locationId, session);
+
+      const rma = new ReturnAuthorization({
+        tenantId: req.tenantId,
+        rmaNumber: generateOrderNumber('RMA'),
+        orderId: order._id,
+        locationId: location._id,
+        notes,
+        createdBy: req.user._id,
+      });
+
+      const stockMovements = [];
+      for (const line of items) {
+        const item = order.items.find((i) => i.variantId.toString() === line.variantId);
+        if (!item) {
+          throw new AppError('One of the returned items does not belong to this order', 400);
+        }
+
+        const returnable = item.quantity - (item.quantityReturned || 0);
+        if (line.quantity > returnable) {
+          throw new AppError(
+            `Cannot return ${line.quantity} of ${item.variantSku} — only ${returnable} left to return`,
+            400
+          );
+        }
+
+        const serialNumbers = await checkReturnSerials({
+          tenantId: req.tenantId,
+          order,
+          item,
+          quantity: line.quantity,
+          serialNumbers: line.serialNumbers,
+          session,
+        });
+
+        const unitCost = await soldUnitCost({ tenantId: req.tenantId, item, session });
+        rma.items.push({
+          variantId: item.variantId,
+          productId: item.productId,
+          productName: item.productName,
+          variantSku: item.variantSku,
+          quantity: line.quantity,
+          unitCost,
+          reason: line.reason,
+          disposition: line.disposition,
+          serialNumbers: serialNumbers.length > 0 ? serialNumbers : undefined,
+        });
+        const movements = await applyDisposition({
+          rma,
+          line: rma.items[rma.items.length - 1],
+          disposition: line.disposition,
+          quantity: line.quantity,
+          serialNumbers,
+          userId: req.user._id,
+          session,
+        });
+        stockMovements.push(...movements);
+
+        // The returned units no longer count towards what the order cost
+        if (item.costOfGoods !== undefined && item.costOfGoods !== null) {
+          item.costOfGoods = Math.max(0, Math.round((item.costOfGoods - unitCost * line.quantity) * 100) / 100);
+        }
+        item.quantityReturned = (item.quantityReturned || 0) + line.quantity;
+      }
+
+      syncReturnStatus(rma);
+      await rma.save({ session });
+      await order.save({ session });
+      if (stockMovements.length > 0) {
+        await StockMovement.create(stockMovements, { session, ordered: true });
+      }
+
+      await session.commitTransaction();
+
+      emitReturnEvents(req, 'return:created', rma, stockMovements);
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`tenant:${req.tenantId}`).emit('order:updated', { order });
+      }
+
+      const populated = await populateReturn(ReturnAuthorization.findById(rma._id));
+      res.status(201).json({ returnAuthorization: populated });
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /returns/{id}/resolve:
+ *   post:
+ *     summary: Restock or scrap quarantined units on an RMA (requires returns:create)
+ *     description: >
+ *       The RMA closes once nothing on it is quarantined. Serial-tracked
+ *       lines can name the quarantined serials being resolved; otherwise
+ *       they are taken in the order they came back.
+ *     tags: [Returns]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Return ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required: [variantId, quantity, disposition]
+ *                   properties:
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *                     disposition:
+ *                       type: string
+ *                       enum: [restock, scrap]
+ *                     serialNumbers:
+ *                       type: array
+ *                       items:
+ *                         type: string
+ *     responses:
+ *       200:
+ *         description: Quarantined units resolved
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 returnAuthorization:
+ *                   $ref: '#/components/schemas/ReturnAuthorization'
+ *       400:
+ *         description: More resolved than is quarantined
+ *       404:
+ *         description: Return not found or already closed
+ */
+router.post(
+  '/:id/resolve',
+  auth,
+  checkPermission('returns:create'),
+  [
+    body('items').isArray({ min: 1 }).withMessage('Please add at least one item to resolve'),
+    body('items.*.variantId').isMongoId().withMessage('Please select a product variant for each item'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1 for each item'),
+    body('items.*.disposition')
+      .isIn(['restock', 'scrap'])
+      .withMessage('Quarantined stock can only be restocked or scrapped'),
+    body('items.*.serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const rma = await ReturnAuthorization.findOne({
+        _id: req.params.id,
+        tenantId: req.tenantId,
+        status: 'open',
+      }).session(session);
+
+      if (!rma) {
+        throw new AppError('Return not found or already closed', 404);
+      }
+
+      const stockMovements = [];
+      for (const entry of req.body.items) {
+        const line = rma.items.find((i) => i.variantId.toString() === entry.variantId);
+        if (!line) {
+          throw new AppError('One of the items is not on this return', 400);
+        }
+        if (entry.quantity > line.quantityQuarantined) {
+          throw new AppError(
+            `Only ${line.quantityQuarantined} of ${line.variantSku} is in quarantine`,
+            400
+          );
+        }
+
+        const serialNumbers = await quarantinedSerials({
+          rma, line, quantity: entry.quantity, serialNumbers: entry.serialNumbers, session,
+        });
+
+        line.quantityQuarantined -= entry.quantity;
+        const movements = await applyDisposition({
+          rma,
+          line,
+          disposition: entry.disposition,
+          quantity: entry.quantity,
+          serialNumbers,
+          event: entry.disposition === 'restock' ? 'restocked' : 'scrapped',
+          userId: req.user._id,
+          session,
+        });
+        stockMovements.push(...movements);
+      }
+
+      syncReturnStatus(rma);
+      await rma.save({ session });
+      await StockMovement.create(stockMovements, { session, ordered: true });
+
+      await session.commitTransaction();
+
+      emitReturnEvents(req, 'return:updated', rma, stockMovements);
+
+      const populated = await populateReturn(ReturnAuthorization.findById(rma._id));
+      res.json({ returnAuthorization: populated });
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  })
+);
+
+module.exports = router;
@@ -0,0 +1,170 @@
+const express = require('express');
+const { SerialNumber, StockMovement } = require('../models');
+const { auth } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /serials:
+ *   get:
+ *     summary: Search serial numbers with pagination
+ *     tags: [Serials]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Part of a serial number
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [in_stock, in_transit, sold, quarantined, scrapped, written_off]
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *     responses:
+ *       200:
+ *         description: Paginated list of serial numbers, without their history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 serials:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SerialNumber'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ */
+router.get(
+  '/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const {
+      page = 1, limit = 20, search, status, productId, variantId, locationId,
+    } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { tenantId: req.tenantId };
+    if (search) filter.serialNumber = { $regex: search, $options: 'i' };
+    if (status) filter.status = status;
+    if (productId) filter.productId = productId;
+    if (variantId) filter.variantId = variantId;
+    if (locationId) filter.locationId = locationId;
+
+    const [serials, total] = await Promise.all([
+      SerialNumber.find(filter)
+        .select('-history')
+        .populate('variantId', 'sku attributes')
+        .populate('productId', 'name')
+        .populate('locationId', 'name code')
+        .sort({ updatedAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      SerialNumber.countDocuments(filter),
+    ]);
+
+    res.json({
+      serials,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /serials/{id}:
+ *   get:
+ *     summary: The full history of one serialized unit
+ *     description: >
+ *       The PO it was received on, the last order it shipped on and the last
+ *       RMA it came back on, every step it went through, and the stock
+ *       movements that carried it.
+ *     tags: [Serials]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Serial number record ID
+ *     responses:
+ *       200:
+ *         description: Serial number with its history, oldest first, and movements, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 serial:
+ *                   $ref: '#/components/schemas/SerialNumber'
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *       404:
+ *         description: Serial number not found
+ */
+router.get(
+  '/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const serial = await SerialNumber.findOne({ _id: req.params.id, tenantId: req.tenantId })
+      .populate('variantId', 'sku attributes')
+      .populate('productId', 'name')
+      .populate('locationId', 'name code')
+      .populate('purchaseOrderId', 'poNumber supplierId')
+      .populate('orderId', 'orderNumber customerName')
+      .populate('rmaId', 'rmaNumber status')
+      .populate('history.locationId', 'name code')
+      .populate('history.userId', 'name')
+      .lean();
+    if (!serial) {
+      throw new AppError('Serial number not found', 404);
+    }
+
+    const movements = await StockMovement.find({
+      tenantId: req.tenantId,
+      variantId: serial.variantId._id,
+      serialNumbers: serial.serialNumber,
+    })
+      .populate('locationId', 'name code')
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ serial, movements });
+  })
+);
+
+module.exports = router;
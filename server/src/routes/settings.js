@@ -0,0 +1,145 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { ApprovalRule, Tenant } = require('../models');
+const { auth, authorize } = require('../middleware/auth');
+const { asyncHandler } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { assertRulesCanBeMet } = require('../services/approvals');
+const { isTimeZone } = require('../utils/dates');
+
+const router = express.Router();
+
+/**
+ * @swagger
+ * /settings:
+ *   get:
+ *     summary: Get the tenant's settings
+ *     tags: [Settings]
+ *     responses:
+ *       200:
+ *         description: Tenant settings
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 settings:
+ *                   $ref: '#/components/schemas/TenantSettings'
+ */
+router.get(
+  '/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const tenant = await Tenant.findById(req.tenantId).select('settings').lean();
+    if (!tenant) {
+      throw new AppError('Tenant not found', 404);
+    }
+    res.json({ settings: tenant.settings });
+  })
+);
+
+/**
+ * @swagger
+ * /settings:
+ *   put:
+ *     summary: Update the tenant's settings (owner only)
+ *     description: >
+ *       Only the fields sent are changed. Turning ownersBypassApprovals off is
+ *       refused while an active approval rule would then be left without
+ *       enough approvers for an owner's own request.
+ *     tags: [Settings]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/TenantSettings'
+ *     responses:
+ *       200:
+ *         description: Settings updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 settings:
+ *                   $ref: '#/components/schemas/TenantSettings'
+ *       400:
+ *         description: Validation error or approval rules owners couldn't get approved
+ */
+router.put(
+  '/',
+  auth,
+  authorize('owner'),
+  [
+    body('currency').optional().trim().isLength({ min: 3, max: 3 }).withMessage('Currency must be a 3-letter code'),
+    body('lowStockThreshold').optional().isInt({ min: 0 }).withMessage('Low stock threshold must be 0 or more'),
+    body('timezone')
+      .optional()
+      .trim()
+      .custom(isTimeZone)
+      .withMessage('Timezone must be an IANA time zone such as America/New_York'),
+    body('reservationExpiryHours')
+      .optional()
+      .isInt({ min: 0, max: 8760 })
+      .withMessage('Reservation expiry must be between 0 and 8760 hours'),
+    body('allowBackorders').optional().isBoolean().withMessage('Allow backorders must be true or false'),
+    body('costingMethod').optional().isIn(['fifo', 'average']).withMessage('Costing method must be fifo or average'),
+    body('expiryAlertDays').optional().isInt({ min: 0, max: 365 }).withMessage('Expiry alert days must be between 0 and 365'),
+    body('ownersBypassApprovals').optional().isBoolean().toBoolean().withMessage('Owners bypassing approvals must be true or false'),
+    body('autoReorder').optional().isBoolean().withMessage('Automatic reordering must be true or false'),
+    body('classificationBasis')
+      .optional()
+      .isIn(['revenue', 'consumption'])
+      .withMessage('Classification basis must be revenue or consumption'),
+    body('classificationWindowDays')
+      .optional()
+      .isInt({ min: 7, max: 730 })
+      .withMessage('Classification window must be between 7 and 730 days'),
+    body('abcCutoffs')
+      .optional()
+      .custom((c) => Number.isFinite(c?.a) && Number.isFinite(c?.b) && c.a > 0 && c.a < c.b && c.b <= 100)
+      .withMessage('ABC cut-offs need 0 < A < B <= 100'),
+    body('xyzCutoffs')
+      .optional()
+      .custom((c) => Number.isFinite(c?.x) && Number.isFinite(c?.y) && c.x > 0 && c.x < c.y)
+      .withMessage('XYZ cut-offs need 0 < X < Y'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    // Owners' requests need other approvers once they stop bypassing the rules
+    if (req.body.ownersBypassApprovals === false) {
+      const rules = await ApprovalRule.find({ tenantId: req.tenantId, isActive: true }).lean();
+      await assertRulesCanBeMet(req.tenantId, rules, { ownersBypass: false });
+    }
+
+    const updates = {};
+    if (req.body.currency !== undefined) updates['settings.currency'] = req.body.currency.toUpperCase();
+    if (req.body.abcCutoffs !== undefined) updates['settings.abcCutoffs'] = { a: req.body.abcCutoffs.a, b: req.body.abcCutoffs.b };
+    if (req.body.xyzCutoffs !== undefined) updates['settings.xyzCutoffs'] = { x: req.body.xyzCutoffs.x, y: req.body.xyzCutoffs.y };
+    const fields = [
+      'lowStockThreshold', 'timezone', 'reservationExpiryHours', 'allowBackorders', 'costingMethod', 'expiryAlertDays',
+      'ownersBypassApprovals', 'autoReorder', 'classificationBasis', 'classificationWindowDays',
+    ];
+    fields.forEach((field) => {
+      if (req.body[field] !== undefined) updates[`settings.${field}`] = req.body[field];
+    });
+
+    const tenant = await Tenant.findByIdAndUpdate(
+      req.tenantId,
+      { $set: updates },
+      { new: true, runValidators: true }
+    ).lean();
+    if (!tenant) {
+      throw new AppError('Tenant not found', 404);
+    }
+
+    res.json({ settings: tenant.settings });
+  })
+);
+
+module.exports = router;
@@ -1,10 +1,22 @@
 const express = require('express');
 const mongoose = require('mongoose');
 const { body, validationResult } = require('express-validator');
-const { Variant, StockMovement, PurchaseOrder } = require('../models');
-const { auth, authorize } = require('../middleware/auth');
-const { asyncHandler } = require('../utils/helpers');
+const {
+  Variant, Product, StockMovement, PurchaseOrder, StockLevel, ReconciliationRun, Lot, Tenant,
+} = require('../models');
+const { auth, authorize, checkPermission } = require('../middleware/auth');
+const { asyncHandler, toCsv } = require('../utils/helpers');
 const { AppError } = require('../middleware/errorHandler');
+const { INCOMING_PO_STATUSES, resolveLocation } = require('../services/inventory');
+const { getStockAsOf, takeSnapshot } = require('../services/snapshots');
+const { reconcileTenant, postCorrection } = require('../services/reconciliation');
+const { resolveReasonCode } = require('../services/reasonCodes');
+const { applyAdjustment, emitAdjustment } = require('../services/adjustments');
+const { holdAdjustment, emitRequested } = require('../services/approvals');
+const { findExpiringLots } = require('../services/lots');
+const {
+  HISTORY_DAYS, HOLDOUT_DAYS, stockThreshold, thresholdExpr, projectCoverage, forecastTenant,
+} = require('../services/forecasting');
 
 const router = express.Router();
 
@@ -12,7 +24,12 @@ const router = express.Router();
  * @swagger
  * /stock/adjust:
  *   post:
- *     summary: Manual stock adjustment (owner/manager only)
+ *     summary: Manual stock adjustment (requires stock:adjust)
+ *     description: >
+ *       Every adjustment carries one of the tenant's reason codes. Adjustments
+ *       that hit an approval rule, or that staff make with a reason code needing
+ *       approval, are not applied: they become a pending approval request and
+ *       the response is 202.
  *     tags: [Stock]
  *     requestBody:
  *       required: true
@@ -20,10 +37,13 @@ const router = express.Router();
  *         application/json:
  *           schema:
  *             type: object
- *             required: [variantId, quantity, type]
+ *             required: [variantId, quantity, type, reasonCode]
  *             properties:
  *               variantId:
  *                 type: string
+ *               locationId:
+ *                 type: string
+ *                 description: Location to adjust (defaults to the tenant's default location)
  *               quantity:
  *                 type: integer
  *                 description: Positive to add, negative to subtract
@@ -31,6 +51,29 @@ const router = express.Router();
  *               type:
  *                 type: string
  *                 enum: [adjustment, return]
+ *               reasonCode:
+ *                 type: string
+ *                 example: DAMAGE
+ *               unitCost:
+ *                 type: number
+ *                 minimum: 0
+ *                 description: Cost of each unit added (defaults to the variant's cost price; ignored when removing stock)
+ *               lotNumber:
+ *                 type: string
+ *                 description: >
+ *                   Lot-tracked products only. Lot to add the units to (required when adding), or to
+ *                   take them out of (removals default to first-expiring first, expired lots included)
+ *               expiryDate:
+ *                 type: string
+ *                 format: date
+ *                 description: Expiry of a new lot being added
+ *               serialNumbers:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                 description: >
+ *                   Serial-tracked products only. One per unit added (required), or the
+ *                   units being removed (removals default to the longest held)
  *               notes:
  *                 type: string
  *     responses:
@@ -45,17 +88,35 @@ const router = express.Router();
  *                   $ref: '#/components/schemas/Variant'
  *                 movement:
  *                   $ref: '#/components/schemas/StockMovement'
+ *       202:
+ *         description: Held for approval
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 approval:
+ *                   $ref: '#/components/schemas/ApprovalRequest'
  *       400:
- *         description: Variant not found or insufficient stock
+ *         description: Insufficient stock at the location, or the reason code is unknown or doesn't allow this direction
+ *       404:
+ *         description: Variant or location not found
  */
 router.post(
   '/adjust',
   auth,
-  authorize('owner', 'manager'),
+  checkPermission('stock:adjust'),
   [
     body('variantId').notEmpty().withMessage('Please select a variant'),
+    body('locationId').optional().isMongoId().withMessage('Please select a valid location'),
     body('quantity').isInt().withMessage('Quantity must be a whole number'),
     body('type').isIn(['adjustment', 'return']).withMessage('Please select a valid adjustment type'),
+    body('reasonCode').trim().notEmpty().withMessage('Please select a reason'),
+    body('unitCost').optional().isFloat({ min: 0 }).withMessage('Unit cost cannot be negative'),
+    body('lotNumber').optional({ values: 'falsy' }).trim().isLength({ max: 50 }).withMessage('Lot number is too long'),
+    body('expiryDate').optional({ values: 'falsy' }).isISO8601().withMessage('Expiry date must be a valid date'),
+    body('serialNumbers').optional().isArray().withMessage('Serial numbers must be a list'),
+    body('serialNumbers.*').isString().trim().isLength({ max: 100 }).withMessage('Serial numbers must be text of up to 100 characters'),
     body('notes').optional().trim(),
   ],
   asyncHandler(async (req, res) => {
@@ -64,57 +125,63 @@ router.post(
       return res.status(400).json({ error: 'Validation failed', details: errors.array() });
     }
 
-    const { variantId, quantity, type, notes } = req.body;
-
-    // Atomic update — ensures stock never goes negative
-    const variant = await Variant.findOneAndUpdate(
-      {
-        _id: variantId,
-        tenantId: req.tenantId,
-        stock: { $gte: quantity < 0 ? Math.abs(quantity) : 0 },
-      },
-      { $inc: { stock: quantity } },
-      { new: true }
-    );
-
-    if (!variant) {
-      throw new AppError('Product variant not found or not enough stock available', 400);
-    }
-
-    // Record stock movement
-    const movement = await StockMovement.create({
+    const {
+      variantId, locationId, quantity, type, unitCost, lotNumber, expiryDate, serialNumbers, notes,
+    } = req.body;
+    const reason = await resolveReasonCode({
       tenantId: req.tenantId,
-      variantId: variant._id,
-      productId: variant.productId,
-      type,
+      code: req.body.reasonCode,
       quantity,
-      previousStock: variant.stock - quantity,
-      newStock: variant.stock,
-      notes,
-      createdBy: req.user._id,
     });
 
-    // Emit real-time updates
     const io = req.app.get('io');
-    if (io) {
-      io.to(`tenant:${req.tenantId}`).emit('stock:updated', {
-        variantId: variant._id,
-        stock: variant.stock,
-        movement,
+
+    // Adjustments that hit an approval rule wait in the approval queue instead
+    const approval = await holdAdjustment({
+      tenantId: req.tenantId,
+      user: req.user,
+      adjustment: {
+        variantId, locationId, quantity, type, unitCost, lotNumber, expiryDate, serialNumbers, notes,
+      },
+      reason,
+    });
+    if (approval) {
+      emitRequested(io, req.tenantId, approval);
+      return res.status(202).json({ approval });
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    let result;
+    try {
+      result = await applyAdjustment({
+        tenantId: req.tenantId,
+        variantId,
+        locationId,
+        quantity,
+        type,
+        reasonCode: reason.code,
+        unitCost,
+        lotNumber,
+        expiryDate,
+        serialNumbers,
+        notes,
+        userId: req.user._id,
+        session,
       });
 
-      // Check for low stock alert
-      if (variant.stock <= variant.lowStockThreshold) {
-        io.to(`tenant:${req.tenantId}`).emit('stock:low', {
-          variantId: variant._id,
-          sku: variant.sku,
-          stock: variant.stock,
-          threshold: variant.lowStockThreshold,
-        });
-      }
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
     }
 
-    res.json({ variant, movement });
+    emitAdjustment(io, req.tenantId, result);
+
+    res.json(result);
   })
 );
 
@@ -140,10 +207,19 @@ router.post(
  *         schema:
  *           type: string
  *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *       - in: query
  *         name: type
  *         schema:
  *           type: string
- *           enum: [purchase, sale, return, adjustment]
+ *           enum: [purchase, sale, return, adjustment, transfer, loss]
+ *       - in: query
+ *         name: reasonCode
+ *         schema:
+ *           type: string
+ *         description: Reason code; the response then also carries the filtered totals
  *       - in: query
  *         name: from
  *         schema:
@@ -168,33 +244,66 @@ router.post(
  *                     $ref: '#/components/schemas/StockMovement'
  *                 pagination:
  *                   $ref: '#/components/schemas/Pagination'
+ *                 totals:
+ *                   type: object
+ *                   description: Only when filtering by reason code
+ *                   properties:
+ *                     quantity:
+ *                       type: integer
+ *                     value:
+ *                       type: number
  */
 router.get(
   '/movements',
   auth,
   asyncHandler(async (req, res) => {
-    const { page = 1, limit = 50, variantId, type, from, to } = req.query;
+    const {
+      page = 1, limit = 50, variantId, locationId, type, reasonCode, from, to,
+    } = req.query;
     const skip = (parseInt(page) - 1) * parseInt(limit);
 
     const filter = { tenantId: req.tenantId };
     if (variantId) filter.variantId = variantId;
+    if (locationId) filter.locationId = locationId;
     if (type) filter.type = type;
+    if (reasonCode) filter.reasonCode = reasonCode.toUpperCase();
     if (from || to) {
       filter.createdAt = {};
       if (from) filter.createdAt.$gte = new Date(from);
       if (to) filter.createdAt.$lte = new Date(to);
     }
 
-    const [movements, total] = await Promise.all([
+    const [movements, total, sums] = await Promise.all([
       StockMovement.find(filter)
         .sort({ createdAt: -1 })
         .skip(skip)
         .limit(parseInt(limit))
         .populate('variantId', 'sku attributes')
         .populate('productId', 'name')
+        .populate('locationId', 'name code')
         .populate('createdBy', 'name')
         .lean(),
       StockMovement.countDocuments(filter),
+      // Shrinkage for one reason: net units and value across every page
+      reasonCode
+        ? StockMovement.aggregate([
+          {
+            $match: {
+              ...filter,
+              tenantId: new mongoose.Types.ObjectId(req.tenantId),
+              ...(variantId && { variantId: new mongoose.Types.ObjectId(variantId) }),
+              ...(locationId && { locationId: new mongoose.Types.ObjectId(locationId) }),
+            },
+          },
+          {
+            $group: {
+              _id: null,
+              quantity: { $sum: '$quantity' },
+              value: { $sum: { $ifNull: ['$totalCost', 0] } },
+            },
+          },
+        ])
+        : null,
     ]);
 
     res.json({
@@ -205,16 +314,83 @@ router.get(
         total,
         pages: Math.ceil(total / parseInt(limit)),
       },
+      ...(sums && {
+        totals: {
+          quantity: sums[0]?.quantity || 0,
+          value: Math.round((sums[0]?.value || 0) * 100) / 100,
+        },
+      }),
     });
   })
 );
 
+/**
+ * @swagger
+ * /stock/levels:
+ *   get:
+ *     summary: Get per-location stock balances
+ *     tags: [Stock]
+ *     parameters:
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Stock balances by variant and location
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 levels:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockLevel'
+ */
+router.get(
+  '/levels',
+  auth,
+  asyncHandler(async (req, res) => {
+    const { variantId, locationId } = req.query;
+
+    const filter = { tenantId: req.tenantId };
+    if (variantId) filter.variantId = variantId;
+    if (locationId) filter.locationId = locationId;
+
+    const levels = await StockLevel.find(filter)
+      .populate('variantId', 'sku attributes lowStockThreshold')
+      .populate('productId', 'name')
+      .populate('locationId', 'name code')
+      .sort({ updatedAt: -1 })
+      .lean();
+
+    res.json({ levels });
+  })
+);
+
 /**
  * @swagger
  * /stock/low-stock:
  *   get:
  *     summary: Get low stock alerts with pending PO quantities
+ *     description: >
+ *       Without a location, compares each variant's available stock (on hand minus
+ *       reserved, excluding in transit) against its threshold and includes a
+ *       per-location breakdown. With a location, compares the available balance
+ *       at that location only, counting a variant never stocked there as 0. The threshold is the variant's forecast reorder
+ *       point when it has a demand forecast, else its lowStockThreshold.
  *     tags: [Stock]
+ *     parameters:
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *         description: Only report balances at this location
  *     responses:
  *       200:
  *         description: List of low-stock alerts
@@ -232,14 +408,66 @@ router.get(
   '/low-stock',
   auth,
   asyncHandler(async (req, res) => {
-    // Get all low-stock variants for this tenant
-    const lowStockVariants = await Variant.find({
-      tenantId: req.tenantId,
-      isActive: true,
-      $expr: { $lte: ['$stock', '$lowStockThreshold'] },
-    })
-      .populate('productId', 'name category')
-      .lean();
+    const { locationId } = req.query;
+    const tenantObjId = new mongoose.Types.ObjectId(req.tenantId);
+
+    let lowStockVariants;
+    let location = null;
+    if (locationId) {
+      location = await resolveLocation(req.tenantId, locationId);
+
+      // Every active variant against its balance here; one never stocked here has no row and counts as 0
+      const variants = await Variant.aggregate([
+        { $match: { tenantId: tenantObjId, isActive: true } },
+        {
+          $lookup: {
+            from: StockLevel.collection.name,
+            let: { variantId: '$_id' },
+            pipeline: [
+              {
+                $match: {
+                  tenantId: tenantObjId,
+                  locationId: location._id,
+                  $expr: { $eq: ['$variantId', '$$variantId'] },
+                },
+              },
+            ],
+            as: 'level',
+          },
+        },
+        { $set: { level: { $arrayElemAt: ['$level', 0] } } },
+        {
+          $set: {
+            stock: { $ifNull: ['$level.quantity', 0] },
+            reserved: { $ifNull: ['$level.reserved', 0] },
+            inTransit: 0,
+          },
+        },
+        { $match: { $expr: { $lte: [{ $subtract: ['$stock', '$reserved'] }, thresholdExpr()] } } },
+        { $project: { level: 0 } },
+      ]);
+
+      lowStockVariants = await Variant.populate(variants, { path: 'productId', select: 'name category' });
+    } else {
+      // Get all low-stock variants for this tenant (in-transit and reserved units are not available)
+      lowStockVariants = await Variant.find({
+        tenantId: req.tenantId,
+        isActive: true,
+        $expr: {
+          $lte: [
+            {
+              $subtract: [
+                '$stock',
+                { $add: [{ $ifNull: ['$inTransit', 0] }, { $ifNull: ['$reserved', 0] }] },
+              ],
+            },
+            thresholdExpr(),
+          ],
+        },
+      })
+        .populate('productId', 'name category')
+        .lean();
+    }
 
     if (lowStockVariants.length === 0) {
       return res.json({ alerts: [] });
@@ -248,27 +476,41 @@ router.get(
     // Get pending PO quantities for these variants
     const variantIds = lowStockVariants.map((v) => v._id);
 
-    const pendingPOQuantities = await PurchaseOrder.aggregate([
-      {
-        $match: {
-          tenantId: new mongoose.Types.ObjectId(req.tenantId),
-          status: { $in: ['draft', 'sent', 'confirmed', 'partially_received'] },
-        },
-      },
-      { $unwind: '$items' },
-      {
-        $match: {
-          'items.variantId': { $in: variantIds },
+    const poMatch = {
+      tenantId: tenantObjId,
+      status: { $in: INCOMING_PO_STATUSES },
+    };
+    if (location) {
+      // POs without a receiving location land in the default location
+      poMatch.$or = location.isDefault
+        ? [{ locationId: location._id }, { locationId: null }]
+        : [{ locationId: location._id }];
+    }
+
+    const [pendingPOQuantities, levels, tenant] = await Promise.all([
+      PurchaseOrder.aggregate([
+        { $match: poMatch },
+        { $unwind: '$items' },
+        {
+          $match: {
+            'items.variantId': { $in: variantIds },
+          },
         },
-      },
-      {
-        $group: {
-          _id: '$items.variantId',
-          pendingQuantity: {
-            $sum: { $subtract: ['$items.quantityOrdered', '$items.quantityReceived'] },
+        {
+          $group: {
+            _id: '$items.variantId',
+            pendingQuantity: {
+              $sum: { $subtract: ['$items.quantityOrdered', '$items.quantityReceived'] },
+            },
           },
         },
-      },
+      ]),
+      location
+        ? []
+        : StockLevel.find({ tenantId: req.tenantId, variantId: { $in: variantIds } })
+          .populate('locationId', 'name code')
+          .lean(),
+      Tenant.findById(req.tenantId).select('settings.timezone').lean(),
     ]);
 
     const pendingMap = {};
@@ -276,19 +518,45 @@ router.get(
       pendingMap[p._id.toString()] = p.pendingQuantity;
     });
 
+    const levelMap = {};
+    levels.forEach((l) => {
+      const vid = l.variantId.toString();
+      if (!levelMap[vid]) levelMap[vid] = [];
+      levelMap[vid].push({
+        locationId: l.locationId?._id,
+        name: l.locationId?.name,
+        code: l.locationId?.code,
+        quantity: l.quantity,
+        reserved: l.reserved || 0,
+      });
+    });
+
     const alerts = lowStockVariants.map((v) => {
       const pendingQty = pendingMap[v._id.toString()] || 0;
-      const effectiveStock = v.stock + pendingQty;
+      const onHand = v.stock - (v.inTransit || 0);
+      const reserved = v.reserved || 0;
+      const available = onHand - reserved;
+      const effectiveStock = available + pendingQty;
+      const threshold = stockThreshold(v);
       return {
         ...v,
+        ...(location
+          ? { location: { _id: location._id, name: location.name, code: location.code } }
+          : { locations: levelMap[v._id.toString()] || [] }),
+        onHand,
+        reserved,
+        available,
         pendingPOQuantity: pendingQty,
         effectiveStock,
+        threshold,
+        thresholdSource: v.forecast ? 'forecast' : 'static',
+        ...projectCoverage(v.forecast, available, tenant?.settings?.timezone),
         // Smart alert: only critical if even pending POs won't help
-        severity: effectiveStock <= v.lowStockThreshold ? 'critical' : 'warning',
+        severity: effectiveStock <= threshold ? 'critical' : 'warning',
         message:
-          effectiveStock > v.lowStockThreshold
-            ? `Low stock (${v.stock}) but ${pendingQty} units pending in POs`
-            : `Critical: Only ${v.stock} in stock, ${pendingQty} pending`,
+          effectiveStock > threshold
+            ? `Low stock (${available}) but ${pendingQty} units pending in POs`
+            : `Critical: Only ${available} available, ${pendingQty} pending`,
       };
     });
 
@@ -296,4 +564,601 @@ router.get(
   })
 );
 
+/**
+ * @swagger
+ * /stock/forecast:
+ *   get:
+ *     summary: Demand forecasts with days of cover and backtest accuracy
+ *     description: >
+ *       Forecasts are refreshed nightly from the last 13 weeks of orders. Each
+ *       variant is fitted with a 28-day moving average and with exponential
+ *       smoothing over weekly seasonality; both are scored on the last two
+ *       weeks, held out, and the more accurate one is kept. Variants with
+ *       under four weeks of history or four selling days have no forecast.
+ *       The summary pools the holdout errors of the chosen methods.
+ *     tags: [Stock]
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: One entry per active variant with a forecast (every variant of the product when productId is given)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 forecasts:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/VariantForecast'
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     historyDays:
+ *                       type: integer
+ *                     holdoutDays:
+ *                       type: integer
+ *                     variants:
+ *                       type: integer
+ *                     wape:
+ *                       type: number
+ *                       description: Absolute holdout error over units sold, across variants
+ *                     bias:
+ *                       type: number
+ */
+router.get(
+  '/forecast',
+  auth,
+  asyncHandler(async (req, res) => {
+    const { productId, variantId } = req.query;
+
+    const filter = { tenantId: req.tenantId, isActive: true };
+    if (productId) filter.productId = productId;
+    if (variantId) filter._id = variantId;
+    if (!productId && !variantId) filter.forecast = { $exists: true };
+
+    const [variants, tenant] = await Promise.all([
+      Variant.find(filter)
+        .select('productId sku attributes stock inTransit reserved lowStockThreshold forecast')
+        .populate('productId', 'name')
+        .sort({ sku: 1 })
+        .lean(),
+      Tenant.findById(req.tenantId).select('settings.timezone').lean(),
+    ]);
+
+    let units = 0;
+    let absError = 0;
+    let error = 0;
+    const forecasts = variants.map((v) => {
+      const available = v.stock - (v.inTransit || 0) - (v.reserved || 0);
+      const chosen = v.forecast?.accuracy?.scores?.find((s) => s.method === v.forecast.method);
+      if (chosen?.wape !== undefined) {
+        const sold = v.forecast.accuracy.unitsSold;
+        units += sold;
+        absError += chosen.wape * sold;
+        error += chosen.bias * sold;
+      }
+      return {
+        variantId: v._id,
+        sku: v.sku,
+        attributes: v.attributes,
+        product: v.productId,
+        available,
+        threshold: stockThreshold(v),
+        thresholdSource: v.forecast ? 'forecast' : 'static',
+        forecast: v.forecast || null,
+        ...projectCoverage(v.forecast, available, tenant?.settings?.timezone),
+      };
+    });
+
+    res.json({
+      forecasts,
+      summary: {
+        historyDays: HISTORY_DAYS,
+        holdoutDays: HOLDOUT_DAYS,
+        variants: forecasts.filter((f) => f.forecast).length,
+        wape: units > 0 ? Math.round((absError / units) * 1000) / 1000 : null,
+        bias: units > 0 ? Math.round((error / units) * 1000) / 1000 : null,
+      },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /stock/forecast:
+ *   post:
+ *     summary: Recompute demand forecasts now (owner/manager only)
+ *     tags: [Stock]
+ *     responses:
+ *       200:
+ *         description: How many variants were forecast and how many lacked the history
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 forecasted:
+ *                   type: integer
+ *                 skipped:
+ *                   type: integer
+ */
+router.post(
+  '/forecast',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    res.json(await forecastTenant(req.tenantId));
+  })
+);
+
+/**
+ * @swagger
+ * /stock/lots:
+ *   get:
+ *     summary: List lots of lot-tracked products
+ *     tags: [Stock]
+ *     parameters:
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: variantId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeEmpty
+ *         schema:
+ *           type: boolean
+ *         description: Also list lots with nothing left
+ *     responses:
+ *       200:
+ *         description: Lots, first expiring first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lots:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Lot'
+ */
+router.get(
+  '/lots',
+  auth,
+  asyncHandler(async (req, res) => {
+    const {
+      productId, variantId, locationId, includeEmpty,
+    } = req.query;
+
+    const filter = { tenantId: req.tenantId };
+    if (productId) filter.productId = productId;
+    if (variantId) filter.variantId = variantId;
+    if (locationId) filter.locationId = locationId;
+    if (includeEmpty !== 'true') filter.quantity = { $gt: 0 };
+
+    const lots = await Lot.find(filter)
+      .populate('variantId', 'sku attributes')
+      .populate('locationId', 'name code')
+      .sort({ expiryDate: 1, receivedAt: 1 })
+      .limit(500)
+      .lean();
+
+    res.json({ lots });
+  })
+);
+
+/**
+ * @swagger
+ * /stock/lots/expiring:
+ *   get:
+ *     summary: Lots expiring within N days
+ *     description: >
+ *       Lots with stock left whose expiry date falls within the window,
+ *       including ones already expired, valued at the variant's cost price.
+ *     tags: [Stock]
+ *     parameters:
+ *       - in: query
+ *         name: days
+ *         schema:
+ *           type: integer
+ *           default: 30
+ *           minimum: 0
+ *           maximum: 3650
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Expiring lots, soonest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ExpiringLots'
+ *       400:
+ *         description: Invalid number of days
+ */
+router.get(
+  '/lots/expiring',
+  auth,
+  asyncHandler(async (req, res) => {
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0 || days > 3650) {
+      throw new AppError('days must be a whole number between 0 and 3650', 400);
+    }
+
+    const lots = await findExpiringLots({ tenantId: req.tenantId, days, locationId: req.query.locationId });
+    const expired = lots.filter((l) => l.expired);
+
+    res.json({
+      days,
+      totals: {
+        lots: lots.length,
+        units: lots.reduce((sum, l) => sum + l.quantity, 0),
+        value: Math.round(lots.reduce((sum, l) => sum + l.value, 0) * 100) / 100,
+        expiredLots: expired.length,
+        expiredUnits: expired.reduce((sum, l) => sum + l.quantity, 0),
+      },
+      lots,
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /stock/lots/{id}:
+ *   get:
+ *     summary: A lot with every stock movement into or out of it
+ *     tags: [Stock]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Lot and its movements, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 lot:
+ *                   $ref: '#/components/schemas/Lot'
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *       404:
+ *         description: Lot not found
+ */
+router.get(
+  '/lots/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const lot = await Lot.findOne({ _id: req.params.id, tenantId: req.tenantId })
+      .populate('variantId', 'sku attributes')
+      .populate('productId', 'name')
+      .populate('locationId', 'name code')
+      .lean();
+    if (!lot) {
+      throw new AppError('Lot not found', 404);
+    }
+
+    const movements = await StockMovement.find({ tenantId: req.tenantId, 'lots.lotId': lot._id })
+      .populate('createdBy', 'name')
+      .sort({ createdAt: -1 })
+      .lean();
+
+    res.json({ lot, movements });
+  })
+);
+
+/**
+ * @swagger
+ * /stock/as-of:
+ *   get:
+ *     summary: Per-variant stock as it was at a point in time
+ *     description: >
+ *       Starts from the nearest daily stock snapshot at or before the requested
+ *       time and replays the stock movements recorded since. Variants created
+ *       after that time are left out.
+ *     tags: [Stock]
+ *     parameters:
+ *       - in: query
+ *         name: at
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Timestamp, or a date meaning the end of that day (UTC). Defaults to now.
+ *       - in: query
+ *         name: category
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: productId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [json, csv]
+ *           default: json
+ *         description: csv returns every matching variant as a file download
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *     responses:
+ *       200:
+ *         description: Stock per variant at the requested time
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/StockAsOf'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Invalid timestamp
+ */
+router.get(
+  '/as-of',
+  auth,
+  asyncHandler(async (req, res) => {
+    const { at, category, productId, format = 'json', page = 1, limit = 100 } = req.query;
+
+    let asOf = new Date();
+    if (at) {
+      asOf = new Date(/^\d{4}-\d{2}-\d{2}$/.test(at) ? `${at}T23:59:59.999Z` : at);
+      if (Number.isNaN(asOf.getTime())) {
+        throw new AppError('Invalid at timestamp', 400);
+      }
+    }
+
+    const productFilter = { tenantId: req.tenantId };
+    if (category) productFilter.category = category;
+    if (productId) productFilter._id = productId;
+    const products = await Product.find(productFilter).select('name category').lean();
+    const productMap = {};
+    products.forEach((p) => {
+      productMap[p._id.toString()] = p;
+    });
+
+    const variants = await Variant.find({
+      tenantId: req.tenantId,
+      createdAt: { $lte: asOf },
+      productId: { $in: products.map((p) => p._id) },
+    })
+      .select('productId sku attributes stock')
+      .sort({ sku: 1 })
+      .lean();
+
+    const { stock, snapshotAt } = await getStockAsOf({ tenantId: req.tenantId, asOf, variants });
+
+    const rows = variants.map((v) => {
+      const product = productMap[v.productId.toString()];
+      return {
+        variantId: v._id,
+        productId: v.productId,
+        productName: product.name,
+        category: product.category,
+        sku: v.sku,
+        attributes: v.attributes,
+        stock: stock.get(v._id.toString()) ?? 0,
+      };
+    });
+
+    if (format === 'csv') {
+      const csv = toCsv(
+        [
+          { key: 'sku', label: 'SKU' },
+          { key: 'productName', label: 'Product' },
+          { key: 'category', label: 'Category' },
+          { key: 'stock', label: 'Stock' },
+        ],
+        rows
+      );
+      res.set('Content-Type', 'text/csv');
+      res.set('Content-Disposition', `attachment; filename="stock-as-of-${asOf.toISOString().split('T')[0]}.csv"`);
+      return res.send(csv);
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    res.json({
+      asOf,
+      snapshotAt,
+      totals: {
+        variants: rows.length,
+        units: rows.reduce((sum, r) => sum + r.stock, 0),
+      },
+      variants: rows.slice(skip, skip + parseInt(limit)),
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total: rows.length,
+        pages: Math.ceil(rows.length / parseInt(limit)),
+      },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /stock/snapshots:
+ *   post:
+ *     summary: Snapshot every variant's current stock (owner/manager only)
+ *     description: >
+ *       Snapshots are also taken automatically once a day. Taking one by hand
+ *       speeds up point-in-time queries for times after it.
+ *     tags: [Stock]
+ *     responses:
+ *       201:
+ *         description: Snapshot taken
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 snapshot:
+ *                   $ref: '#/components/schemas/StockSnapshot'
+ */
+router.post(
+  '/snapshots',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    const snapshot = await takeSnapshot(req.tenantId);
+    res.status(201).json({
+      snapshot: { _id: snapshot._id, takenAt: snapshot.takenAt, variants: snapshot.levels.length },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /stock/reconciliation:
+ *   get:
+ *     summary: Latest stock ledger reconciliation run (owner/manager only)
+ *     description: >
+ *       Runs are taken nightly and on demand. Each lists the variants whose
+ *       movements don't add up to their stock, or whose previousStock doesn't
+ *       continue from the newStock of the movement before.
+ *     tags: [Stock]
+ *     responses:
+ *       200:
+ *         description: Latest run, or null if none has been taken yet
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 run:
+ *                   $ref: '#/components/schemas/ReconciliationRun'
+ */
+router.get(
+  '/reconciliation',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    const run = await ReconciliationRun.findOne({ tenantId: req.tenantId })
+      .sort({ startedAt: -1 })
+      .populate('issues.productId', 'name')
+      .populate('createdBy', 'name')
+      .lean();
+
+    res.json({ run });
+  })
+);
+
+/**
+ * @swagger
+ * /stock/reconciliation:
+ *   post:
+ *     summary: Reconcile the stock ledger now (owner/manager only)
+ *     tags: [Stock]
+ *     responses:
+ *       201:
+ *         description: Run finished
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 run:
+ *                   $ref: '#/components/schemas/ReconciliationRun'
+ */
+router.post(
+  '/reconciliation',
+  auth,
+  authorize('owner', 'manager'),
+  asyncHandler(async (req, res) => {
+    const { _id } = await reconcileTenant(req.tenantId, { userId: req.user._id });
+    const run = await ReconciliationRun.findById(_id)
+      .populate('issues.productId', 'name')
+      .populate('createdBy', 'name')
+      .lean();
+
+    res.status(201).json({ run });
+  })
+);
+
+/**
+ * @swagger
+ * /stock/reconciliation/{variantId}/correct:
+ *   post:
+ *     summary: Post a correcting adjustment for a variant's ledger (owner only)
+ *     description: >
+ *       Records an adjustment for the difference between the variant's stock
+ *       and the sum of its movements. Stock itself doesn't change. Chain breaks
+ *       before the correction are accepted and no longer reported.
+ *     tags: [Stock]
+ *     parameters:
+ *       - in: path
+ *         name: variantId
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       201:
+ *         description: Correction posted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 movement:
+ *                   $ref: '#/components/schemas/StockMovement'
+ *       400:
+ *         description: Ledger already matches stock
+ *       404:
+ *         description: Variant not found
+ */
+router.post(
+  '/reconciliation/:variantId/correct',
+  auth,
+  authorize('owner'),
+  asyncHandler(async (req, res) => {
+    const { variant, movement } = await postCorrection({
+      tenantId: req.tenantId,
+      variantId: req.params.variantId,
+      userId: req.user._id,
+    });
+
+    const io = req.app.get('io');
+    if (io) {
+      io.to(`tenant:${req.tenantId}`).emit('stock:updated', {
+        variantId: variant._id,
+        sku: variant.sku,
+        stock: variant.stock,
+        movement,
+      });
+    }
+
+    res.status(201).json({ movement });
+  })
+);
+
 module.exports = router;
@@ -168,6 +168,9 @@ router.get(
  *                       type: number
  *                     leadTimeDays:
  *                       type: integer
+ *                     preferred:
+ *                       type: boolean
+ *                       description: Reorder suggestions for the variant go to this supplier
  *     responses:
  *       201:
  *         description: Supplier created
@@ -252,6 +255,9 @@ router.post(
  *                       type: number
  *                     leadTimeDays:
  *                       type: integer
+ *                     preferred:
+ *                       type: boolean
+ *                       description: Reorder suggestions for the variant go to this supplier
  *               isActive:
  *                 type: boolean
  *     responses:
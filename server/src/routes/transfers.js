@@ -0,0 +1,784 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const { body, validationResult } = require('express-validator');
+const { Transfer, Variant, StockMovement } = require('../models');
+const { auth, checkPermission } = require('../middleware/auth');
+const { asyncHandler, generateOrderNumber } = require('../utils/helpers');
+const { AppError } = require('../middleware/errorHandler');
+const { resolveLocation, changeStock, changeInTransit } = require('../services/inventory');
+const { consumeCost } = require('../services/costing');
+const { drawLots, receiveLot, lotsArriving } = require('../services/lots');
+const { pickSerials, moveSerials } = require('../services/serials');
+
+const router = express.Router();
+
+const populateTransfer = (query) =>
+  query
+    .populate('fromLocationId', 'name code')
+    .populate('toLocationId', 'name code')
+    .populate('createdBy', 'name')
+    .populate('shippedBy', 'name')
+    .populate('items.variantId', 'sku attributes')
+    .populate('items.productId', 'name');
+
+/**
+ * @swagger
+ * /transfers:
+ *   get:
+ *     summary: List stock transfers with pagination
+ *     tags: [Transfers]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 20
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, in_transit, partially_received, received, cancelled]
+ *       - in: query
+ *         name: locationId
+ *         schema:
+ *           type: string
+ *         description: Transfers leaving or arriving at this location
+ *     responses:
+ *       200:
+ *         description: Paginated list of transfers
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transfers:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Transfer'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ */
+router.get(
+  '/',
+  auth,
+  asyncHandler(async (req, res) => {
+    const { page = 1, limit = 20, status, locationId } = req.query;
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const filter = { tenantId: req.tenantId };
+    if (status) filter.status = status;
+    if (locationId) {
+      filter.$or = [{ fromLocationId: locationId }, { toLocationId: locationId }];
+    }
+
+    const [transfers, total] = await Promise.all([
+      populateTransfer(
+        Transfer.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit))
+      ).lean(),
+      Transfer.countDocuments(filter),
+    ]);
+
+    res.json({
+      transfers,
+      pagination: {
+        page: parseInt(page),
+        limit: parseInt(limit),
+        total,
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  })
+);
+
+/**
+ * @swagger
+ * /transfers/{id}:
+ *   get:
+ *     summary: Get a single transfer with its movements
+ *     tags: [Transfers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transfer ID
+ *     responses:
+ *       200:
+ *         description: Transfer details
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transfer:
+ *                   $ref: '#/components/schemas/Transfer'
+ *                 movements:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/StockMovement'
+ *       404:
+ *         description: Transfer not found
+ */
+router.get(
+  '/:id',
+  auth,
+  asyncHandler(async (req, res) => {
+    const transfer = await populateTransfer(
+      Transfer.findOne({ _id: req.params.id, tenantId: req.tenantId })
+    ).lean();
+
+    if (!transfer) {
+      throw new AppError('Transfer not found', 404);
+    }
+
+    const movements = await StockMovement.find({
+      tenantId: req.tenantId,
+      transferId: transfer._id,
+    })
+      .sort({ createdAt: 1 })
+      .populate('variantId', 'sku')
+      .populate('locationId', 'name code')
+      .populate('createdBy', 'name')
+      .lean();
+
+    res.json({ transfer, movements });
+  })
+);
+
+/**
+ * @swagger
+ * /transfers:
+ *   post:
+ *     summary: Create a draft transfer between two locations (requires transfers:create)
+ *     tags: [Transfers]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fromLocationId, toLocationId, items]
+ *             properties:
+ *               fromLocationId:
+ *                 type: string
+ *               toLocationId:
+ *                 type: string
+ *               notes:
+ *                 type: string
+ *               items:
+ *                 type: array
+ *                 minItems: 1
+ *                 items:
+ *                   type: object
+ *                   required: [variantId, quantity]
+ *                   properties:
+ *                     variantId:
+ *                       type: string
+ *                     quantity:
+ *                       type: integer
+ *                       minimum: 1
+ *     responses:
+ *       201:
+ *         description: Transfer created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transfer:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Validation error
+ */
+router.post(
+  '/',
+  auth,
+  checkPermission('transfers:create'),
+  [
+    body('fromLocationId').isMongoId().withMessage('Please select the location to ship from'),
+    body('toLocationId').isMongoId().withMessage('Please select the location to ship to'),
+    body('items').isArray({ min: 1 }).withMessage('Please add at least one item to the transfer'),
+    body('items.*.variantId').isMongoId().withMessage('Please select a product variant for each item'),
+    body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1 for each item'),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { fromLocationId, toLocationId, items, notes } = req.body;
+
+    if (fromLocationId === toLocationId) {
+      throw new AppError('Source and destination locations must be different', 400);
+    }
+
+    const [fromLocation, toLocation] = await Promise.all([
+      resolveLocation(req.tenantId, fromLocationId),
+      resolveLocation(req.tenantId, toLocationId),
+    ]);
+
+    const variantIds = items.map((i) => i.variantId);
+    if (new Set(variantIds).size !== variantIds.length) {
+      throw new AppError('Each variant can only appear once per transfer', 400);
+    }
+
+    const variants = await Variant.find({
+      _id: { $in: variantIds },
+      tenantId: req.tenantId,
+    }).lean();
+
+    if (variants.length !== variantIds.length) {
+      throw new AppError('One or more variants were not found', 404);
+    }
+
+    const variantMap = {};
+    variants.forEach((v) => {
+      variantMap[v._id.toString()] = v;
+    });
+
+    const transfer = await Transfer.create({
+      tenantId: req.tenantId,
+      transferNumber: generateOrderNumber('TRF'),
+      fromLocationId: fromLocation._id,
+      toLocationId: toLocation._id,
+      items: items.map((i) => ({
+        variantId: i.variantId,
+        productId: variantMap[i.variantId].productId,
+        quantity: i.quantity,
+      })),
+      notes,
+      createdBy: req.user._id,
+    });
+
+    const populated = await populateTransfer(Transfer.findById(transfer._id));
+
+    res.status(201).json({ transfer: populated });
+  })
+);
+
+/**
+ * @swagger
+ * /transfers/{id}/ship:
+ *   post:
+ *     summary: Ship a draft transfer, moving its stock into transit (requires transfers:ship)
+ *     description: >
+ *       Writes a pair of transfer movements per line: out of the source location
+ *       and into transit. In-transit units are not available at any location.
+ *       Lot-tracked units leave first-expiring first and the lots travel with the line;
+ *       serial-tracked units go longest held first and their serials go in transit.
+ *     tags: [Transfers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transfer ID
+ *     responses:
+ *       200:
+ *         description: Transfer is in transit
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transfer:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Not enough stock at the source location
+ *       404:
+ *         description: Transfer not found or already shipped
+ */
+router.post(
+  '/:id/ship',
+  auth,
+  checkPermission('transfers:ship'),
+  asyncHandler(async (req, res) => {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      // Atomic status guard so the same transfer can't be shipped twice
+      const transfer = await Transfer.findOneAndUpdate(
+        { _id: req.params.id, tenantId: req.tenantId, status: 'draft' },
+        { status: 'in_transit', shippedAt: new Date(), shippedBy: req.user._id },
+        { new: true, session }
+      );
+
+      if (!transfer) {
+        throw new AppError('Transfer not found or already shipped', 404);
+      }
+
+      const fromLocation = await resolveLocation(req.tenantId, transfer.fromLocationId, session);
+      const stockMovements = [];
+
+      for (const item of transfer.items) {
+        const out = await changeStock({
+          tenantId: req.tenantId,
+          variantId: item.variantId,
+          locationId: fromLocation._id,
+          quantity: -item.quantity,
+          session,
+        });
+
+        if (!out) {
+          const variant = await Variant.findById(item.variantId).select('sku').session(session);
+          throw new AppError(
+            `Not enough stock of ${variant?.sku || 'item'} at ${fromLocation.name} to ship ${item.quantity}`,
+            400
+          );
+        }
+
+        const lots = await drawLots({
+          tenantId: req.tenantId,
+          variantId: item.variantId,
+          locationId: fromLocation._id,
+          quantity: item.quantity,
+          sku: out.variant.sku,
+          session,
+        });
+        if (lots.length > 0) {
+          item.lots = lots.map(({ lotNumber, expiryDate, quantity }) => ({ lotNumber, expiryDate, quantity }));
+        }
+
+        const serialNumbers = await pickSerials({
+          tenantId: req.tenantId,
+          variantId: item.variantId,
+          locationId: fromLocation._id,
+          quantity: item.quantity,
+          sku: out.variant.sku,
+          session,
+        });
+        await moveSerials({
+          tenantId: req.tenantId,
+          variantId: item.variantId,
+          serialNumbers,
+          status: 'in_transit',
+          event: 'transferred',
+          reference: `Transfer ${transfer.transferNumber}`,
+          referenceId: transfer._id,
+          userId: req.user._id,
+          session,
+        });
+        if (serialNumbers.length > 0) {
+          item.serialNumbers = serialNumbers;
+        }
+
+        const inTransit = await changeInTransit({
+          tenantId: req.tenantId,
+          variantId: item.variantId,
+          quantity: item.quantity,
+          session,
+        });
+
+        const base = {
+          tenantId: req.tenantId,
+          variantId: item.variantId,
+          productId: item.productId,
+          type: 'transfer',
+          reference: `Transfer ${transfer.transferNumber}`,
+          referenceId: transfer._id,
+          transferId: transfer._id,
+          createdBy: req.user._id,
+        };
+
+        stockMovements.push(
+          {
+            ...base,
+            locationId: fromLocation._id,
+            quantity: -item.quantity,
+            previousStock: out.variant.stock + item.quantity,
+            newStock: out.variant.stock,
+            lots: lots.length > 0 ? lots : undefined,
+            serialNumbers: item.serialNumbers,
+            notes: 'Shipped',
+          },
+          {
+            ...base,
+            quantity: item.quantity,
+            previousStock: inTransit.stock - item.quantity,
+            newStock: inTransit.stock,
+            notes: 'In transit',
+          }
+        );
+      }
+
+      await transfer.save({ session });
+      await StockMovement.create(stockMovements, { session, ordered: true });
+
+      await session.commitTransaction();
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`tenant:${req.tenantId}`).emit('transfer:shipped', { transfer });
+        for (const sm of stockMovements.filter((m) => m.locationId)) {
+          io.to(`tenant:${req.tenantId}`).emit('stock:updated', {
+            variantId: sm.variantId,
+            locationId: sm.locationId,
+            stock: sm.newStock,
+          });
+        }
+      }
+
+      const populated = await populateTransfer(Transfer.findById(transfer._id));
+      res.json({ transfer: populated });
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /transfers/{id}/receive:
+ *   post:
+ *     summary: Receive a shipped transfer (partial supported, requires transfers:receive)
+ *     description: >
+ *       Writes a pair of transfer movements per received line: out of transit and
+ *       into the destination location. With complete=true, anything still in
+ *       transit is written off and the discrepancy notes are kept on the lines.
+ *       Lots shipped on a line are recreated at the destination in the order they left,
+ *       and shipped serials come back into stock the same way. Serials that never
+ *       arrive are written off.
+ *     tags: [Transfers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transfer ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [items]
+ *             properties:
+ *               complete:
+ *                 type: boolean
+ *                 description: Close the transfer and write off anything not received
+ *               items:
+ *                 type: array
+ *                 items:
+ *                   type: object
+ *                   required: [variantId, quantityReceived]
+ *                   properties:
+ *                     variantId:
+ *                       type: string
+ *                     quantityReceived:
+ *                       type: integer
+ *                       minimum: 0
+ *                     discrepancyNote:
+ *                       type: string
+ *                       example: 2 units damaged in transit
+ *     responses:
+ *       200:
+ *         description: Delivery received, stock updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transfer:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       400:
+ *         description: Exceeds shipped quantity or validation error
+ *       404:
+ *         description: Transfer not found or not in receivable status
+ */
+router.post(
+  '/:id/receive',
+  auth,
+  checkPermission('transfers:receive'),
+  [
+    body('items').isArray().withMessage('Items must be a list'),
+    body('items.*.variantId').notEmpty().withMessage('Please select a product variant for each item'),
+    body('items.*.quantityReceived').isInt({ min: 0 }).withMessage('Received quantity cannot be negative'),
+    body('items.*.discrepancyNote').optional().trim().isLength({ max: 500 }),
+    body('complete').optional().isBoolean(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ error: 'Validation failed', details: errors.array() });
+    }
+
+    const { items: receivedItems, complete } = req.body;
+    if (!complete && !receivedItems.some((i) => i.quantityReceived > 0)) {
+      throw new AppError('Enter a received quantity for at least one item', 400);
+    }
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const transfer = await Transfer.findOne({
+        _id: req.params.id,
+        tenantId: req.tenantId,
+        status: { $in: ['in_transit', 'partially_received'] },
+      }).session(session);
+
+      if (!transfer) {
+        throw new AppError('Transfer not found or not in receivable status', 404);
+      }
+
+      const toLocation = await resolveLocation(req.tenantId, transfer.toLocationId, session);
+      const reference = `Transfer ${transfer.transferNumber}`;
+      const stockMovements = [];
+
+      for (const received of receivedItems) {
+        const line = transfer.items.find(
+          (i) => i.variantId.toString() === received.variantId
+        );
+
+        if (!line) {
+          throw new AppError('One of the received items does not belong to this transfer', 400);
+        }
+
+        const outstanding = line.quantity - line.quantityReceived - line.quantityWrittenOff;
+        if (received.quantityReceived > outstanding) {
+          throw new AppError(
+            `Cannot receive ${received.quantityReceived} units — only ${outstanding} still in transit`,
+            400
+          );
+        }
+
+        if (received.discrepancyNote) {
+          line.discrepancyNote = received.discrepancyNote;
+        }
+
+        if (received.quantityReceived === 0) continue;
+
+        line.quantityReceived += received.quantityReceived;
+
+        const fromTransit = await changeInTransit({
+          tenantId: req.tenantId,
+          variantId: line.variantId,
+          quantity: -received.quantityReceived,
+          session,
+        });
+        if (!fromTransit) {
+          throw new AppError('In-transit balance is out of step with this transfer', 409);
+        }
+
+        const { variant } = await changeStock({
+          tenantId: req.tenantId,
+          variantId: line.variantId,
+          locationId: toLocation._id,
+          quantity: received.quantityReceived,
+          session,
+        });
+
+        const arriving = lotsArriving(
+          line.lots,
+          line.quantityReceived - received.quantityReceived,
+          received.quantityReceived
+        );
+        const lots = [];
+        for (const part of arriving) {
+          lots.push(await receiveLot({
+            tenantId: req.tenantId,
+            variant,
+            locationId: toLocation._id,
+            ...part,
+            reference,
+            referenceId: transfer._id,
+            session,
+          }));
+        }
+
+        // Serials arrive in the order they were shipped, like lots
+        const offset = line.quantityReceived - received.quantityReceived;
+        const serialNumbers = (line.serialNumbers || []).slice(offset, offset + received.quantityReceived);
+        await moveSerials({
+          tenantId: req.tenantId,
+          variantId: line.variantId,
+          serialNumbers,
+          status: 'in_stock',
+          event: 'received',
+          locationId: toLocation._id,
+          reference,
+          referenceId: transfer._id,
+          userId: req.user._id,
+          session,
+        });
+
+        const base = {
+          tenantId: req.tenantId,
+          variantId: line.variantId,
+          productId: line.productId,
+          type: 'transfer',
+          reference,
+          referenceId: transfer._id,
+          transferId: transfer._id,
+          createdBy: req.user._id,
+        };
+
+        stockMovements.push(
+          {
+            ...base,
+            quantity: -received.quantityReceived,
+            previousStock: fromTransit.stock + received.quantityReceived,
+            newStock: fromTransit.stock,
+            notes: 'Out of transit',
+          },
+          {
+            ...base,
+            locationId: toLocation._id,
+            quantity: received.quantityReceived,
+            previousStock: variant.stock - received.quantityReceived,
+            newStock: variant.stock,
+            lots: lots.length > 0 ? lots : undefined,
+            serialNumbers: serialNumbers.length > 0 ? serialNumbers : undefined,
+            notes: 'Received',
+          }
+        );
+      }
+
+      // Closing short: whatever is still in transit never arrived
+      if (complete) {
+        for (const line of transfer.items) {
+          const shortfall = line.quantity - line.quantityReceived - line.quantityWrittenOff;
+          if (shortfall <= 0) continue;
+
+          const variant = await changeInTransit({
+            tenantId: req.tenantId,
+            variantId: line.variantId,
+            quantity: -shortfall,
+            session,
+          });
+          if (!variant) {
+            throw new AppError('In-transit balance is out of step with this transfer', 409);
+          }
+
+          // Units that never arrived leave inventory at cost
+          const cost = await consumeCost({ tenantId: req.tenantId, variant, quantity: shortfall, session });
+
+          line.quantityWrittenOff += shortfall;
+          const lost = (line.serialNumbers || []).slice(line.quantityReceived);
+          await moveSerials({
+            tenantId: req.tenantId,
+            variantId: line.variantId,
+            serialNumbers: lost,
+            status: 'written_off',
+            event: 'adjusted',
+            reference,
+            referenceId: transfer._id,
+            userId: req.user._id,
+            session,
+          });
+          stockMovements.push({
+            tenantId: req.tenantId,
+            variantId: line.variantId,
+            productId: line.productId,
+            type: 'transfer',
+            quantity: -shortfall,
+            unitCost: cost.unitCost,
+            totalCost: -cost.totalCost,
+            previousStock: variant.stock + shortfall,
+            newStock: variant.stock,
+            reference,
+            referenceId: transfer._id,
+            transferId: transfer._id,
+            serialNumbers: lost.length > 0 ? lost : undefined,
+            notes: `Not received: ${line.discrepancyNote || 'no reason given'}`,
+            createdBy: req.user._id,
+          });
+        }
+      }
+
+      const allClosed = transfer.items.every(
+        (i) => i.quantityReceived + i.quantityWrittenOff >= i.quantity
+      );
+      transfer.status = allClosed ? 'received' : 'partially_received';
+      if (allClosed) transfer.receivedAt = new Date();
+
+      await transfer.save({ session });
+      if (stockMovements.length > 0) {
+        await StockMovement.create(stockMovements, { session, ordered: true });
+      }
+
+      await session.commitTransaction();
+
+      const io = req.app.get('io');
+      if (io) {
+        io.to(`tenant:${req.tenantId}`).emit('transfer:received', { transfer });
+        for (const sm of stockMovements.filter((m) => m.locationId)) {
+          io.to(`tenant:${req.tenantId}`).emit('stock:updated', {
+            variantId: sm.variantId,
+            locationId: sm.locationId,
+            stock: sm.newStock,
+          });
+        }
+      }
+
+      const populated = await populateTransfer(Transfer.findById(transfer._id));
+      res.json({ transfer: populated });
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  })
+);
+
+/**
+ * @swagger
+ * /transfers/{id}/cancel:
+ *   post:
+ *     summary: Cancel a draft transfer (requires transfers:create)
+ *     tags: [Transfers]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Transfer ID
+ *     responses:
+ *       200:
+ *         description: Transfer cancelled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 transfer:
+ *                   $ref: '#/components/schemas/Transfer'
+ *       404:
+ *         description: Transfer not found or already shipped
+ */
+router.post(
+  '/:id/cancel',
+  auth,
+  checkPermission('transfers:create'),
+  asyncHandler(async (req, res) => {
+    // Once shipped, stock has left the source; close it out via receive instead
+    const transfer = await Transfer.findOneAndUpdate(
+      { _id: req.params.id, tenantId: req.tenantId, status: 'draft' },
+      { status: 'cancelled' },
+      { new: true }
+    );
+
+    if (!transfer) {
+      throw new AppError('Transfer not found or already shipped', 404);
+    }
+
+    res.json({ transfer });
+  })
+);
+
+module.exports = router;
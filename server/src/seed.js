@@ -3,8 +3,46 @@ const dotenv = require('dotenv');
 dotenv.config();
 
 const connectDB = require('./config/db');
-const { Tenant, User, Product, Variant, Supplier, PurchaseOrder, Order, StockMovement } = require('./models');
+const {
+  Tenant, User, Product, Variant, Supplier, PurchaseOrder, Order, StockMovement, Location, StockLevel,
+  Shipment, ReturnAuthorization, Customer, CostLayer, StockSnapshot, CycleCount,
+  ReasonCode, ApprovalRule, ApprovalRequest, Lot, SerialNumber, OrderRollup, SalesRollup, MovementRollup,
+} = require('./models');
 const { generateOrderNumber } = require('./utils/helpers');
+const { migrateOrderCustomers } = require('./services/customers');
+const { syncRollups } = require('./services/rollups');
+
+// Put each variant's opening stock into a single location
+const seedStockLevels = (variants, location) =>
+  StockLevel.insertMany(
+    variants
+      .filter((v) => v.stock > 0)
+      .map((v) => ({
+        tenantId: v.tenantId,
+        variantId: v._id,
+        productId: v.productId,
+        locationId: location._id,
+        quantity: v.stock,
+      }))
+  );
+
+// Record a single shipment covering a whole order
+const seedShipment = async (order, details) => {
+  await Shipment.create({
+    tenantId: order.tenantId,
+    shipmentNumber: generateOrderNumber('SHP'),
+    orderId: order._id,
+    locationId: order.locationId,
+    items: order.items.map(({ variantId, productId, productName, variantSku, quantity }) => ({
+      variantId, productId, productName, variantSku, quantity,
+    })),
+    ...details,
+  });
+  order.items.forEach((item) => {
+    item.quantityShipped = item.quantity;
+  });
+  await order.save();
+};
 
 const seed = async () => {
   await connectDB();
@@ -19,6 +57,22 @@ const seed = async () => {
     PurchaseOrder.deleteMany({}),
     Order.deleteMany({}),
     StockMovement.deleteMany({}),
+    Location.deleteMany({}),
+    StockLevel.deleteMany({}),
+    Shipment.deleteMany({}),
+    ReturnAuthorization.deleteMany({}),
+    Customer.deleteMany({}),
+    CostLayer.deleteMany({}),
+    StockSnapshot.deleteMany({}),
+    CycleCount.deleteMany({}),
+    ReasonCode.deleteMany({}),
+    ApprovalRule.deleteMany({}),
+    ApprovalRequest.deleteMany({}),
+    Lot.deleteMany({}),
+    SerialNumber.deleteMany({}),
+    OrderRollup.deleteMany({}),
+    SalesRollup.deleteMany({}),
+    MovementRollup.deleteMany({}),
   ]);
 
   console.log('Seeding Tenant 1: TechGear Electronics...');
@@ -36,6 +90,13 @@ const seed = async () => {
     User.create({ tenantId: tenant1._id, name: 'Bob Staff', email: 'staff@techgear.com', password: 'password123', role: 'staff' }),
   ]);
 
+  // Locations for Tenant 1
+  const [t1Main] = await Location.create([
+    { tenantId: tenant1._id, name: 'Main Warehouse', code: 'MAIN', address: '1 Commerce Way, San Jose, CA 95110', isDefault: true },
+    { tenantId: tenant1._id, name: 'East Coast Warehouse', code: 'WH-EAST', address: '400 Harbor Rd, Newark, NJ 07105' },
+    { tenantId: tenant1._id, name: 'Retail Store', code: 'STORE-1', address: '22 Market St, San Francisco, CA 94103' },
+  ]);
+
   // Products for Tenant 1
   const t1Laptop = await Product.create({
     tenantId: tenant1._id,
@@ -112,6 +173,11 @@ const seed = async () => {
     { tenantId: tenant1._id, productId: t1Monitor._id, sku: 'MON-34', attributes: new Map([['size', '34"']]), price: 649.99, costPrice: 400, stock: 12, lowStockThreshold: 3 },
   ]);
 
+  await seedStockLevels(
+    [...t1LaptopVariants, ...t1PhoneVariants, ...t1HeadphoneVariants, ...t1ChargerVariants, ...t1MonitorVariants],
+    t1Main
+  );
+
   // Supplier for Tenant 1
   const t1Supplier1 = await Supplier.create({
     tenantId: tenant1._id,
@@ -143,6 +209,7 @@ const seed = async () => {
   // PO for Tenant 1 (pending - affects low stock alerts)
   const t1PO = await PurchaseOrder.create({
     tenantId: tenant1._id,
+    locationId: t1Main._id,
     poNumber: 'PO-SEED-001',
     supplierId: t1Supplier2._id,
     status: 'confirmed',
@@ -157,8 +224,10 @@ const seed = async () => {
   // Sample orders for Tenant 1
   const t1Order1 = await Order.create({
     tenantId: tenant1._id,
+    locationId: t1Main._id,
     orderNumber: generateOrderNumber('ORD'),
     status: 'delivered',
+    stockStatus: 'consumed',
     items: [
       { variantId: t1PhoneVariants[0]._id, productId: t1Phone._id, productName: 'SmartPhone X', variantSku: 'SPX-BLK-128', quantity: 2, unitPrice: 699.99, total: 1399.98 },
       { variantId: t1ChargerVariants[0]._id, productId: t1Charger._id, productName: 'USB-C Fast Charger', variantSku: 'USC-20W', quantity: 2, unitPrice: 29.99, total: 59.98 },
@@ -171,6 +240,7 @@ const seed = async () => {
 
   const t1Order2 = await Order.create({
     tenantId: tenant1._id,
+    locationId: t1Main._id,
     orderNumber: generateOrderNumber('ORD'),
     status: 'confirmed',
     items: [
@@ -183,13 +253,36 @@ const seed = async () => {
     createdBy: t1Manager._id,
   });
 
+  await seedShipment(t1Order1, {
+    carrier: 'UPS', trackingNumber: '1Z999AA10123456784', weight: 0.9, createdBy: t1Staff._id,
+  });
+
+  // One charger came back faulty and is waiting in quarantine
+  await ReturnAuthorization.create({
+    tenantId: tenant1._id,
+    rmaNumber: generateOrderNumber('RMA'),
+    orderId: t1Order1._id,
+    locationId: t1Main._id,
+    status: 'open',
+    items: [
+      { variantId: t1ChargerVariants[0]._id, productId: t1Charger._id, productName: 'USB-C Fast Charger', variantSku: 'USC-20W', quantity: 1, reason: 'defective', disposition: 'quarantine', unitCost: 8, quantityQuarantined: 1 },
+    ],
+    notes: 'Customer reports it stops charging after a few minutes',
+    createdBy: t1Manager._id,
+  });
+  t1Order1.items[1].quantityReturned = 1;
+  // Shipped from opening stock at cost price; the returned charger no longer counts
+  t1Order1.items[0].costOfGoods = 900;
+  t1Order1.items[1].costOfGoods = 8;
+  await t1Order1.save();
+
   // Stock movements for Tenant 1
   await StockMovement.create([
-    { tenantId: tenant1._id, variantId: t1PhoneVariants[0]._id, productId: t1Phone._id, type: 'sale', quantity: -2, previousStock: 52, newStock: 50, reference: `Order ${t1Order1.orderNumber}`, createdBy: t1Staff._id },
-    { tenantId: tenant1._id, variantId: t1ChargerVariants[0]._id, productId: t1Charger._id, type: 'sale', quantity: -2, previousStock: 202, newStock: 200, reference: `Order ${t1Order1.orderNumber}`, createdBy: t1Staff._id },
-    { tenantId: tenant1._id, variantId: t1LaptopVariants[1]._id, productId: t1Laptop._id, type: 'sale', quantity: -1, previousStock: 16, newStock: 15, reference: `Order ${t1Order2.orderNumber}`, createdBy: t1Manager._id },
-    { tenantId: tenant1._id, variantId: t1HeadphoneVariants[0]._id, productId: t1Headphones._id, type: 'sale', quantity: -1, previousStock: 101, newStock: 100, reference: `Order ${t1Order2.orderNumber}`, createdBy: t1Manager._id },
-    { tenantId: tenant1._id, variantId: t1PhoneVariants[3]._id, productId: t1Phone._id, type: 'adjustment', quantity: -7, previousStock: 10, newStock: 3, notes: 'Inventory audit correction', createdBy: t1Owner._id },
+    { tenantId: tenant1._id, variantId: t1PhoneVariants[0]._id, productId: t1Phone._id, locationId: t1Main._id, type: 'sale', quantity: -2, unitCost: 450, totalCost: -900, previousStock: 52, newStock: 50, reference: `Order ${t1Order1.orderNumber}`, createdBy: t1Staff._id },
+    { tenantId: tenant1._id, variantId: t1ChargerVariants[0]._id, productId: t1Charger._id, locationId: t1Main._id, type: 'sale', quantity: -2, unitCost: 8, totalCost: -16, previousStock: 202, newStock: 200, reference: `Order ${t1Order1.orderNumber}`, createdBy: t1Staff._id },
+    { tenantId: tenant1._id, variantId: t1LaptopVariants[1]._id, productId: t1Laptop._id, locationId: t1Main._id, type: 'sale', quantity: -1, previousStock: 16, newStock: 15, reference: `Order ${t1Order2.orderNumber}`, createdBy: t1Manager._id },
+    { tenantId: tenant1._id, variantId: t1HeadphoneVariants[0]._id, productId: t1Headphones._id, locationId: t1Main._id, type: 'sale', quantity: -1, previousStock: 101, newStock: 100, reference: `Order ${t1Order2.orderNumber}`, createdBy: t1Manager._id },
+    { tenantId: tenant1._id, variantId: t1PhoneVariants[3]._id, productId: t1Phone._id, locationId: t1Main._id, type: 'adjustment', quantity: -7, previousStock: 10, newStock: 3, reasonCode: 'CORRECTION', notes: 'Inventory audit correction', createdBy: t1Owner._id },
   ]);
 
   console.log('Seeding Tenant 2: Fashion Hub...');
@@ -198,7 +291,7 @@ const seed = async () => {
   const tenant2 = await Tenant.create({
     name: 'Fashion Hub',
     slug: 'fashion-hub',
-    settings: { currency: 'USD', lowStockThreshold: 15 },
+    settings: { currency: 'USD', lowStockThreshold: 15, costingMethod: 'average' },
   });
 
   const [t2Owner, t2Manager, t2Staff] = await Promise.all([
@@ -207,6 +300,8 @@ const seed = async () => {
     User.create({ tenantId: tenant2._id, name: 'Olivia Brown', email: 'staff@fashionhub.com', password: 'password123', role: 'staff' }),
   ]);
 
+  const t2Main = await Location.create({ tenantId: tenant2._id, name: 'Main Warehouse', code: 'MAIN', isDefault: true });
+
   // Products for Tenant 2
   const t2Tshirt = await Product.create({
     tenantId: tenant2._id,
@@ -278,6 +373,11 @@ const seed = async () => {
     { tenantId: tenant2._id, productId: t2Jacket._id, sku: 'WPJ-XL-OLV', attributes: new Map([['size', 'XL'], ['color', 'Olive']]), price: 159.99, costPrice: 60, stock: 8, lowStockThreshold: 5 },
   ]);
 
+  await seedStockLevels(
+    [...t2TshirtVariants, ...t2JeansVariants, ...t2SneakerVariants, ...t2JacketVariants],
+    t2Main
+  );
+
   // Suppliers for Tenant 2
   const t2Supplier1 = await Supplier.create({
     tenantId: tenant2._id,
@@ -307,6 +407,7 @@ const seed = async () => {
   // PO for Tenant 2
   await PurchaseOrder.create({
     tenantId: tenant2._id,
+    locationId: t2Main._id,
     poNumber: 'PO-SEED-002',
     supplierId: t2Supplier1._id,
     status: 'sent',
@@ -321,6 +422,7 @@ const seed = async () => {
 
   await PurchaseOrder.create({
     tenantId: tenant2._id,
+    locationId: t2Main._id,
     poNumber: 'PO-SEED-003',
     supplierId: t2Supplier2._id,
     status: 'confirmed',
@@ -335,8 +437,10 @@ const seed = async () => {
   // Orders for Tenant 2
   const t2Order1 = await Order.create({
     tenantId: tenant2._id,
+    locationId: t2Main._id,
     orderNumber: generateOrderNumber('ORD'),
     status: 'delivered',
+    stockStatus: 'consumed',
     items: [
       { variantId: t2TshirtVariants[3]._id, productId: t2Tshirt._id, productName: 'Classic Cotton T-Shirt', variantSku: 'CCT-M-BLK', quantity: 3, unitPrice: 29.99, total: 89.97 },
       { variantId: t2JeansVariants[1]._id, productId: t2Jeans._id, productName: 'Slim Fit Jeans', variantSku: 'SFJ-32-BLU', quantity: 1, unitPrice: 59.99, total: 59.99 },
@@ -349,6 +453,7 @@ const seed = async () => {
 
   const t2Order2 = await Order.create({
     tenantId: tenant2._id,
+    locationId: t2Main._id,
     orderNumber: generateOrderNumber('ORD'),
     status: 'processing',
     items: [
@@ -361,26 +466,48 @@ const seed = async () => {
     createdBy: t2Manager._id,
   });
 
+  await seedShipment(t2Order1, {
+    carrier: 'FedEx', trackingNumber: '794644790132', weight: 1.6, createdBy: t2Staff._id,
+  });
+
   // Stock movements for Tenant 2
   await StockMovement.create([
-    { tenantId: tenant2._id, variantId: t2TshirtVariants[3]._id, productId: t2Tshirt._id, type: 'sale', quantity: -3, previousStock: 83, newStock: 80, reference: `Order ${t2Order1.orderNumber}`, createdBy: t2Staff._id },
-    { tenantId: tenant2._id, variantId: t2JeansVariants[1]._id, productId: t2Jeans._id, type: 'sale', quantity: -1, previousStock: 46, newStock: 45, reference: `Order ${t2Order1.orderNumber}`, createdBy: t2Staff._id },
-    { tenantId: tenant2._id, variantId: t2SneakerVariants[1]._id, productId: t2Sneakers._id, type: 'sale', quantity: -1, previousStock: 26, newStock: 25, reference: `Order ${t2Order2.orderNumber}`, createdBy: t2Manager._id },
-    { tenantId: tenant2._id, variantId: t2JacketVariants[0]._id, productId: t2Jacket._id, type: 'sale', quantity: -1, previousStock: 16, newStock: 15, reference: `Order ${t2Order2.orderNumber}`, createdBy: t2Manager._id },
-    { tenantId: tenant2._id, variantId: t2SneakerVariants[3]._id, productId: t2Sneakers._id, type: 'adjustment', quantity: -8, previousStock: 10, newStock: 2, notes: 'Damaged items removed', createdBy: t2Owner._id },
+    { tenantId: tenant2._id, variantId: t2TshirtVariants[3]._id, productId: t2Tshirt._id, locationId: t2Main._id, type: 'sale', quantity: -3, previousStock: 83, newStock: 80, reference: `Order ${t2Order1.orderNumber}`, createdBy: t2Staff._id },
+    { tenantId: tenant2._id, variantId: t2JeansVariants[1]._id, productId: t2Jeans._id, locationId: t2Main._id, type: 'sale', quantity: -1, previousStock: 46, newStock: 45, reference: `Order ${t2Order1.orderNumber}`, createdBy: t2Staff._id },
+    { tenantId: tenant2._id, variantId: t2SneakerVariants[1]._id, productId: t2Sneakers._id, locationId: t2Main._id, type: 'sale', quantity: -1, previousStock: 26, newStock: 25, reference: `Order ${t2Order2.orderNumber}`, createdBy: t2Manager._id },
+    { tenantId: tenant2._id, variantId: t2JacketVariants[0]._id, productId: t2Jacket._id, locationId: t2Main._id, type: 'sale', quantity: -1, previousStock: 16, newStock: 15, reference: `Order ${t2Order2.orderNumber}`, createdBy: t2Manager._id },
+    { tenantId: tenant2._id, variantId: t2SneakerVariants[3]._id, productId: t2Sneakers._id, locationId: t2Main._id, type: 'adjustment', quantity: -8, previousStock: 10, newStock: 2, reasonCode: 'DAMAGE', notes: 'Damaged items removed', createdBy: t2Owner._id },
   ]);
 
+  // Orders above only carry free-text customer details; group them into customers
+  const { customersCreated } = await migrateOrderCustomers();
+  await Customer.updateOne(
+    { tenantId: tenant1._id, email: 'david@example.com' },
+    {
+      phone: '+1-555-0142',
+      tags: ['vip'],
+      addresses: [{ label: 'Home', street: '48 Elm Street', city: 'Portland', state: 'OR', postalCode: '97205', country: 'US' }],
+    }
+  );
+  console.log(`Linked orders to ${customersCreated} customers`);
+
+  // Daily rollups behind the dashboard, built from the orders and movements above
+  for (const tenant of [tenant1, tenant2]) {
+    await syncRollups(tenant._id);
+  }
+  console.log('Built daily rollups');
+
   console.log('\n✅ Seed complete!');
   console.log('\nTenant 1 - TechGear Electronics:');
   console.log('  Owner:   owner@techgear.com / password123');
   console.log('  Manager: manager@techgear.com / password123');
   console.log('  Staff:   staff@techgear.com / password123');
-  console.log('  Products: 5 | Variants: 14 | Suppliers: 2 | Orders: 2 | POs: 1');
+  console.log('  Products: 5 | Variants: 14 | Suppliers: 2 | Orders: 2 | POs: 1 | Locations: 3');
   console.log('\nTenant 2 - Fashion Hub:');
   console.log('  Owner:   owner@fashionhub.com / password123');
   console.log('  Manager: manager@fashionhub.com / password123');
   console.log('  Staff:   staff@fashionhub.com / password123');
-  console.log('  Products: 4 | Variants: 22 | Suppliers: 2 | Orders: 2 | POs: 2');
+  console.log('  Products: 4 | Variants: 22 | Suppliers: 2 | Orders: 2 | POs: 2 | Locations: 1');
 
   process.exit(0);
 };
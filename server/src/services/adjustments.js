@@ -0,0 +1,143 @@
+const { StockMovement } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { resolveLocation, changeStock } = require('./inventory');
+const { receiveCost, consumeCost } = require('./costing');
+const { isLotTracked, receiveLot, drawLots } = require('./lots');
+const { isSerialTracked, receiveSerials, pickSerials, moveSerials } = require('./serials');
+const { stockThreshold } = require('./forecasting');
+
+/**
+ * Apply a manual adjustment at a location and record its movement.
+ * Used straight from POST /stock/adjust and when an approval request for
+ * one is approved. Must run inside the caller's transaction.
+ * For lot-tracked products, added units go into `lotNumber`, which is
+ * required, and removed units come out of that lot or first-expiring first,
+ * expired lots included.
+ * For serial-tracked products, added units need one serial each, and removed
+ * units are the serials given or the longest held; they are written off.
+ */
+const applyAdjustment = async ({
+  tenantId, variantId, locationId, quantity, type, reasonCode, unitCost, lotNumber, expiryDate, serialNumbers,
+  notes, userId, session,
+}) => {
+  const location = await resolveLocation(tenantId, locationId, session);
+
+  // Atomic update — ensures stock never goes negative at the location
+  const result = await changeStock({
+    tenantId,
+    variantId,
+    locationId: location._id,
+    quantity,
+    session,
+  });
+
+  if (!result) {
+    throw new AppError(`Not enough stock available at ${location.name}`, 400);
+  }
+  const { variant } = result;
+
+  let lots;
+  if (quantity > 0) {
+    const tracked = await isLotTracked(tenantId, variant.productId, session);
+    if (lotNumber && !tracked) {
+      throw new AppError(`${variant.sku} isn't lot-tracked`, 400);
+    }
+    // Added units of a lot-tracked product always belong to a lot, as on PO receipts
+    if (tracked && !lotNumber) {
+      throw new AppError(`Please enter a lot number for ${variant.sku}`, 400);
+    }
+    if (tracked) {
+      lots = [await receiveLot({
+        tenantId, variant, locationId: location._id, quantity, lotNumber, expiryDate, reference: 'Adjustment', session,
+      })];
+    }
+  } else if (quantity < 0) {
+    // A write-off may take expired lots; that is how they leave stock
+    lots = await drawLots({
+      tenantId, variantId: variant._id, locationId: location._id, quantity: -quantity, lotNumber,
+      includeExpired: true, sku: variant.sku, session,
+    });
+  }
+
+  let serials = [];
+  if (quantity > 0 && await isSerialTracked(tenantId, variant.productId, session)) {
+    serials = await receiveSerials({
+      tenantId, variant, locationId: location._id, quantity, serialNumbers, event: 'adjusted',
+      reference: 'Adjustment', userId, session,
+    });
+  } else if (quantity < 0) {
+    serials = await pickSerials({
+      tenantId, variantId: variant._id, locationId: location._id, quantity: -quantity, serialNumbers, sku: variant.sku, session,
+    });
+    await moveSerials({
+      tenantId, variantId: variant._id, serialNumbers: serials, status: 'written_off', event: 'adjusted',
+      reference: 'Adjustment', userId, session,
+    });
+  } else if (serialNumbers?.length) {
+    throw new AppError(`${variant.sku} isn't serial-tracked`, 400);
+  }
+
+  // Added units get their own cost layer; removed ones are costed out of the layers
+  const cost = quantity > 0
+    ? await receiveCost({
+      tenantId,
+      variant,
+      quantity,
+      unitCost,
+      source: type,
+      session,
+    })
+    : await consumeCost({ tenantId, variant, quantity: -quantity, session });
+
+  const [movement] = await StockMovement.create(
+    [
+      {
+        tenantId,
+        variantId: variant._id,
+        productId: variant.productId,
+        locationId: location._id,
+        type,
+        quantity,
+        unitCost: cost.unitCost,
+        totalCost: quantity > 0 ? cost.totalCost : -cost.totalCost,
+        previousStock: variant.stock - quantity,
+        newStock: variant.stock,
+        reasonCode,
+        lots: lots?.length ? lots : undefined,
+        serialNumbers: serials.length > 0 ? serials : undefined,
+        notes,
+        createdBy: userId,
+      },
+    ],
+    { session }
+  );
+
+  return { variant, movement };
+};
+
+// Real-time stock update plus a low stock alert when the adjustment crossed the threshold
+const emitAdjustment = (io, tenantId, { variant, movement }) => {
+  if (!io) return;
+  io.to(`tenant:${tenantId}`).emit('stock:updated', {
+    variantId: variant._id,
+    locationId: movement.locationId,
+    stock: variant.stock,
+    movement,
+  });
+
+  // Same rule as order writes: what is left once reservations and transfers in transit are set aside
+  const available = variant.stock - (variant.inTransit || 0) - (variant.reserved || 0);
+  if (available <= stockThreshold(variant)) {
+    io.to(`tenant:${tenantId}`).emit('stock:low', {
+      variantId: variant._id,
+      sku: variant.sku,
+      stock: available,
+      threshold: stockThreshold(variant),
+    });
+  }
+};
+
+module.exports = {
+  applyAdjustment,
+  emitAdjustment,
+};
@@ -0,0 +1,255 @@
+const {
+  OrderRollup, SalesRollup, MovementRollup, StockLevel, Tenant, Variant,
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { thresholdExpr } = require('./forecasting');
+const {
+  DAY, GRANULARITIES, dayKey, addDays, dayDate, isDayKey, safeTimeZone, startOfDay, periodKeys,
+} = require('../utils/dates');
+
+// Aggregations behind the dashboard, shared with scheduled reports. Order and
+// movement figures come from the daily rollups (services/rollups.js).
+
+// Average cost of a variant's units per its cost layers; variants that have
+// not been costed yet fall back to the cost price
+const layerUnitCost = (v) => ({
+  $cond: [
+    { $and: [{ $gt: [`${v}.stock`, 0] }, { $isNumber: `${v}.costValue` }] },
+    { $divide: [`${v}.costValue`, `${v}.stock`] },
+    `${v}.costPrice`,
+  ],
+});
+
+const MAX_RANGE_DAYS = 731;
+const MOVEMENT_TYPES = ['purchase', 'sale', 'return', 'adjustment', 'loss'];
+
+/**
+ * The period a chart covers, as whole days in the tenant's timezone. `from`
+ * and `to` are YYYY-MM-DD; `to` defaults to today and `from` to `days` (else
+ * `defaultDays`) before it. The previous period is the same number of days
+ * straight before; `compare` is on unless the query turns it off.
+ */
+const resolveRange = async (tenantId, query, defaultDays) => {
+  for (const name of ['from', 'to']) {
+    if (query[name] !== undefined && !isDayKey(query[name])) {
+      throw new AppError(`${name} must be a date (YYYY-MM-DD)`, 400);
+    }
+  }
+  const length = query.days !== undefined ? parseInt(query.days) : defaultDays;
+  if (!(length >= 1 && length <= MAX_RANGE_DAYS)) {
+    throw new AppError(`days must be between 1 and ${MAX_RANGE_DAYS}`, 400);
+  }
+  const granularity = query.granularity || 'day';
+  if (typeof granularity !== 'string' || !Object.hasOwn(GRANULARITIES, granularity)) {
+    throw new AppError('granularity must be day, week or month', 400);
+  }
+
+  const tenant = await Tenant.findById(tenantId).select('settings.timezone').lean();
+  const timeZone = safeTimeZone(tenant?.settings?.timezone || 'UTC');
+  const today = dayKey(new Date(), timeZone);
+  const toKey = query.to || today;
+  const fromKey = query.from || addDays(toKey, 1 - length);
+  const days = (Date.parse(toKey) - Date.parse(fromKey)) / DAY + 1;
+  if (days < 1) {
+    throw new AppError('from must not be after to', 400);
+  }
+  if (days > MAX_RANGE_DAYS) {
+    throw new AppError(`The range can span at most ${MAX_RANGE_DAYS} days`, 400);
+  }
+
+  const span = (first, last) => ({
+    fromKey: first,
+    toKey: last,
+    from: startOfDay(first, timeZone),
+    to: new Date(startOfDay(addDays(last, 1), timeZone).getTime() - 1),
+  });
+  return {
+    ...span(fromKey, toKey),
+    timeZone,
+    granularity,
+    days,
+    compare: query.compare !== 'false',
+    previous: span(addDays(fromKey, -days), addDays(fromKey, -1)),
+  };
+};
+
+const describeRange = (range, span = range) => ({
+  from: span.fromKey,
+  to: span.toKey,
+  timezone: range.timeZone,
+  granularity: range.granularity,
+});
+
+// Rollup days within a span, for matching on a rollup's `date`
+const rollupDays = (span) => ({ $gte: dayDate(span.fromKey), $lte: dayDate(span.toKey) });
+
+// Period label of a rollup row. Its date is already the tenant's calendar day,
+// stored as midnight UTC, so it is formatted in UTC.
+const periodOf = (range) => ({
+  $dateToString: { format: GRANULARITIES[range.granularity].format, date: '$date' },
+});
+
+// Non-cancelled orders and their revenue per period, with empty periods filled
+const orderSeries = async (tenantObjId, locationId, range, span) => {
+  const rows = await OrderRollup.aggregate([
+    {
+      $match: {
+        tenantId: tenantObjId,
+        ...(locationId && { locationId }),
+        status: { $ne: 'cancelled' },
+        date: rollupDays(span),
+      },
+    },
+    { $group: { _id: periodOf(range), orders: { $sum: '$orders' }, revenue: { $sum: '$revenue' } } },
+  ]);
+  const byPeriod = new Map(rows.map((r) => [r._id, r]));
+  return periodKeys(span.fromKey, span.toKey, range.granularity).map((period) => ({
+    period,
+    orders: byPeriod.get(period)?.orders || 0,
+    revenue: Math.round((byPeriod.get(period)?.revenue || 0) * 100) / 100,
+  }));
+};
+
+// Units moved per type and period, with empty periods filled
+const movementSeries = async (tenantObjId, range, span) => {
+  const rows = await MovementRollup.aggregate([
+    { $match: { tenantId: tenantObjId, date: rollupDays(span) } },
+    {
+      $group: {
+        _id: { period: periodOf(range), type: '$type' },
+        totalQuantity: { $sum: { $add: ['$unitsIn', '$unitsOut'] } },
+      },
+    },
+  ]);
+
+  const periods = {};
+  periodKeys(span.fromKey, span.toKey, range.granularity).forEach((period) => {
+    periods[period] = { date: period, ...Object.fromEntries(MOVEMENT_TYPES.map((t) => [t, 0])) };
+  });
+  rows.forEach((r) => {
+    if (periods[r._id.period] && MOVEMENT_TYPES.includes(r._id.type)) {
+      periods[r._id.period][r._id.type] = r.totalQuantity;
+    }
+  });
+
+  const movements = Object.values(periods);
+  const totals = Object.fromEntries(MOVEMENT_TYPES.map((t) => [t, movements.reduce((sum, m) => sum + m[t], 0)]));
+  return { movements, totals };
+};
+
+// Inventory totals per location: retail value at current prices, cost value from the cost layers
+const getLocationInventory = (tenantObjId, locationId = null) => {
+  const match = { tenantId: tenantObjId };
+  if (locationId) match.locationId = locationId;
+
+  return StockLevel.aggregate([
+    { $match: match },
+    {
+      $lookup: {
+        from: 'variants',
+        localField: 'variantId',
+        foreignField: '_id',
+        as: 'variant',
+      },
+    },
+    { $unwind: '$variant' },
+    { $match: { 'variant.isActive': true } },
+    {
+      $group: {
+        _id: '$locationId',
+        totalStock: { $sum: '$quantity' },
+        reserved: { $sum: { $ifNull: ['$reserved', 0] } },
+        totalValue: { $sum: { $multiply: ['$quantity', '$variant.price'] } },
+        totalCostValue: { $sum: { $multiply: ['$quantity', layerUnitCost('$variant')] } },
+        totalVariants: { $sum: 1 },
+        lowStockItems: {
+          $sum: {
+            $cond: [
+              {
+                $lte: [
+                  { $subtract: ['$quantity', { $ifNull: ['$reserved', 0] }] },
+                  thresholdExpr('variant.'),
+                ],
+              },
+              1,
+              0,
+            ],
+          },
+        },
+      },
+    },
+  ]);
+};
+
+// Inventory totals across all locations, as a single-row aggregate: retail value, cost value, units
+const inventoryTotals = (tenantObjId) => Variant.aggregate([
+  { $match: { tenantId: tenantObjId, isActive: true } },
+  {
+    $group: {
+      _id: null,
+      totalValue: { $sum: { $multiply: ['$stock', '$price'] } },
+      totalCostValue: {
+        $sum: { $ifNull: ['$costValue', { $multiply: ['$stock', '$costPrice'] }] },
+      },
+      totalStock: { $sum: '$stock' },
+      inTransit: { $sum: { $ifNull: ['$inTransit', 0] } },
+      reserved: { $sum: { $ifNull: ['$reserved', 0] } },
+      totalVariants: { $sum: 1 },
+    },
+  },
+]);
+
+// Active variants whose available stock is at or below their threshold
+const lowStockFilter = (tenantObjId) => ({
+  tenantId: tenantObjId,
+  isActive: true,
+  $expr: {
+    $lte: [
+      {
+        $subtract: [
+          '$stock',
+          { $add: [{ $ifNull: ['$inTransit', 0] }, { $ifNull: ['$reserved', 0] }] },
+        ],
+      },
+      thresholdExpr(),
+    ],
+  },
+});
+
+// Products by units sold on non-cancelled orders in a span; `productIds` narrows it
+const productSales = (tenantObjId, span, { limit, productIds } = {}) => SalesRollup.aggregate([
+  {
+    $match: {
+      tenantId: tenantObjId,
+      status: { $ne: 'cancelled' },
+      date: rollupDays(span),
+      ...(productIds && { productId: { $in: productIds } }),
+    },
+  },
+  {
+    $group: {
+      _id: '$productId',
+      productName: { $first: '$productName' },
+      totalQuantity: { $sum: '$unitsSold' },
+      totalRevenue: { $sum: '$revenue' },
+      orderCount: { $sum: '$lines' },
+    },
+  },
+  { $sort: { totalQuantity: -1 } },
+  ...(limit ? [{ $limit: limit }] : []),
+]);
+
+module.exports = {
+  MAX_RANGE_DAYS,
+  MOVEMENT_TYPES,
+  layerUnitCost,
+  resolveRange,
+  describeRange,
+  rollupDays,
+  orderSeries,
+  movementSeries,
+  getLocationInventory,
+  inventoryTotals,
+  lowStockFilter,
+  productSales,
+};
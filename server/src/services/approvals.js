@@ -0,0 +1,291 @@
+const {
+  ApprovalRule, ApprovalRequest, PurchaseOrder, Tenant, User, Variant,
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { generateOrderNumber } = require('../utils/helpers');
+const { resolveLocation } = require('./inventory');
+const { applyAdjustment } = require('./adjustments');
+const { isLotTracked } = require('./lots');
+
+// Roles allowed to decide, by a request's approverRole
+const APPROVER_ROLES = {
+  owner: ['owner'],
+  manager: ['owner', 'manager'],
+};
+
+const round = (value) => Math.round(value * 100) / 100;
+const idOf = (ref) => String(ref?._id || ref);
+
+const matchRules = async ({ tenantId, target, units, value }) => {
+  const rules = await ApprovalRule.find({ tenantId, target, isActive: true }).lean();
+  return rules.filter((r) => (
+    (r.unitsOver !== undefined && r.unitsOver !== null && units > r.unitsOver)
+    || (r.valueOver !== undefined && r.valueOver !== null && value > r.valueOver)
+  ));
+};
+
+// When several rules match, the strictest wins: owner approval if any asks for it, and the most approvers
+const combineRules = (rules) => ({
+  rules: rules.map((r) => ({ ruleId: r._id, name: r.name })),
+  approverRole: rules.some((r) => r.approverRole === 'owner') ? 'owner' : 'manager',
+  approvalsRequired: Math.max(...rules.map((r) => r.approvalsRequired || 1)),
+});
+
+// settings.ownersBypassApprovals: owners' own adjustments and PO sends skip the rules unless it is turned off
+const ownersBypass = async (tenantId) => {
+  const tenant = await Tenant.findById(tenantId).select('settings.ownersBypassApprovals').lean();
+  return tenant?.settings?.ownersBypassApprovals !== false;
+};
+
+const bypasses = async (tenantId, user) => user.role === 'owner' && ownersBypass(tenantId);
+
+/**
+ * Make sure every active rule can be met whoever raises the request: it needs
+ * approvalsRequired active users in its approver roles besides the requester.
+ * Managers can raise requests, and so can owners once they no longer bypass
+ * approvals. Pass ownersBypass to check a settings change before it is saved.
+ */
+const assertRulesCanBeMet = async (tenantId, rules, { ownersBypass: bypass } = {}) => {
+  const active = rules.filter((r) => r.isActive !== false);
+  if (active.length === 0) return;
+
+  const skipOwners = bypass ?? await ownersBypass(tenantId);
+  const users = await User.find({ tenantId, isActive: true, role: { $in: APPROVER_ROLES.manager } }).select('role').lean();
+
+  active.forEach((rule) => {
+    const approvers = users.filter((u) => APPROVER_ROLES[rule.approverRole].includes(u.role));
+    const requesters = approvers.filter((u) => u.role === 'manager' || !skipOwners);
+    const available = approvers.length - (requesters.length > 0 ? 1 : 0);
+    if (available < rule.approvalsRequired) {
+      const who = rule.approverRole === 'owner' ? 'owners' : 'owners and managers';
+      throw new AppError(
+        `"${rule.name}" needs ${rule.approvalsRequired} approval(s), but only ${available} of your active ${who} `
+          + 'can approve a request they didn\'t raise',
+        400
+      );
+    }
+  });
+};
+
+const canDecide = (approval, user) => approval.status === 'pending'
+  && APPROVER_ROLES[approval.approverRole].includes(user.role)
+  && idOf(approval.requestedBy) !== String(user._id)
+  && !approval.decisions.some((d) => idOf(d.userId) === String(user._id));
+
+/**
+ * Check a manual adjustment against the tenant's approval rules. Returns the
+ * pending request it was turned into, or null when it can be applied now.
+ * Adjustments are valued at the unit cost given for added stock, otherwise at
+ * the variant's cost price. Owners are not held back while the tenant lets
+ * them bypass approvals.
+ */
+const holdAdjustment = async ({ tenantId, user, adjustment, reason }) => {
+  if (await bypasses(tenantId, user)) return null;
+
+  const variant = await Variant.findOne({ _id: adjustment.variantId, tenantId }).select('sku productId costPrice').lean();
+  if (!variant) {
+    throw new AppError('Variant not found', 404);
+  }
+  // Caught here too so a request that could never be applied isn't queued
+  if (adjustment.quantity > 0 && !adjustment.lotNumber && await isLotTracked(tenantId, variant.productId)) {
+    throw new AppError(`Please enter a lot number for ${variant.sku}`, 400);
+  }
+
+  const units = Math.abs(adjustment.quantity);
+  const unitValue = adjustment.quantity > 0 && adjustment.unitCost !== undefined
+    ? adjustment.unitCost
+    : variant.costPrice || 0;
+  const value = round(units * unitValue);
+
+  const rules = await matchRules({ tenantId, target: 'adjustment', units, value });
+  if (reason.requiresApproval && !APPROVER_ROLES.manager.includes(user.role)) {
+    rules.push({ name: `${reason.name} needs a manager`, approverRole: 'manager', approvalsRequired: 1 });
+  }
+  if (rules.length === 0) return null;
+
+  const location = await resolveLocation(tenantId, adjustment.locationId);
+  const sign = adjustment.quantity > 0 ? '+' : '';
+
+  return ApprovalRequest.create({
+    tenantId,
+    requestNumber: generateOrderNumber('APR'),
+    type: 'adjustment',
+    summary: `${sign}${adjustment.quantity} × ${variant.sku}${adjustment.lotNumber ? ` lot ${adjustment.lotNumber}` : ''}`
+      + ` at ${location.name} (${reason.name})`,
+    units,
+    value,
+    adjustment: { ...adjustment, locationId: location._id, reasonCode: reason.code },
+    ...combineRules(rules),
+    requestedBy: user._id,
+  });
+};
+
+/**
+ * Check a draft PO that is about to be sent against the tenant's approval
+ * rules. Returns the pending request, or null when it can be sent now.
+ * Owners bypass the rules the same way as for adjustments.
+ */
+const holdPurchaseOrder = async ({ tenantId, user, po, session }) => {
+  if (await bypasses(tenantId, user)) return null;
+
+  const units = po.items.reduce((sum, item) => sum + item.quantityOrdered, 0);
+  const value = round(po.totalAmount);
+  const rules = await matchRules({ tenantId, target: 'purchase_order', units, value });
+  if (rules.length === 0) return null;
+
+  const [approval] = await ApprovalRequest.create(
+    [
+      {
+        tenantId,
+        requestNumber: generateOrderNumber('APR'),
+        type: 'purchase_order',
+        summary: `Send ${po.poNumber} ($${value.toFixed(2)}, ${units} units)`,
+        units,
+        value,
+        purchaseOrderId: po._id,
+        ...combineRules(rules),
+        requestedBy: user._id,
+      },
+    ],
+    { session }
+  );
+  return approval;
+};
+
+/**
+ * Record an approve or reject decision. The last approval needed carries
+ * the request out: the adjustment is applied, or the PO is sent. A
+ * rejection sends a held PO back to draft. Must run inside the caller's
+ * transaction so a failed adjustment leaves the request pending.
+ * Returns the request and, for adjustments, the applied { variant, movement }.
+ */
+const decide = async ({ tenantId, approvalId, user, decision, comment, session }) => {
+  const approval = await ApprovalRequest.findOne({ _id: approvalId, tenantId }).session(session);
+  if (!approval) {
+    throw new AppError('Approval request not found', 404);
+  }
+  if (approval.status !== 'pending') {
+    throw new AppError(`This request is already ${approval.status}`, 400);
+  }
+  if (!APPROVER_ROLES[approval.approverRole].includes(user.role)) {
+    throw new AppError(
+      approval.approverRole === 'owner' ? 'Only an owner can decide this request' : 'Only an owner or manager can decide this request',
+      403
+    );
+  }
+  if (idOf(approval.requestedBy) === String(user._id)) {
+    throw new AppError('You cannot decide your own request', 403);
+  }
+  if (approval.decisions.some((d) => idOf(d.userId) === String(user._id))) {
+    throw new AppError('You have already decided this request', 400);
+  }
+
+  approval.decisions.push({ userId: user._id, decision, comment });
+
+  let applied = null;
+  if (decision === 'reject') {
+    approval.status = 'rejected';
+    approval.resolvedAt = new Date();
+    if (approval.purchaseOrderId) {
+      await PurchaseOrder.updateOne(
+        { _id: approval.purchaseOrderId, tenantId, status: 'pending_approval' },
+        { status: 'draft' },
+        { session }
+      );
+    }
+  } else if (approval.decisions.filter((d) => d.decision === 'approve').length >= approval.approvalsRequired) {
+    if (approval.type === 'adjustment') {
+      const { adjustment } = approval;
+      applied = await applyAdjustment({
+        tenantId,
+        variantId: adjustment.variantId,
+        locationId: adjustment.locationId,
+        quantity: adjustment.quantity,
+        type: adjustment.type,
+        reasonCode: adjustment.reasonCode,
+        unitCost: adjustment.unitCost,
+        lotNumber: adjustment.lotNumber,
+        expiryDate: adjustment.expiryDate,
+        serialNumbers: adjustment.serialNumbers,
+        notes: adjustment.notes,
+        userId: approval.requestedBy,
+        session,
+      });
+      approval.movementId = applied.movement._id;
+    } else {
+      const sent = await PurchaseOrder.updateOne(
+        { _id: approval.purchaseOrderId, tenantId, status: 'pending_approval' },
+        { status: 'sent' },
+        { session }
+      );
+      if (sent.modifiedCount === 0) {
+        throw new AppError('The purchase order is no longer waiting for approval', 400);
+      }
+    }
+    approval.status = 'approved';
+    approval.resolvedAt = new Date();
+  }
+
+  await approval.save({ session });
+  return { approval, applied };
+};
+
+/**
+ * Withdraw a pending request (its requester or an owner). A held PO goes back to draft.
+ */
+const cancelApproval = async ({ tenantId, approvalId, user, session }) => {
+  const approval = await ApprovalRequest.findOne({ _id: approvalId, tenantId }).session(session);
+  if (!approval) {
+    throw new AppError('Approval request not found', 404);
+  }
+  if (approval.status !== 'pending') {
+    throw new AppError(`This request is already ${approval.status}`, 400);
+  }
+  if (user.role !== 'owner' && idOf(approval.requestedBy) !== String(user._id)) {
+    throw new AppError('Only the requester or an owner can withdraw this request', 403);
+  }
+
+  approval.status = 'cancelled';
+  approval.resolvedAt = new Date();
+  await approval.save({ session });
+
+  if (approval.purchaseOrderId) {
+    await PurchaseOrder.updateOne(
+      { _id: approval.purchaseOrderId, tenantId, status: 'pending_approval' },
+      { status: 'draft' },
+      { session }
+    );
+  }
+  return approval;
+};
+
+// Approvers are told about new requests in their role's room; decisions go to the whole tenant
+const emitRequested = (io, tenantId, approval) => {
+  if (!io) return;
+  const rooms = APPROVER_ROLES[approval.approverRole].map((role) => `tenant:${tenantId}:${role}`);
+  io.to(rooms).emit('approval:requested', { approval });
+};
+
+const emitDecided = (io, tenantId, approval) => {
+  if (!io) return;
+  io.to(`tenant:${tenantId}`).emit('approval:decided', {
+    approvalId: approval._id,
+    requestNumber: approval.requestNumber,
+    type: approval.type,
+    status: approval.status,
+    summary: approval.summary,
+    requestedBy: idOf(approval.requestedBy),
+  });
+};
+
+module.exports = {
+  APPROVER_ROLES,
+  assertRulesCanBeMet,
+  canDecide,
+  holdAdjustment,
+  holdPurchaseOrder,
+  decide,
+  cancelApproval,
+  emitRequested,
+  emitDecided,
+};
@@ -0,0 +1,53 @@
+const { Order } = require('../models');
+const { reserveStock, getLocationQuantity } = require('./inventory');
+
+/**
+ * Allocate newly available stock at a location to backordered order lines,
+ * oldest order first. Filled units are reserved just like at order creation.
+ * Returns the orders that changed so the caller can notify clients.
+ */
+const fillBackorders = async ({ tenantId, variantId, locationId, session = null }) => {
+  const orders = await Order.find({
+    tenantId,
+    locationId,
+    stockStatus: 'reserved',
+    status: { $nin: ['shipped', 'delivered', 'cancelled'] },
+    items: { $elemMatch: { variantId, quantityBackordered: { $gt: 0 } } },
+  })
+    .sort({ createdAt: 1 })
+    .session(session);
+
+  const filled = [];
+  let available = await getLocationQuantity(tenantId, variantId, locationId, session);
+
+  for (const order of orders) {
+    if (available <= 0) break;
+
+    let changed = false;
+    for (const item of order.items) {
+      if (item.variantId.toString() !== variantId.toString() || item.quantityBackordered <= 0) {
+        continue;
+      }
+
+      const take = Math.min(available, item.quantityBackordered);
+      if (take <= 0) break;
+
+      const variant = await reserveStock({ tenantId, variantId, locationId, quantity: take, session });
+      if (!variant) break;
+
+      item.quantityFulfilled = (item.quantityFulfilled || 0) + take;
+      item.quantityBackordered -= take;
+      available -= take;
+      changed = true;
+    }
+
+    if (changed) {
+      await order.save({ session });
+      filled.push(order);
+    }
+  }
+
+  return filled;
+};
+
+module.exports = { fillBackorders };
@@ -0,0 +1,126 @@
+const { EventEmitter } = require('events');
+
+/**
+ * Shared cache and message bus. CACHE_BACKEND picks the backend: `memory`
+ * (the default) keeps everything in this process, `redis` uses REDIS_URL and
+ * works with any Redis-compatible server, so several server instances see the
+ * same entries and each other's messages. Values are JSON-serialisable.
+ *
+ * A failing backend never fails a request: reads miss, writes are dropped.
+ */
+
+const memoryBackend = () => {
+  const entries = new Map();
+  const bus = new EventEmitter();
+  bus.setMaxListeners(0);
+
+  const live = (key) => {
+    const entry = entries.get(key);
+    if (entry && entry.expiresAt > Date.now()) return entry;
+    entries.delete(key);
+    return null;
+  };
+
+  // Expired entries are only dropped when read, so sweep now and then
+  const sweep = setInterval(() => {
+    const now = Date.now();
+    entries.forEach((entry, key) => {
+      if (entry.expiresAt <= now) entries.delete(key);
+    });
+  }, 60 * 1000);
+  sweep.unref();
+
+  return {
+    get: async (key) => live(key)?.value ?? null,
+    set: async (key, value, ttlMs) => {
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+    },
+    incr: async (key) => {
+      const value = (live(key)?.value || 0) + 1;
+      entries.set(key, { value, expiresAt: Infinity });
+      return value;
+    },
+    publish: async (channel, message) => {
+      bus.emit(channel, message);
+    },
+    subscribe: async (channel, handler) => {
+      bus.on(channel, handler);
+    },
+  };
+};
+
+const redisBackend = () => {
+  const Redis = require('ioredis');
+  const options = {
+    // Fail fast while disconnected instead of queueing behind a dead server
+    enableOfflineQueue: false,
+    maxRetriesPerRequest: 1,
+  };
+  const client = new Redis(process.env.REDIS_URL || 'redis://localhost:6379', options);
+  client.on('error', (err) => console.error('Cache backend error:', err.message));
+
+  let subscriber = null;
+  const handlers = new Map();
+
+  return {
+    get: async (key) => {
+      const raw = await client.get(key);
+      return raw === null ? null : JSON.parse(raw);
+    },
+    set: async (key, value, ttlMs) => {
+      await client.set(key, JSON.stringify(value), 'PX', ttlMs);
+    },
+    incr: (key) => client.incr(key),
+    publish: async (channel, message) => {
+      await client.publish(channel, JSON.stringify(message));
+    },
+    subscribe: async (channel, handler) => {
+      if (!subscriber) {
+        // A subscribed connection can't run other commands; it queues until connected
+        subscriber = client.duplicate({ enableOfflineQueue: true, maxRetriesPerRequest: null });
+        subscriber.on('error', (err) => console.error('Cache subscriber error:', err.message));
+        subscriber.on('message', (ch, raw) => {
+          (handlers.get(ch) || []).forEach((h) => h(JSON.parse(raw)));
+        });
+      }
+      if (!handlers.has(channel)) {
+        handlers.set(channel, []);
+        await subscriber.subscribe(channel);
+      }
+      handlers.get(channel).push(handler);
+    },
+  };
+};
+
+const backends = { memory: memoryBackend, redis: redisBackend };
+
+let backend = null;
+
+const getBackend = () => {
+  if (!backend) {
+    const name = process.env.CACHE_BACKEND || 'memory';
+    if (!backends[name]) {
+      throw new Error(`Unknown cache backend "${name}"`);
+    }
+    backend = backends[name]();
+  }
+  return backend;
+};
+
+// A backend call that logs and falls back instead of throwing
+const soft = (fn, fallback) => async (...args) => {
+  try {
+    return await fn(...args);
+  } catch (err) {
+    console.error('Cache unavailable:', err.message);
+    return fallback;
+  }
+};
+
+module.exports = {
+  get: soft((key) => getBackend().get(key), null),
+  set: soft((key, value, ttlMs) => getBackend().set(key, value, ttlMs)),
+  incr: soft((key) => getBackend().incr(key), null),
+  publish: soft((channel, message) => getBackend().publish(channel, message)),
+  subscribe: (channel, handler) => getBackend().subscribe(channel, handler),
+};
@@ -0,0 +1,233 @@
+const mongoose = require('mongoose');
+const { SalesRollup, MovementRollup, Tenant, Variant } = require('../models');
+const {
+  DAY, dayKey, addDays, dayDate, safeTimeZone, startOfDay,
+} = require('../utils/dates');
+
+const CLASSIFICATION_INTERVAL = 24 * 60 * 60 * 1000; // nightly per tenant
+const CLASSIFICATION_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+const DEFAULTS = {
+  basis: 'revenue',
+  windowDays: 90,
+  abcCutoffs: { a: 80, b: 95 },
+  xyzCutoffs: { x: 0.5, y: 1 },
+};
+
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+const tenantOptions = (settings = {}) => ({
+  basis: settings.classificationBasis || DEFAULTS.basis,
+  windowDays: settings.classificationWindowDays || DEFAULTS.windowDays,
+  abcCutoffs: { ...DEFAULTS.abcCutoffs, ...settings.abcCutoffs },
+  xyzCutoffs: { ...DEFAULTS.xyzCutoffs, ...settings.xyzCutoffs },
+});
+
+/**
+ * Value and weekly demand per variant over the window's days, from the daily
+ * rollups. Revenue comes from the lines of non-cancelled orders; consumption
+ * is the cost of units that left on sale movements, at the variant's cost
+ * price where a movement predates costing. Weeks are counted back from the
+ * last day of the window.
+ */
+const demandByVariant = async (tenantId, { basis, fromKey, toKey, weeks }) => {
+  const tenantObjId = new mongoose.Types.ObjectId(tenantId);
+  const date = { $gte: dayDate(fromKey), $lte: dayDate(toKey) };
+  const week = { $floor: { $divide: [{ $subtract: [dayDate(toKey), '$date'] }, 7 * DAY] } };
+
+  const rows = basis === 'consumption'
+    ? await MovementRollup.aggregate([
+      { $match: { tenantId: tenantObjId, type: 'sale', date } },
+      { $lookup: { from: 'variants', localField: 'variantId', foreignField: '_id', as: 'variant' } },
+      { $unwind: '$variant' },
+      {
+        $group: {
+          _id: { variantId: '$variantId', week },
+          units: { $sum: { $subtract: ['$unitsOut', '$unitsIn'] } },
+          value: {
+            $sum: {
+              $add: [
+                { $subtract: ['$valueOut', '$valueIn'] },
+                { $multiply: ['$uncostedOut', { $ifNull: ['$variant.costPrice', 0] }] },
+              ],
+            },
+          },
+        },
+      },
+    ])
+    : await SalesRollup.aggregate([
+      { $match: { tenantId: tenantObjId, status: { $ne: 'cancelled' }, date } },
+      {
+        $group: {
+          _id: { variantId: '$variantId', week },
+          units: { $sum: '$unitsSold' },
+          value: { $sum: '$revenue' },
+        },
+      },
+    ]);
+
+  const demand = new Map();
+  for (const { _id, units, value } of rows) {
+    const id = _id.variantId.toString();
+    if (!demand.has(id)) demand.set(id, { value: 0, units: 0, weekly: Array(weeks).fill(0) });
+    const d = demand.get(id);
+    d.value += value;
+    d.units += units;
+    d.weekly[Math.min(_id.week, weeks - 1)] += units;
+  }
+  return demand;
+};
+
+// Coefficient of variation of weekly demand; null when nothing sold
+const variation = (weekly) => {
+  const mean = weekly.reduce((a, b) => a + b, 0) / weekly.length;
+  if (!mean) return null;
+  const variance = weekly.reduce((sum, w) => sum + (w - mean) ** 2, 0) / weekly.length;
+  return Math.sqrt(variance) / mean;
+};
+
+const xyzClass = (cov, { x, y }) => {
+  if (cov === null || cov > y) return 'Z';
+  return cov <= x ? 'X' : 'Y';
+};
+
+/**
+ * Rank a tenant's active variants for ABC by their share of total value
+ * (a variant is A while the running share before it is under the A cut-off,
+ * B under the B cut-off, C after; no value is always C), and for XYZ by the
+ * variability of their weekly demand (no demand is Z). `options` overrides
+ * the tenant's settings.
+ */
+const classifyVariants = async (tenantId, options = {}) => {
+  const tenant = await Tenant.findById(tenantId).select('settings').lean();
+  const opts = { ...tenantOptions(tenant?.settings), ...options };
+  const timeZone = safeTimeZone(tenant?.settings?.timezone || 'UTC');
+  const to = new Date();
+  const toKey = dayKey(to, timeZone);
+  const fromKey = addDays(toKey, 1 - opts.windowDays);
+  const from = startOfDay(fromKey, timeZone);
+  const weeks = Math.max(1, Math.ceil(opts.windowDays / 7));
+
+  const [variants, demand] = await Promise.all([
+    Variant.find({ tenantId, isActive: true })
+      .select('productId sku attributes')
+      .populate('productId', 'name category')
+      .lean(),
+    demandByVariant(tenantId, { basis: opts.basis, fromKey, toKey, weeks }),
+  ]);
+
+  const totalValue = [...demand.values()].reduce((sum, d) => sum + Math.max(0, d.value), 0);
+
+  const rows = variants
+    .map((v) => {
+      const d = demand.get(v._id.toString()) || { value: 0, units: 0, weekly: Array(weeks).fill(0) };
+      const cov = variation(d.weekly);
+      return {
+        variantId: v._id,
+        sku: v.sku,
+        attributes: v.attributes,
+        product: v.productId,
+        value: round(Math.max(0, d.value)),
+        units: d.units,
+        cov: cov === null ? null : round(cov, 3),
+        xyz: xyzClass(cov, opts.xyzCutoffs),
+      };
+    })
+    .sort((a, b) => b.value - a.value || a.sku.localeCompare(b.sku));
+
+  let running = 0;
+  for (const row of rows) {
+    const before = totalValue > 0 ? (running / totalValue) * 100 : 100;
+    running += row.value;
+    row.share = totalValue > 0 ? round((row.value / totalValue) * 100) : 0;
+    row.cumulativeShare = totalValue > 0 ? round((running / totalValue) * 100) : 0;
+    if (row.value <= 0) row.abc = 'C';
+    else if (before < opts.abcCutoffs.a) row.abc = 'A';
+    else if (before < opts.abcCutoffs.b) row.abc = 'B';
+    else row.abc = 'C';
+  }
+
+  const matrix = {};
+  for (const abc of ['A', 'B', 'C']) {
+    for (const xyz of ['X', 'Y', 'Z']) matrix[`${abc}${xyz}`] = { variants: 0, value: 0 };
+  }
+  for (const row of rows) {
+    const cell = matrix[`${row.abc}${row.xyz}`];
+    cell.variants += 1;
+    cell.value = round(cell.value + row.value);
+  }
+
+  return { ...opts, from, to, totalValue: round(totalValue), matrix, variants: rows };
+};
+
+/**
+ * Classify a tenant's variants with its own settings and store each class on
+ * the variant. Returns the report the classes came from.
+ */
+const classifyTenant = async (tenantId) => {
+  const report = await classifyVariants(tenantId);
+  const computedAt = new Date();
+
+  if (report.variants.length > 0) {
+    await Variant.bulkWrite(report.variants.map((row) => ({
+      updateOne: {
+        filter: { _id: row.variantId },
+        update: {
+          $set: {
+            classification: {
+              abc: row.abc,
+              xyz: row.xyz,
+              value: row.value,
+              share: row.share,
+              cov: row.cov,
+              basis: report.basis,
+              windowDays: report.windowDays,
+              computedAt,
+            },
+          },
+        },
+      },
+    })));
+  }
+  await Tenant.updateOne({ _id: tenantId }, { $set: { classifiedAt: computedAt } });
+
+  return report;
+};
+
+const classifyDueTenants = async () => {
+  const cutoff = new Date(Date.now() - CLASSIFICATION_INTERVAL);
+  const tenants = await Tenant.find({
+    isActive: true,
+    $or: [{ classifiedAt: { $exists: false } }, { classifiedAt: { $lte: cutoff } }],
+  })
+    .select('_id')
+    .lean();
+
+  for (const { _id } of tenants) {
+    await classifyTenant(_id);
+  }
+  return tenants.length;
+};
+
+const startClassification = () => {
+  const run = () => {
+    classifyDueTenants()
+      .then((count) => {
+        if (count > 0) console.log(`Classified inventory for ${count} tenant(s)`);
+      })
+      .catch((err) => console.error('ABC/XYZ classification failed:', err));
+  };
+
+  run();
+  const timer = setInterval(run, CLASSIFICATION_CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  DEFAULTS,
+  classifyVariants,
+  classifyTenant,
+  classifyDueTenants,
+  startClassification,
+};
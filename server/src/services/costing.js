@@ -0,0 +1,152 @@
+const mongoose = require('mongoose');
+const { CostLayer, Tenant, Variant } = require('../models');
+
+const round = (value, places = 2) => Math.round(value * 10 ** places) / 10 ** places;
+
+const getCostingMethod = async (tenantId, session = null) => {
+  const tenant = await Tenant.findById(tenantId).select('settings.costingMethod').session(session).lean();
+  return tenant?.settings?.costingMethod || 'fifo';
+};
+
+// Keep Variant.costValue equal to what its open layers are worth
+const syncCostValue = async (tenantId, variantId, session = null) => {
+  const [totals] = await CostLayer.aggregate([
+    {
+      $match: {
+        tenantId: new mongoose.Types.ObjectId(tenantId),
+        variantId: new mongoose.Types.ObjectId(variantId),
+        remaining: { $gt: 0 },
+      },
+    },
+    { $group: { _id: null, value: { $sum: { $multiply: ['$remaining', '$unitCost'] } } } },
+  ]).session(session);
+
+  await Variant.updateOne(
+    { _id: variantId, tenantId },
+    { $set: { costValue: round(totals?.value || 0) } },
+    { session }
+  );
+};
+
+/**
+ * Variants that had stock before cost tracking have no layers yet. Give that
+ * stock an opening layer at the variant's cost price, so it is consumed
+ * before anything received later.
+ */
+const ensureOpeningLayer = async ({ tenantId, variant, stockBefore, session = null }) => {
+  if (stockBefore <= 0) return;
+  const hasLayers = await CostLayer.exists({ tenantId, variantId: variant._id }).session(session);
+  if (hasLayers) return;
+
+  await CostLayer.create(
+    [
+      {
+        tenantId,
+        variantId: variant._id,
+        productId: variant.productId,
+        source: 'opening',
+        unitCost: variant.costPrice || 0,
+        quantity: stockBefore,
+        remaining: stockBefore,
+        receivedAt: variant.createdAt,
+      },
+    ],
+    { session }
+  );
+};
+
+// Moving average: every open layer carries the average cost of all of them
+const averageOpenLayers = async (tenantId, variantId, session = null) => {
+  const open = await CostLayer.find({ tenantId, variantId, remaining: { $gt: 0 } })
+    .select('remaining unitCost')
+    .session(session)
+    .lean();
+  const units = open.reduce((sum, l) => sum + l.remaining, 0);
+  if (units === 0) return;
+
+  const average = round(open.reduce((sum, l) => sum + l.remaining * l.unitCost, 0) / units, 4);
+  await CostLayer.updateMany(
+    { tenantId, variantId, remaining: { $gt: 0 } },
+    { $set: { unitCost: average } },
+    { session }
+  );
+};
+
+/**
+ * Add a cost layer for units that just came into stock.
+ * `variant` is the variant after its stock was increased by `quantity`.
+ * Returns { unitCost, totalCost } to record on the stock movement.
+ */
+const receiveCost = async ({
+  tenantId, variant, quantity, unitCost, source, reference, referenceId, session = null,
+}) => {
+  const cost = round(unitCost ?? variant.costPrice ?? 0, 4);
+  if (quantity <= 0) return { unitCost: cost, totalCost: 0 };
+
+  await ensureOpeningLayer({ tenantId, variant, stockBefore: variant.stock - quantity, session });
+  await CostLayer.create(
+    [
+      {
+        tenantId,
+        variantId: variant._id,
+        productId: variant.productId,
+        source,
+        reference,
+        referenceId,
+        unitCost: cost,
+        quantity,
+        remaining: quantity,
+      },
+    ],
+    { session }
+  );
+
+  if ((await getCostingMethod(tenantId, session)) === 'average') {
+    await averageOpenLayers(tenantId, variant._id, session);
+  }
+  await syncCostValue(tenantId, variant._id, session);
+
+  return { unitCost: cost, totalCost: round(cost * quantity) };
+};
+
+/**
+ * Draw `quantity` units out of a variant's cost layers, oldest first (under
+ * moving average all open layers share one cost, so order doesn't matter).
+ * `variant` is the variant after its stock was reduced. Units not covered by
+ * any layer are costed at the variant's cost price.
+ * Returns { unitCost, totalCost } for the units taken, both positive.
+ */
+const consumeCost = async ({ tenantId, variant, quantity, session = null }) => {
+  if (quantity <= 0) return { unitCost: 0, totalCost: 0 };
+  await ensureOpeningLayer({ tenantId, variant, stockBefore: variant.stock + quantity, session });
+
+  if ((await getCostingMethod(tenantId, session)) === 'average') {
+    await averageOpenLayers(tenantId, variant._id, session);
+  }
+
+  const layers = await CostLayer.find({ tenantId, variantId: variant._id, remaining: { $gt: 0 } })
+    .sort({ receivedAt: 1, _id: 1 })
+    .session(session);
+
+  let left = quantity;
+  let totalCost = 0;
+  for (const layer of layers) {
+    if (left === 0) break;
+    const take = Math.min(layer.remaining, left);
+    layer.remaining -= take;
+    await layer.save({ session });
+    totalCost += take * layer.unitCost;
+    left -= take;
+  }
+  totalCost += left * (variant.costPrice || 0);
+
+  await syncCostValue(tenantId, variant._id, session);
+
+  return { unitCost: round(totalCost / quantity, 4), totalCost: round(totalCost) };
+};
+
+module.exports = {
+  getCostingMethod,
+  receiveCost,
+  consumeCost,
+};
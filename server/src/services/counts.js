@@ -0,0 +1,221 @@
+const mongoose = require('mongoose');
+const { Product, StockLevel, StockMovement, Variant } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { changeStock } = require('./inventory');
+const { receiveCost, consumeCost } = require('./costing');
+const { CYCLE_COUNT_REASON } = require('./reasonCodes');
+const { drawLots } = require('./lots');
+const { pickSerials, moveSerials } = require('./serials');
+
+const MAX_COUNT_LINES = 5000;
+
+const round = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Pick the variants a count covers and freeze what the location should hold.
+ * - location: everything with a balance record at the location
+ * - category: every variant of the category's products
+ * - sample: `sampleSize` random balance records at the location
+ * - variants: the given variant IDs
+ */
+const selectCountLines = async ({ tenantId, locationId, scope, category, sampleSize, variantIds }) => {
+  let variantFilter;
+  if (scope === 'location') {
+    const levels = await StockLevel.find({ tenantId, locationId }).select('variantId').lean();
+    variantFilter = { _id: { $in: levels.map((l) => l.variantId) } };
+  } else if (scope === 'sample') {
+    const levels = await StockLevel.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(tenantId),
+          locationId: new mongoose.Types.ObjectId(locationId),
+        },
+      },
+      { $sample: { size: sampleSize } },
+      { $project: { variantId: 1 } },
+    ]);
+    variantFilter = { _id: { $in: levels.map((l) => l.variantId) } };
+  } else if (scope === 'category') {
+    const products = await Product.find({ tenantId, category }).select('_id').lean();
+    variantFilter = { productId: { $in: products.map((p) => p._id) } };
+  } else {
+    variantFilter = { _id: { $in: variantIds } };
+  }
+
+  const variants = await Variant.find({ tenantId, ...variantFilter })
+    .select('productId sku')
+    .sort({ sku: 1 })
+    .lean();
+  if (variants.length === 0) {
+    throw new AppError('Nothing to count: no variants match this selection', 400);
+  }
+  if (variants.length > MAX_COUNT_LINES) {
+    throw new AppError(`This count would have ${variants.length} lines; narrow it down to ${MAX_COUNT_LINES} or fewer`, 400);
+  }
+
+  const levels = await StockLevel.find({
+    tenantId,
+    locationId,
+    variantId: { $in: variants.map((v) => v._id) },
+  })
+    .select('variantId quantity')
+    .lean();
+  const onHand = {};
+  levels.forEach((l) => {
+    onHand[l.variantId.toString()] = l.quantity;
+  });
+
+  return variants.map((v) => ({
+    variantId: v._id,
+    productId: v.productId,
+    sku: v.sku,
+    expectedQuantity: onHand[v._id.toString()] || 0,
+  }));
+};
+
+/**
+ * Post a reviewed count: every line whose counted quantity differs from the
+ * frozen expected quantity becomes an adjustment for the difference. Applying
+ * the difference rather than the counted figure keeps sales and receipts made
+ * since the count was opened. Must run inside the caller's transaction.
+ * Returns the stock movements written.
+ */
+const postCount = async ({ count, location, userId, session }) => {
+  const movements = [];
+  const summary = {
+    lines: count.items.length,
+    linesWithVariance: 0,
+    unitsExpected: 0,
+    unitsCounted: 0,
+    unitsOff: 0,
+    valueVariance: 0,
+  };
+
+  for (const line of count.items) {
+    const variance = line.countedQuantity - line.expectedQuantity;
+    summary.unitsExpected += line.expectedQuantity;
+    summary.unitsCounted += line.countedQuantity;
+    line.adjustedQuantity = variance;
+    if (variance === 0) continue;
+
+    summary.linesWithVariance += 1;
+    summary.unitsOff += Math.abs(variance);
+
+    const result = await changeStock({
+      tenantId: count.tenantId,
+      variantId: line.variantId,
+      locationId: location._id,
+      quantity: variance,
+      session,
+    });
+    if (!result) {
+      throw new AppError(
+        `Can't take ${-variance} of ${line.sku} off ${location.name}: not enough unreserved stock left there`,
+        400
+      );
+    }
+    const { variant } = result;
+
+    const cost = variance > 0
+      ? await receiveCost({
+        tenantId: count.tenantId,
+        variant,
+        quantity: variance,
+        source: 'adjustment',
+        reference: `Count ${count.countNumber}`,
+        referenceId: count._id,
+        session,
+      })
+      : await consumeCost({ tenantId: count.tenantId, variant, quantity: -variance, session });
+    const totalCost = variance > 0 ? cost.totalCost : -cost.totalCost;
+
+    // Missing units of lot-tracked products come out of the first-expiring lots, expired ones included
+    const lots = variance < 0
+      ? await drawLots({
+        tenantId: count.tenantId,
+        variantId: variant._id,
+        locationId: location._id,
+        quantity: -variance,
+        includeExpired: true,
+        sku: line.sku,
+        session,
+      })
+      : [];
+    // and missing serial-tracked units are written off longest held first
+    const serialNumbers = variance < 0
+      ? await pickSerials({
+        tenantId: count.tenantId,
+        variantId: variant._id,
+        locationId: location._id,
+        quantity: -variance,
+        sku: line.sku,
+        session,
+      })
+      : [];
+    await moveSerials({
+      tenantId: count.tenantId,
+      variantId: variant._id,
+      serialNumbers,
+      status: 'written_off',
+      event: 'adjusted',
+      reference: `Count ${count.countNumber}`,
+      referenceId: count._id,
+      userId,
+      session,
+    });
+    line.unitCost = cost.unitCost;
+    summary.valueVariance = round(summary.valueVariance + totalCost);
+
+    movements.push({
+      tenantId: count.tenantId,
+      variantId: variant._id,
+      productId: variant.productId,
+      locationId: location._id,
+      type: 'adjustment',
+      quantity: variance,
+      unitCost: cost.unitCost,
+      totalCost,
+      previousStock: variant.stock - variance,
+      newStock: variant.stock,
+      reference: `Count ${count.countNumber}`,
+      referenceId: count._id,
+      reasonCode: CYCLE_COUNT_REASON,
+      lots: lots.length > 0 ? lots : undefined,
+      serialNumbers: serialNumbers.length > 0 ? serialNumbers : undefined,
+      notes: `Cycle count: expected ${line.expectedQuantity}, counted ${line.countedQuantity}`,
+      createdBy: userId,
+    });
+  }
+
+  summary.accuracy = summary.lines > 0
+    ? Math.round(((summary.lines - summary.linesWithVariance) / summary.lines) * 10000) / 10000
+    : 0;
+
+  if (movements.length > 0) {
+    await StockMovement.create(movements, { session, ordered: true });
+  }
+
+  count.status = 'posted';
+  count.summary = summary;
+  count.postedAt = new Date();
+  count.postedBy = userId;
+  await count.save({ session });
+
+  return movements;
+};
+
+// Counters enter quantities blind; expected figures only show once a count is in review
+const forViewer = (count, user) => {
+  if (user.role !== 'staff' || count.status !== 'counting') return count;
+  return {
+    ...count,
+    items: count.items.map((line) => ({ ...line, expectedQuantity: undefined })),
+  };
+};
+
+module.exports = {
+  MAX_COUNT_LINES,
+  selectCountLines,
+  postCount,
+  forViewer,
+};
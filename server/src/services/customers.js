@@ -0,0 +1,126 @@
+const mongoose = require('mongoose');
+const { Customer, Order } = require('../models');
+
+const normalizeEmail = (email) => (email ? String(email).trim().toLowerCase() : '');
+
+/**
+ * Find the tenant's customer with this email, creating one if there is none.
+ * Email is what identifies a customer, so without one nothing is looked up
+ * or created and null is returned.
+ */
+const findOrCreateCustomer = async ({ tenantId, name, email, session = null }) => {
+  const normalized = normalizeEmail(email);
+  if (!normalized) return null;
+
+  const existing = await Customer.findOne({ tenantId, email: normalized }).session(session);
+  if (existing) return existing;
+
+  try {
+    const [customer] = await Customer.create(
+      [{ tenantId, name: name?.trim() || normalized, email: normalized }],
+      { session }
+    );
+    return customer;
+  } catch (err) {
+    // If another request created it concurrently, just read it
+    if (err.code === 11000) {
+      return Customer.findOne({ tenantId, email: normalized }).session(session);
+    }
+    throw err;
+  }
+};
+
+/**
+ * Order totals per customer. Cancelled orders don't count towards lifetime
+ * value. Returns a map of customerId -> { orderCount, lifetimeValue,
+ * averageOrderValue, firstOrderAt, lastOrderAt }.
+ */
+const getCustomerStats = async (tenantId, customerIds) => {
+  const rows = await Order.aggregate([
+    {
+      $match: {
+        tenantId: new mongoose.Types.ObjectId(tenantId),
+        customerId: { $in: customerIds.map((id) => new mongoose.Types.ObjectId(id)) },
+        status: { $ne: 'cancelled' },
+      },
+    },
+    {
+      $group: {
+        _id: '$customerId',
+        orderCount: { $sum: 1 },
+        lifetimeValue: { $sum: '$totalAmount' },
+        firstOrderAt: { $min: '$createdAt' },
+        lastOrderAt: { $max: '$createdAt' },
+      },
+    },
+  ]);
+
+  const stats = {};
+  rows.forEach((r) => {
+    stats[r._id.toString()] = {
+      orderCount: r.orderCount,
+      lifetimeValue: Math.round(r.lifetimeValue * 100) / 100,
+      averageOrderValue: Math.round((r.lifetimeValue / r.orderCount) * 100) / 100,
+      firstOrderAt: r.firstOrderAt,
+      lastOrderAt: r.lastOrderAt,
+    };
+  });
+  return stats;
+};
+
+const emptyStats = { orderCount: 0, lifetimeValue: 0, averageOrderValue: 0, firstOrderAt: null, lastOrderAt: null };
+
+/**
+ * Link orders that only have free-text customer details to Customer records,
+ * grouping them by email. The most recent order's name is used for new
+ * customers. Orders without an email are left as they are. Safe to re-run.
+ */
+const migrateOrderCustomers = async () => {
+  const groups = await Order.aggregate([
+    {
+      $match: {
+        customerId: { $exists: false },
+        customerEmail: { $type: 'string', $ne: '' },
+      },
+    },
+    { $sort: { createdAt: -1 } },
+    {
+      $group: {
+        _id: { tenantId: '$tenantId', email: { $toLower: { $trim: { input: '$customerEmail' } } } },
+        name: { $first: '$customerName' },
+        orderIds: { $push: '$_id' },
+      },
+    },
+  ]);
+
+  let customersCreated = 0;
+  let ordersLinked = 0;
+
+  for (const group of groups) {
+    const { tenantId, email } = group._id;
+    const existed = await Customer.exists({ tenantId, email });
+    const customer = await findOrCreateCustomer({ tenantId, name: group.name, email });
+    if (!existed) customersCreated += 1;
+
+    const result = await Order.updateMany(
+      { _id: { $in: group.orderIds }, customerId: { $exists: false } },
+      { $set: { customerId: customer._id } }
+    );
+    ordersLinked += result.modifiedCount;
+  }
+
+  const ordersWithoutEmail = await Order.countDocuments({
+    customerId: { $exists: false },
+    customerEmail: { $in: [null, ''] },
+  });
+
+  return { customersCreated, ordersLinked, ordersWithoutEmail };
+};
+
+module.exports = {
+  normalizeEmail,
+  findOrCreateCustomer,
+  getCustomerStats,
+  emptyStats,
+  migrateOrderCustomers,
+};
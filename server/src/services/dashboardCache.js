@@ -0,0 +1,42 @@
+const cache = require('./cache');
+
+// Entries are dropped as soon as the tenant's data changes; the TTL only
+// bounds how long a change made outside the app (a script, the shell) shows late
+const CACHE_TTL = 5 * 60 * 1000;
+const STALE_CHANNEL = 'dashboard:stale';
+
+// Every tenant's keys carry a version number; invalidating bumps it, so old
+// entries are never read again and age out on their own
+const versionKey = (tenantId) => `dashboard:version:${tenantId}`;
+
+const entryKey = async (tenantId, key) => {
+  const version = (await cache.get(versionKey(tenantId))) || 0;
+  return `dashboard:${tenantId}:${version}:${key}`;
+};
+
+const getCached = async (tenantId, key) => cache.get(await entryKey(tenantId, key));
+
+const setCached = async (tenantId, key, data) => cache.set(await entryKey(tenantId, key), data, CACHE_TTL);
+
+/**
+ * Drop a tenant's cached dashboard figures and tell every server instance,
+ * which passes it on to that tenant's browsers as `dashboard:stale`.
+ * `source` says what changed, e.g. 'orders'.
+ */
+const markDashboardStale = async (tenantId, source) => {
+  await cache.incr(versionKey(tenantId));
+  await cache.publish(STALE_CHANNEL, { tenantId: tenantId.toString(), source });
+};
+
+// Forward stale notices from any instance to this instance's sockets
+const relayDashboardStale = (io) =>
+  cache.subscribe(STALE_CHANNEL, ({ tenantId, source }) => {
+    io.to(`tenant:${tenantId}`).emit('dashboard:stale', { source });
+  });
+
+module.exports = {
+  getCached,
+  setCached,
+  markDashboardStale,
+  relayDashboardStale,
+};
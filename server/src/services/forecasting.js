@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const { SalesRollup, Tenant, Variant } = require('../models');
+const { chooseSuppliers } = require('./suppliers');
+const {
+  dayKey, addDays, dayDate, weekday, safeTimeZone,
+} = require('../utils/dates');
+
+const FORECAST_INTERVAL = 24 * 60 * 60 * 1000; // nightly per tenant
+const FORECAST_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+const HISTORY_DAYS = 91; // 13 weeks of orders
+const HOLDOUT_DAYS = 14; // held back to score each method
+const MIN_HISTORY_DAYS = 28;
+const MIN_SELLING_DAYS = 4; // fewer and the static threshold is kept
+const MOVING_AVERAGE_DAYS = 28;
+const SMOOTHING_ALPHA = 0.3;
+const SERVICE_LEVEL_Z = 1.65; // safety stock covers ~95% of lead times
+const DEFAULT_LEAD_TIME_DAYS = 7;
+const STOCKOUT_HORIZON_DAYS = 365;
+
+const round = (n, places = 2) => Math.round(n * 10 ** places) / 10 ** places;
+
+/**
+ * The level a variant's available stock is judged against: the forecast
+ * reorder point when there is one, else its lowStockThreshold.
+ */
+const stockThreshold = (variant) => variant.forecast?.reorderPoint ?? variant.lowStockThreshold;
+
+// The same rule inside an aggregation; `path` prefixes the variant's fields, e.g. 'variant.'
+const thresholdExpr = (path = '') => ({
+  $ifNull: [`$${path}forecast.reorderPoint`, `$${path}lowStockThreshold`],
+});
+
+const flatWeek = () => Array(7).fill(1);
+
+// Units sold on each weekday relative to the overall daily average, Sunday first
+const weeklySeasonality = (series) => {
+  const sums = Array(7).fill(0);
+  const counts = Array(7).fill(0);
+  let total = 0;
+  for (const { dow, units } of series) {
+    sums[dow] += units;
+    counts[dow] += 1;
+    total += units;
+  }
+  const mean = total / series.length;
+  if (!mean) return flatWeek();
+  return sums.map((sum, dow) => (counts[dow] ? sum / counts[dow] / mean : 1));
+};
+
+// Each method fits a daily level and weekday factors to a series of { dow, units }
+const METHODS = {
+  moving_average: (series) => {
+    const recent = series.slice(-MOVING_AVERAGE_DAYS);
+    return { level: recent.reduce((sum, d) => sum + d.units, 0) / recent.length, seasonality: flatWeek() };
+  },
+  seasonal_smoothing: (series) => {
+    const seasonality = weeklySeasonality(series);
+    // Days of a weekday that never sells carry no information about the level
+    const deseasonalised = (d) => (seasonality[d.dow] ? d.units / seasonality[d.dow] : null);
+
+    const firstWeek = series.slice(0, 7).map(deseasonalised).filter((v) => v !== null);
+    let level = firstWeek.length ? firstWeek.reduce((a, b) => a + b, 0) / firstWeek.length : 0;
+    for (const d of series.slice(7)) {
+      const value = deseasonalised(d);
+      if (value !== null) level = SMOOTHING_ALPHA * value + (1 - SMOOTHING_ALPHA) * level;
+    }
+    return { level, seasonality };
+  },
+};
+
+const predict = (model, dow) => model.level * model.seasonality[dow];
+
+const score = (method, model, actual) => {
+  let absError = 0;
+  let squaredError = 0;
+  let error = 0;
+  let units = 0;
+  for (const d of actual) {
+    const e = predict(model, d.dow) - d.units;
+    absError += Math.abs(e);
+    squaredError += e * e;
+    error += e;
+    units += d.units;
+  }
+  return {
+    method,
+    mae: round(absError / actual.length),
+    rmse: round(Math.sqrt(squaredError / actual.length)),
+    ...(units > 0 && { wape: round(absError / units, 3), bias: round(error / units, 3) }),
+  };
+};
+
+/**
+ * Forecast one variant from its daily sales. Both methods are fitted without
+ * the last HOLDOUT_DAYS and scored on them; the one with the lower mean
+ * absolute error is refitted on the whole series. Safety stock scales that
+ * method's error over the lead time.
+ */
+const forecastSeries = (series, leadTimeDays) => {
+  const train = series.slice(0, -HOLDOUT_DAYS);
+  const holdout = series.slice(-HOLDOUT_DAYS);
+  const scores = Object.entries(METHODS).map(([method, fit]) => score(method, fit(train), holdout));
+  const best = scores.reduce((a, b) => (b.mae < a.mae ? b : a));
+
+  const model = METHODS[best.method](series);
+  const safetyStock = Math.ceil(SERVICE_LEVEL_Z * best.rmse * Math.sqrt(leadTimeDays));
+
+  return {
+    method: best.method,
+    dailyDemand: round(model.level),
+    seasonality: model.seasonality.map((s) => round(s, 3)),
+    leadTimeDays,
+    safetyStock,
+    reorderPoint: Math.ceil(model.level * leadTimeDays + safetyStock),
+    historyDays: series.length,
+    accuracy: {
+      holdoutDays: HOLDOUT_DAYS,
+      unitsSold: holdout.reduce((sum, d) => sum + d.units, 0),
+      scores,
+    },
+    computedAt: new Date(),
+  };
+};
+
+/**
+ * Days of cover and the day stock is projected to run out, walking the
+ * forecast forward one weekday at a time from today. Both are null when there
+ * is no forecast or no demand.
+ */
+const projectCoverage = (forecast, available, timeZone = 'UTC') => {
+  if (!forecast) return { daysOfCover: null, stockoutDate: null };
+
+  const today = dayKey(new Date(), safeTimeZone(timeZone));
+  if (available <= 0) return { daysOfCover: 0, stockoutDate: today };
+  if (!forecast.dailyDemand) return { daysOfCover: null, stockoutDate: null };
+
+  let remaining = available;
+  let stockoutDate = null;
+  for (let i = 0; i < STOCKOUT_HORIZON_DAYS; i++) {
+    const key = addDays(today, i);
+    remaining -= forecast.dailyDemand * (forecast.seasonality?.[weekday(key)] ?? 1);
+    if (remaining < 0) {
+      stockoutDate = key;
+      break;
+    }
+  }
+
+  return { daysOfCover: round(available / forecast.dailyDemand, 1), stockoutDate };
+};
+
+/**
+ * Refresh the stored forecast of every active variant of a tenant. Days are
+ * counted in the tenant's timezone, from the later of HISTORY_DAYS ago and the
+ * variant's creation up to yesterday, from the daily sales rollups;
+ * cancelled orders don't count. Variants
+ * with too little history lose any forecast they had.
+ */
+const forecastTenant = async (tenantId) => {
+  const tenant = await Tenant.findById(tenantId).select('settings.timezone').lean();
+  const timeZone = safeTimeZone(tenant?.settings?.timezone || 'UTC');
+  const today = dayKey(new Date(), timeZone);
+  const firstDay = addDays(today, -HISTORY_DAYS);
+
+  const [variants, sales] = await Promise.all([
+    Variant.find({ tenantId, isActive: true }).select('createdAt forecast').lean(),
+    SalesRollup.aggregate([
+      {
+        $match: {
+          tenantId: new mongoose.Types.ObjectId(tenantId),
+          status: { $ne: 'cancelled' },
+          date: { $gte: dayDate(firstDay), $lt: dayDate(today) },
+        },
+      },
+      {
+        $group: {
+          _id: { variantId: '$variantId', day: { $dateToString: { format: '%Y-%m-%d', date: '$date' } } },
+          units: { $sum: '$unitsSold' },
+        },
+      },
+    ]),
+  ]);
+
+  const salesByVariant = new Map();
+  for (const { _id, units } of sales) {
+    const id = _id.variantId.toString();
+    if (!salesByVariant.has(id)) salesByVariant.set(id, new Map());
+    salesByVariant.get(id).set(_id.day, units);
+  }
+
+  const forecastable = variants.filter((v) => salesByVariant.has(v._id.toString()));
+  const suppliers = await chooseSuppliers(tenantId, forecastable.map((v) => v._id));
+
+  const ops = [];
+  let forecasted = 0;
+  for (const v of variants) {
+    const id = v._id.toString();
+    const daily = salesByVariant.get(id);
+
+    const series = [];
+    if (daily && daily.size >= MIN_SELLING_DAYS) {
+      const created = dayKey(v.createdAt, timeZone);
+      for (let key = created > firstDay ? created : firstDay; key < today; key = addDays(key, 1)) {
+        series.push({ dow: weekday(key), units: daily.get(key) || 0 });
+      }
+    }
+
+    if (series.length < MIN_HISTORY_DAYS) {
+      if (v.forecast) ops.push({ updateOne: { filter: { _id: v._id }, update: { $unset: { forecast: '' } } } });
+      continue;
+    }
+
+    const leadTimeDays = suppliers.get(id)?.entry.leadTimeDays ?? DEFAULT_LEAD_TIME_DAYS;
+    ops.push({
+      updateOne: {
+        filter: { _id: v._id },
+        update: { $set: { forecast: forecastSeries(series, leadTimeDays) } },
+      },
+    });
+    forecasted += 1;
+  }
+
+  if (ops.length > 0) await Variant.bulkWrite(ops);
+  await Tenant.updateOne({ _id: tenantId }, { $set: { forecastRunAt: new Date() } });
+
+  return { forecasted, skipped: variants.length - forecasted };
+};
+
+const forecastDueTenants = async () => {
+  const cutoff = new Date(Date.now() - FORECAST_INTERVAL);
+  const tenants = await Tenant.find({
+    isActive: true,
+    $or: [{ forecastRunAt: { $exists: false } }, { forecastRunAt: { $lte: cutoff } }],
+  })
+    .select('_id')
+    .lean();
+
+  for (const { _id } of tenants) {
+    await forecastTenant(_id);
+  }
+  return tenants.length;
+};
+
+const startForecasting = () => {
+  const run = () => {
+    forecastDueTenants()
+      .then((count) => {
+        if (count > 0) console.log(`Refreshed demand forecasts for ${count} tenant(s)`);
+      })
+      .catch((err) => console.error('Demand forecasting failed:', err));
+  };
+
+  run();
+  const timer = setInterval(run, FORECAST_CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  HISTORY_DAYS,
+  HOLDOUT_DAYS,
+  stockThreshold,
+  thresholdExpr,
+  forecastSeries,
+  projectCoverage,
+  forecastTenant,
+  forecastDueTenants,
+  startForecasting,
+};
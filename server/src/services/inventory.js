@@ -0,0 +1,259 @@
+const { Location, StockLevel, Variant } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+
+const DEFAULT_LOCATION = { name: 'Main Warehouse', code: 'MAIN' };
+
+// PO statuses whose unreceived quantities are still on their way
+const INCOMING_PO_STATUSES = ['draft', 'pending_approval', 'sent', 'confirmed', 'partially_received'];
+
+/**
+ * Get the tenant's default location.
+ * Lazily creates one on first use and moves any existing Variant.stock
+ * into it, so tenants created before locations existed keep their balances.
+ */
+const getDefaultLocation = async (tenantId, session = null) => {
+  let location = await Location.findOne({ tenantId, isDefault: true }).session(session);
+  if (location) return location;
+
+  try {
+    [location] = await Location.create(
+      [{ tenantId, ...DEFAULT_LOCATION, isDefault: true }],
+      { session }
+    );
+  } catch (err) {
+    // If another request created it concurrently, just read it
+    if (err.code === 11000) {
+      return Location.findOne({ tenantId, code: DEFAULT_LOCATION.code }).session(session);
+    }
+    throw err;
+  }
+
+  // Backfill balances only if the tenant has never had per-location stock
+  const hasLevels = await StockLevel.exists({ tenantId }).session(session);
+  if (!hasLevels) {
+    const variants = await Variant.find({ tenantId, stock: { $gt: 0 } })
+      .select('productId stock')
+      .session(session)
+      .lean();
+    if (variants.length > 0) {
+      await StockLevel.insertMany(
+        variants.map((v) => ({
+          tenantId,
+          variantId: v._id,
+          productId: v.productId,
+          locationId: location._id,
+          quantity: v.stock,
+        })),
+        { session }
+      );
+    }
+  }
+
+  return location;
+};
+
+// Ledger entries for stock that appears or disappears with a variant, so its
+// movements keep adding up to Variant.stock
+const openingMovements = (variants, { tenantId, locationId, userId }) => variants
+  .filter((v) => v.stock > 0)
+  .map((v) => ({
+    tenantId,
+    variantId: v._id,
+    productId: v.productId,
+    locationId,
+    type: 'adjustment',
+    quantity: v.stock,
+    previousStock: 0,
+    newStock: v.stock,
+    notes: 'Opening stock',
+    createdBy: userId,
+  }));
+
+const closingMovements = (variants, { tenantId, userId, notes }) => variants
+  .filter((v) => v.stock !== 0)
+  .map((v) => ({
+    tenantId,
+    variantId: v._id,
+    productId: v.productId,
+    type: 'adjustment',
+    quantity: -v.stock,
+    previousStock: v.stock,
+    newStock: 0,
+    notes,
+    createdBy: userId,
+  }));
+
+/**
+ * Resolve the location for a stock operation.
+ * Falls back to the default location when no id is given.
+ */
+const resolveLocation = async (tenantId, locationId, session = null) => {
+  if (!locationId) return getDefaultLocation(tenantId, session);
+
+  const location = await Location.findOne({
+    _id: locationId,
+    tenantId,
+    isActive: true,
+  }).session(session);
+
+  if (!location) {
+    throw new AppError('Location not found or inactive', 404);
+  }
+  return location;
+};
+
+// Matches a StockLevel whose unreserved quantity covers `quantity`
+const availableAtLeast = (quantity) => ({
+  $expr: {
+    $gte: [{ $subtract: ['$quantity', { $ifNull: ['$reserved', 0] }] }, quantity],
+  },
+});
+
+/**
+ * Change a variant's stock at one location and keep Variant.stock in step.
+ * Negative quantities are guarded so they can only take unreserved units.
+ * Returns { variant, level }, or null when the location has too little stock.
+ */
+const changeStock = async ({ tenantId, variantId, locationId, quantity, session = null }) => {
+  const variant = await Variant.findOne({ _id: variantId, tenantId }).session(session);
+  if (!variant) {
+    throw new AppError(`Variant ${variantId} not found`, 404);
+  }
+
+  let level;
+  if (quantity < 0) {
+    level = await StockLevel.findOneAndUpdate(
+      {
+        tenantId,
+        variantId: variant._id,
+        locationId,
+        ...availableAtLeast(Math.abs(quantity)),
+      },
+      { $inc: { quantity } },
+      { new: true, session }
+    );
+    if (!level) return null;
+  } else {
+    level = await StockLevel.findOneAndUpdate(
+      { tenantId, variantId: variant._id, locationId },
+      {
+        $inc: { quantity },
+        $setOnInsert: { productId: variant.productId },
+      },
+      { new: true, upsert: true, session }
+    );
+  }
+
+  const updated = await Variant.findOneAndUpdate(
+    { _id: variant._id, tenantId },
+    { $inc: { stock: quantity } },
+    { new: true, session }
+  );
+
+  return { variant: updated, level };
+};
+
+/**
+ * Move units into (positive) or out of (negative) the in-transit bucket.
+ * In-transit units have no location, so only the variant totals change.
+ * Returns the updated variant, or null when too little is in transit.
+ */
+const changeInTransit = async ({ tenantId, variantId, quantity, session = null }) => {
+  const filter = { _id: variantId, tenantId };
+  if (quantity < 0) filter.inTransit = { $gte: Math.abs(quantity) };
+
+  return Variant.findOneAndUpdate(
+    filter,
+    { $inc: { stock: quantity, inTransit: quantity } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Set aside units at a location for an order. Stock stays on hand but is no
+ * longer available to other orders, adjustments or transfers.
+ * Returns the updated variant, or null when too little is available.
+ */
+const reserveStock = async ({ tenantId, variantId, locationId, quantity, session = null }) => {
+  const level = await StockLevel.findOneAndUpdate(
+    { tenantId, variantId, locationId, ...availableAtLeast(quantity) },
+    { $inc: { reserved: quantity } },
+    { new: true, session }
+  );
+  if (!level) return null;
+
+  return Variant.findOneAndUpdate(
+    { _id: variantId, tenantId },
+    { $inc: { reserved: quantity } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Hand reserved units back to available stock without moving them.
+ * Returns the updated variant, or null when less than `quantity` is reserved.
+ */
+const releaseReservation = async ({ tenantId, variantId, locationId, quantity, session = null }) => {
+  const level = await StockLevel.findOneAndUpdate(
+    { tenantId, variantId, locationId, reserved: { $gte: quantity } },
+    { $inc: { reserved: -quantity } },
+    { new: true, session }
+  );
+  if (!level) return null;
+
+  return Variant.findOneAndUpdate(
+    { _id: variantId, tenantId },
+    { $inc: { reserved: -quantity } },
+    { new: true, session }
+  );
+};
+
+/**
+ * Take reserved units out of stock when the order ships.
+ * Returns { variant, level }, or null when less than `quantity` is reserved.
+ */
+const consumeReservation = async ({ tenantId, variantId, locationId, quantity, session = null }) => {
+  const level = await StockLevel.findOneAndUpdate(
+    {
+      tenantId,
+      variantId,
+      locationId,
+      reserved: { $gte: quantity },
+      quantity: { $gte: quantity },
+    },
+    { $inc: { quantity: -quantity, reserved: -quantity } },
+    { new: true, session }
+  );
+  if (!level) return null;
+
+  const variant = await Variant.findOneAndUpdate(
+    { _id: variantId, tenantId },
+    { $inc: { stock: -quantity, reserved: -quantity } },
+    { new: true, session }
+  );
+  return { variant, level };
+};
+
+/**
+ * Get the available (on hand minus reserved) quantity of a variant at one location.
+ */
+const getLocationQuantity = async (tenantId, variantId, locationId, session = null) => {
+  const level = await StockLevel.findOne({ tenantId, variantId, locationId })
+    .session(session)
+    .lean();
+  return level ? level.quantity - (level.reserved || 0) : 0;
+};
+
+module.exports = {
+  INCOMING_PO_STATUSES,
+  getDefaultLocation,
+  resolveLocation,
+  openingMovements,
+  closingMovements,
+  changeStock,
+  changeInTransit,
+  reserveStock,
+  releaseReservation,
+  consumeReservation,
+  getLocationQuantity,
+};
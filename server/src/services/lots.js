@@ -0,0 +1,269 @@
+const { Lot, Product, StockLevel, Tenant } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+
+const DAY = 24 * 60 * 60 * 1000;
+const EXPIRY_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+const DEFAULT_EXPIRY_ALERT_DAYS = 30;
+
+// The lot part of a stock movement or transfer line
+const toEntry = (lot, quantity) => ({
+  lotId: lot._id,
+  lotNumber: lot.lotNumber,
+  expiryDate: lot.expiryDate,
+  quantity,
+});
+
+// First expiring first; lots with no expiry date go last. Ties go to the oldest receipt.
+const fefo = (a, b) => {
+  if (a.expiryDate && b.expiryDate && a.expiryDate.getTime() !== b.expiryDate.getTime()) {
+    return a.expiryDate - b.expiryDate;
+  }
+  if (a.expiryDate && !b.expiryDate) return -1;
+  if (!a.expiryDate && b.expiryDate) return 1;
+  return a.receivedAt - b.receivedAt;
+};
+
+const isLotTracked = async (tenantId, productId, session = null) =>
+  !!(await Product.exists({ _id: productId, tenantId, trackLots: true }).session(session));
+
+/**
+ * Put units into a lot at a location. The lot is created the first time its
+ * number is seen there; after that it keeps its expiry date, and receiving it
+ * again with a different one is rejected.
+ * `variant` needs _id, productId and sku. Returns the lot entry for the movement.
+ */
+const receiveLot = async ({
+  tenantId, variant, locationId, quantity, lotNumber, expiryDate, reference, referenceId, session = null,
+}) => {
+  const number = String(lotNumber).trim();
+  const expiry = expiryDate ? new Date(expiryDate) : undefined;
+
+  let lot = await Lot.findOne({ tenantId, variantId: variant._id, locationId, lotNumber: number })
+    .session(session);
+
+  if (lot) {
+    if (expiry && lot.expiryDate && lot.expiryDate.getTime() !== expiry.getTime()) {
+      throw new AppError(
+        `Lot ${number} of ${variant.sku} already expires on ${lot.expiryDate.toISOString().slice(0, 10)}`,
+        400
+      );
+    }
+    if (expiry && !lot.expiryDate) lot.expiryDate = expiry;
+    lot.quantity += quantity;
+    lot.receivedQuantity += quantity;
+    await lot.save({ session });
+  } else {
+    [lot] = await Lot.create(
+      [
+        {
+          tenantId,
+          variantId: variant._id,
+          productId: variant.productId,
+          locationId,
+          lotNumber: number,
+          expiryDate: expiry,
+          quantity,
+          receivedQuantity: quantity,
+          reference,
+          referenceId,
+        },
+      ],
+      { session }
+    );
+  }
+
+  return toEntry(lot, quantity);
+};
+
+const isExpired = (lot, now) => !!lot.expiryDate && lot.expiryDate <= now;
+
+/**
+ * Take units out of a variant's lots at a location, first expiring first,
+ * or out of one named lot. Call it once the location's balance has been
+ * reduced by `quantity`.
+ * Expired lots are only drawn with `includeExpired`, for write-offs and count
+ * shortfalls; sales and transfers never pick them. Units the lots don't cover
+ * must come from the location's untracked stock (stock from before tracking
+ * started); past that the draw is rejected, saying how much sits in expired lots.
+ * Returns the lot entries for the movement, quantities positive.
+ */
+const drawLots = async ({
+  tenantId, variantId, locationId, quantity, lotNumber, includeExpired = false, sku = 'this variant', session = null,
+}) => {
+  const filter = { tenantId, variantId, locationId, quantity: { $gt: 0 } };
+  if (lotNumber) filter.lotNumber = String(lotNumber).trim();
+
+  const now = new Date();
+  const held = (await Lot.find(filter).session(session)).sort(fefo);
+  const lots = includeExpired ? held : held.filter((lot) => !isExpired(lot, now));
+
+  if (lotNumber) {
+    if (held.length > 0 && lots.length === 0) {
+      throw new AppError(`Lot ${lotNumber} of ${sku} expired on ${held[0].expiryDate.toISOString().slice(0, 10)}`, 400);
+    }
+    if ((lots[0]?.quantity || 0) < quantity) {
+      throw new AppError(`Lot ${lotNumber} only has ${lots[0]?.quantity || 0} units at this location`, 400);
+    }
+  }
+
+  const heldUnits = held.reduce((sum, lot) => sum + lot.quantity, 0);
+  const usableUnits = lots.reduce((sum, lot) => sum + lot.quantity, 0);
+  if (!lotNumber && usableUnits < quantity && heldUnits > 0) {
+    const level = await StockLevel.findOne({ tenantId, variantId, locationId }).select('quantity').session(session).lean();
+    // What the location held before this draw, less what its lots account for
+    const untracked = (level?.quantity || 0) + quantity - heldUnits;
+    if (quantity - usableUnits > untracked) {
+      const expiredUnits = heldUnits - usableUnits;
+      throw new AppError(
+        expiredUnits > 0
+          ? `${expiredUnits} unit(s) of ${sku} at this location are in expired lots and can't be picked; write them off first`
+          : `The lots of ${sku} at this location hold only ${heldUnits} unit(s)`,
+        400
+      );
+    }
+  }
+
+  const entries = [];
+  let left = quantity;
+  for (const lot of lots) {
+    if (left === 0) break;
+    const take = Math.min(lot.quantity, left);
+    lot.quantity -= take;
+    await lot.save({ session });
+    entries.push(toEntry(lot, take));
+    left -= take;
+  }
+  return entries;
+};
+
+/**
+ * Split units arriving on a transfer line into the lots they were shipped
+ * from. Deliveries use up the shipped lots in order, so `offset` (units of
+ * the line already received) says where this one starts.
+ * Returns [{ lotNumber, expiryDate, quantity }]; units past the shipped lots are untracked.
+ */
+const lotsArriving = (shippedLots = [], offset, quantity) => {
+  const parts = [];
+  let skip = offset;
+  let left = quantity;
+  for (const lot of shippedLots) {
+    if (left === 0) break;
+    const available = lot.quantity - Math.min(skip, lot.quantity);
+    skip = Math.max(0, skip - lot.quantity);
+    if (available <= 0) continue;
+    const take = Math.min(available, left);
+    parts.push({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: take });
+    left -= take;
+  }
+  return parts;
+};
+
+/**
+ * Lots with stock left that expire within `days` (already expired ones
+ * included), soonest first, valued at the variant's cost price.
+ */
+const findExpiringLots = async ({ tenantId, days, locationId }) => {
+  const now = Date.now();
+  const filter = {
+    tenantId,
+    quantity: { $gt: 0 },
+    expiryDate: { $lte: new Date(now + days * DAY) },
+  };
+  if (locationId) filter.locationId = locationId;
+
+  const lots = await Lot.find(filter)
+    .sort({ expiryDate: 1 })
+    .populate('variantId', 'sku attributes costPrice')
+    .populate('productId', 'name')
+    .populate('locationId', 'name code')
+    .lean();
+
+  return lots.map((lot) => ({
+    ...lot,
+    daysLeft: Math.ceil((lot.expiryDate.getTime() - now) / DAY),
+    expired: lot.expiryDate.getTime() <= now,
+    value: Math.round(lot.quantity * (lot.variantId?.costPrice || 0) * 100) / 100,
+  }));
+};
+
+/**
+ * Send one stock:expiring alert for the tenant's lots that have come within
+ * its alert window and haven't been flagged yet. Returns how many were flagged.
+ */
+const alertExpiringLots = async (io, tenantId) => {
+  const tenant = await Tenant.findById(tenantId).select('settings.expiryAlertDays').lean();
+  const days = tenant?.settings?.expiryAlertDays ?? DEFAULT_EXPIRY_ALERT_DAYS;
+  const now = new Date();
+
+  const lots = await Lot.find({
+    tenantId,
+    quantity: { $gt: 0 },
+    expiryDate: { $lte: new Date(now.getTime() + days * DAY) },
+    expiryAlertedAt: { $exists: false },
+  })
+    .sort({ expiryDate: 1 })
+    .populate('variantId', 'sku')
+    .lean();
+  if (lots.length === 0) return 0;
+
+  await Lot.updateMany(
+    { _id: { $in: lots.map((l) => l._id) } },
+    { $set: { expiryAlertedAt: now } }
+  );
+
+  if (io) {
+    io.to(`tenant:${tenantId}`).emit('stock:expiring', {
+      days,
+      expired: lots.filter((l) => l.expiryDate <= now).length,
+      lots: lots.map((l) => ({
+        lotId: l._id,
+        lotNumber: l.lotNumber,
+        variantId: l.variantId?._id,
+        sku: l.variantId?.sku,
+        locationId: l.locationId,
+        expiryDate: l.expiryDate,
+        quantity: l.quantity,
+      })),
+    });
+  }
+  return lots.length;
+};
+
+const alertAllTenants = async (io) => {
+  const tenantIds = await Lot.distinct('tenantId', {
+    quantity: { $gt: 0 },
+    expiryDate: { $exists: true },
+    expiryAlertedAt: { $exists: false },
+  });
+
+  let flagged = 0;
+  for (const tenantId of tenantIds) {
+    flagged += await alertExpiringLots(io, tenantId);
+  }
+  return flagged;
+};
+
+const startExpiryAlerts = (io) => {
+  const run = () => {
+    alertAllTenants(io)
+      .then((count) => {
+        if (count > 0) console.log(`Flagged ${count} expiring lot(s)`);
+      })
+      .catch((err) => console.error('Lot expiry check failed:', err));
+  };
+
+  run();
+  const timer = setInterval(run, EXPIRY_CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  isLotTracked,
+  receiveLot,
+  drawLots,
+  lotsArriving,
+  findExpiringLots,
+  alertExpiringLots,
+  startExpiryAlerts,
+};
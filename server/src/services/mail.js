@@ -0,0 +1,67 @@
+const fs = require('fs/promises');
+const path = require('path');
+const nodemailer = require('nodemailer');
+
+/**
+ * Outgoing mail. MAIL_TRANSPORT picks how messages leave: `smtp` sends
+ * through SMTP_HOST, `file` writes each message as an .eml file to MAIL_DIR,
+ * and `console` (the default) only logs it. Other transports can be added
+ * with registerTransport; a transport is anything with sendMail(message).
+ */
+const transports = {
+  smtp: () => nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    ...(process.env.SMTP_USER && { auth: { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } }),
+  }),
+
+  file: () => {
+    const dir = process.env.MAIL_DIR || path.join(process.cwd(), 'mail-outbox');
+    const mime = nodemailer.createTransport({ streamTransport: true, buffer: true, newline: 'unix' });
+    return {
+      sendMail: async (message) => {
+        const info = await mime.sendMail(message);
+        await fs.mkdir(dir, { recursive: true });
+        const file = path.join(dir, `${Date.now()}-${info.messageId.replace(/[^\w.-]/g, '')}.eml`);
+        await fs.writeFile(file, info.message);
+        return { ...info, file };
+      },
+    };
+  },
+
+  console: () => ({
+    sendMail: async (message) => {
+      const attachments = (message.attachments || [])
+        .map((a) => `${a.filename} (${Buffer.byteLength(a.content)} bytes)`)
+        .join(', ');
+      console.log(`Mail to ${[].concat(message.to).join(', ')}: ${message.subject}${attachments ? ` [${attachments}]` : ''}`);
+      return { messageId: `console-${Date.now()}` };
+    },
+  }),
+};
+
+let active = null;
+
+const registerTransport = (name, factory) => {
+  transports[name] = factory;
+  active = null;
+};
+
+const getTransport = () => {
+  const name = process.env.MAIL_TRANSPORT || 'console';
+  if (active?.name !== name) {
+    if (!transports[name]) {
+      throw new Error(`Unknown mail transport "${name}"`);
+    }
+    active = { name, transport: transports[name]() };
+  }
+  return active.transport;
+};
+
+const sendMail = (message) => getTransport().sendMail({
+  from: process.env.MAIL_FROM || 'MTIMS Reports <reports@localhost>',
+  ...message,
+});
+
+module.exports = { registerTransport, sendMail };
@@ -0,0 +1,555 @@
+const path = require('path');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const {
+  ImportJob, Product, Variant, StockLevel, StockMovement,
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { parseCsv } = require('../utils/helpers');
+const { resolveLocation, openingMovements } = require('./inventory');
+const { syncRollups } = require('./rollups');
+const { markDashboardStale } = require('./dashboardCache');
+
+/**
+ * Bulk product and variant import from CSV or XLSX. A file has a header row
+ * and one row per variant; rows are grouped into products by product name
+ * (ignoring case). Each column is mapped to a field below or to a variant
+ * attribute. Rows match existing variants by SKU: a known SKU updates that
+ * variant, a new one creates it, on the product of that name if the tenant
+ * has one. Running a file twice therefore updates what the first run created.
+ */
+
+const MAX_IMPORT_ROWS = 5000;
+const IMPORT_CHECK_INTERVAL = 10 * 1000;
+// A running job untouched this long lost its worker (a restart); it is picked up again
+const STALLED_AFTER = 5 * 60 * 1000;
+// Rows between progress events and saved counts
+const PROGRESS_EVERY = 50;
+
+const ATTRIBUTE_PREFIX = 'attribute:';
+
+// What a column can be mapped to. `aliases` are header spellings (lowercase,
+// letters and digits only) that the mapping step suggests the field for.
+const FIELDS = {
+  productName: { label: 'Product name', level: 'product', required: true, maxLength: 200, aliases: ['product', 'productname', 'name', 'title'] },
+  description: { label: 'Description', level: 'product', maxLength: 2000, aliases: ['description', 'productdescription'] },
+  category: { label: 'Category', level: 'product', maxLength: 100, aliases: ['category', 'productcategory'] },
+  basePrice: { label: 'Base price', level: 'product', type: 'number', min: 0, aliases: ['baseprice'] },
+  imageUrl: { label: 'Image URL', level: 'product', aliases: ['image', 'imageurl'] },
+  sku: { label: 'SKU', level: 'variant', required: true, aliases: ['sku', 'variantsku'] },
+  price: { label: 'Price', level: 'variant', type: 'number', min: 0, aliases: ['price', 'variantprice', 'retailprice'] },
+  costPrice: { label: 'Cost price', level: 'variant', type: 'number', min: 0, aliases: ['cost', 'costprice', 'unitcost'] },
+  stock: { label: 'Opening stock', level: 'variant', type: 'integer', min: 0, aliases: ['stock', 'quantity', 'qty', 'openingstock'] },
+  lowStockThreshold: { label: 'Low-stock threshold', level: 'variant', type: 'integer', min: 0, aliases: ['lowstockthreshold', 'lowstock'] },
+  reorderPoint: { label: 'Reorder point', level: 'variant', type: 'integer', min: 0, aliases: ['reorderpoint'] },
+  reorderQuantity: { label: 'Reorder quantity', level: 'variant', type: 'integer', min: 1, aliases: ['reorderquantity', 'reorderqty'] },
+};
+const PRODUCT_FIELDS = ['description', 'category', 'basePrice', 'imageUrl'];
+const VARIANT_FIELDS = ['price', 'costPrice', 'lowStockThreshold', 'reorderPoint', 'reorderQuantity'];
+
+// Headers suggested as variant attributes rather than left unmapped
+const COMMON_ATTRIBUTES = ['size', 'color', 'colour', 'material', 'style', 'flavor', 'flavour', 'weight', 'capacity'];
+
+const simplify = (header) => header.toLowerCase().replace(/[^a-z0-9]/g, '');
+
+const fieldCatalog = () => Object.entries(FIELDS).map(([key, f]) => ({
+  key,
+  label: f.label,
+  level: f.level,
+  required: !!f.required,
+}));
+
+/**
+ * Read an uploaded file (a multer file) into { format, headers, rows }. Cells
+ * become trimmed text; XLSX reads the first worksheet as displayed. Blank and
+ * duplicate headers are renamed so every column has its own name.
+ */
+const parseImportFile = async (file) => {
+  if (!file) {
+    throw new AppError('Please choose a CSV or XLSX file', 400);
+  }
+  const ext = path.extname(file.originalname || '').toLowerCase();
+
+  let format;
+  let table;
+  if (ext === '.csv') {
+    format = 'csv';
+    table = parseCsv(file.buffer.toString('utf8'));
+  } else if (ext === '.xlsx') {
+    format = 'xlsx';
+    const workbook = new ExcelJS.Workbook();
+    try {
+      await workbook.xlsx.load(file.buffer);
+    } catch {
+      throw new AppError('The file could not be read as an XLSX workbook', 400);
+    }
+    const sheet = workbook.worksheets[0];
+    table = [];
+    sheet?.eachRow({ includeEmpty: false }, (row) => {
+      const cells = [];
+      for (let c = 1; c <= sheet.columnCount; c += 1) cells.push(row.getCell(c).text);
+      table.push(cells);
+    });
+  } else {
+    throw new AppError('Only .csv and .xlsx files can be imported', 400);
+  }
+
+  const [headerRow, ...body] = table.map((cells) => cells.map((c) => String(c ?? '').trim()));
+  if (!headerRow || headerRow.every((h) => !h)) {
+    throw new AppError('The file has no header row', 400);
+  }
+
+  const seen = new Map();
+  const headers = headerRow.map((h, i) => {
+    const name = h || `Column ${i + 1}`;
+    const count = (seen.get(name.toLowerCase()) || 0) + 1;
+    seen.set(name.toLowerCase(), count);
+    return count > 1 ? `${name} (${count})` : name;
+  });
+
+  const rows = body
+    .map((cells) => headers.map((_, i) => cells[i] || ''))
+    .filter((cells) => cells.some((c) => c));
+  if (rows.length === 0) {
+    throw new AppError('The file has no rows under its header', 400);
+  }
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(`A file can hold at most ${MAX_IMPORT_ROWS} rows; split it and import each part`, 400);
+  }
+
+  return { format, headers, rows };
+};
+
+// Suggest a field for each header from the field aliases and common attribute names
+const suggestMapping = (headers) => {
+  const taken = new Set();
+  return headers.map((header) => {
+    const simple = simplify(header);
+    const key = Object.keys(FIELDS).find((k) => !taken.has(k) && FIELDS[k].aliases.includes(simple));
+    if (key) {
+      taken.add(key);
+      return key;
+    }
+    return COMMON_ATTRIBUTES.includes(simple) ? `${ATTRIBUTE_PREFIX}${simple}` : '';
+  });
+};
+
+/**
+ * Check a mapping against the file's headers and return it cleaned: one entry
+ * per column, each field used once, attribute names lowercased. Throws a 400
+ * when it can't be used.
+ */
+const normalizeMapping = (mapping, headers) => {
+  if (!Array.isArray(mapping) || mapping.length !== headers.length) {
+    throw new AppError('mapping must list a field (or nothing) for every column', 400);
+  }
+
+  const used = new Set();
+  const cleaned = mapping.map((raw, i) => {
+    const entry = typeof raw === 'string' ? raw.trim() : '';
+    if (!entry) return '';
+
+    let key = entry;
+    if (entry.startsWith(ATTRIBUTE_PREFIX)) {
+      const name = entry.slice(ATTRIBUTE_PREFIX.length).trim().toLowerCase();
+      if (!name || name.length > 50 || /[.$]/.test(name)) {
+        throw new AppError(`Column "${headers[i]}" needs an attribute name without "." or "$"`, 400);
+      }
+      key = `${ATTRIBUTE_PREFIX}${name}`;
+    } else if (!Object.hasOwn(FIELDS, entry)) {
+      throw new AppError(`Unknown field "${entry}" for column "${headers[i]}"`, 400);
+    }
+    if (used.has(key)) {
+      throw new AppError(`${FIELDS[key]?.label || key} is mapped to more than one column`, 400);
+    }
+    used.add(key);
+    return key;
+  });
+
+  const missing = Object.keys(FIELDS).filter((k) => FIELDS[k].required && !used.has(k));
+  if (missing.length > 0) {
+    throw new AppError(`Map a column to ${missing.map((k) => FIELDS[k].label).join(' and ')}`, 400);
+  }
+  return cleaned;
+};
+
+// One row's values per the mapping, cast to their types, with any problems found
+const readRow = (cells, mapping) => {
+  const values = {};
+  const attributes = {};
+  const problems = [];
+
+  mapping.forEach((key, i) => {
+    const text = (cells[i] || '').trim();
+    if (!key || !text) return;
+    if (key.startsWith(ATTRIBUTE_PREFIX)) {
+      attributes[key.slice(ATTRIBUTE_PREFIX.length)] = text;
+      return;
+    }
+
+    const field = FIELDS[key];
+    if (field.type) {
+      const number = Number(text.replace(/,/g, ''));
+      if (!Number.isFinite(number) || (field.type === 'integer' && !Number.isInteger(number))) {
+        problems.push(`${field.label} must be ${field.type === 'integer' ? 'a whole number' : 'a number'}`);
+      } else if (number < field.min) {
+        problems.push(`${field.label} must be at least ${field.min}`);
+      } else {
+        values[key] = number;
+      }
+    } else if (field.maxLength && text.length > field.maxLength) {
+      problems.push(`${field.label} can be at most ${field.maxLength} characters`);
+    } else {
+      values[key] = key === 'sku' ? text.toUpperCase() : text;
+    }
+  });
+
+  if (!values.productName) problems.push('Product name is required');
+  if (!values.sku && !problems.some((p) => p.startsWith('SKU'))) problems.push('SKU is required');
+  return { values, attributes, problems };
+};
+
+const pick = (source, keys) => Object.fromEntries(keys.filter((k) => source[k] !== undefined).map((k) => [k, source[k]]));
+
+/**
+ * Work out what each row of a job would do against the tenant's current
+ * products, without writing anything. Returns { results, products }:
+ * `results` has one entry per row (see ImportJob results); `products` are the
+ * products rows will be written to, each with its rows, keyed by product id
+ * or, for new products, by lowercased name.
+ */
+const planImport = async (tenantId, { rows, mapping }) => {
+  const read = rows.map((cells) => readRow(cells, mapping));
+
+  const skus = [...new Set(read.map((r) => r.values.sku).filter(Boolean))];
+  const names = [...new Set(read.map((r) => r.values.productName).filter(Boolean))];
+  const [variants, namedProducts] = await Promise.all([
+    Variant.find({ tenantId, sku: { $in: skus } }).select('sku productId').lean(),
+    Product.find({ tenantId, name: { $in: names } })
+      .collation({ locale: 'en', strength: 2 })
+      .sort({ isActive: -1, createdAt: 1 })
+      .select('name basePrice')
+      .lean(),
+  ]);
+  const variantBySku = new Map(variants.map((v) => [v.sku, v]));
+  const owners = await Product.find({ _id: { $in: variants.map((v) => v.productId) } }).select('name basePrice').lean();
+  const productById = new Map([...owners, ...namedProducts].map((p) => [p._id.toString(), p]));
+  const productByName = new Map();
+  namedProducts.forEach((p) => {
+    if (!productByName.has(p.name.toLowerCase())) productByName.set(p.name.toLowerCase(), p);
+  });
+
+  const products = new Map();
+  const firstRowOfSku = new Map();
+  const results = read.map(({ values, attributes, problems }, i) => {
+    const result = {
+      row: i + 2,
+      productName: values.productName,
+      sku: values.sku,
+      problems: [...problems],
+      warnings: [],
+    };
+
+    if (values.sku) {
+      if (firstRowOfSku.has(values.sku)) {
+        result.problems.push(`SKU ${values.sku} is also on row ${firstRowOfSku.get(values.sku)}`);
+      } else {
+        firstRowOfSku.set(values.sku, result.row);
+      }
+    }
+
+    const nameKey = values.productName?.toLowerCase();
+    const existing = values.sku && variantBySku.get(values.sku);
+    let product;
+    let key;
+    if (existing) {
+      product = productById.get(existing.productId.toString());
+      key = existing.productId.toString();
+      result.action = 'update';
+      result.productAction = 'existing';
+      result.variantId = existing._id;
+      if (product && nameKey && product.name.toLowerCase() !== nameKey) {
+        result.warnings.push(`SKU ${values.sku} belongs to "${product.name}"; it stays there and that product's details are not changed`);
+      }
+      if (values.stock !== undefined) {
+        result.warnings.push('Opening stock only applies to new variants; use an adjustment or a count to change stock');
+      }
+    } else {
+      product = nameKey && productByName.get(nameKey);
+      key = product ? product._id.toString() : nameKey;
+      result.action = 'create';
+      result.productAction = product ? 'existing' : 'create';
+      const priced = values.price !== undefined || values.basePrice !== undefined || product?.basePrice !== undefined;
+      if (!priced && !problems.some((p) => p.startsWith('Price'))) {
+        result.problems.push('Price is required for a new variant');
+      }
+    }
+
+    if (result.problems.length > 0) {
+      result.action = 'error';
+      delete result.productAction;
+      delete result.variantId;
+      return result;
+    }
+
+    if (!products.has(key)) {
+      products.set(key, {
+        productId: product?._id || existing?.productId || null,
+        name: product?.name || values.productName,
+        basePrice: product?.basePrice,
+        fields: {},
+        rows: [],
+      });
+    }
+    const target = products.get(key);
+    // The first row that gives a product detail sets it; rows under another product's name don't
+    if (!product || product.name.toLowerCase() === nameKey) {
+      target.fields = { ...pick(values, PRODUCT_FIELDS), ...target.fields };
+    }
+    target.rows.push({ index: i, values, attributes, existing });
+    return result;
+  });
+
+  // A new product's base price defaults to its cheapest variant
+  products.forEach((p) => {
+    if (!p.productId && p.fields.basePrice === undefined) {
+      p.fields.basePrice = Math.min(...p.rows.map((r) => r.values.price ?? Infinity));
+    }
+    if (p.fields.basePrice === Infinity) delete p.fields.basePrice;
+    if (p.basePrice === undefined) p.basePrice = p.fields.basePrice;
+  });
+
+  return { results, products };
+};
+
+// Counts of a plan's results, for previews and the job document
+const summarize = (results) => ({
+  rows: results.length,
+  create: results.filter((r) => r.action === 'create').length,
+  update: results.filter((r) => r.action === 'update').length,
+  error: results.filter((r) => r.action === 'error').length,
+  newProducts: new Set(results.filter((r) => r.productAction === 'create').map((r) => r.productName.toLowerCase())).size,
+});
+
+/**
+ * Write one product and its rows in a transaction: create or update the
+ * product, then its variants, with opening stock for new variants held at
+ * `location`. Returns the created variants by row index.
+ */
+const writeProduct = async ({ tenantId, userId, location }, target) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    const attributeNames = [...new Set(target.rows.flatMap((r) => Object.keys(r.attributes)))];
+
+    let { productId } = target;
+    if (productId) {
+      const update = {};
+      if (Object.keys(target.fields).length > 0) update.$set = target.fields;
+      if (attributeNames.length > 0) update.$addToSet = { variantAttributes: { $each: attributeNames } };
+      if (update.$set || update.$addToSet) {
+        await Product.updateOne({ _id: productId, tenantId }, update, { session, runValidators: true });
+      }
+    } else {
+      const [product] = await Product.create(
+        [{ tenantId, name: target.name, ...target.fields, variantAttributes: attributeNames }],
+        { session }
+      );
+      productId = product._id;
+    }
+
+    const created = new Map();
+    for (const { index, values, attributes, existing } of target.rows) {
+      if (existing) {
+        const $set = pick(values, VARIANT_FIELDS);
+        Object.entries(attributes).forEach(([name, value]) => {
+          $set[`attributes.${name}`] = value;
+        });
+        if (Object.keys($set).length > 0) {
+          await Variant.updateOne({ _id: existing._id, tenantId }, { $set }, { session, runValidators: true });
+        }
+        continue;
+      }
+
+      const [variant] = await Variant.create(
+        [{
+          tenantId,
+          productId,
+          sku: values.sku,
+          attributes,
+          price: values.price ?? target.fields.basePrice ?? target.basePrice,
+          costPrice: values.costPrice || 0,
+          stock: values.stock || 0,
+          lowStockThreshold: values.lowStockThreshold ?? 10,
+          reorderPoint: values.reorderPoint,
+          reorderQuantity: values.reorderQuantity,
+        }],
+        { session }
+      );
+      created.set(index, variant);
+    }
+
+    const stocked = [...created.values()].filter((v) => v.stock > 0);
+    if (stocked.length > 0) {
+      await StockLevel.insertMany(stocked.map((v) => ({
+        tenantId,
+        variantId: v._id,
+        productId,
+        locationId: location._id,
+        quantity: v.stock,
+      })), { session });
+      await StockMovement.insertMany(openingMovements(stocked, { tenantId, locationId: location._id, userId }), { session });
+    }
+
+    await session.commitTransaction();
+    return created;
+  } catch (err) {
+    await session.abortTransaction();
+    throw err;
+  } finally {
+    session.endSession();
+  }
+};
+
+const progressOf = (job) => ({
+  importId: job._id,
+  status: job.status,
+  total: job.total,
+  processed: job.processed,
+  created: job.created,
+  updated: job.updated,
+  failed: job.failed,
+});
+
+/**
+ * Run a claimed job: plan it against the tenant's products as they are now,
+ * write product by product, and report progress to the tenant's sockets as
+ * `import:progress`, then `import:completed`. A product that fails to write
+ * fails its rows only.
+ */
+const runImportJob = async (job, io = null) => {
+  const room = `tenant:${job.tenantId}`;
+  const emit = (event, payload) => io?.to(room).emit(event, payload);
+
+  try {
+    const location = await resolveLocation(job.tenantId, job.locationId);
+    const { results, products } = await planImport(job.tenantId, job);
+    const context = { tenantId: job.tenantId, userId: job.createdBy, location };
+
+    job.processed = results.filter((r) => r.action === 'error').length;
+    job.failed = job.processed;
+    job.created = 0;
+    job.updated = 0;
+    let reported = 0;
+
+    for (const target of products.values()) {
+      try {
+        const created = await writeProduct(context, target);
+        target.rows.forEach(({ index, existing }) => {
+          if (existing) {
+            job.updated += 1;
+          } else {
+            results[index].variantId = created.get(index)._id;
+            job.created += 1;
+          }
+        });
+      } catch (err) {
+        const message = err.code === 11000 ? 'A SKU in this product was created by someone else meanwhile' : err.message;
+        target.rows.forEach(({ index }) => {
+          Object.assign(results[index], { action: 'error', problems: [message] });
+          delete results[index].productAction;
+          delete results[index].variantId;
+        });
+        job.failed += target.rows.length;
+      }
+      job.processed += target.rows.length;
+
+      if (job.processed - reported >= PROGRESS_EVERY) {
+        reported = job.processed;
+        // Saving also marks the job as alive for the stall check
+        await ImportJob.updateOne(
+          { _id: job._id },
+          { $set: { processed: job.processed, created: job.created, updated: job.updated, failed: job.failed } }
+        );
+        emit('import:progress', progressOf(job));
+      }
+    }
+
+    job.results = results;
+    job.status = 'completed';
+  } catch (err) {
+    job.status = 'failed';
+    job.error = err.message;
+  }
+
+  job.completedAt = new Date();
+  await job.save();
+  emit('import:completed', { ...progressOf(job), ...(job.error && { error: job.error }) });
+
+  if (job.created > 0 || job.updated > 0) {
+    await syncRollups(job.tenantId);
+    await markDashboardStale(job.tenantId, 'imports');
+  }
+  return job;
+};
+
+let working = false;
+
+/**
+ * Run queued jobs, oldest first, until none are left. Jobs are claimed
+ * atomically, so several server instances can share the queue; a job whose
+ * worker stopped mid-run is claimed again and, being matched by SKU, only
+ * redoes what is left.
+ */
+const processImports = async (io = null) => {
+  if (working) return 0;
+  working = true;
+  let count = 0;
+  try {
+    for (;;) {
+      const job = await ImportJob.findOneAndUpdate(
+        {
+          $or: [
+            { status: 'queued' },
+            { status: 'running', updatedAt: { $lt: new Date(Date.now() - STALLED_AFTER) } },
+          ],
+        },
+        { $set: { status: 'running', startedAt: new Date() } },
+        { sort: { updatedAt: 1 }, new: true }
+      );
+      if (!job) break;
+      await runImportJob(job, io);
+      count += 1;
+    }
+  } finally {
+    working = false;
+  }
+  return count;
+};
+
+const startImportWorker = (io) => {
+  const run = () => {
+    processImports(io)
+      .then((count) => {
+        if (count > 0) console.log(`Ran ${count} product import(s)`);
+      })
+      .catch((err) => console.error('Product import failed:', err));
+  };
+
+  run();
+  const timer = setInterval(run, IMPORT_CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  fieldCatalog,
+  parseImportFile,
+  suggestMapping,
+  normalizeMapping,
+  planImport,
+  summarize,
+  runImportJob,
+  processImports,
+  startImportWorker,
+};
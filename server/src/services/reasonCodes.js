@@ -0,0 +1,63 @@
+const { ReasonCode } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+
+const CYCLE_COUNT_REASON = 'CYCLE_COUNT';
+
+// Every tenant starts with these; owners can edit, deactivate or add to them
+const DEFAULT_REASON_CODES = [
+  { code: 'DAMAGE', name: 'Damaged', direction: 'decrease', account: 'Inventory shrinkage - damage' },
+  { code: 'THEFT', name: 'Theft', direction: 'decrease', account: 'Inventory shrinkage - theft', requiresApproval: true },
+  { code: 'EXPIRED', name: 'Expired', direction: 'decrease', account: 'Inventory shrinkage - expired' },
+  { code: 'SAMPLE', name: 'Sample / giveaway', direction: 'decrease', account: 'Marketing samples' },
+  { code: 'FOUND', name: 'Found stock', direction: 'increase', account: 'Inventory adjustments' },
+  { code: 'RETURN', name: 'Customer return restocked', direction: 'increase', account: 'Sales returns' },
+  { code: 'CORRECTION', name: 'Data entry correction', direction: 'both', account: 'Inventory adjustments', requiresApproval: true },
+  { code: CYCLE_COUNT_REASON, name: 'Cycle count variance', direction: 'both', account: 'Inventory adjustments', system: true },
+];
+
+/**
+ * Make sure the tenant has the default reason codes.
+ * Runs once per tenant: as soon as any code exists nothing is re-added,
+ * so deleted defaults stay deleted.
+ */
+const ensureReasonCodes = async (tenantId) => {
+  if (await ReasonCode.exists({ tenantId })) return;
+  try {
+    await ReasonCode.insertMany(
+      DEFAULT_REASON_CODES.map((r) => ({ tenantId, ...r })),
+      { ordered: false }
+    );
+  } catch (err) {
+    // Another request seeded them concurrently
+    if (err.code !== 11000) throw err;
+  }
+};
+
+/**
+ * Look up the reason code for a manual adjustment and check it may be used:
+ * it must be active, not app-only, and allow the direction of the change.
+ * Whether it needs approval is left to the approval rules.
+ */
+const resolveReasonCode = async ({ tenantId, code, quantity }) => {
+  await ensureReasonCodes(tenantId);
+  const reason = await ReasonCode.findOne({ tenantId, code: String(code).trim().toUpperCase() }).lean();
+
+  if (!reason || !reason.isActive || reason.system) {
+    throw new AppError(`Unknown reason code ${code}`, 400);
+  }
+  if (reason.direction === 'decrease' && quantity > 0) {
+    throw new AppError(`${reason.name} can only remove stock`, 400);
+  }
+  if (reason.direction === 'increase' && quantity < 0) {
+    throw new AppError(`${reason.name} can only add stock`, 400);
+  }
+
+  return reason;
+};
+
+module.exports = {
+  CYCLE_COUNT_REASON,
+  DEFAULT_REASON_CODES,
+  ensureReasonCodes,
+  resolveReasonCode,
+};
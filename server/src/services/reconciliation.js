@@ -0,0 +1,257 @@
+const mongoose = require('mongoose');
+const { ReconciliationRun, StockMovement, Tenant, Variant } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+
+const RECONCILIATION_INTERVAL = 24 * 60 * 60 * 1000; // nightly per tenant
+const RECONCILIATION_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+const MAX_BREAKS_KEPT = 10;
+
+// Reference on correcting adjustments; the replay treats them as checkpoints
+const RECONCILIATION_REFERENCE = 'RECONCILIATION';
+
+const MOVEMENT_FIELDS = {
+  variantId: 1, type: 1, quantity: 1, previousStock: 1, newStock: 1, reference: 1, createdAt: 1,
+};
+
+/**
+ * Walk one variant's movements, oldest first. The ledger starts at zero, and
+ * each movement should pick up where the one before it left off. A correcting
+ * adjustment accepts everything before it, so earlier breaks stop being reported.
+ */
+const replayLedger = (movements) => {
+  let ledgerStock = 0;
+  let last = 0;
+  let breaks = [];
+
+  for (const m of movements) {
+    ledgerStock += m.quantity;
+
+    if (m.reference === RECONCILIATION_REFERENCE) {
+      breaks = [];
+      last = m.newStock;
+      continue;
+    }
+
+    const found = { movementId: m._id, type: m.type, createdAt: m.createdAt };
+    if (m.previousStock !== last) {
+      breaks.push({ ...found, kind: 'link', expected: last, recorded: m.previousStock });
+    }
+    if (m.newStock !== m.previousStock + m.quantity) {
+      breaks.push({ ...found, kind: 'arithmetic', expected: m.previousStock + m.quantity, recorded: m.newStock });
+    }
+    last = m.newStock;
+  }
+
+  return { ledgerStock, movementCount: movements.length, breaks };
+};
+
+// An issue entry for a variant whose ledger doesn't hold up, or null
+const toIssue = (variant, { ledgerStock, movementCount, breaks }) => {
+  if (ledgerStock === variant.stock && breaks.length === 0) return null;
+  return {
+    variantId: variant._id,
+    productId: variant.productId,
+    sku: variant.sku,
+    stock: variant.stock,
+    ledgerStock,
+    difference: variant.stock - ledgerStock,
+    movementCount,
+    breakCount: breaks.length,
+    breaks: breaks.slice(0, MAX_BREAKS_KEPT),
+  };
+};
+
+/**
+ * Replay the whole ledger for a tenant and record a run listing every variant
+ * whose movements don't add up to its stock or don't chain together.
+ * Movements are streamed one variant at a time, so memory stays flat.
+ */
+const reconcileTenant = async (tenantId, { trigger = 'manual', userId } = {}) => {
+  const startedAt = new Date();
+  const variants = await Variant.find({ tenantId }).select('productId sku stock').lean();
+  const variantMap = new Map(variants.map((v) => [v._id.toString(), v]));
+  const checked = new Set();
+  const issues = [];
+  let movementsChecked = 0;
+
+  let currentId = null;
+  let batch = [];
+  const flush = () => {
+    const variant = currentId && variantMap.get(currentId);
+    if (variant) {
+      const issue = toIssue(variant, replayLedger(batch));
+      if (issue) issues.push(issue);
+      checked.add(currentId);
+    }
+    batch = [];
+  };
+
+  const cursor = StockMovement.aggregate([
+    { $match: { tenantId: new mongoose.Types.ObjectId(tenantId) } },
+    { $sort: { variantId: 1, createdAt: 1, _id: 1 } },
+    { $project: MOVEMENT_FIELDS },
+  ])
+    .allowDiskUse(true)
+    .cursor();
+
+  for await (const m of cursor) {
+    const id = m.variantId.toString();
+    if (id !== currentId) {
+      flush();
+      currentId = id;
+    }
+    batch.push(m);
+    movementsChecked += 1;
+  }
+  flush();
+
+  // Variants that never moved should have no stock
+  variants
+    .filter((v) => !checked.has(v._id.toString()))
+    .forEach((v) => {
+      const issue = toIssue(v, replayLedger([]));
+      if (issue) issues.push(issue);
+    });
+
+  return ReconciliationRun.create({
+    tenantId,
+    startedAt,
+    finishedAt: new Date(),
+    trigger,
+    variantsChecked: variants.length,
+    movementsChecked,
+    mismatched: issues.filter((i) => i.difference !== 0).length,
+    brokenChains: issues.filter((i) => i.breakCount > 0).length,
+    issues,
+    createdBy: userId,
+  });
+};
+
+/**
+ * Post an adjustment that brings a variant's ledger in line with its stock.
+ * Stock itself doesn't change: the movement records the units the ledger
+ * missed and marks a checkpoint that earlier chain breaks are accepted at.
+ */
+const postCorrection = async ({ tenantId, variantId, userId }) => {
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  let variant;
+  let movement;
+  try {
+    // Writing to the variant makes a concurrent stock change conflict with this transaction
+    variant = await Variant.findOneAndUpdate(
+      { _id: variantId, tenantId },
+      { $currentDate: { updatedAt: true } },
+      { new: true, session }
+    ).lean();
+    if (!variant) {
+      throw new AppError('Variant not found', 404);
+    }
+
+    const movements = await StockMovement.find({ tenantId, variantId })
+      .select(MOVEMENT_FIELDS)
+      .sort({ createdAt: 1, _id: 1 })
+      .session(session)
+      .lean();
+    const { ledgerStock, breaks } = replayLedger(movements);
+    if (ledgerStock === variant.stock && breaks.length === 0) {
+      throw new AppError('Ledger already matches stock', 400);
+    }
+
+    const difference = variant.stock - ledgerStock;
+    [movement] = await StockMovement.create(
+      [
+        {
+          tenantId,
+          variantId: variant._id,
+          productId: variant.productId,
+          type: 'adjustment',
+          quantity: difference,
+          // No goods moved, so no value moves either
+          unitCost: 0,
+          totalCost: 0,
+          previousStock: ledgerStock,
+          newStock: variant.stock,
+          reference: RECONCILIATION_REFERENCE,
+          notes: difference === 0
+            ? `Ledger reconciliation: accepted ${breaks.length} chain break(s)`
+            : `Ledger reconciliation: ledger was ${ledgerStock}, stock is ${variant.stock}`,
+          createdBy: userId,
+        },
+      ],
+      { session }
+    );
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  // Mark the issue as corrected on the latest run that reported it
+  const latest = await ReconciliationRun.findOne({ tenantId, 'issues.variantId': variant._id })
+    .sort({ startedAt: -1 })
+    .select('_id')
+    .lean();
+  if (latest) {
+    await ReconciliationRun.updateOne(
+      { _id: latest._id, 'issues.variantId': variant._id },
+      { $set: { 'issues.$.correctionId': movement._id } }
+    );
+  }
+
+  return { variant, movement };
+};
+
+/**
+ * Reconcile every active tenant whose last run is a day old or more.
+ * Tenants with problems hear about it over the socket.
+ */
+const reconcileDueTenants = async (io) => {
+  const tenants = await Tenant.find({ isActive: true }).select('_id').lean();
+  const cutoff = new Date(Date.now() - RECONCILIATION_INTERVAL);
+
+  let runs = 0;
+  for (const { _id } of tenants) {
+    const recent = await ReconciliationRun.exists({ tenantId: _id, startedAt: { $gt: cutoff } });
+    if (recent) continue;
+
+    const run = await reconcileTenant(_id, { trigger: 'scheduled' });
+    runs += 1;
+    if (io && run.issues.length > 0) {
+      io.to(`tenant:${_id}`).emit('stock:reconciliation', {
+        runId: run._id,
+        mismatched: run.mismatched,
+        brokenChains: run.brokenChains,
+      });
+    }
+  }
+  return runs;
+};
+
+const startReconciliation = (io) => {
+  const run = () => {
+    reconcileDueTenants(io)
+      .then((count) => {
+        if (count > 0) console.log(`Reconciled stock ledger for ${count} tenant(s)`);
+      })
+      .catch((err) => console.error('Stock reconciliation failed:', err));
+  };
+
+  run();
+  const timer = setInterval(run, RECONCILIATION_CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  RECONCILIATION_REFERENCE,
+  replayLedger,
+  reconcileTenant,
+  postCorrection,
+  reconcileDueTenants,
+  startReconciliation,
+};
@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+const { Order, PurchaseOrder, Tenant, Variant } = require('../models');
+const { INCOMING_PO_STATUSES, resolveLocation } = require('./inventory');
+const { stockThreshold } = require('./forecasting');
+const { chooseSuppliers } = require('./suppliers');
+const { markDashboardStale } = require('./dashboardCache');
+const { generateOrderNumber } = require('../utils/helpers');
+
+const REORDER_INTERVAL = 24 * 60 * 60 * 1000; // nightly per tenant
+const REORDER_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+const DAY = 24 * 60 * 60 * 1000;
+
+const sumByVariant = (rows) => new Map(rows.map((r) => [r._id.toString(), r.quantity]));
+
+/**
+ * How many units to order so projected stock clears the reorder point:
+ * whole lots of the reorder quantity, or back up to twice the reorder point
+ * when the variant has none.
+ */
+const orderQuantity = ({ reorderPoint, reorderQuantity, projected }) => {
+  if (reorderQuantity) {
+    return Math.ceil((reorderPoint - projected + 1) / reorderQuantity) * reorderQuantity;
+  }
+  return Math.max(1, 2 * reorderPoint - projected);
+};
+
+/**
+ * Work out what each active variant needs ordering. Projected stock is what
+ * is available now, plus what is still due on open POs, less what open
+ * orders have on backorder. Variants at or below their reorder point are
+ * grouped by the supplier they would be ordered from; those no supplier
+ * carries are returned as unassigned.
+ */
+const buildSuggestions = async (tenantId) => {
+  const tenantObjId = new mongoose.Types.ObjectId(tenantId);
+
+  const [variants, incoming, backordered] = await Promise.all([
+    Variant.find({ tenantId, isActive: true })
+      .select('productId sku attributes costPrice stock inTransit reserved lowStockThreshold reorderPoint reorderQuantity forecast')
+      .populate('productId', 'name isActive')
+      .lean(),
+    PurchaseOrder.aggregate([
+      { $match: { tenantId: tenantObjId, status: { $in: INCOMING_PO_STATUSES } } },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.variantId',
+          quantity: { $sum: { $subtract: ['$items.quantityOrdered', '$items.quantityReceived'] } },
+        },
+      },
+    ]),
+    Order.aggregate([
+      {
+        $match: {
+          tenantId: tenantObjId,
+          status: { $nin: ['shipped', 'delivered', 'cancelled'] },
+          'items.quantityBackordered': { $gt: 0 },
+        },
+      },
+      { $unwind: '$items' },
+      { $match: { 'items.quantityBackordered': { $gt: 0 } } },
+      { $group: { _id: '$items.variantId', quantity: { $sum: '$items.quantityBackordered' } } },
+    ]),
+  ]);
+
+  const incomingMap = sumByVariant(incoming);
+  const backorderMap = sumByVariant(backordered);
+
+  const needed = [];
+  for (const v of variants) {
+    if (v.productId && v.productId.isActive === false) continue;
+
+    const id = v._id.toString();
+    const available = v.stock - (v.inTransit || 0) - (v.reserved || 0);
+    const pending = incomingMap.get(id) || 0;
+    const owed = backorderMap.get(id) || 0;
+    const projected = available + pending - owed;
+    const reorderPoint = v.reorderPoint ?? stockThreshold(v);
+    if (projected > reorderPoint) continue;
+
+    needed.push({
+      variantId: v._id,
+      productId: v.productId?._id,
+      productName: v.productId?.name,
+      sku: v.sku,
+      attributes: v.attributes,
+      costPrice: v.costPrice,
+      available,
+      incoming: pending,
+      backordered: owed,
+      projected,
+      reorderPoint,
+      reorderQuantity: v.reorderQuantity,
+      quantity: orderQuantity({ reorderPoint, reorderQuantity: v.reorderQuantity, projected }),
+    });
+  }
+
+  if (needed.length === 0) return { suppliers: [], unassigned: [] };
+
+  const offers = await chooseSuppliers(tenantId, needed.map((n) => n.variantId));
+
+  const groups = new Map();
+  const unassigned = [];
+  for (const { costPrice, ...line } of needed) {
+    const choice = offers.get(line.variantId.toString());
+    if (!choice) {
+      unassigned.push(line);
+      continue;
+    }
+
+    const supplierId = choice.supplier._id.toString();
+    if (!groups.has(supplierId)) {
+      groups.set(supplierId, {
+        supplier: { _id: choice.supplier._id, name: choice.supplier.name },
+        leadTimeDays: 0,
+        items: [],
+        totalAmount: 0,
+      });
+    }
+    const group = groups.get(supplierId);
+    const unitPrice = choice.entry.unitPrice ?? costPrice ?? 0;
+    const leadTimeDays = choice.entry.leadTimeDays ?? 0;
+    group.items.push({ ...line, unitPrice, leadTimeDays, preferred: !!choice.entry.preferred });
+    group.leadTimeDays = Math.max(group.leadTimeDays, leadTimeDays);
+    group.totalAmount += line.quantity * unitPrice;
+  }
+
+  const now = Date.now();
+  return {
+    suppliers: [...groups.values()]
+      .map((g) => ({
+        ...g,
+        totalAmount: Math.round(g.totalAmount * 100) / 100,
+        expectedDeliveryDate: new Date(now + g.leadTimeDays * DAY),
+      }))
+      .sort((a, b) => a.supplier.name.localeCompare(b.supplier.name)),
+    unassigned,
+  };
+};
+
+/**
+ * Turn reorder suggestions into one draft PO per supplier. Lines go onto the
+ * supplier's open reorder draft if there is one. `lines` narrows the run to
+ * the variants a reviewer kept, with the quantities they settled on; a
+ * quantity of 0 drops the line. Nothing is sent: the drafts wait for review.
+ */
+const generateReorderPOs = async ({ tenantId, userId, lines, io }) => {
+  const { suppliers, unassigned } = await buildSuggestions(tenantId);
+
+  const overrides = lines && new Map(lines.map((l) => [l.variantId.toString(), Number(l.quantity)]));
+  const purchaseOrders = [];
+
+  for (const group of suppliers) {
+    const items = group.items
+      .filter((item) => !overrides || overrides.has(item.variantId.toString()))
+      .map((item) => ({
+        ...item,
+        quantity: overrides ? overrides.get(item.variantId.toString()) : item.quantity,
+      }))
+      .filter((item) => item.quantity > 0);
+    if (items.length === 0) continue;
+
+    let po = await PurchaseOrder.findOne({
+      tenantId,
+      supplierId: group.supplier._id,
+      status: 'draft',
+      source: 'reorder',
+    }).sort({ createdAt: -1 });
+    const isNew = !po;
+
+    if (isNew) {
+      const location = await resolveLocation(tenantId, null);
+      po = new PurchaseOrder({
+        tenantId,
+        poNumber: generateOrderNumber('PO'),
+        supplierId: group.supplier._id,
+        source: 'reorder',
+        locationId: location._id,
+        items: [],
+        notes: 'Drafted from reorder suggestions',
+        createdBy: userId,
+      });
+    }
+
+    for (const item of items) {
+      const line = po.items.find((i) => i.variantId.toString() === item.variantId.toString());
+      if (line) {
+        line.quantityOrdered += item.quantity;
+      } else {
+        po.items.push({
+          variantId: item.variantId,
+          productId: item.productId,
+          quantityOrdered: item.quantity,
+          unitPrice: item.unitPrice,
+        });
+      }
+    }
+    po.expectedDeliveryDate = group.expectedDeliveryDate;
+    await po.save();
+
+    const populated = await PurchaseOrder.findById(po._id)
+      .populate('supplierId', 'name')
+      .populate('items.variantId', 'sku attributes')
+      .populate('items.productId', 'name')
+      .lean();
+    purchaseOrders.push(populated);
+
+    if (io) {
+      io.to(`tenant:${tenantId}`).emit(isNew ? 'po:created' : 'po:updated', { purchaseOrder: populated });
+    }
+  }
+
+  await Tenant.updateOne({ _id: tenantId }, { $set: { reorderRunAt: new Date() } });
+
+  return {
+    purchaseOrders,
+    unassigned: overrides ? unassigned.filter((u) => overrides.has(u.variantId.toString())) : unassigned,
+  };
+};
+
+/**
+ * Draft reorder POs for every active tenant that has automatic reordering on
+ * and hasn't had a run in the last day. Each tenant is claimed by moving its
+ * reorderRunAt in one atomic update before drafting, so when several server
+ * instances run the job only one of them drafts for a tenant.
+ */
+const reorderDueTenants = async (io) => {
+  let drafted = 0;
+  for (;;) {
+    const now = new Date();
+    const tenant = await Tenant.findOneAndUpdate(
+      {
+        isActive: true,
+        'settings.autoReorder': true,
+        $or: [{ reorderRunAt: { $exists: false } }, { reorderRunAt: { $lte: new Date(now - REORDER_INTERVAL) } }],
+      },
+      { $set: { reorderRunAt: now } },
+      { projection: { _id: 1 } }
+    ).lean();
+    if (!tenant) break;
+
+    const { purchaseOrders } = await generateReorderPOs({ tenantId: tenant._id, io });
+    drafted += purchaseOrders.length;
+    if (purchaseOrders.length) await markDashboardStale(tenant._id, 'purchase-orders');
+  }
+  return drafted;
+};
+
+const startReorderSuggestions = (io) => {
+  const run = () => {
+    reorderDueTenants(io)
+      .then((count) => {
+        if (count > 0) console.log(`Drafted ${count} reorder purchase order(s)`);
+      })
+      .catch((err) => console.error('Reorder suggestions failed:', err));
+  };
+
+  run();
+  const timer = setInterval(run, REORDER_CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  buildSuggestions,
+  generateReorderPOs,
+  reorderDueTenants,
+  startReorderSuggestions,
+};
@@ -0,0 +1,464 @@
+const mongoose = require('mongoose');
+const {
+  Customer, Location, Order, Product, PurchaseOrder, StockMovement, Supplier, User, Variant,
+} = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { MAX_RANGE_DAYS, resolveRange } = require('./analytics');
+const { GRANULARITIES, isDayKey } = require('../utils/dates');
+
+/**
+ * Custom reports. A definition names a dataset, up to three dimensions to
+ * group by, the measures to total and any filters. Every field a definition
+ * can touch is declared below, so what reaches MongoDB is always a pipeline
+ * built here from those declarations, scoped to the tenant; user input only
+ * ever picks keys from the catalog or supplies values cast to the field's type.
+ */
+
+const MAX_DIMENSIONS = 3;
+const MAX_FILTERS = 10;
+const MAX_ROWS = 5000;
+const TIME_DIMENSIONS = Object.keys(GRANULARITIES);
+const OPERATORS = {
+  eq: '$eq', ne: '$ne', in: '$in', nin: '$nin', gt: '$gt', gte: '$gte', lt: '$lt', lte: '$lte',
+};
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+// Joins a dataset can need for a field; each adds one field to the documents
+const joins = {
+  // The product's category, for datasets that only hold its id
+  product: (dataset) => [
+    {
+      $lookup: {
+        from: Product.collection.name,
+        localField: dataset.productPath,
+        foreignField: '_id',
+        as: '_product',
+      },
+    },
+    { $set: { _product: { $arrayElemAt: ['$_product', 0] } } },
+  ],
+  // The supplier the variant is ordered from: the preferred one, else the cheapest
+  supplier: (dataset) => [
+    {
+      $lookup: {
+        from: Supplier.collection.name,
+        let: { variantId: `$${dataset.variantPath}`, tenantId: '$tenantId' },
+        pipeline: [
+          { $match: { $expr: { $and: [{ $eq: ['$tenantId', '$$tenantId'] }, { $eq: ['$isActive', true] }] } } },
+          { $unwind: '$products' },
+          { $match: { $expr: { $eq: ['$products.variantId', '$$variantId'] } } },
+          { $sort: { 'products.preferred': -1, 'products.unitPrice': 1 } },
+          { $limit: 1 },
+          { $project: { _id: 1 } },
+        ],
+        as: '_supplier',
+      },
+    },
+    { $set: { _supplierId: { $arrayElemAt: ['$_supplier._id', 0] } } },
+  ],
+};
+
+// How ids in a result are turned into names
+const labels = {
+  product: { model: Product, field: 'name' },
+  variant: { model: Variant, field: 'sku' },
+  supplier: { model: Supplier, field: 'name' },
+  user: { model: User, field: 'name' },
+  location: { model: Location, field: 'name' },
+  customer: { model: Customer, field: 'name' },
+};
+
+const ORDER_STATUSES = Order.schema.path('status').enumValues;
+const PO_STATUSES = PurchaseOrder.schema.path('status').enumValues;
+
+// Fields shared by the datasets that hold a product and variant id
+const productFields = (prefix = '') => ({
+  product: { label: 'Product', path: `${prefix}productId`, type: 'objectId', labels: 'product' },
+  variant: { label: 'Variant', path: `${prefix}variantId`, type: 'objectId', labels: 'variant' },
+  category: { label: 'Category', path: '_product.category', type: 'string', join: 'product' },
+});
+
+const DATASETS = {
+  orders: {
+    label: 'Orders',
+    model: Order,
+    date: 'createdAt',
+    fields: {
+      status: { label: 'Status', path: 'status', type: 'enum', values: ORDER_STATUSES },
+      location: { label: 'Location', path: 'locationId', type: 'objectId', labels: 'location' },
+      customer: { label: 'Customer', path: 'customerId', type: 'objectId', labels: 'customer' },
+      user: { label: 'Created by', path: 'createdBy', type: 'objectId', labels: 'user' },
+      amount: { label: 'Order total', path: 'totalAmount', type: 'number' },
+    },
+    measures: {
+      count: { label: 'Orders', expr: { $sum: 1 } },
+      qty: { label: 'Units', expr: { $sum: { $sum: '$items.quantity' } } },
+      revenue: { label: 'Revenue', expr: { $sum: '$totalAmount' } },
+      cost: { label: 'Cost of goods', expr: { $sum: { $sum: '$items.costOfGoods' } } },
+    },
+  },
+
+  order_lines: {
+    label: 'Order lines',
+    model: Order,
+    date: 'createdAt',
+    unwind: 'items',
+    productPath: 'items.productId',
+    variantPath: 'items.variantId',
+    fields: {
+      ...productFields('items.'),
+      supplier: { label: 'Supplier', path: '_supplierId', type: 'objectId', join: 'supplier', labels: 'supplier' },
+      status: { label: 'Order status', path: 'status', type: 'enum', values: ORDER_STATUSES },
+      location: { label: 'Location', path: 'locationId', type: 'objectId', labels: 'location' },
+      customer: { label: 'Customer', path: 'customerId', type: 'objectId', labels: 'customer' },
+      user: { label: 'Created by', path: 'createdBy', type: 'objectId', labels: 'user' },
+      quantity: { label: 'Line quantity', path: 'items.quantity', type: 'number' },
+    },
+    measures: {
+      count: { label: 'Lines', expr: { $sum: 1 } },
+      qty: { label: 'Units', expr: { $sum: '$items.quantity' } },
+      revenue: { label: 'Revenue', expr: { $sum: '$items.total' } },
+      cost: { label: 'Cost of goods', expr: { $sum: { $ifNull: ['$items.costOfGoods', 0] } } },
+    },
+  },
+
+  stock_movements: {
+    label: 'Stock movements',
+    model: StockMovement,
+    date: 'createdAt',
+    productPath: 'productId',
+    variantPath: 'variantId',
+    fields: {
+      ...productFields(),
+      supplier: { label: 'Supplier', path: '_supplierId', type: 'objectId', join: 'supplier', labels: 'supplier' },
+      type: { label: 'Type', path: 'type', type: 'enum', values: StockMovement.schema.path('type').enumValues },
+      reason: { label: 'Reason code', path: 'reasonCode', type: 'string' },
+      location: { label: 'Location', path: 'locationId', type: 'objectId', labels: 'location' },
+      user: { label: 'Recorded by', path: 'createdBy', type: 'objectId', labels: 'user' },
+      quantity: { label: 'Quantity', path: 'quantity', type: 'number' },
+    },
+    measures: {
+      count: { label: 'Movements', expr: { $sum: 1 } },
+      qty: { label: 'Net units', expr: { $sum: '$quantity' } },
+      cost: { label: 'Net value at cost', expr: { $sum: { $ifNull: ['$totalCost', 0] } } },
+    },
+  },
+
+  variants: {
+    label: 'Variants (current stock)',
+    model: Variant,
+    match: { isActive: true },
+    productPath: 'productId',
+    variantPath: '_id',
+    fields: {
+      ...productFields(),
+      variant: { label: 'Variant', path: '_id', type: 'objectId', labels: 'variant' },
+      supplier: { label: 'Supplier', path: '_supplierId', type: 'objectId', join: 'supplier', labels: 'supplier' },
+      abc: { label: 'ABC class', path: 'classification.abc', type: 'enum', values: ['A', 'B', 'C'] },
+      xyz: { label: 'XYZ class', path: 'classification.xyz', type: 'enum', values: ['X', 'Y', 'Z'] },
+      stock: { label: 'Stock', path: 'stock', type: 'number' },
+    },
+    measures: {
+      count: { label: 'Variants', expr: { $sum: 1 } },
+      qty: { label: 'Units in stock', expr: { $sum: '$stock' } },
+      revenue: { label: 'Retail value', expr: { $sum: { $multiply: ['$stock', '$price'] } } },
+      cost: {
+        label: 'Value at cost',
+        expr: { $sum: { $ifNull: ['$costValue', { $multiply: ['$stock', '$costPrice'] }] } },
+      },
+    },
+  },
+
+  purchase_orders: {
+    label: 'Purchase order lines',
+    model: PurchaseOrder,
+    date: 'createdAt',
+    unwind: 'items',
+    productPath: 'items.productId',
+    variantPath: 'items.variantId',
+    fields: {
+      ...productFields('items.'),
+      supplier: { label: 'Supplier', path: 'supplierId', type: 'objectId', labels: 'supplier' },
+      status: { label: 'PO status', path: 'status', type: 'enum', values: PO_STATUSES },
+      location: { label: 'Location', path: 'locationId', type: 'objectId', labels: 'location' },
+      user: { label: 'Created by', path: 'createdBy', type: 'objectId', labels: 'user' },
+      quantity: { label: 'Quantity ordered', path: 'items.quantityOrdered', type: 'number' },
+    },
+    measures: {
+      count: { label: 'Lines', expr: { $sum: 1 } },
+      qty: { label: 'Units ordered', expr: { $sum: '$items.quantityOrdered' } },
+      received: { label: 'Units received', expr: { $sum: '$items.quantityReceived' } },
+      cost: { label: 'Ordered value', expr: { $sum: { $multiply: ['$items.quantityOrdered', '$items.unitPrice'] } } },
+    },
+  },
+};
+
+// What the builder UI can offer, without the pipeline internals
+const catalog = () =>
+  Object.entries(DATASETS).map(([key, d]) => ({
+    key,
+    label: d.label,
+    dated: !!d.date,
+    dimensions: [
+      ...Object.entries(d.fields)
+        .filter(([, f]) => f.type !== 'number')
+        .map(([k, f]) => ({ key: k, label: f.label })),
+      ...(d.date ? TIME_DIMENSIONS.map((g) => ({ key: g, label: `${g[0].toUpperCase()}${g.slice(1)}` })) : []),
+    ],
+    measures: Object.entries(d.measures).map(([k, m]) => ({ key: k, label: m.label })),
+    filters: Object.entries(d.fields).map(([k, f]) => ({
+      key: k,
+      label: f.label,
+      type: f.type,
+      ...(f.values && { values: f.values }),
+    })),
+  }));
+
+const castValue = (field, name, value) => {
+  if (field.type === 'objectId') {
+    if (!mongoose.Types.ObjectId.isValid(String(value))) {
+      throw new AppError(`${name} filter needs a valid id`, 400);
+    }
+    return new mongoose.Types.ObjectId(String(value));
+  }
+  if (field.type === 'number') {
+    const n = Number(value);
+    if (value === '' || value === null || !Number.isFinite(n)) {
+      throw new AppError(`${name} filter needs a number`, 400);
+    }
+    return n;
+  }
+  if (typeof value !== 'string' || value.length > 100) {
+    throw new AppError(`${name} filter needs a text value`, 400);
+  }
+  if (field.type === 'enum' && !field.values.includes(value)) {
+    throw new AppError(`${name} must be one of ${field.values.join(', ')}`, 400);
+  }
+  return value;
+};
+
+// A catalog entry by its own key only, so inherited names such as `constructor` never match
+const entry = (catalog, key) => (typeof key === 'string' && Object.hasOwn(catalog, key) ? catalog[key] : undefined);
+
+const list = (value, name) => {
+  if (value === undefined) return [];
+  if (!Array.isArray(value)) {
+    throw new AppError(`${name} must be a list`, 400);
+  }
+  return value;
+};
+
+/**
+ * Check a definition against the catalog and return a clean copy, so only
+ * known keys are ever stored or run. Throws a 400 AppError on anything else.
+ */
+const normalizeDefinition = (definition = {}) => {
+  const dataset = entry(DATASETS, definition.dataset);
+  if (!dataset) {
+    throw new AppError(`dataset must be one of ${Object.keys(DATASETS).join(', ')}`, 400);
+  }
+
+  const dimensions = [...new Set(list(definition.dimensions, 'dimensions'))];
+  if (dimensions.length > MAX_DIMENSIONS) {
+    throw new AppError(`A report can group by at most ${MAX_DIMENSIONS} dimensions`, 400);
+  }
+  for (const dim of dimensions) {
+    const field = entry(dataset.fields, dim);
+    const isTime = TIME_DIMENSIONS.includes(dim) && dataset.date;
+    if (!isTime && (!field || field.type === 'number')) {
+      throw new AppError(`${dim} is not a dimension of ${definition.dataset}`, 400);
+    }
+  }
+  if (dimensions.filter((d) => TIME_DIMENSIONS.includes(d)).length > 1) {
+    throw new AppError('Group by one of day, week or month', 400);
+  }
+
+  const measures = [...new Set(list(definition.measures, 'measures'))];
+  if (measures.length === 0) {
+    throw new AppError('Pick at least one measure', 400);
+  }
+  for (const m of measures) {
+    if (!entry(dataset.measures, m)) {
+      throw new AppError(`${m} is not a measure of ${definition.dataset}`, 400);
+    }
+  }
+
+  const filters = list(definition.filters, 'filters');
+  if (filters.length > MAX_FILTERS) {
+    throw new AppError(`A report can have at most ${MAX_FILTERS} filters`, 400);
+  }
+  const cleanFilters = filters.map((filter) => {
+    const { field: name, op = 'eq', value } = filter || {};
+    const field = entry(dataset.fields, name);
+    if (!field) {
+      throw new AppError(`${name} is not a field of ${definition.dataset}`, 400);
+    }
+    if (!entry(OPERATORS, op) || (RANGE_OPERATORS.includes(op) && field.type !== 'number')) {
+      throw new AppError(`${op} can't be used on ${name}`, 400);
+    }
+    if (['in', 'nin'].includes(op)) {
+      if (!Array.isArray(value) || value.length === 0 || value.length > 100) {
+        throw new AppError(`${name} ${op} needs a list of 1 to 100 values`, 400);
+      }
+      value.forEach((v) => castValue(field, name, v));
+    } else {
+      castValue(field, name, value);
+    }
+    return { field: name, op, value };
+  });
+
+  if (dataset.date) {
+    for (const name of ['from', 'to']) {
+      if (definition[name] && !isDayKey(definition[name])) {
+        throw new AppError(`${name} must be a date (YYYY-MM-DD)`, 400);
+      }
+    }
+    const days = definition.days === undefined ? undefined : parseInt(definition.days);
+    if (days !== undefined && !(days >= 1 && days <= MAX_RANGE_DAYS)) {
+      throw new AppError(`days must be between 1 and ${MAX_RANGE_DAYS}`, 400);
+    }
+  }
+
+  const sortBy = definition.sort?.by;
+  if (sortBy && !dimensions.includes(sortBy) && !measures.includes(sortBy)) {
+    throw new AppError('Sort by one of the report\'s dimensions or measures', 400);
+  }
+  const limit = definition.limit === undefined ? 500 : parseInt(definition.limit);
+  if (!(limit >= 1 && limit <= MAX_ROWS)) {
+    throw new AppError(`limit must be between 1 and ${MAX_ROWS}`, 400);
+  }
+
+  return {
+    dataset: definition.dataset,
+    dimensions,
+    measures,
+    filters: cleanFilters,
+    ...(dataset.date && definition.days !== undefined && { days: parseInt(definition.days) }),
+    ...(dataset.date && definition.from && { from: definition.from }),
+    ...(dataset.date && definition.to && { to: definition.to }),
+    sort: sortBy ? { by: sortBy, dir: definition.sort.dir === 'asc' ? 'asc' : 'desc' } : undefined,
+    limit,
+  };
+};
+
+// Where a filter runs: before the unwind, after it, or after the join it needs
+const filterStage = (dataset, filter) => {
+  const field = dataset.fields[filter.field];
+  if (field.join) return 'joined';
+  return dataset.unwind && field.path.startsWith(`${dataset.unwind}.`) ? 'unwound' : 'document';
+};
+
+const filterMatch = (dataset, filters) => {
+  const match = {};
+  for (const { field: name, op, value } of filters) {
+    const field = dataset.fields[name];
+    const cast = Array.isArray(value) ? value.map((v) => castValue(field, name, v)) : castValue(field, name, value);
+    match[field.path] = { ...match[field.path], [OPERATORS[op]]: cast };
+  }
+  return match;
+};
+
+// Swap the ids in each row for names, keeping the id alongside
+const labelRows = async (tenantId, dataset, dimensions, rows) => {
+  for (const dim of dimensions) {
+    const source = labels[dataset.fields[dim]?.labels];
+    if (!source) continue;
+    const ids = [...new Set(rows.map((r) => r[dim]).filter(Boolean).map(String))];
+    const docs = await source.model
+      .find({ _id: { $in: ids }, tenantId })
+      .select(source.field)
+      .lean();
+    const names = new Map(docs.map((d) => [d._id.toString(), d[source.field]]));
+    rows.forEach((r) => {
+      r[`${dim}Id`] = r[dim];
+      r[dim] = r[dim] ? names.get(String(r[dim])) || 'Deleted' : 'None';
+    });
+  }
+};
+
+/**
+ * Run a normalized definition for a tenant. Returns the columns, the rows
+ * and the date range the report covered (for dated datasets).
+ */
+const runReport = async (tenantId, definition) => {
+  const dataset = DATASETS[definition.dataset];
+  const tenantObjId = new mongoose.Types.ObjectId(tenantId);
+  const range = dataset.date
+    ? await resolveRange(tenantId, { days: definition.days, from: definition.from, to: definition.to }, 30)
+    : null;
+
+  const byStage = { document: [], unwound: [], joined: [] };
+  definition.filters.forEach((f) => byStage[filterStage(dataset, f)].push(f));
+
+  const neededJoins = new Set(
+    [...definition.dimensions, ...definition.filters.map((f) => f.field)]
+      .map((k) => dataset.fields[k]?.join)
+      .filter(Boolean)
+  );
+
+  const group = { _id: {} };
+  definition.dimensions.forEach((dim) => {
+    group._id[dim] = TIME_DIMENSIONS.includes(dim)
+      ? { $dateToString: { format: GRANULARITIES[dim].format, date: `$${dataset.date}`, timezone: range.timeZone } }
+      : `$${dataset.fields[dim].path}`;
+  });
+  definition.measures.forEach((m) => {
+    group[m] = dataset.measures[m].expr;
+  });
+
+  const timeDim = definition.dimensions.find((d) => TIME_DIMENSIONS.includes(d));
+  const sort = definition.sort
+    || (timeDim ? { by: timeDim, dir: 'asc' } : { by: definition.measures[0], dir: 'desc' });
+  const sortPath = definition.dimensions.includes(sort.by) ? `_id.${sort.by}` : sort.by;
+
+  const pipeline = [
+    {
+      $match: {
+        ...dataset.match,
+        ...filterMatch(dataset, byStage.document),
+        tenantId: tenantObjId,
+        ...(range && { [dataset.date]: { $gte: range.from, $lte: range.to } }),
+      },
+    },
+    ...(dataset.unwind ? [{ $unwind: `$${dataset.unwind}` }] : []),
+    ...(byStage.unwound.length ? [{ $match: filterMatch(dataset, byStage.unwound) }] : []),
+    ...[...neededJoins].flatMap((j) => joins[j](dataset)),
+    ...(byStage.joined.length ? [{ $match: filterMatch(dataset, byStage.joined) }] : []),
+    { $group: group },
+    { $sort: { [sortPath]: sort.dir === 'asc' ? 1 : -1, _id: 1 } },
+    { $limit: definition.limit },
+  ];
+
+  const results = await dataset.model.aggregate(pipeline).allowDiskUse(true);
+
+  const rows = results.map((r) => {
+    const row = { ...r._id };
+    definition.measures.forEach((m) => {
+      row[m] = Math.round((r[m] || 0) * 100) / 100;
+    });
+    return row;
+  });
+  await labelRows(tenantObjId, dataset, definition.dimensions, rows);
+
+  const columns = [
+    ...definition.dimensions.map((d) => ({
+      key: d,
+      label: dataset.fields[d]?.label || `${d[0].toUpperCase()}${d.slice(1)}`,
+    })),
+    ...definition.measures.map((m) => ({ key: m, label: dataset.measures[m].label })),
+  ];
+
+  return {
+    columns,
+    rows,
+    truncated: rows.length === definition.limit,
+    ...(range && { range: { from: range.fromKey, to: range.toKey, timezone: range.timeZone } }),
+  };
+};
+
+module.exports = {
+  DATASETS,
+  catalog,
+  normalizeDefinition,
+  runReport,
+};
@@ -0,0 +1,142 @@
+const mongoose = require('mongoose');
+const { Order, Variant } = require('../models');
+const { releaseReservation } = require('./inventory');
+const { markDashboardStale } = require('./dashboardCache');
+const { syncRollups } = require('./rollups');
+
+const EXPIRY_CHECK_INTERVAL = 60 * 1000; // 1 minute
+const EXPIRY_BATCH_SIZE = 100;
+
+/**
+ * When a new order's reservation should lapse, from the tenant's settings.
+ * Returns null when the tenant keeps reservations until the order is handled.
+ */
+const getReservationExpiry = (settings = {}) => {
+  const hours = settings.reservationExpiryHours ?? 48;
+  if (!hours) return null;
+  return new Date(Date.now() + hours * 60 * 60 * 1000);
+};
+
+// Units of an order line that hold stock. Lines from before backorders
+// have no quantityFulfilled and were always allocated in full.
+const allocatedQuantity = (item) => item.quantityFulfilled ?? item.quantity;
+
+/**
+ * Release every line of an order's reservation back to available stock.
+ * Backordered units were never reserved, so only allocated units are freed.
+ * Stock on hand does not change, so no movements are written.
+ */
+const releaseOrderReservation = async (order, session = null) => {
+  for (const item of order.items) {
+    const quantity = allocatedQuantity(item);
+    if (quantity <= 0) continue;
+    await releaseReservation({
+      tenantId: order.tenantId,
+      variantId: item.variantId,
+      locationId: order.locationId,
+      quantity,
+      session,
+    });
+  }
+};
+
+/**
+ * Cancel pending orders whose reservation has lapsed and free their stock.
+ * Each order is handled in its own transaction so one failure does not
+ * hold up the rest of the batch.
+ */
+const expireReservations = async (io = null) => {
+  const due = await Order.find({
+    stockStatus: 'reserved',
+    status: 'pending',
+    reservationExpiresAt: { $lte: new Date() },
+  })
+    .select('_id')
+    .limit(EXPIRY_BATCH_SIZE)
+    .lean();
+
+  let expired = 0;
+  const tenants = new Set();
+  for (const { _id } of due) {
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      // Re-check inside the transaction in case the order was confirmed meanwhile
+      const order = await Order.findOneAndUpdate(
+        { _id, stockStatus: 'reserved', status: 'pending' },
+        {
+          $set: {
+            status: 'cancelled',
+            stockStatus: 'released',
+            cancelledAt: new Date(),
+            cancelReason: 'Reservation expired',
+          },
+          $unset: { reservationExpiresAt: 1 },
+        },
+        { new: true, session }
+      );
+      if (!order) {
+        await session.abortTransaction();
+        continue;
+      }
+
+      await releaseOrderReservation(order, session);
+      await session.commitTransaction();
+      expired += 1;
+      tenants.add(order.tenantId.toString());
+
+      if (io) {
+        const room = `tenant:${order.tenantId}`;
+        io.to(room).emit('order:cancelled', { order });
+        for (const item of order.items) {
+          const variant = await Variant.findById(item.variantId).lean();
+          if (!variant) continue;
+          io.to(room).emit('stock:updated', {
+            variantId: variant._id,
+            locationId: order.locationId,
+            stock: variant.stock,
+            reserved: variant.reserved,
+          });
+        }
+      }
+    } catch (err) {
+      await session.abortTransaction();
+      console.error(`Failed to expire reservation for order ${_id}:`, err);
+    } finally {
+      session.endSession();
+    }
+  }
+
+  for (const tenantId of tenants) {
+    await syncRollups(tenantId);
+    await markDashboardStale(tenantId, 'orders');
+  }
+
+  return expired;
+};
+
+/**
+ * Check for lapsed reservations once a minute for the life of the process.
+ */
+const startReservationExpiry = (io) => {
+  const run = () => {
+    expireReservations(io)
+      .then((count) => {
+        if (count > 0) console.log(`Expired ${count} order reservation(s)`);
+      })
+      .catch((err) => console.error('Reservation expiry failed:', err));
+  };
+
+  run();
+  const timer = setInterval(run, EXPIRY_CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  getReservationExpiry,
+  allocatedQuantity,
+  releaseOrderReservation,
+  expireReservations,
+  startReservationExpiry,
+};
@@ -0,0 +1,154 @@
+const { Variant } = require('../models');
+const { changeStock } = require('./inventory');
+const { receiveCost } = require('./costing');
+const { moveSerials } = require('./serials');
+const { AppError } = require('../middleware/errorHandler');
+
+/**
+ * Cost of one unit of an order line as it shipped: the line's cost of goods
+ * spread over the units still kept. Lines shipped before costing existed
+ * fall back to the variant's cost price.
+ */
+const soldUnitCost = async ({ tenantId, item, session = null }) => {
+  const kept = item.quantity - (item.quantityReturned || 0);
+  if (item.costOfGoods !== undefined && item.costOfGoods !== null && kept > 0) {
+    return Math.round((item.costOfGoods / kept) * 10000) / 10000;
+  }
+  const variant = await Variant.findOne({ _id: item.variantId, tenantId })
+    .select('costPrice')
+    .session(session)
+    .lean();
+  return variant?.costPrice || 0;
+};
+
+// Where a returned serial ends up under each disposition
+const DISPOSITION_STATUS = {
+  restock: 'in_stock',
+  quarantine: 'quarantined',
+  scrap: 'scrapped',
+};
+
+/**
+ * Put returned units of one RMA line where the disposition says.
+ *
+ * - restock: back into the location's stock as a `return` movement, with a
+ *   cost layer at the line's unit cost
+ * - scrap: received back and written off straight away, so a `return`
+ *   movement is paired with a `loss` movement and the balance ends unchanged;
+ *   the write-off is valued at the line's unit cost and no layer is touched
+ * - quarantine: held on the RMA with no stock change until it is resolved
+ *
+ * `serialNumbers` are the units among them that carry serials; they follow
+ * the disposition and their history records `event` against the RMA.
+ * Updates the line's counters and returns the movements to write.
+ */
+const applyDisposition = async ({
+  rma, line, disposition, quantity, serialNumbers = [], event = 'returned', userId, session = null,
+}) => {
+  await moveSerials({
+    tenantId: rma.tenantId,
+    variantId: line.variantId,
+    serialNumbers,
+    status: DISPOSITION_STATUS[disposition],
+    event,
+    locationId: rma.locationId,
+    set: { rmaId: rma._id },
+    reference: `RMA ${rma.rmaNumber}`,
+    referenceId: rma._id,
+    userId,
+    session,
+  });
+  const serials = serialNumbers.length > 0 ? serialNumbers : undefined;
+
+  if (disposition === 'quarantine') {
+    line.quantityQuarantined += quantity;
+    return [];
+  }
+
+  const base = {
+    tenantId: rma.tenantId,
+    variantId: line.variantId,
+    productId: line.productId,
+    locationId: rma.locationId,
+    reference: `RMA ${rma.rmaNumber}`,
+    referenceId: rma._id,
+    createdBy: userId,
+  };
+
+  const returned = await changeStock({
+    tenantId: rma.tenantId,
+    variantId: line.variantId,
+    locationId: rma.locationId,
+    quantity,
+    session,
+  });
+
+  const value = Math.round(quantity * line.unitCost * 100) / 100;
+  const movements = [
+    {
+      ...base,
+      type: 'return',
+      quantity,
+      unitCost: line.unitCost,
+      totalCost: value,
+      previousStock: returned.variant.stock - quantity,
+      newStock: returned.variant.stock,
+      serialNumbers: serials,
+      notes: disposition === 'scrap' ? 'Returned for scrap' : 'Returned to stock',
+    },
+  ];
+
+  if (disposition === 'restock') {
+    await receiveCost({
+      tenantId: rma.tenantId,
+      variant: returned.variant,
+      quantity,
+      unitCost: line.unitCost,
+      source: 'return',
+      reference: base.reference,
+      referenceId: rma._id,
+      session,
+    });
+    line.quantityRestocked += quantity;
+    return movements;
+  }
+
+  const scrapped = await changeStock({
+    tenantId: rma.tenantId,
+    variantId: line.variantId,
+    locationId: rma.locationId,
+    quantity: -quantity,
+    session,
+  });
+  if (!scrapped) {
+    throw new AppError(`Could not write off ${line.variantSku}`, 400);
+  }
+
+  movements.push({
+    ...base,
+    type: 'loss',
+    quantity: -quantity,
+    unitCost: line.unitCost,
+    totalCost: -value,
+    previousStock: scrapped.variant.stock + quantity,
+    newStock: scrapped.variant.stock,
+    serialNumbers: serials,
+    notes: 'Scrapped on return',
+  });
+  line.quantityScrapped += quantity;
+  return movements;
+};
+
+// An RMA stays open while anything on it is still quarantined
+const syncReturnStatus = (rma) => {
+  const open = rma.items.some((item) => item.quantityQuarantined > 0);
+  if (open) {
+    rma.status = 'open';
+    rma.closedAt = undefined;
+  } else if (rma.status !== 'closed' || !rma.closedAt) {
+    rma.status = 'closed';
+    rma.closedAt = new Date();
+  }
+};
+
+module.exports = { soldUnitCost, applyDisposition, syncReturnStatus };
@@ -0,0 +1,297 @@
+const mongoose = require('mongoose');
+const {
+  Order, StockMovement, Tenant, OrderRollup, SalesRollup, MovementRollup,
+} = require('../models');
+const {
+  DAY, dayKey, addDays, dayDate, safeTimeZone, startOfDay,
+} = require('../utils/dates');
+
+/**
+ * Daily rollups of orders and stock movements, so analytics read a row per
+ * variant and day instead of scanning every order and movement.
+ *
+ * Rollups are derived data: a day is always rebuilt whole from its orders and
+ * movements, never adjusted in place. Syncing finds the days whose orders
+ * changed (by updatedAt) or that gained movements since the last sync and
+ * rebuilds just those; an order's day is the day it was placed, so a status
+ * change or return months later rebuilds that old day.
+ */
+
+const ROLLUP_CHECK_INTERVAL = 60 * 1000; // 1 minute
+// A write committed just after a sync can carry a timestamp from before it;
+// looking back a little further than the last sync picks those up
+const SYNC_OVERLAP = 60 * 1000;
+// Full rebuilds go a week at a time to keep each batch small
+const REBUILD_CHUNK_DAYS = 7;
+
+// The tenant-local day of a document timestamp, as rollups store it
+const dayOf = (field, timeZone) => ({
+  $dateFromString: {
+    dateString: { $dateToString: { format: '%Y-%m-%d', date: field, timezone: timeZone } },
+    timezone: 'UTC',
+  },
+});
+
+// Upsert a batch of rows and drop the rows of the same days that weren't rebuilt
+const replaceDays = async (Model, tenantId, fromKey, toKey, keyFields, rows, builtAt) => {
+  if (rows.length > 0) {
+    await Model.bulkWrite(rows.map((row) => ({
+      updateOne: {
+        filter: { tenantId, ...Object.fromEntries(keyFields.map((f) => [f, row[f] ?? null])) },
+        update: { $set: { ...row, tenantId, builtAt } },
+        upsert: true,
+      },
+    })), { ordered: false });
+  }
+  await Model.deleteMany({
+    tenantId,
+    date: { $gte: dayDate(fromKey), $lte: dayDate(toKey) },
+    builtAt: { $lt: builtAt },
+  });
+};
+
+// Rebuild the order and sales rollups of a run of days from the orders placed on them
+const buildOrderDays = async (tenantObjId, timeZone, fromKey, toKey) => {
+  const builtAt = new Date();
+  const match = {
+    $match: {
+      tenantId: tenantObjId,
+      createdAt: { $gte: startOfDay(fromKey, timeZone), $lt: startOfDay(addDays(toKey, 1), timeZone) },
+    },
+  };
+  const date = dayOf('$createdAt', timeZone);
+
+  const [orders, sales] = await Promise.all([
+    Order.aggregate([
+      match,
+      {
+        $group: {
+          _id: { date, locationId: '$locationId', status: '$status' },
+          orders: { $sum: 1 },
+          revenue: { $sum: '$totalAmount' },
+        },
+      },
+    ]).allowDiskUse(true),
+    Order.aggregate([
+      match,
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: { date, locationId: '$locationId', status: '$status', variantId: '$items.variantId' },
+          productId: { $first: '$items.productId' },
+          productName: { $last: '$items.productName' },
+          lines: { $sum: 1 },
+          unitsSold: { $sum: '$items.quantity' },
+          unitsReturned: { $sum: { $ifNull: ['$items.quantityReturned', 0] } },
+          revenue: { $sum: '$items.total' },
+          cost: { $sum: { $ifNull: ['$items.costOfGoods', 0] } },
+        },
+      },
+    ]).allowDiskUse(true),
+  ]);
+
+  const flatten = ({ _id, ...fields }) => ({ ..._id, ...fields });
+  await Promise.all([
+    replaceDays(OrderRollup, tenantObjId, fromKey, toKey, ['date', 'locationId', 'status'], orders.map(flatten), builtAt),
+    replaceDays(
+      SalesRollup, tenantObjId, fromKey, toKey,
+      ['date', 'locationId', 'status', 'variantId'], sales.map(flatten), builtAt
+    ),
+  ]);
+};
+
+// Rebuild the movement rollups of a run of days from the movements recorded on them
+const buildMovementDays = async (tenantObjId, timeZone, fromKey, toKey) => {
+  const builtAt = new Date();
+  const out = { $lt: ['$quantity', 0] };
+
+  const rows = await StockMovement.aggregate([
+    {
+      $match: {
+        tenantId: tenantObjId,
+        createdAt: { $gte: startOfDay(fromKey, timeZone), $lt: startOfDay(addDays(toKey, 1), timeZone) },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          date: dayOf('$createdAt', timeZone),
+          locationId: '$locationId',
+          type: '$type',
+          reasonCode: '$reasonCode',
+          variantId: '$variantId',
+        },
+        productId: { $first: '$productId' },
+        movements: { $sum: 1 },
+        unitsIn: { $sum: { $cond: [out, 0, '$quantity'] } },
+        unitsOut: { $sum: { $cond: [out, { $multiply: ['$quantity', -1] }, 0] } },
+        valueIn: { $sum: { $cond: [out, 0, { $ifNull: ['$totalCost', 0] }] } },
+        valueOut: { $sum: { $cond: [out, { $multiply: [{ $ifNull: ['$totalCost', 0] }, -1] }, 0] } },
+        uncostedOut: {
+          $sum: {
+            $cond: [{ $and: [out, { $not: [{ $isNumber: '$totalCost' }] }] }, { $multiply: ['$quantity', -1] }, 0],
+          },
+        },
+        lastAt: { $max: '$createdAt' },
+      },
+    },
+  ]).allowDiskUse(true);
+
+  await replaceDays(
+    MovementRollup, tenantObjId, fromKey, toKey,
+    ['date', 'locationId', 'type', 'reasonCode', 'variantId'],
+    rows.map(({ _id, ...fields }) => ({ ..._id, ...fields })),
+    builtAt
+  );
+};
+
+// Rebuild every day from the tenant's first order or movement up to today.
+// Rows built before this run (another timezone's days, say) are dropped at the end.
+const rebuildAll = async (tenantObjId, timeZone) => {
+  const startedAt = new Date();
+  const [firstOrder, firstMovement] = await Promise.all([
+    Order.findOne({ tenantId: tenantObjId }).sort({ createdAt: 1 }).select('createdAt').lean(),
+    StockMovement.findOne({ tenantId: tenantObjId }).sort({ createdAt: 1 }).select('createdAt').lean(),
+  ]);
+
+  const today = dayKey(new Date(), timeZone);
+  const runs = [
+    [firstOrder, buildOrderDays],
+    [firstMovement, buildMovementDays],
+  ];
+  let firstDay = today;
+  for (const [first, build] of runs) {
+    if (!first) continue;
+    const from = dayKey(first.createdAt, timeZone);
+    if (from < firstDay) firstDay = from;
+    for (let day = from; day <= today; day = addDays(day, REBUILD_CHUNK_DAYS)) {
+      const last = addDays(day, REBUILD_CHUNK_DAYS - 1);
+      await build(tenantObjId, timeZone, day, last < today ? last : today);
+    }
+  }
+
+  await Promise.all([OrderRollup, SalesRollup, MovementRollup].map((Model) =>
+    Model.deleteMany({ tenantId: tenantObjId, builtAt: { $lt: startedAt } })));
+  return firstOrder || firstMovement ? (Date.parse(today) - Date.parse(firstDay)) / DAY + 1 : 0;
+};
+
+// Days touched by documents whose `field` is after `since`, and whether any is after `cursor` too
+const changedDays = async (Model, field, tenantObjId, timeZone, since, cursor) => {
+  const rows = await Model.aggregate([
+    { $match: { tenantId: tenantObjId, [field]: { $gt: since } } },
+    {
+      $group: {
+        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt', timezone: timeZone } },
+        fresh: { $max: { $gt: [`$${field}`, cursor] } },
+      },
+    },
+  ]);
+  return { days: rows.map((r) => r._id), fresh: rows.some((r) => r.fresh) };
+};
+
+/**
+ * Bring one tenant's rollups up to date. A tenant that has never been synced,
+ * or whose timezone has changed since, is rebuilt from its whole history.
+ * Returns { days, fresh }: how many days were rebuilt and whether any of them
+ * had changes the previous sync hadn't seen.
+ */
+const syncTenant = async (tenantId) => {
+  const tenant = await Tenant.findById(tenantId).select('settings.timezone rollupsSyncedAt rollupsTimeZone').lean();
+  if (!tenant) return { days: 0, fresh: false };
+
+  const tenantObjId = new mongoose.Types.ObjectId(tenantId);
+  const timeZone = safeTimeZone(tenant.settings?.timezone || 'UTC');
+  const startedAt = new Date();
+
+  let result;
+  if (!tenant.rollupsSyncedAt || tenant.rollupsTimeZone !== timeZone) {
+    result = { days: await rebuildAll(tenantObjId, timeZone), fresh: true };
+  } else {
+    const cursor = tenant.rollupsSyncedAt;
+    const since = new Date(cursor.getTime() - SYNC_OVERLAP);
+    const [orders, movements] = await Promise.all([
+      changedDays(Order, 'updatedAt', tenantObjId, timeZone, since, cursor),
+      changedDays(StockMovement, 'createdAt', tenantObjId, timeZone, since, cursor),
+    ]);
+    for (const day of orders.days) await buildOrderDays(tenantObjId, timeZone, day, day);
+    for (const day of movements.days) await buildMovementDays(tenantObjId, timeZone, day, day);
+    result = { days: new Set([...orders.days, ...movements.days]).size, fresh: orders.fresh || movements.fresh };
+  }
+
+  await Tenant.updateOne(
+    { _id: tenantId, $or: [{ rollupsSyncedAt: { $exists: false } }, { rollupsSyncedAt: { $lt: startedAt } }] },
+    { $set: { rollupsSyncedAt: startedAt, rollupsTimeZone: timeZone } }
+  );
+  return result;
+};
+
+// One sync per tenant at a time in this process; calls made while one runs
+// share a single follow-up run instead of queueing one each
+const syncs = new Map();
+
+/**
+ * Sync a tenant's rollups (see syncTenant). Call after writing orders or
+ * stock movements; the interval started by startRollups covers writes made
+ * anywhere else.
+ */
+const syncRollups = (tenantId) => {
+  const key = tenantId.toString();
+  if (!syncs.has(key)) syncs.set(key, { running: null, next: null });
+  const entry = syncs.get(key);
+  if (entry.next) return entry.next;
+
+  const start = () => {
+    entry.running = syncTenant(tenantId).finally(() => {
+      entry.running = null;
+      if (!entry.next) syncs.delete(key);
+    });
+    return entry.running;
+  };
+  if (!entry.running) return start();
+
+  entry.next = entry.running.catch(() => {}).then(() => {
+    entry.next = null;
+    return start();
+  });
+  return entry.next;
+};
+
+/**
+ * Throw away a tenant's rollups and rebuild them from its order and movement
+ * history.
+ */
+const rebuildRollups = async (tenantId) => {
+  await Tenant.updateOne({ _id: tenantId }, { $unset: { rollupsSyncedAt: '' } });
+  return syncRollups(tenantId);
+};
+
+/**
+ * Sync every active tenant. `onFresh` is called with each tenant whose sync
+ * picked up changes nothing had synced yet. Returns the number of tenants.
+ */
+const syncAllRollups = async (onFresh = () => {}) => {
+  const tenants = await Tenant.find({ isActive: true }).select('_id').lean();
+  for (const { _id } of tenants) {
+    const { fresh } = await syncRollups(_id);
+    if (fresh) await onFresh(_id);
+  }
+  return tenants.length;
+};
+
+const startRollups = (onFresh) => {
+  const run = () => {
+    syncAllRollups(onFresh).catch((err) => console.error('Rollup sync failed:', err));
+  };
+
+  run();
+  const timer = setInterval(run, ROLLUP_CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  syncRollups,
+  rebuildRollups,
+  syncAllRollups,
+  startRollups,
+};
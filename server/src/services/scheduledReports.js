@@ -0,0 +1,316 @@
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const { Location, ReportSchedule, Tenant, Variant } = require('../models');
+const {
+  resolveRange, getLocationInventory, inventoryTotals, lowStockFilter, productSales,
+} = require('./analytics');
+const { stockThreshold } = require('./forecasting');
+const { sendMail } = require('./mail');
+const { toCsv } = require('../utils/helpers');
+const {
+  dayKey, addDays, weekday, safeTimeZone, startOfDay,
+} = require('../utils/dates');
+
+const SCHEDULER_INTERVAL = 60 * 1000; // 1 minute
+const HOUR = 60 * 60 * 1000;
+
+const round = (n) => Math.round(n * 100) / 100;
+const money = (n) => (n || 0).toFixed(2);
+
+/**
+ * The first time after `after` that a schedule is due: its hour in the
+ * tenant's timezone, on every day, its weekday or its day of the month.
+ */
+const nextRunAt = (schedule, timeZone, after = new Date()) => {
+  const start = dayKey(after, timeZone);
+  for (let i = 0; i <= 62; i++) {
+    const key = addDays(start, i);
+    if (schedule.frequency === 'weekly' && weekday(key) !== schedule.dayOfWeek) continue;
+    if (schedule.frequency === 'monthly' && Number(key.slice(8)) !== schedule.dayOfMonth) continue;
+    const at = new Date(startOfDay(key, timeZone).getTime() + (schedule.hour ?? 0) * HOUR);
+    if (at > after) return at;
+  }
+  throw new Error('No upcoming run found for schedule');
+};
+
+const tenantTimeZone = async (tenantId) => {
+  const tenant = await Tenant.findById(tenantId).select('settings.timezone').lean();
+  return safeTimeZone(tenant?.settings?.timezone || 'UTC');
+};
+
+// nextRunAt in the schedule's tenant timezone, for schedules being saved
+const scheduleNextRun = async (schedule, after = new Date()) =>
+  nextRunAt(schedule, await tenantTimeZone(schedule.tenantId), after);
+
+// Whole days a sales report covers: yesterday, the 7 days to yesterday, or last calendar month
+const salesPeriod = (frequency, today) => {
+  if (frequency === 'monthly') {
+    const firstOfMonth = `${today.slice(0, 7)}-01`;
+    const to = addDays(firstOfMonth, -1);
+    return { from: `${to.slice(0, 7)}-01`, to };
+  }
+  return { from: addDays(today, frequency === 'weekly' ? -7 : -1), to: addDays(today, -1) };
+};
+
+// Each builder returns { title, period, summary: [[label, value]], columns, rows }
+const builders = {
+  sales: async ({ tenantId, tenantObjId, frequency, today }) => {
+    const range = await resolveRange(tenantId, salesPeriod(frequency, today), 1);
+    const [products, previous] = await Promise.all([
+      productSales(tenantObjId, range),
+      productSales(tenantObjId, range.previous),
+    ]);
+
+    const totals = (rows) => rows.reduce(
+      (acc, r) => ({ units: acc.units + r.totalQuantity, revenue: acc.revenue + r.totalRevenue }),
+      { units: 0, revenue: 0 }
+    );
+    const now = totals(products);
+    const before = totals(previous);
+    const previousMap = new Map(previous.map((p) => [p._id.toString(), p]));
+
+    return {
+      title: 'Sales',
+      period: range.fromKey === range.toKey ? range.fromKey : `${range.fromKey} to ${range.toKey}`,
+      summary: [
+        ['Units sold', now.units],
+        ['Revenue', money(now.revenue)],
+        ['Previous period revenue', money(before.revenue)],
+        ['Change', before.revenue ? `${Math.round(((now.revenue - before.revenue) / before.revenue) * 100)}%` : 'n/a'],
+      ],
+      columns: [
+        { key: 'productName', label: 'Product' },
+        { key: 'totalQuantity', label: 'Units' },
+        { key: 'totalRevenue', label: 'Revenue' },
+        { key: 'orderCount', label: 'Order lines' },
+        { key: 'previousQuantity', label: 'Units (previous period)' },
+      ],
+      rows: products.map((p) => ({
+        ...p,
+        totalRevenue: money(p.totalRevenue),
+        previousQuantity: previousMap.get(p._id.toString())?.totalQuantity || 0,
+      })),
+    };
+  },
+
+  low_stock: async ({ tenantObjId, today }) => {
+    const variants = await Variant.find(lowStockFilter(tenantObjId))
+      .select('productId sku stock inTransit reserved lowStockThreshold forecast')
+      .populate('productId', 'name')
+      .lean();
+
+    const rows = variants
+      .map((v) => {
+        const available = v.stock - (v.inTransit || 0) - (v.reserved || 0);
+        const threshold = stockThreshold(v);
+        return {
+          productName: v.productId?.name || 'Deleted product',
+          sku: v.sku,
+          available,
+          threshold,
+          thresholdSource: v.forecast?.reorderPoint !== undefined ? 'forecast' : 'static',
+          shortfall: threshold - available,
+        };
+      })
+      .sort((a, b) => b.shortfall - a.shortfall);
+
+    return {
+      title: 'Low Stock',
+      period: `As of ${today}`,
+      summary: [
+        ['Variants at or below threshold', rows.length],
+        ['Out of stock', rows.filter((r) => r.available <= 0).length],
+      ],
+      columns: [
+        { key: 'productName', label: 'Product' },
+        { key: 'sku', label: 'SKU' },
+        { key: 'available', label: 'Available' },
+        { key: 'threshold', label: 'Threshold' },
+        { key: 'thresholdSource', label: 'Threshold source' },
+        { key: 'shortfall', label: 'Shortfall' },
+      ],
+      rows,
+    };
+  },
+
+  valuation: async ({ tenantObjId, today }) => {
+    const [[totals], byLocation, locations] = await Promise.all([
+      inventoryTotals(tenantObjId),
+      getLocationInventory(tenantObjId),
+      Location.find({ tenantId: tenantObjId }).select('name code').lean(),
+    ]);
+    const statsMap = new Map(byLocation.map((l) => [l._id.toString(), l]));
+
+    return {
+      title: 'Inventory Valuation',
+      period: `As of ${today}`,
+      summary: [
+        ['Units in stock', totals?.totalStock || 0],
+        ['In transit', totals?.inTransit || 0],
+        ['Retail value', money(totals?.totalValue)],
+        ['Cost value', money(totals?.totalCostValue)],
+      ],
+      columns: [
+        { key: 'name', label: 'Location' },
+        { key: 'code', label: 'Code' },
+        { key: 'totalStock', label: 'Units' },
+        { key: 'totalValue', label: 'Retail value' },
+        { key: 'totalCostValue', label: 'Cost value' },
+        { key: 'lowStockItems', label: 'Low stock items' },
+      ],
+      rows: locations.map((l) => {
+        const stats = statsMap.get(l._id.toString()) || {};
+        return {
+          name: l.name,
+          code: l.code,
+          totalStock: stats.totalStock || 0,
+          totalValue: money(round(stats.totalValue || 0)),
+          totalCostValue: money(round(stats.totalCostValue || 0)),
+          lowStockItems: stats.lowStockItems || 0,
+        };
+      }),
+    };
+  },
+};
+
+const REPORTS = Object.keys(builders);
+
+const renderPdf = (report) => new Promise((resolve, reject) => {
+  const doc = new PDFDocument({ size: 'A4', margin: 40 });
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+
+  doc.font('Helvetica-Bold').fontSize(16).text(report.title);
+  doc.font('Helvetica').fontSize(10).fillColor('#555555').text(report.period).moveDown();
+  doc.fillColor('#000000');
+  report.summary.forEach(([label, value]) => doc.text(`${label}: ${value}`));
+  doc.moveDown();
+
+  const left = doc.page.margins.left;
+  const width = (doc.page.width - left - doc.page.margins.right) / report.columns.length;
+  const row = (cells, bold) => {
+    if (doc.y > doc.page.height - doc.page.margins.bottom - 20) doc.addPage();
+    const y = doc.y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica').fontSize(9);
+    const heights = cells.map((cell, i) => {
+      doc.text(String(cell ?? ''), left + i * width, y, { width: width - 6 });
+      return doc.y - y;
+    });
+    doc.x = left;
+    doc.y = y + Math.max(...heights) + 4;
+  };
+
+  row(report.columns.map((c) => c.label), true);
+  report.rows.forEach((r) => row(report.columns.map((c) => r[c.key])));
+  if (report.rows.length === 0) doc.font('Helvetica').text('Nothing to report.');
+
+  doc.end();
+});
+
+/**
+ * Build a schedule's report, render it and email it to the recipients.
+ * Records the outcome on the schedule either way.
+ */
+const sendScheduledReport = async (schedule) => {
+  try {
+    const tenant = await Tenant.findById(schedule.tenantId).select('name settings.timezone').lean();
+    const timeZone = safeTimeZone(tenant?.settings?.timezone || 'UTC');
+    const report = await builders[schedule.report]({
+      tenantId: schedule.tenantId,
+      tenantObjId: new mongoose.Types.ObjectId(schedule.tenantId),
+      frequency: schedule.frequency,
+      today: dayKey(new Date(), timeZone),
+    });
+
+    const stamp = report.period.replace(/^As of /, '').replace(/ to /, '_');
+    const filename = `${schedule.report.replace('_', '-')}-${stamp}.${schedule.format}`;
+    const content = schedule.format === 'pdf'
+      ? await renderPdf(report)
+      : Buffer.from(toCsv(report.columns, report.rows));
+
+    await sendMail({
+      to: schedule.recipients,
+      subject: `${tenant?.name || 'MTIMS'}: ${report.title} report (${report.period})`,
+      text: [
+        `${schedule.name} — ${report.title}, ${report.period}`,
+        '',
+        ...report.summary.map(([label, value]) => `${label}: ${value}`),
+        '',
+        `${report.rows.length} row(s) attached as ${schedule.format.toUpperCase()}.`,
+      ].join('\n'),
+      attachments: [{
+        filename,
+        content,
+        contentType: schedule.format === 'pdf' ? 'application/pdf' : 'text/csv',
+      }],
+    });
+
+    await ReportSchedule.updateOne(
+      { _id: schedule._id },
+      { $set: { lastRunAt: new Date(), lastStatus: 'sent' }, $unset: { lastError: '' } }
+    );
+    return { status: 'sent' };
+  } catch (err) {
+    await ReportSchedule.updateOne(
+      { _id: schedule._id },
+      { $set: { lastRunAt: new Date(), lastStatus: 'failed', lastError: err.message } }
+    );
+    return { status: 'failed', error: err.message };
+  }
+};
+
+/**
+ * Send every schedule whose time has come. Each is claimed by moving its
+ * nextRunAt on first, so a second server process, or a restart mid-run,
+ * doesn't send it twice; a schedule missed while the server was down is
+ * sent once on the next check.
+ */
+const runDueSchedules = async () => {
+  const now = new Date();
+  const due = await ReportSchedule.find({ isActive: true, nextRunAt: { $lte: now } }).lean();
+  const timeZones = new Map();
+
+  let sent = 0;
+  for (const schedule of due) {
+    const key = schedule.tenantId.toString();
+    if (!timeZones.has(key)) {
+      timeZones.set(key, await tenantTimeZone(schedule.tenantId));
+    }
+
+    const claimed = await ReportSchedule.updateOne(
+      { _id: schedule._id, nextRunAt: schedule.nextRunAt },
+      { $set: { nextRunAt: nextRunAt(schedule, timeZones.get(key), now) } }
+    );
+    if (claimed.modifiedCount === 0) continue;
+
+    const { status } = await sendScheduledReport(schedule);
+    if (status === 'sent') sent += 1;
+  }
+  return sent;
+};
+
+const startReportScheduler = () => {
+  const run = () => {
+    runDueSchedules()
+      .then((count) => {
+        if (count > 0) console.log(`Sent ${count} scheduled report(s)`);
+      })
+      .catch((err) => console.error('Scheduled reports failed:', err));
+  };
+
+  run();
+  const timer = setInterval(run, SCHEDULER_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  REPORTS,
+  nextRunAt,
+  scheduleNextRun,
+  sendScheduledReport,
+  runDueSchedules,
+  startReportScheduler,
+};
@@ -0,0 +1,231 @@
+const { SerialNumber, Product } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+
+const isSerialTracked = async (tenantId, productId, session = null) =>
+  !!(await Product.exists({ _id: productId, tenantId, trackSerials: true }).session(session));
+
+// Trimmed serials with blanks dropped; the same serial twice in one request is an error
+const cleanSerials = (serialNumbers = []) => {
+  const serials = serialNumbers.map((s) => String(s).trim()).filter(Boolean);
+  const seen = new Set();
+  for (const serial of serials) {
+    if (seen.has(serial)) {
+      throw new AppError(`Serial ${serial} is listed more than once`, 400);
+    }
+    seen.add(serial);
+  }
+  return serials;
+};
+
+const historyEntry = ({ event, status, locationId, reference, referenceId, userId }) => ({
+  event, status, locationId, reference, referenceId, userId, at: new Date(),
+});
+
+/**
+ * Bring new units into stock at a location, one serial per unit. A serial
+ * already on record for the variant is rejected, unless it was written off
+ * and has turned up again.
+ * `variant` needs _id, productId and sku. Returns the cleaned serials.
+ */
+const receiveSerials = async ({
+  tenantId, variant, locationId, quantity, serialNumbers, event = 'received',
+  purchaseOrderId, reference, referenceId, userId, session = null,
+}) => {
+  const serials = cleanSerials(serialNumbers);
+  if (serials.length !== quantity) {
+    throw new AppError(
+      `Please enter ${quantity} serial number${quantity === 1 ? '' : 's'} for ${variant.sku} (got ${serials.length})`,
+      400
+    );
+  }
+
+  const existing = await SerialNumber.find({ tenantId, variantId: variant._id, serialNumber: { $in: serials } })
+    .session(session);
+  const taken = existing.find((s) => s.status !== 'written_off');
+  if (taken) {
+    throw new AppError(`Serial ${taken.serialNumber} of ${variant.sku} is already on record`, 400);
+  }
+
+  const entry = historyEntry({ event, status: 'in_stock', locationId, reference, referenceId, userId });
+  for (const unit of existing) {
+    unit.status = 'in_stock';
+    unit.locationId = locationId;
+    unit.receivedAt = new Date();
+    if (purchaseOrderId) unit.purchaseOrderId = purchaseOrderId;
+    unit.history.push(entry);
+    await unit.save({ session });
+  }
+
+  const found = new Set(existing.map((s) => s.serialNumber));
+  const fresh = serials.filter((s) => !found.has(s)).map((serialNumber) => ({
+    tenantId,
+    variantId: variant._id,
+    productId: variant.productId,
+    serialNumber,
+    locationId,
+    purchaseOrderId,
+    history: [entry],
+  }));
+  if (fresh.length > 0) {
+    await SerialNumber.create(fresh, { session, ordered: true });
+  }
+
+  return serials;
+};
+
+/**
+ * Choose the units leaving a location: the serials asked for, which must be
+ * in stock there, then the longest-held ones for the rest. Anything the
+ * serials don't cover is stock from before tracking started.
+ * Returns the serials picked; nothing is changed until they are moved.
+ */
+const pickSerials = async ({ tenantId, variantId, locationId, quantity, serialNumbers = [], sku, session = null }) => {
+  const requested = cleanSerials(serialNumbers);
+  if (requested.length > quantity) {
+    throw new AppError(`${requested.length} serials given for ${quantity} unit${quantity === 1 ? '' : 's'} of ${sku}`, 400);
+  }
+
+  if (requested.length > 0) {
+    const inStock = await SerialNumber.find({
+      tenantId, variantId, locationId, status: 'in_stock', serialNumber: { $in: requested },
+    })
+      .select('serialNumber')
+      .session(session)
+      .lean();
+    const available = new Set(inStock.map((s) => s.serialNumber));
+    const missing = requested.find((s) => !available.has(s));
+    if (missing) {
+      throw new AppError(`Serial ${missing} of ${sku} is not in stock at this location`, 400);
+    }
+  }
+
+  if (requested.length === quantity) return requested;
+
+  const rest = await SerialNumber.find({
+    tenantId, variantId, locationId, status: 'in_stock', serialNumber: { $nin: requested },
+  })
+    .sort({ receivedAt: 1, serialNumber: 1 })
+    .limit(quantity - requested.length)
+    .select('serialNumber')
+    .session(session)
+    .lean();
+
+  return [...requested, ...rest.map((s) => s.serialNumber)];
+};
+
+/**
+ * Move units to a new status and record the step in their history.
+ * `set` holds any other fields to update, e.g. the order they went out on.
+ */
+const moveSerials = async ({
+  tenantId, variantId, serialNumbers, status, event, locationId, set = {},
+  reference, referenceId, userId, session = null,
+}) => {
+  if (!serialNumbers?.length) return;
+
+  const update = { status, ...set };
+  if (locationId) update.locationId = locationId;
+
+  await SerialNumber.updateMany(
+    { tenantId, variantId, serialNumber: { $in: serialNumbers } },
+    {
+      $set: update,
+      $push: { history: historyEntry({ event, status, locationId, reference, referenceId, userId }) },
+    },
+    { session }
+  );
+};
+
+/**
+ * Check the serials sent back on a return line. They must have gone out on
+ * this order line and not been returned yet; units shipped before tracking
+ * started can make up the rest of the quantity without serials.
+ * Returns the cleaned serials.
+ */
+const checkReturnSerials = async ({ tenantId, order, item, quantity, serialNumbers = [], session = null }) => {
+  const serials = cleanSerials(serialNumbers);
+  if (!item.serialNumbers?.length) {
+    if (serials.length > 0) {
+      throw new AppError(`No serial numbers were recorded when ${item.variantSku} shipped`, 400);
+    }
+    return serials;
+  }
+
+  const stillOut = await SerialNumber.find({
+    tenantId,
+    variantId: item.variantId,
+    orderId: order._id,
+    status: 'sold',
+    serialNumber: { $in: item.serialNumbers },
+  })
+    .select('serialNumber')
+    .session(session)
+    .lean();
+  const out = new Set(stillOut.map((s) => s.serialNumber));
+
+  const wrong = serials.find((s) => !out.has(s));
+  if (wrong) {
+    throw new AppError(`Serial ${wrong} did not ship on this order or was already returned`, 400);
+  }
+
+  if (serials.length > quantity) {
+    throw new AppError(`${serials.length} serials given for ${quantity} returned unit${quantity === 1 ? '' : 's'}`, 400);
+  }
+
+  const untracked = item.quantity - (item.quantityReturned || 0) - out.size;
+  const needed = Math.max(0, quantity - Math.max(0, untracked));
+  if (serials.length < needed) {
+    throw new AppError(
+      `Please enter the serial number${needed === 1 ? '' : 's'} of the ${needed} ${item.variantSku} unit${needed === 1 ? '' : 's'} being returned`,
+      400
+    );
+  }
+  return serials;
+};
+
+/**
+ * Choose the quarantined units of an RMA line being resolved: the serials
+ * asked for, then the rest in the order they came back. Units that came back
+ * without serials make up any difference.
+ */
+const quarantinedSerials = async ({ rma, line, quantity, serialNumbers = [], session = null }) => {
+  const requested = cleanSerials(serialNumbers);
+  if (requested.length > quantity) {
+    throw new AppError(`${requested.length} serials given for ${quantity} unit${quantity === 1 ? '' : 's'} of ${line.variantSku}`, 400);
+  }
+  if (!line.serialNumbers?.length) {
+    if (requested.length > 0) {
+      throw new AppError(`No serial numbers were recorded when ${line.variantSku} came back`, 400);
+    }
+    return requested;
+  }
+
+  const held = await SerialNumber.find({
+    tenantId: rma.tenantId,
+    variantId: line.variantId,
+    rmaId: rma._id,
+    status: 'quarantined',
+    serialNumber: { $in: line.serialNumbers },
+  })
+    .select('serialNumber')
+    .session(session)
+    .lean();
+  const quarantined = new Set(held.map((s) => s.serialNumber));
+
+  const missing = requested.find((s) => !quarantined.has(s));
+  if (missing) {
+    throw new AppError(`Serial ${missing} is not in quarantine on this return`, 400);
+  }
+
+  const rest = line.serialNumbers.filter((s) => quarantined.has(s) && !requested.includes(s));
+  return [...requested, ...rest].slice(0, quantity);
+};
+
+module.exports = {
+  isSerialTracked,
+  receiveSerials,
+  pickSerials,
+  moveSerials,
+  checkReturnSerials,
+  quarantinedSerials,
+};
@@ -0,0 +1,188 @@
+const { Shipment, StockMovement } = require('../models');
+const { AppError } = require('../middleware/errorHandler');
+const { generateOrderNumber } = require('../utils/helpers');
+const { consumeReservation } = require('./inventory');
+const { allocatedQuantity } = require('./reservations');
+const { consumeCost } = require('./costing');
+const { drawLots } = require('./lots');
+const { pickSerials, moveSerials } = require('./serials');
+
+// Units of a line that can go out now: allocated stock not shipped yet
+const shippableQuantity = (item) => allocatedQuantity(item) - (item.quantityShipped || 0);
+
+/**
+ * Order status implied by its shipments. Orders that have not started
+ * shipping keep whatever status they had.
+ */
+const statusFromShipments = (order) => {
+  const shipped = order.items.map((item) => item.quantityShipped || 0);
+  if (order.items.every((item, i) => shipped[i] >= item.quantity)) return 'shipped';
+  if (shipped.some((qty) => qty > 0)) return 'partially_shipped';
+  return order.status;
+};
+
+/**
+ * Record a shipment against an order and update the order to match.
+ * Reserved stock for the shipped units is consumed and written to the ledger
+ * as sales, and the cost layers they came from are added to the line's cost
+ * of goods. Lot-tracked units are picked first-expiring first, and
+ * serial-tracked units are the serials asked for, then the longest held.
+ * Orders placed before reservations already had their stock deducted, so for
+ * those only the shipment is recorded.
+ *
+ * `lines` is [{ variantId, quantity, serialNumbers? }]; leave it empty to
+ * ship everything that is ready. Saves the order and returns { shipment, movements }.
+ */
+const createShipment = async ({ order, lines = [], details = {}, userId, session = null }) => {
+  if (['shipped', 'delivered', 'cancelled'].includes(order.status)) {
+    throw new AppError(`Cannot ship a ${order.status} order`, 400);
+  }
+
+  const toShip = lines.length > 0
+    ? lines
+    : order.items
+      .filter((item) => shippableQuantity(item) > 0)
+      .map((item) => ({ variantId: item.variantId, quantity: shippableQuantity(item) }));
+
+  if (toShip.length === 0) {
+    throw new AppError('Nothing on this order is ready to ship', 400);
+  }
+
+  const shipmentItems = [];
+  const stockMovements = [];
+
+  for (const line of toShip) {
+    const item = order.items.find((i) => i.variantId.toString() === line.variantId.toString());
+    if (!item) {
+      throw new AppError('One of the shipped items does not belong to this order', 400);
+    }
+
+    const shippable = shippableQuantity(item);
+    if (line.quantity > shippable) {
+      throw new AppError(
+        `Cannot ship ${line.quantity} of ${item.variantSku} — only ${shippable} ready to ship`,
+        400
+      );
+    }
+
+    let serialNumbers = [];
+    if (order.stockStatus === 'reserved') {
+      const result = await consumeReservation({
+        tenantId: order.tenantId,
+        variantId: item.variantId,
+        locationId: order.locationId,
+        quantity: line.quantity,
+        session,
+      });
+      if (!result) {
+        throw new AppError(`Reserved stock for ${item.variantSku} is no longer on hand`, 400);
+      }
+
+      const cost = await consumeCost({
+        tenantId: order.tenantId,
+        variant: result.variant,
+        quantity: line.quantity,
+        session,
+      });
+      item.costOfGoods = Math.round(((item.costOfGoods || 0) + cost.totalCost) * 100) / 100;
+
+      const lots = await drawLots({
+        tenantId: order.tenantId,
+        variantId: item.variantId,
+        locationId: order.locationId,
+        quantity: line.quantity,
+        sku: item.variantSku,
+        session,
+      });
+
+      serialNumbers = await pickSerials({
+        tenantId: order.tenantId,
+        variantId: item.variantId,
+        locationId: order.locationId,
+        quantity: line.quantity,
+        serialNumbers: line.serialNumbers,
+        sku: item.variantSku,
+        session,
+      });
+      await moveSerials({
+        tenantId: order.tenantId,
+        variantId: item.variantId,
+        serialNumbers,
+        status: 'sold',
+        event: 'shipped',
+        set: { orderId: order._id },
+        reference: `Order ${order.orderNumber}`,
+        referenceId: order._id,
+        userId,
+        session,
+      });
+      if (serialNumbers.length > 0) {
+        item.serialNumbers = [...(item.serialNumbers || []), ...serialNumbers];
+      }
+
+      stockMovements.push({
+        tenantId: order.tenantId,
+        variantId: result.variant._id,
+        productId: item.productId,
+        locationId: order.locationId,
+        type: 'sale',
+        quantity: -line.quantity,
+        unitCost: cost.unitCost,
+        totalCost: -cost.totalCost,
+        previousStock: result.variant.stock + line.quantity,
+        newStock: result.variant.stock,
+        reference: `Order ${order.orderNumber}`,
+        referenceId: order._id,
+        lots: lots.length > 0 ? lots : undefined,
+        serialNumbers: serialNumbers.length > 0 ? serialNumbers : undefined,
+        createdBy: userId,
+      });
+    }
+
+    item.quantityShipped = (item.quantityShipped || 0) + line.quantity;
+    shipmentItems.push({
+      variantId: item.variantId,
+      productId: item.productId,
+      productName: item.productName,
+      variantSku: item.variantSku,
+      quantity: line.quantity,
+      serialNumbers: serialNumbers.length > 0 ? serialNumbers : undefined,
+    });
+  }
+
+  const [shipment] = await Shipment.create(
+    [
+      {
+        tenantId: order.tenantId,
+        shipmentNumber: generateOrderNumber('SHP'),
+        orderId: order._id,
+        locationId: order.locationId,
+        items: shipmentItems,
+        carrier: details.carrier,
+        trackingNumber: details.trackingNumber,
+        weight: details.weight,
+        weightUnit: details.weightUnit,
+        shippedAt: details.shippedAt || new Date(),
+        notes: details.notes,
+        createdBy: userId,
+      },
+    ],
+    { session }
+  );
+
+  const movements = stockMovements.map((m) => ({ ...m, notes: `Shipment ${shipment.shipmentNumber}` }));
+  if (movements.length > 0) {
+    await StockMovement.create(movements, { session });
+  }
+
+  order.status = statusFromShipments(order);
+  if (order.status === 'shipped' && order.stockStatus === 'reserved') {
+    order.stockStatus = 'consumed';
+  }
+  order.reservationExpiresAt = undefined;
+  await order.save({ session });
+
+  return { shipment, movements };
+};
+
+module.exports = { shippableQuantity, statusFromShipments, createShipment };
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+const { StockSnapshot, StockMovement, Tenant, Variant } = require('../models');
+
+const SNAPSHOT_INTERVAL = 24 * 60 * 60 * 1000; // one snapshot per tenant per day
+const SNAPSHOT_CHECK_INTERVAL = 60 * 60 * 1000; // 1 hour
+
+/**
+ * Record every variant's current stock for a tenant.
+ */
+const takeSnapshot = async (tenantId) => {
+  const variants = await Variant.find({ tenantId }).select('productId stock').lean();
+  return StockSnapshot.create({
+    tenantId,
+    takenAt: new Date(),
+    levels: variants.map((v) => ({ variantId: v._id, productId: v.productId, stock: v.stock })),
+  });
+};
+
+/**
+ * Snapshot every active tenant whose latest snapshot is a day old or more.
+ * Returns the number of snapshots taken.
+ */
+const takeDueSnapshots = async () => {
+  const tenants = await Tenant.find({ isActive: true }).select('_id').lean();
+  const cutoff = new Date(Date.now() - SNAPSHOT_INTERVAL);
+
+  let taken = 0;
+  for (const { _id } of tenants) {
+    const recent = await StockSnapshot.exists({ tenantId: _id, takenAt: { $gt: cutoff } });
+    if (recent) continue;
+    await takeSnapshot(_id);
+    taken += 1;
+  }
+  return taken;
+};
+
+/**
+ * Rebuild variant stock as it was at `asOf`.
+ *
+ * Starts from the latest snapshot taken at or before `asOf` and takes the
+ * balance each variant reached on its last movement since then. Variants the
+ * snapshot doesn't know (created after it, or no snapshot yet) fall back to
+ * the balance before their first movement after `asOf`, or to their current
+ * stock if they haven't moved since.
+ *
+ * `variants` are lean Variant documents (with _id and stock) that already
+ * existed at `asOf`. Returns { stock: Map of variantId -> units, snapshotAt }.
+ */
+const getStockAsOf = async ({ tenantId, asOf, variants }) => {
+  const tenantObjId = new mongoose.Types.ObjectId(tenantId);
+  const variantIds = variants.map((v) => v._id);
+
+  const snapshot = await StockSnapshot.findOne({ tenantId, takenAt: { $lte: asOf } })
+    .sort({ takenAt: -1 })
+    .lean();
+
+  const stock = new Map();
+  if (snapshot) {
+    snapshot.levels.forEach((l) => stock.set(l.variantId.toString(), l.stock));
+  }
+
+  const createdAt = { $lte: asOf };
+  if (snapshot) createdAt.$gt = snapshot.takenAt;
+
+  const replayed = await StockMovement.aggregate([
+    { $match: { tenantId: tenantObjId, variantId: { $in: variantIds }, createdAt } },
+    { $sort: { createdAt: 1, _id: 1 } },
+    { $group: { _id: '$variantId', stock: { $last: '$newStock' } } },
+  ]);
+  replayed.forEach((r) => stock.set(r._id.toString(), r.stock));
+
+  const unknown = variants.filter((v) => !stock.has(v._id.toString()));
+  if (unknown.length > 0) {
+    const firstAfter = await StockMovement.aggregate([
+      {
+        $match: {
+          tenantId: tenantObjId,
+          variantId: { $in: unknown.map((v) => v._id) },
+          createdAt: { $gt: asOf },
+        },
+      },
+      { $sort: { createdAt: 1, _id: 1 } },
+      { $group: { _id: '$variantId', stock: { $first: '$previousStock' } } },
+    ]);
+    firstAfter.forEach((r) => stock.set(r._id.toString(), r.stock));
+    unknown.forEach((v) => {
+      if (!stock.has(v._id.toString())) stock.set(v._id.toString(), v.stock);
+    });
+  }
+
+  return { stock, snapshotAt: snapshot?.takenAt || null };
+};
+
+const startStockSnapshots = () => {
+  const run = () => {
+    takeDueSnapshots()
+      .then((count) => {
+        if (count > 0) console.log(`Took ${count} stock snapshot(s)`);
+      })
+      .catch((err) => console.error('Stock snapshot failed:', err));
+  };
+
+  run();
+  const timer = setInterval(run, SNAPSHOT_CHECK_INTERVAL);
+  timer.unref();
+  return timer;
+};
+
+module.exports = {
+  takeSnapshot,
+  takeDueSnapshots,
+  getStockAsOf,
+  startStockSnapshots,
+};
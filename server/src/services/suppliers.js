@@ -0,0 +1,41 @@
+const { Supplier } = require('../models');
+
+// The preferred supplier of a variant, else the cheapest, then the quickest
+const pickSupplier = (offers) => {
+  const price = (o) => o.entry.unitPrice ?? Infinity;
+  return offers.slice().sort((a, b) =>
+    Number(!!b.entry.preferred) - Number(!!a.entry.preferred)
+    || price(a) - price(b)
+    || (a.entry.leadTimeDays ?? 0) - (b.entry.leadTimeDays ?? 0))[0];
+};
+
+/**
+ * The supplier each variant would be ordered from, keyed by variant id, as
+ * { supplier, entry } where entry is the supplier's products line for it.
+ * Variants no active supplier carries are left out.
+ */
+const chooseSuppliers = async (tenantId, variantIds) => {
+  const suppliers = await Supplier.find({
+    tenantId,
+    isActive: true,
+    'products.variantId': { $in: variantIds },
+  })
+    .select('name products')
+    .lean();
+
+  const offers = new Map();
+  for (const supplier of suppliers) {
+    for (const entry of supplier.products) {
+      if (!entry.variantId) continue;
+      const id = entry.variantId.toString();
+      if (!offers.has(id)) offers.set(id, []);
+      offers.get(id).push({ supplier, entry });
+    }
+  }
+
+  const chosen = new Map();
+  offers.forEach((list, id) => chosen.set(id, pickSupplier(list)));
+  return chosen;
+};
+
+module.exports = { chooseSuppliers };
@@ -25,6 +25,8 @@ const setupSocket = (io) => {
 
     // Join tenant-specific room for data isolation
     socket.join(`tenant:${socket.tenantId}`);
+    // Role room, for events only some roles act on (e.g. approval requests)
+    socket.join(`tenant:${socket.tenantId}:${socket.role}`);
 
     // Handle disconnect
     socket.on('disconnect', (reason) => {
@@ -0,0 +1,92 @@
+// Calendar arithmetic in a tenant's timezone. Days are handled as YYYY-MM-DD
+// keys so that DST changes never shift a bucket.
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Calendar day of a date in the timezone, as YYYY-MM-DD
+const dayKey = (date, timeZone) =>
+  new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(date);
+const addDays = (key, days) => new Date(Date.parse(`${key}T00:00:00Z`) + days * DAY).toISOString().slice(0, 10);
+const weekday = (key) => new Date(`${key}T00:00:00Z`).getUTCDay();
+// A day key as a Date at midnight UTC, the way daily rollups store their day
+const dayDate = (key) => new Date(`${key}T00:00:00Z`);
+const isDayKey = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && addDays(value, 0) === value;
+
+// Whether the runtime knows an IANA zone such as America/New_York
+const isTimeZone = (timeZone) => {
+  if (typeof timeZone !== 'string' || !timeZone) return false;
+  try {
+    dayKey(new Date(), timeZone);
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const safeTimeZone = (timeZone) => (isTimeZone(timeZone) ? timeZone : 'UTC');
+
+// Milliseconds the timezone's wall clock is ahead of UTC at a moment
+const zoneOffset = (date, timeZone) => {
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      second: 'numeric',
+    })
+      .formatToParts(date)
+      .map((p) => [p.type, Number(p.value)])
+  );
+  const wall = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return wall - Math.floor(date.getTime() / 1000) * 1000;
+};
+
+// The moment a calendar day starts in the timezone
+const startOfDay = (key, timeZone) => {
+  const midnight = Date.parse(`${key}T00:00:00Z`);
+  const guess = midnight - zoneOffset(new Date(midnight), timeZone);
+  // Second pass picks up an offset change between the guess and midnight
+  return new Date(midnight - zoneOffset(new Date(guess), timeZone));
+};
+
+// ISO 8601 week of a day, e.g. 2026-W07, matching Mongo's %G-W%V
+const isoWeek = (key) => {
+  const thursday = addDays(key, 3 - ((weekday(key) + 6) % 7));
+  const year = thursday.slice(0, 4);
+  const week = Math.floor((Date.parse(`${thursday}T00:00:00Z`) - Date.parse(`${year}-01-01T00:00:00Z`)) / DAY / 7) + 1;
+  return `${year}-W${String(week).padStart(2, '0')}`;
+};
+
+const GRANULARITIES = {
+  day: { format: '%Y-%m-%d', key: (day) => day },
+  week: { format: '%G-W%V', key: isoWeek },
+  month: { format: '%Y-%m', key: (day) => day.slice(0, 7) },
+};
+
+// Every period from one day to another, in order
+const periodKeys = (fromKey, toKey, granularity) => {
+  const keys = [];
+  for (let day = fromKey; day <= toKey; day = addDays(day, 1)) {
+    const key = GRANULARITIES[granularity].key(day);
+    if (keys[keys.length - 1] !== key) keys.push(key);
+  }
+  return keys;
+};
+
+module.exports = {
+  DAY,
+  GRANULARITIES,
+  dayKey,
+  addDays,
+  weekday,
+  dayDate,
+  isDayKey,
+  isTimeZone,
+  safeTimeZone,
+  startOfDay,
+  periodKeys,
+};
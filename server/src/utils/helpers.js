@@ -23,4 +23,64 @@ const asyncHandler = (fn) => (req, res, next) => {
   Promise.resolve(fn(req, res, next)).catch(next);
 };
 
-module.exports = { generateOrderNumber, generateSku, asyncHandler };
+// Build a CSV document from rows; columns are [{ key, label }]. Text that a
+// spreadsheet would run as a formula (=, +, -, @, tab or CR first) gets a
+// leading ' so it opens as plain text.
+const toCsv = (columns, rows) => {
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    let text = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === 'string' && /^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+  const lines = [columns.map((c) => escape(c.label)).join(',')];
+  rows.forEach((row) => lines.push(columns.map((c) => escape(row[c.key])).join(',')));
+  return `${lines.join('\r\n')}\r\n`;
+};
+
+// Split a CSV document into rows of strings (RFC 4180: quoted fields may hold
+// commas, doubled quotes and line breaks). Blank lines are dropped.
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+  const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+    row = [];
+    field = '';
+  };
+
+  for (let i = 0; i < input.length; i += 1) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i += 1;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  if (field !== '' || row.length > 0) endRow();
+  return rows;
+};
+
+module.exports = {
+  generateOrderNumber, generateSku, asyncHandler, toCsv, parseCsv,
+};
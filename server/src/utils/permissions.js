@@ -5,7 +5,12 @@ const ALL_PERMISSION_KEYS = [
   'roles:manage',
   'products:view', 'products:create', 'products:edit', 'products:delete',
   'orders:view', 'orders:create', 'orders:edit', 'orders:cancel',
+  'returns:view', 'returns:create',
+  'customers:view', 'customers:create', 'customers:edit', 'customers:delete',
   'suppliers:view', 'suppliers:create', 'suppliers:edit', 'suppliers:delete',
+  'locations:view', 'locations:create', 'locations:edit', 'locations:delete',
+  'transfers:view', 'transfers:create', 'transfers:ship', 'transfers:receive',
+  'counts:view', 'counts:enter', 'counts:create', 'counts:post',
   'purchase-orders:view', 'purchase-orders:create', 'purchase-orders:edit', 'purchase-orders:receive',
   'stock:view', 'stock:adjust',
   'dashboard:view',
@@ -15,7 +20,12 @@ const DEFAULT_PERMISSIONS = {
   manager: [
     'products:view', 'products:create', 'products:edit', 'products:delete',
     'orders:view', 'orders:create', 'orders:edit', 'orders:cancel',
+    'returns:view', 'returns:create',
+    'customers:view', 'customers:create', 'customers:edit', 'customers:delete',
     'suppliers:view', 'suppliers:create', 'suppliers:edit', 'suppliers:delete',
+    'locations:view', 'locations:create', 'locations:edit', 'locations:delete',
+    'transfers:view', 'transfers:create', 'transfers:ship', 'transfers:receive',
+    'counts:view', 'counts:enter', 'counts:create', 'counts:post',
     'purchase-orders:view', 'purchase-orders:create', 'purchase-orders:edit', 'purchase-orders:receive',
     'stock:view', 'stock:adjust',
     'dashboard:view',
@@ -24,13 +34,55 @@ const DEFAULT_PERMISSIONS = {
   staff: [
     'products:view',
     'orders:view', 'orders:create',
+    'returns:view',
+    'customers:view',
     'suppliers:view',
+    'locations:view',
+    'transfers:view',
+    'counts:view', 'counts:enter',
     'purchase-orders:view',
     'stock:view',
     'dashboard:view',
   ],
 };
 
+// Keys added after tenants had started storing role permissions. Their stored
+// rows predate these, so backfillPermissions grants them by the defaults above.
+const ADDED_PERMISSIONS = [
+  'locations:view', 'locations:create', 'locations:edit', 'locations:delete',
+  'transfers:view', 'transfers:create', 'transfers:ship', 'transfers:receive',
+  'returns:view', 'returns:create',
+  'customers:view', 'customers:create', 'customers:edit', 'customers:delete',
+  'counts:view', 'counts:enter', 'counts:create', 'counts:post',
+];
+
+const defaultRow = (tenantId, role) => ({
+  tenantId,
+  role,
+  permissions: DEFAULT_PERMISSIONS[role] || [],
+  backfilled: ADDED_PERMISSIONS,
+});
+
+/**
+ * Grant every added key to the stored roles that have it by default. Each key
+ * is granted once per row: one an owner has since removed stays removed.
+ * Returns how many row updates were made.
+ */
+const backfillPermissions = async () => {
+  let updated = 0;
+  for (const role of Object.keys(DEFAULT_PERMISSIONS)) {
+    for (const key of ADDED_PERMISSIONS) {
+      const grant = DEFAULT_PERMISSIONS[role].includes(key);
+      const result = await RolePermission.updateMany(
+        { role, backfilled: { $ne: key } },
+        { $addToSet: { backfilled: key, ...(grant && { permissions: key }) } }
+      );
+      updated += result.modifiedCount;
+    }
+  }
+  return updated;
+};
+
 /**
  * Get permissions for a user role within a tenant.
  * Owner always gets all permissions.
@@ -43,11 +95,7 @@ const getUserPermissions = async (tenantId, role) => {
   if (!rolePerms) {
     // Lazy-create defaults for this tenant + role
     try {
-      rolePerms = await RolePermission.create({
-        tenantId,
-        role,
-        permissions: DEFAULT_PERMISSIONS[role] || [],
-      });
+      rolePerms = await RolePermission.create(defaultRow(tenantId, role));
     } catch (err) {
       // If another request created it concurrently, just read it
       if (err.code === 11000) {
@@ -70,11 +118,7 @@ const getAllRolePermissions = async (tenantId) => {
     const exists = await RolePermission.findOne({ tenantId, role }).lean();
     if (!exists) {
       try {
-        await RolePermission.create({
-          tenantId,
-          role,
-          permissions: DEFAULT_PERMISSIONS[role] || [],
-        });
+        await RolePermission.create(defaultRow(tenantId, role));
       } catch (err) {
         if (err.code !== 11000) throw err;
       }
@@ -92,6 +136,7 @@ const getAllRolePermissions = async (tenantId) => {
 module.exports = {
   ALL_PERMISSION_KEYS,
   DEFAULT_PERMISSIONS,
+  backfillPermissions,
   getUserPermissions,
   getAllRolePermissions,
 };
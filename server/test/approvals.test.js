@@ -0,0 +1,191 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  ApprovalRequest, ApprovalRule, CostLayer, Location, Lot, Product, PurchaseOrder, SerialNumber, StockLevel, StockMovement,
+  Tenant, User, Variant,
+} = require('../src/models');
+const {
+  assertRulesCanBeMet, canDecide, holdAdjustment, holdPurchaseOrder, decide,
+} = require('../src/services/approvals');
+const { memoryModel } = require('./support/memory');
+const { sumLayers } = require('./support/costing');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('approvals', () => {
+  const tenantId = id();
+  const owner = { _id: id(), role: 'owner' };
+  const manager = { _id: id(), role: 'manager' };
+  const staff = { _id: id(), role: 'staff' };
+  let tenant;
+  let rules;
+  let requests;
+  let variant;
+  let location;
+
+  beforeEach(() => {
+    [tenant] = memoryModel(Tenant, [{ _id: tenantId, settings: { costingMethod: 'fifo', ownersBypassApprovals: true } }]);
+    memoryModel(User, [owner, manager, staff].map((u) => ({ ...u, tenantId, isActive: true })));
+    rules = memoryModel(ApprovalRule);
+    requests = memoryModel(ApprovalRequest);
+    [location] = memoryModel(Location, [{ tenantId, name: 'Main', isDefault: true, isActive: true }]);
+    memoryModel(Product, [{ tenantId, name: 'Mug' }]);
+    [variant] = memoryModel(Variant, [{ tenantId, productId: id(), sku: 'MUG-1', costPrice: 10, stock: 100 }]);
+    memoryModel(StockLevel, [{ tenantId, variantId: variant._id, locationId: location._id, quantity: 100 }]);
+    sumLayers(memoryModel(CostLayer));
+    memoryModel(Lot);
+    memoryModel(SerialNumber);
+    memoryModel(StockMovement);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const rule = (fields) => rules.push({
+    _id: id(), tenantId, name: 'Rule', target: 'adjustment', isActive: true, approverRole: 'manager', approvalsRequired: 1, ...fields,
+  });
+  const adjust = (user, quantity, reason = { code: 'DAMAGE', name: 'Damage' }) => holdAdjustment({
+    tenantId, user, reason, adjustment: { variantId: variant._id, quantity, type: 'adjustment' },
+  });
+
+  describe('holding adjustments', () => {
+    it('lets an adjustment under every threshold through', async () => {
+      rule({ unitsOver: 50 });
+
+      assert.equal(await adjust(staff, -10), null);
+    });
+
+    it('holds an adjustment over a threshold, valued at cost', async () => {
+      rule({ valueOver: 400 });
+
+      const approval = await adjust(staff, -50);
+
+      assert.equal(approval.status, 'pending');
+      assert.equal(approval.value, 500);
+      assert.equal(approval.approverRole, 'manager');
+      assert.match(approval.summary, /-50 × MUG-1 at Main/);
+    });
+
+    it('takes the strictest role and the most approvers when several rules match', async () => {
+      rule({ unitsOver: 10, approverRole: 'owner', approvalsRequired: 1 });
+      rule({ valueOver: 100, approverRole: 'manager', approvalsRequired: 2 });
+
+      const approval = await adjust(manager, 20);
+
+      assert.equal(approval.approverRole, 'owner');
+      assert.equal(approval.approvalsRequired, 2);
+      assert.equal(approval.rules.length, 2);
+    });
+
+    it('sends staff using an approval-flagged reason to a manager', async () => {
+      const approval = await adjust(staff, -1, { code: 'THEFT', name: 'Theft', requiresApproval: true });
+
+      assert.equal(approval.approverRole, 'manager');
+      assert.equal(await adjust(manager, -1, { code: 'THEFT', name: 'Theft', requiresApproval: true }), null);
+    });
+
+    it('lets owners through only while the tenant lets them bypass approvals', async () => {
+      rule({ unitsOver: 10 });
+
+      assert.equal(await adjust(owner, 20), null);
+
+      tenant.settings.ownersBypassApprovals = false;
+      assert.ok(await adjust(owner, 20));
+    });
+  });
+
+  describe('deciding', () => {
+    let po;
+
+    beforeEach(async () => {
+      [po] = memoryModel(PurchaseOrder, [{
+        tenantId, poNumber: 'PO-1', status: 'pending_approval', totalAmount: 12000, items: [{ quantityOrdered: 100 }],
+      }]);
+      rule({ target: 'purchase_order', valueOver: 10000, approverRole: 'manager', approvalsRequired: 2 });
+      await holdPurchaseOrder({ tenantId, user: staff, po });
+    });
+
+    it('holds a large PO for two approvers and sends it once both approve', async () => {
+      const [approval] = requests;
+      assert.equal(approval.approvalsRequired, 2);
+
+      await decide({ tenantId, approvalId: approval._id, user: manager, decision: 'approve' });
+      assert.equal(requests[0].status, 'pending');
+      assert.equal(po.status, 'pending_approval');
+
+      await decide({ tenantId, approvalId: approval._id, user: owner, decision: 'approve' });
+      assert.equal(requests[0].status, 'approved');
+      assert.equal(po.status, 'sent');
+    });
+
+    it('counts each approver once and never the requester', async () => {
+      const [approval] = requests;
+      await decide({ tenantId, approvalId: approval._id, user: manager, decision: 'approve' });
+
+      await assert.rejects(
+        decide({ tenantId, approvalId: approval._id, user: manager, decision: 'approve' }),
+        { statusCode: 400, message: /already decided/ }
+      );
+      await assert.rejects(
+        decide({ tenantId, approvalId: approval._id, user: staff, decision: 'approve' }),
+        { statusCode: 403 }
+      );
+      assert.equal(canDecide(requests[0], manager), false);
+      assert.equal(canDecide({ ...requests[0], status: 'pending' }, owner), true);
+    });
+
+    it('keeps a manager from deciding their own request', async () => {
+      const own = await holdPurchaseOrder({ tenantId, user: manager, po: { ...po, _id: id() } });
+
+      await assert.rejects(
+        decide({ tenantId, approvalId: own._id, user: manager, decision: 'approve' }),
+        { statusCode: 403, message: /your own request/ }
+      );
+    });
+
+    it('sends a rejected PO back to draft', async () => {
+      await decide({ tenantId, approvalId: requests[0]._id, user: owner, decision: 'reject' });
+
+      assert.equal(requests[0].status, 'rejected');
+      assert.equal(po.status, 'draft');
+    });
+  });
+
+  it('applies a held adjustment once approved, as the requester', async () => {
+    rule({ unitsOver: 10, approverRole: 'owner' });
+    const approval = await adjust(manager, -30);
+    assert.equal(variant.stock, 100);
+
+    const { applied } = await decide({ tenantId, approvalId: approval._id, user: owner, decision: 'approve' });
+
+    assert.equal(variant.stock, 70);
+    assert.equal(applied.movement.quantity, -30);
+    assert.equal(String(applied.movement.createdBy), String(manager._id));
+    assert.equal(requests[0].status, 'approved');
+  });
+
+  describe('rules that can be met', () => {
+    it('accepts a rule enough other users can approve', async () => {
+      await assertRulesCanBeMet(tenantId, [{ name: 'Big POs', approverRole: 'manager', approvalsRequired: 1 }]);
+    });
+
+    it('rejects a rule needing more approvers than there are besides the requester', async () => {
+      // One owner and one manager: a manager's request leaves only the owner
+      await assert.rejects(
+        assertRulesCanBeMet(tenantId, [{ name: 'Big POs', approverRole: 'manager', approvalsRequired: 2 }]),
+        { statusCode: 400, message: /"Big POs" needs 2 approval\(s\), but only 1/ }
+      );
+    });
+
+    it('rejects an owner-only rule in a one-owner tenant once owners stop bypassing', async () => {
+      const ownerRule = { name: 'Write-offs', approverRole: 'owner', approvalsRequired: 1 };
+
+      await assertRulesCanBeMet(tenantId, [ownerRule]);
+      await assert.rejects(assertRulesCanBeMet(tenantId, [ownerRule], { ownersBypass: false }), { statusCode: 400 });
+    });
+
+    it('ignores inactive rules', async () => {
+      await assertRulesCanBeMet(tenantId, [{ name: 'Off', approverRole: 'owner', approvalsRequired: 5, isActive: false }]);
+    });
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { CostLayer, Tenant, Variant } = require('../src/models');
+const { receiveCost, consumeCost } = require('../src/services/costing');
+const { memoryModel } = require('./support/memory');
+const { sumLayers } = require('./support/costing');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// A tenant on `method` with one variant of `stock` units at `costPrice`, and no cost layers yet
+const setup = ({ method, stock = 0, costPrice = 1 }) => {
+  const tenantId = id();
+  memoryModel(Tenant, [{ _id: tenantId, settings: { costingMethod: method } }]);
+  const [variant] = memoryModel(Variant, [{
+    tenantId, productId: id(), sku: 'MUG-1', stock, costPrice, createdAt: new Date('2025-12-01'),
+  }]);
+  const layers = memoryModel(CostLayer);
+  sumLayers(layers);
+  return { tenantId, variant, layers };
+};
+
+// Stock movements change Variant.stock before the cost services run
+const receive = async (ctx, quantity, unitCost) => {
+  ctx.variant.stock += quantity;
+  return receiveCost({ tenantId: ctx.tenantId, variant: { ...ctx.variant }, quantity, unitCost, source: 'purchase_order' });
+};
+const consume = async (ctx, quantity) => {
+  ctx.variant.stock -= quantity;
+  return consumeCost({ tenantId: ctx.tenantId, variant: { ...ctx.variant }, quantity });
+};
+
+describe('FIFO costing', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('costs sales from the oldest receipt first', async () => {
+    const ctx = setup({ method: 'fifo' });
+    await receive(ctx, 10, 2);
+    await receive(ctx, 10, 4);
+
+    assert.deepEqual(await consume(ctx, 15), { unitCost: 2.6667, totalCost: 40 });
+    assert.deepEqual(ctx.layers.map((l) => l.remaining), [0, 5]);
+    assert.equal(ctx.variant.costValue, 20);
+  });
+
+  it('gives stock held before costing an opening layer at the cost price, used first', async () => {
+    const ctx = setup({ method: 'fifo', stock: 4, costPrice: 1.5 });
+    await receive(ctx, 6, 3);
+
+    assert.equal(ctx.layers[0].source, 'opening');
+    assert.deepEqual(await consume(ctx, 5), { unitCost: 1.8, totalCost: 9 });
+  });
+
+  it('costs units no layer covers at the cost price', async () => {
+    const ctx = setup({ method: 'fifo', costPrice: 1.25 });
+    await receive(ctx, 2, 4);
+    ctx.variant.stock += 2; // e.g. counted in without a cost
+
+    assert.deepEqual(await consume(ctx, 4), { unitCost: 2.625, totalCost: 10.5 });
+  });
+});
+
+describe('moving average costing', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('values every open layer at the average of what is in stock', async () => {
+    const ctx = setup({ method: 'average' });
+    await receive(ctx, 10, 2);
+    await receive(ctx, 30, 4);
+
+    assert.deepEqual(ctx.layers.map((l) => l.unitCost), [3.5, 3.5]);
+    assert.deepEqual(await consume(ctx, 20), { unitCost: 3.5, totalCost: 70 });
+    assert.equal(ctx.variant.costValue, 70);
+  });
+
+  it('re-averages as new receipts come in at a different cost', async () => {
+    const ctx = setup({ method: 'average' });
+    await receive(ctx, 10, 2);
+    await consume(ctx, 5);
+    await receive(ctx, 5, 4);
+
+    assert.deepEqual(await consume(ctx, 10), { unitCost: 3, totalCost: 30 });
+    assert.equal(ctx.variant.costValue, 0);
+  });
+});
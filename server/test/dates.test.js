@@ -0,0 +1,31 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  addDays, isTimeZone, safeTimeZone, startOfDay,
+} = require('../src/utils/dates');
+
+describe('isTimeZone', () => {
+  it('accepts IANA zones and UTC', () => {
+    assert.equal(isTimeZone('America/New_York'), true);
+    assert.equal(isTimeZone('UTC'), true);
+  });
+
+  it('rejects typos, empty values and non-strings', () => {
+    assert.equal(isTimeZone('America/New_Yrok'), false);
+    assert.equal(isTimeZone(''), false);
+    assert.equal(isTimeZone(undefined), false);
+    assert.equal(isTimeZone(['UTC']), false);
+  });
+
+  it('lets safeTimeZone fall back to UTC', () => {
+    assert.equal(safeTimeZone('Europe/Berlin'), 'Europe/Berlin');
+    assert.equal(safeTimeZone('Mars/Base'), 'UTC');
+  });
+});
+
+describe('startOfDay', () => {
+  it('starts the day at local midnight across a DST change', () => {
+    assert.equal(startOfDay('2026-03-08', 'America/New_York').toISOString(), '2026-03-08T05:00:00.000Z');
+    assert.equal(startOfDay(addDays('2026-03-08', 1), 'America/New_York').toISOString(), '2026-03-09T04:00:00.000Z');
+  });
+});
@@ -0,0 +1,29 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { toCsv, parseCsv } = require('../src/utils/helpers');
+
+const columns = [{ key: 'name', label: 'Name' }, { key: 'qty', label: 'Qty' }];
+
+describe('toCsv', () => {
+  it('quotes commas, quotes and line breaks', () => {
+    const csv = toCsv(columns, [{ name: 'Mug, "large"\nblue', qty: 3 }]);
+    assert.equal(csv, 'Name,Qty\r\n"Mug, ""large""\nblue",3\r\n');
+  });
+
+  it('writes dates as ISO timestamps and leaves missing values empty', () => {
+    const csv = toCsv(columns, [{ name: new Date('2026-01-02T03:04:05Z') }]);
+    assert.equal(csv, 'Name,Qty\r\n2026-01-02T03:04:05.000Z,\r\n');
+  });
+
+  it('prefixes text that a spreadsheet would run as a formula', () => {
+    const names = ['=HYPERLINK("http://x")', '+1', '-2+3', '@SUM(A1)', '\tTab', '\rReturn'];
+    const csv = toCsv(columns, names.map((name) => ({ name })));
+    const cells = parseCsv(csv).slice(1).map((row) => row[0]);
+    assert.deepEqual(cells, names.map((name) => `'${name}`));
+  });
+
+  it('leaves numbers alone, negative ones included', () => {
+    const csv = toCsv(columns, [{ name: 'Write-off', qty: -5 }]);
+    assert.equal(csv, 'Name,Qty\r\nWrite-off,-5\r\n');
+  });
+});
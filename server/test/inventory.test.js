@@ -0,0 +1,119 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { Location, StockLevel, Variant } = require('../src/models');
+const {
+  changeStock, reserveStock, releaseReservation, consumeReservation, getLocationQuantity, resolveLocation,
+} = require('../src/services/inventory');
+const { memoryModel } = require('./support/memory');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// One variant with `quantity` on hand at one location, `reserved` of it set aside
+const setup = ({ quantity, reserved = 0 }) => {
+  const tenantId = id();
+  const locationId = id();
+  const [variant] = memoryModel(Variant, [{ tenantId, productId: id(), sku: 'MUG-1', stock: quantity, reserved }]);
+  const levels = memoryModel(StockLevel, [{ tenantId, variantId: variant._id, locationId, quantity, reserved }]);
+  return { tenantId, locationId, variant, levels, variantId: variant._id };
+};
+
+describe('location stock', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('lets only one of two concurrent removals take the last units', async () => {
+    const { tenantId, locationId, variantId, variant, levels } = setup({ quantity: 5 });
+
+    const results = await Promise.all([
+      changeStock({ tenantId, variantId, locationId, quantity: -3 }),
+      changeStock({ tenantId, variantId, locationId, quantity: -3 }),
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(levels[0].quantity, 2);
+    assert.equal(variant.stock, 2);
+  });
+
+  it('does not let a removal take reserved units', async () => {
+    const { tenantId, locationId, variantId, levels } = setup({ quantity: 5, reserved: 4 });
+
+    assert.equal(await changeStock({ tenantId, variantId, locationId, quantity: -2 }), null);
+    assert.equal(levels[0].quantity, 5);
+  });
+
+  it('opens a balance at a location the variant has never been stocked at', async () => {
+    const { tenantId, variantId, variant, levels } = setup({ quantity: 5 });
+    const elsewhere = id();
+
+    const { level } = await changeStock({ tenantId, variantId, locationId: elsewhere, quantity: 4 });
+
+    assert.equal(level.quantity, 4);
+    assert.equal(String(level.productId), String(variant.productId));
+    assert.equal(levels.length, 2);
+    assert.equal(variant.stock, 9);
+  });
+
+  it('keeps the variant total equal to the sum of its locations', async () => {
+    const { tenantId, locationId, variantId, variant, levels } = setup({ quantity: 5 });
+    const elsewhere = id();
+
+    await changeStock({ tenantId, variantId, locationId: elsewhere, quantity: 7 });
+    await changeStock({ tenantId, variantId, locationId, quantity: -5 });
+    await changeStock({ tenantId, variantId, locationId: elsewhere, quantity: -2 });
+
+    assert.equal(variant.stock, levels.reduce((sum, l) => sum + l.quantity, 0));
+    assert.equal(variant.stock, 5);
+  });
+});
+
+describe('reservations', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('lets only one of two concurrent orders reserve the same units', async () => {
+    const { tenantId, locationId, variantId, variant, levels } = setup({ quantity: 5 });
+
+    const results = await Promise.all([
+      reserveStock({ tenantId, variantId, locationId, quantity: 3 }),
+      reserveStock({ tenantId, variantId, locationId, quantity: 3 }),
+    ]);
+
+    assert.equal(results.filter(Boolean).length, 1);
+    assert.equal(levels[0].reserved, 3);
+    assert.equal(variant.reserved, 3);
+    assert.equal(await getLocationQuantity(tenantId, variantId, locationId), 2);
+  });
+
+  it('ships reserved units out of stock and frees the reservation', async () => {
+    const { tenantId, locationId, variantId, variant, levels } = setup({ quantity: 5, reserved: 3 });
+
+    await consumeReservation({ tenantId, variantId, locationId, quantity: 3 });
+
+    assert.deepEqual([levels[0].quantity, levels[0].reserved], [2, 0]);
+    assert.deepEqual([variant.stock, variant.reserved], [2, 0]);
+  });
+
+  it('refuses to release or ship more than is reserved', async () => {
+    const { tenantId, locationId, variantId, levels } = setup({ quantity: 5, reserved: 1 });
+
+    assert.equal(await releaseReservation({ tenantId, variantId, locationId, quantity: 2 }), null);
+    assert.equal(await consumeReservation({ tenantId, variantId, locationId, quantity: 2 }), null);
+    assert.deepEqual([levels[0].quantity, levels[0].reserved], [5, 1]);
+  });
+
+  it('counts a location without a balance as empty', async () => {
+    const { tenantId, variantId } = setup({ quantity: 5 });
+
+    assert.equal(await getLocationQuantity(tenantId, variantId, id()), 0);
+  });
+});
+
+describe('resolveLocation', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('rejects an inactive location', async () => {
+    const tenantId = id();
+    const [closed] = memoryModel(Location, [{ tenantId, name: 'Old store', isActive: false }]);
+
+    await assert.rejects(resolveLocation(tenantId, closed._id), { statusCode: 404 });
+  });
+});
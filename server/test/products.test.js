@@ -0,0 +1,86 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  Order, Product, StockLevel, StockMovement, Variant,
+} = require('../src/models');
+const router = require('../src/routes/products');
+const { memoryModel } = require('./support/memory');
+const { fakeSession, callRoute } = require('./support/stubs');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('deleting products and variants', () => {
+  const tenantId = id();
+  const user = { _id: id() };
+  let product;
+  let variants;
+  let levels;
+  let movements;
+  let orders;
+  let session;
+
+  beforeEach(() => {
+    [product] = memoryModel(Product, [{ tenantId, name: 'Mug' }]);
+    variants = memoryModel(Variant, [
+      { tenantId, productId: product._id, sku: 'MUG-S', stock: 4 },
+      { tenantId, productId: product._id, sku: 'MUG-L', stock: 0 },
+    ]);
+    levels = memoryModel(StockLevel, [{ tenantId, productId: product._id, variantId: variants[0]._id, quantity: 4 }]);
+    movements = memoryModel(StockMovement);
+    orders = memoryModel(Order);
+    session = fakeSession();
+    mock.method(mongoose, 'startSession', async () => session);
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  const deleteProduct = () => callRoute(router, 'delete', '/:id', { params: { id: product._id }, tenantId, user });
+  const deleteVariant = (variant) => callRoute(router, 'delete', '/variants/:id', { params: { id: variant._id }, tenantId, user });
+
+  it('writes the stock off and removes the product, its variants and balances in one transaction', async () => {
+    const { status } = await deleteProduct();
+
+    assert.equal(status, 200);
+    assert.equal(session.committed, true);
+    assert.deepEqual(movements.map((m) => [m.quantity, m.newStock]), [[-4, 0]]);
+    assert.equal(variants.length, 0);
+    assert.equal(levels.length, 0);
+  });
+
+  it('refuses while stock is reserved for orders', async () => {
+    variants[0].reserved = 2;
+
+    await assert.rejects(deleteProduct(), { statusCode: 400, message: /MUG-S has 2 unit\(s\) reserved/ });
+    assert.equal(session.aborted, true);
+    assert.equal(variants.length, 2);
+    assert.equal(movements.length, 0);
+  });
+
+  it('refuses while stock is in transit', async () => {
+    variants[1].inTransit = 3;
+
+    await assert.rejects(deleteVariant(variants[1]), { statusCode: 400, message: /in transit/ });
+    assert.equal(variants.length, 2);
+  });
+
+  it('refuses while an open order lists the variant, but not once it has shipped', async () => {
+    orders.push({
+      tenantId, orderNumber: 'ORD-7', status: 'confirmed', items: [{ variantId: variants[1]._id, quantity: 1 }],
+    });
+
+    await assert.rejects(deleteVariant(variants[1]), { statusCode: 400, message: /ORD-7/ });
+
+    orders[0].status = 'shipped';
+    const { status } = await deleteVariant(variants[1]);
+    assert.equal(status, 200);
+    assert.deepEqual(variants.map((v) => v.sku), ['MUG-S']);
+  });
+
+  it('returns 404 for a product of another tenant', async () => {
+    product.tenantId = id();
+
+    await assert.rejects(deleteProduct(), { statusCode: 404 });
+    assert.equal(variants.length, 2);
+  });
+});
@@ -0,0 +1,115 @@
+const { describe, it, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { ReconciliationRun, StockMovement, Variant } = require('../src/models');
+const {
+  RECONCILIATION_REFERENCE, replayLedger, reconcileTenant, postCorrection,
+} = require('../src/services/reconciliation');
+const { memoryModel } = require('./support/memory');
+const { fakeSession } = require('./support/stubs');
+
+const id = () => new mongoose.Types.ObjectId();
+
+// Movements that chain from 0: each takes up where the last one left off
+const chain = (variantId, ...quantities) => {
+  let stock = 0;
+  return quantities.map((quantity, i) => {
+    const m = {
+      variantId, type: 'adjustment', quantity, previousStock: stock, newStock: stock + quantity, createdAt: new Date(2026, 0, i + 1),
+    };
+    stock += quantity;
+    return m;
+  });
+};
+
+describe('replayLedger', () => {
+  it('passes a ledger whose movements chain together', () => {
+    assert.deepEqual(replayLedger(chain(id(), 10, -3, 5)), { ledgerStock: 12, movementCount: 3, breaks: [] });
+  });
+
+  it('reports a movement that does not start where the last one ended', () => {
+    const movements = chain(id(), 10, -3);
+    movements[1].previousStock = 9;
+    movements[1].newStock = 6;
+
+    const { breaks } = replayLedger(movements);
+    assert.deepEqual(breaks.map((b) => [b.kind, b.expected, b.recorded]), [['link', 10, 9]]);
+  });
+
+  it('reports a movement whose own arithmetic is wrong', () => {
+    const movements = chain(id(), 10, -3);
+    movements[1].newStock = 8;
+
+    const { breaks } = replayLedger(movements);
+    assert.deepEqual(breaks.map((b) => [b.kind, b.expected, b.recorded]), [['arithmetic', 7, 8]]);
+  });
+
+  it('accepts earlier breaks at a reconciliation checkpoint', () => {
+    const movements = chain(id(), 10, -3);
+    movements[1].previousStock = 9;
+    movements.push({ quantity: 0, previousStock: 7, newStock: 6, reference: RECONCILIATION_REFERENCE });
+    movements.push({ quantity: 1, previousStock: 6, newStock: 7 });
+
+    assert.deepEqual(replayLedger(movements).breaks, []);
+  });
+});
+
+describe('reconcileTenant', () => {
+  afterEach(() => mock.restoreAll());
+
+  it('lists variants whose ledger is off, including ones that never moved', async () => {
+    const tenantId = id();
+    const [ok, short, unmoved] = memoryModel(Variant, [
+      { tenantId, sku: 'OK', stock: 7 },
+      { tenantId, sku: 'SHORT', stock: 9 },
+      { tenantId, sku: 'UNMOVED', stock: 2 },
+    ]);
+    const ledger = [...chain(ok._id, 10, -3), ...chain(short._id, 5)];
+    mock.method(StockMovement, 'aggregate', () => ({
+      allowDiskUse: () => ({ cursor: () => ledger.map((m) => ({ _id: id(), ...m })) }),
+    }));
+    memoryModel(ReconciliationRun);
+
+    const run = await reconcileTenant(tenantId);
+
+    assert.equal(run.variantsChecked, 3);
+    assert.equal(run.movementsChecked, 3);
+    assert.equal(run.mismatched, 2);
+    assert.deepEqual(run.issues.map((i) => [i.sku, i.ledgerStock, i.difference]), [['SHORT', 5, 4], ['UNMOVED', 0, 2]]);
+    assert.equal(String(run.issues[1].variantId), String(unmoved._id));
+  });
+});
+
+describe('postCorrection', () => {
+  afterEach(() => mock.restoreAll());
+
+  const setup = (stock, quantities) => {
+    const tenantId = id();
+    const [variant] = memoryModel(Variant, [{ tenantId, productId: id(), sku: 'MUG-1', stock }]);
+    const movements = memoryModel(StockMovement, chain(variant._id, ...quantities).map((m) => ({ tenantId, ...m })));
+    memoryModel(ReconciliationRun);
+    const session = fakeSession();
+    mock.method(mongoose, 'startSession', async () => session);
+    return { tenantId, variant, movements, session };
+  };
+
+  it('posts the units the ledger missed without changing stock', async () => {
+    const { tenantId, variant, movements, session } = setup(9, [5]);
+
+    const { movement } = await postCorrection({ tenantId, variantId: variant._id, userId: id() });
+
+    assert.deepEqual([movement.quantity, movement.previousStock, movement.newStock], [4, 5, 9]);
+    assert.equal(movement.totalCost, 0);
+    assert.equal(replayLedger(movements).ledgerStock, variant.stock);
+    assert.equal(variant.stock, 9);
+    assert.equal(session.committed, true);
+  });
+
+  it('refuses to correct a ledger that already matches, and rolls back', async () => {
+    const { tenantId, variant, movements, session } = setup(5, [5]);
+
+    await assert.rejects(postCorrection({ tenantId, variantId: variant._id }), { statusCode: 400 });
+    assert.equal(movements.length, 1);
+    assert.equal(session.aborted, true);
+  });
+});
@@ -0,0 +1,91 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  Location, Order, PurchaseOrder, Supplier, Tenant, Variant,
+} = require('../src/models');
+const { reorderDueTenants } = require('../src/services/reorder');
+const { query, tick } = require('./support/stubs');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('reorderDueTenants', () => {
+  const tenantId = id();
+  const variantId = id();
+  const supplierId = id();
+  let tenant;
+  let saved;
+
+  beforeEach(() => {
+    tenant = { _id: tenantId, isActive: true, settings: { autoReorder: true } };
+    saved = [];
+
+    // Claims behave like MongoDB's: the match and the update happen as one step
+    mock.method(Tenant, 'findOneAndUpdate', (filter, update) => query(async () => {
+      await tick();
+      const cutoff = filter.$or[1].reorderRunAt.$lte;
+      const due = tenant.settings.autoReorder === filter['settings.autoReorder']
+        && (!tenant.reorderRunAt || tenant.reorderRunAt <= cutoff);
+      if (!due) return null;
+      tenant.reorderRunAt = update.$set.reorderRunAt;
+      return { _id: tenant._id };
+    }));
+    mock.method(Tenant, 'updateOne', async () => ({ modifiedCount: 1 }));
+
+    mock.method(Variant, 'find', () => query([{
+      _id: variantId,
+      productId: { _id: id(), name: 'Mug', isActive: true },
+      sku: 'MUG-1',
+      stock: 2,
+      lowStockThreshold: 10,
+      reorderQuantity: 12,
+    }]));
+    mock.method(PurchaseOrder, 'aggregate', async () => []);
+    mock.method(Order, 'aggregate', async () => []);
+    mock.method(Supplier, 'find', () => query([{
+      _id: supplierId,
+      name: 'Acme',
+      products: [{ variantId, unitPrice: 4, leadTimeDays: 3, preferred: true }],
+    }]));
+    mock.method(Location, 'findOne', () => query({ _id: id(), isDefault: true }));
+
+    // The open reorder draft is whatever has been saved so far
+    mock.method(PurchaseOrder, 'findOne', () => query(async () => {
+      await tick();
+      return saved[saved.length - 1] || null;
+    }));
+    mock.method(PurchaseOrder.prototype, 'save', async function save() {
+      await tick();
+      if (!saved.includes(this)) saved.push(this);
+      return this;
+    });
+    mock.method(PurchaseOrder, 'findById', (poId) => query(() => saved.find((po) => po._id.equals(poId)).toObject()));
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('drafts one PO per supplier for a due tenant and marks the run', async () => {
+    const drafted = await reorderDueTenants(null);
+
+    assert.equal(drafted, 1);
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].items[0].quantityOrdered, 12);
+    assert.ok(tenant.reorderRunAt instanceof Date);
+  });
+
+  it('lets only one of two instances running at once draft for a tenant', async () => {
+    const counts = await Promise.all([reorderDueTenants(null), reorderDueTenants(null)]);
+
+    assert.deepEqual(counts.sort(), [0, 1]);
+    assert.equal(saved.length, 1);
+    assert.equal(saved[0].items.length, 1);
+    assert.equal(saved[0].items[0].quantityOrdered, 12);
+  });
+
+  it('skips a tenant that ran within the last day', async () => {
+    tenant.reorderRunAt = new Date(Date.now() - 60 * 60 * 1000);
+
+    assert.equal(await reorderDueTenants(null), 0);
+    assert.equal(saved.length, 0);
+  });
+});
@@ -0,0 +1,126 @@
+const { describe, it, beforeEach, afterEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const {
+  CostLayer, Lot, SerialNumber, Shipment, StockLevel, StockMovement, Tenant, Variant,
+} = require('../src/models');
+const { createShipment, statusFromShipments } = require('../src/services/shipments');
+const { memoryModel } = require('./support/memory');
+const { sumLayers } = require('./support/costing');
+
+const id = () => new mongoose.Types.ObjectId();
+
+describe('createShipment', () => {
+  const tenantId = id();
+  const locationId = id();
+  let variant;
+  let levels;
+  let layers;
+  let movements;
+  let order;
+
+  beforeEach(() => {
+    memoryModel(Tenant, [{ _id: tenantId, settings: { costingMethod: 'fifo' } }]);
+    [variant] = memoryModel(Variant, [{ tenantId, productId: id(), sku: 'MUG-1', costPrice: 1, stock: 8, reserved: 4 }]);
+    levels = memoryModel(StockLevel, [{ tenantId, variantId: variant._id, locationId, quantity: 8, reserved: 4 }]);
+    layers = memoryModel(CostLayer, [
+      { tenantId, variantId: variant._id, unitCost: 3, quantity: 5, remaining: 5, receivedAt: new Date('2026-02-01') },
+      { tenantId, variantId: variant._id, unitCost: 2, quantity: 3, remaining: 3, receivedAt: new Date('2026-01-01') },
+    ]);
+    sumLayers(layers);
+    memoryModel(Lot);
+    memoryModel(SerialNumber);
+    memoryModel(Shipment);
+    movements = memoryModel(StockMovement);
+
+    order = {
+      _id: id(),
+      tenantId,
+      orderNumber: 'ORD-1',
+      locationId,
+      status: 'confirmed',
+      stockStatus: 'reserved',
+      items: [{ variantId: variant._id, productId: variant.productId, variantSku: 'MUG-1', quantity: 4 }],
+      save: mock.fn(async () => order),
+    };
+  });
+
+  afterEach(() => mock.restoreAll());
+
+  it('ships reserved units, costing them from the oldest layers first', async () => {
+    const { shipment } = await createShipment({ order, userId: id() });
+
+    assert.equal(shipment.items[0].quantity, 4);
+    // 3 units at 2 from January, then 1 at 3 from February
+    assert.equal(order.items[0].costOfGoods, 9);
+    assert.deepEqual(layers.map((l) => l.remaining), [4, 0]);
+    assert.equal(variant.costValue, 12);
+
+    assert.equal(movements.length, 1);
+    assert.equal(movements[0].type, 'sale');
+    assert.equal(movements[0].quantity, -4);
+    assert.equal(movements[0].totalCost, -9);
+    assert.deepEqual([movements[0].previousStock, movements[0].newStock], [8, 4]);
+
+    assert.deepEqual([levels[0].quantity, levels[0].reserved], [4, 0]);
+    assert.deepEqual([variant.stock, variant.reserved], [4, 0]);
+    assert.equal(order.status, 'shipped');
+    assert.equal(order.stockStatus, 'consumed');
+    assert.equal(order.save.mock.callCount(), 1);
+  });
+
+  it('marks a partial shipment and keeps the rest reserved', async () => {
+    await createShipment({ order, lines: [{ variantId: variant._id, quantity: 1 }], userId: id() });
+
+    assert.equal(order.status, 'partially_shipped');
+    assert.equal(order.stockStatus, 'reserved');
+    assert.equal(order.items[0].quantityShipped, 1);
+    assert.equal(levels[0].reserved, 3);
+  });
+
+  it('refuses to ship more than is ready', async () => {
+    order.items[0].quantityFulfilled = 2;
+
+    await assert.rejects(
+      createShipment({ order, lines: [{ variantId: variant._id, quantity: 3 }], userId: id() }),
+      { statusCode: 400, message: /only 2 ready to ship/ }
+    );
+    assert.equal(levels[0].quantity, 8);
+  });
+
+  it('fails when the reserved stock is gone, so the caller can roll back', async () => {
+    levels[0].quantity = 2;
+
+    await assert.rejects(createShipment({ order, userId: id() }), { statusCode: 400, message: /no longer on hand/ });
+    assert.equal(order.save.mock.callCount(), 0);
+  });
+
+  it('only records the shipment for orders that deducted stock when placed', async () => {
+    order.stockStatus = undefined;
+
+    await createShipment({ order, userId: id() });
+
+    assert.equal(movements.length, 0);
+    assert.equal(levels[0].quantity, 8);
+    assert.equal(order.status, 'shipped');
+  });
+
+  it('does not ship a cancelled order', async () => {
+    order.status = 'cancelled';
+
+    await assert.rejects(createShipment({ order, userId: id() }), { statusCode: 400 });
+  });
+});
+
+describe('statusFromShipments', () => {
+  it('keeps the status of an order with nothing shipped', () => {
+    assert.equal(statusFromShipments({ status: 'processing', items: [{ quantity: 2 }] }), 'processing');
+  });
+
+  it('is shipped only once every line is', () => {
+    const items = [{ quantity: 2, quantityShipped: 2 }, { quantity: 1 }];
+    assert.equal(statusFromShipments({ status: 'confirmed', items }), 'partially_shipped');
+    items[1].quantityShipped = 1;
+    assert.equal(statusFromShipments({ status: 'confirmed', items }), 'shipped');
+  });
+});
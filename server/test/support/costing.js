@@ -0,0 +1,12 @@
+const { mock } = require('node:test');
+const { CostLayer } = require('../../src/models');
+const { matches } = require('./memory');
+const { query } = require('./stubs');
+
+// syncCostValue sums what a variant's open layers are worth; answer it from the stored layers
+const sumLayers = (layers) => mock.method(CostLayer, 'aggregate', ([{ $match: filter }]) => query(() => {
+  const open = layers.filter((l) => matches(l, filter));
+  return open.length === 0 ? [] : [{ value: open.reduce((sum, l) => sum + l.remaining * l.unitCost, 0) }];
+}));
+
+module.exports = { sumLayers };
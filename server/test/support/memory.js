@@ -0,0 +1,205 @@
+const { mock } = require('node:test');
+const mongoose = require('mongoose');
+const { query, tick } = require('./stubs');
+
+// A tiny in-memory stand-in for a collection. It understands the filters and
+// updates the services use, and applies each findOneAndUpdate as one step
+// the way MongoDB does, so guarded updates can be raced against each other.
+
+const isId = (value) => value instanceof mongoose.Types.ObjectId;
+
+const same = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return +a === +b;
+  if (a && b && (typeof a === 'object' || typeof b === 'object')) return String(a) === String(b);
+  return a === b;
+};
+
+const get = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const set = (doc, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((obj, key) => {
+    if (obj[key] == null) obj[key] = {};
+    return obj[key];
+  }, doc);
+  parent[last] = value;
+};
+
+// Aggregation expressions used in $expr and $inc-style guards
+const evaluate = (expr, doc) => {
+  if (typeof expr === 'string' && expr.startsWith('$')) return get(doc, expr.slice(1));
+  if (Array.isArray(expr)) return expr.map((e) => evaluate(e, doc));
+  if (expr && typeof expr === 'object' && !(expr instanceof Date) && !isId(expr)) {
+    const [[op, args]] = Object.entries(expr);
+    const values = evaluate(args, doc);
+    switch (op) {
+      case '$add': return values.reduce((sum, v) => sum + (v || 0), 0);
+      case '$subtract': return values[0] - values[1];
+      case '$ifNull': return values[0] ?? values[1];
+      case '$gte': return values[0] >= values[1];
+      case '$gt': return values[0] > values[1];
+      case '$lte': return values[0] <= values[1];
+      case '$lt': return values[0] < values[1];
+      case '$eq': return same(values[0], values[1]);
+      case '$and': return values.every(Boolean);
+      default: throw new Error(`Unsupported expression ${op}`);
+    }
+  }
+  return expr;
+};
+
+const matchValue = (value, condition) => {
+  const isOperators = condition && typeof condition === 'object' && !Array.isArray(condition)
+    && !(condition instanceof Date) && !isId(condition)
+    && Object.keys(condition).every((k) => k.startsWith('$'));
+  if (!isOperators) {
+    return Array.isArray(value) ? value.some((v) => same(v, condition)) : same(value, condition);
+  }
+  return Object.entries(condition).every(([op, arg]) => {
+    switch (op) {
+      case '$gte': return value >= arg;
+      case '$gt': return value > arg;
+      case '$lte': return value <= arg;
+      case '$lt': return value < arg;
+      case '$ne': return !matchValue(value, arg);
+      case '$in': return arg.some((a) => matchValue(value, a));
+      case '$nin': return !arg.some((a) => matchValue(value, a));
+      case '$exists': return (value !== undefined) === arg;
+      default: throw new Error(`Unsupported operator ${op}`);
+    }
+  });
+};
+
+const matches = (doc, filter = {}) => Object.entries(filter).every(([key, condition]) => {
+  if (key === '$expr') return evaluate(condition, doc);
+  if (key === '$or') return condition.some((f) => matches(doc, f));
+  if (key === '$and') return condition.every((f) => matches(doc, f));
+  // An array field matches when any element does, as in items.variantId
+  const [head, ...rest] = key.split('.');
+  const value = doc[head];
+  if (Array.isArray(value) && rest.length > 0) {
+    return value.some((item) => matches(item, { [rest.join('.')]: condition }));
+  }
+  return matchValue(get(doc, key), condition);
+});
+
+const applyUpdate = (doc, update, inserting) => {
+  const ops = Object.keys(update).some((k) => k.startsWith('$')) ? update : { $set: update };
+  Object.entries(ops.$set || {}).forEach(([path, value]) => set(doc, path, value));
+  Object.entries(ops.$inc || {}).forEach(([path, value]) => set(doc, path, (get(doc, path) || 0) + value));
+  Object.entries(ops.$push || {}).forEach(([path, value]) => set(doc, path, [...(get(doc, path) || []), value]));
+  if (inserting) Object.entries(ops.$setOnInsert || {}).forEach(([path, value]) => set(doc, path, value));
+};
+
+// A copy of a stored document whose save() writes its fields back, like a Mongoose document
+const clone = (doc) => {
+  if (!doc) return doc;
+  const copy = { ...doc };
+  Object.defineProperty(copy, 'save', {
+    value: async () => {
+      await tick();
+      Object.assign(doc, copy);
+      return copy;
+    },
+  });
+  Object.defineProperty(copy, 'toObject', { value: () => ({ ...copy }) });
+  return copy;
+};
+
+const compare = (spec) => (a, b) => {
+  for (const [path, direction] of Object.entries(spec)) {
+    const [x, y] = [get(a, path), get(b, path)];
+    if (x < y) return -direction;
+    if (x > y) return direction;
+  }
+  return 0;
+};
+
+// A find() query over the store that honours sort and limit
+const findQuery = (store, filter) => {
+  let spec = null;
+  let max = Infinity;
+  const q = query(() => {
+    const hits = store.filter((d) => matches(d, filter));
+    if (spec) hits.sort(compare(spec));
+    return hits.slice(0, max).map((d) => clone(d));
+  });
+  q.sort = (value) => {
+    spec = value;
+    return q;
+  };
+  q.limit = (value) => {
+    max = value;
+    return q;
+  };
+  return q;
+};
+
+/**
+ * Back a model's common statics with an array of plain documents. Returns the
+ * array, which tests can read to check the end state.
+ */
+const memoryModel = (Model, docs = []) => {
+  const store = docs.map((d) => ({ _id: new mongoose.Types.ObjectId(), ...d }));
+
+  const one = (doc) => clone(doc || null);
+  mock.method(Model, 'findOne', (filter) => query(() => one(store.find((d) => matches(d, filter)))));
+  mock.method(Model, 'find', (filter) => findQuery(store, filter));
+  mock.method(Model, 'findById', (id) => query(() => one(store.find((d) => same(d._id, id)))));
+  mock.method(Model, 'exists', (filter) => query(() => (store.some((d) => matches(d, filter)) ? { _id: 1 } : null)));
+  mock.method(Model, 'countDocuments', (filter) => query(() => store.filter((d) => matches(d, filter)).length));
+
+  // Yield first so concurrent callers interleave, then match and update in one step
+  mock.method(Model, 'findOneAndUpdate', (filter, update, options = {}) => query(async () => {
+    await tick();
+    let doc = store.find((d) => matches(d, filter));
+    const inserting = !doc && options.upsert;
+    if (!doc && !inserting) return null;
+    const before = clone(doc);
+    if (inserting) {
+      doc = { _id: new mongoose.Types.ObjectId() };
+      Object.entries(filter).forEach(([key, value]) => {
+        if (!key.startsWith('$') && !(value && typeof value === 'object' && !isId(value))) {
+          set(doc, key, value);
+        }
+      });
+      store.push(doc);
+    }
+    applyUpdate(doc, update, inserting);
+    return options.new ? clone(doc) : before;
+  }));
+  mock.method(Model, 'updateOne', async (filter, update) => {
+    await tick();
+    const doc = store.find((d) => matches(d, filter));
+    if (doc) applyUpdate(doc, update, false);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  mock.method(Model, 'updateMany', async (filter, update) => {
+    const hits = store.filter((d) => matches(d, filter));
+    hits.forEach((doc) => applyUpdate(doc, update, false));
+    return { matchedCount: hits.length, modifiedCount: hits.length };
+  });
+  const remove = (filter, limit) => {
+    const hits = store.filter((d) => matches(d, filter)).slice(0, limit);
+    hits.forEach((doc) => store.splice(store.indexOf(doc), 1));
+    return { deletedCount: hits.length };
+  };
+  mock.method(Model, 'deleteOne', async (filter) => remove(filter, 1));
+  mock.method(Model, 'deleteMany', async (filter) => remove(filter));
+  mock.method(Model, 'insertMany', async (list) => {
+    const inserted = list.map((d) => ({ _id: new mongoose.Types.ObjectId(), ...d }));
+    store.push(...inserted);
+    return inserted;
+  });
+  // Created docs get the schema's defaults, as they would from the database
+  mock.method(Model, 'create', async (input) => {
+    const list = Array.isArray(input) ? input : [input];
+    const created = list.map((d) => ({ _id: new mongoose.Types.ObjectId(), ...new Model(d).toObject(), ...d }));
+    store.push(...created);
+    return Array.isArray(input) ? created : created[0];
+  });
+  return store;
+};
+
+module.exports = { memoryModel, matches };
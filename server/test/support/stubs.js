@@ -0,0 +1,60 @@
+// Stand-ins for Mongoose queries and sessions, so services can be tested
+// without a database. Tests swap model methods with node:test's mock.method.
+
+const CHAIN = ['select', 'populate', 'sort', 'session', 'lean', 'limit', 'skip', 'slice'];
+
+// A query that can be chained like Mongoose's and resolves to `value`
+const query = (value) => {
+  const q = {};
+  CHAIN.forEach((name) => {
+    q[name] = () => q;
+  });
+  q.exec = () => Promise.resolve(typeof value === 'function' ? value() : value);
+  q.then = (resolve, reject) => q.exec().then(resolve, reject);
+  return q;
+};
+
+// A session that records how its transaction ended
+const fakeSession = () => {
+  const session = {
+    committed: false,
+    aborted: false,
+    startTransaction() {},
+    async commitTransaction() {
+      session.committed = true;
+    },
+    async abortTransaction() {
+      session.aborted = true;
+    },
+    endSession() {},
+  };
+  return session;
+};
+
+// Resolves once every pending callback and timer of this turn has run, to let
+// two "concurrent" callers interleave
+const tick = () => new Promise((resolve) => setImmediate(resolve));
+
+/**
+ * Run the last handler of a route (auth and validation middleware are skipped)
+ * and resolve with { status, body }, or reject with the error it passed on.
+ */
+const callRoute = (router, method, path, req) => new Promise((resolve, reject) => {
+  const layer = router.stack.find((l) => l.route?.path === path && l.route.methods[method]);
+  const { handle } = layer.route.stack[layer.route.stack.length - 1];
+  const res = {
+    statusCode: 200,
+    status(code) {
+      res.statusCode = code;
+      return res;
+    },
+    json(body) {
+      resolve({ status: res.statusCode, body });
+    },
+  };
+  handle({ app: { get: () => null }, query: {}, body: {}, ...req }, res, reject);
+});
+
+module.exports = {
+  query, fakeSession, tick, callRoute,
+};